@@ -18,11 +18,14 @@ import {
   Dashboard,
   FloorsPage,
   FloorFormPage,
+  FloorImportPage,
   FloorDetailPage,
   RoutesPage,
   CamerasPage,
   RecordsPage,
   SettingsPage,
+  DrillsPage,
+  DrillReplayPage,
 } from './pages';
 import {
   selectSidebarCollapsed,
@@ -87,6 +90,7 @@ function App() {
           {/* Floors */}
           <Route path={ROUTES.FLOORS} element={<FloorsPage />} />
           <Route path={ROUTES.FLOOR_NEW} element={<FloorFormPage />} />
+          <Route path={ROUTES.FLOOR_IMPORT} element={<FloorImportPage />} />
           <Route path="/floors/:id" element={<FloorDetailPage />} />
           <Route path="/floors/:id/edit" element={<FloorFormPage />} />
 
@@ -99,6 +103,10 @@ function App() {
           {/* Records */}
           <Route path={ROUTES.RECORDS} element={<RecordsPage />} />
 
+          {/* Drills */}
+          <Route path={ROUTES.DRILLS} element={<DrillsPage />} />
+          <Route path={ROUTES.DRILL_REPLAY} element={<DrillReplayPage />} />
+
           {/* Settings */}
           <Route path={ROUTES.SETTINGS} element={<SettingsPage />} />
 
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Floor Analysis Panel
+ * @description Graph integrity report of a floor: can every node reach an
+ *              exit, which screens depend on a single corridor, which
+ *              corridors no camera watches, where the dead ends are and how
+ *              far the longest evacuation path is.
+ *
+ * @module components/floor/FloorAnalysisPanel
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { ShieldCheck, RefreshCw, AlertOctagon, AlertTriangle, Info } from 'lucide-react';
+import { Card, Badge, Button, Spinner } from '../ui';
+import { getFloorAnalysis } from '../../services/floorService';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+/** Display order, badge variant and icon per issue severity */
+const SEVERITIES = [
+  { key: 'critical', label: 'Critical', variant: 'danger', Icon: AlertOctagon, color: 'text-danger-500' },
+  { key: 'warning', label: 'Warnings', variant: 'warning', Icon: AlertTriangle, color: 'text-warning-500' },
+  { key: 'info', label: 'Info', variant: 'primary', Icon: Info, color: 'text-primary-500' },
+];
+
+const formatDistance = (distance, unit) => (distance === null || distance === undefined ? '—' : `${distance} ${unit}`);
+
+/* ============================================================
+ * FLOOR ANALYSIS PANEL
+ * ============================================================ */
+
+/**
+ * Graph integrity card of a floor.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.floorId - Floor ID
+ * @param {number} [props.configVersion] - Floor config version; the report reloads when it changes
+ * @returns {JSX.Element} Analysis card
+ *
+ * @example
+ * <FloorAnalysisPanel floorId={floor.id} configVersion={floor.configVersion} />
+ */
+export function FloorAnalysisPanel({ floorId, configVersion }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    const result = await getFloorAnalysis(floorId);
+    setLoading(false);
+    if (result.success) {
+      setReport(result.data);
+      setError('');
+    } else {
+      setError(result.error || 'Failed to analyse floor');
+    }
+  }, [floorId]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport, configVersion]);
+
+  const action = (
+    <Button variant="outline" size="small" onClick={loadReport} loading={loading}>
+      <RefreshCw className="w-4 h-4" /> Re-run
+    </Button>
+  );
+
+  return (
+    <Card title="Graph Integrity" action={action}>
+      <div className="p-6 space-y-4">
+        {!report ? (
+          error
+            ? <p className="text-sm text-danger-500">{error}</p>
+            : <div className="flex justify-center py-4"><Spinner /></div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              {SEVERITIES.map(({ key, label, variant }) => (
+                <Badge key={key} variant={report.summary[key] > 0 ? variant : 'default'}>
+                  {report.summary[key]} {label.toLowerCase()}
+                </Badge>
+              ))}
+              <span className="text-sm text-gray-500">
+                {report.summary.nodes} nodes · {report.summary.edges} edges · {report.summary.exits} exits · {report.summary.screens} screens
+              </span>
+            </div>
+
+            {report.issues.length === 0 ? (
+              <div className="flex items-center gap-2 text-success-700">
+                <ShieldCheck className="w-5 h-5" />
+                <span className="text-sm">No issues found: every node reaches an exit</span>
+              </div>
+            ) : (
+              <div className="space-y-3 max-h-80 overflow-y-auto">
+                {SEVERITIES.map(({ key, label, Icon, color }) => {
+                  const issues = report.issues.filter(issue => issue.severity === key);
+                  if (issues.length === 0) return null;
+                  return (
+                    <div key={key}>
+                      <p className="text-sm font-semibold text-gray-900">{label}</p>
+                      <ul className="mt-1 space-y-1">
+                        {issues.map((issue, index) => (
+                          <li key={`${issue.type}-${index}`} className="flex items-start gap-2 text-sm text-gray-700">
+                            <Icon className={`w-4 h-4 mt-0.5 shrink-0 ${color}`} />
+                            {issue.message}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            <div className="pt-4 border-t border-gray-100 text-sm">
+              <p className="font-semibold text-gray-900">Travel Distance</p>
+              {report.travel.worstCase ? (
+                <p className="text-gray-700">
+                  Worst case {formatDistance(report.travel.worstCase.distance, report.unit)} from{' '}
+                  {report.travel.worstCase.nodeId} to {report.travel.worstCase.exitNode}
+                </p>
+              ) : (
+                <p className="text-gray-500">No node reaches an exit</p>
+              )}
+              {report.unit === 'px' && (
+                <p className="text-gray-500">Distances in pixels: set the floor dimensions to measure in meters</p>
+              )}
+              {report.travel.screens.length > 0 && (
+                <div className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-1">
+                  {report.travel.screens.map(screen => (
+                    <div key={screen.screenId} className="flex justify-between text-gray-700">
+                      <span>{screen.screenId} <span className="text-gray-400">@ {screen.nodeId}</span></span>
+                      <span>
+                        {screen.exitNode ? `${formatDistance(screen.distance, report.unit)} → ${screen.exitNode}` : 'no exit'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+export default FloorAnalysisPanel;
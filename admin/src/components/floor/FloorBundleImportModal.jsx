@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Floor Bundle Import Modal
+ * @description Imports a floor exported from another server (e.g. staging).
+ *              A dry run shows what the import would do - create or replace,
+ *              renamed IDs, validation errors, changes to the replaced floor -
+ *              before anything is saved.
+ *
+ * @module components/floor/FloorBundleImportModal
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { CheckCircle2, AlertTriangle } from 'lucide-react';
+import { Button, Input, Select, Badge } from '../ui';
+import { Modal } from '../ui/Modal';
+import { VersionDiff } from './FloorVersionsPanel';
+import { importFloorBundle } from '../../services/floorService';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+const ON_EXISTING_OPTIONS = [
+  { value: 'fail', label: 'Fail if the floor exists' },
+  { value: 'replace', label: 'Replace the existing floor' },
+];
+
+const ON_ID_CONFLICT_OPTIONS = [
+  { value: 'fail', label: 'Fail on IDs used by other floors' },
+  { value: 'rename', label: 'Rename conflicting IDs' },
+];
+
+/* ============================================================
+ * IMPORT REPORT
+ * ============================================================ */
+
+function ImportReport({ report }) {
+  const renamedEntries = Object.entries(report.renamed || {})
+    .flatMap(([type, ids]) => Object.entries(ids).map(([from, to]) => ({ type, from, to })));
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-lg">
+      <div className="flex items-center gap-2">
+        {report.valid
+          ? <CheckCircle2 className="w-5 h-5 text-success-500" />
+          : <AlertTriangle className="w-5 h-5 text-danger-500" />}
+        <span className="font-semibold text-gray-900">
+          {report.action === 'replace' ? 'Replace' : 'Create'} {report.floorId}
+        </span>
+        {report.source?.floorId && (
+          <Badge>from {report.source.floorId}{report.source.version ? ` v${report.source.version}` : ''}</Badge>
+        )}
+        {!report.hasMapImage && <Badge variant="warning">no map image</Badge>}
+      </div>
+
+      {report.errors?.length > 0 && (
+        <ul className="text-sm text-danger-700 list-disc pl-5">
+          {report.errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      {renamedEntries.length > 0 && (
+        <div className="text-sm">
+          <p className="font-semibold text-gray-900">Renamed IDs ({renamedEntries.length})</p>
+          <p className="text-gray-600">
+            {renamedEntries.map(entry => `${entry.from} → ${entry.to}`).join(', ')}
+          </p>
+        </div>
+      )}
+
+      {report.diff && (
+        <div>
+          <p className="text-sm font-semibold text-gray-900 mb-1">Changes to the existing floor</p>
+          <VersionDiff diff={report.diff} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+ * FLOOR BUNDLE IMPORT MODAL
+ * ============================================================ */
+
+/**
+ * Modal to import a floor bundle.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Modal visibility
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onImported - Called with { floor, version, renamed } and the save warnings after the import
+ * @returns {JSX.Element|null} Import modal
+ */
+export function FloorBundleImportModal({ isOpen, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [targetId, setTargetId] = useState('');
+  const [onExisting, setOnExisting] = useState('fail');
+  const [onIdConflict, setOnIdConflict] = useState('fail');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setTargetId('');
+    setOnExisting('fail');
+    setOnIdConflict('fail');
+    setReport(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  // Options changed since the dry run: its report no longer applies
+  const updateOption = (setter) => (e) => {
+    setter(e.target.value);
+    setReport(null);
+  };
+
+  const runImport = async (dryRun) => {
+    setWorking(true);
+    setError('');
+    const result = await importFloorBundle(file, {
+      targetId: targetId.trim(),
+      onExisting,
+      onIdConflict,
+      dryRun,
+    });
+    setWorking(false);
+
+    if (!result.success) {
+      setError(result.error || 'Import failed');
+      // Rejected imports still carry the report
+      if (result.data?.errors) setReport(result.data);
+      return;
+    }
+    if (dryRun) {
+      setReport(result.data);
+    } else {
+      reset();
+      onImported(result.data, result.warnings || []);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title="Import Floor Bundle"
+      size="large"
+      footer={
+        <>
+          <Button variant="outline" onClick={handleClose} disabled={working}>
+            Cancel
+          </Button>
+          <Button variant="outline-primary" onClick={() => runImport(true)} disabled={!file} loading={working}>
+            Dry Run
+          </Button>
+          <Button variant="primary" onClick={() => runImport(false)} disabled={!file || !report?.valid || working}>
+            Import
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <Input
+          label="Bundle File"
+          type="file"
+          accept=".json"
+          hint="A .floor.json file exported from the floor detail page"
+          onChange={(e) => {
+            setFile(e.target.files?.[0] || null);
+            setReport(null);
+          }}
+        />
+        <Input
+          label="Target Floor ID"
+          placeholder="Same as in the bundle"
+          value={targetId}
+          onChange={updateOption(setTargetId)}
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            label="Existing Floor"
+            options={ON_EXISTING_OPTIONS}
+            placeholder=""
+            value={onExisting}
+            onChange={updateOption(setOnExisting)}
+          />
+          <Select
+            label="ID Conflicts"
+            options={ON_ID_CONFLICT_OPTIONS}
+            placeholder=""
+            value={onIdConflict}
+            onChange={updateOption(setOnIdConflict)}
+          />
+        </div>
+
+        {error && <p className="text-sm text-danger-500">{error}</p>}
+        {report && <ImportReport report={report} />}
+        {!report && file && (
+          <p className="text-sm text-gray-500">Run a dry run to check the bundle before importing.</p>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+export default FloorBundleImportModal;
@@ -0,0 +1,754 @@
+/**
+ * @fileoverview Floor Graph Editor
+ * @description Visual editor for a floor's graph, drawn as an SVG overlay on
+ *              the uploaded floor plan. Node coordinates are pixels of the
+ *              plan image, as the routing engine expects.
+ *
+ * @module components/floor/FloorGraphEditor
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @description
+ * Interactions:
+ * ┌─────────────────────────────────────────────────────────────┐
+ * │  Select mode : click to select, drag nodes to move them     │
+ * │  Node mode   : click the plan to place a node               │
+ * │  Edge mode   : drag from one node to another to connect     │
+ * │  Palette     : drop a camera onto an edge, a screen or an   │
+ * │                exit onto a node (or empty spot = new node)  │
+ * │  Keyboard    : Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y), Delete, Esc  │
+ * └─────────────────────────────────────────────────────────────┘
+ *
+ * The editor works directly on the floor form state (nodes, edges, cameras,
+ * startPoints, exitPoints) through onChange, so the form rows below it and
+ * the canvas always show the same graph.
+ */
+
+import { useState, useRef, useEffect, useMemo } from 'react';
+import {
+  MousePointer2,
+  CirclePlus,
+  Spline,
+  Undo2,
+  Redo2,
+  Trash2,
+  Camera,
+  Monitor,
+  DoorOpen,
+  AlertTriangle,
+  CheckCircle2,
+} from 'lucide-react';
+import { Button } from '../ui';
+import { cn, parseIdList, nextFreeId } from '../../utils/helpers';
+import { NODE_TYPES, TRAVERSAL_TYPES, EDGE_DIRECTIONS } from '../../config';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+/** Drag-and-drop data type of palette items */
+const DRAG_MIME = 'application/x-ees-floor-item';
+
+/** Sizes in screen pixels (scaled to image pixels when drawn) */
+const NODE_RADIUS = 8;
+const SNAP_DISTANCE = 14;
+const CAMERA_SIZE = 18;
+
+/** Plan size used until an image is loaded */
+const FALLBACK_SIZE = { width: 800, height: 500 };
+
+const MODES = [
+  { value: 'select', label: 'Select', icon: MousePointer2, hint: 'Click to select, drag nodes to move them' },
+  { value: 'node', label: 'Node', icon: CirclePlus, hint: 'Click the plan to place a node' },
+  { value: 'edge', label: 'Edge', icon: Spline, hint: 'Drag from one node to another to connect them' },
+];
+
+const PALETTE = [
+  { value: 'camera', label: 'Camera', icon: Camera, hint: 'Drop onto an edge' },
+  { value: 'screen', label: 'Screen', icon: Monitor, hint: 'Drop onto a node' },
+  { value: 'exit', label: 'Exit', icon: DoorOpen, hint: 'Drop onto a node' },
+];
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Node position as numbers
+ * @param {Object} node - Form node (x/y may be strings)
+ * @returns {Object|null} { x, y } or null when not placed
+ */
+const positionOf = (node) => {
+  const x = parseFloat(node.x);
+  const y = parseFloat(node.y);
+  return isNaN(x) || isNaN(y) ? null : { x, y };
+};
+
+/**
+ * Accessibility suffix of a node/edge description
+ * @param {Object} item - Form node or edge
+ * @returns {string} e.g. ' · Stairs · not step-free', empty for accessible level items
+ */
+const describeAccess = (item) => {
+  const traversal = item.traversalType && item.traversalType !== 'level'
+    ? ` · ${TRAVERSAL_TYPES.find(t => t.value === item.traversalType)?.label || item.traversalType}`
+    : '';
+  return `${traversal}${item.accessible === false ? ' · not step-free' : ''}`;
+};
+
+/**
+ * Direction suffix of an edge description
+ * @param {Object} edge - Form edge
+ * @returns {string} e.g. ' · one-way From → To · evacuation: Both Ways', empty for two-way edges
+ */
+const describeDirection = (edge) => {
+  const label = (value) => EDGE_DIRECTIONS.find(d => d.value === value)?.label || value;
+  const direction = edge.direction || 'bidirectional';
+  const everyday = direction !== 'bidirectional' ? ` · one-way ${label(direction)}` : '';
+  const evacuation = edge.evacuationDirection && edge.evacuationDirection !== direction
+    ? ` · evacuation: ${label(edge.evacuationDirection)}`
+    : '';
+  return `${everyday}${evacuation}`;
+};
+
+/**
+ * Distance from a point to a line segment
+ * @returns {number} Distance in image pixels
+ */
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Removes edges and every reference to them from the form
+ * @param {Object} form - Floor form state
+ * @param {Set<string>} edgeIds - Edges to remove
+ * @returns {Object} Updated form state
+ */
+const withoutEdges = (form, edgeIds) => ({
+  ...form,
+  edges: form.edges.filter(e => !edgeIds.has(e.id)),
+  cameras: form.cameras
+    .filter(c => !edgeIds.has(c.edgeId))
+    .map(c => ({ ...c, extraEdges: c.extraEdges.filter(x => !edgeIds.has(x.edgeId)) })),
+});
+
+/**
+ * Removes a node, its edges and every reference to them from the form
+ * @param {Object} form - Floor form state
+ * @param {number} index - Node index
+ * @returns {Object} Updated form state
+ */
+const withoutNode = (form, index) => {
+  const nodeId = form.nodes[index].id;
+  const edgeIds = new Set(form.edges.filter(e => e.from === nodeId || e.to === nodeId).map(e => e.id));
+  const dropNode = (list) => parseIdList(list).filter(id => id !== nodeId).join(', ');
+
+  return {
+    ...withoutEdges(form, edgeIds),
+    nodes: form.nodes.filter((_, i) => i !== index),
+    startPoints: dropNode(form.startPoints),
+    exitPoints: dropNode(form.exitPoints),
+    stepFreeScreens: (form.stepFreeScreens || []).filter(id => id !== nodeId),
+  };
+};
+
+/* ============================================================
+ * FLOOR GRAPH EDITOR COMPONENT
+ * ============================================================ */
+
+/**
+ * Floor graph editor
+ *
+ * @param {Object} props - Component props
+ * @param {string|null} props.imageUrl - Floor plan image (URL or data URL)
+ * @param {Object} props.form - Floor form state (nodes, edges, cameras, startPoints, exitPoints)
+ * @param {Function} props.onChange - (updater, { merge }) => void, updater maps form → form
+ * @param {Object} props.defaults - New item templates { node, edge, camera }
+ * @param {string[]} [props.errors=[]] - Live validation errors of the graph
+ * @param {Object} props.history - { undo, redo, canUndo, canRedo }
+ * @returns {JSX.Element} Editor
+ *
+ * @example
+ * <FloorGraphEditor
+ *   imageUrl={imagePreview}
+ *   form={form}
+ *   onChange={setForm}
+ *   defaults={{ node: initialNodeState, edge: initialEdgeState, camera: initialCameraState }}
+ *   errors={graphErrors}
+ *   history={{ undo, redo, canUndo, canRedo }}
+ * />
+ */
+export function FloorGraphEditor({ imageUrl, form, onChange, defaults, errors = [], history }) {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const [mode, setMode] = useState('select');
+  const [selection, setSelection] = useState(null);
+  const [edgePreview, setEdgePreview] = useState(null);
+  const [imageSize, setImageSize] = useState(null);
+  const [unit, setUnit] = useState(1);
+  const [notice, setNotice] = useState(null);
+
+  const screenIds = useMemo(() => new Set(parseIdList(form.startPoints)), [form.startPoints]);
+  const exitIds = useMemo(() => new Set(parseIdList(form.exitPoints)), [form.exitPoints]);
+
+  // Without an image, size the plan to fit the placed nodes
+  const size = useMemo(() => {
+    if (imageUrl && imageSize?.url === imageUrl) return imageSize;
+    const positions = form.nodes.map(positionOf).filter(Boolean);
+    return {
+      width: Math.max(FALLBACK_SIZE.width, ...positions.map(p => p.x + 50)),
+      height: Math.max(FALLBACK_SIZE.height, ...positions.map(p => p.y + 50)),
+    };
+  }, [imageUrl, imageSize, form.nodes]);
+
+  const nodePositions = useMemo(() => {
+    const positions = new Map();
+    form.nodes.forEach(node => {
+      const position = positionOf(node);
+      if (node.id && position) positions.set(node.id, position);
+    });
+    return positions;
+  }, [form.nodes]);
+
+  // Image pixels per screen pixel, so markers keep their on-screen size
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const updateUnit = () => {
+      const width = svg.getBoundingClientRect().width;
+      if (width > 0) setUnit(size.width / width);
+    };
+    updateUnit();
+    const observer = new ResizeObserver(updateUnit);
+    observer.observe(svg);
+    return () => observer.disconnect();
+  }, [size.width]);
+
+  /* ----------------------------------------
+   * HIT TESTING
+   * ---------------------------------------- */
+
+  /**
+   * Converts a pointer position to image pixels
+   * @returns {Object} { x, y } rounded and clamped to the plan
+   */
+  const toPlanPoint = (clientX, clientY) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return {
+      x: Math.max(0, Math.min(size.width, Math.round(x))),
+      y: Math.max(0, Math.min(size.height, Math.round(y))),
+    };
+  };
+
+  /**
+   * Index of the node closest to a point, within snapping distance
+   * @returns {number} Node index or -1
+   */
+  const nodeAt = (point) => {
+    let best = -1;
+    let bestDistance = SNAP_DISTANCE * unit;
+    form.nodes.forEach((node, index) => {
+      const position = positionOf(node);
+      if (!position) return;
+      const distance = Math.hypot(position.x - point.x, position.y - point.y);
+      if (distance <= bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  /**
+   * Index of the edge closest to a point, within snapping distance
+   * @returns {number} Edge index or -1
+   */
+  const edgeAt = (point) => {
+    let best = -1;
+    let bestDistance = SNAP_DISTANCE * unit;
+    form.edges.forEach((edge, index) => {
+      const from = nodePositions.get(edge.from);
+      const to = nodePositions.get(edge.to);
+      if (!from || !to) return;
+      const distance = distanceToSegment(point, from, to);
+      if (distance <= bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+
+  /* ----------------------------------------
+   * EDITING ACTIONS
+   * ---------------------------------------- */
+
+  const createNode = (point, fields = {}) => ({
+    ...defaults.node,
+    id: nextFreeId('N', form.nodes.map(n => n.id)),
+    x: String(point.x),
+    y: String(point.y),
+    ...fields,
+  });
+
+  const placeNode = (point) => {
+    const node = createNode(point);
+    onChange(prev => ({ ...prev, nodes: [...prev.nodes, node] }));
+    setSelection({ kind: 'node', index: form.nodes.length });
+  };
+
+  const connectNodes = (fromIndex, toIndex) => {
+    const from = form.nodes[fromIndex].id;
+    const to = form.nodes[toIndex].id;
+    if (!from || !to) {
+      setNotice('Give both nodes an ID before connecting them');
+      return;
+    }
+    if (form.edges.some(e => (e.from === from && e.to === to) || (e.from === to && e.to === from))) {
+      setNotice(`${from} and ${to} are already connected`);
+      return;
+    }
+
+    const edge = { ...defaults.edge, id: nextFreeId('E', form.edges.map(e => e.id)), from, to };
+    onChange(prev => ({ ...prev, edges: [...prev.edges, edge] }));
+    setSelection({ kind: 'edge', index: form.edges.length });
+  };
+
+  const moveNode = (index, point, merge) => {
+    onChange(prev => ({
+      ...prev,
+      nodes: prev.nodes.map((node, i) => (i === index ? { ...node, x: String(point.x), y: String(point.y) } : node)),
+    }), { merge });
+  };
+
+  const deleteSelection = () => {
+    if (!selection) return;
+    const { kind, index } = selection;
+
+    if (kind === 'node') {
+      onChange(prev => withoutNode(prev, index));
+    } else if (kind === 'edge') {
+      onChange(prev => withoutEdges(prev, new Set([prev.edges[index].id])));
+    } else if (kind === 'camera') {
+      onChange(prev => ({ ...prev, cameras: prev.cameras.filter((_, i) => i !== index) }));
+    }
+    setSelection(null);
+  };
+
+  /**
+   * Adds a node to startPoints or exitPoints; a drop on an empty spot
+   * creates the node first
+   */
+  const dropOnNode = (item, point) => {
+    const listField = item === 'screen' ? 'startPoints' : 'exitPoints';
+    const index = nodeAt(point);
+    const existing = index >= 0 ? form.nodes[index] : null;
+
+    if (existing && !existing.id) {
+      setNotice('Give the node an ID first');
+      return;
+    }
+    if (existing && parseIdList(form[listField]).includes(existing.id)) {
+      setNotice(`${existing.id} already has ${item === 'screen' ? 'a screen' : 'an exit'}`);
+      return;
+    }
+
+    const node = existing || createNode(point, item === 'exit' ? { type: 'exit' } : {});
+    onChange(prev => ({
+      ...prev,
+      nodes: existing
+        ? prev.nodes.map((n, i) => (i === index && item === 'exit' ? { ...n, type: 'exit' } : n))
+        : [...prev.nodes, node],
+      [listField]: [...parseIdList(prev[listField]), node.id].join(', '),
+    }));
+    setSelection({ kind: 'node', index: existing ? index : form.nodes.length });
+  };
+
+  const dropCamera = (point) => {
+    const index = edgeAt(point);
+    if (index < 0) {
+      setNotice('Drop cameras onto an edge');
+      return;
+    }
+
+    const camera = {
+      ...defaults.camera,
+      cameraId: nextFreeId('CAM_', form.cameras.map(c => c.cameraId)),
+      edgeId: form.edges[index].id,
+    };
+    onChange(prev => ({ ...prev, cameras: [...prev.cameras, camera] }));
+    setSelection({ kind: 'camera', index: form.cameras.length });
+  };
+
+  /* ----------------------------------------
+   * POINTER, DROP & KEYBOARD HANDLERS
+   * ---------------------------------------- */
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    setNotice(null);
+    const point = toPlanPoint(e.clientX, e.clientY);
+    const nodeIndex = nodeAt(point);
+
+    if (mode === 'node') {
+      if (nodeIndex >= 0) setSelection({ kind: 'node', index: nodeIndex });
+      else placeNode(point);
+      return;
+    }
+
+    if (mode === 'edge') {
+      if (nodeIndex < 0) return;
+      dragRef.current = { type: 'edge', from: nodeIndex };
+      setEdgePreview({ from: positionOf(form.nodes[nodeIndex]), to: point });
+      svgRef.current.setPointerCapture(e.pointerId);
+      return;
+    }
+
+    // Select mode: cameras sit on top of edges and nodes
+    const cameraIndex = e.target.closest('[data-camera-index]')?.dataset.cameraIndex;
+    if (cameraIndex !== undefined) {
+      setSelection({ kind: 'camera', index: Number(cameraIndex) });
+    } else if (nodeIndex >= 0) {
+      setSelection({ kind: 'node', index: nodeIndex });
+      dragRef.current = { type: 'move', index: nodeIndex, merge: `move:${Date.now()}` };
+      svgRef.current.setPointerCapture(e.pointerId);
+    } else {
+      const edgeIndex = edgeAt(point);
+      setSelection(edgeIndex >= 0 ? { kind: 'edge', index: edgeIndex } : null);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toPlanPoint(e.clientX, e.clientY);
+
+    if (drag.type === 'move') moveNode(drag.index, point, drag.merge);
+    else setEdgePreview(prev => prev && { ...prev, to: point });
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag) return;
+
+    if (drag.type === 'edge') {
+      setEdgePreview(null);
+      const target = nodeAt(toPlanPoint(e.clientX, e.clientY));
+      if (target >= 0 && target !== drag.from) connectNodes(drag.from, target);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const item = e.dataTransfer.getData(DRAG_MIME);
+    if (!PALETTE.some(p => p.value === item)) return;
+    setNotice(null);
+
+    const point = toPlanPoint(e.clientX, e.clientY);
+    if (item === 'camera') dropCamera(point);
+    else dropOnNode(item, point);
+  };
+
+  const undo = () => {
+    setSelection(null);
+    history.undo();
+  };
+
+  const redo = () => {
+    setSelection(null);
+    history.redo();
+  };
+
+  const handleKeyDown = (e) => {
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+      e.preventDefault();
+      redo();
+    } else if (key === 'delete' || key === 'backspace') {
+      e.preventDefault();
+      deleteSelection();
+    } else if (key === 'escape') {
+      setSelection(null);
+      setMode('select');
+    }
+  };
+
+  /* ----------------------------------------
+   * RENDERING
+   * ---------------------------------------- */
+
+  // Cameras sharing an edge are stacked beside its midpoint
+  const cameraMarkers = [];
+  const camerasPerEdge = {};
+  form.cameras.forEach((camera, index) => {
+    const edge = form.edges.find(e => e.id === camera.edgeId);
+    const from = edge && nodePositions.get(edge.from);
+    const to = edge && nodePositions.get(edge.to);
+    if (!from || !to) return;
+
+    const slot = camerasPerEdge[edge.id] = (camerasPerEdge[edge.id] ?? -1) + 1;
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const offset = (slot + 1) * CAMERA_SIZE * unit;
+    cameraMarkers.push({
+      index,
+      camera,
+      x: (from.x + to.x) / 2 - ((to.y - from.y) / length) * offset,
+      y: (from.y + to.y) / 2 + ((to.x - from.x) / length) * offset,
+    });
+  });
+
+  const isSelected = (kind, index) => selection?.kind === kind && selection.index === index;
+  const selected = selection && {
+    node: form.nodes,
+    edge: form.edges,
+    camera: form.cameras,
+  }[selection.kind][selection.index];
+  const currentMode = MODES.find(m => m.value === mode);
+
+  /**
+   * One-line description of the selected item
+   * @returns {string|null}
+   */
+  const describeSelection = () => {
+    if (!selected) return null;
+    if (selection.kind === 'node') {
+      const type = NODE_TYPES.find(t => t.value === selected.type)?.label || selected.type;
+      return `Node ${selected.id || '(no ID)'} · ${type} · (${selected.x}, ${selected.y})${describeAccess(selected)}`;
+    }
+    if (selection.kind === 'edge') {
+      return `Edge ${selected.id || '(no ID)'} · ${selected.from} → ${selected.to}${describeDirection(selected)}${describeAccess(selected)}`;
+    }
+    return `Camera ${selected.cameraId || '(no ID)'} · on ${selected.edgeId}`;
+  };
+
+  return (
+    <div className="space-y-3 outline-none" tabIndex={0} onKeyDown={handleKeyDown}>
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        {MODES.map(({ value, label, icon: Icon }) => (
+          <Button
+            key={value}
+            type="button"
+            size="small"
+            variant={mode === value ? 'primary' : 'outline'}
+            onClick={() => setMode(value)}
+          >
+            <Icon className="w-4 h-4" /> {label}
+          </Button>
+        ))}
+
+        <div className="w-px h-6 bg-gray-200 mx-1" />
+
+        {PALETTE.map(({ value, label, icon: Icon, hint }) => (
+          <div
+            key={value}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData(DRAG_MIME, value);
+              e.dataTransfer.effectAllowed = 'copy';
+            }}
+            title={hint}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold text-gray-700 bg-gray-100 rounded-lg cursor-grab active:cursor-grabbing"
+          >
+            <Icon className="w-4 h-4" /> {label}
+          </div>
+        ))}
+
+        <div className="flex items-center gap-2 ml-auto">
+          <Button type="button" variant="ghost" size="small" onClick={undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)">
+            <Undo2 className="w-4 h-4" />
+          </Button>
+          <Button type="button" variant="ghost" size="small" onClick={redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)">
+            <Redo2 className="w-4 h-4" />
+          </Button>
+          <Button type="button" variant="ghost" size="small" onClick={deleteSelection} disabled={!selected} title="Delete (Del)">
+            <Trash2 className="w-4 h-4 text-danger-500" />
+          </Button>
+        </div>
+      </div>
+
+      {/* Plan */}
+      <div className="relative border border-gray-200 rounded-lg overflow-hidden bg-gray-50 select-none">
+        {imageUrl && (
+          <img
+            src={imageUrl}
+            alt="Floor map"
+            className="w-full h-auto block"
+            draggable={false}
+            onLoad={(e) => setImageSize({ url: imageUrl, width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          />
+        )}
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          className={cn(
+            imageUrl ? 'absolute inset-0 w-full h-full' : 'block w-full h-auto',
+            mode === 'node' ? 'cursor-crosshair' : 'cursor-default'
+          )}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={handleDrop}
+        >
+          <defs>
+            {/* Arrowhead halfway along one-way edges */}
+            <marker id="floor-editor-arrow" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="4" markerHeight="4" orient="auto">
+              <path d="M 0 0 L 10 5 L 0 10 z" className="fill-gray-700" />
+            </marker>
+          </defs>
+
+          {!imageUrl && (
+            <>
+              <defs>
+                <pattern id="floor-editor-grid" width="50" height="50" patternUnits="userSpaceOnUse">
+                  <path d="M 50 0 L 0 0 0 50" fill="none" className="stroke-gray-200" strokeWidth="1" />
+                </pattern>
+              </defs>
+              <rect width={size.width} height={size.height} fill="url(#floor-editor-grid)" />
+            </>
+          )}
+
+          {/* Edges */}
+          {form.edges.map((edge, index) => {
+            // Drawn in walking direction, so the mid-point arrow points the right way
+            const reverse = edge.direction === 'reverse';
+            const from = nodePositions.get(reverse ? edge.to : edge.from);
+            const to = nodePositions.get(reverse ? edge.from : edge.to);
+            if (!from || !to) return null;
+            return (
+              <polyline
+                key={index}
+                points={`${from.x},${from.y} ${(from.x + to.x) / 2},${(from.y + to.y) / 2} ${to.x},${to.y}`}
+                fill="none"
+                strokeWidth={(isSelected('edge', index) ? 5 : 3) * unit}
+                strokeLinecap="round"
+                markerMid={edge.direction && edge.direction !== 'bidirectional' ? 'url(#floor-editor-arrow)' : undefined}
+                className={isSelected('edge', index) ? 'stroke-primary-500' : 'stroke-gray-500'}
+              />
+            );
+          })}
+
+          {edgePreview && (
+            <line
+              x1={edgePreview.from.x}
+              y1={edgePreview.from.y}
+              x2={edgePreview.to.x}
+              y2={edgePreview.to.y}
+              strokeWidth={3 * unit}
+              strokeDasharray={`${6 * unit} ${4 * unit}`}
+              className="stroke-primary-500"
+            />
+          )}
+
+          {/* Nodes */}
+          {form.nodes.map((node, index) => {
+            const position = positionOf(node);
+            if (!position) return null;
+            const isExit = exitIds.has(node.id);
+            return (
+              <g key={index}>
+                {screenIds.has(node.id) && (
+                  <circle
+                    cx={position.x}
+                    cy={position.y}
+                    r={(NODE_RADIUS + 4) * unit}
+                    fill="none"
+                    strokeWidth={2 * unit}
+                    className="stroke-primary-500"
+                  />
+                )}
+                <circle
+                  cx={position.x}
+                  cy={position.y}
+                  r={NODE_RADIUS * unit}
+                  strokeWidth={2 * unit}
+                  className={cn(
+                    isExit ? 'fill-success-500' : 'fill-gray-400',
+                    isSelected('node', index) ? 'stroke-primary-600' : 'stroke-white'
+                  )}
+                />
+                <text
+                  x={position.x}
+                  y={position.y - (NODE_RADIUS + 6) * unit}
+                  textAnchor="middle"
+                  fontSize={11 * unit}
+                  fontWeight="600"
+                  className="fill-gray-800 pointer-events-none"
+                >
+                  {node.id}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Cameras */}
+          {cameraMarkers.map(({ index, camera, x, y }) => (
+            <g key={index} data-camera-index={index} className="cursor-pointer">
+              <rect
+                x={x - (CAMERA_SIZE / 2) * unit}
+                y={y - (CAMERA_SIZE / 2) * unit}
+                width={CAMERA_SIZE * unit}
+                height={CAMERA_SIZE * unit}
+                rx={4 * unit}
+                strokeWidth={2 * unit}
+                className={cn('fill-white', isSelected('camera', index) ? 'stroke-primary-600' : 'stroke-gray-500')}
+              />
+              <Camera
+                x={x - 6 * unit}
+                y={y - 6 * unit}
+                width={12 * unit}
+                height={12 * unit}
+                className="text-gray-700"
+              />
+              <title>{camera.cameraId}</title>
+            </g>
+          ))}
+        </svg>
+      </div>
+
+      {/* Status */}
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="text-gray-500">{notice || describeSelection() || currentMode.hint}</span>
+        <span className="flex items-center gap-3 text-xs text-gray-500">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-gray-400" /> Node</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-success-500" /> Exit</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full border-2 border-primary-500" /> Screen</span>
+          <span className="flex items-center gap-1"><span className="text-gray-700">▶</span> One-way</span>
+        </span>
+      </div>
+
+      {errors.length > 0 ? (
+        <div className="p-3 bg-danger-50 rounded-lg max-h-40 overflow-y-auto">
+          {errors.map((error, i) => (
+            <p key={i} className="flex items-start gap-2 text-sm text-danger-600">
+              <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" /> {error}
+            </p>
+          ))}
+        </div>
+      ) : (
+        <p className="flex items-center gap-2 text-sm text-success-600">
+          <CheckCircle2 className="w-4 h-4" /> Graph is valid
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FloorGraphEditor;
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Floor Versions Panel
+ * @description Version history of a floor's configuration: who changed
+ *              what and when, the diff of each version, and rollback to a
+ *              previous version.
+ *
+ * @module components/floor/FloorVersionsPanel
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @description
+ * Every save (create, edit, bundle import, rollback) adds a version on the
+ * server. The diff of a version is shown against the version before it;
+ * restoring applies the configuration only - live readings, overrides and
+ * device status are kept.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { History, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import { Card, Badge, Button, Spinner } from '../ui';
+import { ConfirmModal } from '../ui/Modal';
+import { getFloorVersions, getFloorVersionDiff, restoreFloorVersion } from '../../services/floorService';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+/** Badge variant per version source */
+const SOURCE_VARIANTS = {
+  baseline: 'default',
+  create: 'success',
+  update: 'primary',
+  import: 'warning',
+  rollback: 'danger',
+};
+
+/** Element lists of a diff, with display labels */
+const DIFF_SECTIONS = [
+  ['nodes', 'Nodes'],
+  ['edges', 'Edges'],
+  ['cameras', 'Cameras'],
+  ['screens', 'Screens'],
+  ['exits', 'Exits'],
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/* ============================================================
+ * VERSION DIFF
+ * ============================================================ */
+
+/**
+ * Changes of one version, grouped by element type.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.diff - Diff from the versions API
+ * @returns {JSX.Element} Diff listing
+ */
+export function VersionDiff({ diff }) {
+  if (!diff || diff.changeCount === 0) {
+    return <p className="text-sm text-gray-500">No configuration changes</p>;
+  }
+
+  const elementId = (element) => element.id || element.nodeId;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {Object.entries(diff.fields || {}).map(([field, change]) => (
+        <p key={field} className="text-gray-700">
+          <span className="font-semibold">{field}</span>: {formatValue(change.from)} → {formatValue(change.to)}
+        </p>
+      ))}
+
+      {DIFF_SECTIONS.map(([type, label]) => {
+        const section = diff[type];
+        if (!section || section.added.length + section.removed.length + section.changed.length === 0) {
+          return null;
+        }
+        return (
+          <div key={type}>
+            <p className="font-semibold text-gray-900">{label}</p>
+            <ul className="mt-1 space-y-1">
+              {section.added.map(element => (
+                <li key={`added-${elementId(element)}`} className="text-success-700">+ {elementId(element)}</li>
+              ))}
+              {section.removed.map(element => (
+                <li key={`removed-${elementId(element)}`} className="text-danger-700">− {elementId(element)}</li>
+              ))}
+              {section.changed.map(change => (
+                <li key={`changed-${change.id}`} className="text-gray-700">
+                  ~ {change.id}:{' '}
+                  {Object.entries(change.fields).map(([field, values]) => (
+                    <span key={field} className="mr-2">
+                      {field} {formatValue(values.from)} → {formatValue(values.to)}
+                    </span>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============================================================
+ * FLOOR VERSIONS PANEL
+ * ============================================================ */
+
+/**
+ * Version history card of a floor.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.floorId - Floor ID
+ * @param {Function} props.onRestored - Called with the API message and save warnings after a rollback
+ * @param {Function} props.onError - Called with an error message
+ * @returns {JSX.Element} Versions card
+ *
+ * @example
+ * <FloorVersionsPanel floorId={floor.id} onRestored={reloadFloor} onError={notify} />
+ */
+export function FloorVersionsPanel({ floorId, onRestored, onError }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [diffs, setDiffs] = useState({});
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    const result = await getFloorVersions(floorId);
+    setLoading(false);
+    if (result.success) {
+      setVersions(result.data?.versions || []);
+    }
+  }, [floorId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const toggleVersion = async (version) => {
+    if (expanded === version) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(version);
+    if (diffs[version]) return;
+
+    const result = await getFloorVersionDiff(floorId, version);
+    if (result.success) {
+      setDiffs(prev => ({ ...prev, [version]: result.data.diff }));
+    } else {
+      onError(result.error || 'Failed to load version diff');
+    }
+  };
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    const result = await restoreFloorVersion(floorId, restoreTarget);
+    setRestoring(false);
+    setRestoreTarget(null);
+
+    if (result.success) {
+      setDiffs({});
+      setExpanded(null);
+      loadVersions();
+      onRestored(result.message, result.warnings || []);
+    } else {
+      onError(result.error || 'Failed to restore version');
+    }
+  };
+
+  const latestVersion = versions[0]?.version;
+
+  return (
+    <Card title={`Version History (${versions.length})`} action={<History className="w-5 h-5 text-gray-400" />}>
+      <div className="p-6 max-h-96 overflow-y-auto">
+        {loading && versions.length === 0 ? (
+          <div className="flex justify-center py-4"><Spinner /></div>
+        ) : versions.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No versions recorded yet</p>
+        ) : (
+          <div className="space-y-2">
+            {versions.map(entry => (
+              <div key={entry.version} className="bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between gap-3 p-3">
+                  <button
+                    className="flex items-center gap-3 text-left"
+                    onClick={() => toggleVersion(entry.version)}
+                  >
+                    {expanded === entry.version
+                      ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                      : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                    <span className="font-semibold text-gray-900">v{entry.version}</span>
+                    <Badge variant={SOURCE_VARIANTS[entry.source]}>{entry.source}</Badge>
+                    <span className="text-sm text-gray-500">
+                      {entry.summary?.nodes} nodes · {entry.summary?.edges} edges · {entry.summary?.cameras} cameras
+                    </span>
+                  </button>
+                  <div className="flex items-center gap-3">
+                    <div className="text-sm text-gray-500 text-right">
+                      <p>{entry.author}</p>
+                      <p>{new Date(entry.createdAt).toLocaleString()}</p>
+                    </div>
+                    {entry.version !== latestVersion && (
+                      <Button variant="outline" size="small" onClick={() => setRestoreTarget(entry.version)}>
+                        <RotateCcw className="w-4 h-4" /> Restore
+                      </Button>
+                    )}
+                  </div>
+                </div>
+                {expanded === entry.version && (
+                  <div className="px-10 pb-3">
+                    {entry.note && <p className="text-sm text-gray-500 mb-2">{entry.note}</p>}
+                    {diffs[entry.version] ? <VersionDiff diff={diffs[entry.version]} /> : <Spinner size="small" />}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={restoreTarget !== null}
+        onClose={() => setRestoreTarget(null)}
+        onConfirm={handleRestore}
+        title="Restore Version"
+        message={`Restore floor configuration to version ${restoreTarget}? The current configuration stays in the history and can be restored again.`}
+        confirmText="Restore"
+        variant="warning"
+        loading={restoring}
+      />
+    </Card>
+  );
+}
+
+export default FloorVersionsPanel;
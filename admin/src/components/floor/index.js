@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Floor Components Index
+ * @description Central export file for floor editing, analysis and versioning components.
+ *
+ * @module components/floor
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+export { FloorGraphEditor } from './FloorGraphEditor';
+export { FloorAnalysisPanel } from './FloorAnalysisPanel';
+export { FloorVersionsPanel, VersionDiff } from './FloorVersionsPanel';
+export { FloorBundleImportModal } from './FloorBundleImportModal';
@@ -25,6 +25,7 @@ const pageTitles = {
   [ROUTES.DASHBOARD]: 'Dashboard',
   [ROUTES.FLOORS]: 'Floors',
   [ROUTES.FLOOR_NEW]: 'Add New Floor',
+  [ROUTES.FLOOR_IMPORT]: 'Import Floor Plan',
   [ROUTES.ROUTES]: 'Routes',
   [ROUTES.CAMERAS]: 'Cameras',
   [ROUTES.RECORDS]: 'Records',
@@ -19,6 +19,7 @@ import {
   ChevronLeft,
   ChevronRight,
   Zap,
+  Siren,
 } from 'lucide-react';
 import { useDispatch, useSelector } from 'react-redux';
 import { cn } from '../../utils/helpers';
@@ -38,6 +39,7 @@ const navItems = [
   { path: ROUTES.ROUTES, icon: Route, label: 'Routes' },
   { path: ROUTES.CAMERAS, icon: Camera, label: 'Cameras' },
   { path: ROUTES.RECORDS, icon: FileText, label: 'Records' },
+  { path: ROUTES.DRILLS, icon: Siren, label: 'Drills' },
 ];
 
 const bottomNavItems = [
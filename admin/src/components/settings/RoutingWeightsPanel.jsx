@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Routing Weights Panel
+ * @description Weight profiles Dijkstra routes with: the active profile,
+ *              named profiles, per-floor overrides and the change history.
+ *
+ * @module components/settings/RoutingWeightsPanel
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @description
+ * The built-in 'default' profile comes from the server environment and is
+ * read-only. A floor may use another profile and replace single weights;
+ * an empty weight field takes the value of the floor's profile. Changes are
+ * applied from the next capture cycle - no restart needed.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Plus, Trash2, Save, RotateCcw, History, ChevronDown, ChevronRight } from 'lucide-react';
+import { Card, Badge, Button, Spinner } from '../ui';
+import {
+  updateSettings,
+  getFloorRoutingWeights,
+  setFloorRoutingWeights,
+  clearFloorRoutingWeights,
+  getRoutingWeightsHistory,
+} from '../../services/settingsService';
+
+/* ============================================================
+ * CONSTANTS
+ * Mirrors the server ROUTING_WEIGHT_LIMITS keys
+ * ============================================================ */
+
+const WEIGHT_FIELDS = [
+  { key: 'firePenalty', label: 'Fire Penalty', step: 100, hint: 'Added per unit of fire on a corridor' },
+  { key: 'smokePenalty', label: 'Smoke Penalty', step: 50, hint: 'Added per unit of smoke on a corridor' },
+  { key: 'peoplePenalty', label: 'People Penalty', step: 1, hint: 'Added per person on a corridor' },
+  { key: 'peopleFactor', label: 'People Factor', step: 0.1, hint: 'Scales the people penalty' },
+  { key: 'fireFactor', label: 'Fire Factor', step: 0.1, hint: 'Scales the fire penalty' },
+  { key: 'smokeFactor', label: 'Smoke Factor', step: 0.1, hint: 'Scales the smoke penalty' },
+  { key: 'thresholdMultiplier', label: 'Threshold Multiplier', step: 10, hint: 'Multiplies corridors above a threshold' },
+  { key: 'predictedFactor', label: 'Predicted Factor', step: 0.5, hint: 'Scales predicted fire/smoke' },
+  { key: 'congestedExitFactor', label: 'Congested Exit Factor', step: 0.5, hint: 'Multiplies corridors into a congested exit' },
+];
+
+const INPUT_CLASS = 'w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+const SELECT_CLASS = 'px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-primary-500';
+
+/** Editable copy of the settings (weights kept as strings while typing) */
+const toDraft = (routingWeights) => ({
+  activeProfile: routingWeights?.activeProfile || 'default',
+  profiles: (routingWeights?.profiles || []).map(profile => ({
+    name: profile.name,
+    description: profile.description || '',
+    weights: Object.fromEntries(WEIGHT_FIELDS.map(({ key }) => [key, String(profile.weights?.[key] ?? '')])),
+  })),
+});
+
+/** Short description of a history entry */
+const describeChange = (entry) => {
+  if (entry.scope === 'settings') {
+    const from = entry.before?.activeProfile;
+    const to = entry.after?.activeProfile;
+    const active = from !== to ? `active ${from || 'default'} → ${to || 'default'}` : `active ${to || 'default'}`;
+    return `${active} · ${entry.after?.profiles?.length ?? 0} profiles`;
+  }
+  if (!entry.after) return 'override removed';
+  const keys = Object.keys(entry.after.weights || {});
+  return [
+    entry.after.profile ? `profile ${entry.after.profile}` : 'active profile',
+    keys.length > 0 && `weights ${keys.join(', ')}`,
+  ].filter(Boolean).join(' · ');
+};
+
+/* ============================================================
+ * WEIGHT INPUTS
+ * ============================================================ */
+
+/**
+ * Number inputs for every weight.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.values - Weight key -> string value
+ * @param {Object} props.limits - Weight key -> { min, max }
+ * @param {Object} [props.placeholders] - Weight key -> value shown when empty
+ * @param {Function} props.onChange - Called with (key, value)
+ * @returns {JSX.Element} Weight inputs
+ */
+function WeightInputs({ values, limits, placeholders = {}, onChange }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {WEIGHT_FIELDS.map(({ key, label, step, hint }) => (
+        <div key={key}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+          <input
+            type="number"
+            min={limits[key]?.min}
+            max={limits[key]?.max}
+            step={step}
+            value={values[key] ?? ''}
+            placeholder={placeholders[key] !== undefined ? String(placeholders[key]) : ''}
+            onChange={(e) => onChange(key, e.target.value)}
+            className={INPUT_CLASS}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {hint} ({limits[key]?.min}-{limits[key]?.max})
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ============================================================
+ * ROUTING WEIGHTS PANEL
+ * ============================================================ */
+
+/**
+ * Routing weights card of the settings page.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.routingWeights - Settings.routingWeights from the settings API
+ * @param {Function} props.onSaved - Called with the updated settings after saving the profiles
+ * @param {Function} props.onSuccess - Called with a success message
+ * @param {Function} props.onError - Called with an error message
+ * @returns {JSX.Element} Routing weights card
+ *
+ * @example
+ * <RoutingWeightsPanel routingWeights={settings.routingWeights} onSaved={setSettings} onSuccess={notify} onError={notify} />
+ */
+export function RoutingWeightsPanel({ routingWeights, onSaved, onSuccess, onError }) {
+  const defaults = routingWeights?.defaults || {};
+  const limits = routingWeights?.limits || {};
+
+  const [draft, setDraft] = useState(() => toDraft(routingWeights));
+  const [expandedProfile, setExpandedProfile] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const [floors, setFloors] = useState([]);
+  const [floorsLoading, setFloorsLoading] = useState(true);
+  const [editingFloor, setEditingFloor] = useState(null);
+  const [floorSaving, setFloorSaving] = useState(false);
+
+  const [history, setHistory] = useState([]);
+
+  const loadFloors = useCallback(async () => {
+    setFloorsLoading(true);
+    const result = await getFloorRoutingWeights();
+    setFloorsLoading(false);
+    if (result.success) {
+      setFloors(result.data || []);
+    }
+  }, []);
+
+  const loadHistory = useCallback(async () => {
+    const result = await getRoutingWeightsHistory({ limit: 20 });
+    if (result.success) {
+      setHistory(result.data || []);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadFloors();
+    loadHistory();
+  }, [loadFloors, loadHistory]);
+
+  const profileNames = [routingWeights?.defaultProfile || 'default', ...draft.profiles.map(p => p.name).filter(Boolean)];
+  // Floors can only use profiles the server already knows
+  const savedProfiles = routingWeights?.profiles || [];
+
+  // ─────────────────────────────────────────────────────────
+  // Profiles
+  // ─────────────────────────────────────────────────────────
+
+  const updateProfile = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      profiles: prev.profiles.map((profile, i) => (i === index ? { ...profile, ...changes } : profile)),
+    }));
+  };
+
+  const addProfile = () => {
+    setDraft(prev => ({
+      ...prev,
+      profiles: [...prev.profiles, {
+        name: '',
+        description: '',
+        weights: Object.fromEntries(WEIGHT_FIELDS.map(({ key }) => [key, String(defaults[key] ?? '')])),
+      }],
+    }));
+    setExpandedProfile(draft.profiles.length);
+  };
+
+  const removeProfile = (index) => {
+    setDraft(prev => {
+      const removed = prev.profiles[index];
+      return {
+        activeProfile: prev.activeProfile === removed.name ? 'default' : prev.activeProfile,
+        profiles: prev.profiles.filter((_, i) => i !== index),
+      };
+    });
+    setExpandedProfile(null);
+  };
+
+  const handleSaveProfiles = async () => {
+    setSaving(true);
+    try {
+      const result = await updateSettings({
+        routingWeights: {
+          activeProfile: draft.activeProfile,
+          profiles: draft.profiles.map(profile => ({
+            name: profile.name,
+            description: profile.description,
+            weights: Object.fromEntries(
+              WEIGHT_FIELDS.map(({ key }) => [key, profile.weights[key] === '' ? null : Number(profile.weights[key])])
+            ),
+          })),
+        },
+      });
+
+      if (result.success) {
+        setDraft(toDraft(result.data?.routingWeights));
+        onSaved(result.data);
+        onSuccess('Routing weights saved - applied from the next capture cycle');
+        loadFloors();
+        loadHistory();
+      } else {
+        throw new Error(result.error || 'Failed to save routing weights');
+      }
+    } catch (err) {
+      onError(err.message || 'Failed to save routing weights');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ─────────────────────────────────────────────────────────
+  // Floor overrides
+  // ─────────────────────────────────────────────────────────
+
+  const editFloor = (floor) => {
+    if (editingFloor?.floorId === floor.floorId) {
+      setEditingFloor(null);
+      return;
+    }
+    setEditingFloor({
+      floorId: floor.floorId,
+      profile: floor.override?.profile || '',
+      weights: Object.fromEntries(
+        WEIGHT_FIELDS.map(({ key }) => [key, floor.override?.weights?.[key] !== undefined ? String(floor.override.weights[key]) : ''])
+      ),
+    });
+  };
+
+  const handleSaveFloor = async () => {
+    setFloorSaving(true);
+    const result = await setFloorRoutingWeights(editingFloor.floorId, {
+      profile: editingFloor.profile || null,
+      weights: Object.fromEntries(
+        Object.entries(editingFloor.weights)
+          .filter(([, value]) => value !== '')
+          .map(([key, value]) => [key, Number(value)])
+      ),
+    });
+    setFloorSaving(false);
+
+    if (result.success) {
+      onSuccess(result.message || 'Floor routing weights saved');
+      setEditingFloor(null);
+      loadFloors();
+      loadHistory();
+    } else {
+      onError(result.error || 'Failed to save floor routing weights');
+    }
+  };
+
+  const handleClearFloor = async (floorId) => {
+    setFloorSaving(true);
+    const result = await clearFloorRoutingWeights(floorId);
+    setFloorSaving(false);
+
+    if (result.success) {
+      onSuccess(result.message || 'Floor routing weights cleared');
+      setEditingFloor(null);
+      loadFloors();
+      loadHistory();
+    } else {
+      onError(result.error || 'Failed to clear floor routing weights');
+    }
+  };
+
+  /** Weights of the profile a floor override would use, shown as placeholders */
+  const profileWeights = (name) =>
+    savedProfiles.find(p => p.name === (name || routingWeights?.activeProfile))?.weights || defaults;
+
+  return (
+    <Card title="Routing Weights">
+      <div className="p-6 space-y-8">
+        {/* Active profile */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Active Profile</label>
+          <select
+            value={draft.activeProfile}
+            onChange={(e) => setDraft(prev => ({ ...prev, activeProfile: e.target.value }))}
+            className={SELECT_CLASS}
+          >
+            {profileNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Used by every floor without its own profile. &apos;default&apos; comes from the server environment.
+          </p>
+        </div>
+
+        {/* Profiles */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="font-medium text-gray-900">Profiles</p>
+            <Button variant="outline" size="small" onClick={addProfile}>
+              <Plus className="w-4 h-4" /> Add Profile
+            </Button>
+          </div>
+
+          <div className="bg-gray-50 rounded-lg p-3 flex items-center gap-3">
+            <span className="font-semibold text-gray-900">default</span>
+            <Badge>built-in</Badge>
+            <span className="text-sm text-gray-500 truncate">
+              {WEIGHT_FIELDS.map(({ key }) => `${key} ${defaults[key]}`).join(' · ')}
+            </span>
+          </div>
+
+          {draft.profiles.map((profile, index) => (
+            <div key={index} className="bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between gap-3 p-3">
+                <button
+                  className="flex items-center gap-3 text-left"
+                  onClick={() => setExpandedProfile(expandedProfile === index ? null : index)}
+                >
+                  {expandedProfile === index
+                    ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                    : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                  <span className="font-semibold text-gray-900">{profile.name || 'Unnamed profile'}</span>
+                  {draft.activeProfile === profile.name && <Badge variant="primary">active</Badge>}
+                  {profile.description && <span className="text-sm text-gray-500">{profile.description}</span>}
+                </button>
+                <Button variant="ghost" size="small" onClick={() => removeProfile(index)} aria-label="Remove profile">
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+
+              {expandedProfile === index && (
+                <div className="px-10 pb-4 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                      <input
+                        type="text"
+                        maxLength={40}
+                        value={profile.name}
+                        onChange={(e) => updateProfile(index, { name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                      <input
+                        type="text"
+                        value={profile.description}
+                        onChange={(e) => updateProfile(index, { description: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                  </div>
+                  <WeightInputs
+                    values={profile.weights}
+                    limits={limits}
+                    onChange={(key, value) => updateProfile(index, { weights: { ...profile.weights, [key]: value } })}
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <Button variant="primary" onClick={handleSaveProfiles} loading={saving}>
+            <Save className="w-4 h-4" />
+            Save Profiles
+          </Button>
+        </div>
+
+        {/* Floor overrides */}
+        <div className="border-t border-gray-100 pt-6 space-y-2">
+          <p className="font-medium text-gray-900">Floors</p>
+          <p className="text-sm text-gray-500">
+            A floor can use another profile or replace single weights. Empty fields take the profile&apos;s value.
+          </p>
+
+          {floorsLoading && floors.length === 0 ? (
+            <div className="flex justify-center py-4"><Spinner /></div>
+          ) : floors.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No floors configured</p>
+          ) : (
+            floors.map(floor => (
+              <div key={floor.floorId} className="bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between gap-3 p-3">
+                  <button className="flex items-center gap-3 text-left" onClick={() => editFloor(floor)}>
+                    {editingFloor?.floorId === floor.floorId
+                      ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                      : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                    <span className="font-semibold text-gray-900">{floor.floorName}</span>
+                    <Badge variant={floor.override ? 'warning' : 'default'}>{floor.resolved?.profile}</Badge>
+                    {floor.resolved?.floorOverrides?.length > 0 && (
+                      <span className="text-sm text-gray-500">
+                        overrides: {floor.resolved.floorOverrides.join(', ')}
+                      </span>
+                    )}
+                  </button>
+                  {floor.override && (
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={() => handleClearFloor(floor.floorId)}
+                      disabled={floorSaving}
+                    >
+                      <RotateCcw className="w-4 h-4" /> Reset
+                    </Button>
+                  )}
+                </div>
+
+                {editingFloor?.floorId === floor.floorId && (
+                  <div className="px-10 pb-4 space-y-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Profile</label>
+                      <select
+                        value={editingFloor.profile}
+                        onChange={(e) => setEditingFloor(prev => ({ ...prev, profile: e.target.value }))}
+                        className={SELECT_CLASS}
+                      >
+                        <option value="">Active profile ({routingWeights?.activeProfile || 'default'})</option>
+                        {['default', ...savedProfiles.map(p => p.name)].map(name => (
+                          <option key={name} value={name}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <WeightInputs
+                      values={editingFloor.weights}
+                      limits={limits}
+                      placeholders={profileWeights(editingFloor.profile)}
+                      onChange={(key, value) => setEditingFloor(prev => ({ ...prev, weights: { ...prev.weights, [key]: value } }))}
+                    />
+                    <div className="flex justify-end">
+                      <Button variant="primary" size="small" onClick={handleSaveFloor} loading={floorSaving}>
+                        <Save className="w-4 h-4" /> Save Floor Weights
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* History */}
+        <div className="border-t border-gray-100 pt-6 space-y-2">
+          <div className="flex items-center gap-2">
+            <History className="w-4 h-4 text-gray-400" />
+            <p className="font-medium text-gray-900">Recent Changes</p>
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes recorded yet</p>
+          ) : (
+            <ul className="space-y-1 max-h-64 overflow-y-auto">
+              {history.map(entry => (
+                <li key={entry._id} className="flex items-center justify-between gap-3 text-sm p-2 bg-gray-50 rounded-lg">
+                  <span className="text-gray-700">
+                    <Badge variant={entry.scope === 'settings' ? 'primary' : 'default'}>
+                      {entry.scope === 'settings' ? 'profiles' : entry.floorId}
+                    </Badge>{' '}
+                    {describeChange(entry)}
+                  </span>
+                  <span className="text-gray-500 text-right whitespace-nowrap">
+                    {entry.by} · {new Date(entry.createdAt).toLocaleString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+export default RoutingWeightsPanel;
@@ -0,0 +1,10 @@
+/**
+ * @fileoverview Settings Components Index
+ * @description Central export file for settings page components.
+ *
+ * @module components/settings
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+export { RoutingWeightsPanel } from './RoutingWeightsPanel';
@@ -49,11 +49,25 @@ export const API_CONFIG = {
     FLOOR_BY_ID: (id) => `/api/floors/${id}`,
     FLOOR_STATUS: (id) => `/api/floors/${id}/status`,
     FLOOR_CAMERAS_RESET: (id) => `/api/floors/${id}/cameras/reset`,
+    FLOOR_IMPORT: '/api/floors/import',
+    FLOOR_IMPORT_BUNDLE: '/api/floors/import/bundle',
+    FLOOR_EXPORT: (id) => `/api/floors/${id}/export`,
+    FLOOR_ANALYSIS: (id) => `/api/floors/${id}/analysis`,
+    
+    // Floor versions
+    FLOOR_VERSIONS: (floorId) => `/api/floors/${floorId}/versions`,
+    FLOOR_VERSION: (floorId, version) => `/api/floors/${floorId}/versions/${version}`,
+    FLOOR_VERSION_DIFF: (floorId, version) => `/api/floors/${floorId}/versions/${version}/diff`,
+    FLOOR_VERSION_RESTORE: (floorId, version) => `/api/floors/${floorId}/versions/${version}/restore`,
     
     // Camera/Screen status
     CAMERA_STATUS: (floorId, camId) => `/api/floors/${floorId}/cameras/${camId}/status`,
     SCREEN_STATUS: (floorId, screenId) => `/api/floors/${floorId}/screens/${screenId}/status`,
     
+    // Manual edge overrides
+    FLOOR_OVERRIDES: (floorId) => `/api/floors/${floorId}/overrides`,
+    EDGE_OVERRIDE: (floorId, edgeId) => `/api/floors/${floorId}/edges/${edgeId}/override`,
+    
     // System
     SYSTEM_STATUS: '/api/floors/system/status',
     SYSTEM_CAMERAS_RESET: '/api/floors/system/cameras/reset',
@@ -72,6 +86,13 @@ export const API_CONFIG = {
     // Settings
     SETTINGS: '/api/settings',
     SETTINGS_SYNC: '/api/settings/sync',
+    ROUTING_WEIGHTS_FLOORS: '/api/settings/routing-weights/floors',
+    ROUTING_WEIGHTS_FLOOR: (floorId) => `/api/settings/routing-weights/floors/${floorId}`,
+    ROUTING_WEIGHTS_HISTORY: '/api/settings/routing-weights/history',
+    
+    // Drills
+    DRILLS: '/api/drills',
+    DRILL_BY_ID: (id) => `/api/drills/${id}`,
   },
 };
 
@@ -129,11 +150,14 @@ export const ROUTES = {
   FLOORS: '/floors',
   FLOOR_DETAIL: '/floors/:id',
   FLOOR_NEW: '/floors/new',
+  FLOOR_IMPORT: '/floors/import',
   FLOOR_EDIT: '/floors/:id/edit',
   ROUTES: '/routes',
   CAMERAS: '/cameras',
   RECORDS: '/records',
   SETTINGS: '/settings',
+  DRILLS: '/drills',
+  DRILL_REPLAY: '/drills/:id',
 };
 
 /* ============================================================
@@ -169,6 +193,47 @@ export const NODE_TYPES = [
   { value: 'junction', label: 'Junction', icon: '➕' },
   { value: 'stairs', label: 'Stairs', icon: '🪜' },
   { value: 'elevator', label: 'Elevator', icon: '🛗' },
+  { value: 'refuge', label: 'Refuge Area', icon: '🛟' },
+];
+
+/**
+ * @constant {Array} TRAVERSAL_TYPES
+ * @description How a node or edge is traversed; step-free routes skip
+ *              stairs and penalise ramps and doors
+ */
+export const TRAVERSAL_TYPES = [
+  { value: 'level', label: 'Level' },
+  { value: 'ramp', label: 'Ramp' },
+  { value: 'stairs', label: 'Stairs' },
+  { value: 'door', label: 'Door' },
+  { value: 'evac-chair', label: 'Evac-Chair Point' },
+];
+
+/**
+ * @constant {Array} EDGE_DIRECTIONS
+ * @description Which way an edge may be walked, relative to its from → to;
+ *              an edge's evacuation direction replaces it while the floor
+ *              is in emergency
+ */
+export const EDGE_DIRECTIONS = [
+  { value: 'bidirectional', label: 'Both Ways' },
+  { value: 'forward', label: 'From → To' },
+  { value: 'reverse', label: 'To → From' },
+];
+
+/* ============================================================
+ * CAMERA AGGREGATION
+ * How readings of several cameras on one edge are combined
+ * ============================================================ */
+
+/**
+ * @constant {Array} CAMERA_AGGREGATION_METHODS
+ * @description Valid values for a floor's cameraAggregation
+ */
+export const CAMERA_AGGREGATION_METHODS = [
+  { value: 'max', label: 'Maximum (most cautious)' },
+  { value: 'mean', label: 'Mean' },
+  { value: 'weighted', label: 'Weighted by coverage' },
 ];
 
 /**
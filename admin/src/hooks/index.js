@@ -11,7 +11,9 @@
  * Available Hooks:
  * ┌─────────────────────────────────────────────────────────────┐
  * │  useImageWithFallback  - Image loading with fallback URL    │
+ * │  useUndoableState      - State with undo/redo history       │
  * └─────────────────────────────────────────────────────────────┘
  */
 
 export { useImageWithFallback } from './useImageWithFallback';
+export { useUndoableState } from './useUndoableState';
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Undoable State Hook
+ * @description useState with an undo/redo history.
+ *
+ * @module hooks/useUndoableState
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @example
+ * const { state, setState, undo, redo, canUndo } = useUndoableState(initialForm);
+ *
+ * // One history entry per call...
+ * setState(prev => ({ ...prev, nodes: [...prev.nodes, node] }));
+ * // ...unless consecutive calls share a merge key (typing, dragging)
+ * setState(prev => ({ ...prev, name }), { merge: 'field:name' });
+ */
+
+import { useState, useCallback } from 'react';
+
+/** Default number of undo steps kept */
+const DEFAULT_LIMIT = 100;
+
+/**
+ * State with undo/redo history
+ *
+ * @param {*} initialState - Initial value
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum undo steps kept
+ * @returns {Object} { state, setState, undo, redo, reset, canUndo, canRedo }
+ *
+ * @description
+ * setState(updater, { merge }) records the previous value as an undo step.
+ * When merge is set and equals the key of the previous call, the change is
+ * folded into that step, so a whole drag or a typed word undoes at once.
+ * reset(value) replaces the state and clears the history (e.g. after loading).
+ */
+export function useUndoableState(initialState, { limit = DEFAULT_LIMIT } = {}) {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initialState,
+    future: [],
+    mergeKey: null,
+  });
+
+  const setState = useCallback((updater, { merge = null } = {}) => {
+    setHistory(prev => {
+      const next = typeof updater === 'function' ? updater(prev.present) : updater;
+      if (next === prev.present) return prev;
+
+      if (merge && merge === prev.mergeKey) {
+        return { ...prev, present: next, future: [] };
+      }
+      return {
+        past: [...prev.past, prev.present].slice(-limit),
+        present: next,
+        future: [],
+        mergeKey: merge,
+      };
+    });
+  }, [limit]);
+
+  const undo = useCallback(() => {
+    setHistory(prev => {
+      if (prev.past.length === 0) return prev;
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future],
+        mergeKey: null,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(prev => {
+      if (prev.future.length === 0) return prev;
+      return {
+        past: [...prev.past, prev.present],
+        present: prev.future[0],
+        future: prev.future.slice(1),
+        mergeKey: null,
+      };
+    });
+  }, []);
+
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [], mergeKey: null });
+  }, []);
+
+  return {
+    /** Current value */
+    state: history.present,
+    setState,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
+
+export default useUndoableState;
@@ -37,7 +37,7 @@ import { showSuccess, showError } from '../store/slices/uiSlice';
  * CAMERA CARD COMPONENT
  * ============================================================ */
 
-function CameraCard({ cameraId, edgeId, floorId, status = 'active', onStatusChange }) {
+function CameraCard({ cameraId, edgeId, edgeIds = [], floorId, status = 'active', onStatusChange }) {
   const isOnline = status === 'active' || status === 'online';
 
   const statusOptions = [
@@ -67,7 +67,9 @@ function CameraCard({ cameraId, edgeId, floorId, status = 'active', onStatusChan
           </div>
           <div>
             <p className="font-medium text-gray-900">{cameraId}</p>
-            <p className="text-sm text-gray-500">Edge: {edgeId}</p>
+            <p className="text-sm text-gray-500">
+              {edgeIds.length > 1 ? `Edges: ${edgeIds.join(', ')}` : `Edge: ${edgeId}`}
+            </p>
           </div>
         </div>
         <Badge variant={isOnline ? 'success' : 'danger'} dot>
@@ -161,6 +163,7 @@ export function CamerasPage() {
           result.push({
             cameraId: cam.id,
             edgeId: cam.edgeId,
+            edgeIds: (cam.coverage || []).map(c => c.edgeId),
             floorId: floor.id,
             floorName: floor.name,
             status: cam.status || 'active',
@@ -343,6 +346,7 @@ export function CamerasPage() {
                           key={`${camera.floorId}-${camera.cameraId}`}
                           cameraId={camera.cameraId}
                           edgeId={camera.edgeId}
+                          edgeIds={camera.edgeIds}
                           floorId={camera.floorId}
                           status={camera.status}
                           onStatusChange={handleStatusChange}
@@ -360,6 +364,7 @@ export function CamerasPage() {
                   key={`${camera.floorId}-${camera.cameraId}`}
                   cameraId={camera.cameraId}
                   edgeId={camera.edgeId}
+                  edgeIds={camera.edgeIds}
                   floorId={camera.floorId}
                   status={camera.status}
                   onStatusChange={handleStatusChange}
@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Drill Replay Page
+ * @description Steps through the route updates of an evacuation drill: the
+ *              scripted hazard values at each update and how every screen's
+ *              route changed.
+ *
+ * @module pages/DrillReplayPage
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { useEffect, useState, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Siren,
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  MapPin,
+  Flame,
+  Wind,
+  Users,
+  AlertTriangle,
+  Shield,
+} from 'lucide-react';
+import { Card, Button, Badge, Spinner } from '../components/ui';
+import { EmptyState } from '../components/ui/EmptyState';
+import { cn, formatDate } from '../utils/helpers';
+import { showError } from '../store/slices/uiSlice';
+import { getDrillReplay } from '../services/drillService';
+import { ROUTES } from '../config';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+/** Time per frame while playing (ms) */
+const PLAYBACK_INTERVAL_MS = 1500;
+
+const HAZARD_VARIANTS = {
+  critical: 'danger',
+  high: 'danger',
+  moderate: 'warning',
+  safe: 'success',
+};
+
+const UPDATE_TYPE_LABELS = {
+  cycle: 'Cycle',
+  urgent: 'Urgent',
+  override: 'Override',
+};
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Destination of a screen's route (exit, or refuge when sheltering)
+ *
+ * @param {Object} route - Replay route
+ * @returns {string} Node ID or 'in place'
+ */
+const destinationOf = (route) =>
+  route.shelterInPlace ? `Shelter: ${route.refugeNode || 'in place'}` : route.exitNode || 'N/A';
+
+/**
+ * Describe what triggered an update
+ *
+ * @param {Object} frame - Replay frame
+ * @returns {string|null} Trigger description
+ */
+const describeTrigger = (frame) => {
+  const { trigger } = frame;
+  if (!trigger) return null;
+  if (trigger.cameraId) {
+    const edges = (trigger.edges || []).map(e => `${e.edgeId} (${(e.exceeded || []).join('+')})`).join(', ');
+    return `Camera ${trigger.cameraId} pushed ${edges} over threshold`;
+  }
+  if (trigger.source === 'override') {
+    return `Manual override ${trigger.action === 'clear' ? 'cleared' : 'set'} on ${(trigger.edges || []).map(e => e.edgeId).join(', ')}`;
+  }
+  return null;
+};
+
+/* ============================================================
+ * SCRIPTED EDGES COMPONENT
+ * ============================================================ */
+
+function ScriptedEdges({ scripted }) {
+  if (scripted.length === 0) {
+    return <p className="text-sm text-gray-500">No scripted edges on this floor.</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+      {scripted.map((edge) => (
+        <div key={edge.edgeId} className="p-3 bg-gray-50 rounded-lg">
+          <p className="font-mono text-sm font-medium text-gray-900 mb-2">{edge.edgeId}</p>
+          <div className="flex items-center gap-4 text-sm">
+            <span className={cn('flex items-center gap-1', edge.fireProb > 0.5 ? 'text-danger-600 font-medium' : 'text-gray-600')}>
+              <Flame className="w-4 h-4" /> {Math.round(edge.fireProb * 100)}%
+            </span>
+            <span className={cn('flex items-center gap-1', edge.smokeProb > 0.5 ? 'text-warning-600 font-medium' : 'text-gray-600')}>
+              <Wind className="w-4 h-4" /> {Math.round(edge.smokeProb * 100)}%
+            </span>
+            <span className="flex items-center gap-1 text-gray-600">
+              <Users className="w-4 h-4" /> {edge.peopleCount}
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ============================================================
+ * DRILL REPLAY PAGE COMPONENT
+ * ============================================================ */
+
+export function DrillReplayPage() {
+  const { id } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const [run, setRun] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+
+  const fetchReplay = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await getDrillReplay(id);
+      if (result.success) {
+        setRun(result.data.run);
+        setFrames(result.data.frames || []);
+        setIndex(0);
+      } else {
+        throw new Error(result.error || 'Failed to load drill replay');
+      }
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to load drill replay'));
+    } finally {
+      setLoading(false);
+    }
+  }, [dispatch, id]);
+
+  useEffect(() => {
+    fetchReplay();
+  }, [fetchReplay]);
+
+  // Playback stops by itself on the last update
+  const atEnd = index >= frames.length - 1;
+  const isPlaying = playing && !atEnd;
+
+  // Advance one update at a time while playing
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(() => {
+      setIndex((current) => Math.min(current + 1, frames.length - 1));
+    }, PLAYBACK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, frames.length]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="large" />
+      </div>
+    );
+  }
+
+  const frame = frames[index];
+  const changedScreens = new Map((frame?.changes || []).map(c => [c.startNode, c]));
+  const trigger = frame && describeTrigger(frame);
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" size="small" onClick={() => navigate(ROUTES.DRILLS)}>
+            <ArrowLeft className="w-4 h-4" />
+          </Button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <Siren className="w-6 h-6 text-warning-500" />
+              {run?.name || 'Drill Replay'}
+            </h1>
+            {run && (
+              <p className="text-gray-500 mt-1">
+                {formatDate(run.startedAt)}
+                {run.endedAt ? ` - ${formatDate(run.endedAt)}` : ' - still running'}
+              </p>
+            )}
+          </div>
+        </div>
+        {run && (
+          <Badge variant={run.status === 'running' ? 'warning' : 'default'} dot>
+            {run.status === 'running' ? 'Running' : 'Completed'}
+          </Badge>
+        )}
+      </div>
+
+      {!frame ? (
+        <Card>
+          <EmptyState
+            icon={<Siren className="w-16 h-16" />}
+            title="No Route Updates"
+            description="This drill has not produced any routes yet."
+            actionLabel="Back to Drills"
+            onAction={() => navigate(ROUTES.DRILLS)}
+          />
+        </Card>
+      ) : (
+        <>
+          {/* Playback Controls */}
+          <Card>
+            <div className="p-4 space-y-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <Button variant="outline" size="small" onClick={() => setIndex(i => Math.max(0, i - 1))} disabled={index === 0}>
+                  <SkipBack className="w-4 h-4" />
+                </Button>
+                <Button
+                  variant="primary"
+                  size="small"
+                  onClick={() => {
+                    if (!isPlaying && atEnd) setIndex(0);
+                    setPlaying(!isPlaying);
+                  }}
+                >
+                  {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  {isPlaying ? 'Pause' : 'Play'}
+                </Button>
+                <Button variant="outline" size="small" onClick={() => setIndex(i => Math.min(frames.length - 1, i + 1))} disabled={atEnd}>
+                  <SkipForward className="w-4 h-4" />
+                </Button>
+                <span className="text-sm text-gray-500 ml-2">
+                  Update {index + 1} of {frames.length}
+                </span>
+                <span className="ml-auto font-mono text-lg font-semibold text-gray-900">
+                  t+{frame.elapsedSec}s
+                </span>
+              </div>
+
+              <input
+                type="range"
+                min="0"
+                max={frames.length - 1}
+                value={index}
+                onChange={(e) => {
+                  setPlaying(false);
+                  setIndex(parseInt(e.target.value, 10));
+                }}
+                className="w-full accent-primary-600"
+                aria-label="Replay position"
+              />
+
+              {/* Updates that changed a route */}
+              <div className="flex flex-wrap gap-1">
+                {frames.map((f, i) => (
+                  <button
+                    key={f.routeId}
+                    type="button"
+                    onClick={() => {
+                      setPlaying(false);
+                      setIndex(i);
+                    }}
+                    className={cn(
+                      'w-3 h-3 rounded-sm',
+                      i === index && 'ring-2 ring-primary-500 ring-offset-1',
+                      f.changes.length > 0 ? 'bg-warning-500' : f.updateType === 'urgent' ? 'bg-danger-400' : 'bg-gray-200'
+                    )}
+                    title={`t+${f.elapsedSec}s - ${f.floorId} (${f.updateType})${f.changes.length ? ` - ${f.changes.length} change(s)` : ''}`}
+                    aria-label={`Update ${i + 1}`}
+                  />
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                Amber: routes changed · Red: urgent update · Grey: no change
+              </p>
+            </div>
+          </Card>
+
+          {/* Update Details */}
+          <Card title={`Floor ${frame.floorId}`}>
+            <div className="p-6 space-y-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <Badge variant={frame.updateType === 'urgent' ? 'danger' : 'default'}>
+                  {UPDATE_TYPE_LABELS[frame.updateType] || frame.updateType} update
+                </Badge>
+                <Badge variant={HAZARD_VARIANTS[frame.overallHazardLevel] || 'default'} dot>
+                  Hazard: {frame.overallHazardLevel}
+                </Badge>
+                {frame.emergency && <Badge variant="danger">Emergency</Badge>}
+                {frame.shelterInPlace && <Badge variant="warning">Shelter in place</Badge>}
+                <span className="text-sm text-gray-500">{formatDate(frame.computedAt, { second: '2-digit' })}</span>
+              </div>
+              {trigger && (
+                <p className="text-sm text-danger-600 flex items-center gap-2">
+                  <AlertTriangle className="w-4 h-4" />
+                  {trigger}
+                </p>
+              )}
+
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-3">Scripted Hazards</h3>
+                <ScriptedEdges scripted={frame.scripted} />
+              </div>
+            </div>
+          </Card>
+
+          {/* Screen Routes */}
+          <Card title="Screen Routes">
+            <div className="p-6 space-y-3">
+              {frame.routes.map((route) => {
+                const change = changedScreens.get(route.startNode);
+                return (
+                  <div
+                    key={route.startNode}
+                    className={cn(
+                      'p-4 rounded-lg border',
+                      change ? 'border-warning-300 bg-warning-50' : 'border-gray-100 bg-white'
+                    )}
+                  >
+                    <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+                      <div className="flex items-center gap-2 lg:min-w-[220px]">
+                        {route.shelterInPlace ? (
+                          <Shield className="w-5 h-5 text-warning-600" />
+                        ) : (
+                          <MapPin className="w-5 h-5 text-primary-600" />
+                        )}
+                        <div>
+                          <p className="font-medium text-gray-900">{route.startNode}</p>
+                          <p className="text-sm text-gray-500">To: {destinationOf(route)}</p>
+                        </div>
+                      </div>
+                      <p className="flex-1 font-mono text-sm text-gray-700 break-words">
+                        {route.path.join(' → ') || 'N/A'}
+                      </p>
+                      <Badge variant={HAZARD_VARIANTS[route.hazardLevel] || 'default'}>
+                        {route.hazardLevel || 'safe'}
+                      </Badge>
+                    </div>
+                    {change && (
+                      <p className="mt-2 text-sm text-warning-700">
+                        {change.type === 'destination' ? 'Destination changed' : 'Path changed'}:{' '}
+                        <span className="font-mono line-through opacity-70">{change.from}</span>
+                        {' → '}
+                        <span className="font-mono font-medium">{change.to}</span>
+                      </p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DrillReplayPage;
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Drills Page
+ * @description History of evacuation drills with links to their replay.
+ *
+ * @module pages/DrillsPage
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { useEffect, useState, useCallback } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import {
+  Siren,
+  RefreshCw,
+  PlayCircle,
+  Clock,
+  Building2,
+  Route as RouteIcon,
+} from 'lucide-react';
+import { Card, Button, Badge, Spinner } from '../components/ui';
+import { EmptyState } from '../components/ui/EmptyState';
+import { cn, formatDate } from '../utils/helpers';
+import { showError } from '../store/slices/uiSlice';
+import { getDrills } from '../services/drillService';
+import { ROUTES } from '../config';
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Format a drill's duration (running drills count up to now)
+ *
+ * @param {Object} drill - Drill with startedAt and endedAt
+ * @returns {string} e.g. "4m 30s"
+ */
+const formatDuration = (drill) => {
+  const end = drill.endedAt ? new Date(drill.endedAt) : new Date();
+  const totalSec = Math.max(0, Math.round((end - new Date(drill.startedAt)) / 1000));
+  const minutes = Math.floor(totalSec / 60);
+  return minutes > 0 ? `${minutes}m ${totalSec % 60}s` : `${totalSec}s`;
+};
+
+/* ============================================================
+ * DRILLS PAGE COMPONENT
+ * ============================================================ */
+
+export function DrillsPage() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const [drills, setDrills] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchDrills = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await getDrills();
+      if (result.success) {
+        setDrills(result.data || []);
+      } else {
+        throw new Error(result.error || 'Failed to load drills');
+      }
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to load drills'));
+    } finally {
+      setLoading(false);
+    }
+  }, [dispatch]);
+
+  useEffect(() => {
+    fetchDrills();
+  }, [fetchDrills]);
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Evacuation Drills</h1>
+          <p className="text-gray-500 mt-1">
+            Past and running drills - start a new one from Settings
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <Button variant="outline" onClick={fetchDrills} disabled={loading}>
+            <RefreshCw className={cn('w-4 h-4', loading && 'animate-spin')} />
+            Refresh
+          </Button>
+          <Button variant="primary" onClick={() => navigate(ROUTES.SETTINGS)}>
+            <Siren className="w-4 h-4" />
+            Drill Mode
+          </Button>
+        </div>
+      </div>
+
+      {/* Content */}
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Spinner size="large" />
+        </div>
+      ) : drills.length === 0 ? (
+        <Card>
+          <EmptyState
+            icon={<Siren className="w-16 h-16" />}
+            title="No Drills Yet"
+            description="Start a drill from Settings to rehearse an evacuation with a scripted hazard timeline."
+            actionLabel="Go to Settings"
+            onAction={() => navigate(ROUTES.SETTINGS)}
+          />
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {drills.map((drill) => (
+            <div
+              key={drill._id}
+              className="bg-white rounded-xl border border-gray-100 p-4 card-hover"
+            >
+              <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+                <div className="flex items-center gap-3 flex-1 min-w-0">
+                  <div className={cn(
+                    'p-2 rounded-lg',
+                    drill.status === 'running' ? 'bg-warning-100' : 'bg-gray-100'
+                  )}>
+                    <Siren className={cn(
+                      'w-5 h-5',
+                      drill.status === 'running' ? 'text-warning-600 animate-pulse' : 'text-gray-500'
+                    )} />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{drill.name}</p>
+                    <p className="text-sm text-gray-500">
+                      {formatDate(drill.startedAt)}
+                      {drill.startedBy && ` by ${drill.startedBy}`}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-6 lg:gap-8">
+                  <div className="text-center">
+                    <p className="text-xs text-gray-500 flex items-center gap-1"><Clock className="w-3 h-3" /> Duration</p>
+                    <p className="font-semibold text-gray-900">{formatDuration(drill)}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-xs text-gray-500 flex items-center gap-1"><Building2 className="w-3 h-3" /> Floors</p>
+                    <p className="font-semibold text-gray-900">{drill.floors.join(', ')}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-xs text-gray-500">Scripted Edges</p>
+                    <p className="font-semibold text-gray-900">{drill.scriptedEdges}</p>
+                  </div>
+                  <div className="text-center">
+                    <p className="text-xs text-gray-500 flex items-center gap-1"><RouteIcon className="w-3 h-3" /> Updates</p>
+                    <p className="font-semibold text-gray-900">{drill.routeUpdates}</p>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-3 lg:min-w-[200px] lg:justify-end">
+                  <Badge variant={drill.status === 'running' ? 'warning' : 'default'} dot>
+                    {drill.status === 'running' ? 'Running' : 'Completed'}
+                  </Badge>
+                  <Button
+                    variant="outline"
+                    size="small"
+                    onClick={() => navigate(ROUTES.DRILL_REPLAY.replace(':id', drill._id))}
+                    disabled={drill.routeUpdates === 0}
+                  >
+                    <PlayCircle className="w-4 h-4" />
+                    Replay
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DrillsPage;
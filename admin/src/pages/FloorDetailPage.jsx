@@ -1,13 +1,16 @@
 /**
  * @fileoverview Floor Detail Page
- * @description Detailed view of a single floor with map visualization.
+ * @description Detailed view of a single floor with map visualization and
+ *              manual edge overrides (closures, forced hazard levels,
+ *              unavailable exits) for incident commanders, export bundles
+ *              and configuration version history.
  *
  * @module pages/FloorDetailPage
  * @author Marcelino Saad
  * @version 1.0.0
  */
 
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate, useParams } from 'react-router-dom';
 import {
@@ -19,13 +22,22 @@ import {
   Camera,
   DoorOpen,
   MonitorSmartphone,
+  Flame,
+  Wind,
+  ShieldAlert,
+  ShieldOff,
+  Download,
 } from 'lucide-react';
-import { Card, Button, Badge, Spinner } from '../components/ui';
+import { Card, Button, Badge, Spinner, Select, Input } from '../components/ui';
+import { Modal } from '../components/ui/Modal';
 import {
   fetchFloorById,
   selectCurrentFloor,
   selectFloorsLoading,
 } from '../store/slices/floorsSlice';
+import { showSuccess, showError, showWarning } from '../store/slices/uiSlice';
+import { getFloorOverrides, setEdgeOverride, clearEdgeOverride, exportFloor } from '../services/floorService';
+import { FloorVersionsPanel, FloorAnalysisPanel } from '../components/floor';
 import { ROUTES } from '../config';
 import { getFloorImageUrl, getFloorImageFallback } from '../utils/helpers';
 
@@ -56,6 +68,221 @@ function InfoCard({ icon: Icon, label, value, color = 'primary' }) {
   );
 }
 
+/* ============================================================
+ * EXIT STATUS COMPONENT
+ * Live status derived from the exit's corridors (or an override)
+ * ============================================================ */
+
+const EXIT_STATUS_VARIANTS = { open: 'success', congested: 'warning', blocked: 'danger' };
+
+function ExitStatusRow({ nodeId, exit }) {
+  const status = exit?.status || 'open';
+
+  return (
+    <div className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
+      <div className="min-w-0">
+        <div className="flex items-center gap-2">
+          <DoorOpen className="w-4 h-4 text-gray-400" />
+          <span className="font-medium text-gray-900">{nodeId}</span>
+        </div>
+        {status !== 'open' && exit?.statusReason && (
+          <p className="text-xs text-gray-500 mt-1 truncate">
+            {exit.statusSource === 'override' ? 'Override' : 'Camera'}: {exit.statusReason}
+          </p>
+        )}
+      </div>
+      <div className="flex items-center gap-1 shrink-0">
+        <Badge variant="default">{exit?.capacity ? `${exit.capacity} people` : 'Auto capacity'}</Badge>
+        <Badge variant={EXIT_STATUS_VARIANTS[status]}>{status}</Badge>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+ * EDGE HAZARD COMPONENT
+ * Current reading and the value predicted by fire spread
+ * ============================================================ */
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+function EdgeHazard({ edge }) {
+  const readings = [
+    { icon: Flame, label: 'Fire', current: edge.currentFireProb, predicted: edge.predictedFireProb, threshold: edge.fireThreshold ?? 0.7 },
+    { icon: Wind, label: 'Smoke', current: edge.currentSmokeProb, predicted: edge.predictedSmokeProb, threshold: edge.smokeThreshold ?? 0.6 },
+  ].filter(({ current, predicted }) => (current || 0) > 0 || (predicted || 0) > 0);
+
+  if (readings.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-1">
+      {readings.map(({ icon: Icon, label, current, predicted, threshold }) => {
+        const variant = (current || 0) > threshold
+          ? 'danger'
+          : (predicted || 0) > threshold ? 'warning' : 'default';
+        return (
+          <Badge key={label} variant={variant} className="text-xs">
+            <Icon className="w-3 h-3" />
+            {label} {formatPercent(current)}
+            {(predicted || 0) > (current || 0) && <> → {formatPercent(predicted)} predicted</>}
+          </Badge>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ============================================================
+ * EDGE OVERRIDE COMPONENTS
+ * Manual closures and forced hazard levels set by incident commanders
+ * ============================================================ */
+
+const HAZARD_LEVEL_OPTIONS = [
+  { value: 'safe', label: 'Safe' },
+  { value: 'moderate', label: 'Moderate' },
+  { value: 'high', label: 'High' },
+  { value: 'critical', label: 'Critical' },
+];
+
+const DURATION_OPTIONS = [
+  { value: '15', label: '15 minutes' },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '120', label: '2 hours' },
+  { value: '240', label: '4 hours' },
+  { value: '480', label: '8 hours' },
+  { value: '1440', label: '24 hours' },
+];
+
+const describeOverride = (override) => {
+  if (override.type === 'closed') return 'Closed';
+  if (override.type === 'exit-unavailable') return `Exit unavailable (${override.exitNodeIds?.join(', ')})`;
+  return `Forced ${override.hazardLevel}`;
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function EdgeOverrideBadge({ override }) {
+  if (!override?.type) return null;
+
+  const variant = override.type === 'hazard' && override.hazardLevel === 'safe' ? 'success' : 'danger';
+  return (
+    <div className="mt-1">
+      <Badge variant={variant} className="text-xs">
+        <ShieldAlert className="w-3 h-3" />
+        {describeOverride(override)} until {formatTime(override.expiresAt)}
+      </Badge>
+      <p className="text-xs text-gray-500 mt-1">{override.reason} · {override.createdBy}</p>
+    </div>
+  );
+}
+
+/**
+ * Form for a new override; remounted per edge (key) so it starts empty.
+ */
+function EdgeOverrideModal({ edge, leadsToExit, onClose, onSubmit, saving }) {
+  const [type, setType] = useState('closed');
+  const [hazardLevel, setHazardLevel] = useState('critical');
+  const [reason, setReason] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState('60');
+
+  const typeOptions = [
+    { value: 'closed', label: 'Close corridor' },
+    { value: 'hazard', label: 'Force hazard level' },
+    ...(leadsToExit ? [{ value: 'exit-unavailable', label: 'Exit unavailable' }] : []),
+  ];
+
+  const handleSubmit = () => {
+    onSubmit({
+      type,
+      hazardLevel: type === 'hazard' ? hazardLevel : undefined,
+      reason: reason.trim(),
+      durationMinutes: Number(durationMinutes),
+    });
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={`Override edge ${edge.id}`}
+      size="small"
+      footer={
+        <>
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleSubmit} loading={saving} disabled={!reason.trim()}>
+            Apply &amp; Re-route
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-500">
+          {edge.from} → {edge.to}. Routes are recomputed and broadcast immediately.
+        </p>
+        <Select
+          label="Override"
+          options={typeOptions}
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+        />
+        {type === 'hazard' && (
+          <Select
+            label="Hazard level"
+            options={HAZARD_LEVEL_OPTIONS}
+            value={hazardLevel}
+            onChange={(e) => setHazardLevel(e.target.value)}
+          />
+        )}
+        <Input
+          label="Reason"
+          placeholder="e.g. Debris reported by fire warden"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+        <Select
+          label="Expires after"
+          options={DURATION_OPTIONS}
+          value={durationMinutes}
+          onChange={(e) => setDurationMinutes(e.target.value)}
+        />
+      </div>
+    </Modal>
+  );
+}
+
+function OverrideLog({ entries }) {
+  if (entries.length === 0) {
+    return <p className="text-gray-500 text-center py-4">No overrides recorded</p>;
+  }
+
+  const actionVariant = { set: 'danger', cleared: 'success', expired: 'default' };
+
+  return (
+    <div className="space-y-2">
+      {entries.map((entry) => (
+        <div key={entry._id} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-lg">
+          <div className="flex items-center gap-3">
+            <Badge variant={actionVariant[entry.action]}>{entry.action}</Badge>
+            <div>
+              <p className="font-medium text-gray-900">
+                {entry.edgeId}{entry.override ? ` · ${describeOverride(entry.override)}` : ''}
+              </p>
+              <p className="text-sm text-gray-500">{entry.override?.reason}</p>
+            </div>
+          </div>
+          <div className="text-sm text-gray-500 text-right">
+            <p>{entry.by}</p>
+            <p>{new Date(entry.createdAt).toLocaleString()}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 /* ============================================================
  * FLOOR DETAIL PAGE COMPONENT
  * ============================================================ */
@@ -71,11 +298,27 @@ export function FloorDetailPage() {
   // Image error state (must be before conditional returns for hooks rules)
   const [imgError, setImgError] = useState(false);
 
+  // Manual overrides
+  const [overrideEdge, setOverrideEdge] = useState(null);
+  const [savingOverride, setSavingOverride] = useState(false);
+  const [overrideLog, setOverrideLog] = useState([]);
+
+  // Export bundle
+  const [exporting, setExporting] = useState(false);
+
+  const loadOverrideLog = useCallback(async () => {
+    const result = await getFloorOverrides(id);
+    if (result.success) {
+      setOverrideLog(result.data?.log || []);
+    }
+  }, [id]);
+
   useEffect(() => {
     if (id) {
       dispatch(fetchFloorById(id));
+      loadOverrideLog();
     }
-  }, [dispatch, id]);
+  }, [dispatch, id, loadOverrideLog]);
   
   // Reset image error state when floor changes
   useEffect(() => {
@@ -102,7 +345,17 @@ export function FloorDetailPage() {
     );
   }
 
-  const cameraCount = floor.cameraToEdge ? Object.keys(floor.cameraToEdge).length : 0;
+  // Covered edges per camera (cameras array, or legacy single-edge mapping)
+  const cameraCoverage = floor.cameras?.length
+    ? floor.cameras.map(cam => ({
+        cameraId: cam.id,
+        coverage: cam.coverage?.length ? cam.coverage : [{ edgeId: cam.edgeId, weight: 1 }],
+      }))
+    : Object.entries(floor.cameraToEdge || {}).map(([cameraId, edgeId]) => ({
+        cameraId,
+        coverage: [{ edgeId, weight: 1 }],
+      }));
+  const cameraCount = cameraCoverage.length;
 
   // Image URL - local first, fallback to cloud
   const primaryImageUrl = getFloorImageUrl(floor.id, floor.mapImage);
@@ -115,6 +368,72 @@ export function FloorDetailPage() {
     }
   };
 
+  // Summarises the immediate re-route reported by the override API
+  const describeBroadcast = (broadcast) => {
+    if (broadcast?.error) return `re-route failed (${broadcast.error}), next cycle will apply it`;
+    const floors = broadcast?.floors || [];
+    return floors.length > 0
+      ? `routes re-broadcast for ${floors.map(f => f.floorName).join(', ')}`
+      : 'no active screens to re-route';
+  };
+
+  const refreshAfterOverride = () => {
+    dispatch(fetchFloorById(floor.id));
+    loadOverrideLog();
+  };
+
+  const handleSetOverride = async (override) => {
+    setSavingOverride(true);
+    const result = await setEdgeOverride(floor.id, overrideEdge.id, override);
+    setSavingOverride(false);
+
+    if (result.success) {
+      dispatch(showSuccess(`Override set on ${overrideEdge.id}: ${describeBroadcast(result.data?.broadcast)}`));
+      setOverrideEdge(null);
+      refreshAfterOverride();
+    } else {
+      dispatch(showError(result.error || 'Failed to set override'));
+    }
+  };
+
+  const handleClearOverride = async (edgeId) => {
+    const result = await clearEdgeOverride(floor.id, edgeId);
+    if (result.success) {
+      dispatch(showSuccess(`Override cleared on ${edgeId}: ${describeBroadcast(result.data?.broadcast)}`));
+      refreshAfterOverride();
+    } else {
+      dispatch(showError(result.error || 'Failed to clear override'));
+    }
+  };
+
+  // Downloads the bundle as '<floorId>.floor.json' for import on another server
+  const handleExport = async () => {
+    setExporting(true);
+    const result = await exportFloor(floor.id);
+    setExporting(false);
+
+    if (!result.success) {
+      dispatch(showError(result.error || 'Failed to export floor'));
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(result.data)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${floor.id}.floor.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleVersionRestored = (message, warnings) => {
+    dispatch(showSuccess(message));
+    if (warnings.length > 0) {
+      dispatch(showWarning(`Restored with ${warnings.length} critical issue(s): ${warnings.join('; ')}`));
+    }
+    dispatch(fetchFloorById(floor.id));
+  };
+
+  const leadsToExit = (edge) => [edge.from, edge.to].some(nodeId => floor.exitPoints?.includes(nodeId));
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -132,6 +451,9 @@ export function FloorDetailPage() {
           </div>
         </div>
         <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={handleExport} loading={exporting}>
+            <Download className="w-4 h-4" /> Export
+          </Button>
           <Button variant="outline" onClick={() => navigate(`/floors/${floor.id}/edit`)}>
             <Edit className="w-4 h-4" /> Edit
           </Button>
@@ -213,10 +535,21 @@ export function FloorDetailPage() {
                       <div>
                         <p className="font-medium text-gray-900">{edge.id}</p>
                         <p className="text-sm text-gray-500">{edge.from} → {edge.to}</p>
+                        <EdgeHazard edge={edge} />
+                        <EdgeOverrideBadge override={edge.override} />
                       </div>
                     </div>
-                    <div className="text-sm text-gray-500">
-                      Weight: {edge.staticWeight}
+                    <div className="flex flex-col items-end gap-2">
+                      <span className="text-sm text-gray-500">Weight: {edge.staticWeight}</span>
+                      {edge.override?.type ? (
+                        <Button variant="outline" size="small" onClick={() => handleClearOverride(edge.id)}>
+                          <ShieldOff className="w-4 h-4" /> Clear
+                        </Button>
+                      ) : (
+                        <Button variant="outline-danger" size="small" onClick={() => setOverrideEdge(edge)}>
+                          <ShieldAlert className="w-4 h-4" /> Override
+                        </Button>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -231,17 +564,23 @@ export function FloorDetailPage() {
       {/* Camera Mappings & Points */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Cameras */}
-        <Card title={`Cameras (${cameraCount})`}>
+        <Card title={`Cameras (${cameraCount} · ${floor.cameraAggregation || 'max'})`}>
           <div className="p-6 max-h-60 overflow-y-auto">
             {cameraCount > 0 ? (
               <div className="space-y-2">
-                {Object.entries(floor.cameraToEdge).map(([cameraId, edgeId]) => (
-                  <div key={cameraId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                {cameraCoverage.map(({ cameraId, coverage }) => (
+                  <div key={cameraId} className="flex items-center justify-between gap-2 p-3 bg-gray-50 rounded-lg">
                     <div className="flex items-center gap-2">
                       <Camera className="w-4 h-4 text-gray-400" />
                       <span className="font-medium text-gray-900">{cameraId}</span>
                     </div>
-                    <Badge variant="default">{edgeId}</Badge>
+                    <div className="flex flex-wrap justify-end gap-1">
+                      {coverage.map(({ edgeId, weight }) => (
+                        <Badge key={edgeId} variant="default">
+                          {weight < 1 ? `${edgeId} · ${Math.round(weight * 100)}%` : edgeId}
+                        </Badge>
+                      ))}
+                    </div>
                   </div>
                 ))}
               </div>
@@ -257,7 +596,9 @@ export function FloorDetailPage() {
             {floor.startPoints?.length > 0 ? (
               <div className="flex flex-wrap gap-2">
                 {floor.startPoints.map((point) => (
-                  <Badge key={point} variant="primary">{point}</Badge>
+                  <Badge key={point} variant="primary">
+                    {point}{floor.screens?.some(s => s.nodeId === point && s.stepFree) ? ' · step-free' : ''}
+                  </Badge>
                 ))}
               </div>
             ) : (
@@ -270,9 +611,9 @@ export function FloorDetailPage() {
         <Card title={`Exit Points (${floor.exitPoints?.length || 0})`}>
           <div className="p-6">
             {floor.exitPoints?.length > 0 ? (
-              <div className="flex flex-wrap gap-2">
+              <div className="space-y-2">
                 {floor.exitPoints.map((point) => (
-                  <Badge key={point} variant="danger">{point}</Badge>
+                  <ExitStatusRow key={point} nodeId={point} exit={floor.exits?.find(e => e.nodeId === point)} />
                 ))}
               </div>
             ) : (
@@ -281,6 +622,34 @@ export function FloorDetailPage() {
           </div>
         </Card>
       </div>
+
+      {/* Override Log */}
+      <Card title="Manual Override Log">
+        <div className="p-6 max-h-80 overflow-y-auto">
+          <OverrideLog entries={overrideLog} />
+        </div>
+      </Card>
+
+      {/* Graph Integrity */}
+      <FloorAnalysisPanel floorId={floor.id} configVersion={floor.configVersion} />
+
+      {/* Version History */}
+      <FloorVersionsPanel
+        floorId={floor.id}
+        onRestored={handleVersionRestored}
+        onError={(message) => dispatch(showError(message))}
+      />
+
+      {overrideEdge && (
+        <EdgeOverrideModal
+          key={overrideEdge.id}
+          edge={overrideEdge}
+          leadsToExit={leadsToExit(overrideEdge)}
+          onClose={() => setOverrideEdge(null)}
+          onSubmit={handleSetOverride}
+          saving={savingOverride}
+        />
+      )}
     </div>
   );
 }
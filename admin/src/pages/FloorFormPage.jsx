@@ -7,9 +7,10 @@
  * @version 1.0.0
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigate, useParams } from 'react-router-dom';
+import { unwrapResult } from '@reduxjs/toolkit';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import {
   ArrowLeft,
   Save,
@@ -23,7 +24,10 @@ import {
   Power,
 } from 'lucide-react';
 import { Card, Button, Input, Select } from '../components/ui';
-import { cn } from '../utils/helpers';
+import { FloorGraphEditor } from '../components/floor';
+import { useUndoableState } from '../hooks';
+import { parseIdList } from '../utils/helpers';
+import { validateFloorGraph } from '../utils/floorValidation';
 import {
   createFloor,
   updateFloor,
@@ -31,9 +35,9 @@ import {
   selectCurrentFloor,
   selectFloorsLoading,
 } from '../store/slices/floorsSlice';
-import { showSuccess, showError } from '../store/slices/uiSlice';
+import { showSuccess, showError, showWarning } from '../store/slices/uiSlice';
 import { buildFloorFormData } from '../services/floorService';
-import { NODE_TYPES, STATUS, ROUTES } from '../config';
+import { NODE_TYPES, TRAVERSAL_TYPES, EDGE_DIRECTIONS, STATUS, ROUTES, CAMERA_AGGREGATION_METHODS } from '../config';
 
 /* ============================================================
  * INITIAL FORM STATE
@@ -48,13 +52,28 @@ const initialFormState = {
   nodes: [],
   edges: [],
   cameras: [],
+  cameraAggregation: 'max',
   startPoints: '',
   exitPoints: '',
+  exitCapacities: {},
+  stepFreeScreens: [],
 };
 
-const initialNodeState = { id: '', x: '', y: '', label: '', type: 'room' };
-const initialEdgeState = { id: '', from: '', to: '', staticWeight: '1', peopleThreshold: '10', fireThreshold: '0.7', smokeThreshold: '0.6' };
-const initialCameraState = { cameraId: '', edgeId: '' };
+const initialNodeState = { id: '', x: '', y: '', label: '', type: 'room', traversalType: 'level', accessible: true };
+const initialEdgeState = {
+  id: '', from: '', to: '', staticWeight: '1', peopleThreshold: '10', fireThreshold: '0.7', smokeThreshold: '0.6',
+  traversalType: 'level', accessible: true, direction: 'bidirectional', evacuationDirection: '', widthMeters: '',
+};
+// weight/extraEdges: coverage of the primary edge and of further edges in view
+const initialCameraState = { cameraId: '', edgeId: '', weight: '1', extraEdges: [] };
+const initialCoverageState = { edgeId: '', weight: '1' };
+const editorDefaults = { node: initialNodeState, edge: initialEdgeState, camera: initialCameraState };
+
+// '' = keep the everyday direction during an evacuation
+const evacuationDirectionOptions = [
+  { value: '', label: 'Evacuation: Same' },
+  ...EDGE_DIRECTIONS.map(d => ({ value: d.value, label: `Evacuation: ${d.label}` })),
+];
 
 /* ============================================================
  * FLOOR FORM PAGE COMPONENT
@@ -65,11 +84,22 @@ export function FloorFormPage() {
   const navigate = useNavigate();
   const { id } = useParams();
   const isEdit = !!id;
+  // Proposal from the CAD import wizard (FloorImportPage), if any
+  const importedFloor = useLocation().state?.importedFloor;
 
   const currentFloor = useSelector(selectCurrentFloor);
   const loading = useSelector(selectFloorsLoading);
 
-  const [form, setForm] = useState(initialFormState);
+  // Every change is an undo step; typing into one field or dragging one node merges into a single step
+  const {
+    state: form,
+    setState: setForm,
+    reset: resetForm,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useUndoableState(initialFormState);
   const [mapImage, setMapImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [errors, setErrors] = useState({});
@@ -87,9 +117,24 @@ export function FloorFormPage() {
       // Handle both formats: cameras array (new) or cameraToEdge object (legacy)
       let cameras = [];
       if (Array.isArray(currentFloor.cameras)) {
-        cameras = currentFloor.cameras.map(cam => ({ cameraId: cam.id, edgeId: cam.edgeId }));
+        cameras = currentFloor.cameras.map(cam => {
+          const coverage = cam.coverage || [];
+          const primary = coverage.find(c => c.edgeId === cam.edgeId);
+          return {
+            cameraId: cam.id,
+            edgeId: cam.edgeId,
+            weight: String(primary?.weight ?? 1),
+            extraEdges: coverage
+              .filter(c => c.edgeId !== cam.edgeId)
+              .map(c => ({ edgeId: c.edgeId, weight: String(c.weight ?? 1) })),
+          };
+        });
       } else if (currentFloor.cameraToEdge) {
-        cameras = Object.entries(currentFloor.cameraToEdge).map(([cameraId, edgeId]) => ({ cameraId, edgeId }));
+        cameras = Object.entries(currentFloor.cameraToEdge).map(([cameraId, edgeId]) => ({
+          ...initialCameraState,
+          cameraId,
+          edgeId,
+        }));
       }
 
       // Handle startPoints - could come from screens array or startPoints array
@@ -100,28 +145,59 @@ export function FloorFormPage() {
         startPoints = currentFloor.startPoints.join(', ');
       }
 
-      setForm({
+      resetForm({
         id: currentFloor.id || '',
         name: currentFloor.name || '',
         status: currentFloor.status || 'active',
         widthMeters: currentFloor.mapImage?.widthMeters || '',
         heightMeters: currentFloor.mapImage?.heightMeters || '',
-        nodes: currentFloor.nodes || [],
-        edges: currentFloor.edges || [],
+        nodes: (currentFloor.nodes || []).map(node => ({ ...initialNodeState, ...node })),
+        edges: (currentFloor.edges || []).map(edge => ({
+          ...initialEdgeState,
+          ...edge,
+          evacuationDirection: edge.evacuationDirection || '',
+          widthMeters: edge.widthMeters ?? '',
+        })),
         cameras,
+        cameraAggregation: currentFloor.cameraAggregation || 'max',
         startPoints,
         exitPoints: (currentFloor.exitPoints || []).join(', '),
+        exitCapacities: Object.fromEntries(
+          (currentFloor.exits || []).map(exit => [exit.nodeId, exit.capacity ? String(exit.capacity) : ''])
+        ),
+        stepFreeScreens: (currentFloor.screens || []).filter(s => s.stepFree).map(s => s.nodeId),
       });
 
       if (currentFloor.mapImage?.url || currentFloor.mapImage?.localUrl) {
         setImagePreview(currentFloor.mapImage.url || currentFloor.mapImage.localUrl);
       }
     }
-  }, [isEdit, currentFloor]);
+  }, [isEdit, currentFloor, resetForm]);
+
+  // Prefill a new floor from an imported drawing
+  useEffect(() => {
+    if (!isEdit && importedFloor) {
+      resetForm({
+        ...initialFormState,
+        id: importedFloor.id,
+        name: importedFloor.name,
+        widthMeters: importedFloor.widthMeters || '',
+        heightMeters: importedFloor.heightMeters || '',
+        nodes: importedFloor.nodes.map(node => ({ ...initialNodeState, ...node })),
+        edges: importedFloor.edges.map(edge => ({ ...initialEdgeState, ...edge, staticWeight: String(edge.staticWeight) })),
+        exitPoints: importedFloor.exitPoints.join(', '),
+      });
+
+      setMapImage(importedFloor.mapImage);
+      const reader = new FileReader();
+      reader.onloadend = () => setImagePreview(reader.result);
+      reader.readAsDataURL(importedFloor.mapImage);
+    }
+  }, [isEdit, importedFloor, resetForm]);
 
   // Handle form field change
   const handleChange = (field, value) => {
-    setForm(prev => ({ ...prev, [field]: value }));
+    setForm(prev => ({ ...prev, [field]: value }), { merge: `field:${field}` });
     if (errors[field]) {
       setErrors(prev => ({ ...prev, [field]: null }));
     }
@@ -149,7 +225,7 @@ export function FloorFormPage() {
   const updateNode = (index, field, value) => {
     const newNodes = [...form.nodes];
     newNodes[index] = { ...newNodes[index], [field]: value };
-    setForm(prev => ({ ...prev, nodes: newNodes }));
+    setForm(prev => ({ ...prev, nodes: newNodes }), { merge: `node:${index}:${field}` });
   };
 
   const removeNode = (index) => {
@@ -170,7 +246,7 @@ export function FloorFormPage() {
   const updateEdge = (index, field, value) => {
     const newEdges = [...form.edges];
     newEdges[index] = { ...newEdges[index], [field]: value };
-    setForm(prev => ({ ...prev, edges: newEdges }));
+    setForm(prev => ({ ...prev, edges: newEdges }), { merge: `edge:${index}:${field}` });
   };
 
   const removeEdge = (index) => {
@@ -188,10 +264,10 @@ export function FloorFormPage() {
     }));
   };
 
-  const updateCamera = (index, field, value) => {
+  const updateCamera = (index, field, value, merge = `camera:${index}:${field}`) => {
     const newCameras = [...form.cameras];
     newCameras[index] = { ...newCameras[index], [field]: value };
-    setForm(prev => ({ ...prev, cameras: newCameras }));
+    setForm(prev => ({ ...prev, cameras: newCameras }), { merge });
   };
 
   const removeCamera = (index) => {
@@ -201,6 +277,46 @@ export function FloorFormPage() {
     }));
   };
 
+  // Add/Update/Remove further edges covered by a camera
+  const addCameraEdge = (cameraIndex) => {
+    const camera = form.cameras[cameraIndex];
+    updateCamera(cameraIndex, 'extraEdges', [...camera.extraEdges, { ...initialCoverageState }], null);
+  };
+
+  const updateCameraEdge = (cameraIndex, edgeIndex, field, value) => {
+    const extraEdges = [...form.cameras[cameraIndex].extraEdges];
+    extraEdges[edgeIndex] = { ...extraEdges[edgeIndex], [field]: value };
+    updateCamera(cameraIndex, 'extraEdges', extraEdges, `camera:${cameraIndex}:edge:${edgeIndex}:${field}`);
+  };
+
+  const removeCameraEdge = (cameraIndex, edgeIndex) => {
+    const extraEdges = form.cameras[cameraIndex].extraEdges.filter((_, i) => i !== edgeIndex);
+    updateCamera(cameraIndex, 'extraEdges', extraEdges, null);
+  };
+
+  // Live validation of the graph with the server's per-floor rules; capacities
+  // and step-free screens are limited to the current points as on submit
+  const graphErrors = useMemo(() => {
+    const startPoints = parseIdList(form.startPoints);
+    const exitPoints = parseIdList(form.exitPoints);
+    return validateFloorGraph({
+      nodes: form.nodes,
+      edges: form.edges,
+      cameras: form.cameras
+        .filter(cam => cam.cameraId)
+        .map(cam => ({
+          id: cam.cameraId,
+          edgeId: cam.edgeId,
+          coverage: [{ edgeId: cam.edgeId, weight: cam.weight }, ...cam.extraEdges].filter(c => c.edgeId),
+        })),
+      startPoints,
+      exitPoints,
+      cameraAggregation: form.cameraAggregation,
+      exitCapacities: Object.fromEntries(exitPoints.map(exitId => [exitId, form.exitCapacities[exitId] || null])),
+      stepFreeScreens: startPoints.filter(nodeId => form.stepFreeScreens.includes(nodeId)),
+    }).errors;
+  }, [form]);
+
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -227,6 +343,32 @@ export function FloorFormPage() {
       }
     });
 
+    // Validate camera coverage: distinct edges, weights in (0, 1]
+    form.cameras.forEach((camera, i) => {
+      const coverage = [{ edgeId: camera.edgeId, weight: camera.weight }, ...camera.extraEdges];
+      const edgeIds = coverage.map(c => c.edgeId).filter(Boolean);
+      const invalidWeight = coverage.some(c => {
+        const weight = parseFloat(c.weight);
+        return c.edgeId && (isNaN(weight) || weight <= 0 || weight > 1);
+      });
+
+      if (new Set(edgeIds).size !== edgeIds.length) {
+        newErrors[`camera_${i}`] = 'Each edge can only be covered once per camera';
+      } else if (invalidWeight) {
+        newErrors[`camera_${i}`] = 'Coverage weights must be greater than 0 and at most 1';
+      }
+    });
+
+    // Validate exit capacities: empty (derived) or a whole number >= 1
+    parseIdList(form.exitPoints).forEach(exitId => {
+      const capacity = form.exitCapacities[exitId];
+      if (capacity && !(Number.isInteger(Number(capacity)) && Number(capacity) >= 1)) {
+        newErrors[`exit_${exitId}`] = 'Capacity must be a whole number of at least 1';
+      }
+    });
+
+    if (graphErrors.length > 0) newErrors.graph = graphErrors[0];
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -241,11 +383,15 @@ export function FloorFormPage() {
     }
 
     try {
-      // Convert cameras array to object
+      // Convert cameras array to primary edge + coverage objects
       const cameraToEdge = {};
+      const cameraCoverage = {};
       form.cameras.forEach(cam => {
         if (cam.cameraId && cam.edgeId) {
           cameraToEdge[cam.cameraId] = cam.edgeId;
+          cameraCoverage[cam.cameraId] = [{ edgeId: cam.edgeId, weight: cam.weight }, ...cam.extraEdges]
+            .filter(c => c.edgeId)
+            .map(c => ({ edgeId: c.edgeId, weight: parseFloat(c.weight) || 1 }));
         }
       });
 
@@ -256,6 +402,8 @@ export function FloorFormPage() {
         y: parseFloat(node.y),
         label: node.label || node.id,
         type: node.type || 'room',
+        traversalType: node.traversalType || 'level',
+        accessible: node.accessible !== false,
       }));
 
       // Parse edges with proper types
@@ -267,11 +415,21 @@ export function FloorFormPage() {
         peopleThreshold: parseInt(edge.peopleThreshold) || 10,
         fireThreshold: parseFloat(edge.fireThreshold) || 0.7,
         smokeThreshold: parseFloat(edge.smokeThreshold) || 0.6,
+        traversalType: edge.traversalType || 'level',
+        accessible: edge.accessible !== false,
+        direction: edge.direction || 'bidirectional',
+        evacuationDirection: edge.evacuationDirection || null,
+        widthMeters: parseFloat(edge.widthMeters) || null,
       }));
 
       // Parse points
-      const startPoints = form.startPoints.split(',').map(s => s.trim()).filter(Boolean);
-      const exitPoints = form.exitPoints.split(',').map(s => s.trim()).filter(Boolean);
+      const startPoints = parseIdList(form.startPoints);
+      const exitPoints = parseIdList(form.exitPoints);
+
+      // Empty capacity = derived from the exit's corridors
+      const exitCapacities = Object.fromEntries(
+        exitPoints.map(exitId => [exitId, form.exitCapacities[exitId] ? parseInt(form.exitCapacities[exitId], 10) : null])
+      );
 
       const floorData = {
         id: form.id,
@@ -280,20 +438,28 @@ export function FloorFormPage() {
         nodes,
         edges,
         cameraToEdge,
+        cameraCoverage,
+        cameraAggregation: form.cameraAggregation,
         startPoints,
         exitPoints,
+        exitCapacities,
+        stepFreeScreens: startPoints.filter(nodeId => form.stepFreeScreens.includes(nodeId)),
         widthMeters: form.widthMeters ? parseFloat(form.widthMeters) : null,
         heightMeters: form.heightMeters ? parseFloat(form.heightMeters) : null,
       };
 
       const formData = buildFloorFormData(floorData, mapImage);
 
-      if (isEdit) {
-        await dispatch(updateFloor({ floorId: id, formData })).unwrap();
-        dispatch(showSuccess('Floor updated successfully'));
-      } else {
-        await dispatch(createFloor(formData)).unwrap();
-        dispatch(showSuccess('Floor created successfully'));
+      const action = isEdit
+        ? await dispatch(updateFloor({ floorId: id, formData }))
+        : await dispatch(createFloor(formData));
+      unwrapResult(action);
+      dispatch(showSuccess(isEdit ? 'Floor updated successfully' : 'Floor created successfully'));
+
+      // Critical graph issues do not block the save, but must not go unnoticed
+      const warnings = action.meta.warnings || [];
+      if (warnings.length > 0) {
+        dispatch(showWarning(`Saved with ${warnings.length} critical issue(s): ${warnings.join('; ')}`));
       }
 
       navigate(ROUTES.FLOORS);
@@ -322,6 +488,17 @@ export function FloorFormPage() {
         </div>
       </div>
 
+      {!isEdit && importedFloor && (
+        <div className="p-4 rounded-lg bg-primary-50 border border-primary-200 text-sm text-primary-700 space-y-1">
+          <p className="font-medium">
+            Imported from {importedFloor.source}. Add cameras and screens and check the proposed graph before saving.
+          </p>
+          {importedFloor.warnings.map(warning => (
+            <p key={warning} className="text-warning-600">{warning}</p>
+          ))}
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-6">
         {/* Basic Information */}
         <Card title="Basic Information">
@@ -430,6 +607,20 @@ export function FloorFormPage() {
           </div>
         </Card>
 
+        {/* Graph Editor */}
+        <Card title="Floor Graph Editor">
+          <div className="p-6">
+            <FloorGraphEditor
+              imageUrl={imagePreview}
+              form={form}
+              onChange={setForm}
+              defaults={editorDefaults}
+              errors={graphErrors}
+              history={{ undo, redo, canUndo, canRedo }}
+            />
+          </div>
+        </Card>
+
         {/* Nodes */}
         <Card
           title="Nodes (Points on Map)"
@@ -448,7 +639,7 @@ export function FloorFormPage() {
               form.nodes.map((node, index) => (
                 <div key={index} className="flex items-start gap-4 p-4 bg-gray-50 rounded-lg">
                   <MapPin className="w-5 h-5 text-gray-400 mt-2" />
-                  <div className="flex-1 grid grid-cols-2 md:grid-cols-5 gap-3">
+                  <div className="flex-1 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
                     <Input
                       placeholder="ID"
                       value={node.id}
@@ -477,6 +668,20 @@ export function FloorFormPage() {
                       onChange={(e) => updateNode(index, 'type', e.target.value)}
                       placeholder=""
                     />
+                    <Select
+                      options={TRAVERSAL_TYPES}
+                      value={node.traversalType || 'level'}
+                      onChange={(e) => updateNode(index, 'traversalType', e.target.value)}
+                      placeholder=""
+                    />
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={node.accessible !== false}
+                        onChange={(e) => updateNode(index, 'accessible', e.target.checked)}
+                      />
+                      Step-free
+                    </label>
                   </div>
                   <Button
                     type="button"
@@ -513,7 +718,7 @@ export function FloorFormPage() {
               form.edges.map((edge, index) => (
                 <div key={index} className="flex items-start gap-4 p-4 bg-gray-50 rounded-lg">
                   <GitBranch className="w-5 h-5 text-gray-400 mt-2" />
-                  <div className="flex-1 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-3">
+                  <div className="flex-1 grid grid-cols-2 md:grid-cols-4 lg:grid-cols-9 gap-3">
                     <Input
                       placeholder="ID"
                       value={edge.id}
@@ -558,6 +763,40 @@ export function FloorFormPage() {
                       value={edge.smokeThreshold}
                       onChange={(e) => updateEdge(index, 'smokeThreshold', e.target.value)}
                     />
+                    <Input
+                      placeholder="Width (m)"
+                      type="number"
+                      step="0.1"
+                      min="0"
+                      value={edge.widthMeters}
+                      onChange={(e) => updateEdge(index, 'widthMeters', e.target.value)}
+                    />
+                    <Select
+                      options={TRAVERSAL_TYPES}
+                      value={edge.traversalType || 'level'}
+                      onChange={(e) => updateEdge(index, 'traversalType', e.target.value)}
+                      placeholder=""
+                    />
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={edge.accessible !== false}
+                        onChange={(e) => updateEdge(index, 'accessible', e.target.checked)}
+                      />
+                      Step-free
+                    </label>
+                    <Select
+                      options={EDGE_DIRECTIONS}
+                      value={edge.direction || 'bidirectional'}
+                      onChange={(e) => updateEdge(index, 'direction', e.target.value)}
+                      placeholder=""
+                    />
+                    <Select
+                      options={evacuationDirectionOptions}
+                      value={edge.evacuationDirection || ''}
+                      onChange={(e) => updateEdge(index, 'evacuationDirection', e.target.value)}
+                      placeholder=""
+                    />
                   </div>
                   <Button
                     type="button"
@@ -586,35 +825,97 @@ export function FloorFormPage() {
           }
         >
           <div className="p-6 space-y-4">
+            <Select
+              label="Aggregation"
+              options={CAMERA_AGGREGATION_METHODS}
+              value={form.cameraAggregation}
+              onChange={(e) => handleChange('cameraAggregation', e.target.value)}
+              placeholder=""
+            />
+            <p className="text-sm text-gray-500 -mt-2">
+              How readings are combined when several cameras cover the same edge
+            </p>
             {form.cameras.length === 0 ? (
               <p className="text-gray-500 text-center py-4">
                 No cameras added yet. Click "Add Camera" to map cameras to edges.
               </p>
             ) : (
               form.cameras.map((camera, index) => (
-                <div key={index} className="flex items-center gap-4 p-4 bg-gray-50 rounded-lg">
-                  <Camera className="w-5 h-5 text-gray-400" />
-                  <div className="flex-1 grid grid-cols-2 gap-3">
-                    <Input
-                      placeholder="Camera ID (e.g., CAM_01)"
-                      value={camera.cameraId}
-                      onChange={(e) => updateCamera(index, 'cameraId', e.target.value)}
-                    />
-                    <Select
-                      options={edgeOptions}
-                      value={camera.edgeId}
-                      onChange={(e) => updateCamera(index, 'edgeId', e.target.value)}
-                      placeholder="Select Edge"
-                    />
+                <div key={index} className="p-4 bg-gray-50 rounded-lg space-y-3">
+                  <div className="flex items-center gap-4">
+                    <Camera className="w-5 h-5 text-gray-400" />
+                    <div className="flex-1 grid grid-cols-3 gap-3">
+                      <Input
+                        placeholder="Camera ID (e.g., CAM_01)"
+                        value={camera.cameraId}
+                        onChange={(e) => updateCamera(index, 'cameraId', e.target.value)}
+                      />
+                      <Select
+                        options={edgeOptions}
+                        value={camera.edgeId}
+                        onChange={(e) => updateCamera(index, 'edgeId', e.target.value)}
+                        placeholder="Select Edge"
+                      />
+                      <Input
+                        type="number"
+                        step="0.05"
+                        min="0.05"
+                        max="1"
+                        placeholder="Coverage (0-1)"
+                        value={camera.weight}
+                        onChange={(e) => updateCamera(index, 'weight', e.target.value)}
+                      />
+                    </div>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="small"
+                      onClick={() => removeCamera(index)}
+                    >
+                      <Trash2 className="w-4 h-4 text-danger-500" />
+                    </Button>
+                  </div>
+
+                  {/* Further edges in this camera's view */}
+                  {camera.extraEdges.map((coverage, edgeIndex) => (
+                    <div key={edgeIndex} className="flex items-center gap-4 pl-9">
+                      <div className="flex-1 grid grid-cols-3 gap-3">
+                        <span className="self-center text-sm text-gray-500">Also covers</span>
+                        <Select
+                          options={edgeOptions}
+                          value={coverage.edgeId}
+                          onChange={(e) => updateCameraEdge(index, edgeIndex, 'edgeId', e.target.value)}
+                          placeholder="Select Edge"
+                        />
+                        <Input
+                          type="number"
+                          step="0.05"
+                          min="0.05"
+                          max="1"
+                          placeholder="Coverage (0-1)"
+                          value={coverage.weight}
+                          onChange={(e) => updateCameraEdge(index, edgeIndex, 'weight', e.target.value)}
+                        />
+                      </div>
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="small"
+                        onClick={() => removeCameraEdge(index, edgeIndex)}
+                      >
+                        <Trash2 className="w-4 h-4 text-danger-500" />
+                      </Button>
+                    </div>
+                  ))}
+
+                  <div className="flex items-center justify-between pl-9">
+                    <Button type="button" variant="ghost" size="small" onClick={() => addCameraEdge(index)}>
+                      <Plus className="w-4 h-4" /> Cover Another Edge
+                    </Button>
+                    {errors[`camera_${index}`] && (
+                      <p className="text-sm text-danger-500">{errors[`camera_${index}`]}</p>
+                    )}
                   </div>
-                  <Button
-                    type="button"
-                    variant="ghost"
-                    size="small"
-                    onClick={() => removeCamera(index)}
-                  >
-                    <Trash2 className="w-4 h-4 text-danger-500" />
-                  </Button>
                 </div>
               ))
             )}
@@ -632,6 +933,28 @@ export function FloorFormPage() {
               error={errors.startPoints}
               hint="Node IDs where screens are located"
             />
+            {parseIdList(form.startPoints).length > 0 && (
+              <div>
+                <p className="text-sm font-semibold text-gray-700 mb-2">Step-Free Screens</p>
+                <div className="flex flex-wrap gap-4">
+                  {parseIdList(form.startPoints).map(nodeId => (
+                    <label key={nodeId} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.stepFreeScreens.includes(nodeId)}
+                        onChange={(e) => handleChange('stepFreeScreens', e.target.checked
+                          ? [...form.stepFreeScreens, nodeId]
+                          : form.stepFreeScreens.filter(id => id !== nodeId))}
+                      />
+                      {nodeId}
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  These screens also show a route without stairs; screens at refuge areas always do
+                </p>
+              </div>
+            )}
             <Input
               label="Exit Points *"
               placeholder="EXIT_A, EXIT_B (comma-separated node IDs)"
@@ -640,6 +963,29 @@ export function FloorFormPage() {
               error={errors.exitPoints}
               hint="Node IDs that are emergency exits"
             />
+            {parseIdList(form.exitPoints).length > 0 && (
+              <div>
+                <p className="text-sm font-semibold text-gray-700 mb-2">Exit Capacities</p>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {parseIdList(form.exitPoints).map(exitId => (
+                    <Input
+                      key={exitId}
+                      id={`exit-capacity-${exitId}`}
+                      label={exitId}
+                      type="number"
+                      min="1"
+                      placeholder="Auto"
+                      value={form.exitCapacities[exitId] || ''}
+                      onChange={(e) => handleChange('exitCapacities', { ...form.exitCapacities, [exitId]: e.target.value })}
+                      error={errors[`exit_${exitId}`]}
+                    />
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  People each exit handles at once; leave empty to use the sum of its corridors' people thresholds
+                </p>
+              </div>
+            )}
           </div>
         </Card>
 
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Floor Import Page
+ * @description Wizard that turns a DXF/SVG CAD drawing into a new floor:
+ *              upload the drawing, pick the hallway and exit layers, check
+ *              the proposed corridor graph, then continue to the floor form
+ *              to review and save it.
+ *
+ * @module pages/FloorImportPage
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, FileUp, RefreshCw, ArrowRight, AlertTriangle } from 'lucide-react';
+import { Card, Button, Input, Select, Badge } from '../components/ui';
+import { cn } from '../utils/helpers';
+import { showError } from '../store/slices/uiSlice';
+import { importFloorPlan } from '../services/floorService';
+import { ROUTES } from '../config';
+
+/* ============================================================
+ * CONSTANTS
+ * ============================================================ */
+
+const UNIT_OPTIONS = [
+  { value: '', label: 'From drawing' },
+  { value: 'mm', label: 'Millimeters' },
+  { value: 'cm', label: 'Centimeters' },
+  { value: 'm', label: 'Meters' },
+  { value: 'in', label: 'Inches' },
+  { value: 'ft', label: 'Feet' },
+];
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Rasterise the proposed plan (SVG markup) into a PNG file for the
+ * regular floor image upload
+ *
+ * @param {Object} image - { svg, widthPixels, heightPixels }
+ * @param {string} name - File name
+ * @returns {Promise<File>} PNG file
+ */
+const svgToPngFile = (image, name) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([image.svg], { type: 'image/svg+xml' }));
+  const img = new Image();
+
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.widthPixels;
+    canvas.height = image.heightPixels;
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(
+      (blob) => (blob ? resolve(new File([blob], name, { type: 'image/png' })) : reject(new Error('Could not render plan image'))),
+      'image/png'
+    );
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render plan image'));
+  };
+  img.src = url;
+});
+
+/* ============================================================
+ * FLOOR IMPORT PAGE COMPONENT
+ * ============================================================ */
+
+export function FloorImportPage() {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const [drawing, setDrawing] = useState(null);
+  const [floorId, setFloorId] = useState('');
+  const [floorName, setFloorName] = useState('');
+  const [units, setUnits] = useState('');
+  const [hallwayLayers, setHallwayLayers] = useState([]);
+  const [exitLayers, setExitLayers] = useState([]);
+  const [proposal, setProposal] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Analyse the drawing; layer choices are sent once the admin has seen the layer list
+  const handleAnalyze = async () => {
+    setLoading(true);
+    try {
+      const result = await importFloorPlan(drawing, {
+        floorId: floorId.trim(),
+        units,
+        hallwayLayers: proposal ? hallwayLayers.join(',') : '',
+        exitLayers: proposal ? exitLayers.join(',') : '',
+      });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to import drawing');
+      }
+      const layers = result.data.source.layers;
+      setProposal(result.data);
+      setHallwayLayers(layers.filter(l => l.hallway).map(l => l.name));
+      setExitLayers(layers.filter(l => l.exit).map(l => l.name));
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to import drawing'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setDrawing(file);
+      setProposal(null);
+      setHallwayLayers([]);
+      setExitLayers([]);
+    }
+  };
+
+  const toggleLayer = (setter, name) => {
+    setter(prev => (prev.includes(name) ? prev.filter(l => l !== name) : [...prev, name]));
+  };
+
+  // Hand the proposal to the floor form, where it is reviewed and saved like any new floor
+  const handleContinue = async () => {
+    try {
+      const mapImage = await svgToPngFile(proposal.image, `${floorId.trim() || 'floor'}.png`);
+      navigate(ROUTES.FLOOR_NEW, {
+        state: {
+          importedFloor: {
+            id: floorId.trim(),
+            name: floorName.trim(),
+            widthMeters: proposal.widthMeters,
+            heightMeters: proposal.heightMeters,
+            nodes: proposal.nodes,
+            edges: proposal.edges,
+            exitPoints: proposal.exitPoints,
+            warnings: proposal.warnings,
+            source: proposal.source.filename,
+            mapImage,
+          },
+        },
+      });
+    } catch (err) {
+      dispatch(showError(err.message));
+    }
+  };
+
+  const layersChanged = proposal && (
+    proposal.source.layers.some(l => l.hallway !== hallwayLayers.includes(l.name) || l.exit !== exitLayers.includes(l.name))
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center gap-4">
+        <Button variant="ghost" onClick={() => navigate(ROUTES.FLOORS)}>
+          <ArrowLeft className="w-4 h-4" />
+        </Button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Import Floor Plan</h1>
+          <p className="text-gray-500 mt-1">
+            Propose a floor from a DXF or SVG drawing, then review it before saving
+          </p>
+        </div>
+      </div>
+
+      {/* Step 1: Drawing */}
+      <Card title="1. Drawing">
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Floor ID"
+              placeholder="e.g., floor_1"
+              value={floorId}
+              onChange={(e) => setFloorId(e.target.value)}
+              hint="Prefixes the proposed node and edge IDs"
+            />
+            <Input
+              label="Floor Name"
+              placeholder="e.g., Ground Floor"
+              value={floorName}
+              onChange={(e) => setFloorName(e.target.value)}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">
+                Drawing (.dxf, .svg)
+              </label>
+              <input
+                type="file"
+                accept=".dxf,.svg"
+                onChange={handleFileChange}
+                className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-600 hover:file:bg-primary-100"
+              />
+            </div>
+            <Select
+              label="Drawing Units"
+              options={UNIT_OPTIONS}
+              value={units}
+              onChange={(e) => setUnits(e.target.value)}
+            />
+          </div>
+          <div className="flex justify-end">
+            <Button variant="primary" onClick={handleAnalyze} disabled={!drawing} loading={loading}>
+              <FileUp className="w-4 h-4" />
+              Analyze Drawing
+            </Button>
+          </div>
+        </div>
+      </Card>
+
+      {proposal && (
+        <>
+          {/* Step 2: Layers */}
+          <Card
+            title="2. Layers"
+            action={
+              <Button variant="outline" size="small" onClick={handleAnalyze} disabled={!layersChanged} loading={loading}>
+                <RefreshCw className="w-4 h-4" />
+                Re-run
+              </Button>
+            }
+          >
+            <div className="p-6">
+              <p className="text-sm text-gray-500 mb-4">
+                Closed shapes on hallway layers become corridors; shapes on exit layers mark exits.
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Layer</th>
+                    <th className="py-2">Shapes</th>
+                    <th className="py-2 text-center">Hallway</th>
+                    <th className="py-2 text-center">Exit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {proposal.source.layers.map(layer => (
+                    <tr key={layer.name} className="border-b last:border-0">
+                      <td className="py-2 font-mono">{layer.name}</td>
+                      <td className="py-2 text-gray-600">{layer.shapes}</td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={hallwayLayers.includes(layer.name)}
+                          onChange={() => toggleLayer(setHallwayLayers, layer.name)}
+                        />
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={exitLayers.includes(layer.name)}
+                          onChange={() => toggleLayer(setExitLayers, layer.name)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
+          {/* Step 3: Proposal */}
+          <Card title="3. Proposed Floor">
+            <div className="p-6 space-y-4">
+              <div className="flex flex-wrap gap-2">
+                <Badge variant="primary">{proposal.source.format.toUpperCase()}</Badge>
+                <Badge>Units: {proposal.source.units || 'unknown'}</Badge>
+                <Badge>
+                  {proposal.widthMeters
+                    ? `${proposal.widthMeters} × ${proposal.heightMeters} m`
+                    : 'Size unknown'}
+                </Badge>
+                <Badge variant="success">{proposal.nodes.length} nodes</Badge>
+                <Badge variant="success">{proposal.edges.length} edges</Badge>
+                <Badge variant={proposal.exitPoints.length ? 'success' : 'warning'}>
+                  {proposal.exitPoints.length} exits
+                </Badge>
+              </div>
+
+              {proposal.warnings.length > 0 && (
+                <ul className="space-y-1">
+                  {proposal.warnings.map(warning => (
+                    <li key={warning} className="flex items-start gap-2 text-sm text-warning-600">
+                      <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                      {warning}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+                <svg
+                  viewBox={`0 0 ${proposal.image.widthPixels} ${proposal.image.heightPixels}`}
+                  className="w-full h-auto"
+                >
+                  <image
+                    href={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(proposal.image.svg)}`}
+                    width={proposal.image.widthPixels}
+                    height={proposal.image.heightPixels}
+                  />
+                  {proposal.edges.map(edge => {
+                    const from = proposal.nodes.find(n => n.id === edge.from);
+                    const to = proposal.nodes.find(n => n.id === edge.to);
+                    return (
+                      <line
+                        key={edge.id}
+                        x1={from.x}
+                        y1={from.y}
+                        x2={to.x}
+                        y2={to.y}
+                        className="stroke-primary-500"
+                        strokeWidth={4}
+                      />
+                    );
+                  })}
+                  {proposal.nodes.map(node => (
+                    <circle
+                      key={node.id}
+                      cx={node.x}
+                      cy={node.y}
+                      r={10}
+                      className={cn(node.type === 'exit' ? 'fill-success-500' : 'fill-primary-600')}
+                    />
+                  ))}
+                </svg>
+              </div>
+
+              <div className="flex justify-end">
+                <Button variant="primary" onClick={handleContinue}>
+                  Review in Floor Editor
+                  <ArrowRight className="w-4 h-4" />
+                </Button>
+              </div>
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FloorImportPage;
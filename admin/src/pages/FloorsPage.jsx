@@ -23,10 +23,13 @@ import {
   MapPin,
   Grid,
   List,
+  FileUp,
+  PackageOpen,
 } from 'lucide-react';
 import { Card, Button, Input, Badge, Spinner } from '../components/ui';
 import { Modal, ConfirmModal } from '../components/ui/Modal';
 import { EmptyState } from '../components/ui/EmptyState';
+import { FloorBundleImportModal } from '../components/floor';
 import { cn, getFloorImageUrl, getFloorImageFallback, getCameraCount, getScreenCount } from '../utils/helpers';
 import {
   fetchFloors,
@@ -35,7 +38,7 @@ import {
   selectFloorsLoading,
   selectFloorsError,
 } from '../store/slices/floorsSlice';
-import { showSuccess, showError } from '../store/slices/uiSlice';
+import { showSuccess, showError, showWarning } from '../store/slices/uiSlice';
 import { ROUTES } from '../config';
 
 /* ============================================================
@@ -249,6 +252,7 @@ export function FloorsPage() {
   const [viewMode, setViewMode] = useState('grid'); // 'grid' | 'list'
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [floorToDelete, setFloorToDelete] = useState(null);
+  const [bundleModalOpen, setBundleModalOpen] = useState(false);
 
   useEffect(() => {
     dispatch(fetchFloors());
@@ -276,6 +280,16 @@ export function FloorsPage() {
     }
   };
 
+  const handleBundleImported = ({ floor, version }, warnings) => {
+    setBundleModalOpen(false);
+    dispatch(showSuccess(`Floor "${floor.name}" imported${version ? ` as version ${version}` : ''}`));
+    if (warnings.length > 0) {
+      dispatch(showWarning(`Imported with ${warnings.length} critical issue(s): ${warnings.join('; ')}`));
+    }
+    dispatch(fetchFloors());
+    navigate(`/floors/${floor.id}`);
+  };
+
   // Filter floors by search query - memoized for performance
   const filteredFloors = useMemo(() => 
     floors.filter(floor =>
@@ -294,10 +308,20 @@ export function FloorsPage() {
             Manage floor maps, nodes, and camera configurations
           </p>
         </div>
-        <Button variant="primary" onClick={() => navigate(ROUTES.FLOOR_NEW)}>
-          <Plus className="w-4 h-4" />
-          Add Floor
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={() => navigate(ROUTES.FLOOR_IMPORT)}>
+            <FileUp className="w-4 h-4" />
+            Import Drawing
+          </Button>
+          <Button variant="outline" onClick={() => setBundleModalOpen(true)}>
+            <PackageOpen className="w-4 h-4" />
+            Import Bundle
+          </Button>
+          <Button variant="primary" onClick={() => navigate(ROUTES.FLOOR_NEW)}>
+            <Plus className="w-4 h-4" />
+            Add Floor
+          </Button>
+        </div>
       </div>
 
       {/* Toolbar */}
@@ -389,6 +413,13 @@ export function FloorsPage() {
         confirmText="Delete"
         loading={loading.delete}
       />
+
+      {/* Bundle Import Modal */}
+      <FloorBundleImportModal
+        isOpen={bundleModalOpen}
+        onClose={() => setBundleModalOpen(false)}
+        onImported={handleBundleImported}
+      />
     </div>
   );
 }
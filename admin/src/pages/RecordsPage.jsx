@@ -58,6 +58,20 @@ function RecordRow({ record }) {
   const hasFireHazard = fireProb >= 0.5;
   const hasSmokeHazard = smokeProb >= 0.5;
   const hasHazard = hasFireHazard || hasSmokeHazard;
+
+  // Older records only carry the camera's single edgeId
+  const edgeIds = record.edgeIds?.length ? record.edgeIds : [record.edgeId].filter(Boolean);
+
+  // How the local/cloud AI results were fused (absent on older records)
+  const fusion = record.fusion;
+  const sourceSummary = ['local', 'cloud']
+    .filter(source => record.aiSources?.[source])
+    .map(source => {
+      const r = record.aiSources[source];
+      const confidence = r.confidence != null ? `, confidence ${(r.confidence * 100).toFixed(0)}%` : '';
+      return `${source}${r.aiModel ? ` (${r.aiModel})` : ''}: fire ${(r.fireProb * 100).toFixed(0)}%, smoke ${(r.smokeProb * 100).toFixed(0)}%, people ${r.peopleCount}${confidence}`;
+    })
+    .join('\n');
   
   // Image URL - use local server path first
   const imageUrl = getRecordImageUrl(record);
@@ -103,6 +117,14 @@ function RecordRow({ record }) {
               {(smokeProb * 100).toFixed(0)}%
             </Badge>
           </div>
+          {fusion?.strategy && (
+            <div className="flex items-center gap-1 text-xs text-gray-400" title={sourceSummary}>
+              <span>{fusion.strategy}</span>
+              {fusion.disagreement && (
+                <Badge variant="warning" size="small">Sources disagree</Badge>
+              )}
+            </div>
+          )}
         </div>
       </td>
       
@@ -122,9 +144,19 @@ function RecordRow({ record }) {
         </div>
       </td>
       
-      {/* Edge Device */}
+      {/* Covered Edges (one camera may cover several) */}
       <td className="px-4 py-3 whitespace-nowrap text-gray-500">
-        {record.edgeId || '-'}
+        {edgeIds.length > 1 ? (
+          <div className="flex flex-wrap gap-1">
+            {edgeIds.map(edgeId => (
+              <Badge key={edgeId} variant={edgeId === record.edgeId ? 'primary' : 'default'}>
+                {edgeId}
+              </Badge>
+            ))}
+          </div>
+        ) : (
+          edgeIds[0] || '-'
+        )}
       </td>
       
       {/* Processed Status */}
@@ -177,6 +209,7 @@ export function RecordsPage() {
   const [localFilters, setLocalFilters] = useState({
     type: '',
     status: '',
+    edgeId: '',
     startDate: '',
     endDate: '',
   });
@@ -207,6 +240,11 @@ export function RecordsPage() {
   const handleFloorChange = (floorId) => {
     setSelectedFloorId(floorId);
     setCurrentPage(1); // Reset to first page when floor changes
+    // Edge IDs are per floor, so an edge filter does not carry over
+    if (filters.edgeId) {
+      setLocalFilters(prev => ({ ...prev, edgeId: '' }));
+      dispatch(setFilters({ edgeId: null }));
+    }
   };
 
   const handlePageChange = (page) => {
@@ -238,6 +276,7 @@ export function RecordsPage() {
     setLocalFilters({
       type: '',
       status: '',
+      edgeId: '',
       startDate: '',
       endDate: '',
     });
@@ -256,6 +295,14 @@ export function RecordsPage() {
     [floors]
   );
 
+  const edgeOptions = useMemo(() => [
+    { value: '', label: 'All Edges' },
+    ...(floors.find(f => f.id === selectedFloorId)?.edges || []).map(e => ({
+      value: e.id,
+      label: `${e.id} (${e.from} → ${e.to})`,
+    })),
+  ], [floors, selectedFloorId]);
+
   const typeOptions = [
     { value: '', label: 'All Types' },
     ...DETECTION_TYPES.map(t => ({ value: t.value, label: t.label })),
@@ -328,7 +375,7 @@ export function RecordsPage() {
       {showFilters && (
         <Card>
           <div className="p-4">
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
               <Select
                 label="Detection Type"
                 options={typeOptions}
@@ -341,6 +388,12 @@ export function RecordsPage() {
                 value={localFilters.status}
                 onChange={(e) => setLocalFilters(prev => ({ ...prev, status: e.target.value }))}
               />
+              <Select
+                label="Edge"
+                options={edgeOptions}
+                value={localFilters.edgeId}
+                onChange={(e) => setLocalFilters(prev => ({ ...prev, edgeId: e.target.value }))}
+              />
               <Input
                 label="From Date"
                 type="date"
@@ -18,10 +18,12 @@ import {
   AlertTriangle,
   CheckCircle,
   Clock,
+  Accessibility,
+  Anchor,
 } from 'lucide-react';
 import { Card, Button, Select, Badge, Spinner } from '../components/ui';
 import { EmptyState } from '../components/ui/EmptyState';
-import { cn, formatRelativeTime } from '../utils/helpers';
+import { cn, formatRelativeTime, formatDuration } from '../utils/helpers';
 import {
   fetchRoutes,
   computeRoutes,
@@ -29,6 +31,8 @@ import {
   selectRoutesLoading,
   selectRoutesError,
   selectRoutesLastComputed,
+  selectRoutesFloorVersion,
+  selectRoutesEgress,
 } from '../store/slices/routesSlice';
 import {
   fetchFloors,
@@ -68,7 +72,9 @@ function RouteCard({ route }) {
           </div>
           <div>
             <p className="font-medium text-gray-900">From: {route.startNode}</p>
-            <p className="text-sm text-gray-500">To: {route.exitNode}</p>
+            <p className="text-sm text-gray-500">
+              {route.shelterInPlace ? `Shelter: ${route.refugeNode || 'in place'}` : `To: ${route.exitNode}`}
+            </p>
           </div>
         </div>
 
@@ -106,11 +112,19 @@ function RouteCard({ route }) {
               {route.distanceMeters ? `${route.distanceMeters.toFixed(1)}m` : 'N/A'}
             </p>
           </div>
-          <div className="text-center">
+          <div
+            className="text-center"
+            title={route.egress
+              ? `${formatDuration(route.egress.freeFlowSeconds)} on empty corridors${route.egress.bottleneckEdge ? `, slowest at ${route.egress.bottleneckEdge}` : ''}`
+              : 'Set the floor dimensions to estimate egress time'}
+          >
             <p className="text-xs text-gray-500">Est. Time</p>
-            <p className="font-semibold text-gray-900">
-              {route.distanceMeters ? `${Math.round(route.distanceMeters / 1.4)}s` : 'N/A'}
-            </p>
+            <p className="font-semibold text-gray-900">{formatDuration(route.egress?.seconds)}</p>
+            {route.egress && route.egress.seconds > route.egress.freeFlowSeconds && (
+              <p className="text-xs text-warning-600">
+                +{formatDuration(route.egress.seconds - route.egress.freeFlowSeconds)} crowding
+              </p>
+            )}
           </div>
         </div>
 
@@ -142,6 +156,41 @@ function RouteCard({ route }) {
           )}
         </div>
       )}
+
+      {/* Held route (hysteresis: a slightly cheaper route has not won long enough yet) */}
+      {route.stability?.held && route.stability.challenger && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 pt-3 border-t border-gray-100 text-sm">
+          <Anchor className="w-4 h-4 text-primary-600" />
+          <span className="font-medium text-gray-900">Held:</span>
+          <span className="text-gray-600">
+            {route.stability.challenger} is {Math.round(route.stability.improvement * 100)}% cheaper
+            ({route.stability.cycles} {route.stability.cycles === 1 ? 'cycle' : 'cycles'} so far)
+          </span>
+        </div>
+      )}
+
+      {/* Step-free route (step-free screens and refuge screens) */}
+      {route.stepFree && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 pt-3 border-t border-gray-100 text-sm">
+          <Accessibility className="w-4 h-4 text-primary-600" />
+          <span className="font-medium text-gray-900">Step-free:</span>
+          {route.stepFree.sameAsStandard ? (
+            <span className="text-gray-600">same as the route above</span>
+          ) : (
+            <>
+              <span className="font-mono text-gray-700">{route.stepFree.path?.join(' → ')}</span>
+              {route.stepFree.shelterInPlace ? (
+                <Badge variant="danger">Refuge: {route.stepFree.refugeLabel || 'in place'}</Badge>
+              ) : (
+                <span className="text-gray-500">
+                  {route.stepFree.distanceMeters ? `${route.stepFree.distanceMeters.toFixed(1)}m` : ''}
+                  {route.stepFree.egressSeconds != null && ` · ~${formatDuration(route.stepFree.egressSeconds)}`}
+                </span>
+              )}
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -157,6 +206,8 @@ export function RoutesPage() {
   const floors = useSelector(selectFloorsList);
   const loading = useSelector(selectRoutesLoading);
   const lastComputed = useSelector(selectRoutesLastComputed);
+  const floorVersion = useSelector(selectRoutesFloorVersion);
+  const floorEgress = useSelector(selectRoutesEgress);
 
   const [selectedFloor, setSelectedFloor] = useState('');
 
@@ -252,6 +303,18 @@ export function RoutesPage() {
             <div className="flex items-center gap-2 text-sm text-gray-500 ml-auto">
               <Clock className="w-4 h-4" />
               Last computed: {formatRelativeTime(lastComputed)}
+              {floorVersion && <Badge variant="default">floor v{floorVersion}</Badge>}
+            </div>
+          )}
+
+          {floorEgress && (
+            <div
+              className={cn('flex items-center gap-2 text-sm text-gray-500', !lastComputed && 'ml-auto')}
+              title={`Average over screens: ${formatDuration(floorEgress.averageSeconds)}`}
+            >
+              <DoorOpen className="w-4 h-4" />
+              Floor egress: <span className="font-semibold text-gray-900">{formatDuration(floorEgress.seconds)}</span>
+              (slowest from {floorEgress.startNode})
             </div>
           )}
         </div>
@@ -329,7 +392,7 @@ export function RoutesPage() {
               <div className="text-center p-4 bg-gray-50 rounded-lg">
                 <DoorOpen className="w-6 h-6 text-danger-500 mx-auto mb-2" />
                 <p className="text-2xl font-bold text-gray-900">
-                  {new Set(routes.map(r => r.exitNode)).size}
+                  {new Set(routes.filter(r => r.exitNode).map(r => r.exitNode)).size}
                 </p>
                 <p className="text-sm text-gray-500">Exit Points</p>
               </div>
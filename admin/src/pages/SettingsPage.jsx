@@ -1,6 +1,8 @@
 /**
  * @fileoverview Settings Page
- * @description Application settings for API configuration, cloud sync, and cloud processing.
+ * @description Application settings for API configuration, cloud sync, cloud processing,
+ *              route planning mode, routing weight profiles, hazard smoothing, AI result
+ *              fusion and drill mode.
  *
  * @module pages/SettingsPage
  * @author Marcelino Saad
@@ -9,6 +11,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
 import {
   Settings,
   Server,
@@ -26,8 +29,18 @@ import {
   Clock,
   Upload,
   Play,
+  Route,
+  GitFork,
+  TrendingUp,
+  Scale,
+  ShieldAlert,
+  GitCompare,
+  Siren,
+  Square,
+  History,
 } from 'lucide-react';
-import { Card, Button, Input } from '../components/ui';
+import { Card, Button, Input, Textarea } from '../components/ui';
+import { RoutingWeightsPanel } from '../components/settings';
 import { cn } from '../utils/helpers';
 import {
   verifyAuth,
@@ -36,9 +49,81 @@ import {
   selectAuthLoading,
 } from '../store/slices/authSlice';
 import { showSuccess, showError } from '../store/slices/uiSlice';
-import { STORAGE_KEYS, API_CONFIG, APP_CONFIG } from '../config';
+import { STORAGE_KEYS, API_CONFIG, APP_CONFIG, ROUTES } from '../config';
 import { getSettings, updateSettings, triggerSync } from '../services/settingsService';
 
+/* ============================================================
+ * HAZARD SMOOTHING FIELDS
+ * Mirrors the server Settings.hazardSmoothing defaults/ranges
+ * ============================================================ */
+
+const DEFAULT_HAZARD_SMOOTHING = {
+  enabled: true,
+  alpha: 0.5,
+  holdCycles: 2,
+  decayRate: 0.5,
+  trendCycles: 3,
+  trendMinRise: 0.1,
+  fastAttack: false,
+};
+
+const HAZARD_SMOOTHING_FIELDS = [
+  { key: 'alpha', label: 'Smoothing Factor', min: 0.05, max: 1, step: 0.05, hint: 'Weight of the newest reading (1 = no smoothing)' },
+  { key: 'holdCycles', label: 'Hold Cycles', min: 0, max: 10, step: 1, hint: 'Cycles a failed camera keeps its last reading' },
+  { key: 'decayRate', label: 'Decay Rate', min: 0, max: 1, step: 0.05, hint: 'Fraction lost per cycle once the hold expires' },
+  { key: 'trendCycles', label: 'Trend Window', min: 2, max: 10, step: 1, hint: 'Cycles fire/smoke must rise in a row' },
+  { key: 'trendMinRise', label: 'Minimum Rise', min: 0, max: 1, step: 0.05, hint: 'Total fire/smoke increase that counts as rising' },
+];
+
+/* ============================================================
+ * AI FUSION STRATEGIES
+ * Mirrors the server Settings.aiFusion strategies
+ * ============================================================ */
+
+const AI_FUSION_STRATEGIES = [
+  {
+    value: 'cloud-preferred',
+    icon: Cloud,
+    title: 'Cloud Preferred',
+    description: 'Use the cloud result when available, otherwise the local one.',
+  },
+  {
+    value: 'confidence-weighted',
+    icon: Scale,
+    title: 'Confidence-Weighted',
+    description: 'Average both results, weighted by the confidence each service reports.',
+  },
+  {
+    value: 'max-hazard',
+    icon: ShieldAlert,
+    title: 'Max Hazard',
+    description: 'Take the higher fire, smoke and people reading of the two (safest).',
+  },
+  {
+    value: 'disagreement',
+    icon: GitCompare,
+    title: 'Flag Disagreement',
+    description: 'Confidence-weighted while the services agree; max hazard once they disagree.',
+  },
+];
+
+/* ============================================================
+ * DRILL TIMELINE EXAMPLE
+ * Format checked by the server drillValidator
+ * ============================================================ */
+
+const DRILL_TIMELINE_EXAMPLE = JSON.stringify([
+  {
+    floorId: 'floor_1',
+    edgeId: 'E4',
+    keyframes: [
+      { atSec: 0, peopleCount: 5 },
+      { atSec: 60, fireProb: 0.3, smokeProb: 0.5, peopleCount: 8 },
+      { atSec: 120, fireProb: 0.9, smokeProb: 0.9, peopleCount: 2 },
+    ],
+  },
+], null, 2);
+
 /* ============================================================
  * HEALTH INDICATOR COMPONENT
  * ============================================================ */
@@ -119,6 +204,7 @@ function ToggleSwitch({ enabled, onChange, disabled = false, label }) {
 
 export function SettingsPage() {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   
   const serverHealth = useSelector(selectServerHealth);
   const loading = useSelector(selectAuthLoading);
@@ -140,6 +226,25 @@ export function SettingsPage() {
   const [cloudSyncInterval, setCloudSyncInterval] = useState(12);
   const [cloudProcessingEnabled, setCloudProcessingEnabled] = useState(true);
 
+  // Routing Settings Form State
+  const [routingMode, setRoutingMode] = useState('per-screen');
+  const [routingIterations, setRoutingIterations] = useState(5);
+  const [routingSaving, setRoutingSaving] = useState(false);
+
+  // Hazard Smoothing Form State
+  const [smoothing, setSmoothing] = useState(DEFAULT_HAZARD_SMOOTHING);
+  const [smoothingSaving, setSmoothingSaving] = useState(false);
+
+  // AI Fusion Form State
+  const [fusionStrategy, setFusionStrategy] = useState('cloud-preferred');
+  const [disagreementThreshold, setDisagreementThreshold] = useState(0.3);
+  const [fusionSaving, setFusionSaving] = useState(false);
+
+  // Drill Mode Form State
+  const [drillName, setDrillName] = useState('');
+  const [drillTimeline, setDrillTimeline] = useState(DRILL_TIMELINE_EXAMPLE);
+  const [drillSaving, setDrillSaving] = useState(false);
+
   // Load settings from localStorage
   useEffect(() => {
     const savedUrl = localStorage.getItem(STORAGE_KEYS.API_URL) || API_CONFIG.BASE_URL;
@@ -163,6 +268,11 @@ export function SettingsPage() {
         setCloudSyncEnabled(result.data.cloudSync?.enabled ?? false);
         setCloudSyncInterval(result.data.cloudSync?.intervalHours ?? 12);
         setCloudProcessingEnabled(result.data.cloudProcessing?.enabled ?? true);
+        setRoutingMode(result.data.routing?.mode ?? 'per-screen');
+        setRoutingIterations(result.data.routing?.maxIterations ?? 5);
+        setSmoothing({ ...DEFAULT_HAZARD_SMOOTHING, ...result.data.hazardSmoothing });
+        setFusionStrategy(result.data.aiFusion?.strategy ?? 'cloud-preferred');
+        setDisagreementThreshold(result.data.aiFusion?.disagreementThreshold ?? 0.3);
       }
     } catch (err) {
       console.error('Failed to fetch cloud settings:', err);
@@ -203,6 +313,112 @@ export function SettingsPage() {
     }
   };
 
+  // Save routing settings
+  const handleSaveRoutingSettings = async () => {
+    setRoutingSaving(true);
+    try {
+      const result = await updateSettings({
+        routing: {
+          mode: routingMode,
+          maxIterations: parseInt(routingIterations, 10),
+        },
+      });
+
+      if (result.success) {
+        setCloudSettings(result.data);
+        dispatch(showSuccess('Routing settings saved successfully'));
+      } else {
+        throw new Error(result.error || 'Failed to save routing settings');
+      }
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to save routing settings'));
+    } finally {
+      setRoutingSaving(false);
+    }
+  };
+
+  // Save hazard smoothing settings
+  const handleSaveSmoothingSettings = async () => {
+    setSmoothingSaving(true);
+    try {
+      const result = await updateSettings({
+        hazardSmoothing: {
+          enabled: smoothing.enabled,
+          fastAttack: smoothing.fastAttack,
+          ...Object.fromEntries(
+            HAZARD_SMOOTHING_FIELDS.map(({ key }) => [key, Number(smoothing[key])])
+          ),
+        },
+      });
+
+      if (result.success) {
+        setCloudSettings(result.data);
+        dispatch(showSuccess('Hazard smoothing settings saved successfully'));
+      } else {
+        throw new Error(result.error || 'Failed to save hazard smoothing settings');
+      }
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to save hazard smoothing settings'));
+    } finally {
+      setSmoothingSaving(false);
+    }
+  };
+
+  // Save AI fusion settings
+  const handleSaveFusionSettings = async () => {
+    setFusionSaving(true);
+    try {
+      const result = await updateSettings({
+        aiFusion: {
+          strategy: fusionStrategy,
+          disagreementThreshold: Number(disagreementThreshold),
+        },
+      });
+
+      if (result.success) {
+        setCloudSettings(result.data);
+        dispatch(showSuccess('AI fusion settings saved successfully'));
+      } else {
+        throw new Error(result.error || 'Failed to save AI fusion settings');
+      }
+    } catch (err) {
+      dispatch(showError(err.message || 'Failed to save AI fusion settings'));
+    } finally {
+      setFusionSaving(false);
+    }
+  };
+
+  // Start or end a drill
+  const handleToggleDrill = async (enabled) => {
+    let drill = { enabled: false };
+    if (enabled) {
+      let timeline;
+      try {
+        timeline = JSON.parse(drillTimeline);
+      } catch (err) {
+        dispatch(showError(`Drill timeline is not valid JSON: ${err.message}`));
+        return;
+      }
+      drill = { enabled: true, name: drillName.trim(), timeline };
+    }
+
+    setDrillSaving(true);
+    try {
+      const result = await updateSettings({ drill });
+
+      if (result.success) {
+        setCloudSettings(result.data);
+        dispatch(showSuccess(enabled ? 'Drill started' : 'Drill ended'));
+      } else {
+        throw new Error(result.error || `Failed to ${enabled ? 'start' : 'end'} drill`);
+      }
+    } catch (err) {
+      dispatch(showError(err.message || `Failed to ${enabled ? 'start' : 'end'} drill`));
+    } finally {
+      setDrillSaving(false);
+    }
+  };
+
   // Trigger manual sync
   const handleTriggerSync = async () => {
     setSyncInProgress(true);
@@ -603,6 +819,366 @@ export function SettingsPage() {
         </div>
       </Card>
 
+      {/* Routing Settings */}
+      <Card title="Route Planning">
+        <div className="p-6 space-y-6">
+          {cloudSettingsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+              <span className="ml-2 text-gray-500">Loading routing settings...</span>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {[
+                  {
+                    value: 'per-screen',
+                    icon: Route,
+                    title: 'Per-Screen Shortest Path',
+                    description: 'Each screen gets its own safest, shortest route to the nearest exit.',
+                  },
+                  {
+                    value: 'capacity-aware',
+                    icon: GitFork,
+                    title: 'Capacity-Aware Flow',
+                    description: 'Spreads screens across corridors and exits using people counts and peopleThreshold capacities.',
+                  },
+                ].map(({ value, icon: Icon, title, description }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setRoutingMode(value)}
+                    className={cn(
+                      'flex items-start gap-3 p-4 rounded-lg border-2 text-left transition-colors',
+                      routingMode === value
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-200 bg-gray-50 hover:border-gray-300'
+                    )}
+                    aria-pressed={routingMode === value}
+                  >
+                    <div className={cn(
+                      'p-3 rounded-lg',
+                      routingMode === value ? 'bg-primary-100' : 'bg-gray-200'
+                    )}>
+                      <Icon className={cn('w-6 h-6', routingMode === value ? 'text-primary-600' : 'text-gray-500')} />
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-900">{title}</p>
+                      <p className="text-sm text-gray-500">{description}</p>
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {/* Re-routing passes */}
+              {routingMode === 'capacity-aware' && (
+                <div className="pl-4 border-l-2 border-primary-200">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Max Re-routing Passes
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={routingIterations}
+                    onChange={(e) => setRoutingIterations(Math.max(1, Math.min(20, parseInt(e.target.value, 10) || 1)))}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Screens are re-routed against each other&apos;s load until nothing improves (1-20 passes)
+                  </p>
+                </div>
+              )}
+
+              <div className="border-t border-gray-100 pt-6 flex justify-end">
+                <Button
+                  variant="primary"
+                  onClick={handleSaveRoutingSettings}
+                  loading={routingSaving}
+                >
+                  <Save className="w-4 h-4" />
+                  Save Routing Settings
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </Card>
+
+      {/* Routing Weight Profiles */}
+      {cloudSettingsLoading ? (
+        <Card title="Routing Weights">
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+            <span className="ml-2 text-gray-500">Loading routing weights...</span>
+          </div>
+        </Card>
+      ) : (
+        <RoutingWeightsPanel
+          routingWeights={cloudSettings?.routingWeights}
+          onSaved={setCloudSettings}
+          onSuccess={(message) => dispatch(showSuccess(message))}
+          onError={(message) => dispatch(showError(message))}
+        />
+      )}
+
+      {/* Hazard Smoothing Settings */}
+      <Card title="Hazard Smoothing">
+        <div className="p-6 space-y-6">
+          {cloudSettingsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+              <span className="ml-2 text-gray-500">Loading hazard smoothing settings...</span>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <div className={cn(
+                    'p-3 rounded-lg',
+                    smoothing.enabled ? 'bg-primary-100' : 'bg-gray-200'
+                  )}>
+                    <TrendingUp className={cn('w-6 h-6', smoothing.enabled ? 'text-primary-600' : 'text-gray-500')} />
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-900">Smooth Readings Across Cycles</p>
+                    <p className="text-sm text-gray-500">
+                      Average camera readings, hold them when a camera fails and escalate rising fire/smoke early
+                    </p>
+                  </div>
+                </div>
+                <ToggleSwitch
+                  enabled={smoothing.enabled}
+                  onChange={(enabled) => setSmoothing(prev => ({ ...prev, enabled }))}
+                  label="Toggle hazard smoothing"
+                />
+              </div>
+
+              {smoothing.enabled && (
+                <div className="pl-4 border-l-2 border-primary-200 grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {HAZARD_SMOOTHING_FIELDS.map(({ key, label, min, max, step, hint }) => (
+                    <div key={key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        {label}
+                      </label>
+                      <input
+                        type="number"
+                        min={min}
+                        max={max}
+                        step={step}
+                        value={smoothing[key]}
+                        onChange={(e) => setSmoothing(prev => ({
+                          ...prev,
+                          [key]: Math.max(min, Math.min(max, parseFloat(e.target.value) || min)),
+                        }))}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">{hint}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {smoothing.enabled && (
+                <div className="pl-4 border-l-2 border-primary-200 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700">Fast Attack</p>
+                    <p className="text-xs text-gray-500">
+                      Take fire/smoke above an edge&apos;s threshold at once instead of averaging it in.
+                      Keeps the route away from a corridor an urgent update avoided, but a single noisy frame moves it too
+                    </p>
+                  </div>
+                  <ToggleSwitch
+                    enabled={smoothing.fastAttack}
+                    onChange={(fastAttack) => setSmoothing(prev => ({ ...prev, fastAttack }))}
+                    label="Toggle fast attack"
+                  />
+                </div>
+              )}
+
+              <div className="border-t border-gray-100 pt-6 flex justify-end">
+                <Button
+                  variant="primary"
+                  onClick={handleSaveSmoothingSettings}
+                  loading={smoothingSaving}
+                >
+                  <Save className="w-4 h-4" />
+                  Save Smoothing Settings
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </Card>
+
+      {/* AI Fusion Settings */}
+      <Card title="AI Result Fusion">
+        <div className="p-6 space-y-6">
+          {cloudSettingsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+              <span className="ml-2 text-gray-500">Loading AI fusion settings...</span>
+            </div>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {AI_FUSION_STRATEGIES.map(({ value, icon: Icon, title, description }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setFusionStrategy(value)}
+                    className={cn(
+                      'flex items-start gap-3 p-4 rounded-lg border-2 text-left transition-colors',
+                      fusionStrategy === value
+                        ? 'border-primary-500 bg-primary-50'
+                        : 'border-gray-200 bg-gray-50 hover:border-gray-300'
+                    )}
+                    aria-pressed={fusionStrategy === value}
+                  >
+                    <div className={cn(
+                      'p-3 rounded-lg',
+                      fusionStrategy === value ? 'bg-primary-100' : 'bg-gray-200'
+                    )}>
+                      <Icon className={cn('w-6 h-6', fusionStrategy === value ? 'text-primary-600' : 'text-gray-500')} />
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-900">{title}</p>
+                      <p className="text-sm text-gray-500">{description}</p>
+                    </div>
+                  </button>
+                ))}
+              </div>
+
+              {/* Disagreement threshold */}
+              <div className="pl-4 border-l-2 border-primary-200">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Disagreement Threshold
+                </label>
+                <input
+                  type="number"
+                  min="0.05"
+                  max="1"
+                  step="0.05"
+                  value={disagreementThreshold}
+                  onChange={(e) => setDisagreementThreshold(Math.max(0.05, Math.min(1, parseFloat(e.target.value) || 0.05)))}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Fire/smoke difference between local and cloud AI that is flagged on the record
+                </p>
+              </div>
+
+              <div className="border-t border-gray-100 pt-6 flex justify-end">
+                <Button
+                  variant="primary"
+                  onClick={handleSaveFusionSettings}
+                  loading={fusionSaving}
+                >
+                  <Save className="w-4 h-4" />
+                  Save Fusion Settings
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </Card>
+
+      {/* Drill Mode */}
+      <Card
+        title="Drill Mode"
+        action={
+          <Link to={ROUTES.DRILLS} className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700">
+            <History className="w-4 h-4" />
+            Drill history
+          </Link>
+        }
+      >
+        <div className="p-6 space-y-6">
+          {cloudSettingsLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+              <span className="ml-2 text-gray-500">Loading drill settings...</span>
+            </div>
+          ) : cloudSettings?.drill?.enabled ? (
+            <>
+              <div className="flex items-center gap-3 p-4 bg-warning-50 border border-warning-200 rounded-lg">
+                <div className="p-3 rounded-lg bg-warning-100">
+                  <Siren className="w-6 h-6 text-warning-600 animate-pulse" />
+                </div>
+                <div>
+                  <p className="font-medium text-gray-900">Drill running: {cloudSettings.drill.name}</p>
+                  <p className="text-sm text-gray-500">
+                    Started {new Date(cloudSettings.drill.startedAt).toLocaleString()}
+                    {cloudSettings.drill.startedBy && ` by ${cloudSettings.drill.startedBy}`}
+                    {' '}- cameras read the scripted timeline and screens show a DRILL banner
+                  </p>
+                </div>
+              </div>
+
+              <div className="border-t border-gray-100 pt-6 flex justify-end gap-3">
+                <Button
+                  variant="outline"
+                  onClick={() => navigate(ROUTES.DRILL_REPLAY.replace(':id', cloudSettings.drill.runId))}
+                >
+                  <History className="w-4 h-4" />
+                  Replay So Far
+                </Button>
+                <Button
+                  variant="danger"
+                  onClick={() => handleToggleDrill(false)}
+                  loading={drillSaving}
+                >
+                  <Square className="w-4 h-4" />
+                  End Drill
+                </Button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="flex items-center gap-3 p-4 bg-gray-50 rounded-lg">
+                <div className="p-3 rounded-lg bg-gray-200">
+                  <Siren className="w-6 h-6 text-gray-500" />
+                </div>
+                <div>
+                  <p className="font-medium text-gray-900">Evacuation Drill</p>
+                  <p className="text-sm text-gray-500">
+                    Replace camera AI results with a scripted hazard timeline per edge. Drill routes and
+                    records are tagged and kept apart from real data.
+                  </p>
+                </div>
+              </div>
+
+              <Input
+                label="Scenario Name"
+                placeholder="Kitchen fire, ground floor"
+                value={drillName}
+                onChange={(e) => setDrillName(e.target.value)}
+              />
+              <Textarea
+                label="Hazard Timeline (JSON)"
+                rows={12}
+                value={drillTimeline}
+                onChange={(e) => setDrillTimeline(e.target.value)}
+                className="font-mono text-sm"
+                hint="One entry per edge; values are interpolated between keyframes (atSec = seconds after the start) and the last keyframe is held"
+              />
+
+              <div className="border-t border-gray-100 pt-6 flex justify-end">
+                <Button
+                  variant="primary"
+                  onClick={() => handleToggleDrill(true)}
+                  loading={drillSaving}
+                  disabled={!drillName.trim()}
+                >
+                  <Play className="w-4 h-4" />
+                  Start Drill
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      </Card>
+
       {/* Application Info */}
       <Card title="Application Information">
         <div className="p-6">
@@ -10,8 +10,11 @@
 export { Dashboard } from './Dashboard';
 export { FloorsPage } from './FloorsPage';
 export { FloorFormPage } from './FloorFormPage';
+export { FloorImportPage } from './FloorImportPage';
 export { FloorDetailPage } from './FloorDetailPage';
 export { RoutesPage } from './RoutesPage';
 export { CamerasPage } from './CamerasPage';
 export { RecordsPage } from './RecordsPage';
 export { SettingsPage } from './SettingsPage';
+export { DrillsPage } from './DrillsPage';
+export { DrillReplayPage } from './DrillReplayPage';
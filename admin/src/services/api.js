@@ -153,6 +153,11 @@ class ApiClient {
       message: data.data?.message || data.message || 'Success',
       status: response.status,
     };
+
+    // Non-blocking issues reported alongside a successful save
+    if (Array.isArray(data.data?.warnings)) {
+      result.warnings = data.data.warnings;
+    }
     
     return result;
   }
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Drill Service
+ * @description API service for evacuation drill history and replay.
+ *              Drills are started and ended through settingsService.updateSettings
+ *              ({ drill: { enabled, name, timeline } }).
+ *
+ * @module services/drillService
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import api from './api';
+import { API_CONFIG } from '../config';
+
+const { ENDPOINTS } = API_CONFIG;
+
+/* ============================================================
+ * DRILL OPERATIONS
+ * ============================================================ */
+
+/**
+ * Fetch all drills, newest first
+ *
+ * @async
+ * @returns {Promise<Object>} Result with drills array or error
+ *
+ * @description
+ * Each drill carries a timeline summary (floors, scriptedEdges) and the
+ * number of route updates it produced (routeUpdates).
+ */
+export const getDrills = async () => {
+  return api.get(ENDPOINTS.DRILLS);
+};
+
+/**
+ * Fetch a drill with its replay frames
+ *
+ * @async
+ * @param {string} drillId - DrillRun ID
+ * @returns {Promise<Object>} Result with { run, frames } or error
+ *
+ * @description
+ * One frame per route update of the drill, in time order:
+ * - elapsedSec: Seconds after the drill started
+ * - routes: Per-screen destination and path
+ * - changes: Screens whose destination or path changed since the previous update
+ * - scripted: Scripted edge values at that moment
+ */
+export const getDrillReplay = async (drillId) => {
+  return api.get(ENDPOINTS.DRILL_BY_ID(drillId));
+};
+
+export default {
+  getDrills,
+  getDrillReplay,
+};
@@ -15,11 +15,15 @@
  * │  createFloor(data)     - Create new floor                   │
  * │  updateFloor(id, data) - Update existing floor              │
  * │  deleteFloor(id)       - Delete floor                       │
+ * │  importFloorPlan()     - DXF/SVG drawing -> floor proposal  │
  * │  updateFloorStatus()   - Update floor status                │
  * │  updateCameraStatus()  - Update camera status               │
  * │  updateScreenStatus()  - Update screen status               │
  * │  getSystemStatus()     - Get system-wide status             │
  * │  resetFloorCameras()   - Reset all cameras on floor         │
+ * │  getFloorOverrides()   - Edge overrides and override log    │
+ * │  setEdgeOverride()     - Close/force hazard/exit unavailable│
+ * │  clearEdgeOverride()   - Remove an edge override            │
  * └─────────────────────────────────────────────────────────────┘
  */
 
@@ -106,6 +110,115 @@ export const deleteFloor = async (floorId) => {
   return api.delete(ENDPOINTS.FLOOR_BY_ID(floorId));
 };
 
+/**
+ * Build a floor proposal from a CAD drawing (nothing is saved)
+ *
+ * @async
+ * @param {File} drawing - .dxf or .svg drawing
+ * @param {Object} [options]
+ * @param {string} [options.floorId] - Prefix for proposed node/edge IDs
+ * @param {string} [options.units] - Drawing units override (mm, cm, m, in, ft)
+ * @param {string} [options.hallwayLayers] - Comma-separated hallway layers
+ * @param {string} [options.exitLayers] - Comma-separated exit layers
+ * @returns {Promise<Object>} Result with proposal { source, image, widthMeters,
+ *          heightMeters, nodes, edges, exitPoints, warnings } or error
+ */
+export const importFloorPlan = async (drawing, options = {}) => {
+  const formData = new FormData();
+  formData.append('drawing', drawing);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value) formData.append(key, value);
+  });
+  return api.post(ENDPOINTS.FLOOR_IMPORT, formData);
+};
+
+/* ============================================================
+ * EXPORT BUNDLES & VERSIONS
+ * ============================================================ */
+
+/**
+ * Fetch a floor's export bundle (floor JSON with embedded map image)
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @returns {Promise<Object>} Result with the bundle object or error
+ */
+export const exportFloor = async (floorId) => {
+  return api.get(ENDPOINTS.FLOOR_EXPORT(floorId));
+};
+
+/**
+ * Create or replace a floor from an export bundle
+ *
+ * @async
+ * @param {File} bundle - Bundle file (.json)
+ * @param {Object} [options]
+ * @param {string} [options.targetId] - Floor ID to import as (default: the bundle's)
+ * @param {string} [options.onExisting] - 'fail' or 'replace'
+ * @param {string} [options.onIdConflict] - 'fail' or 'rename'
+ * @param {boolean} [options.dryRun] - Only report what would happen
+ * @returns {Promise<Object>} Result with the dry-run report, or { floor, version, renamed }
+ *
+ * @example
+ * const { data: report } = await importFloorBundle(file, { onIdConflict: 'rename', dryRun: true });
+ */
+export const importFloorBundle = async (bundle, options = {}) => {
+  const formData = new FormData();
+  formData.append('bundle', bundle);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value) formData.append(key, String(value));
+  });
+  return api.post(ENDPOINTS.FLOOR_IMPORT_BUNDLE, formData);
+};
+
+/**
+ * Fetch the graph integrity report of a floor
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @returns {Promise<Object>} Result with the analysis report or error
+ */
+export const getFloorAnalysis = async (floorId) => {
+  return api.get(ENDPOINTS.FLOOR_ANALYSIS(floorId));
+};
+
+/**
+ * Fetch the version history of a floor (newest first)
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {number} [limit=50] - Versions to return
+ * @returns {Promise<Object>} Result with { floorId, versions } or error
+ */
+export const getFloorVersions = async (floorId, limit = 50) => {
+  return api.get(ENDPOINTS.FLOOR_VERSIONS(floorId), { limit });
+};
+
+/**
+ * Fetch the changes from a base to a floor version
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {number} version - Version number
+ * @param {number|string} [base] - Version number or 'current' (default: previous version)
+ * @returns {Promise<Object>} Result with { version, base, diff } or error
+ */
+export const getFloorVersionDiff = async (floorId, version, base = null) => {
+  return api.get(ENDPOINTS.FLOOR_VERSION_DIFF(floorId, version), { base });
+};
+
+/**
+ * Roll a floor back to a saved version
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Result with { floor, version } or error
+ */
+export const restoreFloorVersion = async (floorId, version) => {
+  return api.post(ENDPOINTS.FLOOR_VERSION_RESTORE(floorId, version));
+};
+
 /* ============================================================
  * STATUS MANAGEMENT
  * ============================================================ */
@@ -151,6 +264,54 @@ export const updateScreenStatus = async (floorId, screenId, status, reason = '')
   return api.put(ENDPOINTS.SCREEN_STATUS(floorId, screenId), { status, reason });
 };
 
+/* ============================================================
+ * MANUAL EDGE OVERRIDES
+ * ============================================================ */
+
+/**
+ * Fetch a floor's edge overrides and recent override log
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {number} [limit=50] - Log entries to return
+ * @returns {Promise<Object>} Result with { overrides, log } or error
+ */
+export const getFloorOverrides = async (floorId, limit = 50) => {
+  return api.get(ENDPOINTS.FLOOR_OVERRIDES(floorId), { limit });
+};
+
+/**
+ * Set (or replace) the override of an edge
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {string} edgeId - Edge ID
+ * @param {Object} override - Override data
+ * @param {string} override.type - 'closed', 'hazard' or 'exit-unavailable'
+ * @param {string} [override.hazardLevel] - Required for 'hazard'
+ * @param {string} override.reason - Reason for the override
+ * @param {number} [override.durationMinutes] - Minutes until it expires
+ * @returns {Promise<Object>} Result with override and broadcast summary or error
+ *
+ * @example
+ * await setEdgeOverride('floor_1', 'E4', { type: 'closed', reason: 'Debris', durationMinutes: 30 });
+ */
+export const setEdgeOverride = async (floorId, edgeId, override) => {
+  return api.put(ENDPOINTS.EDGE_OVERRIDE(floorId, edgeId), override);
+};
+
+/**
+ * Remove the override of an edge before it expires
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {string} edgeId - Edge ID
+ * @returns {Promise<Object>} Result with previous override and broadcast summary or error
+ */
+export const clearEdgeOverride = async (floorId, edgeId) => {
+  return api.delete(ENDPOINTS.EDGE_OVERRIDE(floorId, edgeId));
+};
+
 /* ============================================================
  * SYSTEM-WIDE OPERATIONS
  * ============================================================ */
@@ -239,12 +400,24 @@ export const buildFloorFormData = (floorData, mapImage = null) => {
   if (floorData.cameraToEdge) {
     formData.append('cameraToEdge', JSON.stringify(floorData.cameraToEdge));
   }
+  if (floorData.cameraCoverage) {
+    formData.append('cameraCoverage', JSON.stringify(floorData.cameraCoverage));
+  }
+  if (floorData.cameraAggregation) {
+    formData.append('cameraAggregation', floorData.cameraAggregation);
+  }
   if (floorData.startPoints) {
     formData.append('startPoints', JSON.stringify(floorData.startPoints));
   }
   if (floorData.exitPoints) {
     formData.append('exitPoints', JSON.stringify(floorData.exitPoints));
   }
+  if (floorData.exitCapacities) {
+    formData.append('exitCapacities', JSON.stringify(floorData.exitCapacities));
+  }
+  if (floorData.stepFreeScreens) {
+    formData.append('stepFreeScreens', JSON.stringify(floorData.stepFreeScreens));
+  }
 
   // Add dimension fields
   if (floorData.widthMeters) {
@@ -26,6 +26,7 @@ const { ENDPOINTS } = API_CONFIG;
  * @param {number} [params.limit=20] - Items per page
  * @param {string} [params.floorId] - Filter by floor ID (REQUIRED by API)
  * @param {string} [params.cameraId] - Filter by camera ID
+ * @param {string} [params.edgeId] - Filter by covered edge ID
  * @param {string} [params.startDate] - Filter by start date (ISO string)
  * @param {string} [params.endDate] - Filter by end date (ISO string)
  * @returns {Promise<Object>} Result with records array and pagination info
@@ -36,6 +37,7 @@ export const getRecords = async (params = {}) => {
   // floorId is required by the API - if not provided, we need to handle it
   if (params.floorId) queryParams.floorId = params.floorId;
   if (params.cameraId) queryParams.cameraId = params.cameraId;
+  if (params.edgeId) queryParams.edgeId = params.edgeId;
   if (params.startDate) queryParams.startDate = params.startDate;
   if (params.endDate) queryParams.endDate = params.endDate;
   
@@ -13,6 +13,10 @@
  * │  getSettings()         - Fetch current system settings      │
  * │  updateSettings(data)  - Update system settings             │
  * │  triggerSync()         - Manually trigger cloud sync        │
+ * │  getFloorRoutingWeights()   - Weights of every floor        │
+ * │  setFloorRoutingWeights()   - Set a floor's weight override │
+ * │  clearFloorRoutingWeights() - Remove a floor's override     │
+ * │  getRoutingWeightsHistory() - Recent weight changes         │
  * └─────────────────────────────────────────────────────────────┘
  */
 
@@ -52,6 +56,23 @@ export const getSettings = async () => {
  * @param {Object} [settings.cloudProcessing] - Cloud processing settings
  * @param {boolean} [settings.cloudProcessing.enabled] - Enable/disable cloud upload & AI
  * @param {string} [settings.cloudProcessing.disabledReason] - Reason for disabling
+ * @param {Object} [settings.routing] - Route planning settings
+ * @param {string} [settings.routing.mode] - 'per-screen' | 'capacity-aware'
+ * @param {number} [settings.routing.maxIterations] - Re-routing passes (1-20)
+ * @param {Object} [settings.hazardSmoothing] - Edge hazard smoothing across capture cycles
+ * @param {boolean} [settings.hazardSmoothing.enabled] - Enable smoothing/hold/trends
+ * @param {number} [settings.hazardSmoothing.alpha] - Weight of the newest reading (0.05-1)
+ * @param {number} [settings.hazardSmoothing.holdCycles] - Missed cycles a value is held (0-10)
+ * @param {number} [settings.hazardSmoothing.decayRate] - Fraction lost per cycle after the hold (0-1)
+ * @param {number} [settings.hazardSmoothing.trendCycles] - Cycles a trend is judged over (2-10)
+ * @param {number} [settings.hazardSmoothing.trendMinRise] - Minimum rise to flag a trend (0-1)
+ * @param {boolean} [settings.hazardSmoothing.fastAttack] - Take over-threshold fire/smoke readings as is
+ * @param {Object} [settings.aiFusion] - How local and cloud AI results are combined
+ * @param {string} [settings.aiFusion.strategy] - 'cloud-preferred', 'confidence-weighted', 'max-hazard' or 'disagreement'
+ * @param {number} [settings.aiFusion.disagreementThreshold] - Fire/smoke difference flagged as disagreement (0.05-1)
+ * @param {Object} [settings.routingWeights] - Routing weight profiles
+ * @param {string} [settings.routingWeights.activeProfile] - Profile every floor uses ('default' = built-in)
+ * @param {Array<Object>} [settings.routingWeights.profiles] - [{ name, description, weights }] (replaces the list)
  * @returns {Promise<Object>} Result with updated settings or error
  *
  * @example
@@ -80,8 +101,67 @@ export const triggerSync = async () => {
   return api.post(ENDPOINTS.SETTINGS_SYNC);
 };
 
+/* ============================================================
+ * ROUTING WEIGHTS
+ * ============================================================ */
+
+/**
+ * Get the routing weights of every floor
+ *
+ * @async
+ * @returns {Promise<Object>} Result with [{ floorId, floorName, override, resolved }] or error
+ */
+export const getFloorRoutingWeights = async () => {
+  return api.get(ENDPOINTS.ROUTING_WEIGHTS_FLOORS);
+};
+
+/**
+ * Set (or replace) the routing weight override of a floor
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {Object} override - Override data
+ * @param {string|null} [override.profile] - Profile of this floor (null = active profile)
+ * @param {Object} [override.weights] - Weight key -> number (missing = from the profile)
+ * @returns {Promise<Object>} Result with override and resolved weights or error
+ *
+ * @example
+ * await setFloorRoutingWeights('floor_1', { profile: 'hospital', weights: { peopleFactor: 1 } });
+ */
+export const setFloorRoutingWeights = async (floorId, override) => {
+  return api.put(ENDPOINTS.ROUTING_WEIGHTS_FLOOR(floorId), override);
+};
+
+/**
+ * Remove the routing weight override of a floor
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @returns {Promise<Object>} Result with the removed override or error
+ */
+export const clearFloorRoutingWeights = async (floorId) => {
+  return api.delete(ENDPOINTS.ROUTING_WEIGHTS_FLOOR(floorId));
+};
+
+/**
+ * Get recent routing weight changes, newest first
+ *
+ * @async
+ * @param {Object} [params] - Query parameters
+ * @param {string} [params.floorId] - Only changes of this floor
+ * @param {number} [params.limit=50] - Entries to return (max 200)
+ * @returns {Promise<Object>} Result with log entries or error
+ */
+export const getRoutingWeightsHistory = async (params = {}) => {
+  return api.get(ENDPOINTS.ROUTING_WEIGHTS_HISTORY, params);
+};
+
 export default {
   getSettings,
   updateSettings,
   triggerSync,
+  getFloorRoutingWeights,
+  setFloorRoutingWeights,
+  clearFloorRoutingWeights,
+  getRoutingWeightsHistory,
 };
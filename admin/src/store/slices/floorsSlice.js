@@ -82,13 +82,14 @@ export const fetchFloorById = createAsyncThunk(
  */
 export const createFloor = createAsyncThunk(
   'floors/create',
-  async (formData, { rejectWithValue }) => {
+  async (formData, { rejectWithValue, fulfillWithValue }) => {
     try {
       const result = await floorService.createFloor(formData);
       if (!result.success) {
         return rejectWithValue(result.error);
       }
-      return result.data;
+      // Save warnings (critical graph issues) travel in action.meta
+      return fulfillWithValue(result.data, { warnings: result.warnings || [] });
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -100,13 +101,14 @@ export const createFloor = createAsyncThunk(
  */
 export const updateFloor = createAsyncThunk(
   'floors/update',
-  async ({ floorId, formData }, { rejectWithValue }) => {
+  async ({ floorId, formData }, { rejectWithValue, fulfillWithValue }) => {
     try {
       const result = await floorService.updateFloor(floorId, formData);
       if (!result.success) {
         return rejectWithValue(result.error);
       }
-      return result.data;
+      // Save warnings (critical graph issues) travel in action.meta
+      return fulfillWithValue(result.data, { warnings: result.warnings || [] });
     } catch (error) {
       return rejectWithValue(error.message);
     }
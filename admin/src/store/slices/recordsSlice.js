@@ -33,6 +33,7 @@ const initialState = {
   filters: {
     floorId: null,
     cameraId: null,
+    edgeId: null,
     startDate: null,
     endDate: null,
   },
@@ -23,6 +23,10 @@ const initialState = {
   selectedFloorId: null,
   /** Last computed timestamp */
   lastComputed: null,
+  /** Floor configuration version the listed routes were computed against */
+  floorVersion: null,
+  /** Floor egress estimate of the listed routes { seconds, startNode, averageSeconds } */
+  egress: null,
   /** Loading states */
   loading: {
     list: false,
@@ -137,12 +141,18 @@ const routesSlice = createSlice({
           const latestDoc = routeDocuments[0];
           state.list = latestDoc.routes || [];
           state.lastComputed = latestDoc.computedAt;
+          state.floorVersion = latestDoc.floorVersion ?? null;
+          state.egress = latestDoc.egress ?? null;
         } else if (routeDocuments?.routes) {
           // Single document returned
           state.list = routeDocuments.routes || [];
           state.lastComputed = routeDocuments.computedAt;
+          state.floorVersion = routeDocuments.floorVersion ?? null;
+          state.egress = routeDocuments.egress ?? null;
         } else {
           state.list = [];
+          state.floorVersion = null;
+          state.egress = null;
         }
       })
       .addCase(fetchRoutes.rejected, (state, action) => {
@@ -194,5 +204,7 @@ export const selectRoutesLoading = (state) => state.routes.loading;
 export const selectRoutesError = (state) => state.routes.error;
 export const selectSelectedFloorId = (state) => state.routes.selectedFloorId;
 export const selectRoutesLastComputed = (state) => state.routes.lastComputed;
+export const selectRoutesFloorVersion = (state) => state.routes.floorVersion;
+export const selectRoutesEgress = (state) => state.routes.egress;
 
 export default routesSlice.reducer;
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Floor Graph Validation
+ * @description Client-side copy of the per-floor rules in the server's
+ *              utils/validators/floorValidator.js, used for live validation
+ *              while a floor is edited. Error messages match the server's.
+ *
+ * @module utils/floorValidation
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @description
+ * Uniqueness of IDs across floors and building connectors needs the
+ * database and is only checked by the server on save. Keep the rules below
+ * in sync with floorValidator.js.
+ */
+
+import { CAMERA_AGGREGATION_METHODS, TRAVERSAL_TYPES, EDGE_DIRECTIONS } from '../config';
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Collects duplicate IDs of a list
+ *
+ * @param {string[]} ids - IDs in order
+ * @param {string} kind - 'node', 'edge', 'camera' or 'screen'
+ * @param {string[]} errors - Collected error messages (appended to)
+ * @returns {Set<string>} The distinct IDs
+ */
+const collectIds = (ids, kind, errors) => {
+  const idSet = new Set();
+  for (const id of ids) {
+    if (idSet.has(id)) {
+      errors.push(`Duplicate ${kind} ID '${id}' within floor`);
+    }
+    idSet.add(id);
+  }
+  return idSet;
+};
+
+/**
+ * Validates the coverage list of one camera
+ *
+ * @param {string} cameraId - Camera the coverage belongs to
+ * @param {Array} coverage - { edgeId, weight } entries
+ * @param {Set<string>} edgeIdSet - Edge IDs of the floor
+ * @param {string[]} errors - Collected error messages (appended to)
+ */
+const validateCoverage = (cameraId, coverage, edgeIdSet, errors) => {
+  const coveredEdges = new Set();
+  for (const entry of coverage) {
+    if (!edgeIdSet.has(entry?.edgeId)) {
+      errors.push(`Camera '${cameraId}' covers non-existent edge '${entry?.edgeId}'`);
+      continue;
+    }
+    if (coveredEdges.has(entry.edgeId)) {
+      errors.push(`Camera '${cameraId}' covers edge '${entry.edgeId}' more than once`);
+    }
+    coveredEdges.add(entry.edgeId);
+
+    if (entry.weight !== undefined && entry.weight !== null && entry.weight !== '') {
+      const weight = Number(entry.weight);
+      if (isNaN(weight) || weight <= 0 || weight > 1) {
+        errors.push(`Camera '${cameraId}' coverage weight for edge '${entry.edgeId}' must be greater than 0 and at most 1`);
+      }
+    }
+  }
+};
+
+/**
+ * Whether a form value was left empty (not set)
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null and ''
+ */
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Nodes that can walk to an exit, following edge directions backwards from
+ * the exits (same rules as the server's utils/edgeDirection.js)
+ *
+ * @param {Array} edges - Graph edges { from, to, direction, evacuationDirection }
+ * @param {string[]} exitPoints - Exit node IDs
+ * @param {Function} directionOf - edge -> 'bidirectional' | 'forward' | 'reverse'
+ * @returns {Set<string>} Node IDs with a path to some exit
+ */
+const nodesReachingExit = (edges, exitPoints, directionOf) => {
+  const incoming = new Map();
+  const addArc = (from, to) => {
+    if (!incoming.has(to)) incoming.set(to, []);
+    incoming.get(to).push(from);
+  };
+  for (const edge of edges) {
+    const direction = directionOf(edge) || 'bidirectional';
+    if (direction !== 'reverse') addArc(edge.from, edge.to);
+    if (direction !== 'forward') addArc(edge.to, edge.from);
+  }
+
+  const reached = new Set(exitPoints);
+  const queue = [...reached];
+  while (queue.length > 0) {
+    for (const from of (incoming.get(queue.pop()) || [])) {
+      if (reached.has(from)) continue;
+      reached.add(from);
+      queue.push(from);
+    }
+  }
+  return reached;
+};
+
+/* ============================================================
+ * FLOOR GRAPH VALIDATION
+ * ============================================================ */
+
+/**
+ * Validate the graph of one floor
+ *
+ * @param {Object} floorData - Floor data
+ * @param {Array} floorData.nodes - Graph nodes { id, traversalType, accessible }
+ * @param {Array} floorData.edges - Graph edges { id, from, to, traversalType, accessible,
+ *        direction, evacuationDirection, widthMeters }
+ * @param {Array} [floorData.cameras] - { id, edgeId, coverage: [{ edgeId, weight }] }
+ * @param {Array} [floorData.screens] - { id, nodeId }
+ * @param {string[]} [floorData.startPoints] - Screen node IDs
+ * @param {string[]} [floorData.exitPoints] - Exit node IDs
+ * @param {string} [floorData.cameraAggregation] - 'max', 'mean' or 'weighted'
+ * @param {Object} [floorData.exitCapacities] - exitNodeId -> capacity ('' or null = derived)
+ * @param {string[]} [floorData.stepFreeScreens] - Start points whose screen shows a step-free route
+ * @returns {Object} { valid: boolean, errors: string[] }
+ *
+ * @example
+ * const { valid, errors } = validateFloorGraph({ nodes, edges, exitPoints: ['EXIT_A'] });
+ */
+export function validateFloorGraph(floorData) {
+  const errors = [];
+
+  const nodeIdSet = collectIds((floorData.nodes || []).map(n => n.id), 'node', errors);
+  const edgeIdSet = collectIds((floorData.edges || []).map(e => e.id), 'edge', errors);
+
+  // Cameras: primary edge and further covered edges
+  const cameras = floorData.cameras || [];
+  collectIds(cameras.map(c => c.id), 'camera', errors);
+  for (const camera of cameras) {
+    if (camera.edgeId && !edgeIdSet.has(camera.edgeId)) {
+      errors.push(`Camera '${camera.id}' references non-existent edge '${camera.edgeId}'`);
+    }
+    if (camera.coverage) {
+      validateCoverage(camera.id, camera.coverage, edgeIdSet, errors);
+    }
+  }
+
+  // Screens
+  const screens = floorData.screens || [];
+  collectIds(screens.map(s => s.id), 'screen', errors);
+  for (const screen of screens) {
+    if (screen.nodeId && !nodeIdSet.has(screen.nodeId)) {
+      errors.push(`Screen '${screen.id}' references non-existent node '${screen.nodeId}'`);
+    }
+  }
+
+  // Edge endpoints
+  for (const edge of (floorData.edges || [])) {
+    if (!nodeIdSet.has(edge.from)) {
+      errors.push(`Edge '${edge.id}' references non-existent node '${edge.from}'`);
+    }
+    if (!nodeIdSet.has(edge.to)) {
+      errors.push(`Edge '${edge.id}' references non-existent node '${edge.to}'`);
+    }
+  }
+
+  // Start and exit points
+  for (const startPoint of (floorData.startPoints || [])) {
+    if (!nodeIdSet.has(startPoint)) {
+      errors.push(`startPoint '${startPoint}' is not defined in nodes`);
+    }
+  }
+  for (const exitPoint of (floorData.exitPoints || [])) {
+    if (!nodeIdSet.has(exitPoint)) {
+      errors.push(`exitPoint '${exitPoint}' is not defined in nodes`);
+    }
+  }
+
+  const aggregationMethods = CAMERA_AGGREGATION_METHODS.map(m => m.value);
+  if (floorData.cameraAggregation !== undefined && !aggregationMethods.includes(floorData.cameraAggregation)) {
+    errors.push(`cameraAggregation must be one of: ${aggregationMethods.join(', ')}`);
+  }
+
+  // Exit capacities: exits of this floor, at least 1 (empty = derived)
+  const exitPoints = floorData.exitPoints || [];
+  for (const [nodeId, capacity] of Object.entries(floorData.exitCapacities || {})) {
+    if (!exitPoints.includes(nodeId)) {
+      errors.push(`exitCapacities references '${nodeId}', which is not an exitPoint`);
+    } else if (!isUnset(capacity) && !(Number(capacity) >= 1)) {
+      errors.push(`Capacity of exit '${nodeId}' must be a number of at least 1, or null`);
+    }
+  }
+
+  // Accessibility attributes
+  const traversalTypes = TRAVERSAL_TYPES.map(t => t.value);
+  const checkAccessibility = (kind, element) => {
+    if (!isUnset(element.traversalType) && !traversalTypes.includes(element.traversalType)) {
+      errors.push(`${kind} '${element.id}' traversalType must be one of: ${traversalTypes.join(', ')}`);
+    }
+    if (element.accessible !== undefined && element.accessible !== null && typeof element.accessible !== 'boolean') {
+      errors.push(`${kind} '${element.id}' accessible must be true or false`);
+    }
+  };
+  (floorData.nodes || []).forEach(node => checkAccessibility('Node', node));
+  (floorData.edges || []).forEach(edge => checkAccessibility('Edge', edge));
+
+  for (const nodeId of (floorData.stepFreeScreens || [])) {
+    if (!(floorData.startPoints || []).includes(nodeId)) {
+      errors.push(`stepFreeScreens references '${nodeId}', which is not a startPoint`);
+    }
+  }
+
+  // Edge directions ('' evacuation direction = keep the everyday one)
+  const edges = floorData.edges || [];
+  const directions = EDGE_DIRECTIONS.map(d => d.value);
+  let directionsValid = true;
+  for (const edge of edges) {
+    for (const field of ['direction', 'evacuationDirection']) {
+      if (!isUnset(edge[field]) && !directions.includes(edge[field])) {
+        errors.push(`Edge '${edge.id}' ${field} must be one of: ${directions.join(', ')}`);
+        directionsValid = false;
+      }
+    }
+  }
+
+  // One-way edges must not cut a screen off from every exit (screens that
+  // reach no exit over any corridor are left to the graph integrity report)
+  const connected = nodesReachingExit(edges, exitPoints, () => 'bidirectional');
+  const normal = nodesReachingExit(edges, exitPoints, e => e.direction);
+  const evacuation = nodesReachingExit(edges, exitPoints, e => e.evacuationDirection || e.direction);
+  const screenNodes = new Set([...(floorData.startPoints || []), ...screens.map(s => s.nodeId)]);
+  for (const nodeId of screenNodes) {
+    if (!directionsValid || !connected.has(nodeId)) continue;
+    if (!normal.has(nodeId)) {
+      errors.push(`Screen at '${nodeId}' cannot reach any exit because of one-way edges`);
+    } else if (!evacuation.has(nodeId)) {
+      errors.push(`Screen at '${nodeId}' cannot reach any exit with the evacuation directions`);
+    }
+  }
+
+  // Corridor widths (empty = the server's default width)
+  for (const edge of edges) {
+    if (isUnset(edge.widthMeters)) continue;
+    if (!(Number(edge.widthMeters) > 0)) {
+      errors.push(`Edge '${edge.id}' widthMeters must be a positive number, or null`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
@@ -171,6 +171,19 @@ export function formatDistance(distanceMeters, distancePixels) {
   return 'N/A';
 }
 
+/**
+ * Format an estimated duration in seconds
+ *
+ * @param {number} [seconds] - Duration in seconds
+ * @returns {string} Formatted duration (e.g., '45s' or '2m 05s'), 'N/A' when unknown
+ */
+export function formatDuration(seconds) {
+  if (seconds === undefined || seconds === null) return 'N/A';
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
+
 /**
  * Format file size in bytes to human readable string
  *
@@ -362,3 +375,27 @@ export function getScreenCount(floor) {
   if (Array.isArray(floor.startPoints)) return floor.startPoints.length;
   return 0;
 }
+
+/**
+ * Split a comma-separated list of node IDs
+ *
+ * @param {string} value - e.g. 'EXIT_A, EXIT_B'
+ * @returns {string[]} Trimmed, non-empty IDs
+ */
+export function parseIdList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Generate the next free ID with a prefix (N1, N2, ... / E1, E2, ...)
+ *
+ * @param {string} prefix - ID prefix
+ * @param {Iterable<string>} takenIds - IDs already in use
+ * @returns {string} First `${prefix}${n}` not in takenIds
+ */
+export function nextFreeId(prefix, takenIds) {
+  const taken = new Set(takenIds);
+  let n = 1;
+  while (taken.has(`${prefix}${n}`)) n++;
+  return `${prefix}${n}`;
+}
@@ -8,15 +8,20 @@
 
 const express = require('express');
 const router = express.Router();
+const scenarioEngine = require('../utils/scenarioEngine');
 
 // Simulated processing delay (ms) - cloud is slower than local
 const PROCESSING_DELAY = 3000;
 
+// Random result ranges (used when no scenario is loaded)
+const RANDOM_RANGES = { maxPeople: 15, maxFire: 0.3, maxSmoke: 0.4, minConfidence: 0.85, confidenceSpread: 0.15 };
+
 /**
  * Cloud AI Analysis Endpoint
  * POST /api/cloud-ai/analyze
  * 
- * Simulates cloud AI analysis with higher accuracy but more latency
+ * Simulates cloud AI analysis with higher accuracy but more latency.
+ * Values follow the loaded scenario (see routes/scenario.js), random otherwise.
  */
 router.post('/analyze', (req, res) => {
   try {
@@ -32,21 +37,35 @@ router.post('/analyze', (req, res) => {
 
     console.log(`☁️  Cloud AI - Camera: ${cameraId}, Edge: ${edgeId}`);
 
+    // Scripted AI outage
+    if (scenarioEngine.isAIOffline(cameraId)) {
+      console.log(`   📴 Cloud AI unavailable for ${cameraId} (scenario)`);
+      return res.status(503).json({
+        success: false,
+        error: 'Analysis unavailable',
+        message: `Cloud AI is down for ${cameraId} in the current scenario`
+      });
+    }
+
+    // Values at the time of the request (the frame being analysed)
+    const result = scenarioEngine.analyze(cameraId, RANDOM_RANGES);
+
     // Simulate processing delay (cloud is slower)
     setTimeout(() => {
       const response = {
         success: true,
         cameraId,
         edgeId,
-        peopleCount: Math.floor(Math.random() * 15),
-        fireProb: parseFloat((Math.random() * 0.3).toFixed(2)),
-        smokeProb: parseFloat((Math.random() * 0.4).toFixed(2)),
+        peopleCount: result.peopleCount,
+        fireProb: result.fireProb,
+        smokeProb: result.smokeProb,
         aiModel: 'cloud-vision-detector-v2',
-        confidence: parseFloat((Math.random() * 0.15 + 0.85).toFixed(2)),
+        confidence: result.confidence,
+        scripted: result.scripted,
         processingTime: PROCESSING_DELAY
       };
 
-      console.log(`   ✅ People: ${response.peopleCount}, Fire: ${response.fireProb}, Smoke: ${response.smokeProb}`);
+      console.log(`   ✅ People: ${response.peopleCount}, Fire: ${response.fireProb}, Smoke: ${response.smokeProb}${response.scripted ? ' (scenario)' : ''}`);
       res.json(response);
     }, PROCESSING_DELAY);
 
@@ -8,15 +8,20 @@
 
 const express = require('express');
 const router = express.Router();
+const scenarioEngine = require('../utils/scenarioEngine');
 
 // Simulated processing delay (ms)
 const PROCESSING_DELAY = 1000;
 
+// Random result ranges (used when no scenario is loaded)
+const RANDOM_RANGES = { maxPeople: 15, maxFire: 0.3, maxSmoke: 0.4, minConfidence: 0.7, confidenceSpread: 0.3 };
+
 /**
  * Local AI Analysis Endpoint
  * POST /api/local-ai/analyze
  * 
- * Simulates edge AI analysis returning people count, fire/smoke probabilities
+ * Simulates edge AI analysis returning people count, fire/smoke probabilities.
+ * Values follow the loaded scenario (see routes/scenario.js), random otherwise.
  */
 router.post('/analyze', (req, res) => {
   try {
@@ -32,21 +37,35 @@ router.post('/analyze', (req, res) => {
 
     console.log(`🤖 Local AI - Camera: ${cameraId}, Edge: ${edgeId}`);
 
+    // Scripted AI outage
+    if (scenarioEngine.isAIOffline(cameraId)) {
+      console.log(`   📴 Local AI unavailable for ${cameraId} (scenario)`);
+      return res.status(503).json({
+        success: false,
+        error: 'Analysis unavailable',
+        message: `Local AI is down for ${cameraId} in the current scenario`
+      });
+    }
+
+    // Values at the time of the request (the frame being analysed)
+    const result = scenarioEngine.analyze(cameraId, RANDOM_RANGES);
+
     // Simulate processing delay
     setTimeout(() => {
       const response = {
         success: true,
         cameraId,
         edgeId,
-        peopleCount: Math.floor(Math.random() * 15),
-        fireProb: parseFloat((Math.random() * 0.3).toFixed(2)),
-        smokeProb: parseFloat((Math.random() * 0.4).toFixed(2)),
+        peopleCount: result.peopleCount,
+        fireProb: result.fireProb,
+        smokeProb: result.smokeProb,
         aiModel: 'local-edge-detector-v1',
-        confidence: parseFloat((Math.random() * 0.3 + 0.7).toFixed(2)),
+        confidence: result.confidence,
+        scripted: result.scripted,
         processingTime: PROCESSING_DELAY
       };
 
-      console.log(`   ✅ People: ${response.peopleCount}, Fire: ${response.fireProb}, Smoke: ${response.smokeProb}`);
+      console.log(`   ✅ People: ${response.peopleCount}, Fire: ${response.fireProb}, Smoke: ${response.smokeProb}${response.scripted ? ' (scenario)' : ''}`);
       res.json(response);
     }, PROCESSING_DELAY);
 
@@ -10,9 +10,10 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
+const scenarioEngine = require('../utils/scenarioEngine');
 
-// Test images directory
-const TEST_IMAGES_DIR = path.join(__dirname, '..', 'test-images');
+// Test images directory (TEST_IMAGES_DIR overrides, e.g. for automated tests)
+const TEST_IMAGES_DIR = process.env.TEST_IMAGES_DIR || path.join(__dirname, '..', 'test-images');
 
 /**
  * Get list of available camera IDs from test-images folder
@@ -48,7 +49,8 @@ function findCameraImage(cameraId) {
  * RTSP Camera Capture Endpoint
  * GET /api/rtsp/capture?cameraId=<id>&time=<timestamp>
  * 
- * Returns a test image for the specified camera
+ * Returns a test image for the specified camera, or 503 while the loaded
+ * scenario has the camera offline
  */
 router.get('/capture', async (req, res) => {
   try {
@@ -65,6 +67,16 @@ router.get('/capture', async (req, res) => {
     const timestamp = time || new Date().toISOString();
     console.log(`📸 RTSP Capture - Camera: ${cameraId}, Time: ${timestamp}`);
 
+    // Scripted stream outage
+    if (scenarioEngine.isCameraOffline(cameraId)) {
+      console.log(`   📴 ${cameraId} offline (scenario)`);
+      return res.status(503).json({
+        success: false,
+        error: 'Camera offline',
+        message: `${cameraId} is offline in the current scenario`
+      });
+    }
+
     // Find the camera image
     const imagePath = findCameraImage(cameraId);
 
@@ -140,7 +152,7 @@ router.get('/status/:cameraId', (req, res) => {
     success: true,
     data: {
       cameraId,
-      status: 'online',
+      status: scenarioEngine.isCameraOffline(cameraId) ? 'offline' : 'online',
       resolution: '640x480',
       fps: 30,
       protocol: 'RTSP (Simulated)',
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Mock Scenario Control Routes
+ * @description Load and play back scripted camera scenarios (see utils/scenarioEngine.js)
+ *
+ * @module routes/scenario
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const engine = require('../utils/scenarioEngine');
+
+/**
+ * Runs an engine action and replies with the engine status, or 400 with
+ * the reason the action was rejected.
+ */
+function control(action, errorLabel) {
+  return (req, res) => {
+    try {
+      res.json({ success: true, data: action(req) });
+    } catch (error) {
+      console.error(`❌ Scenario ${errorLabel} error:`, error.message);
+      res.status(400).json({
+        success: false,
+        error: `Scenario ${errorLabel} failed`,
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Scenario Status
+ * GET /api/scenario
+ *
+ * Playback state, scenario time and the current values of every scripted camera
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, data: engine.getStatus() });
+});
+
+/**
+ * Available Scenario Files
+ * GET /api/scenario/files
+ */
+router.get('/files', (req, res) => {
+  const files = engine.listScenarioFiles();
+  res.json({ success: true, count: files.length, files });
+});
+
+/**
+ * Load Scenario
+ * POST /api/scenario/load
+ *
+ * Body: { "file": "corridor-fire.yaml" } or { "scenario": { name, cameras, ... } }
+ * Loading resets playback to t=0 (idle); optional "start": true starts it right away
+ */
+router.post('/load', control((req) => {
+  const { file, scenario, start } = req.body || {};
+  engine.loadScenario({ file, scenario });
+  return start ? engine.startScenario() : engine.getStatus();
+}, 'load'));
+
+/**
+ * Start / Resume Scenario
+ * POST /api/scenario/start
+ */
+router.post('/start', control(() => engine.startScenario(), 'start'));
+
+/**
+ * Pause Scenario
+ * POST /api/scenario/pause
+ */
+router.post('/pause', control(() => engine.pauseScenario(), 'pause'));
+
+/**
+ * Reset Scenario to t=0 (idle)
+ * POST /api/scenario/reset
+ */
+router.post('/reset', control(() => engine.resetScenario(), 'reset'));
+
+/**
+ * Seek Scenario
+ * POST /api/scenario/seek
+ *
+ * Body: { "atSec": 90 } - keeps running or paused as it was
+ */
+router.post('/seek', control((req) => engine.seekScenario(req.body?.atSec), 'seek'));
+
+/**
+ * Unload Scenario (AI results are random again)
+ * DELETE /api/scenario
+ */
+router.delete('/', control(() => engine.unloadScenario(), 'unload'));
+
+module.exports = router;
@@ -16,19 +16,22 @@ const morgan = require('morgan');
 const rtspRoutes = require('./routes/rtsp');
 const localAIRoutes = require('./routes/localAI');
 const cloudAIRoutes = require('./routes/cloudAI');
+const scenarioRoutes = require('./routes/scenario');
+const scenarioEngine = require('./utils/scenarioEngine');
 
 const app = express();
 const PORT = process.env.PORT || 3090;
 
 // Middleware
 app.use(cors());
-app.use(morgan('dev'));
+if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
 app.use(express.json());
 
 // Routes
 app.use('/api/rtsp', rtspRoutes);
 app.use('/api/local-ai', localAIRoutes);
 app.use('/api/cloud-ai', cloudAIRoutes);
+app.use('/api/scenario', scenarioRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -60,6 +63,16 @@ app.get('/', (req, res) => {
       cloudAI: {
         analyze: 'POST /api/cloud-ai/analyze',
         status: 'GET /api/cloud-ai/status'
+      },
+      scenario: {
+        status: 'GET /api/scenario',
+        files: 'GET /api/scenario/files',
+        load: 'POST /api/scenario/load',
+        start: 'POST /api/scenario/start',
+        pause: 'POST /api/scenario/pause',
+        reset: 'POST /api/scenario/reset',
+        seek: 'POST /api/scenario/seek',
+        unload: 'DELETE /api/scenario'
       }
     }
   });
@@ -84,9 +97,20 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Scenario to load at startup (optional)
+if (process.env.SCENARIO_FILE) {
+  try {
+    scenarioEngine.loadScenario({ file: process.env.SCENARIO_FILE });
+    if (process.env.SCENARIO_AUTOSTART === 'true') scenarioEngine.startScenario();
+  } catch (error) {
+    console.error('❌ Scenario error:', error.message);
+  }
+}
+
+// Start server (when run directly - tests mount the app on their own port)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ╔══════════════════════════════════════════════════════╗
 ║           EES Mock Services Server                   ║
 ║      Emergency Evacuation System - Test Server       ║
@@ -98,8 +122,10 @@ app.listen(PORT, () => {
 ║    📸 RTSP:     /api/rtsp/capture?cameraId=<id>      ║
 ║    🤖 Local AI: POST /api/local-ai/analyze           ║
 ║    ☁️  Cloud AI: POST /api/cloud-ai/analyze           ║
+║    🎬 Scenario: /api/scenario                        ║
 ╚══════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Scenario Engine - Scripted Camera Values for the Mock Services
+ * @description Replaces the random AI results (and RTSP availability) with
+ *              per-camera values scripted over time, so routing behaviour can
+ *              be tested deterministically.
+ *
+ * Scenario file (JSON or YAML, see scenarios/):
+ *
+ *   name: Corridor 3 fire spreading east
+ *   interpolation: linear        # linear (default) | step
+ *   defaults:                    # unscripted cameras / before the first keyframe
+ *     peopleCount: 2
+ *   cameras:
+ *     CAM_CORRIDOR_3:
+ *       - { at: 0, peopleCount: 6 }
+ *       - { at: 60, fireProb: 0.8, smokeProb: 0.7 }
+ *     CAM_CORRIDOR_4:
+ *       - { at: 90, smokeProb: 0.5 }
+ *       - { at: 120, offline: true }   # RTSP capture fails from here on
+ *     CAM_CORRIDOR_5:
+ *       - { at: 30, aiOffline: true }  # Local and cloud AI fail from here on
+ *
+ * A keyframe only sets the fields it names; the others carry over from the
+ * previous keyframe (or the defaults). Values are interpolated between
+ * keyframes ('offline' and 'aiOffline' never are) and the last keyframe
+ * holds afterwards.
+ *
+ * Playback: idle → start → running ⇄ pause → paused; reset returns to idle
+ * at t=0; seek moves the clock without changing the state.
+ *
+ * @module utils/scenarioEngine
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Scenario files directory
+const SCENARIOS_DIR = path.join(__dirname, '..', 'scenarios');
+
+// Scriptable values and their ranges
+const VALUE_FIELDS = {
+  peopleCount: { min: 0, max: Infinity },
+  fireProb: { min: 0, max: 1 },
+  smokeProb: { min: 0, max: 1 },
+  confidence: { min: 0, max: 1 }
+};
+
+const BASE_DEFAULTS = { peopleCount: 0, fireProb: 0, smokeProb: 0, offline: false, aiOffline: false };
+
+// Engine state (one scenario at a time)
+let scenario = null;
+let status = 'idle';
+let offsetSec = 0;
+let runningSince = null;
+
+/* ============================================================
+ * LOADING
+ * ============================================================ */
+
+/**
+ * Validates a scenario and fills every keyframe with the values it carries
+ * over from the previous one.
+ */
+function normalizeScenario(raw, source) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Scenario must be an object with a cameras map');
+  }
+
+  const interpolation = raw.interpolation || 'linear';
+  if (!['linear', 'step'].includes(interpolation)) {
+    errors.push(`interpolation must be 'linear' or 'step' (got '${interpolation}')`);
+  }
+
+  const checkValues = (values, label) => {
+    for (const [field, range] of Object.entries(VALUE_FIELDS)) {
+      if (values[field] === undefined) continue;
+      const value = Number(values[field]);
+      if (!Number.isFinite(value) || value < range.min || value > range.max) {
+        errors.push(`${label}: ${field} must be ${range.max === Infinity ? `>= ${range.min}` : `between ${range.min} and ${range.max}`}`);
+      }
+    }
+  };
+
+  const defaults = { ...BASE_DEFAULTS, ...(raw.defaults || {}) };
+  checkValues(defaults, 'defaults');
+
+  if (!raw.cameras || typeof raw.cameras !== 'object' || Object.keys(raw.cameras).length === 0) {
+    errors.push('cameras must script at least one camera');
+  }
+
+  const cameras = {};
+  for (const [cameraId, keyframes] of Object.entries(raw.cameras || {})) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+      errors.push(`${cameraId}: requires at least one keyframe`);
+      continue;
+    }
+
+    let previous = { ...defaults, at: -1 };
+    cameras[cameraId] = keyframes.map((keyframe) => {
+      const at = Number(keyframe?.at);
+      if (!Number.isFinite(at) || at < 0) {
+        errors.push(`${cameraId}: keyframe 'at' must be a number >= 0`);
+      } else if (at <= previous.at) {
+        errors.push(`${cameraId}: keyframes must be in increasing 'at' order (${at}s after ${previous.at}s)`);
+      }
+      checkValues(keyframe || {}, `${cameraId} at ${keyframe?.at}s`);
+
+      previous = {
+        ...previous,
+        ...keyframe,
+        at,
+        offline: keyframe?.offline ?? previous.offline,
+        aiOffline: keyframe?.aiOffline ?? previous.aiOffline
+      };
+      return previous;
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+  }
+
+  const duration = Math.max(0, ...Object.values(cameras).map(k => k[k.length - 1].at));
+
+  return {
+    name: raw.name || source || 'Unnamed scenario',
+    description: raw.description || null,
+    source: source || null,
+    interpolation,
+    defaults,
+    cameras,
+    duration
+  };
+}
+
+/**
+ * Lists the scenario files available in scenarios/.
+ */
+function listScenarioFiles() {
+  try {
+    return fs.readdirSync(SCENARIOS_DIR)
+      .filter(f => ['.json', '.yaml', '.yml'].includes(path.extname(f).toLowerCase()))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Parses a scenario file. Relative paths are resolved against scenarios/.
+ */
+function readScenarioFile(file) {
+  const filePath = path.isAbsolute(file) ? file : path.join(SCENARIOS_DIR, file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scenario file not found: ${file}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * Loads a scenario from a file or an object and resets playback to t=0.
+ *
+ * @param {Object} options - { file } or { scenario }
+ * @returns {Object} Engine status
+ */
+function loadScenario({ file, scenario: raw } = {}) {
+  if (!file && !raw) {
+    throw new Error('Provide a scenario file name or a scenario object');
+  }
+
+  scenario = file
+    ? normalizeScenario(readScenarioFile(file), path.basename(file))
+    : normalizeScenario(raw, 'inline');
+  resetScenario();
+
+  console.log(`🎬 Scenario loaded: '${scenario.name}' (${Object.keys(scenario.cameras).length} camera(s), ${scenario.duration}s)`);
+  return getStatus();
+}
+
+/**
+ * Unloads the scenario; AI results are random again.
+ */
+function unloadScenario() {
+  if (scenario) console.log(`🎬 Scenario unloaded: '${scenario.name}'`);
+  scenario = null;
+  resetScenario();
+  return getStatus();
+}
+
+/* ============================================================
+ * PLAYBACK
+ * ============================================================ */
+
+function requireScenario() {
+  if (!scenario) throw new Error('No scenario loaded');
+}
+
+/**
+ * Seconds of scenario time elapsed.
+ */
+function elapsedSec() {
+  const running = status === 'running' ? (Date.now() - runningSince) / 1000 : 0;
+  return parseFloat((offsetSec + running).toFixed(3));
+}
+
+function startScenario() {
+  requireScenario();
+  if (status !== 'running') {
+    runningSince = Date.now();
+    status = 'running';
+    console.log(`▶️  Scenario '${scenario.name}' running from t=${offsetSec}s`);
+  }
+  return getStatus();
+}
+
+function pauseScenario() {
+  requireScenario();
+  if (status === 'running') {
+    offsetSec = elapsedSec();
+    runningSince = null;
+    status = 'paused';
+    console.log(`⏸️  Scenario '${scenario.name}' paused at t=${offsetSec}s`);
+  }
+  return getStatus();
+}
+
+function resetScenario() {
+  offsetSec = 0;
+  runningSince = null;
+  status = 'idle';
+  return getStatus();
+}
+
+/**
+ * Moves the scenario clock to a point in time, keeping the playback state.
+ *
+ * @param {number} atSec - Seconds since the scenario started
+ */
+function seekScenario(atSec) {
+  requireScenario();
+  const target = Number(atSec);
+  if (!Number.isFinite(target) || target < 0) {
+    throw new Error('atSec must be a number >= 0');
+  }
+
+  offsetSec = target;
+  if (status === 'running') runningSince = Date.now();
+  console.log(`⏩ Scenario '${scenario.name}' at t=${target}s`);
+  return getStatus();
+}
+
+/* ============================================================
+ * SCRIPTED VALUES
+ * ============================================================ */
+
+/**
+ * Scripted values of a camera at a point of the scenario.
+ *
+ * @param {string} cameraId - Camera identifier
+ * @param {number} [atSec=elapsedSec()] - Scenario time
+ * @returns {Object|null} { peopleCount, fireProb, smokeProb, confidence?, offline, aiOffline },
+ *          or null when no scenario is loaded
+ */
+function valuesFor(cameraId, atSec = elapsedSec()) {
+  if (!scenario) return null;
+
+  const pick = (k) => ({
+    peopleCount: Math.round(k.peopleCount),
+    fireProb: k.fireProb,
+    smokeProb: k.smokeProb,
+    ...(k.confidence !== undefined && { confidence: k.confidence }),
+    offline: !!k.offline,
+    aiOffline: !!k.aiOffline
+  });
+
+  const keyframes = scenario.cameras[cameraId];
+  if (!keyframes || atSec < keyframes[0].at) return pick(scenario.defaults);
+
+  const next = keyframes.findIndex(k => k.at > atSec);
+  if (next === -1) return pick(keyframes[keyframes.length - 1]);
+
+  const from = keyframes[next - 1];
+  if (scenario.interpolation === 'step') return pick(from);
+
+  const to = keyframes[next];
+  const t = (atSec - from.at) / (to.at - from.at);
+  const lerp = (field) => (from[field] === undefined || to[field] === undefined)
+    ? from[field]
+    : parseFloat((from[field] + (to[field] - from[field]) * t).toFixed(4));
+
+  return pick({
+    peopleCount: lerp('peopleCount'),
+    fireProb: lerp('fireProb'),
+    smokeProb: lerp('smokeProb'),
+    confidence: lerp('confidence'),
+    offline: from.offline,
+    aiOffline: from.aiOffline
+  });
+}
+
+/**
+ * AI analysis result for a camera: scripted when a scenario is loaded,
+ * random within realistic ranges otherwise.
+ *
+ * @param {string} cameraId - Camera identifier
+ * @param {Object} random - Random ranges { maxPeople, maxFire, maxSmoke, minConfidence, confidenceSpread }
+ * @returns {Object} { peopleCount, fireProb, smokeProb, confidence, scripted }
+ */
+function analyze(cameraId, random) {
+  const scripted = valuesFor(cameraId);
+  const randomConfidence = parseFloat((Math.random() * random.confidenceSpread + random.minConfidence).toFixed(2));
+
+  if (scripted) {
+    return {
+      peopleCount: scripted.peopleCount,
+      fireProb: scripted.fireProb,
+      smokeProb: scripted.smokeProb,
+      confidence: scripted.confidence ?? randomConfidence,
+      scripted: true
+    };
+  }
+
+  return {
+    peopleCount: Math.floor(Math.random() * random.maxPeople),
+    fireProb: parseFloat((Math.random() * random.maxFire).toFixed(2)),
+    smokeProb: parseFloat((Math.random() * random.maxSmoke).toFixed(2)),
+    confidence: randomConfidence,
+    scripted: false
+  };
+}
+
+/**
+ * Whether the scenario has a camera's RTSP stream down right now.
+ */
+function isCameraOffline(cameraId) {
+  return !!valuesFor(cameraId)?.offline;
+}
+
+/**
+ * Whether the scenario has the AI services failing for a camera right now.
+ */
+function isAIOffline(cameraId) {
+  return !!valuesFor(cameraId)?.aiOffline;
+}
+
+/**
+ * Current engine state, with every scripted camera's values.
+ */
+function getStatus() {
+  if (!scenario) {
+    return { loaded: false, status, elapsedSec: 0, availableFiles: listScenarioFiles() };
+  }
+
+  const atSec = elapsedSec();
+  return {
+    loaded: true,
+    name: scenario.name,
+    description: scenario.description,
+    source: scenario.source,
+    interpolation: scenario.interpolation,
+    status,
+    elapsedSec: atSec,
+    duration: scenario.duration,
+    finished: atSec >= scenario.duration,
+    cameras: Object.fromEntries(
+      Object.keys(scenario.cameras).map(cameraId => [cameraId, valuesFor(cameraId, atSec)])
+    )
+  };
+}
+
+module.exports = {
+  SCENARIOS_DIR,
+  listScenarioFiles,
+  loadScenario,
+  unloadScenario,
+  startScenario,
+  pauseScenario,
+  resetScenario,
+  seekScenario,
+  valuesFor,
+  analyze,
+  isCameraOffline,
+  isAIOffline,
+  getStatus
+};
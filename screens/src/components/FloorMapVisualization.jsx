@@ -46,6 +46,7 @@ import { MapPin, Maximize2, Minimize2 } from 'lucide-react';
  * @param {string} props.currentScreenId - ID of current screen for highlighting
  * @param {Object} [props.route] - Current evacuation route
  * @param {Array} props.route.path - Array of node IDs in route
+ * @param {Object} [props.alternateRoute] - Backup route, drawn dashed under the main route
  * @param {boolean} props.hasEmergency - Whether emergency mode is active
  * @returns {JSX.Element} Floor map visualization
  *
@@ -57,7 +58,7 @@ import { MapPin, Maximize2, Minimize2 } from 'lucide-react';
  *   hasEmergency={true}
  * />
  */
-export function FloorMapVisualization({ floorData, currentScreenId, route, hasEmergency }) {
+export function FloorMapVisualization({ floorData, currentScreenId, route, alternateRoute, hasEmergency }) {
   const containerRef = useRef(null);
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
@@ -214,14 +215,21 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
       if (route.path[0] === node.id) {
         return { fill: '#3b82f6', stroke: '#1d4ed8', pulse: true, size: 14 };
       }
-      // End of route (exit) - green pulse
+      // End of route (exit) - green pulse, refuge area - cyan pulse
       if (route.path[route.path.length - 1] === node.id) {
-        return { fill: '#22c55e', stroke: '#15803d', pulse: true, size: 14 };
+        return route.shelterInPlace
+          ? { fill: '#06b6d4', stroke: '#0e7490', pulse: true, size: 14 }
+          : { fill: '#22c55e', stroke: '#15803d', pulse: true, size: 14 };
       }
       // Middle of route - amber
       return { fill: '#f59e0b', stroke: '#d97706', pulse: false, size: 10 };
     }
     
+    // Refuge areas - cyan
+    if (node.type === 'refuge') {
+      return { fill: '#06b6d4', stroke: '#0e7490', pulse: false, size: 10 };
+    }
+
     // Entrance nodes - purple
     if (node.type === 'entrance') {
       return { fill: '#8b5cf6', stroke: '#6d28d9', pulse: false, size: 10 };
@@ -266,15 +274,16 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
    * ---------------------------------------- */
 
   /**
-   * Build SVG path data from route
+   * Build SVG path data from a route
+   * @param {Object} [pathRoute=route] - Route whose path to draw
    * @returns {Object|null} Path data with pathD string and points array
    */
-  const buildRoutePath = () => {
-    if (!route?.path || route.path.length < 2 || !floorData?.nodes) {
+  const buildRoutePath = (pathRoute = route) => {
+    if (!pathRoute?.path || pathRoute.path.length < 2 || !floorData?.nodes) {
       return null;
     }
     
-    const points = route.path.map(nodeId => {
+    const points = pathRoute.path.map(nodeId => {
       const node = floorData.nodes.find(n => n.id === nodeId);
       return node ? { x: transformX(node.x), y: transformY(node.y), id: nodeId } : null;
     }).filter(Boolean);
@@ -286,6 +295,7 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
   };
 
   const routePath = buildRoutePath();
+  const alternatePath = buildRoutePath(alternateRoute);
   const svgWidth = boundsWidth * scale + 40;
   const svgHeight = boundsHeight * scale + 40;
 
@@ -383,6 +393,20 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
           );
         })}
 
+        {/* Backup Route (dashed, below the main route) */}
+        {alternatePath && (
+          <path 
+            d={alternatePath.pathD} 
+            fill="none" 
+            stroke="#38bdf8" 
+            strokeWidth={3} 
+            strokeOpacity={0.7} 
+            strokeDasharray="6,6" 
+            strokeLinecap="round" 
+            strokeLinejoin="round" 
+          />
+        )}
+
         {/* Route Path Highlight */}
         {routePath && (
           <>
@@ -447,7 +471,8 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
             floorData.exitPoints?.includes(node.id) || 
             route?.path?.includes(node.id) || 
             node.type === 'exit' || 
-            node.type === 'entrance'
+            node.type === 'entrance' ||
+            node.type === 'refuge'
           );
           
           return (
@@ -507,6 +532,12 @@ export function FloorMapVisualization({ floorData, currentScreenId, route, hasEm
             <div className="w-3 h-3 rounded-full bg-amber-500"></div>
             <span className="text-slate-300">Path</span>
           </div>
+          {alternatePath && (
+            <div className="flex items-center gap-1">
+              <div className="w-3 h-0.5 border-t-2 border-dashed border-sky-400"></div>
+              <span className="text-slate-300">Backup</span>
+            </div>
+          )}
           {hasEmergency && (
             <div className="flex items-center gap-1">
               <div className="w-3 h-3 rounded-full bg-red-500 animate-pulse"></div>
@@ -48,7 +48,8 @@ import {
   LogOut,
   Image,
   Navigation,
-  ExternalLink
+  ExternalLink,
+  Siren
 } from 'lucide-react';
 import { Card, Button } from '../components/ui';
 import { 
@@ -306,7 +307,22 @@ export function LandingPage() {
   const handleRouteData = useCallback((data, source) => {
     dispatch(setRouteUpdate({ ...data, source }));
     dispatch(setDataSource(source));
-    dispatch(addLog({ message: `📡 Route update via ${source}`, type: 'success' }));
+    if (data.updateType === 'urgent') {
+      const edges = data.trigger?.edges?.map(e => e.edgeId).join(', ') || 'unknown edge';
+      dispatch(addLog({ message: `🚨 Urgent re-route via ${source}: hazard on ${edges}`, type: 'warning' }));
+    } else if (data.updateType === 'override') {
+      const edges = data.trigger?.edges?.map(e => e.edgeId).join(', ') || 'unknown edge';
+      dispatch(addLog({ message: `🚧 Manual override ${data.trigger?.action || 'set'} via ${source}: ${edges}`, type: 'warning' }));
+    } else {
+      dispatch(addLog({ message: `📡 Route update via ${source}`, type: 'success' }));
+    }
+    if (data.drill) {
+      dispatch(addLog({ message: `🎭 DRILL '${data.drill.name}' at t+${data.drill.elapsedSec}s - routes are an exercise`, type: 'info' }));
+    }
+    if (data.shelterInPlace) {
+      const sheltering = data.routes?.filter(r => r.shelterInPlace).map(r => r.startNode).join(', ');
+      dispatch(addLog({ message: `🛟 No exit reachable - shelter in place: ${sheltering}`, type: 'error' }));
+    }
     setLastUpdate(new Date());
     
     // Prepare route data with floor info for screens
@@ -914,13 +930,26 @@ export function LandingPage() {
               </div>
             </Card>
 
+            {/* Drill Banner */}
+            {routeData.drill && (
+              <Card className="p-4 bg-amber-400 border-4 border-dashed border-black">
+                <div className="flex items-center gap-3">
+                  <Siren className="w-8 h-8 text-black animate-pulse" />
+                  <div>
+                    <p className="text-black font-black text-lg tracking-widest">DRILL - THIS IS AN EXERCISE</p>
+                    <p className="text-black/80 text-sm">{routeData.drill.name} · t+{routeData.drill.elapsedSec}s</p>
+                  </div>
+                </div>
+              </Card>
+            )}
+
             {/* Emergency Alert */}
             {routeData.emergency && (
               <Card className="p-4 bg-red-900/50 border-red-600 animate-pulse">
                 <div className="flex items-center gap-3">
                   <AlertTriangle className="w-8 h-8 text-red-400" />
                   <div>
-                    <p className="text-red-200 font-bold text-lg">EMERGENCY ACTIVE</p>
+                    <p className="text-red-200 font-bold text-lg">{routeData.drill ? 'DRILL EMERGENCY' : 'EMERGENCY ACTIVE'}</p>
                     <p className="text-red-300 text-sm">Hazard Level: {routeData.overallHazardLevel}</p>
                   </div>
                 </div>
@@ -982,7 +1011,7 @@ export function LandingPage() {
                         {route && (
                           <div className="flex items-center gap-1 text-xs text-slate-300">
                             <Navigation className="w-3 h-3" />
-                            <span>→ {getExitLabel(route.exitNode)}</span>
+                            <span>→ {route.shelterInPlace ? `Refuge: ${route.refugeLabel || 'stay put'}` : getExitLabel(route.exitNode)}</span>
                           </div>
                         )}
                       </button>
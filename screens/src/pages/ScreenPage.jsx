@@ -13,14 +13,18 @@
  * ┌───────────────────────────────────────────────────────────┐
  * │ Header: Close btn | Live indicator | Screen ID           │
  * ├───────────────────────────────────────────────────────────┤
+ * │ Drill Banner (conditional - amber, "THIS IS AN EXERCISE") │
+ * ├───────────────────────────────────────────────────────────┤
  * │ Controller Disconnected Banner (conditional)             │
  * ├───────────────────────────────────────────────────────────┤
  * │ Emergency Banner (conditional - red pulsing)             │
  * ├──────────────────────┬────────────────────────────────────┤
  * │ Floor Map            │ Route Information                  │
  * │ (Interactive SVG)    │ - Exit direction                   │
- * │                      │ - Distance                         │
+ * │                      │ - Distance, estimated egress time  │
  * │                      │ - Hazard level                     │
+ * │                      │ - Backup exit ("If blocked, ...")  │
+ * │                      │ - Step-free route (flagged screens)│
  * │                      │ - Step-by-step path                │
  * │                      │ - Quick info cards                 │
  * └──────────────────────┴────────────────────────────────────┘
@@ -40,14 +44,19 @@ import {
   Navigation, 
   AlertTriangle,
   ArrowRight,
+  CornerUpRight,
   Clock,
   Layers,
   Cast,
   Map,
-  WifiOff
+  WifiOff,
+  ShieldAlert,
+  Siren,
+  Accessibility
 } from 'lucide-react';
 import { Card, Button } from '../components/ui';
 import FloorMapVisualization from '../components/FloorMapVisualization';
+import { formatDuration } from '../utils/helpers';
 import { 
   initBroadcast, 
   onRouteUpdate, 
@@ -100,6 +109,7 @@ export function ScreenPage() {
       emergencyType: routeData.emergency ? 'EMERGENCY' : null,
       emergencyLocation: routeData.emergencyLocation,
       overallHazardLevel: routeData.overallHazardLevel,
+      drill: routeData.drill || null,
       timestamp: routeData.timestamp
     };
     
@@ -219,6 +229,7 @@ export function ScreenPage() {
 
   const route = screenData?.route;
   const hasEmergency = screenData?.emergencyType || screenData?.overallHazardLevel === 'critical' || route?.hazardLevel === 'critical';
+  const drill = screenData?.drill;
 
   /* ----------------------------------------------------------
    * Helper Functions
@@ -237,6 +248,28 @@ export function ScreenPage() {
   // Get the screen's label
   const screenLabel = getNodeLabel(screenId);
 
+  // Cross-floor routes end on another floor, so the backend sends the exit label
+  const exitLabel = route?.exitLabel || getNodeLabel(route?.exitNode);
+  const isCrossFloor = route?.crossFloor && route?.segments?.length > 1;
+
+  // No exit reachable: go to a refuge area (or stay put) and wait for rescue
+  const isShelter = !!route?.shelterInPlace;
+  const refugeLabel = route?.refugeNode ? (route.refugeLabel || getNodeLabel(route.refugeNode)) : null;
+  const shelterInstruction = isShelter ? route.instructions?.[route.instructions.length - 1] : null;
+
+  // Backup route: prefer one leading to a different exit, never a critical one
+  const usableAlternates = route?.alternates?.filter(a => a.hazardLevel !== 'critical') || [];
+  const backupRoute = usableAlternates.find(a => a.exitNode !== route?.exitNode) || usableAlternates[0] || null;
+  const backupExitLabel = backupRoute ? (backupRoute.exitLabel || getNodeLabel(backupRoute.exitNode)) : null;
+
+  // Step-free route: only sent for step-free screens and screens at refuge areas
+  const stepFree = route?.stepFree || null;
+  const stepFreeTarget = stepFree
+    ? (stepFree.shelterInPlace
+      ? (stepFree.refugeNode ? `REFUGE → ${stepFree.refugeLabel || getNodeLabel(stepFree.refugeNode)}` : 'WAIT HERE')
+      : `EXIT → ${stepFree.exitLabel || getNodeLabel(stepFree.exitNode)}`)
+    : null;
+
   // Update document title when we have the label
   useEffect(() => {
     if (screenId) {
@@ -333,6 +366,20 @@ export function ScreenPage() {
           </div>
         </div>
 
+        {/* Drill Banner - routes are real, the hazards are scripted */}
+        {drill && (
+          <Card className="p-4 mb-4 bg-amber-400 border-4 border-dashed border-black">
+            <div className="flex items-center justify-center gap-4">
+              <Siren className="w-10 h-10 text-black animate-pulse" />
+              <div className="text-center">
+                <p className="text-black font-black text-4xl tracking-widest">DRILL</p>
+                <p className="text-black font-bold text-lg">THIS IS AN EXERCISE - {drill.name}</p>
+              </div>
+              <Siren className="w-10 h-10 text-black animate-pulse" />
+            </div>
+          </Card>
+        )}
+
         {/* Controller Disconnected Banner */}
         {!controllerConnected && (
           <Card className="p-4 mb-4 bg-yellow-600/80 border-yellow-500">
@@ -358,7 +405,7 @@ export function ScreenPage() {
               <AlertTriangle className="w-8 h-8 text-white" />
               <div>
                 <p className="text-white font-bold text-2xl">
-                  ⚠️ {screenData?.emergencyType?.toUpperCase() || 'EMERGENCY'}
+                  ⚠️ {drill ? 'DRILL ' : ''}{screenData?.emergencyType?.toUpperCase() || 'EMERGENCY'}
                 </p>
                 {screenData?.emergencyLocation && (
                   <p className="text-red-100">
@@ -386,6 +433,7 @@ export function ScreenPage() {
               floorData={floorData}
               currentScreenId={screenId}
               route={route}
+              alternateRoute={backupRoute}
               hasEmergency={hasEmergency}
             />
             
@@ -405,15 +453,31 @@ export function ScreenPage() {
               <>
                 {/* Main Direction Display */}
                 <Card className="p-6 bg-slate-800/90 border-slate-700 text-center">
-                  <Navigation className={`w-16 h-16 mx-auto mb-3 ${hasEmergency ? 'text-red-400' : 'text-green-400'} animate-bounce`} />
+                  {isShelter ? (
+                    <ShieldAlert className="w-16 h-16 mx-auto mb-3 text-cyan-400 animate-pulse" />
+                  ) : (
+                    <Navigation className={`w-16 h-16 mx-auto mb-3 ${hasEmergency ? 'text-red-400' : 'text-green-400'} animate-bounce`} />
+                  )}
                   
                   <h1 className="text-4xl font-bold text-white mb-2">
-                    EXIT → {getNodeLabel(route.exitNode)}
+                    {isShelter
+                      ? (refugeLabel ? `REFUGE → ${refugeLabel}` : 'SHELTER IN PLACE')
+                      : `EXIT → ${exitLabel}`}
                   </h1>
                   
-                  <p className="text-lg text-slate-300">
-                    Follow the highlighted path
-                  </p>
+                  {isShelter ? (
+                    <p className="text-2xl font-bold text-cyan-300">
+                      {shelterInstruction}
+                    </p>
+                  ) : isCrossFloor && route.instructions?.length > 0 ? (
+                    <p className="text-2xl font-bold text-amber-300">
+                      {route.instructions[0]}
+                    </p>
+                  ) : (
+                    <p className="text-lg text-slate-300">
+                      Follow the highlighted path
+                    </p>
+                  )}
                   
                   {/* Distance in meters */}
                   {(route.distanceMeters || route.distance) && (
@@ -424,6 +488,14 @@ export function ScreenPage() {
                     </p>
                   )}
 
+                  {/* Estimated egress time (walking speed + crowding) */}
+                  {route.egress?.seconds > 0 && (
+                    <p className="text-slate-300 mt-1 text-lg flex items-center justify-center gap-2">
+                      <Clock className="w-5 h-5" />
+                      About {formatDuration(route.egress.seconds)} to {isShelter ? 'the refuge' : 'the exit'}
+                    </p>
+                  )}
+
                   {/* Hazard Level Badge */}
                   {maxHazardLevel && (
                     <div className="mt-3">
@@ -432,8 +504,51 @@ export function ScreenPage() {
                       </span>
                     </div>
                   )}
+
+                  {/* Backup Exit (secondary arrow) */}
+                  {backupRoute && (
+                    <div className="mt-4 pt-3 border-t border-slate-700 flex items-center justify-center gap-2 text-sky-300">
+                      <CornerUpRight className="w-6 h-6" />
+                      <p className="text-lg font-semibold">
+                        {backupRoute.exitNode !== route.exitNode
+                          ? `If blocked, use ${backupExitLabel}`
+                          : `If blocked, take the other way to ${backupExitLabel}`}
+                      </p>
+                    </div>
+                  )}
+                  {backupRoute?.crossFloor && backupRoute.instructions?.length > 0 && (
+                    <p className="text-sm text-sky-200 mt-1">{backupRoute.instructions[0]}</p>
+                  )}
                 </Card>
 
+                {/* Step-Free Route (wheelchair users) */}
+                {stepFree && (
+                  <Card className="p-4 bg-slate-800/90 border-slate-700">
+                    <div className="flex items-center gap-3">
+                      <Accessibility className="w-8 h-8 text-sky-400 shrink-0" />
+                      {stepFree.sameAsStandard ? (
+                        <p className="text-lg font-semibold text-sky-200">This route is step-free</p>
+                      ) : (
+                        <div>
+                          <p className="text-xl font-bold text-white">
+                            Step-free: {stepFreeTarget}
+                            {stepFree.egressSeconds > 0 && (
+                              <span className="ml-2 text-base font-semibold text-sky-300">~{formatDuration(stepFree.egressSeconds)}</span>
+                            )}
+                          </p>
+                          {stepFree.instructions?.length > 0 ? (
+                            <p className="text-sm text-sky-200">{stepFree.instructions[stepFree.instructions.length - 1]}</p>
+                          ) : (
+                            <p className="text-sm text-slate-300">
+                              {stepFree.path?.map(getNodeLabel).join(' → ')}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </Card>
+                )}
+
                 {/* Route Path Steps */}
                 <Card className="p-4 bg-slate-800/90 border-slate-700">
                   <h3 className="text-sm font-bold text-white mb-3 flex items-center gap-2">
@@ -441,24 +556,61 @@ export function ScreenPage() {
                     Route Steps
                   </h3>
                   
-                  <div className="flex flex-wrap items-center gap-2">
-                    {route.path?.map((nodeId, index) => (
-                      <div key={index} className="flex items-center gap-1">
-                        <span className={`px-3 py-1.5 rounded-lg text-sm font-bold ${
-                          index === 0 
-                            ? 'bg-blue-600 text-white' 
-                            : index === route.path.length - 1 
-                              ? 'bg-green-600 text-white'
-                              : 'bg-slate-700 text-slate-200'
-                        }`}>
-                          {getNodeLabel(nodeId)}
-                        </span>
-                        {index < route.path.length - 1 && (
-                          <ArrowRight className="w-4 h-4 text-slate-400" />
-                        )}
-                      </div>
-                    ))}
-                  </div>
+                  {isCrossFloor ? (
+                    /* Multi-floor: one row per floor, ending at the stairwell/elevator */
+                    <div className="space-y-3">
+                      {route.segments.map((segment, segIndex) => (
+                        <div key={segIndex}>
+                          <p className="text-xs text-slate-400 mb-1 flex items-center gap-1">
+                            <Layers className="w-3 h-3" />
+                            {segment.floorName || segment.floorId}
+                          </p>
+                          <div className="flex flex-wrap items-center gap-2">
+                            {segment.path?.map((nodeId, index) => (
+                              <div key={index} className="flex items-center gap-1">
+                                <span className={`px-3 py-1.5 rounded-lg text-sm font-bold ${
+                                  segIndex === 0 && index === 0
+                                    ? 'bg-blue-600 text-white'
+                                    : nodeId === route.exitNode
+                                      ? 'bg-green-600 text-white'
+                                      : 'bg-slate-700 text-slate-200'
+                                }`}>
+                                  {segment.pathLabels?.[index] || getNodeLabel(nodeId)}
+                                </span>
+                                {index < segment.path.length - 1 && (
+                                  <ArrowRight className="w-4 h-4 text-slate-400" />
+                                )}
+                              </div>
+                            ))}
+                            {segment.connector && (
+                              <span className="px-3 py-1.5 rounded-lg text-sm font-bold bg-amber-500 text-black">
+                                {segment.connector.name} {segment.connector.direction === 'down' ? '↓' : '↑'} {segment.connector.toFloorName || segment.connector.toFloorId}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="flex flex-wrap items-center gap-2">
+                      {route.path?.map((nodeId, index) => (
+                        <div key={index} className="flex items-center gap-1">
+                          <span className={`px-3 py-1.5 rounded-lg text-sm font-bold ${
+                            index === 0 
+                              ? 'bg-blue-600 text-white' 
+                              : index === route.path.length - 1 
+                                ? (isShelter ? 'bg-cyan-600 text-white' : 'bg-green-600 text-white')
+                                : 'bg-slate-700 text-slate-200'
+                          }`}>
+                            {getNodeLabel(nodeId)}
+                          </span>
+                          {index < route.path.length - 1 && (
+                            <ArrowRight className="w-4 h-4 text-slate-400" />
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </Card>
 
                 {/* Quick Info Cards */}
@@ -474,9 +626,11 @@ export function ScreenPage() {
                   <Card className="p-3 bg-slate-800/90 border-slate-700">
                     <div className="flex items-center gap-2 text-slate-300 mb-1">
                       <Navigation className="w-4 h-4" />
-                      <span className="text-xs">Go To Exit</span>
+                      <span className="text-xs">{isShelter ? 'Go To Refuge' : 'Go To Exit'}</span>
                     </div>
-                    <p className="text-xl font-bold text-green-400">{getNodeLabel(route.exitNode)}</p>
+                    <p className={`text-xl font-bold ${isShelter ? 'text-cyan-400' : 'text-green-400'}`}>
+                      {isShelter ? (refugeLabel || 'Stay here') : exitLabel}
+                    </p>
                   </Card>
                 </div>
               </>
@@ -95,6 +95,7 @@ export const initBroadcast = () => {
  * @param {string} routeData.floorId - Floor identifier
  * @param {Object} [routeData.floorData] - Floor map data for visualization
  * @param {boolean} [routeData.emergency] - Emergency state flag
+ * @param {Object|null} [routeData.drill] - Running drill ({ name, elapsedSec }), screens show a DRILL banner
  *
  * @example
  * broadcastRouteData({
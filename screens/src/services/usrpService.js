@@ -161,8 +161,10 @@ const processUsrpData = (data, source = 'USRP') => {
   const myRoute = data.routes?.find(route => route.startNode === screenId);
   if (myRoute) {
     store.dispatch(addLog({ 
-      message: `Route found for ${screenId}: Exit ${myRoute.exitNode}`, 
-      type: 'success' 
+      message: myRoute.shelterInPlace
+        ? `Shelter in place for ${screenId}: ${myRoute.refugeNode ? `refuge ${myRoute.refugeNode}` : 'stay put'}`
+        : `Route found for ${screenId}: Exit ${myRoute.exitNode}`, 
+      type: myRoute.shelterInPlace ? 'warning' : 'success' 
     }));
   } else {
     store.dispatch(addLog({ 
@@ -23,6 +23,7 @@
  * │  timestamp        : Server timestamp of route data          │
  * │  lastUpdated      : Local timestamp of last update          │
  * │  source           : Data source ('socket' | 'usrp')         │
+ * │  drill            : Running drill { name, elapsedSec }|null │
  * └─────────────────────────────────────────────────────────────┘
  *
  * Route Object Structure:
@@ -68,6 +69,8 @@ const initialState = {
   lastUpdated: null,
   /** @type {string|null} Data source identifier */
   source: null,
+  /** @type {Object|null} Running drill ({ runId, name, elapsedSec }); routes are an exercise */
+  drill: null,
 };
 
 /* ============================================================
@@ -92,6 +95,7 @@ const routeSlice = createSlice({
      * @param {string} [action.payload.timestamp] - Server timestamp
      * @param {string} [action.payload.screenId] - Current screen ID for filtering
      * @param {string} [action.payload.source] - Data source identifier
+     * @param {Object|null} [action.payload.drill] - Running drill, null for real routes
      */
     setRouteUpdate: (state, action) => {
       const { 
@@ -104,7 +108,8 @@ const routeSlice = createSlice({
         floorId, 
         timestamp, 
         screenId,
-        source 
+        source,
+        drill
       } = action.payload;
       
       // Update all route data
@@ -119,6 +124,7 @@ const routeSlice = createSlice({
       state.timestamp = timestamp;
       state.lastUpdated = timestamp || new Date().toISOString();
       state.source = source;
+      state.drill = drill || null;
       
       // Filter route for current screen if screenId provided
       if (screenId && routes) {
@@ -158,6 +164,7 @@ const routeSlice = createSlice({
       state.emergencyType = null;
       state.emergencyLocation = null;
       state.overallHazardLevel = 'safe';
+      state.drill = null;
     },
 
     /**
@@ -112,3 +112,19 @@ export function formatDistance(distanceMeters, distancePixels) {
   }
   return '-';
 }
+
+/**
+ * Format an estimated duration in seconds
+ *
+ * @param {number} [seconds] - Duration in seconds
+ * @returns {string} Formatted duration (e.g., '45s' or '2m 05s'), '-' when unknown
+ *
+ * @example
+ * formatDuration(125) // => '2m 05s'
+ */
+export function formatDuration(seconds) {
+  if (seconds === undefined || seconds === null) return '-';
+  const rounded = Math.round(seconds);
+  if (rounded < 60) return `${rounded}s`;
+  return `${Math.floor(rounded / 60)}m ${String(rounded % 60).padStart(2, '0')}s`;
+}
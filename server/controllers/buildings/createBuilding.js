@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Create Building Controller
+ * @description Handles creation of multi-floor buildings that join existing
+ *              floors with stairwell and elevator connectors.
+ * 
+ * @route POST /api/buildings
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires Building - MongoDB model for building data
+ * @requires validateBuildingData - Floor/connector reference validator
+ * 
+ * @module controllers/buildings/createBuilding
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import Building from "../../models/Building.js";
+import { validateBuildingData } from "../../utils/validators/buildingValidator.js";
+
+/**
+ * Creates a new building in the database.
+ * 
+ * @async
+ * @function createBuilding
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} req.body - Building data (JSON)
+ * @param {string} req.body.id - Unique building identifier
+ * @param {string} req.body.name - Human-readable building name
+ * @param {number} [req.body.groundLevel=0] - Level whose exits lead outside
+ * @param {Array} req.body.floors - [{ floorId, level, exteriorExits }]
+ * @param {Array} [req.body.connectors] - Stairwell/elevator connectors
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with created building or error
+ * 
+ * @description
+ * Workflow:
+ * 1. Validate required fields are present
+ * 2. Check building ID doesn't already exist
+ * 3. Validate floors and connectors (see buildingValidator)
+ * 4. Create building document
+ * 
+ * @example
+ * // Request: POST /api/buildings
+ * // {
+ * //   id: 'building_a', name: 'Building A',
+ * //   floors: [{ floorId: 'floor_1', level: 0 }, { floorId: 'floor_2', level: 1 }],
+ * //   connectors: [{ id: 'STAIR_B_1_2', name: 'Stairwell B', type: 'stairs',
+ * //                  fromFloorId: 'floor_2', fromNodeId: 'F2_STAIR_B',
+ * //                  toFloorId: 'floor_1', toNodeId: 'F1_STAIR_B' }]
+ * // }
+ * 
+ * // Response (201):
+ * // { status: 201, data: { data: {...}, message: 'Building created successfully' } }
+ */
+const createBuilding = async (req, res) => {
+  try {
+    const buildingData = req.body;
+
+    // ─────────────────────────────────────────
+    // VALIDATE REQUIRED FIELDS
+    // ─────────────────────────────────────────
+    if (!buildingData.id || !buildingData.name || !Array.isArray(buildingData.floors)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Missing required fields: id, name, floors",
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────
+    // CHECK FOR DUPLICATE BUILDING ID
+    // ─────────────────────────────────────────
+    const existingBuilding = await Building.findOne({ id: buildingData.id });
+    if (existingBuilding) {
+      return res.status(409).json({
+        status: 409,
+        data: {
+          data: null,
+          message: `Building with ID '${buildingData.id}' already exists`,
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────
+    // VALIDATE FLOORS & CONNECTORS
+    // ─────────────────────────────────────────
+    const validation = await validateBuildingData(buildingData);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Validation failed: " + validation.errors.join("; "),
+        },
+      });
+    }
+
+    const newBuilding = new Building(buildingData);
+    await newBuilding.save();
+
+    return res.status(201).json({
+      status: 201,
+      data: {
+        data: newBuilding,
+        message: "Building created successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message,
+      },
+    });
+  }
+};
+
+export default createBuilding;
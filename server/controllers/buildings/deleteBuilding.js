@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Delete Building Controller
+ * @description Deletes a building definition. The floors themselves are kept
+ *              and fall back to single-floor routing on the next cycle.
+ * 
+ * @route DELETE /api/buildings/:id
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires Building - MongoDB model for building data
+ * 
+ * @module controllers/buildings/deleteBuilding
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import Building from "../../models/Building.js";
+
+/**
+ * Deletes a building from the database.
+ * 
+ * @async
+ * @function deleteBuilding
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.id - Building ID to delete
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with deleted building or error
+ * 
+ * @example
+ * // Request: DELETE /api/buildings/building_a
+ * // Response (200):
+ * // { status: 200, data: { data: {...}, message: 'Building deleted successfully' } }
+ */
+const deleteBuilding = async (req, res) => {
+  try {
+    const buildingId = req.params.id;
+    const deletedBuilding = await Building.findOneAndDelete({ id: buildingId });
+
+    if (!deletedBuilding) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Building with ID '${buildingId}' not found`,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: deletedBuilding,
+        message: "Building deleted successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while deleting building",
+      },
+    });
+  }
+};
+
+export default deleteBuilding;
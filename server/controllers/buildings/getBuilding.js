@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Get Single Building Controller
+ * @description Retrieves a specific building by its unique ID, including
+ *              its floor levels and stairwell/elevator connectors.
+ * 
+ * @route GET /api/buildings/:id
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires Building - MongoDB model for building data
+ * 
+ * @module controllers/buildings/getBuilding
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import Building from "../../models/Building.js";
+
+/**
+ * Retrieves a single building by ID.
+ * 
+ * @async
+ * @function getBuilding
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.id - Building ID to retrieve
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with building data or error
+ * 
+ * @example
+ * // Request: GET /api/buildings/building_a
+ * // Response (200):
+ * // { status: 200, data: { data: {...}, message: 'Building retrieved successfully' } }
+ */
+const getBuilding = async (req, res) => {
+  try {
+    const buildingId = req.params.id;
+    const building = await Building.findOne({ id: buildingId });
+
+    if (!building) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Building with ID '${buildingId}' not found`,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: building,
+        message: "Building retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving building",
+      },
+    });
+  }
+};
+
+export default getBuilding;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Get All Buildings Controller
+ * @description Retrieves all multi-floor buildings from the database.
+ *              Returns array of buildings with count metadata.
+ * 
+ * @route GET /api/buildings
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires Building - MongoDB model for building data
+ * 
+ * @module controllers/buildings/getBuildings
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import Building from "../../models/Building.js";
+
+/**
+ * Retrieves all buildings from the database.
+ * 
+ * @async
+ * @function getBuildings
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with buildings array or error
+ * 
+ * @example
+ * // Request: GET /api/buildings
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: [{ id: 'building_a', floors: [...], connectors: [...] }],
+ * //     buildingsCount: 1,
+ * //     message: 'Buildings retrieved successfully'
+ * //   }
+ * // }
+ */
+const getBuildings = async (req, res) => {
+  try {
+    const buildings = await Building.find();
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: buildings,
+        buildingsCount: buildings.length,
+        message: "Buildings retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving buildings",
+      },
+    });
+  }
+};
+
+export default getBuildings;
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Update Building Controller
+ * @description Handles partial updates to a building's floors, ground level
+ *              and stairwell/elevator connectors.
+ * 
+ * @route PATCH /api/buildings/:id
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires Building - MongoDB model for building data
+ * @requires validateBuildingData - Floor/connector reference validator
+ * 
+ * @module controllers/buildings/updateBuilding
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import Building from "../../models/Building.js";
+import { validateBuildingData } from "../../utils/validators/buildingValidator.js";
+
+/**
+ * Updates an existing building with provided data.
+ * 
+ * @async
+ * @function updateBuilding
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.id - Building ID to update
+ * @param {Object} req.body - Update data (all fields optional)
+ * @param {string} [req.body.name] - Updated building name
+ * @param {number} [req.body.groundLevel] - Updated ground level
+ * @param {Array} [req.body.floors] - Replacement floor list
+ * @param {Array} [req.body.connectors] - Replacement connector list
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with updated building or error
+ * 
+ * @description
+ * The merged result (existing + updates) is validated as a whole, so e.g.
+ * removing a floor that a connector still references is rejected.
+ * 
+ * @example
+ * // Request: PATCH /api/buildings/building_a
+ * // { connectors: [{ id: 'STAIR_B_1_2', ..., status: 'closed' }] }
+ * 
+ * // Response (200):
+ * // { status: 200, data: { data: {...}, message: 'Building updated successfully' } }
+ */
+const updateBuilding = async (req, res) => {
+  try {
+    const buildingId = req.params.id;
+    const { name, groundLevel, floors, connectors } = req.body;
+
+    // ─────────────────────────────────────────────
+    // VERIFY BUILDING EXISTS
+    // ─────────────────────────────────────────────
+    const existingBuilding = await Building.findOne({ id: buildingId });
+    if (!existingBuilding) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Building with ID '${buildingId}' not found`,
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────────
+    // VALIDATE MERGED BUILDING
+    // ─────────────────────────────────────────────
+    const dataToValidate = {
+      groundLevel: groundLevel ?? existingBuilding.groundLevel,
+      floors: floors || existingBuilding.floors.map(f => f.toObject()),
+      connectors: connectors || existingBuilding.connectors.map(c => c.toObject())
+    };
+
+    const validation = await validateBuildingData(dataToValidate, buildingId);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Validation failed: " + validation.errors.join("; "),
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────────
+    // APPLY UPDATES & SAVE
+    // ─────────────────────────────────────────────
+    if (name !== undefined) existingBuilding.name = name;
+    existingBuilding.groundLevel = dataToValidate.groundLevel;
+    existingBuilding.floors = dataToValidate.floors;
+    existingBuilding.connectors = dataToValidate.connectors;
+    await existingBuilding.save();
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: existingBuilding,
+        message: "Building updated successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message,
+      },
+    });
+  }
+};
+
+export default updateBuilding;
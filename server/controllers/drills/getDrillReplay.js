@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Get Drill Replay Controller
+ * @description Retrieves one evacuation drill with its scripted timeline and
+ *              every route update it produced, as replay frames showing how
+ *              the routes changed while the drill ran.
+ * 
+ * @route GET /api/drills/:id
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires DrillRun - MongoDB model for evacuation drills
+ * @requires Route - MongoDB model for computed evacuation routes
+ * @requires drillMode - Replay frame construction
+ * 
+ * @module controllers/drills/getDrillReplay
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+import DrillRun from "../../models/DrillRun.js";
+import Route from "../../models/Route.js";
+import { buildReplay } from "../../utils/drillMode.js";
+
+/**
+ * Retrieves a drill and its replay frames.
+ * 
+ * @async
+ * @function getDrillReplay
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.id - DrillRun ID
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with { run, frames } or error
+ * 
+ * @description
+ * Frames are in computedAt order across all floors of the drill (cycle,
+ * urgent and override updates alike). See drillMode.buildReplay for the
+ * frame format.
+ * 
+ * @example
+ * // Request: GET /api/drills/66b1f0c2e4a1c2d3e4f5a6b7
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: {
+ * //       run: { name: 'Kitchen fire', timeline: [...], startedAt: '...', endedAt: '...' },
+ * //       frames: [{ floorId: 'floor_1', elapsedSec: 95, updateType: 'urgent',
+ * //                  changes: [{ startNode: 'S1', type: 'destination', from: 'EXIT_N', to: 'EXIT_S' }], ... }]
+ * //     },
+ * //     framesCount: 12,
+ * //     message: 'Drill replay retrieved successfully'
+ * //   }
+ * // }
+ */
+const getDrillReplay = async (req, res) => {
+  try {
+    const drillId = req.params.id;
+
+    if (!mongoose.isValidObjectId(drillId)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: `Invalid drill ID '${drillId}'`,
+        },
+      });
+    }
+
+    const run = await DrillRun.findById(drillId).lean();
+    if (!run) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Drill with ID '${drillId}' not found`,
+        },
+      });
+    }
+
+    const routeDocs = await Route.find({ drillRun: run._id }).sort({ computedAt: 1 }).lean();
+    const frames = buildReplay(run, routeDocs);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: { run, frames },
+        framesCount: frames.length,
+        message: "Drill replay retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving drill replay",
+      },
+    });
+  }
+};
+
+export default getDrillReplay;
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Get All Drills Controller
+ * @description Retrieves the history of evacuation drills, newest first.
+ *              Timelines are summarised (scripted edges per floor) to keep
+ *              the list light; the replay endpoint returns them in full.
+ * 
+ * @route GET /api/drills
+ * @access Admin (requires x-admin-auth header)
+ * 
+ * @requires DrillRun - MongoDB model for evacuation drills
+ * @requires Route - MongoDB model for computed evacuation routes
+ * 
+ * @module controllers/drills/getDrills
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import DrillRun from "../../models/DrillRun.js";
+import Route from "../../models/Route.js";
+
+/**
+ * Retrieves all drills with the number of route updates each produced.
+ * 
+ * @async
+ * @function getDrills
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with drills array or error
+ * 
+ * @example
+ * // Request: GET /api/drills
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: [{ _id: '...', name: 'Kitchen fire', status: 'completed',
+ * //              floors: ['floor_1'], scriptedEdges: 3, routeUpdates: 42, ... }],
+ * //     drillsCount: 1,
+ * //     message: 'Drills retrieved successfully'
+ * //   }
+ * // }
+ */
+const getDrills = async (req, res) => {
+  try {
+    const runs = await DrillRun.find().sort({ startedAt: -1 }).lean();
+
+    // Route updates per drill, in one query
+    const counts = await Route.aggregate([
+      { $match: { drillRun: { $in: runs.map(r => r._id) } } },
+      { $group: { _id: "$drillRun", count: { $sum: 1 } } }
+    ]);
+    const countByRun = new Map(counts.map(c => [String(c._id), c.count]));
+
+    const drills = runs.map(({ timeline, ...run }) => ({
+      ...run,
+      floors: [...new Set(timeline.map(t => t.floorId))],
+      scriptedEdges: timeline.length,
+      routeUpdates: countByRun.get(String(run._id)) || 0
+    }));
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: drills,
+        drillsCount: drills.length,
+        message: "Drills retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving drills",
+      },
+    });
+  }
+};
+
+export default getDrills;
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Bundle Controller - Floor Export and Import
+ * @description Exports a floor as a self-contained bundle (floor JSON, map
+ *              image, camera/screen configuration) and imports such a
+ *              bundle on another server, with ID conflict handling and a
+ *              dry-run mode.
+ *
+ * @route Various endpoints under /api/floors
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires FloorMap - MongoDB model for floor data
+ * @requires FloorVersion - Floor version history
+ * @requires floorBundle - Bundle build/parse helpers
+ * @requires floorVersions - Snapshots, diff and version recording
+ * @requires floorValidator - IDs used by other floors
+ *
+ * @module controllers/floors/bundleController
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports exportFloor - Download a floor bundle
+ * @exports importFloorBundle - Create or replace a floor from a bundle
+ *
+ * @description
+ * Import conflict handling:
+ * ┌──────────────────────┬──────────────────────────────────────────────┐
+ * │ onExisting=fail      │ 409 if the target floor ID exists (default)  │
+ * │ onExisting=replace   │ Existing floor takes the bundle's config;    │
+ * │                      │ live state of kept elements is preserved     │
+ * │ onIdConflict=fail    │ 400 if node/edge/camera/screen IDs are used  │
+ * │                      │ by other floors (default)                    │
+ * │ onIdConflict=rename  │ Such IDs become '<targetId>_<id>'            │
+ * └──────────────────────┴──────────────────────────────────────────────┘
+ * With dryRun=true nothing is saved; the response reports what the import
+ * would do (action, renamed IDs, validation errors, diff against the
+ * floor it would replace).
+ */
+
+import FloorMap from "../../models/FloorMap.js";
+import FloorVersion from "../../models/FloorVersion.js";
+import {
+  buildFloorBundle,
+  parseFloorBundle,
+  renameConflictingIds,
+  saveBundleImage
+} from "../../utils/floorBundle.js";
+import {
+  floorSnapshot,
+  diffSnapshots,
+  applySnapshot,
+  validateSnapshot,
+  recordFloorVersion,
+  ensureBaselineVersion
+} from "../../utils/floorVersions.js";
+import { collectFloorIds } from "../../utils/validators/floorValidator.js";
+import { getSaveWarnings } from "../../utils/floorAnalysis.js";
+import { uploadFloorImageToCloud } from "../../utils/storage/uploadCloudImage.js";
+import { AppError } from "../../utils/AppError.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} ON_EXISTING - What to do when the target floor exists */
+const ON_EXISTING = ['fail', 'replace'];
+
+/** @const {string[]} ON_ID_CONFLICT - What to do with IDs used by other floors */
+const ON_ID_CONFLICT = ['fail', 'rename'];
+
+/* ============================================================
+ * EXPORT
+ * ============================================================ */
+
+/**
+ * Downloads a floor as a bundle file.
+ *
+ * @async
+ * @function exportFloor
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor to export
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} Bundle JSON (attachment '<floorId>.floor.json')
+ *
+ * @example
+ * // Request: GET /api/floors/floor_1/export
+ * // Response (200): { format: 'evac-floor-bundle', bundleVersion: 1, floor: {...}, mapImage: {...} }
+ */
+export const exportFloor = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Floor with ID '${floorId}' not found`,
+        },
+      });
+    }
+
+    const latest = await FloorVersion.findOne({ floorId }).sort({ version: -1 }).select('version').lean();
+    const bundle = await buildFloorBundle(floor, latest?.version ?? null);
+
+    // The bundle itself is the response body, so it can be saved as a file
+    res.setHeader('Content-Disposition', `attachment; filename="${floorId}.floor.json"`);
+    return res.status(200).json(bundle);
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while exporting floor",
+      },
+    });
+  }
+};
+
+/* ============================================================
+ * IMPORT
+ * ============================================================ */
+
+/**
+ * Creates or replaces a floor from a bundle.
+ *
+ * @async
+ * @function importFloorBundle
+ * @param {import('express').Request} req - Express request object
+ * @param {Express.Multer.File} req.file - Bundle file (.json, in memory)
+ * @param {string} [req.body.targetId] - Floor ID to import as (default: the bundle's)
+ * @param {string} [req.body.onExisting='fail'] - 'fail' or 'replace'
+ * @param {string} [req.body.onIdConflict='fail'] - 'fail' or 'rename'
+ * @param {string} [req.body.dryRun] - 'true' to only report what would happen
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} Import report (dry run), or the floor and its new version
+ *
+ * @description
+ * Workflow:
+ * 1. Parse and check the bundle
+ * 2. Resolve the target floor and rename conflicting IDs if asked
+ * 3. Validate with validateFloorData (the replaced floor's own IDs are allowed)
+ * 4. Dry run: return the report
+ * 5. Save the map image (local copy + Cloudinary upload)
+ * 6. Create the floor, or apply the bundle to the existing one
+ * 7. Record an 'import' version
+ *
+ * @example
+ * // Request (multipart/form-data): POST /api/floors/import/bundle
+ * // - bundle: <floor_1.floor.json>
+ * // - onIdConflict: 'rename'
+ * // - dryRun: 'true'
+ *
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: { dryRun: true, action: 'create', floorId: 'floor_1', valid: true,
+ * //             errors: [], renamed: { nodes: { N1: 'floor_1_N1' }, ... }, diff: null, ... },
+ * //     message: 'Dry run: floor_1 would be created'
+ * //   }
+ * // }
+ */
+export const importFloorBundle = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Missing required field: bundle (.json file)",
+        },
+      });
+    }
+
+    const bundle = parseFloorBundle(req.file.buffer);
+    const targetId = (req.body.targetId || bundle.floor.id).trim();
+    const onExisting = req.body.onExisting || 'fail';
+    const onIdConflict = req.body.onIdConflict || 'fail';
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!ON_EXISTING.includes(onExisting) || !ON_ID_CONFLICT.includes(onIdConflict)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: `onExisting must be one of: ${ON_EXISTING.join(', ')}; onIdConflict must be one of: ${ON_ID_CONFLICT.join(', ')}`,
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────
+    // RESOLVE TARGET AND ID CONFLICTS
+    // ─────────────────────────────────────────
+    const existingFloor = await FloorMap.findOne({ id: targetId });
+    const excludeFloorId = existingFloor && onExisting === 'replace' ? targetId : null;
+
+    let snapshot = bundle.floor;
+    let renamed = null;
+    if (onIdConflict === 'rename') {
+      const takenIds = await collectFloorIds(excludeFloorId);
+      ({ snapshot, renamed } = renameConflictingIds(bundle.floor, takenIds, `${targetId}_`));
+    }
+
+    // ─────────────────────────────────────────
+    // VALIDATE
+    // ─────────────────────────────────────────
+    const validation = await validateSnapshot(snapshot, excludeFloorId);
+
+    const floorExists = !!existingFloor && onExisting === 'fail';
+    const report = {
+      dryRun,
+      action: existingFloor ? 'replace' : 'create',
+      floorId: targetId,
+      source: bundle.source || null,
+      valid: validation.valid && !floorExists,
+      errors: floorExists
+        ? [`Floor with ID '${targetId}' already exists`, ...validation.errors]
+        : validation.errors,
+      renamed,
+      diff: existingFloor ? diffSnapshots(floorSnapshot(existingFloor), snapshot) : null,
+      hasMapImage: !!bundle.mapImage
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        status: 200,
+        data: {
+          data: report,
+          message: report.valid
+            ? `Dry run: ${targetId} would be ${existingFloor ? 'replaced' : 'created'}`
+            : `Dry run: import of ${targetId} would fail`,
+        },
+      });
+    }
+
+    if (floorExists) {
+      return res.status(409).json({
+        status: 409,
+        data: {
+          data: report,
+          message: `Floor with ID '${targetId}' already exists`,
+        },
+      });
+    }
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: report,
+          message: "Validation failed: " + validation.errors.join("; "),
+        },
+      });
+    }
+
+    // ─────────────────────────────────────────
+    // MAP IMAGE
+    // Kept locally and uploaded like a regular floor image;
+    // without one the bundle's cloud URL is used as is
+    // ─────────────────────────────────────────
+    if (bundle.mapImage) {
+      const localUrl = await saveBundleImage(bundle.mapImage, targetId);
+      const uploadResult = await uploadFloorImageToCloud(localUrl, targetId);
+      snapshot.mapImage = {
+        url: uploadResult?.url || null,
+        localUrl,
+        cloudinaryId: uploadResult?.cloudinaryId || null,
+        widthPixels: uploadResult?.width ?? snapshot.mapImage?.widthPixels ?? null,
+        heightPixels: uploadResult?.height ?? snapshot.mapImage?.heightPixels ?? null,
+        widthMeters: snapshot.mapImage?.widthMeters ?? null,
+        heightMeters: snapshot.mapImage?.heightMeters ?? null
+      };
+    }
+
+    // ─────────────────────────────────────────
+    // CREATE OR REPLACE
+    // ─────────────────────────────────────────
+    const author = req.admin?.id || 'admin';
+    let floor = existingFloor;
+    if (floor) {
+      await ensureBaselineVersion(floor);
+    } else {
+      floor = new FloorMap({ id: targetId });
+    }
+    applySnapshot(floor, snapshot);
+    await floor.save();
+
+    const sourceLabel = bundle.source?.floorId
+      ? `'${bundle.source.floorId}'${bundle.source.version ? ` v${bundle.source.version}` : ''}`
+      : 'bundle';
+    const version = await recordFloorVersion(floor, {
+      source: 'import',
+      author,
+      note: `Imported from ${sourceLabel}`
+    });
+
+    const status = existingFloor ? 200 : 201;
+    return res.status(status).json({
+      status,
+      data: {
+        data: { floor, version: version?.version ?? null, renamed },
+        message: `Floor ${existingFloor ? 'replaced' : 'created'} from bundle`,
+        warnings: getSaveWarnings(floor),
+      },
+    });
+  } catch (err) {
+    // Unreadable bundles are the admin's to fix (400)
+    const status = err instanceof AppError ? err.statusCode : 500;
+    return res.status(status).json({
+      status,
+      data: {
+        data: null,
+        message: err.message,
+      },
+    });
+  }
+};
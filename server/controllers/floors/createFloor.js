@@ -18,6 +18,10 @@
 import FloorMap from "../../models/FloorMap.js";
 import { uploadFloorImageToCloud } from "../../utils/storage/uploadCloudImage.js";
 import { validateFloorData } from "../../utils/validators/floorValidator.js";
+import { normalizeCoverage } from "../../utils/cameraCoverage.js";
+import { syncExits } from "../../utils/exitStatus.js";
+import { recordFloorVersion } from "../../utils/floorVersions.js";
+import { getSaveWarnings } from "../../utils/floorAnalysis.js";
 
 /**
  * Creates a new floor map in the database.
@@ -30,9 +34,15 @@ import { validateFloorData } from "../../utils/validators/floorValidator.js";
  * @param {string} req.body.name - Human-readable floor name
  * @param {Array} req.body.nodes - Graph nodes (JSON or string)
  * @param {Array} req.body.edges - Graph edges (JSON or string)
- * @param {Object} req.body.cameraToEdge - Camera-to-edge mapping
+ * @param {Object} req.body.cameraToEdge - Camera-to-edge mapping (primary edge per camera)
+ * @param {Object} [req.body.cameraCoverage] - cameraId -> [{ edgeId, weight }] for cameras
+ *        watching several edges
+ * @param {string} [req.body.cameraAggregation] - 'max', 'mean' or 'weighted'
  * @param {Array} req.body.startPoints - Screen locations (node IDs)
  * @param {Array} req.body.exitPoints - Exit node IDs
+ * @param {Object} [req.body.exitCapacities] - exitNodeId -> people the exit handles
+ * @param {Array} [req.body.stepFreeScreens] - Start points whose screen also shows a step-free route
+ *        (omitted exits use the sum of their corridors' peopleThreshold)
  * @param {number} [req.body.widthMeters] - Real-world width for scale
  * @param {number} [req.body.heightMeters] - Real-world height for scale
  * @param {Express.Multer.File} req.file - Uploaded floor plan image
@@ -47,6 +57,9 @@ import { validateFloorData } from "../../utils/validators/floorValidator.js";
  * 4. Validate uniqueness across all floors (nodes, edges, cameras)
  * 5. Upload floor plan image to Cloudinary
  * 6. Create floor document with all data
+ * 7. Record it as version 1 of the floor
+ * 8. Report critical graph issues (utils/floorAnalysis.js) as warnings;
+ *    they do not block the save
  * 
  * @example
  * // Request (multipart/form-data):
@@ -76,12 +89,21 @@ const createFloor = async (req, res) => {
     if (typeof floorData.cameraToEdge === "string") {
       floorData.cameraToEdge = JSON.parse(floorData.cameraToEdge);
     }
+    if (typeof floorData.cameraCoverage === "string") {
+      floorData.cameraCoverage = JSON.parse(floorData.cameraCoverage);
+    }
     if (typeof floorData.startPoints === "string") {
       floorData.startPoints = JSON.parse(floorData.startPoints);
     }
     if (typeof floorData.exitPoints === "string") {
       floorData.exitPoints = JSON.parse(floorData.exitPoints);
     }
+    if (typeof floorData.exitCapacities === "string") {
+      floorData.exitCapacities = JSON.parse(floorData.exitCapacities);
+    }
+    if (typeof floorData.stepFreeScreens === "string") {
+      floorData.stepFreeScreens = JSON.parse(floorData.stepFreeScreens);
+    }
     
     // Parse real-world dimensions for scale calculation
     if (floorData.widthMeters) {
@@ -191,6 +213,7 @@ const createFloor = async (req, res) => {
       floorData.cameras = Object.entries(floorData.cameraToEdge).map(([cameraId, edgeId]) => ({
         id: cameraId,
         edgeId: edgeId,
+        coverage: normalizeCoverage(edgeId, floorData.cameraCoverage?.[cameraId]),
         status: 'active',
         failureCount: 0,
         lastFailure: null,
@@ -202,6 +225,7 @@ const createFloor = async (req, res) => {
     } else {
       floorData.cameras = [];
     }
+    delete floorData.cameraCoverage;
     
     // Generate screens array from startPoints
     // startPoints are node IDs where screens are located
@@ -213,21 +237,29 @@ const createFloor = async (req, res) => {
           id: `SCREEN_${index + 1}`,
           nodeId: nodeId,
           name: node?.label ? `${node.label} Display` : `Screen ${index + 1}`,
+          stepFree: (floorData.stepFreeScreens || []).includes(nodeId),
           status: 'active'
         };
       });
     } else {
       floorData.screens = [];
     }
+    delete floorData.stepFreeScreens;
+
+    // Generate exits array (capacity + live status) from exitPoints
+    floorData.exits = syncExits(floorData.exitPoints, [], floorData.exitCapacities);
+    delete floorData.exitCapacities;
     
     const newFloor = new FloorMap(floorData);
     await newFloor.save();
+    await recordFloorVersion(newFloor, { source: 'create', author: req.admin?.id || 'admin' });
 
     return res.status(201).json({
       status: 201,
       data: {
         data: newFloor,
         message: "Floor created successfully",
+        warnings: getSaveWarnings(newFloor),
       },
     });
   } catch (err) {
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Floor Analysis Controller
+ * @description Reports whether a floor can actually be evacuated: unreachable
+ *              nodes, single-corridor chokepoints, uncovered edges, dead-end
+ *              corridors and the worst-case travel distance.
+ *
+ * @route GET /api/floors/:floorId/analysis
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires FloorMap - MongoDB model for floor data
+ * @requires floorAnalysis - Graph integrity report
+ *
+ * @module controllers/floors/getFloorAnalysis
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import FloorMap from "../../models/FloorMap.js";
+import { analyzeFloor } from "../../utils/floorAnalysis.js";
+
+/**
+ * Returns the integrity report of a floor.
+ *
+ * @async
+ * @function getFloorAnalysis
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor to analyse
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the report or error
+ *
+ * @example
+ * // Request: GET /api/floors/floor_1/analysis
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: { unit: 'm', summary: { critical: 0, warning: 2, ... }, issues: [...], ... },
+ * //     message: 'Floor analysis: 0 critical, 2 warnings'
+ * //   }
+ * // }
+ */
+const getFloorAnalysis = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: `Floor with ID '${floorId}' not found`,
+        },
+      });
+    }
+
+    const report = analyzeFloor(floor);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: report,
+        message: `Floor analysis: ${report.summary.critical} critical, ${report.summary.warning} warnings`,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while analysing floor",
+      },
+    });
+  }
+};
+
+export default getFloorAnalysis;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Import Floor Plan Controller
+ * @description Turns an uploaded DXF or SVG drawing into a floor proposal:
+ *              plan image, real-world size and a corridor graph derived
+ *              from the hallway polygons. The proposal is NOT saved - the
+ *              admin reviews it in the floor editor and creates the floor
+ *              through POST /api/floors.
+ *
+ * @route POST /api/floors/import
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires importDrawing - Drawing -> floor proposal
+ *
+ * @module controllers/floors/importFloorPlan
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { importDrawing } from "../../utils/floorImport/importDrawing.js";
+import { AppError } from "../../utils/AppError.js";
+
+/**
+ * Builds a floor proposal from a CAD drawing.
+ *
+ * @async
+ * @function importFloorPlan
+ * @param {import('express').Request} req - Express request object
+ * @param {Express.Multer.File} req.file - Uploaded drawing (.dxf or .svg, in memory)
+ * @param {string} [req.body.floorId] - Floor ID the proposal is for; prefixes
+ *        node and edge IDs ('<floorId>_N1') so they stay unique across floors
+ * @param {string} [req.body.units] - Drawing units when the file has none
+ *        (mm, cm, m, in, ft)
+ * @param {string} [req.body.hallwayLayers] - Comma-separated hallway layers
+ *        (default: layers matching FLOOR_IMPORT_HALLWAY_PATTERN)
+ * @param {string} [req.body.exitLayers] - Comma-separated exit layers
+ *        (default: layers matching FLOOR_IMPORT_EXIT_PATTERN)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the proposal or error
+ *
+ * @example
+ * // Request (multipart/form-data):
+ * // - drawing: <plan.dxf>
+ * // - floorId: 'floor_2'
+ * // - units: 'mm'
+ *
+ * // Response (200):
+ * // {
+ * //   status: 200,
+ * //   data: {
+ * //     data: {
+ * //       source: { format: 'dxf', units: 'mm', layers: [...] },
+ * //       image: { svg: '<svg ...>', widthPixels: 2000, heightPixels: 1257 },
+ * //       widthMeters: 21.53, heightMeters: 13.53,
+ * //       nodes: [...], edges: [...], exitPoints: [...], warnings: [...]
+ * //     },
+ * //     message: 'Drawing imported: 4 nodes, 3 edges, 2 exits'
+ * //   }
+ * // }
+ */
+const importFloorPlan = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Missing required field: drawing (.dxf or .svg file)",
+        },
+      });
+    }
+
+    const { floorId, units, hallwayLayers, exitLayers } = req.body;
+
+    const proposal = importDrawing(req.file.buffer, {
+      filename: req.file.originalname,
+      units: units || undefined,
+      hallwayLayers,
+      exitLayers,
+      idPrefix: floorId ? `${floorId}_` : ""
+    });
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: proposal,
+        message: `Drawing imported: ${proposal.nodes.length} nodes, ${proposal.edges.length} edges, ${proposal.exitPoints.length} exits`,
+      },
+    });
+  } catch (err) {
+    // Unreadable drawings and bad options are the admin's to fix (400)
+    const status = err instanceof AppError ? err.statusCode : 500;
+    if (status === 500) console.error("Error importing floor plan:", err);
+    return res.status(status).json({
+      status,
+      data: {
+        data: null,
+        message: status === 500 ? "Server error while importing drawing" : err.message,
+      },
+    });
+  }
+};
+
+export default importFloorPlan;
@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Override Controller - Manual Edge Overrides
+ * @description Admin endpoints for incident commanders to close a corridor,
+ *              force its hazard level or mark an exit unavailable before
+ *              (or regardless of what) the cameras report.
+ *
+ * @route Various endpoints under /api/floors/:floorId
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires FloorMap - MongoDB model for floor data
+ * @requires EdgeOverrideLog - Override audit trail
+ * @requires edgeOverrides - Override constants and logging
+ * @requires periodicJob - Immediate re-route and broadcast
+ *
+ * @module controllers/floors/overrideController
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports getFloorOverrides - Active overrides and recent log of a floor
+ * @exports getEdgeOverride - Override of one edge
+ * @exports setEdgeOverride - Create or replace an edge override
+ * @exports clearEdgeOverride - Remove an edge override before it expires
+ *
+ * @description
+ * Every change is written to EdgeOverrideLog and re-routes the floor (the
+ * whole building for building floors) at once; the new routes are broadcast
+ * with updateType 'override'. A failed re-route is reported in the response
+ * but does not undo the override - the next capture cycle applies it anyway.
+ */
+
+import FloorMap from "../../models/FloorMap.js";
+import EdgeOverrideLog from "../../models/EdgeOverrideLog.js";
+import {
+  OVERRIDE_TYPES,
+  HAZARD_LEVELS,
+  OVERRIDE_DEFAULT_MINUTES,
+  OVERRIDE_MAX_HOURS,
+  isOverrideActive,
+  logOverride
+} from "../../utils/edgeOverrides.js";
+import { rerouteNow } from "../../utils/periodicJob.js";
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Resolves the expiry of a new override from the request body.
+ *
+ * @function resolveExpiry
+ * @param {Object} body - { expiresAt?, durationMinutes? }
+ * @param {Date} now - Reference time
+ * @returns {Object} { expiresAt } or { error } (validation message)
+ */
+const resolveExpiry = ({ expiresAt, durationMinutes }, now) => {
+  let expiry;
+
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime())) {
+      return { error: 'expiresAt must be a valid date' };
+    }
+  } else {
+    const minutes = durationMinutes !== undefined ? Number(durationMinutes) : OVERRIDE_DEFAULT_MINUTES;
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      return { error: 'durationMinutes must be a positive number' };
+    }
+    expiry = new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  if (expiry <= now) {
+    return { error: 'Override must expire in the future' };
+  }
+  if (expiry.getTime() - now.getTime() > OVERRIDE_MAX_HOURS * 60 * 60 * 1000) {
+    return { error: `Override may last at most ${OVERRIDE_MAX_HOURS} hours` };
+  }
+
+  return { expiresAt: expiry };
+};
+
+/**
+ * Re-routes after an override change, reporting failures instead of throwing.
+ *
+ * @async
+ * @function broadcastChange
+ * @param {string} floorId - Floor of the edge
+ * @param {Object} trigger - Stored with the routes (see rerouteNow)
+ * @returns {Promise<Object>} { floors: [...] } or { floors: [], error }
+ */
+const broadcastChange = async (floorId, trigger) => {
+  try {
+    return { floors: await rerouteNow(floorId, trigger) };
+  } catch (err) {
+    console.error(`🚧 Re-route after override on ${floorId} failed:`, err.message);
+    return { floors: [], error: err.message };
+  }
+};
+
+/* ============================================================
+ * READ
+ * ============================================================ */
+
+/**
+ * Lists a floor's edge overrides and its recent override log.
+ *
+ * @async
+ * @function getFloorOverrides
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {number} [req.query.limit=50] - Log entries to return (max 200)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with overrides and log
+ *
+ * @route GET /api/floors/:floorId/overrides
+ * @access Admin
+ *
+ * @note Overrides past expiresAt are listed with active: false until the
+ *       next capture cycle clears them
+ */
+export const getFloorOverrides = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: 'Floor not found'
+        }
+      });
+    }
+
+    const now = new Date();
+    const overrides = floor.edges
+      .filter(e => e.override?.type)
+      .map(e => ({
+        edgeId: e.id,
+        from: e.from,
+        to: e.to,
+        ...e.override.toObject(),
+        active: isOverrideActive(e.override, now)
+      }));
+
+    const log = await EdgeOverrideLog.find({ floorId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          overrides,
+          log
+        },
+        message: 'Overrides retrieved successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching overrides:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Returns the override of one edge (null if none).
+ *
+ * @async
+ * @function getEdgeOverride
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.edgeId - Edge ID
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the edge override
+ *
+ * @route GET /api/floors/:floorId/edges/:edgeId/override
+ * @access Admin
+ */
+export const getEdgeOverride = async (req, res) => {
+  try {
+    const { floorId, edgeId } = req.params;
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    const edge = floor?.edges.find(e => e.id === edgeId);
+    if (!edge) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: floor ? 'Edge not found' : 'Floor not found'
+        }
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          edgeId,
+          override: edge.override?.type ? edge.override : null,
+          active: isOverrideActive(edge.override)
+        },
+        message: 'Override retrieved successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching edge override:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/* ============================================================
+ * WRITE
+ * ============================================================ */
+
+/**
+ * Creates or replaces the override of an edge and re-routes immediately.
+ *
+ * @async
+ * @function setEdgeOverride
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.edgeId - Edge ID
+ * @param {string} req.body.type - 'closed' | 'hazard' | 'exit-unavailable'
+ * @param {string} [req.body.hazardLevel] - Required for 'hazard': safe|moderate|high|critical
+ * @param {string} req.body.reason - Why (shown to other admins and logged)
+ * @param {string} [req.body.expiresAt] - ISO date; or
+ * @param {number} [req.body.durationMinutes] - Minutes from now (default EDGE_OVERRIDE_DEFAULT_MINUTES)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the override and broadcast summary
+ *
+ * @route PUT /api/floors/:floorId/edges/:edgeId/override
+ * @access Admin
+ *
+ * @note 'exit-unavailable' needs an edge touching one of the floor's exitPoints;
+ *       those exits stop being route destinations
+ */
+export const setEdgeOverride = async (req, res) => {
+  try {
+    const { floorId, edgeId } = req.params;
+    const { type, hazardLevel, reason } = req.body;
+    const adminId = req.admin?.id || 'admin';
+    const now = new Date();
+
+    // ─────────────────────────────────────────────
+    // Validate request body
+    // ─────────────────────────────────────────────
+    if (!OVERRIDE_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: `Invalid type. Must be one of: ${OVERRIDE_TYPES.join(', ')}`
+        }
+      });
+    }
+
+    if (type === 'hazard' && !HAZARD_LEVELS.includes(hazardLevel)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: `Invalid hazardLevel. Must be one of: ${HAZARD_LEVELS.join(', ')}`
+        }
+      });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: 'A reason is required'
+        }
+      });
+    }
+
+    const expiry = resolveExpiry(req.body, now);
+    if (expiry.error) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: expiry.error
+        }
+      });
+    }
+
+    // ─────────────────────────────────────────────
+    // Find floor and edge
+    // ─────────────────────────────────────────────
+    const floor = await FloorMap.findOne({ id: floorId });
+    const edge = floor?.edges.find(e => e.id === edgeId);
+    if (!edge) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: floor ? 'Edge not found' : 'Floor not found'
+        }
+      });
+    }
+
+    const exitNodeIds = type === 'exit-unavailable'
+      ? [edge.from, edge.to].filter(id => floor.exitPoints?.includes(id))
+      : [];
+    if (type === 'exit-unavailable' && exitNodeIds.length === 0) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: `Edge ${edgeId} does not lead to an exit point`
+        }
+      });
+    }
+
+    const override = {
+      type,
+      hazardLevel: type === 'hazard' ? hazardLevel : undefined,
+      exitNodeIds,
+      reason: reason.trim(),
+      expiresAt: expiry.expiresAt,
+      createdBy: adminId,
+      createdAt: now
+    };
+
+    // Positional update: the capture cycle may be saving this floor concurrently
+    await FloorMap.updateOne(
+      { id: floorId, 'edges.id': edgeId },
+      { $set: { 'edges.$.override': override } },
+      { runValidators: true }
+    );
+    await logOverride(floorId, edgeId, 'set', override, adminId);
+
+    const label = type === 'hazard' ? `hazard=${hazardLevel}` : type;
+    console.log(`🚧 Override set on ${floor.name} edge ${edgeId}: ${label} until ${override.expiresAt.toISOString()} by ${adminId} (${override.reason})`);
+
+    // ─────────────────────────────────────────────
+    // Re-route and broadcast immediately
+    // ─────────────────────────────────────────────
+    const broadcast = await broadcastChange(floorId, {
+      source: 'override',
+      action: 'set',
+      floorId,
+      overrideType: type,
+      reason: override.reason,
+      by: adminId,
+      edges: [{ edgeId }]
+    });
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          edgeId,
+          override,
+          broadcast
+        },
+        message: 'Override set successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error setting edge override:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Removes the override of an edge and re-routes immediately.
+ *
+ * @async
+ * @function clearEdgeOverride
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.edgeId - Edge ID
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the removed override and broadcast summary
+ *
+ * @route DELETE /api/floors/:floorId/edges/:edgeId/override
+ * @access Admin
+ */
+export const clearEdgeOverride = async (req, res) => {
+  try {
+    const { floorId, edgeId } = req.params;
+    const adminId = req.admin?.id || 'admin';
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    const edge = floor?.edges.find(e => e.id === edgeId);
+    if (!edge) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: floor ? 'Edge not found' : 'Floor not found'
+        }
+      });
+    }
+
+    if (!edge.override?.type) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: 'Edge has no override'
+        }
+      });
+    }
+
+    const previous = edge.override.toObject();
+
+    await FloorMap.updateOne(
+      { id: floorId, 'edges.id': edgeId },
+      { $set: { 'edges.$.override': null } }
+    );
+    await logOverride(floorId, edgeId, 'cleared', previous, adminId);
+
+    console.log(`🚧 Override cleared on ${floor.name} edge ${edgeId} by ${adminId} (was ${previous.type})`);
+
+    const broadcast = await broadcastChange(floorId, {
+      source: 'override',
+      action: 'cleared',
+      floorId,
+      overrideType: previous.type,
+      reason: previous.reason,
+      by: adminId,
+      edges: [{ edgeId }]
+    });
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          edgeId,
+          previous,
+          broadcast
+        },
+        message: 'Override cleared successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error clearing edge override:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
@@ -7,6 +7,7 @@
  * @access Admin (requires x-admin-auth header)
  * 
  * @requires FloorMap - MongoDB model for floor data
+ * @requires cameraCoverage - Covered edges of a camera
  * 
  * @module controllers/floors/statusController
  * @author Marcelino Saad
@@ -22,6 +23,7 @@
  */
 
 import FloorMap from "../../models/FloorMap.js";
+import { getCameraCoverage } from "../../utils/cameraCoverage.js";
 
 /* ============================================================
  * STATUS CONSTANTS
@@ -239,6 +241,7 @@ export const updateCameraStatus = async (req, res) => {
         data: {
           id: camera.id,
           edgeId: camera.edgeId,
+          coverage: getCameraCoverage(camera),
           status: camera.status,
           previousStatus,
           failureCount: camera.failureCount,
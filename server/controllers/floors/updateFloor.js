@@ -18,6 +18,10 @@
 import FloorMap from "../../models/FloorMap.js";
 import { uploadFloorImageToCloud } from "../../utils/storage/uploadCloudImage.js";
 import { validateFloorData } from "../../utils/validators/floorValidator.js";
+import { normalizeCoverage } from "../../utils/cameraCoverage.js";
+import { syncExits } from "../../utils/exitStatus.js";
+import { recordFloorVersion, ensureBaselineVersion } from "../../utils/floorVersions.js";
+import { getSaveWarnings } from "../../utils/floorAnalysis.js";
 
 /**
  * Updates an existing floor map with provided data.
@@ -30,9 +34,13 @@ import { validateFloorData } from "../../utils/validators/floorValidator.js";
  * @param {string} [req.body.name] - Updated floor name
  * @param {Array} [req.body.nodes] - Updated graph nodes
  * @param {Array} [req.body.edges] - Updated graph edges
- * @param {Object} [req.body.cameraToEdge] - Updated camera mapping
+ * @param {Object} [req.body.cameraToEdge] - Updated camera mapping (primary edge per camera)
+ * @param {Object} [req.body.cameraCoverage] - Updated cameraId -> [{ edgeId, weight }] coverage
+ * @param {string} [req.body.cameraAggregation] - 'max', 'mean' or 'weighted'
  * @param {Array} [req.body.startPoints] - Updated screen locations
  * @param {Array} [req.body.exitPoints] - Updated exit nodes
+ * @param {Object} [req.body.exitCapacities] - exitNodeId -> capacity (null resets to derived)
+ * @param {Array} [req.body.stepFreeScreens] - Start points whose screen shows a step-free route (replaces the flags)
  * @param {Express.Multer.File} [req.file] - New floor plan image
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<Response>} JSON response with updated floor or error
@@ -44,6 +52,9 @@ import { validateFloorData } from "../../utils/validators/floorValidator.js";
  * 3. Validate uniqueness (excludes current floor from check)
  * 4. Upload new image if provided
  * 5. Merge updates with existing data using Object.assign
+ * 6. Record the new configuration as a floor version (the state before
+ *    the first versioned change is kept as a baseline)
+ * 7. Report critical graph issues (utils/floorAnalysis.js) as warnings
  * 
  * @note Supports partial updates - only provided fields are updated
  * 
@@ -73,12 +84,21 @@ const updateFloor = async (req, res) => {
     if (typeof updateData.cameraToEdge === "string") {
       updateData.cameraToEdge = JSON.parse(updateData.cameraToEdge);
     }
+    if (typeof updateData.cameraCoverage === "string") {
+      updateData.cameraCoverage = JSON.parse(updateData.cameraCoverage);
+    }
     if (typeof updateData.startPoints === "string") {
       updateData.startPoints = JSON.parse(updateData.startPoints);
     }
     if (typeof updateData.exitPoints === "string") {
       updateData.exitPoints = JSON.parse(updateData.exitPoints);
     }
+    if (typeof updateData.exitCapacities === "string") {
+      updateData.exitCapacities = JSON.parse(updateData.exitCapacities);
+    }
+    if (typeof updateData.stepFreeScreens === "string") {
+      updateData.stepFreeScreens = JSON.parse(updateData.stepFreeScreens);
+    }
 
     // ─────────────────────────────────────────────
     // VERIFY FLOOR EXISTS
@@ -94,18 +114,29 @@ const updateFloor = async (req, res) => {
       });
     }
 
+    // Stored mapping is a Mongoose Map; work with a plain object
+    const cameraToEdge = updateData.cameraToEdge || Object.fromEntries(existingFloor.cameraToEdge || []);
+
     // ─────────────────────────────────────────────
     // VALIDATE CROSS-FLOOR UNIQUENESS
     // Excludes current floor from duplicate check
     // ─────────────────────────────────────────────
-    if (updateData.nodes || updateData.edges || updateData.cameraToEdge || updateData.startPoints || updateData.exitPoints) {
+    if (updateData.nodes || updateData.edges || updateData.cameraToEdge || updateData.cameraCoverage ||
+        updateData.cameraAggregation !== undefined || updateData.startPoints || updateData.exitPoints ||
+        updateData.exitCapacities || updateData.stepFreeScreens) {
       // Merge updated fields with existing data for validation
       const dataToValidate = {
         nodes: updateData.nodes || existingFloor.nodes,
         edges: updateData.edges || existingFloor.edges,
-        cameraToEdge: updateData.cameraToEdge || existingFloor.cameraToEdge,
+        cameraToEdge,
+        cameraCoverage: updateData.cameraCoverage,
+        cameraAggregation: updateData.cameraAggregation,
         startPoints: updateData.startPoints || existingFloor.startPoints,
-        exitPoints: updateData.exitPoints || existingFloor.exitPoints
+        // Screens are edited separately; checked so new edges cannot cut them off
+        screens: existingFloor.screens,
+        exitPoints: updateData.exitPoints || existingFloor.exitPoints,
+        exitCapacities: updateData.exitCapacities,
+        stepFreeScreens: updateData.stepFreeScreens
       };
       
       // Pass floorId to exclude from uniqueness check
@@ -121,6 +152,20 @@ const updateFloor = async (req, res) => {
       }
     }
 
+    // ─────────────────────────────────────────────
+    // KEEP MANUAL OVERRIDES
+    // Editing the graph must not silently reopen a
+    // closed corridor; overrides are managed through
+    // /edges/:edgeId/override only
+    // ─────────────────────────────────────────────
+    if (Array.isArray(updateData.edges)) {
+      const existingOverrides = new Map(existingFloor.edges.map(e => [e.id, e.override]));
+      updateData.edges = updateData.edges.map(edge => ({
+        ...edge,
+        override: existingOverrides.get(edge.id) || null
+      }));
+    }
+
     // ─────────────────────────────────────────────
     // UPLOAD NEW IMAGE (if provided)
     // ─────────────────────────────────────────────
@@ -149,9 +194,12 @@ const updateFloor = async (req, res) => {
 
     // ─────────────────────────────────────────────
     // SYNC CAMERAS ARRAY FROM cameraToEdge
-    // Keep cameras array in sync with cameraToEdge mapping
+    // Keep cameras array in sync with cameraToEdge mapping;
+    // coverage is replaced when sent, kept while the
+    // primary edge is unchanged, otherwise reset to it
     // ─────────────────────────────────────────────
-    const cameraToEdge = updateData.cameraToEdge || existingFloor.cameraToEdge;
+    const cameraCoverage = updateData.cameraCoverage || {};
+    delete updateData.cameraCoverage;
     if (cameraToEdge && Object.keys(cameraToEdge).length > 0) {
       // Get existing cameras to preserve their status/metadata
       const existingCameras = existingFloor.cameras || [];
@@ -165,15 +213,18 @@ const updateFloor = async (req, res) => {
         // Preserve existing camera metadata if camera already exists
         const existing = existingCameraMap[cameraId];
         if (existing) {
+          const keptCoverage = existing.edgeId === edgeId ? existing.coverage : [];
           return {
             ...existing.toObject ? existing.toObject() : existing,
-            edgeId: edgeId // Update edge mapping
+            edgeId: edgeId, // Update edge mapping
+            coverage: normalizeCoverage(edgeId, cameraCoverage[cameraId] || keptCoverage)
           };
         }
         // New camera - create with defaults
         return {
           id: cameraId,
           edgeId: edgeId,
+          coverage: normalizeCoverage(edgeId, cameraCoverage[cameraId]),
           status: 'active',
           failureCount: 0,
           lastFailure: null,
@@ -215,20 +266,45 @@ const updateFloor = async (req, res) => {
           status: 'active'
         };
       });
+
+      // Step-free flags are replaced when sent, kept otherwise
+      if (Array.isArray(updateData.stepFreeScreens)) {
+        updateData.screens.forEach(screen => {
+          screen.stepFree = updateData.stepFreeScreens.includes(screen.nodeId);
+        });
+      }
+    }
+    delete updateData.stepFreeScreens;
+
+    // ─────────────────────────────────────────────
+    // SYNC EXITS ARRAY FROM exitPoints
+    // Existing exits keep their capacity and live
+    // status; capacities are replaced when sent
+    // ─────────────────────────────────────────────
+    if (updateData.exitPoints || updateData.exitCapacities) {
+      updateData.exits = syncExits(
+        updateData.exitPoints || existingFloor.exitPoints,
+        existingFloor.exits,
+        updateData.exitCapacities
+      );
     }
+    delete updateData.exitCapacities;
 
     // ─────────────────────────────────────────────
     // APPLY UPDATES & SAVE
     // Object.assign merges updateData into existing
     // ─────────────────────────────────────────────
+    await ensureBaselineVersion(existingFloor);
     Object.assign(existingFloor, updateData);
     await existingFloor.save();
+    await recordFloorVersion(existingFloor, { source: 'update', author: req.admin?.id || 'admin' });
 
     return res.status(200).json({
       status: 200,
       data: {
         data: existingFloor,
         message: "Floor updated successfully",
+        warnings: getSaveWarnings(existingFloor),
       },
     });
   } catch (err) {
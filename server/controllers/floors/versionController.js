@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Version Controller - Floor Version History
+ * @description Lists, compares and restores the saved versions of a
+ *              floor's configuration (see utils/floorVersions.js).
+ *
+ * @route Various endpoints under /api/floors/:floorId/versions
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires FloorMap - MongoDB model for floor data
+ * @requires FloorVersion - Floor version history
+ * @requires floorVersions - Snapshots, diff and restore
+ *
+ * @module controllers/floors/versionController
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports getFloorVersions - Version list of a floor (without snapshots)
+ * @exports getFloorVersion - One version with its snapshot
+ * @exports diffFloorVersion - Changes between a version and another version or the live floor
+ * @exports restoreFloorVersion - Roll a floor back to a version
+ */
+
+import FloorMap from "../../models/FloorMap.js";
+import FloorVersion from "../../models/FloorVersion.js";
+import {
+  floorSnapshot,
+  diffSnapshots,
+  applySnapshot,
+  validateSnapshot,
+  recordFloorVersion,
+  ensureBaselineVersion
+} from "../../utils/floorVersions.js";
+import { getSaveWarnings } from "../../utils/floorAnalysis.js";
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Sends a 404 for a missing floor or version.
+ */
+const notFound = (res, message) => res.status(404).json({
+  status: 404,
+  data: {
+    data: null,
+    message,
+  },
+});
+
+/**
+ * Loads a version of a floor.
+ *
+ * @async
+ * @param {string} floorId - Floor ID
+ * @param {string|number} version - Version number
+ * @returns {Promise<Object|null>} FloorVersion (lean), or null
+ */
+const findVersion = (floorId, version) => {
+  const number = parseInt(version, 10);
+  return Number.isInteger(number)
+    ? FloorVersion.findOne({ floorId, version: number }).lean()
+    : null;
+};
+
+/* ============================================================
+ * CONTROLLERS
+ * ============================================================ */
+
+/**
+ * Lists the versions of a floor, newest first.
+ *
+ * @async
+ * @function getFloorVersions
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {number} [req.query.limit=50] - Versions to return (max 200)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} { floorId, versions: [{ version, source, author, note, summary, createdAt }] }
+ */
+export const getFloorVersions = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    if (!(await FloorMap.exists({ id: floorId }))) {
+      return notFound(res, `Floor with ID '${floorId}' not found`);
+    }
+
+    const versions = await FloorVersion.find({ floorId })
+      .sort({ version: -1 })
+      .limit(limit)
+      .select('-snapshot')
+      .lean();
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: { floorId, versions },
+        message: "Floor versions retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving floor versions",
+      },
+    });
+  }
+};
+
+/**
+ * Gets one version of a floor, with its snapshot.
+ *
+ * @async
+ * @function getFloorVersion
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.version - Version number
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} FloorVersion
+ */
+export const getFloorVersion = async (req, res) => {
+  try {
+    const { floorId, version } = req.params;
+
+    const floorVersion = await findVersion(floorId, version);
+    if (!floorVersion) {
+      return notFound(res, `Version ${version} of floor '${floorId}' not found`);
+    }
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: floorVersion,
+        message: "Floor version retrieved successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while retrieving floor version",
+      },
+    });
+  }
+};
+
+/**
+ * Compares a version with a base: the previous version (default), another
+ * version, or the live floor ('current' - what restoring would undo).
+ *
+ * @async
+ * @function diffFloorVersion
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.version - Version number
+ * @param {string} [req.query.base] - Version number or 'current' (default: version - 1)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} { floorId, version, base, diff } - diff from base to version
+ *
+ * @example
+ * // Request: GET /api/floors/floor_1/versions/5/diff
+ * // Response (200):
+ * // { status: 200, data: { data: { version: 5, base: 4, diff: { edges: { removed: [...] }, ... } } } }
+ */
+export const diffFloorVersion = async (req, res) => {
+  try {
+    const { floorId, version } = req.params;
+
+    const floorVersion = await findVersion(floorId, version);
+    if (!floorVersion) {
+      return notFound(res, `Version ${version} of floor '${floorId}' not found`);
+    }
+
+    // ─────────────────────────────────────────
+    // RESOLVE BASE
+    // ─────────────────────────────────────────
+    const base = req.query.base ?? String(floorVersion.version - 1);
+    let baseSnapshot = null;
+
+    if (base === 'current') {
+      const floor = await FloorMap.findOne({ id: floorId });
+      if (!floor) {
+        return notFound(res, `Floor with ID '${floorId}' not found`);
+      }
+      baseSnapshot = floorSnapshot(floor);
+    } else if (base !== '0') {
+      const baseVersion = await findVersion(floorId, base);
+      if (!baseVersion) {
+        return notFound(res, `Version ${base} of floor '${floorId}' not found`);
+      }
+      baseSnapshot = baseVersion.snapshot;
+    }
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          version: floorVersion.version,
+          base: base === 'current' ? 'current' : parseInt(base, 10),
+          diff: diffSnapshots(baseSnapshot, floorVersion.snapshot)
+        },
+        message: "Floor version diff computed successfully",
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: "Server error while comparing floor versions",
+      },
+    });
+  }
+};
+
+/**
+ * Restores a floor to a saved version. The restore is itself saved as a
+ * new 'rollback' version, so it can be undone the same way.
+ *
+ * @async
+ * @function restoreFloorVersion
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string} req.params.version - Version to restore
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} { floor, version } - version is null if nothing changed
+ *
+ * @description
+ * The snapshot is validated again (other floors may have taken its IDs
+ * since). Live state of elements that still exist is kept.
+ */
+export const restoreFloorVersion = async (req, res) => {
+  try {
+    const { floorId, version } = req.params;
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return notFound(res, `Floor with ID '${floorId}' not found`);
+    }
+    const floorVersion = await findVersion(floorId, version);
+    if (!floorVersion) {
+      return notFound(res, `Version ${version} of floor '${floorId}' not found`);
+    }
+
+    const { snapshot } = floorVersion;
+    const validation = await validateSnapshot(snapshot, floorId);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: "Version can no longer be restored: " + validation.errors.join("; "),
+        },
+      });
+    }
+
+    await ensureBaselineVersion(floor);
+    applySnapshot(floor, snapshot);
+    await floor.save();
+
+    const newVersion = await recordFloorVersion(floor, {
+      source: 'rollback',
+      author: req.admin?.id || 'admin',
+      note: `Restored version ${floorVersion.version}`,
+      restoredFrom: floorVersion.version
+    });
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: { floor, version: newVersion?.version ?? null },
+        message: newVersion
+          ? `Floor restored to version ${floorVersion.version}`
+          : `Floor already matches version ${floorVersion.version}`,
+        warnings: getSaveWarnings(floor),
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message,
+      },
+    });
+  }
+};
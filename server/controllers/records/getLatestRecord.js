@@ -3,10 +3,11 @@
  * @description Retrieves the most recent image/AI processing record for a floor.
  *              Used to get current hazard detection status.
  * 
- * @route GET /api/records/latest?floorId=xxx
+ * @route GET /api/records/latest?floorId=xxx&drill=true&drillRunId=xxx
  * @access Public (read-only data)
  * 
  * @requires ImageRecord - MongoDB model for AI processing results
+ * @requires drillMode - Drill/real data filter
  * 
  * @module controllers/records/getLatestRecord
  * @author Marcelino Saad
@@ -14,6 +15,7 @@
  */
 
 import ImageRecord from "../../models/ImageRecord.js";
+import { drillQuery } from "../../utils/drillMode.js";
 
 /**
  * Retrieves the most recent image record for a specific floor.
@@ -22,6 +24,8 @@ import ImageRecord from "../../models/ImageRecord.js";
  * @function getLatestRecord
  * @param {import('express').Request} req - Express request object
  * @param {string} req.query.floorId - Floor ID to get latest record for
+ * @param {string} [req.query.drill] - 'true' for drill data instead of real data
+ * @param {string} [req.query.drillRunId] - Only data of this DrillRun
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<Response>} JSON response with latest record or error
  * 
@@ -29,6 +33,7 @@ import ImageRecord from "../../models/ImageRecord.js";
  * - Returns the single most recent record based on timestamp
  * - Includes AI detection results (hazards, objects, confidence)
  * - Used by screens to check current floor status
+ * - Drill records are skipped unless asked for (drill / drillRunId)
  * 
  * @example
  * // Request: GET /api/records/latest?floorId=floor_1
@@ -57,7 +62,7 @@ const getLatestRecord = async (req, res) => {
     }
 
     // Find most recent record by timestamp (descending)
-    const latestRecord = await ImageRecord.findOne({ floorId }).sort({ timestamp: -1 });
+    const latestRecord = await ImageRecord.findOne({ floorId, ...drillQuery(req.query) }).sort({ timestamp: -1 });
 
     // Return 404 if no records exist for this floor
     if (!latestRecord) {
@@ -3,10 +3,11 @@
  * @description Retrieves image/AI processing records with optional date filtering.
  *              Supports historical analysis of hazard detection data.
  * 
- * @route GET /api/records?floorId=xxx&startDate=xxx&endDate=xxx
+ * @route GET /api/records?floorId=xxx&edgeId=xxx&startDate=xxx&endDate=xxx&drill=true&drillRunId=xxx
  * @access Public (read-only data)
  * 
  * @requires ImageRecord - MongoDB model for AI processing results
+ * @requires drillMode - Drill/real data filter
  * 
  * @module controllers/records/getRecords
  * @author Marcelino Saad
@@ -14,6 +15,7 @@
  */
 
 import ImageRecord from "../../models/ImageRecord.js";
+import { drillQuery } from "../../utils/drillMode.js";
 
 /**
  * Retrieves image records for a floor with optional date range filtering.
@@ -22,16 +24,22 @@ import ImageRecord from "../../models/ImageRecord.js";
  * @function getRecords
  * @param {import('express').Request} req - Express request object
  * @param {string} req.query.floorId - Floor ID to get records for (required)
+ * @param {string} [req.query.edgeId] - Only records whose camera covered this edge
  * @param {string} [req.query.startDate] - ISO date string for range start
  * @param {string} [req.query.endDate] - ISO date string for range end
+ * @param {string} [req.query.drill] - 'true' for drill data instead of real data
+ * @param {string} [req.query.drillRunId] - Only data of this DrillRun
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<Response>} JSON response with records array or error
  * 
  * @description
  * Query parameters:
  * - floorId: Required - which floor's records to retrieve
+ * - edgeId: Optional - records of any camera covering this edge
  * - startDate: Optional - filter records from this date (inclusive)
  * - endDate: Optional - filter records until this date (inclusive)
+ * - drill: Optional - 'true' for drill records instead of real ones
+ * - drillRunId: Optional - records of one drill only
  * 
  * Results are sorted by timestamp (newest first).
  * 
@@ -50,6 +58,7 @@ import ImageRecord from "../../models/ImageRecord.js";
 const getRecords = async (req, res) => {
   try {
     const floorId = req.query.floorId;
+    const edgeId = req.query.edgeId;
     const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
     const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
     
@@ -72,7 +81,13 @@ const getRecords = async (req, res) => {
     // ─────────────────────────────────────────────
     // BUILD QUERY WITH OPTIONAL DATE FILTERING
     // ─────────────────────────────────────────────
-    const query = { floorId };
+    // Drill records only when asked for, never mixed with real ones
+    const query = { floorId, ...drillQuery(req.query) };
+
+    // Cameras may cover several edges; older records only carry edgeId
+    if (edgeId) {
+      query.$or = [{ edgeIds: edgeId }, { edgeId }];
+    }
     
     // Add timestamp range if dates provided
     if (startDate || endDate) {
@@ -3,10 +3,11 @@
  * @description Retrieves the most recently computed evacuation route for a floor.
  *              Used by screens to display current evacuation directions.
  * 
- * @route GET /api/routes/latest?floorId=xxx
+ * @route GET /api/routes/latest?floorId=xxx&drill=true&drillRunId=xxx
  * @access Public (read-only data)
  * 
  * @requires Route - MongoDB model for computed evacuation routes
+ * @requires drillMode - Drill/real data filter
  * 
  * @module controllers/routes/getLatestRoute
  * @author Marcelino Saad
@@ -14,6 +15,7 @@
  */
 
 import Route from "../../models/Route.js";
+import { drillQuery } from "../../utils/drillMode.js";
 
 /**
  * Retrieves the most recently computed evacuation route for a floor.
@@ -22,6 +24,8 @@ import Route from "../../models/Route.js";
  * @function getLatestRoute
  * @param {import('express').Request} req - Express request object
  * @param {string} req.query.floorId - Floor ID to get latest route for
+ * @param {string} [req.query.drill] - 'true' for drill data instead of real data
+ * @param {string} [req.query.drillRunId] - Only data of this DrillRun
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<Response>} JSON response with latest route or error
  * 
@@ -33,6 +37,7 @@ import Route from "../../models/Route.js";
  * - Edge weights and blocked segments
  * 
  * @note Routes are recomputed when hazards are detected/cleared
+ * @note Drill routes are skipped unless asked for (drill / drillRunId)
  * 
  * @example
  * // Request: GET /api/routes/latest?floorId=floor_1
@@ -65,7 +70,7 @@ const getLatestRoute = async (req, res) => {
     }
 
     // Find most recent route by computedAt timestamp (descending)
-    const latestRoute = await Route.findOne({ floorId }).sort({ computedAt: -1 });
+    const latestRoute = await Route.findOne({ floorId, ...drillQuery(req.query) }).sort({ computedAt: -1 });
 
     // Return 404 if no routes computed yet
     if (!latestRoute) {
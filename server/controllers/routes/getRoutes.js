@@ -3,10 +3,11 @@
  * @description Retrieves all computed evacuation routes for a floor.
  *              Supports historical analysis of route computations.
  * 
- * @route GET /api/routes?floorId=xxx
+ * @route GET /api/routes?floorId=xxx&drill=true&drillRunId=xxx
  * @access Public (read-only data)
  * 
  * @requires Route - MongoDB model for computed evacuation routes
+ * @requires drillMode - Drill/real data filter
  * 
  * @module controllers/routes/getRoutes
  * @author Marcelino Saad
@@ -14,6 +15,7 @@
  */
 
 import Route from "../../models/Route.js";
+import { drillQuery } from "../../utils/drillMode.js";
 
 /**
  * Retrieves all computed evacuation routes for a specific floor.
@@ -22,12 +24,15 @@ import Route from "../../models/Route.js";
  * @function getRoutes
  * @param {import('express').Request} req - Express request object
  * @param {string} req.query.floorId - Floor ID to get routes for
+ * @param {string} [req.query.drill] - 'true' for drill data instead of real data
+ * @param {string} [req.query.drillRunId] - Only data of this DrillRun
  * @param {import('express').Response} res - Express response object
  * @returns {Promise<Response>} JSON response with routes array or error
  * 
  * @description
  * Returns all historical route computations for a floor.
- * Sorted by computedAt (newest first).
+ * Sorted by computedAt (newest first). Routes computed during a drill
+ * are only returned when asked for (drill / drillRunId).
  * 
  * Useful for:
  * - Analyzing route changes over time
@@ -62,7 +67,7 @@ const getRoutes = async (req, res) => {
     }
 
     // Find all routes for floor, newest first
-    const routes = await Route.find({ floorId }).sort({ computedAt: -1 });
+    const routes = await Route.find({ floorId, ...drillQuery(req.query) }).sort({ computedAt: -1 });
 
     // Return 404 if no routes computed yet
     if (!routes || routes.length === 0) {
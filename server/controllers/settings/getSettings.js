@@ -6,6 +6,7 @@
  * @access Admin (requires x-admin-auth header)
  * 
  * @requires Settings - MongoDB model for settings data
+ * @requires routingWeights - Weight profiles with defaults and ranges
  * 
  * @module controllers/settings/getSettings
  * @author Marcelino Saad
@@ -13,6 +14,7 @@
  */
 
 import Settings from "../../models/Settings.js";
+import { describeRoutingWeights } from "../../utils/routingWeights.js";
 
 /**
  * Retrieves the current system settings.
@@ -32,6 +34,11 @@ import Settings from "../../models/Settings.js";
  * //   data: {
  * //     cloudSync: { enabled: true, intervalHours: 12, ... },
  * //     cloudProcessing: { enabled: true, ... },
+ * //     routing: { mode: "per-screen", maxIterations: 5 },
+ * //     routingWeights: { activeProfile: "default", profiles: [], defaults: {...}, limits: {...} },
+ * //     hazardSmoothing: { enabled: true, alpha: 0.5, holdCycles: 2, ... },
+ * //     aiFusion: { strategy: "cloud-preferred", disagreementThreshold: 0.3 },
+ * //     drill: { enabled: false, runId: null, name: null, startedAt: null },
  * //     updatedAt: "2026-01-23T...",
  * //     updatedBy: "admin"
  * //   }
@@ -46,6 +53,11 @@ const getSettings = async (req, res) => {
       data: {
         cloudSync: settings.cloudSync,
         cloudProcessing: settings.cloudProcessing,
+        routing: settings.routing,
+        routingWeights: describeRoutingWeights(settings),
+        hazardSmoothing: settings.hazardSmoothing,
+        aiFusion: settings.aiFusion,
+        drill: settings.drill,
         updatedAt: settings.updatedAt,
         updatedBy: settings.updatedBy,
         message: "Settings retrieved successfully"
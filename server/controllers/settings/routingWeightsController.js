@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Routing Weights Controller - Per-Floor Weights and History
+ * @description Admin endpoints for the routing weights of single floors
+ *              (another profile than the active one, or single weights
+ *              replaced) and for the history of every weight change. The
+ *              profiles themselves are edited through PUT /api/settings.
+ *
+ * @route Various endpoints under /api/settings/routing-weights
+ * @access Admin (requires x-admin-auth header)
+ *
+ * @requires Settings - MongoDB model for settings data
+ * @requires FloorMap - MongoDB model for floor data
+ * @requires RoutingWeightsLog - Weight change history
+ * @requires routingWeights - Weight resolution and logging
+ * @requires routingWeightsValidator - Floor override validation
+ *
+ * @module controllers/settings/routingWeightsController
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports getFloorRoutingWeights - Weights every floor is routed with
+ * @exports setFloorRoutingWeights - Create or replace a floor's override
+ * @exports clearFloorRoutingWeights - Remove a floor's override
+ * @exports getRoutingWeightsHistory - Recent weight changes
+ *
+ * @description
+ * Changes are not re-routed at once: the capture cycle reads the settings
+ * and floors at its start, so the next cycle routes with the new weights.
+ */
+
+import Settings from "../../models/Settings.js";
+import FloorMap from "../../models/FloorMap.js";
+import RoutingWeightsLog from "../../models/RoutingWeightsLog.js";
+import { resolveRoutingWeights, logRoutingWeights } from "../../utils/routingWeights.js";
+import { validateFloorRoutingWeights } from "../../utils/validators/routingWeightsValidator.js";
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * A floor's stored override as a plain object, null when it has none.
+ *
+ * @function floorOverrideOf
+ * @param {Object} floor - FloorMap document
+ * @returns {Object|null} { profile, weights } with only the set weights
+ */
+const floorOverrideOf = (floor) => {
+  const stored = floor.routingWeights;
+  if (!stored) return null;
+
+  const weights = Object.fromEntries(
+    Object.entries(stored.weights?.toObject?.() || stored.weights || {}).filter(([, value]) => typeof value === 'number')
+  );
+  return { profile: stored.profile || null, weights };
+};
+
+/* ============================================================
+ * READ
+ * ============================================================ */
+
+/**
+ * Lists every floor with its override and the weights it is routed with.
+ *
+ * @async
+ * @function getFloorRoutingWeights
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with one entry per floor
+ *
+ * @route GET /api/settings/routing-weights/floors
+ * @access Admin
+ */
+export const getFloorRoutingWeights = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const floors = await FloorMap.find({}, { id: 1, name: 1, routingWeights: 1 }).sort({ name: 1 });
+
+    const data = floors.map(floor => ({
+      floorId: floor.id,
+      floorName: floor.name,
+      override: floorOverrideOf(floor),
+      updatedBy: floor.routingWeights?.updatedBy || null,
+      updatedAt: floor.routingWeights?.updatedAt || null,
+      resolved: resolveRoutingWeights(settings, floor)
+    }));
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data,
+        message: 'Floor routing weights retrieved successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching floor routing weights:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Lists recent routing weight changes, newest first.
+ *
+ * @async
+ * @function getRoutingWeightsHistory
+ * @param {import('express').Request} req - Express request object
+ * @param {string} [req.query.floorId] - Only changes of this floor
+ * @param {number} [req.query.limit=50] - Entries to return (max 200)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with log entries
+ *
+ * @route GET /api/settings/routing-weights/history
+ * @access Admin
+ */
+export const getRoutingWeightsHistory = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const query = req.query.floorId ? { scope: 'floor', floorId: req.query.floorId } : {};
+
+    const log = await RoutingWeightsLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: log,
+        message: 'Routing weights history retrieved successfully'
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching routing weights history:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/* ============================================================
+ * WRITE
+ * ============================================================ */
+
+/**
+ * Creates or replaces the routing weight override of a floor.
+ *
+ * @async
+ * @function setFloorRoutingWeights
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {string|null} [req.body.profile] - Profile of this floor (null = active profile)
+ * @param {Object} [req.body.weights] - Weight key -> number (null/missing = from the profile)
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the override and resolved weights
+ *
+ * @route PUT /api/settings/routing-weights/floors/:floorId
+ * @access Admin
+ *
+ * @note An override with neither a profile nor a weight clears the floor's override
+ */
+export const setFloorRoutingWeights = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+    const adminId = req.admin?.id || 'admin';
+    const profile = req.body.profile || null;
+    const weights = Object.fromEntries(
+      Object.entries(req.body.weights || {}).filter(([, value]) => value !== null && value !== '')
+    );
+
+    const settings = await Settings.getSettings();
+    const validation = validateFloorRoutingWeights({ profile, weights }, settings.routingWeights?.profiles || []);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          data: null,
+          message: 'Invalid routing weights: ' + validation.errors.join('; ')
+        }
+      });
+    }
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: 'Floor not found'
+        }
+      });
+    }
+
+    const before = floorOverrideOf(floor);
+    const empty = !profile && Object.keys(weights).length === 0;
+    const override = empty ? null : { profile, weights, updatedBy: adminId, updatedAt: new Date() };
+
+    // Targeted update: the capture cycle may be saving this floor concurrently
+    await FloorMap.updateOne({ id: floorId }, { $set: { routingWeights: override } });
+    await logRoutingWeights({
+      scope: 'floor',
+      floorId,
+      action: empty ? 'cleared' : 'updated',
+      before,
+      after: empty ? null : { profile, weights },
+      by: adminId
+    });
+
+    const resolved = resolveRoutingWeights(settings, { routingWeights: override });
+    console.log(`⚖️ Routing weights of ${floor.name} ${empty ? 'cleared' : `set: profile ${resolved.profile}${resolved.floorOverrides.length ? `, overrides ${resolved.floorOverrides.join(', ')}` : ''}`} by ${adminId}`);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          override: empty ? null : { profile, weights },
+          resolved
+        },
+        message: 'Floor routing weights saved - applied from the next capture cycle'
+      }
+    });
+  } catch (err) {
+    console.error('Error setting floor routing weights:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Removes a floor's routing weight override (back to the active profile).
+ *
+ * @async
+ * @function clearFloorRoutingWeights
+ * @param {import('express').Request} req - Express request object
+ * @param {string} req.params.floorId - Floor ID
+ * @param {import('express').Response} res - Express response object
+ * @returns {Promise<Response>} JSON response with the removed override
+ *
+ * @route DELETE /api/settings/routing-weights/floors/:floorId
+ * @access Admin
+ */
+export const clearFloorRoutingWeights = async (req, res) => {
+  try {
+    const { floorId } = req.params;
+    const adminId = req.admin?.id || 'admin';
+
+    const floor = await FloorMap.findOne({ id: floorId });
+    if (!floor) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: 'Floor not found'
+        }
+      });
+    }
+
+    const previous = floorOverrideOf(floor);
+    if (!previous) {
+      return res.status(404).json({
+        status: 404,
+        data: {
+          data: null,
+          message: 'Floor has no routing weight override'
+        }
+      });
+    }
+
+    await FloorMap.updateOne({ id: floorId }, { $set: { routingWeights: null } });
+    await logRoutingWeights({ scope: 'floor', floorId, action: 'cleared', before: previous, after: null, by: adminId });
+
+    console.log(`⚖️ Routing weights of ${floor.name} cleared by ${adminId}`);
+
+    return res.status(200).json({
+      status: 200,
+      data: {
+        data: {
+          floorId,
+          previous
+        },
+        message: 'Floor routing weights cleared - applied from the next capture cycle'
+      }
+    });
+  } catch (err) {
+    console.error('Error clearing floor routing weights:', err);
+    return res.status(500).json({
+      status: 500,
+      data: {
+        data: null,
+        message: err.message
+      }
+    });
+  }
+};
@@ -6,6 +6,10 @@
  * @access Admin (requires x-admin-auth header)
  * 
  * @requires Settings - MongoDB model for settings data
+ * @requires drillMode - Drill start/stop
+ * @requires drillValidator - Drill scenario validation
+ * @requires routingWeightsValidator - Weight profile validation
+ * @requires routingWeights - Weight profile history
  * 
  * @module controllers/settings/updateSettings
  * @author Marcelino Saad
@@ -13,6 +17,12 @@
  */
 
 import Settings from "../../models/Settings.js";
+import { FUSION_STRATEGIES } from "../../utils/ai/fuseResults.js";
+import { startDrill, stopDrill } from "../../utils/drillMode.js";
+import { validateDrillScenario } from "../../utils/validators/drillValidator.js";
+import { validateRoutingWeightProfiles } from "../../utils/validators/routingWeightsValidator.js";
+import { describeRoutingWeights, logRoutingWeights } from "../../utils/routingWeights.js";
+import FloorMap from "../../models/FloorMap.js";
 
 /**
  * Updates system settings.
@@ -28,7 +38,12 @@ import Settings from "../../models/Settings.js";
  * // Request: PUT /api/settings
  * // Body: {
  * //   cloudSync: { enabled: true, intervalHours: 6 },
- * //   cloudProcessing: { enabled: false, disabledReason: "Network issues" }
+ * //   cloudProcessing: { enabled: false, disabledReason: "Network issues" },
+ * //   routing: { mode: "capacity-aware", maxIterations: 5 },
+ * //   routingWeights: { activeProfile: "night", profiles: [{ name: "night", description, weights: {...} }] },
+ * //   hazardSmoothing: { enabled: true, alpha: 0.5, holdCycles: 2 },
+ * //   aiFusion: { strategy: "disagreement", disagreementThreshold: 0.3 },
+ * //   drill: { enabled: true, name: "Kitchen fire", timeline: [{ floorId, edgeId, keyframes }] }
  * // }
  * // Response (200):
  * // {
@@ -36,20 +51,33 @@ import Settings from "../../models/Settings.js";
  * //   data: {
  * //     cloudSync: { enabled: true, intervalHours: 6, ... },
  * //     cloudProcessing: { enabled: false, ... },
+ * //     routing: { mode: "capacity-aware", maxIterations: 5 },
+ * //     routingWeights: { activeProfile: "night", profiles: [...], defaults: {...}, limits: {...} },
+ * //     hazardSmoothing: { enabled: true, alpha: 0.5, holdCycles: 2, ... },
+ * //     aiFusion: { strategy: "disagreement", disagreementThreshold: 0.3 },
+ * //     drill: { enabled: true, runId: "65b...", name: "Kitchen fire", startedAt: "..." },
  * //     message: "Settings updated successfully"
  * //   }
  * // }
+ *
+ * @description
+ * `drill` starts a drill ({ enabled: true, name, timeline }) or ends the
+ * running one ({ enabled: false }); only one drill runs at a time.
+ *
+ * `routingWeights.profiles` replaces the whole profile list; profiles still
+ * active or used by a floor can not be removed. Every change is written to
+ * RoutingWeightsLog and applies from the next capture cycle.
  */
 const updateSettings = async (req, res) => {
   try {
-    const { cloudSync, cloudProcessing } = req.body;
-    
+    const { cloudSync, cloudProcessing, routing, routingWeights, hazardSmoothing, aiFusion, drill } = req.body;
+
     // Validate input
-    if (!cloudSync && !cloudProcessing) {
+    if (!cloudSync && !cloudProcessing && !routing && !routingWeights && !hazardSmoothing && !aiFusion && !drill) {
       return res.status(400).json({
         status: 400,
         data: {
-          message: "No settings provided to update. Include 'cloudSync' and/or 'cloudProcessing'."
+          message: "No settings provided to update. Include 'cloudSync', 'cloudProcessing', 'routing', 'routingWeights', 'hazardSmoothing', 'aiFusion' and/or 'drill'."
         }
       });
     }
@@ -67,19 +95,217 @@ const updateSettings = async (req, res) => {
       }
     }
     
+    // Validate routing settings if provided
+    if (routing?.mode !== undefined && !['per-screen', 'capacity-aware'].includes(routing.mode)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          message: "routing.mode must be 'per-screen' or 'capacity-aware'"
+        }
+      });
+    }
+    
+    if (routing?.maxIterations !== undefined) {
+      const iterations = Number(routing.maxIterations);
+      if (!Number.isInteger(iterations) || iterations < 1 || iterations > 20) {
+        return res.status(400).json({
+          status: 400,
+          data: {
+            message: "routing.maxIterations must be an integer between 1 and 20"
+          }
+        });
+      }
+      routing.maxIterations = iterations;
+    }
+
+    // Validate routingWeights against the stored profiles if provided
+    let previousWeights = null;
+    if (routingWeights) {
+      const current = describeRoutingWeights(await Settings.getSettings());
+      previousWeights = { activeProfile: current.activeProfile, profiles: current.profiles };
+
+      const next = {
+        activeProfile: routingWeights.activeProfile ?? current.activeProfile,
+        profiles: (routingWeights.profiles ?? current.profiles).map(p => ({
+          ...p,
+          name: typeof p?.name === "string" ? p.name.trim() : p?.name
+        }))
+      };
+
+      const validation = validateRoutingWeightProfiles(next);
+      if (!validation.valid) {
+        return res.status(400).json({
+          status: 400,
+          data: {
+            message: "Invalid routing weights: " + validation.errors.join("; ")
+          }
+        });
+      }
+
+      // Floors naming a removed profile would silently fall back to 'default'
+      const removed = current.profiles.map(p => p.name).filter(name => !next.profiles.some(p => p.name === name));
+      if (removed.length > 0) {
+        const inUse = await FloorMap.find({ 'routingWeights.profile': { $in: removed } }, { id: 1, 'routingWeights.profile': 1 });
+        if (inUse.length > 0) {
+          return res.status(409).json({
+            status: 409,
+            data: {
+              message: `Profile(s) still used by floors: ${inUse.map(f => `${f.routingWeights.profile} (${f.id})`).join(", ")} - change those floors first`
+            }
+          });
+        }
+      }
+
+      routingWeights.activeProfile = next.activeProfile;
+      routingWeights.profiles = next.profiles.map(p => ({ name: p.name, description: p.description || '', weights: p.weights }));
+    }
+
+    // Validate hazardSmoothing ranges if provided
+    if (hazardSmoothing) {
+      // key -> [min, max, counted in whole cycles]
+      const ranges = {
+        alpha: [0.05, 1, false],
+        holdCycles: [0, 10, true],
+        decayRate: [0, 1, false],
+        trendCycles: [2, 10, true],
+        trendMinRise: [0, 1, false]
+      };
+
+      for (const [key, [min, max, integer]] of Object.entries(ranges)) {
+        if (hazardSmoothing[key] === undefined) continue;
+        const value = Number(hazardSmoothing[key]);
+        if (isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+          return res.status(400).json({
+            status: 400,
+            data: {
+              message: `hazardSmoothing.${key} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`
+            }
+          });
+        }
+        hazardSmoothing[key] = value;
+      }
+
+      for (const key of ["enabled", "fastAttack"]) {
+        if (hazardSmoothing[key] !== undefined && typeof hazardSmoothing[key] !== "boolean") {
+          return res.status(400).json({
+            status: 400,
+            data: {
+              message: `hazardSmoothing.${key} must be true or false`
+            }
+          });
+        }
+      }
+    }
+
+    // Validate aiFusion if provided
+    if (aiFusion?.strategy !== undefined && !FUSION_STRATEGIES.includes(aiFusion.strategy)) {
+      return res.status(400).json({
+        status: 400,
+        data: {
+          message: `aiFusion.strategy must be one of: ${FUSION_STRATEGIES.join(", ")}`
+        }
+      });
+    }
+
+    if (aiFusion?.disagreementThreshold !== undefined) {
+      const threshold = Number(aiFusion.disagreementThreshold);
+      if (isNaN(threshold) || threshold < 0.05 || threshold > 1) {
+        return res.status(400).json({
+          status: 400,
+          data: {
+            message: "aiFusion.disagreementThreshold must be a number between 0.05 and 1"
+          }
+        });
+      }
+      aiFusion.disagreementThreshold = threshold;
+    }
+
+    // Validate drill toggle if provided
+    if (drill) {
+      if (typeof drill.enabled !== "boolean") {
+        return res.status(400).json({
+          status: 400,
+          data: {
+            message: "drill.enabled must be true or false"
+          }
+        });
+      }
+
+      const current = await Settings.getSettings();
+      if (drill.enabled && current.drill?.enabled) {
+        return res.status(409).json({
+          status: 409,
+          data: {
+            message: `Drill '${current.drill.name}' is already running - end it before starting another`
+          }
+        });
+      }
+      if (!drill.enabled && !current.drill?.enabled) {
+        return res.status(400).json({
+          status: 400,
+          data: {
+            message: "No drill is running"
+          }
+        });
+      }
+
+      if (drill.enabled) {
+        const validation = await validateDrillScenario(drill);
+        if (!validation.valid) {
+          return res.status(400).json({
+            status: 400,
+            data: {
+              message: "Invalid drill scenario: " + validation.errors.join("; ")
+            }
+          });
+        }
+      }
+    }
+
     // Build updates object
     const updates = {};
     if (cloudSync) updates.cloudSync = cloudSync;
     if (cloudProcessing) updates.cloudProcessing = cloudProcessing;
+    if (routing) updates.routing = routing;
+    if (routingWeights) updates.routingWeights = routingWeights;
+    if (hazardSmoothing) updates.hazardSmoothing = hazardSmoothing;
+    if (aiFusion) updates.aiFusion = aiFusion;
     
     // Update settings
-    const settings = await Settings.updateSettings(updates, 'admin');
+    let settings = await Settings.updateSettings(updates, 'admin');
+
+    if (routingWeights) {
+      const { activeProfile, profiles } = describeRoutingWeights(settings);
+      await logRoutingWeights({
+        scope: 'settings',
+        action: 'updated',
+        before: previousWeights,
+        after: { activeProfile, profiles },
+        by: req.admin?.id || 'admin'
+      });
+    }
+
+    // Start or end the drill last (stores its own settings), so a failed
+    // save of the other settings never leaves a drill started or ended
+    if (drill) {
+      if (drill.enabled) {
+        await startDrill(drill, 'admin');
+      } else {
+        await stopDrill('admin');
+      }
+      settings = await Settings.getSettings();
+    }
     
     // Log the change
     console.log(`📋 Settings updated by admin:`, {
       cloudSyncEnabled: settings.cloudSync.enabled,
       cloudSyncInterval: settings.cloudSync.intervalHours,
-      cloudProcessingEnabled: settings.cloudProcessing.enabled
+      cloudProcessingEnabled: settings.cloudProcessing.enabled,
+      routingMode: settings.routing?.mode,
+      routingWeights: settings.routingWeights?.activeProfile,
+      hazardSmoothing: settings.hazardSmoothing?.enabled,
+      aiFusion: settings.aiFusion?.strategy,
+      drill: settings.drill?.enabled ? settings.drill.name : false
     });
     
     return res.status(200).json({
@@ -87,6 +313,11 @@ const updateSettings = async (req, res) => {
       data: {
         cloudSync: settings.cloudSync,
         cloudProcessing: settings.cloudProcessing,
+        routing: settings.routing,
+        routingWeights: describeRoutingWeights(settings),
+        hazardSmoothing: settings.hazardSmoothing,
+        aiFusion: settings.aiFusion,
+        drill: settings.drill,
         updatedAt: settings.updatedAt,
         updatedBy: settings.updatedBy,
         message: "Settings updated successfully"
@@ -14,11 +14,23 @@
  *                                    Default: 10
  * @env {string} ALLOWED_IMAGE_TYPES - Comma-separated allowed extensions
  *                                     Default: 'jpeg,jpg,png,gif,webp'
+ * @env {number} MAX_DRAWING_SIZE_MB - Maximum CAD drawing size in megabytes
+ *                                     Default: 20
+ * @env {number} MAX_BUNDLE_SIZE_MB - Maximum floor bundle size in megabytes
+ *                                    Default: 30
  * 
  * @example
  * // Usage in route files:
  * import multerUpload from '../middleware/multerUpload.js';
  * router.post('/floors', multerUpload.single('mapImage'), createFloor);
+ *
+ * // CAD drawings for the floor plan import (kept in memory):
+ * import { drawingUpload } from '../middleware/multerUpload.js';
+ * router.post('/floors/import', drawingUpload.single('drawing'), importFloorPlan);
+ *
+ * // Floor export bundles (kept in memory):
+ * import { bundleUpload } from '../middleware/multerUpload.js';
+ * router.post('/floors/import/bundle', bundleUpload.single('bundle'), importFloorBundle);
  * 
  * @module middleware/multerUpload
  * @author Marcelino Saad
@@ -45,6 +57,15 @@ const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB || "10", 10);
 /** @constant {string} Allowed image file extensions (comma-separated) */
 const ALLOWED_IMAGE_TYPES = process.env.ALLOWED_IMAGE_TYPES || "jpeg,jpg,png,gif,webp";
 
+/** @constant {number} Maximum CAD drawing size in megabytes */
+const MAX_DRAWING_SIZE_MB = parseInt(process.env.MAX_DRAWING_SIZE_MB || "20", 10);
+
+/** @constant {string[]} Accepted CAD drawing extensions */
+const DRAWING_EXTENSIONS = [".dxf", ".svg"];
+
+/** @constant {number} Maximum floor bundle size in megabytes (map image is embedded) */
+const MAX_BUNDLE_SIZE_MB = parseInt(process.env.MAX_BUNDLE_SIZE_MB || "30", 10);
+
 /* ============================================
  * STORAGE CONFIGURATION
  * ============================================ */
@@ -133,4 +154,45 @@ const multerUpload = multer({
   }
 });
 
+/**
+ * Multer instance for CAD drawings (floor plan import)
+ * Drawings are parsed straight from memory and never stored; MIME types
+ * of .dxf files vary between browsers, so only the extension is checked.
+ *
+ * @constant {multer.Multer}
+ */
+export const drawingUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (DRAWING_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only CAD drawings are allowed (${DRAWING_EXTENSIONS.join(", ")})`));
+    }
+  },
+  limits: {
+    fileSize: MAX_DRAWING_SIZE_MB * 1024 * 1024
+  }
+});
+
+/**
+ * Multer instance for floor bundles (export/import between servers)
+ * Bundles are parsed straight from memory and never stored.
+ *
+ * @constant {multer.Multer}
+ */
+export const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".json") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only floor bundles are allowed (.json)"));
+    }
+  },
+  limits: {
+    fileSize: MAX_BUNDLE_SIZE_MB * 1024 * 1024
+  }
+});
+
 export default multerUpload;
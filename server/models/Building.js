@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Building Model - Multi-Floor Building Structure
+ * @description Defines the MongoDB schema for buildings that group several
+ *              floors into one evacuation graph. Floors are ordered by level
+ *              and joined by stairwell/elevator connectors, which become
+ *              inter-floor edges during route computation.
+ *
+ * @requires mongoose - MongoDB ODM
+ *
+ * @example
+ * // Creating a two-floor building joined by a stairwell:
+ * const building = new Building({
+ *   id: 'building_a',
+ *   name: 'Building A',
+ *   floors: [
+ *     { floorId: 'floor_1', level: 0 },
+ *     { floorId: 'floor_2', level: 1 }
+ *   ],
+ *   connectors: [{
+ *     id: 'STAIR_B_1_2',
+ *     name: 'Stairwell B',
+ *     type: 'stairs',
+ *     fromFloorId: 'floor_2', fromNodeId: 'F2_STAIR_B',
+ *     toFloorId: 'floor_1', toNodeId: 'F1_STAIR_B',
+ *     lengthMeters: 8
+ *   }]
+ * });
+ *
+ * @module models/Building
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+
+/* ============================================
+ * SUB-SCHEMAS
+ * ============================================ */
+
+/**
+ * @typedef {Object} BuildingFloor
+ * @property {string} floorId - ID of a FloorMap belonging to this building
+ * @property {number} level - Vertical position (ground level is groundLevel)
+ * @property {boolean} exteriorExits - Treat this floor's exitPoints as building
+ *                                     exits even when it is not the ground level
+ */
+const BuildingFloorSchema = new mongoose.Schema({
+  floorId: { type: String, required: true },
+  level: { type: Number, required: true },
+  exteriorExits: { type: Boolean, default: false }
+}, { _id: false });
+
+/**
+ * @typedef {Object} Connector
+ * @property {string} id - Unique connector identifier (used as the edge ID)
+ * @property {string} name - Display name shown on screens (e.g., 'Stairwell B')
+ * @property {string} type - 'stairs' or 'elevator'
+ * @property {string} fromFloorId - Floor of the first endpoint
+ * @property {string} fromNodeId - Stairs/elevator node on the first floor
+ * @property {string} toFloorId - Floor of the second endpoint
+ * @property {string} toNodeId - Stairs/elevator node on the second floor
+ * @property {number} lengthMeters - Equivalent walking distance between floors
+ * @property {number} staticWeight - Base weight multiplier (like floor edges)
+ * @property {string} status - 'active' or 'closed' (closed connectors are ignored)
+ */
+const ConnectorSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  name: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ['stairs', 'elevator'],
+    required: true
+  },
+  fromFloorId: { type: String, required: true },
+  fromNodeId: { type: String, required: true },
+  toFloorId: { type: String, required: true },
+  toNodeId: { type: String, required: true },
+  lengthMeters: { type: Number, default: 6 },
+  staticWeight: { type: Number, default: 1 },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  }
+}, { _id: false });
+
+/* ============================================
+ * MAIN SCHEMA
+ * ============================================ */
+
+/**
+ * Building Schema - Floors and the vertical connectors between them
+ *
+ * @description
+ * A floor may belong to at most one building. When it does, its screens are
+ * routed over the combined graph of every floor in the building:
+ * - Connectors are added as edges between the floor graphs
+ * - Only exits on the ground level (or floors flagged exteriorExits) count
+ * - Elevator connectors are dropped while fire is detected anywhere
+ */
+const BuildingSchema = new mongoose.Schema({
+  // ─────────────────────────────────────────
+  // IDENTIFICATION
+  // ─────────────────────────────────────────
+  /** @type {string} Unique building identifier (e.g., 'building_a') */
+  id: { type: String, required: true, unique: true },
+
+  /** @type {string} Human-readable building name */
+  name: { type: String, required: true },
+
+  // ─────────────────────────────────────────
+  // STRUCTURE
+  // ─────────────────────────────────────────
+  /** @type {number} Level whose exits lead outside the building */
+  groundLevel: { type: Number, default: 0 },
+
+  /** Floors in this building with their vertical level */
+  floors: [BuildingFloorSchema],
+
+  /** Stairwell and elevator links between floor nodes */
+  connectors: [ConnectorSchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+/* ============================================
+ * INSTANCE METHODS
+ * ============================================ */
+
+/**
+ * Get the level of a floor in this building
+ * @param {string} floorId - Floor ID
+ * @returns {number|null} Floor level, or null if the floor is not in this building
+ */
+BuildingSchema.methods.getFloorLevel = function(floorId) {
+  const entry = this.floors?.find(f => f.floorId === floorId);
+  return entry ? entry.level : null;
+};
+
+/**
+ * Check whether a floor's exitPoints lead outside the building
+ * @param {string} floorId - Floor ID
+ * @returns {boolean} True for ground-level floors and floors with exteriorExits
+ */
+BuildingSchema.methods.hasBuildingExits = function(floorId) {
+  const entry = this.floors?.find(f => f.floorId === floorId);
+  if (!entry) return false;
+  return entry.level === this.groundLevel || entry.exteriorExits === true;
+};
+
+export default mongoose.model("Building", BuildingSchema);
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview DrillRun Model - Evacuation Drill Scripts and History
+ * @description One document per evacuation drill: the scripted hazard
+ *              timeline injected into the capture cycle in place of AI
+ *              results, and when the drill ran. Routes and image records
+ *              produced during the drill reference it (drillRun).
+ *
+ * @requires mongoose - MongoDB ODM
+ *
+ * @example
+ * // Created by utils/drillMode.js when drill mode is enabled in Settings:
+ * await DrillRun.create({
+ *   name: 'Kitchen fire, ground floor',
+ *   timeline: [{
+ *     floorId: 'floor_1',
+ *     edgeId: 'E4',
+ *     keyframes: [
+ *       { atSec: 30, fireProb: 0.3, smokeProb: 0.5 },
+ *       { atSec: 120, fireProb: 0.9, smokeProb: 0.9 }
+ *     ]
+ *   }],
+ *   startedBy: 'admin'
+ * });
+ *
+ * @module models/DrillRun
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Scripted values of one edge at a point of the drill
+ * @property {number} atSec - Seconds after the drill started
+ * @property {number} [peopleCount] - People on the edge (default 0)
+ * @property {number} [fireProb] - Fire probability 0-1 (default 0)
+ * @property {number} [smokeProb] - Smoke probability 0-1 (default 0)
+ */
+const DrillKeyframeSchema = new mongoose.Schema({
+  atSec: { type: Number, required: true, min: 0 },
+  peopleCount: { type: Number, default: 0, min: 0 },
+  fireProb: { type: Number, default: 0, min: 0, max: 1 },
+  smokeProb: { type: Number, default: 0, min: 0, max: 1 }
+}, { _id: false });
+
+/**
+ * Hazard timeline of one edge. Values are interpolated linearly between
+ * keyframes, are 0 before the first one and hold the last one after it.
+ */
+const DrillEdgeTimelineSchema = new mongoose.Schema({
+  floorId: { type: String, required: true },
+  edgeId: { type: String, required: true },
+  keyframes: { type: [DrillKeyframeSchema], default: [] }
+}, { _id: false });
+
+/**
+ * DrillRun Schema - One evacuation drill
+ *
+ * @description
+ * - 'running': drill mode is on; the capture cycle reads this timeline
+ * - 'completed': drill mode was switched off (endedAt set)
+ */
+const DrillRunSchema = new mongoose.Schema({
+  /** @type {string} Scenario name shown on screens and in the admin */
+  name: { type: String, required: true, trim: true },
+
+  /** @type {string} Drill state */
+  status: {
+    type: String,
+    enum: ['running', 'completed'],
+    default: 'running',
+    index: true
+  },
+
+  /** Scripted hazard timelines, one per edge */
+  timeline: { type: [DrillEdgeTimelineSchema], default: [] },
+
+  /** @type {Date} Timeline second 0 */
+  startedAt: { type: Date, default: Date.now },
+
+  /** @type {Date} When drill mode was switched off */
+  endedAt: { type: Date, default: null },
+
+  /** @type {string} Admin who started the drill */
+  startedBy: String,
+
+  /** @type {string} Admin who ended the drill */
+  endedBy: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+export default mongoose.model("DrillRun", DrillRunSchema);
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview EdgeOverrideLog Model - Manual Override Audit Trail
+ * @description Records every manual edge override set, cleared or expired,
+ *              so incident commanders' decisions can be reviewed after an
+ *              evacuation.
+ *
+ * @requires mongoose - MongoDB ODM
+ *
+ * @example
+ * // Written by utils/edgeOverrides.js:
+ * await EdgeOverrideLog.create({
+ *   floorId: 'floor_1',
+ *   edgeId: 'E4',
+ *   action: 'set',
+ *   override: { type: 'closed', reason: 'Debris reported by warden', expiresAt },
+ *   by: 'admin'
+ * });
+ *
+ * @module models/EdgeOverrideLog
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Copy of a FloorMap edge override (see EdgeOverride in models/FloorMap.js),
+ * without its validation so expired or legacy values can always be logged
+ */
+const OverrideSnapshotSchema = new mongoose.Schema({
+  type: { type: String },
+  hazardLevel: String,
+  exitNodeIds: [String],
+  reason: String,
+  expiresAt: Date,
+  createdBy: String,
+  createdAt: Date
+}, { _id: false });
+
+/**
+ * EdgeOverrideLog Schema - One entry per override change
+ *
+ * @description
+ * - 'set': override created or replaced (snapshot of the new override)
+ * - 'cleared': removed by an admin before it expired
+ * - 'expired': removed by the capture cycle after expiresAt
+ */
+const EdgeOverrideLogSchema = new mongoose.Schema({
+  /** @type {string} Floor the edge belongs to */
+  floorId: { type: String, required: true, index: true },
+
+  /** @type {string} Overridden edge */
+  edgeId: { type: String, required: true },
+
+  /** @type {string} What happened to the override */
+  action: {
+    type: String,
+    enum: ['set', 'cleared', 'expired'],
+    required: true
+  },
+
+  /** Override as it was set (or as it was when cleared/expired) */
+  override: { type: OverrideSnapshotSchema, default: null },
+
+  /** @type {string} Admin ID, or 'system' for expiries */
+  by: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+export default mongoose.model("EdgeOverrideLog", EdgeOverrideLogSchema);
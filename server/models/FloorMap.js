@@ -29,10 +29,34 @@ import mongoose from "mongoose";
  * SUB-SCHEMAS
  * ============================================ */
 
+/**
+ * Routing weights of this floor (see utils/routingWeights.js): another
+ * profile than the active one and/or single weights replaced. Null
+ * profile / weight = taken from the active profile.
+ */
+const RoutingWeightsOverrideSchema = new mongoose.Schema({
+  profile: { type: String, default: null },
+  weights: {
+    firePenalty: { type: Number, default: null },
+    smokePenalty: { type: Number, default: null },
+    peoplePenalty: { type: Number, default: null },
+    peopleFactor: { type: Number, default: null },
+    fireFactor: { type: Number, default: null },
+    smokeFactor: { type: Number, default: null },
+    thresholdMultiplier: { type: Number, default: null },
+    predictedFactor: { type: Number, default: null },
+    congestedExitFactor: { type: Number, default: null }
+  },
+  updatedBy: { type: String },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 /**
  * @typedef {Object} Camera
  * @property {string} id - Unique camera identifier (e.g., 'CAM_HALL_01')
- * @property {string} edgeId - ID of the edge this camera monitors
+ * @property {string} edgeId - Primary edge this camera monitors
+ * @property {Array<Object>} [coverage] - All edges in view: { edgeId, weight (0-1] }
+ *           (see utils/cameraCoverage.js; empty means edgeId with weight 1)
  * @property {string} [rtspUrl] - Optional custom RTSP stream URL
  * @property {string} status - Current operational status
  * @property {number} failureCount - Consecutive capture failures (auto-disable at threshold)
@@ -42,9 +66,15 @@ import mongoose from "mongoose";
  * @property {Date} [disabledAt] - When the camera was disabled
  * @property {string} [disabledBy] - Who disabled it ('admin' or 'system')
  */
+const CameraCoverageSchema = new mongoose.Schema({
+  edgeId: { type: String, required: true },
+  weight: { type: Number, min: 0, max: 1, default: 1 } // Share of the edge in view
+}, { _id: false });
+
 const CameraSchema = new mongoose.Schema({
   id: { type: String, required: true },
   edgeId: { type: String, required: true },
+  coverage: [CameraCoverageSchema],
   rtspUrl: { type: String },
   status: { 
     type: String, 
@@ -64,6 +94,7 @@ const CameraSchema = new mongoose.Schema({
  * @property {string} id - Unique screen identifier (e.g., 'SCREEN_LOBBY')
  * @property {string} nodeId - ID of the node where screen is located (route start point)
  * @property {string} [name] - Human-readable screen name
+ * @property {boolean} stepFree - Also show a step-free route (utils/accessibility.js)
  * @property {string} status - Current operational status
  * @property {string} [disabledReason] - Explanation for disabled status
  * @property {Date} [disabledAt] - When the screen was disabled
@@ -73,6 +104,7 @@ const ScreenSchema = new mongoose.Schema({
   id: { type: String, required: true },
   nodeId: { type: String, required: true },
   name: { type: String },
+  stepFree: { type: Boolean, default: false },
   status: { 
     type: String, 
     enum: ['active', 'disabled', 'maintenance'], 
@@ -83,6 +115,56 @@ const ScreenSchema = new mongoose.Schema({
   disabledBy: { type: String }
 }, { _id: false });
 
+/**
+ * @typedef {Object} EdgeOverride
+ * @property {string} type - 'closed' (no routing through the edge), 'hazard'
+ *           (forced hazard level) or 'exit-unavailable' (exits at its ends are not destinations)
+ * @property {string} [hazardLevel] - Forced level for 'hazard' overrides
+ * @property {string[]} [exitNodeIds] - Exits withdrawn by an 'exit-unavailable' override
+ * @property {string} reason - Why the incident commander set it
+ * @property {Date} expiresAt - Ignored after this time, cleared by the next capture cycle
+ * @property {string} [createdBy] - Admin who set it
+ * @property {Date} createdAt - When it was set
+ */
+const EdgeOverrideSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['closed', 'hazard', 'exit-unavailable'],
+    required: true
+  },
+  hazardLevel: { type: String, enum: ['safe', 'moderate', 'high', 'critical'] },
+  exitNodeIds: [{ type: String }],
+  reason: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * @typedef {Object} Exit
+ * @property {string} nodeId - Exit node (one entry per exitPoints ID)
+ * @property {number|null} capacity - People the exit handles at once
+ *           (null = sum of its corridors' peopleThreshold)
+ * @property {string} status - 'open', 'congested' (still usable, penalised)
+ *           or 'blocked' (not a Dijkstra destination)
+ * @property {string} [statusSource] - 'camera' (incoming corridor readings)
+ *           or 'override' (manual edge override)
+ * @property {string} [statusReason] - Why the exit is not open
+ * @property {Date} [statusUpdatedAt] - Last status change
+ */
+const ExitSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true },
+  capacity: { type: Number, min: 1, default: null },
+  status: {
+    type: String,
+    enum: ['open', 'congested', 'blocked'],
+    default: 'open'
+  },
+  statusSource: { type: String, enum: ['camera', 'override'] },
+  statusReason: { type: String },
+  statusUpdatedAt: { type: Date }
+}, { _id: false });
+
 /* ============================================
  * MAIN SCHEMA
  * ============================================ */
@@ -95,7 +177,7 @@ const ScreenSchema = new mongoose.Schema({
  * - Graph structure (nodes and edges) for pathfinding
  * - Camera configurations for hazard detection
  * - Screen locations for evacuation route display
- * - Exit points for Dijkstra's algorithm destinations
+ * - Exit points for Dijkstra's algorithm destinations, with capacity and status
  * - Real-world scale for accurate distance calculations
  */
 const FloorMapSchema = new mongoose.Schema({
@@ -107,6 +189,9 @@ const FloorMapSchema = new mongoose.Schema({
   
   /** @type {string} Human-readable floor name */
   name: { type: String, required: true },
+
+  /** @type {number} Latest configuration version (FloorVersion) - kept by utils/floorVersions.js */
+  configVersion: { type: Number, default: null },
   
   // ─────────────────────────────────────────
   // STATUS MANAGEMENT
@@ -144,16 +229,25 @@ const FloorMapSchema = new mongoose.Schema({
   /**
    * Graph nodes - Locations on the floor (junctions, rooms, exits)
    * Coordinates are in pixels relative to mapImage
+   * 'stairs' and 'elevator' nodes are endpoints for Building connectors
+   * 'refuge' nodes are areas of rescue assistance, used when no exit is reachable
+   * accessible/traversalType drive step-free routing (utils/accessibility.js)
    */
   nodes: [{
     id: { type: String, required: true },
     x: { type: Number, required: true },     // X coordinate in pixels
     y: { type: Number, required: true },     // Y coordinate in pixels
     label: String,                            // Display label
-    type: { 
-      type: String, 
-      enum: ['room', 'hall', 'door', 'entrance', 'exit', 'junction'], 
-      default: 'junction' 
+    type: {
+      type: String,
+      enum: ['room', 'hall', 'door', 'entrance', 'exit', 'junction', 'stairs', 'elevator', 'refuge'],
+      default: 'junction'
+    },
+    accessible: { type: Boolean, default: true },   // Passable without steps
+    traversalType: {
+      type: String,
+      enum: ['level', 'ramp', 'stairs', 'door', 'evac-chair'],
+      default: 'level'
     }
   }],
   
@@ -166,16 +260,61 @@ const FloorMapSchema = new mongoose.Schema({
     from: { type: String, required: true },  // Source node ID
     to: { type: String, required: true },    // Target node ID
     staticWeight: { type: Number, default: 1 },
+
+    // Accessibility - step-free routes skip stairs and inaccessible edges
+    accessible: { type: Boolean, default: true },
+    traversalType: {
+      type: String,
+      enum: ['level', 'ramp', 'stairs', 'door', 'evac-chair'],
+      default: 'level'
+    },
+
+    // Direction relative to from → to (utils/edgeDirection.js);
+    // evacuationDirection replaces it while the floor is in emergency
+    direction: {
+      type: String,
+      enum: ['bidirectional', 'forward', 'reverse'],
+      default: 'bidirectional'
+    },
+    evacuationDirection: {
+      type: String,
+      enum: ['bidirectional', 'forward', 'reverse', null],
+      default: null
+    },
+
+    // Corridor width for crowd density in egress time estimates
+    // (utils/egressTime.js); null = EGRESS_DEFAULT_WIDTH_M
+    widthMeters: { type: Number, default: null },
     
     // Thresholds - When exceeded, route is heavily penalized
     peopleThreshold: { type: Number, default: 10 },   // Max safe crowd count
     fireThreshold: { type: Number, default: 0.7 },    // Max safe fire probability
     smokeThreshold: { type: Number, default: 0.6 },   // Max safe smoke probability
     
-    // Current AI-detected values (updated each capture cycle)
+    // Current AI-detected values (smoothed across capture cycles)
     currentPeopleCount: { type: Number, default: 0 },
     currentFireProb: { type: Number, default: 0 },
-    currentSmokeProb: { type: Number, default: 0 }
+    currentSmokeProb: { type: Number, default: 0 },
+
+    // Predicted values a few minutes ahead - utils/hazardPropagation.js
+    predictedFireProb: { type: Number, default: 0 },
+    predictedSmokeProb: { type: Number, default: 0 },
+
+    // Temporal hazard state - maintained by utils/hazardState.js
+    lastObservedAt: Date,                            // Last successful camera reading
+    missedCycles: { type: Number, default: 0 },      // Cycles since then (held, then decayed)
+    hazardHistory: [{                                // Recent smoothed samples, newest last
+      _id: false,
+      fire: Number,
+      smoke: Number
+    }],
+    hazardTrend: {
+      fire: { type: String, enum: ['rising', 'steady', 'falling'], default: 'steady' },
+      smoke: { type: String, enum: ['rising', 'steady', 'falling'], default: 'steady' }
+    },
+
+    // Manual override by an incident commander - utils/edgeOverrides.js
+    override: { type: EdgeOverrideSchema, default: null }
   }],
   
   // ─────────────────────────────────────────
@@ -183,6 +322,13 @@ const FloorMapSchema = new mongoose.Schema({
   // ─────────────────────────────────────────
   /** Cameras monitoring edges for hazard detection */
   cameras: [CameraSchema],
+
+  /** How readings of several cameras on one edge are combined */
+  cameraAggregation: {
+    type: String,
+    enum: ['max', 'mean', 'weighted'],
+    default: 'max'
+  },
   
   /** Screens displaying evacuation routes (located at nodes) */
   screens: [ScreenSchema],
@@ -200,7 +346,16 @@ const FloorMapSchema = new mongoose.Schema({
   // EXIT POINTS
   // ─────────────────────────────────────────
   /** Node IDs that are valid evacuation exits (Dijkstra destinations) */
-  exitPoints: [{ type: String }]
+  exitPoints: [{ type: String }],
+
+  /** Capacity and live status per exit, kept in sync with exitPoints - utils/exitStatus.js */
+  exits: [ExitSchema],
+
+  // ─────────────────────────────────────────
+  // ROUTING WEIGHTS
+  // ─────────────────────────────────────────
+  /** Weight profile/overrides of this floor, null = active profile (set via /api/settings) */
+  routingWeights: { type: RoutingWeightsOverrideSchema, default: null }
 }, {
   timestamps: true // Adds createdAt and updatedAt
 });
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview FloorVersion Model - Floor Configuration History
+ * @description Keeps a numbered snapshot of a floor's configuration every
+ *              time it is created, updated, imported or rolled back, so a
+ *              broken graph can be compared with and restored to an earlier
+ *              version.
+ *
+ * @requires mongoose - MongoDB ODM
+ *
+ * @example
+ * // Written by utils/floorVersions.js:
+ * await FloorVersion.create({
+ *   floorId: 'floor_1',
+ *   version: 4,
+ *   source: 'update',
+ *   author: 'admin',
+ *   snapshot: { name, nodes, edges, cameras, screens, exitPoints, exits, ... },
+ *   summary: { nodes: 12, edges: 14, cameras: 5, screens: 3, exits: 2 }
+ * });
+ *
+ * @module models/FloorVersion
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * FloorVersion Schema - One entry per configuration change
+ *
+ * @description
+ * Sources:
+ * - 'baseline': state of a floor that existed before versioning, saved
+ *   before its first recorded change
+ * - 'create' / 'update': floor created or edited through /api/floors
+ * - 'import': created or replaced from an export bundle
+ * - 'rollback': an earlier version restored (restoredFrom)
+ *
+ * The snapshot holds configuration only (see floorSnapshot in
+ * utils/floorVersions.js): live camera readings, hazard state, device
+ * status and manual overrides are not versioned.
+ */
+const FloorVersionSchema = new mongoose.Schema({
+  /** @type {string} Floor the version belongs to */
+  floorId: { type: String, required: true },
+
+  /** @type {number} 1, 2, 3 ... per floor */
+  version: { type: Number, required: true },
+
+  /** @type {string} What produced the version */
+  source: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'import', 'rollback'],
+    required: true
+  },
+
+  /** @type {string} Admin ID */
+  author: String,
+
+  /** @type {string} Optional description (e.g. bundle origin) */
+  note: String,
+
+  /** @type {number} Version restored by a 'rollback' */
+  restoredFrom: Number,
+
+  /** Floor configuration at this version */
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  /** Element counts, for listing versions without their snapshots */
+  summary: {
+    nodes: Number,
+    edges: Number,
+    cameras: Number,
+    screens: Number,
+    exits: Number
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  minimize: false   // Keep empty arrays/objects of the snapshot
+});
+
+FloorVersionSchema.index({ floorId: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("FloorVersion", FloorVersionSchema);
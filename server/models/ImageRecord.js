@@ -11,6 +11,7 @@
  * const record = await ImageRecord.create({
  *   cameraId: 'CAM_HALL_01',
  *   edgeId: 'E1',
+ *   edgeIds: ['E1', 'E2'],
  *   floorId: 'floor_1',
  *   localPath: '/local_storage/2026/01/22/floor_1/CAM_HALL_01/frame.jpg',
  *   cloudUrl: 'https://res.cloudinary.com/...',
@@ -24,6 +25,22 @@
 
 import mongoose from "mongoose";
 
+/**
+ * @typedef {Object} AISourceResult
+ * @property {number} peopleCount - People detected by this service
+ * @property {number} fireProb - Fire probability reported by this service
+ * @property {number} smokeProb - Smoke probability reported by this service
+ * @property {number} [confidence] - Self-reported confidence (0-1)
+ * @property {string} [aiModel] - Model that produced the result
+ */
+const AISourceSchema = new mongoose.Schema({
+  peopleCount: Number,
+  fireProb: Number,
+  smokeProb: Number,
+  confidence: Number,
+  aiModel: String
+}, { _id: false });
+
 /**
  * ImageRecord Schema - Camera capture metadata and AI results
  * 
@@ -32,7 +49,9 @@ import mongoose from "mongoose";
  * - Source identification (camera, edge, floor)
  * - Storage locations (local filesystem and cloud)
  * - AI analysis results (people count, fire/smoke probability)
+ * - Per-service results and the fusion that produced them
  * - Processing status for async AI pipeline
+ * - Drill records (scripted readings, no frame) tagged with their DrillRun
  */
 const ImageRecordSchema = new mongoose.Schema({
   // ─────────────────────────────────────────
@@ -41,11 +60,20 @@ const ImageRecordSchema = new mongoose.Schema({
   /** @type {string} Camera that captured this frame */
   cameraId: String,
   
-  /** @type {string} Edge being monitored by this camera */
+  /** @type {string} Primary edge monitored by this camera */
   edgeId: String,
+
+  /** @type {string[]} Every edge this frame's reading was applied to */
+  edgeIds: [String],
   
   /** @type {string} Floor this camera belongs to */
   floorId: String,
+
+  /** @type {boolean} Scripted drill reading - no frame was captured */
+  drill: { type: Boolean, default: false, index: true },
+
+  /** @type {ObjectId} DrillRun the reading was scripted by (drill records only) */
+  drillRun: { type: mongoose.Schema.Types.ObjectId, ref: 'DrillRun', default: null },
   
   // ─────────────────────────────────────────
   // STORAGE PATHS
@@ -78,6 +106,29 @@ const ImageRecordSchema = new mongoose.Schema({
     peopleCount: { type: Number, default: 0 },
     fireProb: { type: Number, default: 0 },
     smokeProb: { type: Number, default: 0 }
+  },
+
+  /**
+   * Raw per-service results behind aiResult (null when a service
+   * was skipped or failed) - see utils/ai/fuseResults.js
+   */
+  aiSources: {
+    local: { type: AISourceSchema, default: null },
+    cloud: { type: AISourceSchema, default: null }
+  },
+
+  /**
+   * How aiResult was fused from aiSources
+   * - strategy: Settings.aiFusion.strategy in effect
+   * - sources: Services that answered ('local', 'cloud')
+   * - disagreement: Fire/smoke differed by more than the threshold
+   * - maxDelta: Largest fire/smoke difference between the services
+   */
+  fusion: {
+    strategy: String,
+    sources: [String],
+    disagreement: { type: Boolean, default: false },
+    maxDelta: { type: Number, default: 0 }
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
@@ -24,6 +24,37 @@
 
 import mongoose from "mongoose";
 
+/**
+ * Manual override on a route edge (utils/edgeOverrides.js)
+ * @property {string} type - 'hazard' | 'exit-unavailable' ('closed' edges are never on a route)
+ * @property {string} [hazardLevel] - Level forced by a 'hazard' override
+ * @property {string} reason - Incident commander's reason
+ */
+const RouteEdgeOverrideSchema = new mongoose.Schema({
+  type: { type: String },
+  hazardLevel: String,
+  reason: String
+}, { _id: false });
+
+/**
+ * Exit status the routes were planned against (utils/exitStatus.js)
+ * @property {string} nodeId - Exit node
+ * @property {string} status - 'open' | 'congested' | 'blocked'
+ * @property {string} [source] - 'camera' | 'override'
+ * @property {string} [reason] - Why the exit is not open
+ * @property {number} [capacity] - Configured or derived capacity
+ * @property {number} [people] - People on the exit's corridors
+ */
+const RouteExitSchema = new mongoose.Schema({
+  nodeId: String,
+  floorId: String,
+  status: { type: String, enum: ['open', 'congested', 'blocked'] },
+  source: String,
+  reason: String,
+  capacity: Number,
+  people: Number
+}, { _id: false });
+
 /**
  * Route Schema - Evacuation route computation results
  * 
@@ -33,6 +64,7 @@ import mongoose from "mongoose";
  * - Each route includes path, distance, and hazard analysis
  * - Emergency flag indicates if any route has threshold violations
  * - Historical data for route playback and analysis
+ * - Drill routes are tagged (drill, drillRun) and kept out of real history
  */
 const RouteSchema = new mongoose.Schema({
   // ─────────────────────────────────────────
@@ -40,9 +72,70 @@ const RouteSchema = new mongoose.Schema({
   // ─────────────────────────────────────────
   /** @type {string} Floor this route set belongs to */
   floorId: String,
+
+  /** @type {string} Building whose combined graph was used (multi-floor only) */
+  buildingId: String,
+
+  /** @type {number} Floor configuration version the routes were computed against (FloorVersion) */
+  floorVersion: { type: Number, default: null },
   
   /** @type {Date} When these routes were computed */
   computedAt: { type: Date, default: Date.now },
+
+  /** @type {boolean} Computed from a drill's scripted hazards, not real readings */
+  drill: { type: Boolean, default: false, index: true },
+
+  /** @type {ObjectId} DrillRun the routes belong to (drill routes only) */
+  drillRun: { type: mongoose.Schema.Types.ObjectId, ref: 'DrillRun', default: null, index: true },
+
+  /** @type {string} Settings routing.mode used for this computation */
+  planningMode: {
+    type: String,
+    enum: ['per-screen', 'capacity-aware'],
+    default: 'per-screen'
+  },
+
+  /** Weight profile used (utils/routingWeights.js) and the weights the floor overrides */
+  routingWeights: {
+    type: {
+      _id: false,
+      profile: String,
+      floorOverrides: [String]
+    },
+    default: null
+  },
+
+  /**
+   * @type {string} 'cycle' (end of capture cycle), 'urgent' (mid-cycle threshold
+   * crossing) or 'override' (manual edge override set/cleared by an admin)
+   */
+  updateType: {
+    type: String,
+    enum: ['cycle', 'urgent', 'override'],
+    default: 'cycle'
+  },
+
+  /** Urgent/override updates only: camera reading or admin action that triggered the re-route */
+  trigger: {
+    type: {
+      _id: false,
+      cameraId: String,                                    // Urgent only
+      source: { type: String, enum: ['local', 'fused', 'drill', 'override'] },  // Reading checked, or 'override'
+      action: { type: String, enum: ['set', 'cleared'] },  // Override only
+      floorId: String,                                     // Override only: floor of the edge
+      overrideType: String,                                // Override only: 'closed' | 'hazard' | 'exit-unavailable'
+      reason: String,                                      // Override only
+      by: String,                                          // Override only: admin ID
+      edges: [{
+        _id: false,
+        edgeId: String,
+        fireProb: Number,
+        smokeProb: Number,
+        exceeded: [String]                                 // 'fire' | 'smoke'
+      }]
+    },
+    default: null
+  },
   
   // ─────────────────────────────────────────
   // ROUTE DATA
@@ -55,8 +148,17 @@ const RouteSchema = new mongoose.Schema({
     /** @type {string} Starting node ID (screen location) */
     startNode: String,
     
-    /** @type {string} Destination exit node ID */
+    /** @type {string} Destination exit node ID (null for shelter-in-place routes) */
     exitNode: String,
+
+    /** @type {boolean} True if no exit is reachable: go to refugeNode (or stay put) and wait */
+    shelterInPlace: { type: Boolean, default: false },
+
+    /** @type {string} Refuge area the route leads to (shelter-in-place only) */
+    refugeNode: String,
+
+    /** @type {string} Refuge area label for screens */
+    refugeLabel: String,
     
     /** @type {string[]} Ordered array of node IDs forming the path */
     path: [String],
@@ -90,14 +192,177 @@ const RouteSchema = new mongoose.Schema({
       fire: Number,             // Fire probability (0-1)
       smoke: Number,            // Smoke probability (0-1)
       thresholdRatio: Number,   // Max ratio vs threshold (>1 = exceeded)
-      distanceMeters: Number    // Physical length of this edge
-    }]
+      rising: Boolean,          // Fire/smoke rising over recent cycles
+      predictedFire: Number,    // Fire probability expected within the horizon
+      predictedSmoke: Number,   // Smoke probability expected within the horizon
+      distanceMeters: Number,   // Physical length of this edge
+      override: { type: RouteEdgeOverrideSchema, default: null }  // Manual override in force
+    }],
+
+    // ─────────────────────────────────────────
+    // MULTI-FLOOR (only set for floors in a Building)
+    // ─────────────────────────────────────────
+    /** @type {boolean} True if the route uses a stairwell/elevator */
+    crossFloor: { type: Boolean, default: false },
+
+    /** @type {string} Floor of the destination exit */
+    exitFloorId: String,
+
+    /** @type {string} Exit label (the exit may be on another floor) */
+    exitLabel: String,
+
+    /**
+     * Route split per floor; each segment ends at the connector taken
+     * to reach the next floor (null on the final segment)
+     */
+    segments: [{
+      floorId: String,
+      floorName: String,
+      level: Number,
+      path: [String],
+      pathLabels: [String],       // Node labels, parallel to path
+      edges: [String],
+      distanceMeters: Number,
+      connector: {
+        ids: [String],              // Connector edge IDs traversed
+        name: String,               // e.g. 'Stairwell B'
+        type: { type: String },     // 'stairs' | 'elevator'
+        direction: String,          // 'up' | 'down'
+        toFloorId: String,
+        toFloorName: String,
+        toLevel: Number
+      }
+    }],
+
+    /** @type {string[]} Human-readable connector steps (and shelter instruction) for screens */
+    instructions: [String],
+
+    /**
+     * Capacity-aware planning only: load this route was planned against
+     * (utilization = assigned people / capacity, >1 = over capacity)
+     */
+    flow: {
+      demand: Number,               // People evacuating from this screen
+      congestedCost: Number,        // Path cost including congestion
+      maxEdgeUtilization: Number,   // Busiest corridor on the path
+      exitUtilization: Number       // Load on the chosen exit
+    },
+
+    /**
+     * Estimated walking time to the exit/refuge (utils/egressTime.js);
+     * null when the floor has no real-world dimensions
+     */
+    egress: {
+      type: {
+        _id: false,
+        seconds: Number,              // With the current crowding
+        freeFlowSeconds: Number,      // On empty corridors
+        bottleneckEdge: String        // Edge losing the most time to crowding
+      },
+      default: null
+    },
+
+    /**
+     * Per-screen mode only: route hysteresis outcome (utils/dijkstra.js).
+     * held = the previous route was kept although `challenger` was
+     * `improvement` (share) cheaper, for `cycles` computations in a row
+     */
+    stability: {
+      type: {
+        _id: false,
+        held: Boolean,
+        reason: {
+          type: String,
+          enum: ['new', 'unchanged', 'unavailable', 'safety', 'better', 'persistent', 'hysteresis']
+        },
+        cycles: Number,
+        challenger: String,           // Exit of the cheaper route not taken yet
+        improvement: Number
+      },
+      default: null
+    },
+
+    // ─────────────────────────────────────────
+    // BACKUP ROUTES
+    // ─────────────────────────────────────────
+    /**
+     * Alternates sharing no edge (or no junction) with the primary route
+     * or each other, ordered by weighted distance. Shown on screens as
+     * "If blocked, use Exit X". Per-edge details are omitted to keep the
+     * broadcast/USRP payload small.
+     */
+    alternates: [{
+      exitNode: String,
+      exitLabel: String,
+      exitFloorId: String,
+      path: [String],
+      edges: [String],
+      distance: Number,
+      distanceMeters: Number,
+      hazardLevel: {
+        type: String,
+        enum: ['safe', 'moderate', 'high', 'critical'],
+        default: 'safe'
+      },
+      exceedsThresholds: { type: Boolean, default: false },
+      disjoint: { type: String, enum: ['edge', 'node'] },  // Disjointness used
+      crossFloor: { type: Boolean, default: false },
+      instructions: [String]
+    }],
+
+    // ─────────────────────────────────────────
+    // STEP-FREE ROUTE
+    // ─────────────────────────────────────────
+    /**
+     * Step-free screens and screens at accessible refuges only (utils/accessibility.js):
+     * route avoiding stairs and inaccessible edges, or leading to a refuge /
+     * evac-chair point when no step-free exit is reachable. No per-edge details.
+     */
+    stepFree: {
+      type: {
+        _id: false,
+        exitNode: String,
+        exitLabel: String,
+        exitFloorId: String,
+        path: [String],
+        edges: [String],
+        distance: Number,
+        distanceMeters: Number,
+        hazardLevel: { type: String, enum: ['safe', 'moderate', 'high', 'critical'] },
+        exceedsThresholds: Boolean,
+        shelterInPlace: Boolean,
+        refugeNode: String,
+        refugeLabel: String,
+        crossFloor: Boolean,
+        instructions: [String],
+        sameAsStandard: Boolean,                  // Standard route is already step-free
+        egressSeconds: Number                     // Estimated walking time (null = unknown)
+      },
+      default: null
+    }
   }],
   
   // ─────────────────────────────────────────
   // FLOOR-LEVEL STATUS
   // ─────────────────────────────────────────
-  /** @type {boolean} True if ANY route has threshold violations */
+  /** Status of every exit the routes were planned against */
+  exits: [RouteExitSchema],
+
+  /** Floor egress estimate: slowest screen's time, and the average over screens */
+  egress: {
+    type: {
+      _id: false,
+      seconds: Number,
+      startNode: String,
+      averageSeconds: Number
+    },
+    default: null
+  },
+
+  /** @type {boolean} True if ANY route is a shelter-in-place route */
+  shelterInPlace: { type: Boolean, default: false },
+
+  /** @type {boolean} True if ANY route has threshold violations or shelters in place */
   emergency: { type: Boolean, default: false },
   
   /** @type {string} Worst hazard level across all routes */
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview RoutingWeightsLog Model - Routing Weight Change History
+ * @description Records every change of the routing weight profiles and of a
+ *              floor's weight overrides, so the weights a route was computed
+ *              with can be traced back after an evacuation.
+ *
+ * @requires mongoose - MongoDB ODM
+ *
+ * @example
+ * // Written by utils/routingWeights.js:
+ * await RoutingWeightsLog.create({
+ *   scope: 'floor',
+ *   floorId: 'floor_1',
+ *   action: 'updated',
+ *   before: null,
+ *   after: { profile: 'hospital', weights: { peopleFactor: 1 } },
+ *   by: 'admin'
+ * });
+ *
+ * @module models/RoutingWeightsLog
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * RoutingWeightsLog Schema - One entry per change
+ *
+ * @description
+ * - scope 'settings': profiles and/or the active profile changed;
+ *   before/after are { activeProfile, profiles }
+ * - scope 'floor': a floor's override changed; before/after are
+ *   { profile, weights } (null = no override)
+ * - action 'updated': set or edited, 'cleared': floor override removed
+ */
+const RoutingWeightsLogSchema = new mongoose.Schema({
+  /** @type {string} What was changed */
+  scope: {
+    type: String,
+    enum: ['settings', 'floor'],
+    required: true
+  },
+
+  /** @type {string} Floor of a 'floor' change */
+  floorId: { type: String, default: null, index: true },
+
+  /** @type {string} What happened */
+  action: {
+    type: String,
+    enum: ['updated', 'cleared'],
+    required: true
+  },
+
+  /** Values before and after the change (see description) */
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  /** @type {string} Admin ID */
+  by: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+export default mongoose.model("RoutingWeightsLog", RoutingWeightsLogSchema);
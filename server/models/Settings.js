@@ -14,6 +14,11 @@
  * ┌─────────────────────────────────────────────────────────────┐
  * │  cloudSync       - Cloud MongoDB synchronization settings   │
  * │  cloudProcessing - Cloud upload & AI processing settings    │
+ * │  routing         - Route planning mode (per-screen / flow)  │
+ * │  routingWeights  - Named Dijkstra weight profiles           │
+ * │  hazardSmoothing - Hazard smoothing, hold/decay and trends  │
+ * │  aiFusion        - How local and cloud AI results combine   │
+ * │  drill           - Evacuation drill mode (scripted hazards) │
  * └─────────────────────────────────────────────────────────────┘
  * 
  * Usage:
@@ -44,6 +49,69 @@ import mongoose from "mongoose";
  * @property {string} [disabledBy] - Who disabled it (admin username or 'system')
  */
 
+/**
+ * @typedef {Object} RoutingSettings
+ * @property {string} mode - 'per-screen' (independent shortest paths) or
+ *                           'capacity-aware' (spread screens by corridor/exit capacity)
+ * @property {number} maxIterations - Re-routing passes for capacity-aware mode
+ */
+
+/**
+ * @typedef {Object} RoutingWeightsSettings
+ * @property {string} activeProfile - Profile every floor is routed with, unless
+ *                                    the floor names another ('default' = environment)
+ * @property {Array<Object>} profiles - [{ name, description, weights }], weights as
+ *                                      in utils/routingWeights.js ROUTING_WEIGHT_LIMITS
+ */
+
+/**
+ * @typedef {Object} HazardSmoothingSettings
+ * @property {boolean} enabled - Carry edge hazard readings across capture cycles
+ * @property {number} alpha - Weight of the newest reading (1 = no smoothing)
+ * @property {number} holdCycles - Missed cycles an edge keeps its last value
+ * @property {number} decayRate - Fraction removed per missed cycle after the hold
+ * @property {number} trendCycles - Cycles a fire/smoke trend is judged over
+ * @property {number} trendMinRise - Minimum increase over those cycles to escalate
+ * @property {boolean} fastAttack - Take fire/smoke readings over the threshold unsmoothed
+ */
+
+/**
+ * @typedef {Object} AIFusionSettings
+ * @property {string} strategy - 'cloud-preferred', 'confidence-weighted',
+ *                               'max-hazard' or 'disagreement'
+ * @property {number} disagreementThreshold - Fire/smoke difference between
+ *                                            local and cloud flagged as disagreement
+ */
+
+/**
+ * @typedef {Object} DrillSettings
+ * @property {boolean} enabled - Scripted hazards replace AI results (see utils/drillMode.js)
+ * @property {ObjectId} [runId] - Running DrillRun
+ * @property {string} [name] - Scenario name of the running drill
+ * @property {Date} [startedAt] - Timeline second 0
+ * @property {string} [startedBy] - Admin who started the drill
+ */
+
+/**
+ * One named set of Dijkstra weights (validated by
+ * utils/validators/routingWeightsValidator.js before it is stored)
+ */
+const RoutingWeightProfileSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  weights: {
+    firePenalty: { type: Number, required: true },
+    smokePenalty: { type: Number, required: true },
+    peoplePenalty: { type: Number, required: true },
+    peopleFactor: { type: Number, required: true },
+    fireFactor: { type: Number, required: true },
+    smokeFactor: { type: Number, required: true },
+    thresholdMultiplier: { type: Number, required: true },
+    predictedFactor: { type: Number, required: true },
+    congestedExitFactor: { type: Number, required: true }
+  }
+}, { _id: false });
+
 const SettingsSchema = new mongoose.Schema({
   // Singleton pattern - only one settings document
   key: { 
@@ -105,6 +173,75 @@ const SettingsSchema = new mongoose.Schema({
       type: String 
     }
   },
+
+  /**
+   * Route Planning Settings
+   * Selects how screens are assigned routes each capture cycle
+   */
+  routing: {
+    mode: {
+      type: String,
+      enum: ['per-screen', 'capacity-aware'],
+      default: 'per-screen'
+    },
+    maxIterations: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 20
+    }
+  },
+
+  /**
+   * Routing Weight Profiles
+   * Penalties and factors of the route computation (see utils/routingWeights.js);
+   * floors may pick another profile or override single weights
+   */
+  routingWeights: {
+    activeProfile: { type: String, default: 'default' },
+    profiles: { type: [RoutingWeightProfileSchema], default: [] }
+  },
+
+  /**
+   * Hazard Smoothing Settings
+   * Controls how edge readings carry over between capture cycles
+   * (see utils/hazardState.js)
+   */
+  hazardSmoothing: {
+    enabled: { type: Boolean, default: true },
+    alpha: { type: Number, default: 0.5, min: 0.05, max: 1 },
+    holdCycles: { type: Number, default: 2, min: 0, max: 10 },
+    decayRate: { type: Number, default: 0.5, min: 0, max: 1 },
+    trendCycles: { type: Number, default: 3, min: 2, max: 10 },
+    trendMinRise: { type: Number, default: 0.1, min: 0, max: 1 },
+    fastAttack: { type: Boolean, default: false }
+  },
+
+  /**
+   * AI Fusion Settings
+   * Controls how local and cloud AI results of a frame are combined
+   * (see utils/ai/fuseResults.js)
+   */
+  aiFusion: {
+    strategy: {
+      type: String,
+      enum: ['cloud-preferred', 'confidence-weighted', 'max-hazard', 'disagreement'],
+      default: 'cloud-preferred'
+    },
+    disagreementThreshold: { type: Number, default: 0.3, min: 0.05, max: 1 }
+  },
+
+  /**
+   * Drill Mode Settings
+   * Set through utils/drillMode.js when a drill starts or ends
+   */
+  drill: {
+    enabled: { type: Boolean, default: false },
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: 'DrillRun', default: null },
+    name: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    startedBy: { type: String, default: null }
+  },
   
   /**
    * Metadata
@@ -154,6 +291,9 @@ SettingsSchema.statics.getSettings = async function() {
       },
       cloudProcessing: {
         enabled: true // Default to enabled
+      },
+      routing: {
+        mode: 'per-screen' // Independent shortest path per screen
       }
     });
     console.log('📋 Created default system settings');
@@ -218,6 +358,74 @@ SettingsSchema.statics.updateSettings = async function(updates, updatedBy = 'adm
     }
   }
   
+  // Handle routing updates
+  if (updates.routing) {
+    if (['per-screen', 'capacity-aware'].includes(updates.routing.mode)) {
+      updateObj['routing.mode'] = updates.routing.mode;
+    }
+    if (typeof updates.routing.maxIterations === 'number') {
+      updateObj['routing.maxIterations'] = Math.max(1, Math.min(20, Math.round(updates.routing.maxIterations)));
+    }
+  }
+
+  // Handle routingWeights updates (validated by the caller)
+  if (updates.routingWeights) {
+    if (typeof updates.routingWeights.activeProfile === 'string') {
+      updateObj['routingWeights.activeProfile'] = updates.routingWeights.activeProfile;
+    }
+    if (Array.isArray(updates.routingWeights.profiles)) {
+      updateObj['routingWeights.profiles'] = updates.routingWeights.profiles;
+    }
+  }
+
+  // Handle hazardSmoothing updates
+  if (updates.hazardSmoothing) {
+    const smoothing = updates.hazardSmoothing;
+    if (typeof smoothing.enabled === 'boolean') {
+      updateObj['hazardSmoothing.enabled'] = smoothing.enabled;
+    }
+    if (typeof smoothing.alpha === 'number') {
+      updateObj['hazardSmoothing.alpha'] = Math.max(0.05, Math.min(1, smoothing.alpha));
+    }
+    if (typeof smoothing.holdCycles === 'number') {
+      updateObj['hazardSmoothing.holdCycles'] = Math.max(0, Math.min(10, Math.round(smoothing.holdCycles)));
+    }
+    if (typeof smoothing.decayRate === 'number') {
+      updateObj['hazardSmoothing.decayRate'] = Math.max(0, Math.min(1, smoothing.decayRate));
+    }
+    if (typeof smoothing.trendCycles === 'number') {
+      updateObj['hazardSmoothing.trendCycles'] = Math.max(2, Math.min(10, Math.round(smoothing.trendCycles)));
+    }
+    if (typeof smoothing.trendMinRise === 'number') {
+      updateObj['hazardSmoothing.trendMinRise'] = Math.max(0, Math.min(1, smoothing.trendMinRise));
+    }
+    if (typeof smoothing.fastAttack === 'boolean') {
+      updateObj['hazardSmoothing.fastAttack'] = smoothing.fastAttack;
+    }
+  }
+
+  // Handle aiFusion updates
+  if (updates.aiFusion) {
+    if (['cloud-preferred', 'confidence-weighted', 'max-hazard', 'disagreement'].includes(updates.aiFusion.strategy)) {
+      updateObj['aiFusion.strategy'] = updates.aiFusion.strategy;
+    }
+    if (typeof updates.aiFusion.disagreementThreshold === 'number') {
+      updateObj['aiFusion.disagreementThreshold'] = Math.max(0.05, Math.min(1, updates.aiFusion.disagreementThreshold));
+    }
+  }
+  
+  // Handle drill updates (start/stop only via utils/drillMode.js)
+  if (updates.drill) {
+    if (typeof updates.drill.enabled === 'boolean') {
+      updateObj['drill.enabled'] = updates.drill.enabled;
+    }
+    ['runId', 'name', 'startedAt', 'startedBy'].forEach(key => {
+      if (updates.drill[key] !== undefined) {
+        updateObj[`drill.${key}`] = updates.drill[key];
+      }
+    });
+  }
+  
   const settings = await this.findOneAndUpdate(
     { key: 'system_settings' },
     { $set: updateObj },
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Building Routes - API Endpoint Definitions
+ * @description Defines multi-floor building endpoints. A building groups
+ *              floors by level and links them with stairwell/elevator
+ *              connectors used for cross-floor evacuation routing.
+ * 
+ * @requires express - Express.js framework
+ * @requires adminAuth - Admin authentication middleware
+ * 
+ * @module routes/buildingRoutes
+ * @author Marcelino Saad
+ * @version 1.0.0
+ * 
+ * @example
+ * // Mount in server.js:
+ * // app.use('/api/buildings', buildingRoutes);
+ */
+
+import express from "express";
+const router = express.Router();
+
+/* ============================================================
+ * MIDDLEWARE IMPORTS
+ * ============================================================ */
+
+/** Admin authentication - validates x-admin-auth header */
+import adminAuth from "../middleware/adminAuth.js";
+
+/* ============================================================
+ * CONTROLLER IMPORTS
+ * ============================================================ */
+
+import getBuildings from "../controllers/buildings/getBuildings.js";
+import getBuilding from "../controllers/buildings/getBuilding.js";
+import createBuilding from "../controllers/buildings/createBuilding.js";
+import updateBuilding from "../controllers/buildings/updateBuilding.js";
+import deleteBuilding from "../controllers/buildings/deleteBuilding.js";
+
+/* ============================================================
+ * APPLY AUTHENTICATION TO ALL ROUTES
+ * ============================================================ */
+
+router.use(adminAuth);
+
+/* ============================================================
+ * BUILDING CRUD ROUTES
+ * ============================================================ */
+
+/**
+ * @route GET /api/buildings
+ * @description Get all buildings
+ * @returns {Object[]} Array of building objects
+ */
+router.route("/").get(getBuildings);
+
+/**
+ * @route GET /api/buildings/:id
+ * @description Get a single building by ID
+ * @param {string} id - Building ID
+ */
+router.route("/:id").get(getBuilding);
+
+/**
+ * @route POST /api/buildings
+ * @description Create a building from existing floors
+ * @body {string} id - Unique building ID
+ * @body {string} name - Building name
+ * @body {Object[]} floors - [{ floorId, level, exteriorExits }]
+ * @body {Object[]} [connectors] - Stairwell/elevator connectors
+ */
+router.route("/").post(createBuilding);
+
+/**
+ * @route PATCH /api/buildings/:id
+ * @description Update building floors, ground level or connectors
+ * @param {string} id - Building ID to update
+ */
+router.route("/:id").patch(updateBuilding);
+
+/**
+ * @route DELETE /api/buildings/:id
+ * @description Delete a building (floors are kept)
+ * @param {string} id - Building ID to delete
+ */
+router.route("/:id").delete(deleteBuilding);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Drill Routes - API Endpoint Definitions
+ * @description Defines evacuation drill history and replay endpoints.
+ *              Drills are started and ended through the settings endpoint
+ *              (PUT /api/settings with a drill object).
+ * 
+ * @requires express - Express.js framework
+ * @requires adminAuth - Admin authentication middleware
+ * 
+ * @module routes/drillRoutes
+ * @author Marcelino Saad
+ * @version 1.0.0
+ * 
+ * @example
+ * // Mount in server.js:
+ * // app.use('/api/drills', drillRoutes);
+ */
+
+import express from "express";
+const router = express.Router();
+
+/* ============================================================
+ * MIDDLEWARE IMPORTS
+ * ============================================================ */
+
+/** Admin authentication - validates x-admin-auth header */
+import adminAuth from "../middleware/adminAuth.js";
+
+/* ============================================================
+ * CONTROLLER IMPORTS
+ * ============================================================ */
+
+import getDrills from "../controllers/drills/getDrills.js";
+import getDrillReplay from "../controllers/drills/getDrillReplay.js";
+
+/* ============================================================
+ * APPLY AUTHENTICATION TO ALL ROUTES
+ * ============================================================ */
+
+router.use(adminAuth);
+
+/* ============================================================
+ * DRILL ROUTES
+ * ============================================================ */
+
+/**
+ * @route GET /api/drills
+ * @description Get all drills, newest first (timelines summarised)
+ * @returns {Object[]} Array of drill objects
+ */
+router.route("/").get(getDrills);
+
+/**
+ * @route GET /api/drills/:id
+ * @description Get a drill with its replay frames
+ * @param {string} id - DrillRun ID
+ * @returns {Object} { run, frames }
+ */
+router.route("/:id").get(getDrillReplay);
+
+export default router;
@@ -3,11 +3,14 @@
  * @description Defines all floor-related API endpoints including:
  *              - Floor CRUD operations
  *              - Status management (floor/camera/screen)
+ *              - Manual edge overrides (closures, forced hazard levels)
+ *              - Export/import bundles and version history
+ *              - Graph integrity analysis
  *              - System-wide operations
  * 
  * @requires express - Express.js framework
  * @requires adminAuth - Admin authentication middleware
- * @requires multerUpload - File upload middleware for floor images
+ * @requires multerUpload - File upload middleware for floor images, CAD drawings and bundles
  * 
  * @module routes/floorRoutes
  * @author Marcelino Saad
@@ -29,7 +32,7 @@ const router = express.Router();
 import adminAuth from "../middleware/adminAuth.js";
 
 /** Multer upload - handles multipart/form-data for floor images */
-import multerUpload from "../middleware/multerUpload.js";
+import multerUpload, { drawingUpload, bundleUpload } from "../middleware/multerUpload.js";
 
 /* ============================================================
  * CONTROLLER IMPORTS - FLOOR CRUD
@@ -40,6 +43,8 @@ import getFloor from "../controllers/floors/getFloor.js";
 import createFloor from "../controllers/floors/createFloor.js";
 import updateFloor from "../controllers/floors/updateFloor.js";
 import deleteFloor from "../controllers/floors/deleteFloor.js";
+import importFloorPlan from "../controllers/floors/importFloorPlan.js";
+import getFloorAnalysis from "../controllers/floors/getFloorAnalysis.js";
 
 /* ============================================================
  * CONTROLLER IMPORTS - STATUS MANAGEMENT
@@ -55,6 +60,29 @@ import {
   resetAllCameras
 } from "../controllers/floors/statusController.js";
 
+/* ============================================================
+ * CONTROLLER IMPORTS - MANUAL OVERRIDES
+ * ============================================================ */
+
+import {
+  getFloorOverrides,
+  getEdgeOverride,
+  setEdgeOverride,
+  clearEdgeOverride
+} from "../controllers/floors/overrideController.js";
+
+/* ============================================================
+ * CONTROLLER IMPORTS - BUNDLES & VERSIONS
+ * ============================================================ */
+
+import { exportFloor, importFloorBundle } from "../controllers/floors/bundleController.js";
+import {
+  getFloorVersions,
+  getFloorVersion,
+  diffFloorVersion,
+  restoreFloorVersion
+} from "../controllers/floors/versionController.js";
+
 /* ============================================================
  * APPLY AUTHENTICATION TO ALL ROUTES
  * All floor routes require admin authentication
@@ -89,6 +117,30 @@ router.post("/system/bulk-status", bulkUpdateStatus);
  */
 router.post("/system/cameras/reset", resetAllCameras);
 
+/**
+ * @route POST /api/floors/import
+ * @description Build a floor proposal from a DXF/SVG drawing (not saved)
+ * @consumes multipart/form-data
+ * @body {File} drawing - .dxf or .svg drawing
+ * @body {string} [floorId] - Prefix for proposed node/edge IDs
+ * @body {string} [units] - Drawing units override (mm, cm, m, in, ft)
+ * @body {string} [hallwayLayers] - Comma-separated hallway layer names
+ * @body {string} [exitLayers] - Comma-separated exit layer names
+ */
+router.post("/import", drawingUpload.single("drawing"), importFloorPlan);
+
+/**
+ * @route POST /api/floors/import/bundle
+ * @description Create or replace a floor from an export bundle
+ * @consumes multipart/form-data
+ * @body {File} bundle - Bundle from GET /api/floors/:floorId/export
+ * @body {string} [targetId] - Floor ID to import as (default: the bundle's)
+ * @body {string} [onExisting=fail] - fail | replace
+ * @body {string} [onIdConflict=fail] - fail | rename
+ * @body {string} [dryRun] - 'true' to only report what would happen
+ */
+router.post("/import/bundle", bundleUpload.single("bundle"), importFloorBundle);
+
 /* ============================================================
  * FLOOR CRUD ROUTES
  * Standard Create, Read, Update, Delete operations
@@ -174,4 +226,104 @@ router.put("/:floorId/screens/:screenId/status", updateScreenStatus);
  */
 router.post("/:floorId/cameras/reset", resetFloorCameras);
 
+/* ============================================================
+ * MANUAL OVERRIDE ROUTES
+ * Incident commander closures, forced hazard levels, unavailable exits
+ * Every change is logged and re-routes the floor immediately
+ * ============================================================ */
+
+/**
+ * @route GET /api/floors/:floorId/overrides
+ * @description List a floor's edge overrides and recent override log
+ * @param {string} floorId - Floor ID
+ * @query {number} [limit=50] - Log entries to return
+ */
+router.get("/:floorId/overrides", getFloorOverrides);
+
+/**
+ * @route GET /api/floors/:floorId/edges/:edgeId/override
+ * @description Get the override of one edge
+ * @param {string} floorId - Parent floor ID
+ * @param {string} edgeId - Edge ID
+ */
+router.get("/:floorId/edges/:edgeId/override", getEdgeOverride);
+
+/**
+ * @route PUT /api/floors/:floorId/edges/:edgeId/override
+ * @description Close an edge, force its hazard level or mark its exit unavailable
+ * @param {string} floorId - Parent floor ID
+ * @param {string} edgeId - Edge ID
+ * @body {string} type - closed | hazard | exit-unavailable
+ * @body {string} [hazardLevel] - Required for type 'hazard'
+ * @body {string} reason - Reason for the override
+ * @body {string} [expiresAt] - ISO expiry (or durationMinutes)
+ * @body {number} [durationMinutes] - Minutes until expiry
+ */
+router.put("/:floorId/edges/:edgeId/override", setEdgeOverride);
+
+/**
+ * @route DELETE /api/floors/:floorId/edges/:edgeId/override
+ * @description Remove an edge override before it expires
+ * @param {string} floorId - Parent floor ID
+ * @param {string} edgeId - Edge ID
+ */
+router.delete("/:floorId/edges/:edgeId/override", clearEdgeOverride);
+
+/* ============================================================
+ * ANALYSIS ROUTES
+ * ============================================================ */
+
+/**
+ * @route GET /api/floors/:floorId/analysis
+ * @description Graph integrity report: unreachable nodes, chokepoints,
+ *              uncovered edges, dead ends, worst-case travel distance
+ * @param {string} floorId - Floor ID
+ */
+router.get("/:floorId/analysis", getFloorAnalysis);
+
+/* ============================================================
+ * EXPORT & VERSION ROUTES
+ * Portable floor bundles and configuration history
+ * ============================================================ */
+
+/**
+ * @route GET /api/floors/:floorId/export
+ * @description Download the floor as a self-contained bundle (JSON + map image)
+ * @param {string} floorId - Floor ID
+ */
+router.get("/:floorId/export", exportFloor);
+
+/**
+ * @route GET /api/floors/:floorId/versions
+ * @description List saved versions of the floor, newest first
+ * @param {string} floorId - Floor ID
+ * @query {number} [limit=50] - Versions to return
+ */
+router.get("/:floorId/versions", getFloorVersions);
+
+/**
+ * @route GET /api/floors/:floorId/versions/:version
+ * @description Get one version with its configuration snapshot
+ * @param {string} floorId - Floor ID
+ * @param {number} version - Version number
+ */
+router.get("/:floorId/versions/:version", getFloorVersion);
+
+/**
+ * @route GET /api/floors/:floorId/versions/:version/diff
+ * @description Changes from a base to the version
+ * @param {string} floorId - Floor ID
+ * @param {number} version - Version number
+ * @query {string} [base] - Version number or 'current' (default: previous version)
+ */
+router.get("/:floorId/versions/:version/diff", diffFloorVersion);
+
+/**
+ * @route POST /api/floors/:floorId/versions/:version/restore
+ * @description Roll the floor back to the version (saved as a new version)
+ * @param {string} floorId - Floor ID
+ * @param {number} version - Version to restore
+ */
+router.post("/:floorId/versions/:version/restore", restoreFloorVersion);
+
 export default router;
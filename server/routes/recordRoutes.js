@@ -49,6 +49,8 @@ router.use(adminAuth);
  * @query {string} floorId - Floor ID (required)
  * @query {string} [startDate] - ISO date string for range start
  * @query {string} [endDate] - ISO date string for range end
+ * @query {string} [drill] - 'true' for drill records instead of real ones
+ * @query {string} [drillRunId] - Records of one drill only
  * @returns {Object[]} Array of image records sorted by timestamp (newest first)
  */
 router.route("/").get(getRecords);
@@ -57,6 +59,8 @@ router.route("/").get(getRecords);
  * @route GET /api/records/latest?floorId=xxx
  * @description Get the most recent image record for a floor
  * @query {string} floorId - Floor ID (required)
+ * @query {string} [drill] - 'true' for drill records instead of real ones
+ * @query {string} [drillRunId] - Records of one drill only
  * @returns {Object} Most recent image record
  */
 router.route("/latest").get(getLatestRecord);
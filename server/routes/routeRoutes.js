@@ -38,6 +38,8 @@ import getLatestRoute from "../controllers/routes/getLatestRoute.js";
  * @route GET /api/routes?floorId=xxx
  * @description Get all computed routes for a floor (historical)
  * @query {string} floorId - Floor ID (required)
+ * @query {string} [drill] - 'true' for drill routes instead of real ones
+ * @query {string} [drillRunId] - Routes of one drill only
  * @returns {Object[]} Array of route objects sorted by computedAt (newest first)
  * @access Public
  */
@@ -47,6 +49,8 @@ router.route("/").get(getRoutes);
  * @route GET /api/routes/latest?floorId=xxx
  * @description Get the most recently computed route for a floor
  * @query {string} floorId - Floor ID (required)
+ * @query {string} [drill] - 'true' for drill routes instead of real ones
+ * @query {string} [drillRunId] - Routes of one drill only
  * @returns {Object} Latest route with per-screen evacuation paths
  * @access Public
  * 
@@ -4,6 +4,7 @@
  *              - Settings retrieval
  *              - Settings update
  *              - Manual sync trigger
+ *              - Per-floor routing weights and weight change history
  * 
  * @requires express - Express.js framework
  * @requires adminAuth - Admin authentication middleware
@@ -34,6 +35,12 @@ import adminAuth from "../middleware/adminAuth.js";
 import getSettings from "../controllers/settings/getSettings.js";
 import updateSettings from "../controllers/settings/updateSettings.js";
 import triggerSync from "../controllers/settings/triggerSync.js";
+import {
+  getFloorRoutingWeights,
+  setFloorRoutingWeights,
+  clearFloorRoutingWeights,
+  getRoutingWeightsHistory
+} from "../controllers/settings/routingWeightsController.js";
 
 /* ============================================================
  * APPLY AUTHENTICATION TO ALL ROUTES
@@ -59,6 +66,8 @@ router.get("/", getSettings);
  * @access  Admin
  * @body    {Object} cloudSync - Cloud sync settings (enabled, intervalHours)
  * @body    {Object} cloudProcessing - Cloud processing settings (enabled, disabledReason)
+ * @body    {Object} routingWeights - Weight profiles ({ activeProfile, profiles: [{ name, description, weights }] })
+ * @body    {Object} drill - Start ({ enabled: true, name, timeline }) or end ({ enabled: false }) a drill
  * @returns {Object} Updated settings
  */
 router.put("/", updateSettings);
@@ -71,4 +80,41 @@ router.put("/", updateSettings);
  */
 router.post("/sync", triggerSync);
 
+/* ============================================================
+ * ROUTING WEIGHT ROUTES
+ * Profiles are edited through PUT /api/settings
+ * ============================================================ */
+
+/**
+ * @route   GET /api/settings/routing-weights/floors
+ * @desc    List every floor's weight override and the weights it is routed with
+ * @access  Admin
+ */
+router.get("/routing-weights/floors", getFloorRoutingWeights);
+
+/**
+ * @route   PUT /api/settings/routing-weights/floors/:floorId
+ * @desc    Set a floor's weight profile and/or single weights
+ * @access  Admin
+ * @body    {string|null} profile - Profile name (null = active profile)
+ * @body    {Object} weights - Weight key -> number (null = from the profile)
+ */
+router.put("/routing-weights/floors/:floorId", setFloorRoutingWeights);
+
+/**
+ * @route   DELETE /api/settings/routing-weights/floors/:floorId
+ * @desc    Remove a floor's weight override
+ * @access  Admin
+ */
+router.delete("/routing-weights/floors/:floorId", clearFloorRoutingWeights);
+
+/**
+ * @route   GET /api/settings/routing-weights/history
+ * @desc    Recent routing weight changes, newest first
+ * @access  Admin
+ * @query   {string} [floorId] - Only changes of this floor
+ * @query   {number} [limit=50] - Entries to return (max 200)
+ */
+router.get("/routing-weights/history", getRoutingWeightsHistory);
+
 export default router;
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Dijkstra Benchmark - Synthetic Floor Graphs
+ * @description Measures route computation on large synthetic grid floors and
+ *              compares the exit-rooted multi-source search against the
+ *              previous per-screen search (rebuilt adjacency + sorted-array
+ *              priority queue), reproduced inline as a baseline.
+ *
+ * @module scripts/benchmarkDijkstra
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @requires ../utils/dijkstra.js - computeShortestPaths, buildWeightedGraph
+ *
+ * @example
+ * npm run bench:dijkstra
+ * npm run bench:dijkstra -- --sizes=10000,50000 --screens=100 --exits=8
+ * npm run bench:dijkstra -- --legacy-max-nodes=0   # skip the baseline
+ *
+ * @description
+ * Options (all optional):
+ * - --sizes: Comma-separated node counts (default 1000,10000,50000)
+ * - --screens: Active screens (start points) per floor (default 50)
+ * - --exits: Exits placed on the floor perimeter (default 6)
+ * - --runs: Timed runs per size, the median is reported (default 3)
+ * - --legacy-max-nodes: Largest graph the baseline runs on (default 10000)
+ * - --seed: PRNG seed for hazards/screens (default 42)
+ * - --alternates: Backup routes per screen, timed separately (default 2)
+ */
+
+import { computeShortestPaths, buildWeightedGraph } from '../utils/dijkstra.js';
+
+/* ============================================================
+ * OPTIONS
+ * ============================================================ */
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(a => a.startsWith('--'))
+    .map(a => {
+      const [key, value] = a.slice(2).split('=');
+      return [key, value ?? 'true'];
+    })
+);
+
+const SIZES = (args.sizes || '1000,10000,50000').split(',').map(Number);
+const SCREENS = parseInt(args.screens || '50', 10);
+const EXITS = parseInt(args.exits || '6', 10);
+const RUNS = parseInt(args.runs || '3', 10);
+const LEGACY_MAX_NODES = parseInt(args['legacy-max-nodes'] ?? '10000', 10);
+const SEED = parseInt(args.seed || '42', 10);
+const ALTERNATES = parseInt(args.alternates ?? '2', 10);
+
+/* ============================================================
+ * SYNTHETIC GRAPH GENERATION
+ * ============================================================ */
+
+/**
+ * Small deterministic PRNG (mulberry32) so runs are comparable.
+ * @param {number} seed - Seed value
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createRandom = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Builds a square-ish corridor grid with random crowd/fire/smoke readings,
+ * exits spread along the perimeter and screens at random interior nodes.
+ *
+ * @param {number} nodeCount - Approximate number of nodes
+ * @param {Function} random - PRNG from createRandom
+ * @returns {Object} { graph, startNodeIds, exitNodeIds }
+ */
+const generateGridFloor = (nodeCount, random) => {
+  const cols = Math.ceil(Math.sqrt(nodeCount));
+  const rows = Math.ceil(nodeCount / cols);
+  const spacing = 20;
+  const nodes = [];
+  const edges = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      nodes.push({ id: `N${r}_${c}`, x: c * spacing, y: r * spacing, type: 'junction' });
+    }
+  }
+
+  const addEdge = (from, to) => {
+    // ~5% of edges carry a hazard reading above some threshold
+    const hazardous = random() < 0.05;
+    edges.push({
+      id: `E${edges.length}`,
+      from,
+      to,
+      staticWeight: 1,
+      peopleThreshold: 10,
+      fireThreshold: 0.7,
+      smokeThreshold: 0.6,
+      currentPeopleCount: Math.floor(random() * (hazardous ? 20 : 8)),
+      currentFireProb: hazardous ? random() : random() * 0.2,
+      currentSmokeProb: hazardous ? random() : random() * 0.2
+    });
+  };
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (c + 1 < cols) addEdge(`N${r}_${c}`, `N${r}_${c + 1}`);
+      if (r + 1 < rows) addEdge(`N${r}_${c}`, `N${r + 1}_${c}`);
+    }
+  }
+
+  // Exits evenly spaced around the perimeter
+  const perimeter = [];
+  for (let c = 0; c < cols; c++) perimeter.push(`N0_${c}`);
+  for (let r = 1; r < rows; r++) perimeter.push(`N${r}_${cols - 1}`);
+  for (let c = cols - 2; c >= 0; c--) perimeter.push(`N${rows - 1}_${c}`);
+  for (let r = rows - 2; r > 0; r--) perimeter.push(`N${r}_0`);
+
+  const exitNodeIds = [];
+  for (let i = 0; i < EXITS; i++) {
+    exitNodeIds.push(perimeter[Math.floor((i * perimeter.length) / EXITS)]);
+  }
+
+  const startNodeIds = [];
+  for (let i = 0; i < SCREENS; i++) {
+    const r = 1 + Math.floor(random() * Math.max(1, rows - 2));
+    const c = 1 + Math.floor(random() * Math.max(1, cols - 2));
+    startNodeIds.push(`N${r}_${c}`);
+  }
+
+  const graph = {
+    nodes,
+    edges,
+    scale: {
+      widthPixels: cols * spacing,
+      heightPixels: rows * spacing,
+      widthMeters: cols * 2,
+      heightMeters: rows * 2
+    }
+  };
+
+  return { graph, startNodeIds, exitNodeIds };
+};
+
+/* ============================================================
+ * LEGACY BASELINE
+ * Per-screen search as computeSingleRoute did it before the
+ * binary heap: adjacency rebuilt for every start point and the
+ * queue sorted on every pop. Edge weights are taken precomputed,
+ * which slightly favours the baseline.
+ * ============================================================ */
+
+/**
+ * Runs the previous per-screen algorithm for every start point.
+ *
+ * @param {Object} graph - Synthetic graph
+ * @param {Map<string, Object>} edgeWeightInfo - Precomputed weights per edge
+ * @param {Array<string>} startNodeIds - Start points
+ * @param {Array<string>} exitNodeIds - Exit points
+ * @returns {Object} { totalMs, distances: startNodeId -> weighted distance }
+ */
+const runLegacyBaseline = (graph, edgeWeightInfo, startNodeIds, exitNodeIds) => {
+  const started = performance.now();
+  const distances = {};
+
+  for (const startNodeId of startNodeIds) {
+    const adj = {};
+    graph.nodes.forEach(n => (adj[n.id] = []));
+    graph.edges.forEach(e => {
+      const weight = edgeWeightInfo.get(e.id).weight;
+      adj[e.from].push({ to: e.to, weight });
+      adj[e.to].push({ to: e.from, weight });
+    });
+
+    const dist = {};
+    const visited = new Set();
+    Object.keys(adj).forEach(k => (dist[k] = Infinity));
+    dist[startNodeId] = 0;
+
+    const pq = [{ id: startNodeId, d: 0 }];
+    let reached = null;
+
+    while (pq.length) {
+      pq.sort((a, b) => a.d - b.d);
+      const current = pq.shift();
+
+      if (visited.has(current.id)) continue;
+      visited.add(current.id);
+
+      if (exitNodeIds.includes(current.id)) {
+        reached = current.id;
+        break;
+      }
+
+      for (const neighbor of adj[current.id]) {
+        if (visited.has(neighbor.to)) continue;
+        const newDist = current.d + neighbor.weight;
+        if (newDist < dist[neighbor.to]) {
+          dist[neighbor.to] = newDist;
+          pq.push({ id: neighbor.to, d: newDist });
+        }
+      }
+    }
+
+    distances[startNodeId] = reached ? dist[reached] : Infinity;
+  }
+
+  return { totalMs: performance.now() - started, distances };
+};
+
+/* ============================================================
+ * BENCHMARK RUNNER
+ * ============================================================ */
+
+/**
+ * Median of a list of numbers.
+ * @param {Array<number>} values - Samples
+ * @returns {number} Median value
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const fmt = (ms) => `${ms.toFixed(2)}ms`.padStart(11);
+
+console.log(`\n🧪 Dijkstra benchmark | screens=${SCREENS} exits=${EXITS} runs=${RUNS} seed=${SEED}\n`);
+
+for (const size of SIZES) {
+  const random = createRandom(SEED + size);
+  const { graph, startNodeIds, exitNodeIds } = generateGridFloor(size, random);
+
+  // Primary routes only, so the comparison with the baseline is like for like
+  const primaryOnly = { alternateCount: 0 };
+
+  // Warm-up run so JIT compilation is not part of the measurement
+  computeShortestPaths(graph, startNodeIds, exitNodeIds, primaryOnly);
+
+  const samples = [];
+  let routes = null;
+  for (let i = 0; i < RUNS; i++) {
+    routes = computeShortestPaths(graph, startNodeIds, exitNodeIds, primaryOnly);
+    samples.push(routes._timing);
+  }
+
+  const pick = (key) => median(samples.map(t => t[key]));
+  const stats = routes._timing.graphStats;
+
+  console.log(`┌─── 🏢 ${stats.nodes} nodes / ${stats.edges} edges / ${stats.arcs} arcs ───`);
+  console.log(`│ Multi-source:  ${fmt(pick('totalMs'))} total | ${routes.length}/${startNodeIds.length} routes`);
+  console.log(`│    ├─ Build:      ${fmt(pick('graphBuildMs'))}`);
+  console.log(`│    ├─ Search:     ${fmt(pick('searchMs'))} (${stats.settledNodes} settled)`);
+  console.log(`│    └─ Extract:    ${fmt(pick('reconstructMs'))}`);
+
+  if (ALTERNATES > 0) {
+    const withAlternates = computeShortestPaths(graph, startNodeIds, exitNodeIds, { alternateCount: ALTERNATES })._timing;
+    console.log(`│ Alternates:    ${fmt(withAlternates.alternatesMs)} extra | ${withAlternates.graphStats.alternates} backup routes`);
+  }
+
+  if (stats.nodes <= LEGACY_MAX_NODES) {
+    const { edgeWeightInfo } = buildWeightedGraph(graph);
+    const legacy = runLegacyBaseline(graph, edgeWeightInfo, startNodeIds, exitNodeIds);
+
+    // Both searches must agree on every screen's shortest distance
+    const mismatches = routes.filter(r =>
+      Math.abs(r.distance - legacy.distances[r.startNode]) > 1e-6 * Math.max(1, r.distance)
+    ).length;
+
+    console.log(`│ Legacy:        ${fmt(legacy.totalMs)} total | speedup ×${(legacy.totalMs / pick('totalMs')).toFixed(1)}`);
+    console.log(`│ Distances:     ${mismatches === 0 ? '✅ identical' : `❌ ${mismatches} mismatches`}`);
+    if (mismatches > 0) process.exitCode = 1;
+  } else {
+    console.log(`│ Legacy:        skipped (> --legacy-max-nodes=${LEGACY_MAX_NODES})`);
+  }
+  console.log(`└────────────────────────────────\n`);
+}
@@ -92,9 +92,12 @@ import floorRoutes from "./routes/floorRoutes.js";
 import routeRoutes from "./routes/routeRoutes.js";
 import recordRoutes from "./routes/recordRoutes.js";
 import settingsRoutes from "./routes/settingsRoutes.js";
+import buildingRoutes from "./routes/buildingRoutes.js";
+import drillRoutes from "./routes/drillRoutes.js";
 import { initSocket } from "./sockets/routeSocket.js";
 import { initScheduler, stopScheduler } from "./utils/periodicJob.js";
 import { initCloudSync, disconnectFromCloud } from "./utils/cloudSync.js";
+import { backfillFloorVersions } from "./utils/floorVersions.js";
 
 // Production middleware
 import logger from "./utils/logger.js";
@@ -251,6 +254,8 @@ app.use("/api/floors", floorRoutes);       // Floor CRUD + status (admin auth re
 app.use("/api/routes", routeRoutes);       // Route retrieval (public)
 app.use("/api/records", recordRoutes);     // Image record retrieval (admin auth required)
 app.use("/api/settings", settingsRoutes);  // System settings (admin auth required)
+app.use("/api/buildings", buildingRoutes); // Multi-floor buildings (admin auth required)
+app.use("/api/drills", drillRoutes);       // Drill history + replay (admin auth required)
 
 // ─────────────────────────────────────────────
 // ERROR HANDLING
@@ -280,6 +285,7 @@ const io = new Server(server, {
 // ─────────────────────────────────────────────
 // SERVICE INITIALIZATION
 // ─────────────────────────────────────────────
+await backfillFloorVersions(); // Baseline versions for floors created before versioning
 await initCloudSync();  // Start periodic cloud MongoDB sync (if enabled)
 initSocket(io);         // Initialize WebSocket event handlers
 initScheduler();        // Start periodic capture → AI → routing pipeline
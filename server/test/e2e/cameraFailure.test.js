@@ -0,0 +1,166 @@
+/**
+ * @fileoverview E2E - Camera Auto-Disable
+ * @description Checks that a camera whose stream keeps failing is disabled
+ *              after CAMERA_FAILURE_THRESHOLD consecutive failed captures,
+ *              that a successful capture resets the count before that, and
+ *              that an AI outage holds the corridor's reading instead.
+ *
+ * @module test/e2e/cameraFailure
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startHarness } from "../helpers/harness.js";
+import { FLOOR_ID, CAMERA_IDS, createFixtureFloor } from "../fixtures/floors.js";
+
+/** @const {number} THRESHOLD - CAMERA_FAILURE_THRESHOLD for this file */
+const THRESHOLD = 2;
+
+/**
+ * Loads a scenario where the north camera's stream goes down at t=0
+ * and, if given, comes back at backAtSec.
+ */
+const northOutage = (harness, backAtSec = null) => {
+  harness.scenario.loadScenario({
+    scenario: {
+      name: "north camera outage",
+      interpolation: "step",
+      cameras: {
+        [CAMERA_IDS.north]: [
+          { at: 0, offline: true },
+          ...(backAtSec !== null ? [{ at: backAtSec, offline: false }] : [])
+        ]
+      }
+    }
+  });
+};
+
+/**
+ * Reads the stored state of a fixture camera.
+ */
+const loadCamera = async (harness, cameraId) => {
+  const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+  return floor.cameras.find(c => c.id === cameraId);
+};
+
+describe("camera auto-disable", () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      cameras: Object.values(CAMERA_IDS),
+      env: { CAMERA_FAILURE_THRESHOLD: String(THRESHOLD) }
+    });
+  });
+
+  after(async () => {
+    await harness?.stop();
+  });
+
+  beforeEach(async () => {
+    await harness.reset();
+    await harness.models.FloorMap.create(createFixtureFloor());
+  });
+
+  it(`disables a camera after ${THRESHOLD} consecutive failed captures`, async () => {
+    northOutage(harness);
+
+    await harness.pipeline.captureCycle();
+    let camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.failureCount, 1);
+    assert.equal(camera.status, "active");
+
+    await harness.pipeline.captureCycle();
+    camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.failureCount, THRESHOLD);
+    assert.equal(camera.status, "error");
+    assert.equal(camera.disabledBy, "system");
+    assert.match(camera.disabledReason, new RegExp(`Auto-disabled after ${THRESHOLD} consecutive failures`));
+
+    // Disabled cameras are skipped: no capture, no new failure, no record
+    await harness.pipeline.captureCycle();
+    camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.failureCount, THRESHOLD);
+
+    const records = await harness.models.ImageRecord.find({ floorId: FLOOR_ID }).lean();
+    assert.equal(records.filter(r => r.cameraId === CAMERA_IDS.north).length, 0);
+    assert.equal(records.filter(r => r.cameraId === CAMERA_IDS.south).length, 3);
+
+    // The floor keeps being routed from the remaining camera
+    const routeDocs = await harness.models.Route.find({ floorId: FLOOR_ID, updateType: "cycle" }).lean();
+    assert.equal(routeDocs.length, 3);
+  });
+
+  it("resets the failure count after a successful capture", async () => {
+    northOutage(harness, 60);
+
+    await harness.pipeline.captureCycle();
+    assert.equal((await loadCamera(harness, CAMERA_IDS.north)).failureCount, 1);
+
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+
+    const camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.failureCount, 0);
+    assert.equal(camera.status, "active");
+    assert.ok(camera.lastSuccess, "lastSuccess recorded");
+  });
+
+  it("does not re-enable an auto-disabled camera whose stream recovers", async () => {
+    northOutage(harness, 60);
+
+    for (let i = 0; i < THRESHOLD; i++) {
+      await harness.pipeline.captureCycle();
+    }
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+
+    const camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.status, "error");
+  });
+
+  it("holds the corridor's last reading while the AI fails, without counting a camera failure", async () => {
+    await harness.models.Settings.updateSettings({ hazardSmoothing: { enabled: true, holdCycles: 2, decayRate: 0.5 } }, "e2e");
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "north AI outage",
+        interpolation: "step",
+        cameras: { [CAMERA_IDS.north]: [{ at: 0, peopleCount: 6, fireProb: 0.5 }, { at: 60, aiOffline: true }] }
+      }
+    });
+    const loadEdge = async () => {
+      const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+      return floor.edges.find(e => e.id === "E2");
+    };
+
+    await harness.pipeline.captureCycle();
+    const observed = await loadEdge();
+    assert.ok(observed.currentFireProb > 0);
+
+    // Frames are captured but no AI answers: the last reading holds
+    harness.scenario.seekScenario(60);
+    for (let i = 0; i < 2; i++) {
+      await harness.pipeline.captureCycle();
+      const held = await loadEdge();
+      assert.equal(held.currentFireProb, observed.currentFireProb);
+      assert.equal(held.currentPeopleCount, observed.currentPeopleCount);
+      assert.equal(held.missedCycles, i + 1);
+    }
+
+    // ...then decays instead of dropping to safe at once
+    await harness.pipeline.captureCycle();
+    const decayed = await loadEdge();
+    assert.equal(decayed.currentFireProb, observed.currentFireProb * 0.5);
+
+    const camera = await loadCamera(harness, CAMERA_IDS.north);
+    assert.equal(camera.status, "active");
+    assert.equal(camera.failureCount, 0);
+
+    // The frames are kept, marked as not analysed
+    const records = await harness.models.ImageRecord.find({ cameraId: CAMERA_IDS.north }).lean();
+    assert.equal(records.length, 4);
+    assert.equal(records.filter(r => !r.processed && r.fusion.sources.length === 0).length, 3);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview E2E - One-Way Edges and Contraflow
+ * @description Checks that an emergency switches edges to their evacuation
+ *              direction so screens can use an entry-only corridor as a way
+ *              out, and that a floor save is rejected when its directions
+ *              would cut a screen off from every exit.
+ *
+ * @module test/e2e/edgeDirections
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { createResponse } from "../helpers/response.js";
+import { FLOOR_ID, CAMERA_IDS, CALM, createFixtureFloor, useFixtureHarness } from "../fixtures/floors.js";
+
+/**
+ * Fixture floor edges with per-edge direction fields.
+ * @param {Object} directions - edgeId -> { direction, evacuationDirection }
+ * @returns {Array<Object>} Edges
+ */
+const edgesWith = (directions) => createFixtureFloor().edges.map(e => ({ ...e, ...directions[e.id] }));
+
+describe("edge directions", () => {
+  // Each test creates the floor with its own edge directions
+  const harness = useFixtureHarness({ floor: null });
+  let updateFloor;
+
+  before(async () => {
+    ({ default: updateFloor } = await import("../../controllers/floors/updateFloor.js"));
+  });
+
+  it("opens an entry-only corridor as a way out once the floor is in emergency", async () => {
+    // South corridor is entry-only (EXIT_S -> LOBBY) and reversed in an emergency
+    const contraflow = { direction: "reverse", evacuationDirection: "forward" };
+    await harness.models.FloorMap.create(createFixtureFloor({
+      edges: edgesWith({ E3: contraflow, E4: contraflow })
+    }));
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "north fire",
+        interpolation: "step",
+        defaults: CALM,
+        cameras: { [CAMERA_IDS.north]: [{ at: 0 }, { at: 60, fireProb: 0.9 }] }
+      }
+    });
+
+    await harness.pipeline.captureCycle();
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+
+    const routeDocs = await harness.models.Route.find({ floorId: FLOOR_ID, updateType: "cycle" })
+      .sort({ computedAt: 1 })
+      .lean();
+    assert.equal(routeDocs.length, 2);
+
+    const [calm, fire] = routeDocs;
+    assert.equal(calm.emergency, false);
+    assert.deepEqual(calm.routes[0].path, ["LOBBY", "HALL_N", "EXIT_N"]);
+
+    assert.equal(fire.emergency, true);
+    assert.equal(fire.routes[0].exitNode, "EXIT_S");
+    assert.deepEqual(fire.routes[0].path, ["LOBBY", "HALL_S", "EXIT_S"]);
+  });
+
+  it("rejects a floor save whose one-way edges cut a screen off", async () => {
+    await harness.models.FloorMap.create(createFixtureFloor());
+
+    // Both corridors out of the lobby lead towards it only
+    const oneWay = { direction: "reverse" };
+    const res = createResponse();
+    await updateFloor({ params: { id: FLOOR_ID }, body: { edges: edgesWith({ E1: oneWay, E3: oneWay }) } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.data.message, /Screen at 'LOBBY' cannot reach any exit because of one-way edges/);
+
+    const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+    assert.ok(floor.edges.every(e => e.direction === "bidirectional"), "stored edges unchanged");
+  });
+
+  it("rejects a floor save whose evacuation directions cut a screen off", async () => {
+    await harness.models.FloorMap.create(createFixtureFloor());
+
+    const closedInEmergency = { evacuationDirection: "reverse" };
+    const res = createResponse();
+    await updateFloor({
+      params: { id: FLOOR_ID },
+      body: { edges: edgesWith({ E1: closedInEmergency, E3: closedInEmergency }) }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.data.message, /Screen at 'LOBBY' cannot reach any exit with the evacuation directions/);
+
+    const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+    assert.ok(floor.edges.every(e => !e.evacuationDirection), "stored edges unchanged");
+  });
+});
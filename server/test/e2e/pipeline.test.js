@@ -0,0 +1,181 @@
+/**
+ * @fileoverview E2E - Capture → Route → Broadcast Pipeline
+ * @description Runs captureCycle against the fixture floor with scripted
+ *              mock AI readings and checks the persisted Route documents,
+ *              image records and the 'floor-routes' events a screen receives.
+ *
+ * @module test/e2e/pipeline
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FLOOR_ID, CAMERA_IDS, CALM, createFixtureFloor, useFixtureHarness } from "../fixtures/floors.js";
+
+describe("capture → route → broadcast", () => {
+  const harness = useFixtureHarness();
+
+  it("routes the screen to the nearest exit, persists it and broadcasts it", async () => {
+    harness.scenario.loadScenario({
+      scenario: { name: "calm", defaults: CALM, cameras: { [CAMERA_IDS.north]: [{ at: 0 }] } }
+    });
+    const screen = await harness.connectScreen(FLOOR_ID);
+
+    await harness.pipeline.captureCycle();
+
+    const routeDoc = await harness.models.Route.findOne({ floorId: FLOOR_ID, updateType: "cycle" }).lean();
+    assert.ok(routeDoc, "cycle Route document saved");
+    assert.equal(routeDoc.routes.length, 1);
+    assert.equal(routeDoc.routes[0].startNode, "LOBBY");
+    assert.equal(routeDoc.routes[0].exitNode, "EXIT_N");
+    assert.deepEqual(routeDoc.routes[0].path, ["LOBBY", "HALL_N", "EXIT_N"]);
+    assert.equal(routeDoc.overallHazardLevel, "safe");
+    assert.equal(routeDoc.emergency, false);
+
+    const payload = await screen.waitFor(p => p.updateType === "cycle");
+    assert.equal(payload.floorId, FLOOR_ID);
+    assert.equal(payload.totalRoutes, 1);
+    assert.equal(payload.routes[0].exitNode, "EXIT_N");
+    assert.equal(payload.emergency, false);
+
+    const records = await harness.models.ImageRecord.find({ floorId: FLOOR_ID }).lean();
+    assert.deepEqual(records.map(r => r.cameraId).sort(), Object.values(CAMERA_IDS).sort());
+    for (const record of records) {
+      assert.equal(record.processed, true);
+      assert.equal(record.aiResult.peopleCount, CALM.peopleCount);
+      assert.equal(record.aiResult.fireProb, 0);
+    }
+  });
+
+  it("re-routes away from a corridor the AI sees on fire", async () => {
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "north exit fire",
+        defaults: CALM,
+        cameras: { [CAMERA_IDS.north]: [{ at: 0 }, { at: 60, fireProb: 0.9, smokeProb: 0.8 }] }
+      }
+    });
+    harness.scenario.seekScenario(60);
+    const screen = await harness.connectScreen(FLOOR_ID);
+
+    await harness.pipeline.captureCycle();
+
+    const routeDoc = await harness.models.Route.findOne({ floorId: FLOOR_ID, updateType: "cycle" }).lean();
+    assert.equal(routeDoc.routes[0].exitNode, "EXIT_S");
+    assert.deepEqual(routeDoc.routes[0].path, ["LOBBY", "HALL_S", "EXIT_S"]);
+
+    const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+    const burning = floor.edges.find(e => e.id === "E2");
+    assert.equal(burning.currentFireProb, 0.9);
+    assert.equal(burning.currentSmokeProb, 0.8);
+
+    // The local AI reading re-routes the floor before the cycle ends
+    const urgent = await screen.waitFor(p => p.updateType === "urgent");
+    assert.equal(urgent.trigger.cameraId, CAMERA_IDS.north);
+    assert.equal(urgent.trigger.edges[0].edgeId, "E2");
+    assert.equal(urgent.routes[0].exitNode, "EXIT_S");
+
+    const cycle = await screen.waitFor(p => p.updateType === "cycle");
+    assert.equal(cycle.routes[0].exitNode, "EXIT_S");
+    assert.ok(
+      screen.events.indexOf(urgent) < screen.events.indexOf(cycle),
+      "urgent update is broadcast before the end-of-cycle update"
+    );
+  });
+
+  /**
+   * Turns smoothing on and makes the south route long enough that only a
+   * threshold crossing on E2 makes it the better one (cost 200 vs 800)
+   * @param {boolean} fastAttack - hazardSmoothing.fastAttack
+   */
+  const useLongSouthRoute = async (fastAttack) => {
+    await harness.models.Settings.updateSettings({ hazardSmoothing: { enabled: true, fastAttack } }, "e2e");
+    await harness.models.FloorMap.deleteOne({ id: FLOOR_ID });
+    const fixture = createFixtureFloor();
+    await harness.models.FloorMap.create(createFixtureFloor({
+      edges: fixture.edges.map(e => (["E3", "E4"].includes(e.id) ? { ...e, staticWeight: 4 } : e))
+    }));
+  };
+
+  it("keeps the urgent route at the end of the cycle when the edge was observed clear before", async () => {
+    await useLongSouthRoute(true);
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "fire after a clear reading",
+        interpolation: "step",
+        defaults: CALM,
+        cameras: { [CAMERA_IDS.north]: [{ at: 0 }, { at: 60, fireProb: 0.9 }] }
+      }
+    });
+    const screen = await harness.connectScreen(FLOOR_ID);
+
+    await harness.pipeline.captureCycle();
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+    await harness.pipeline.captureCycle();
+
+    const urgent = await screen.waitFor(p => p.updateType === "urgent");
+    assert.equal(urgent.routes[0].exitNode, "EXIT_S");
+
+    // A reading over the threshold is not averaged down (0.45) below it
+    const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+    assert.equal(floor.edges.find(e => e.id === "E2").currentFireProb, 0.9);
+
+    const routeDocs = await harness.models.Route.find({ floorId: FLOOR_ID }).sort({ computedAt: 1 }).lean();
+    assert.deepEqual(
+      routeDocs.map(doc => `${doc.updateType}:${doc.routes[0].exitNode}`),
+      ["cycle:EXIT_N", "urgent:EXIT_S", "cycle:EXIT_S", "cycle:EXIT_S"],
+      "one urgent update, and the end-of-cycle updates never route back through the fire"
+    );
+  });
+
+  it("averages a single over-threshold frame in unless fast attack is on", async () => {
+    await useLongSouthRoute(false);
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "one noisy frame",
+        interpolation: "step",
+        defaults: CALM,
+        cameras: { [CAMERA_IDS.north]: [{ at: 0 }, { at: 60, fireProb: 0.9 }, { at: 120, fireProb: 0 }] }
+      }
+    });
+
+    await harness.pipeline.captureCycle();
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+
+    const floor = await harness.models.FloorMap.findOne({ id: FLOOR_ID }).lean();
+    assert.equal(floor.edges.find(e => e.id === "E2").currentFireProb, 0.45);
+
+    harness.scenario.seekScenario(120);
+    await harness.pipeline.captureCycle();
+
+    const routeDocs = await harness.models.Route.find({ floorId: FLOOR_ID }).sort({ computedAt: 1 }).lean();
+    assert.deepEqual(
+      routeDocs.map(doc => `${doc.updateType}:${doc.routes[0].exitNode}`),
+      ["cycle:EXIT_N", "urgent:EXIT_S", "cycle:EXIT_N", "cycle:EXIT_N"],
+      "the frame still triggers an urgent update, but the end-of-cycle route stays on the nearest exit"
+    );
+  });
+
+  it("returns to the nearest exit once the fire is gone", async () => {
+    harness.scenario.loadScenario({
+      scenario: {
+        name: "fire put out",
+        interpolation: "step",
+        defaults: CALM,
+        cameras: { [CAMERA_IDS.north]: [{ at: 0, fireProb: 0.9 }, { at: 60, fireProb: 0 }] }
+      }
+    });
+
+    await harness.pipeline.captureCycle();
+    harness.scenario.seekScenario(60);
+    await harness.pipeline.captureCycle();
+
+    const routeDocs = await harness.models.Route.find({ floorId: FLOOR_ID, updateType: "cycle" })
+      .sort({ computedAt: 1 })
+      .lean();
+    assert.deepEqual(routeDocs.map(doc => doc.routes[0].exitNode), ["EXIT_S", "EXIT_N"]);
+  });
+});
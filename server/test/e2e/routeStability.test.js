@@ -0,0 +1,118 @@
+/**
+ * @fileoverview E2E - Route Stability (Hysteresis)
+ * @description Runs capture cycles with scripted people counts and checks
+ *              that a screen keeps its route against a marginally cheaper
+ *              one, switches for a clearly better or persistently cheaper
+ *              one, and leaves an unsafe route at once.
+ *
+ * @module test/e2e/routeStability
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { FLOOR_ID, CAMERA_IDS, CALM, createFixtureFloor, useFixtureHarness } from "../fixtures/floors.js";
+
+/** @const {Object} ENV - Route hysteresis configuration of these tests */
+const ENV = { DIJKSTRA_HYSTERESIS_MARGIN: "0.1", DIJKSTRA_HYSTERESIS_CYCLES: "3" };
+
+/**
+ * Fixture floor with both exits equally far (cost 200 each), so the people
+ * on E2 decide: 4 people make the south exit ~4.5% cheaper (held), 8 people
+ * ~12.5% cheaper (beyond the 10% margin).
+ */
+const createBalancedFloor = () => {
+  const fixture = createFixtureFloor();
+  return createFixtureFloor({
+    edges: fixture.edges.map(e => ({ ...e, staticWeight: 1 }))
+  });
+};
+
+describe("route stability", () => {
+  const harness = useFixtureHarness({ env: ENV, floor: createBalancedFloor });
+
+  /** Scripts the north camera (E2); the south camera stays calm */
+  const north = (reading) => harness.scenario.loadScenario({
+    scenario: { name: "north reading", defaults: CALM, cameras: { [CAMERA_IDS.north]: [{ at: 0, ...reading }] } }
+  });
+
+  /** Runs one capture cycle and returns the lobby screen's cycle route */
+  const cycle = async () => {
+    await harness.pipeline.captureCycle();
+    const routeDoc = await harness.models.Route.findOne({ floorId: FLOOR_ID, updateType: "cycle" })
+      .sort({ computedAt: -1 })
+      .lean();
+    return routeDoc.routes[0];
+  };
+
+  beforeEach(async () => {
+    north({});
+    const first = await cycle();
+    assert.equal(first.exitNode, "EXIT_N");
+  });
+
+  it("holds the route while the other exit is only marginally cheaper", async () => {
+    north({ peopleCount: 4 });
+    const route = await cycle();
+
+    assert.equal(route.exitNode, "EXIT_N");
+    assert.equal(route.stability.held, true);
+    assert.equal(route.stability.reason, "hysteresis");
+    assert.equal(route.stability.cycles, 1);
+    assert.equal(route.stability.challenger, "EXIT_S");
+    assert.ok(route.stability.improvement > 0 && route.stability.improvement < 0.1);
+  });
+
+  it("switches at once when the other exit is cheaper by more than the margin", async () => {
+    north({ peopleCount: 8 });
+    const route = await cycle();
+
+    assert.equal(route.exitNode, "EXIT_S");
+    assert.equal(route.stability.held, false);
+    assert.equal(route.stability.reason, "better");
+  });
+
+  it("switches once the cheaper exit has won for DIJKSTRA_HYSTERESIS_CYCLES cycles", async () => {
+    north({ peopleCount: 4 });
+    const routes = [await cycle(), await cycle(), await cycle()];
+
+    assert.deepEqual(
+      routes.map(r => `${r.exitNode}:${r.stability.reason}:${r.stability.cycles}`),
+      ["EXIT_N:hysteresis:1", "EXIT_N:hysteresis:2", "EXIT_S:persistent:3"]
+    );
+  });
+
+  it("leaves a route over a threshold at once, whatever the margin", async () => {
+    north({ fireProb: 0.9 });
+    const route = await cycle();
+
+    assert.equal(route.exitNode, "EXIT_S");
+    assert.equal(route.stability.reason, "safety");
+  });
+
+  it("counts capture cycles only, not the re-routes in between", async () => {
+    north({ peopleCount: 4 });
+    assert.equal((await cycle()).stability.cycles, 1);
+
+    // Two override re-routes would otherwise complete the 3 computations
+    const trigger = { source: "override", action: "set", floorId: FLOOR_ID, overrideType: "hazard", reason: "e2e", by: "e2e" };
+    await harness.pipeline.rerouteNow(FLOOR_ID, trigger);
+    await harness.pipeline.rerouteNow(FLOOR_ID, trigger);
+
+    const overrideDocs = await harness.models.Route.find({ floorId: FLOOR_ID, updateType: "override" }).lean();
+    assert.equal(overrideDocs.length, 2);
+    for (const doc of overrideDocs) {
+      assert.equal(doc.routes[0].exitNode, "EXIT_N");
+      assert.equal(doc.routes[0].stability.cycles, 2);
+    }
+
+    const second = await cycle();
+    assert.equal(second.exitNode, "EXIT_N");
+    assert.equal(second.stability.cycles, 2);
+
+    const third = await cycle();
+    assert.equal(third.exitNode, "EXIT_S");
+    assert.equal(third.stability.reason, "persistent");
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview E2E - Routing Weight Profiles
+ * @description Checks which weights a capture cycle routes with: the active
+ *              profile, a floor's own profile and its single-factor
+ *              overrides, and the 'default' profile once a floor's profile
+ *              is gone. Floor changes go through the settings controller
+ *              and must apply from the next cycle.
+ *
+ * @module test/e2e/routingWeights
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createResponse } from "../helpers/response.js";
+import { FLOOR_ID, CAMERA_IDS, CALM, useFixtureHarness } from "../fixtures/floors.js";
+
+/**
+ * @const {number} CROWD_FACTOR - peopleFactor at which 9 people on E2 make
+ *        the north route (cost 2 + 0.9 × factor) dearer than the south one
+ *        (4 + 0.4 × factor); at the built-in 0.5 the north exit wins
+ */
+const CROWD_FACTOR = 10;
+
+describe("routing weight profiles", () => {
+  const harness = useFixtureHarness();
+  let defaults;
+  let setFloorRoutingWeights;
+
+  /** Profile with the built-in weights and the given changes */
+  const profile = (name, weights) => ({ name, description: "", weights: { ...defaults, ...weights } });
+
+  /** Saves a floor's weights through the settings API controller */
+  const setFloorWeights = async (body) => {
+    const res = createResponse();
+    await setFloorRoutingWeights({ params: { floorId: FLOOR_ID }, body }, res);
+    assert.equal(res.statusCode, 200, res.body?.data?.message);
+  };
+
+  /** Runs one capture cycle and returns its Route document */
+  const cycle = async () => {
+    await harness.pipeline.captureCycle();
+    return harness.models.Route.findOne({ floorId: FLOOR_ID, updateType: "cycle" })
+      .sort({ computedAt: -1 })
+      .lean();
+  };
+
+  before(async () => {
+    ({ DEFAULT_ROUTING_WEIGHTS: defaults } = await import("../../utils/routingWeights.js"));
+    ({ setFloorRoutingWeights } = await import("../../controllers/settings/routingWeightsController.js"));
+  });
+
+  beforeEach(async () => {
+    harness.scenario.loadScenario({
+      scenario: { name: "busy north", defaults: CALM, cameras: { [CAMERA_IDS.north]: [{ at: 0, peopleCount: 9 }] } }
+    });
+    await harness.models.Settings.updateSettings({
+      routingWeights: {
+        activeProfile: "crowd-averse",
+        profiles: [profile("crowd-averse", { peopleFactor: CROWD_FACTOR }), profile("distance", {})]
+      }
+    }, "e2e");
+  });
+
+  it("resolves the active profile, then the floor's profile, then the floor's own weights", async () => {
+    const active = await cycle();
+    assert.deepEqual(active.routingWeights, { profile: "crowd-averse", floorOverrides: [] });
+    assert.equal(active.routes[0].exitNode, "EXIT_S");
+
+    await setFloorWeights({ profile: "distance" });
+    const floorProfile = await cycle();
+    assert.deepEqual(floorProfile.routingWeights, { profile: "distance", floorOverrides: [] });
+    assert.equal(floorProfile.routes[0].exitNode, "EXIT_N");
+
+    await setFloorWeights({ profile: "distance", weights: { peopleFactor: CROWD_FACTOR } });
+    const floorWeights = await cycle();
+    assert.deepEqual(floorWeights.routingWeights, { profile: "distance", floorOverrides: ["peopleFactor"] });
+    assert.equal(floorWeights.routes[0].exitNode, "EXIT_S");
+  });
+
+  it("falls back to the 'default' profile once the floor's profile is gone", async () => {
+    await setFloorWeights({ profile: "crowd-averse" });
+    assert.equal((await cycle()).routingWeights.profile, "crowd-averse");
+
+    // The settings API refuses to delete a profile in use; a restored or
+    // hand-edited settings document can still drop it
+    await harness.models.Settings.updateSettings({
+      routingWeights: { activeProfile: "distance", profiles: [profile("distance", {})] }
+    }, "e2e");
+
+    const fallback = await cycle();
+    assert.deepEqual(fallback.routingWeights, { profile: "default", floorOverrides: [] });
+    assert.equal(fallback.routes[0].exitNode, "EXIT_N");
+  });
+
+  it("applies a floor override from the next capture cycle", async () => {
+    await harness.models.Settings.updateSettings({ routingWeights: { activeProfile: "distance" } }, "e2e");
+    assert.equal((await cycle()).routes[0].exitNode, "EXIT_N");
+
+    await setFloorWeights({ weights: { peopleFactor: CROWD_FACTOR } });
+    const unchanged = await harness.models.Route.countDocuments({ floorId: FLOOR_ID });
+    assert.equal(unchanged, 1, "saving the override does not re-route by itself");
+
+    const next = await cycle();
+    assert.deepEqual(next.routingWeights, { profile: "distance", floorOverrides: ["peopleFactor"] });
+    assert.equal(next.routes[0].exitNode, "EXIT_S");
+  });
+});
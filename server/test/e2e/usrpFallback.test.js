@@ -0,0 +1,90 @@
+/**
+ * @fileoverview E2E - USRP Fallback Decision
+ * @description Checks that routes go out over USRP (fake transmitter) only
+ *              for floors without a connected screen, and that a failed
+ *              transmission does not stop the floor from being routed.
+ *
+ * @module test/e2e/usrpFallback
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startHarness } from "../helpers/harness.js";
+import { FLOOR_ID, CAMERA_IDS, createFixtureFloor } from "../fixtures/floors.js";
+
+/** @const {string} SECOND_FLOOR_ID - Camera-less copy of the fixture floor */
+const SECOND_FLOOR_ID = "e2e_floor_2";
+
+describe("USRP fallback", () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ cameras: Object.values(CAMERA_IDS) });
+  });
+
+  after(async () => {
+    await harness?.stop();
+  });
+
+  beforeEach(async () => {
+    await harness.reset();
+    await harness.models.FloorMap.create(createFixtureFloor());
+    delete process.env.FAKE_USRP_EXIT_CODE;
+  });
+
+  it("transmits a floor's routes via USRP when none of its screens is connected", async () => {
+    await harness.pipeline.captureCycle();
+
+    const transmissions = harness.usrpTransmissions();
+    assert.equal(transmissions.length, 1);
+    assert.equal(transmissions[0].floorId, FLOOR_ID);
+    assert.equal(transmissions[0].updateType, "cycle");
+    assert.equal(transmissions[0].totalRoutes, 1);
+    assert.equal(transmissions[0].routes[0].startNode, "LOBBY");
+  });
+
+  it("skips USRP while a screen of the floor is connected", async () => {
+    const screen = await harness.connectScreen(FLOOR_ID);
+
+    await harness.pipeline.captureCycle();
+
+    assert.equal(harness.usrpTransmissions().length, 0);
+    await screen.waitFor(p => p.updateType === "cycle");
+  });
+
+  it("falls back again once the floor's last screen disconnects", async () => {
+    const screen = await harness.connectScreen(FLOOR_ID);
+    await harness.pipeline.captureCycle();
+    await screen.close();
+
+    await harness.pipeline.captureCycle();
+
+    assert.equal(harness.usrpTransmissions().length, 1);
+  });
+
+  it("decides per floor: only floors without a connected screen use USRP", async () => {
+    await harness.models.FloorMap.create(createFixtureFloor({
+      id: SECOND_FLOOR_ID,
+      name: "E2E First Floor",
+      cameras: []
+    }));
+    await harness.connectScreen(FLOOR_ID);
+
+    await harness.pipeline.captureCycle();
+
+    const transmissions = harness.usrpTransmissions();
+    assert.deepEqual(transmissions.map(t => t.floorId), [SECOND_FLOOR_ID]);
+  });
+
+  it("still saves the routes when the transmission fails", async () => {
+    process.env.FAKE_USRP_EXIT_CODE = "1";
+
+    await harness.pipeline.captureCycle();
+
+    assert.equal(harness.usrpTransmissions().length, 1, "transmission attempted");
+    const routeDoc = await harness.models.Route.findOne({ floorId: FLOOR_ID, updateType: "cycle" }).lean();
+    assert.ok(routeDoc, "cycle Route document saved");
+  });
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Fake FFmpeg Frame Source
+ * @description Stands in for the ffmpeg binary during the e2e tests
+ *              (FFMPEG_PATH). Instead of decoding an RTSP stream it downloads
+ *              the frame served by the mock RTSP service and writes it to the
+ *              output path, so a camera fails exactly when the mock does
+ *              (scenario outage, unknown camera).
+ *
+ * @module test/fakes/ffmpeg
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @description
+ * Invocations by fluent-ffmpeg:
+ * - Capability probes (-formats, -encoders, ...): empty list, exit 0
+ * - Capture: ffmpeg -i <url> ... <outPath> → frame written, exit 0;
+ *   the stream is unavailable → message on stderr, exit 1
+ */
+
+import fs from "fs";
+
+const args = process.argv.slice(2);
+
+// Capability probes - nothing to report
+if (!args.includes("-i")) process.exit(0);
+
+const input = args[args.indexOf("-i") + 1];
+const outPath = args[args.length - 1];
+
+try {
+  const res = await fetch(input);
+  if (!res.ok) {
+    console.error(`${input}: Server returned ${res.status} ${res.statusText}`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(outPath, Buffer.from(await res.arrayBuffer()));
+} catch (err) {
+  console.error(`${input}: ${err.message}`);
+  process.exit(1);
+}
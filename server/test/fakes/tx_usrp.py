@@ -0,0 +1,25 @@
+#!/usr/bin/env python3
+"""
+Fake USRP transmitter for the e2e tests (USRP_TX_SCRIPT).
+
+Instead of transmitting results.json over the radio, appends its JSON
+payload (padding stripped) as one line to FAKE_USRP_LOG, so the tests
+can check which floors fell back to USRP and what was sent.
+
+FAKE_USRP_EXIT_CODE (default 0) simulates a failed transmission.
+"""
+
+import json
+import os
+import sys
+
+with open(os.environ["USRP_TX_DATA_FILE"], encoding="utf-8") as f:
+    text = f.read()
+
+payload = json.loads(text[text.index("{"):text.rindex("}") + 1])
+
+with open(os.environ["FAKE_USRP_LOG"], "a", encoding="utf-8") as log:
+    log.write(json.dumps(payload) + "\n")
+
+print(f"fake transmission of {payload.get('floorId')} ({len(payload.get('routes', []))} routes)")
+sys.exit(int(os.environ.get("FAKE_USRP_EXIT_CODE", "0")))
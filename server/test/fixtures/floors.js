@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Test Fixture Floors
+ * @description Small floors with known shortest routes for the e2e and unit
+ *              tests, and the harness hooks of the e2e suites that use them.
+ *
+ * @module test/fixtures/floors
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports FLOOR_ID - ID of the fixture floor
+ * @exports CAMERA_IDS - Cameras of the fixture floor
+ * @exports createFixtureFloor - FloorMap document data of the fixture floor
+ * @exports CALM - Scenario defaults with no hazard
+ * @exports useFixtureHarness - Harness hooks of a suite on the fixture floor
+ */
+
+import { before, after, beforeEach } from "node:test";
+
+/** @const {string} FLOOR_ID - Fixture floor ID */
+export const FLOOR_ID = "e2e_floor_1";
+
+/** @const {Object} CALM - Every camera sees a few people, no fire or smoke */
+export const CALM = { peopleCount: 2, fireProb: 0, smokeProb: 0 };
+
+/** @const {Object} CAMERA_IDS - Camera per corridor to an exit */
+export const CAMERA_IDS = {
+  north: "CAM_E2E_NORTH",
+  south: "CAM_E2E_SOUTH"
+};
+
+/**
+ * Lobby screen with two ways out:
+ *
+ *   EXIT_N ──E2── HALL_N ──E1── LOBBY ──E3── HALL_S ──E4── EXIT_S
+ *           (1)           (1)  [screen] (2)          (2)
+ *
+ * All corridors are 100px long (staticWeight in brackets), so the north
+ * exit is the shortest route (cost 200 vs 400). CAM_E2E_NORTH
+ * watches E2 and CAM_E2E_SOUTH watches E4; both use RTSP_TEMPLATE.
+ *
+ * @function createFixtureFloor
+ * @param {Object} [overrides] - Fields replacing the defaults
+ * @returns {Object} FloorMap document data
+ */
+export const createFixtureFloor = (overrides = {}) => ({
+  id: FLOOR_ID,
+  name: "E2E Ground Floor",
+  nodes: [
+    { id: "LOBBY", x: 300, y: 100, label: "Lobby", type: "hall" },
+    { id: "HALL_N", x: 200, y: 100, type: "junction" },
+    { id: "HALL_S", x: 400, y: 100, type: "junction" },
+    { id: "EXIT_N", x: 100, y: 100, label: "North Exit", type: "exit" },
+    { id: "EXIT_S", x: 500, y: 100, label: "South Exit", type: "exit" }
+  ],
+  edges: [
+    { id: "E1", from: "LOBBY", to: "HALL_N", staticWeight: 1 },
+    { id: "E2", from: "HALL_N", to: "EXIT_N", staticWeight: 1 },
+    { id: "E3", from: "LOBBY", to: "HALL_S", staticWeight: 2 },
+    { id: "E4", from: "HALL_S", to: "EXIT_S", staticWeight: 2 }
+  ],
+  cameras: [
+    { id: CAMERA_IDS.north, edgeId: "E2", status: "active" },
+    { id: CAMERA_IDS.south, edgeId: "E4", status: "active" }
+  ],
+  screens: [
+    { id: "SCR_LOBBY", nodeId: "LOBBY", name: "Lobby Screen", status: "active" }
+  ],
+  exitPoints: ["EXIT_N", "EXIT_S"],
+  ...overrides
+});
+
+/**
+ * Registers the hooks shared by the suites on the fixture floor: one harness
+ * for the file with frames for both fixture cameras, and a reset plus a
+ * fresh floor before every test. Call it inside `describe`, before the
+ * suite's own hooks, which then run after these.
+ *
+ * The harness is loaded on first use, so unit tests can import this module
+ * without MongoDB or the mock services.
+ *
+ * @function useFixtureHarness
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment for startHarness
+ * @param {Function|null} [options.floor=createFixtureFloor] - FloorMap data
+ *        created after every reset (null = none)
+ * @returns {Object} The suite's harness (see startHarness), available from
+ *          the first hook on
+ *
+ * @example
+ * describe("my suite", () => {
+ *   const harness = useFixtureHarness();
+ *   it("routes", async () => { await harness.pipeline.captureCycle(); });
+ * });
+ */
+export const useFixtureHarness = ({ env, floor = createFixtureFloor } = {}) => {
+  let harness;
+
+  before(async () => {
+    const { startHarness } = await import("../helpers/harness.js");
+    harness = await startHarness({ cameras: Object.values(CAMERA_IDS), env });
+  });
+
+  after(async () => {
+    await harness?.stop();
+  });
+
+  beforeEach(async () => {
+    await harness.reset();
+    if (floor) await harness.models.FloorMap.create(floor());
+  });
+
+  return new Proxy({}, { get: (_, key) => harness?.[key] });
+};
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview E2E Test Harness
+ * @description Boots the backend pipeline for the e2e tests: an in-memory
+ *              MongoDB, the mock RTSP/AI services (mock-services/) on a free
+ *              port, a fake FFmpeg frame source, a fake USRP transmitter and a
+ *              Socket.IO server wired up like server.js.
+ *
+ * @requires mongodb-memory-server - In-memory MongoDB (devDependency)
+ * @requires socket.io-client - Screen sockets (devDependency)
+ * @requires ../../../mock-services/server.js - Mock RTSP/AI/scenario services
+ *
+ * @module test/helpers/harness
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports startHarness - Boot the pipeline for one test file
+ *
+ * @description
+ * Server modules read their configuration when first imported, so the
+ * environment is set up before they are loaded (dynamic imports). Each test
+ * file runs in its own process (node --test) and boots its own harness.
+ *
+ * Console output of the pipeline is silenced unless E2E_VERBOSE=true.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import { Server } from "socket.io";
+import { io as connectClient } from "socket.io-client";
+
+/** @const {string} __dirname - Directory of this file */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** @const {string} FAKES_DIR - Fake ffmpeg and USRP script */
+const FAKES_DIR = path.join(__dirname, "..", "fakes");
+
+/** @const {Buffer} TEST_FRAME - 1×1 JPEG served by the mock RTSP service */
+const TEST_FRAME = Buffer.from(
+  "/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAgGBgcGBQgHBwcJCQgKDBQNDAsLDBkSEw8UHRofHh0aHBwgJC4nICIsIxwcKDcpLDAxNDQ0Hyc5PTgyPC4zNDL/" +
+  "wAALCAABAAEBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAACf/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AKp//2Q==",
+  "base64"
+);
+
+/**
+ * @const {Object} TEST_SETTINGS - Applied after every reset: no Cloudinary
+ *        upload or cloud AI, and raw readings (no smoothing) so one cycle
+ *        is enough to move a route
+ */
+const TEST_SETTINGS = {
+  cloudProcessing: { enabled: false, disabledReason: "e2e tests" },
+  hazardSmoothing: { enabled: false }
+};
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Starts an HTTP server on a free port.
+ * @param {http.Server} server - Server to start
+ * @returns {Promise<number>} Port
+ */
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+});
+
+/**
+ * Closes an HTTP server.
+ * @param {http.Server} server - Server to close
+ * @returns {Promise<void>}
+ */
+const close = (server) => new Promise((resolve) => server.close(() => resolve()));
+
+/**
+ * Polls a condition until it holds.
+ * @param {Function} condition - () => boolean
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<void>} Rejects when the time limit is reached
+ */
+const until = async (condition, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Resolves with the first event matching a predicate, or rejects after a timeout.
+ * @param {Array<Object>} events - Events received so far (appended to by the listener)
+ * @param {Object} socket - Socket the events arrive on
+ * @param {string} event - Event name
+ * @param {Function} predicate - (payload) => boolean
+ * @param {number} timeoutMs - Time limit
+ * @returns {Promise<Object>} Matching payload
+ */
+const waitForEvent = (events, socket, event, predicate, timeoutMs) => new Promise((resolve, reject) => {
+  const seen = events.find(predicate);
+  if (seen) return resolve(seen);
+
+  const timer = setTimeout(() => {
+    socket.off(event, onEvent);
+    reject(new Error(`No matching '${event}' event within ${timeoutMs}ms`));
+  }, timeoutMs);
+
+  function onEvent(payload) {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, onEvent);
+    resolve(payload);
+  }
+  socket.on(event, onEvent);
+});
+
+/* ============================================================
+ * HARNESS
+ * ============================================================ */
+
+/**
+ * Boots the pipeline for one test file.
+ *
+ * @async
+ * @function startHarness
+ * @param {Object} [options]
+ * @param {Array<string>} [options.cameras=[]] - Camera IDs the mock RTSP service has frames for
+ * @param {Object} [options.env={}] - Extra environment (e.g. CAMERA_FAILURE_THRESHOLD)
+ *
+ * @returns {Promise<Object>} Harness:
+ *   - pipeline: periodicJob.js exports (captureCycle, ...)
+ *   - models: { FloorMap, Route, ImageRecord, Settings }
+ *   - scenario: mock scenario engine (load, seek, ...)
+ *   - connectScreen(floorId): registered screen socket { socket, events, waitFor, close }
+ *   - usrpTransmissions(): payloads sent to the fake USRP so far
+ *   - reset(): empty the database, apply TEST_SETTINGS, forget remembered
+ *     routes, unload the scenario, forget transmissions
+ *   - stop(): shut everything down
+ *
+ * @example
+ * const harness = await startHarness({ cameras: Object.values(CAMERA_IDS) });
+ * await harness.models.FloorMap.create(createFixtureFloor());
+ * await harness.pipeline.captureCycle();
+ * await harness.stop();
+ */
+export const startHarness = async ({ cameras = [], env = {} } = {}) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ees-e2e-"));
+  const imagesDir = path.join(tmpDir, "test-images");
+  const usrpLog = path.join(tmpDir, "usrp.log");
+
+  fs.mkdirSync(imagesDir);
+  for (const cameraId of cameras) {
+    fs.writeFileSync(path.join(imagesDir, `${cameraId}.jpg`), TEST_FRAME);
+  }
+
+  // ─────────────────────────────────────────────
+  // IN-MEMORY MONGODB
+  // ─────────────────────────────────────────────
+  const mongod = await MongoMemoryServer.create();
+
+  // ─────────────────────────────────────────────
+  // ENVIRONMENT (before any server module is loaded)
+  // ─────────────────────────────────────────────
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    LOCAL_MONGO_URI: mongod.getUri("ees_e2e"),
+    TEST_IMAGES_DIR: imagesDir,
+    FFMPEG_PATH: path.join(FAKES_DIR, "ffmpeg.js"),
+    TEMP_FRAMES_DIR: path.join(tmpDir, "temp_frames"),
+    LOCAL_STORAGE_DIR: path.join(tmpDir, "local_storage"),
+    USRP_TX_SCRIPT: path.join(FAKES_DIR, "tx_usrp.py"),
+    USRP_TX_DATA_FILE: path.join(tmpDir, "results.json"),
+    USRP_PADDING_LENGTH_EXTRA: "80",
+    USRP_TRANSMISSION_TIMEOUT_MS: "10000",
+    FAKE_USRP_LOG: usrpLog,
+    CAMERA_TIMEOUT_MS: "10000",
+    ...env
+  });
+
+  const verbose = process.env.E2E_VERBOSE === "true";
+  const consoleMethods = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  if (!verbose) {
+    for (const method of Object.keys(consoleMethods)) console[method] = () => {};
+  }
+
+  // ─────────────────────────────────────────────
+  // MOCK SERVICES (RTSP frames, local/cloud AI, scenarios)
+  // ─────────────────────────────────────────────
+  const require = createRequire(import.meta.url);
+  const mockApp = require("../../../mock-services/server.js");
+  const scenario = require("../../../mock-services/utils/scenarioEngine.js");
+  const mockServer = http.createServer(mockApp);
+  const mockUrl = `http://127.0.0.1:${await listen(mockServer)}`;
+
+  Object.assign(process.env, {
+    RTSP_TEMPLATE: `${mockUrl}/api/rtsp/capture?cameraId={cameraId}`,
+    LOCAL_AI_ENDPOINT: `${mockUrl}/api/local-ai/analyze`,
+    CLOUD_AI_ENDPOINT: `${mockUrl}/api/cloud-ai/analyze`
+  });
+
+  // ─────────────────────────────────────────────
+  // BACKEND (database, sockets, pipeline) - as in server.js
+  // ─────────────────────────────────────────────
+  const { default: mongoose } = await import("mongoose");
+  const { default: connectDB } = await import("../../config/db.local.js");
+  const { initSocket } = await import("../../sockets/routeSocket.js");
+  const pipeline = await import("../../utils/periodicJob.js");
+  const { forgetRoutes } = await import("../../utils/routeMemory.js");
+  const models = {
+    FloorMap: (await import("../../models/FloorMap.js")).default,
+    Route: (await import("../../models/Route.js")).default,
+    ImageRecord: (await import("../../models/ImageRecord.js")).default,
+    Settings: (await import("../../models/Settings.js")).default
+  };
+
+  await connectDB();
+
+  const server = http.createServer();
+  const io = new Server(server);
+  initSocket(io);
+  const serverUrl = `http://127.0.0.1:${await listen(server)}`;
+
+  const screens = new Set();
+
+  /**
+   * Connects a screen socket and registers it for a floor.
+   * @param {string} floorId - Floor to register
+   * @returns {Promise<Object>} { socket, events, waitFor(predicate, timeoutMs), close() }
+   */
+  const connectScreen = async (floorId) => {
+    const socket = connectClient(serverUrl, { transports: ["websocket"], forceNew: true });
+    const events = [];
+    socket.on("floor-routes", (payload) => events.push(payload));
+
+    await new Promise((resolve, reject) => {
+      socket.once("registration_confirmed", resolve);
+      socket.once("registration_error", (err) => reject(new Error(err.error)));
+      socket.once("connect_error", reject);
+      socket.emit("register_floor", { floorId });
+    });
+
+    const screen = {
+      socket,
+      events,
+      waitFor: (predicate = () => true, timeoutMs = 5000) =>
+        waitForEvent(events, socket, "floor-routes", predicate, timeoutMs),
+      close: async () => {
+        screens.delete(screen);
+        const { id } = socket;
+        socket.disconnect();
+        // The floor counts as connected until the server handled the disconnect
+        await until(() => !io.of("/").sockets.has(id), 2000);
+      }
+    };
+    screens.add(screen);
+    return screen;
+  };
+
+  /**
+   * Payloads sent to the fake USRP transmitter so far.
+   * @returns {Array<Object>}
+   */
+  const usrpTransmissions = () => (fs.existsSync(usrpLog)
+    ? fs.readFileSync(usrpLog, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line))
+    : []);
+
+  /**
+   * Clears state between tests: database (then TEST_SETTINGS), remembered
+   * routes (hysteresis), scenario and USRP log. Disconnects screens still
+   * connected.
+   */
+  const reset = async () => {
+    await Promise.all([...screens].map(screen => screen.close()));
+    await mongoose.connection.db.dropDatabase();
+    forgetRoutes();
+    await models.Settings.updateSettings(TEST_SETTINGS, "e2e");
+    scenario.unloadScenario();
+    fs.rmSync(usrpLog, { force: true });
+  };
+
+  /**
+   * Shuts the harness down and removes its temporary files.
+   */
+  const stop = async () => {
+    await Promise.all([...screens].map(screen => screen.close()));
+    io.close();
+    await close(mockServer);
+    await mongoose.disconnect();
+    await mongod.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    Object.assign(console, consoleMethods);
+  };
+
+  return { pipeline, models, scenario, mockUrl, serverUrl, connectScreen, usrpTransmissions, reset, stop };
+};
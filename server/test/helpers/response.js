@@ -0,0 +1,29 @@
+/**
+ * @fileoverview E2E Response Helper
+ * @description Express-like response object for calling controllers
+ *              directly from the e2e tests.
+ *
+ * @module test/helpers/response
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports createResponse - Response recording status and JSON body
+ */
+
+/**
+ * Creates a response that records what a controller sends.
+ *
+ * @function createResponse
+ * @returns {Object} { statusCode, body, status(code), json(body) }
+ *
+ * @example
+ * const res = createResponse();
+ * await updateFloor({ params: { id: FLOOR_ID }, body: { edges } }, res);
+ * assert.equal(res.statusCode, 400);
+ */
+export const createResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
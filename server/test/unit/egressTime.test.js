@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Unit - Egress Time Estimates
+ * @description Estimates walking times along the fixture floor's routes on an
+ *              image with a real-world size and checks the crowd slowdown,
+ *              traversal speeds and the floor summary.
+ *
+ * @module test/unit/egressTime
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureFloor } from "../fixtures/floors.js";
+import { buildFloorGraph } from "../../utils/buildingGraph.js";
+import { estimateRouteEgress, addEgressEstimates, summarizeFloorEgress } from "../../utils/egressTime.js";
+
+/** @const {Array<string>} NORTH - Edges of the lobby's route to the north exit */
+const NORTH = ["E1", "E2"];
+
+/** @const {Array<string>} SOUTH - Edges of the lobby's route to the south exit */
+const SOUTH = ["E3", "E4"];
+
+/** @const {Object} MAP_IMAGE - 600 × 200 px image of a 60 × 20 m floor (0.1 m per pixel) */
+const MAP_IMAGE = { widthPixels: 600, heightPixels: 200, widthMeters: 60, heightMeters: 20 };
+
+/**
+ * Egress lookup of the fixture floor on MAP_IMAGE (every corridor 10 m
+ * long, 1.5 m wide by default), with E2 changed as given.
+ * @param {Object} [e2] - Fields set on E2
+ * @param {Object|null} [mapImage] - Real-world size of the floor image
+ * @returns {Object} { edgeById, nodeById, scale }
+ */
+const createLookup = (e2 = {}, mapImage = MAP_IMAGE) => {
+  const fixture = createFixtureFloor();
+  const graph = buildFloorGraph(createFixtureFloor({
+    mapImage,
+    edges: fixture.edges.map(e => (e.id === "E2" ? { ...e, ...e2 } : e))
+  }));
+  return {
+    edgeById: new Map(graph.edges.map(e => [e.id, e])),
+    nodeById: new Map(graph.nodes.map(n => [n.id, n])),
+    scale: graph.scale
+  };
+};
+
+describe("egress time estimates", () => {
+  it("walks empty corridors at the free level speed", () => {
+    assert.deepEqual(estimateRouteEgress(NORTH, createLookup()), { seconds: 17, freeFlowSeconds: 17, bottleneckEdge: null });
+  });
+
+  it("slows down with the crowd density and names the slowest corridor", () => {
+    // 30 people on 10 m × 1.5 m = 2 pers/m²
+    const crowded = estimateRouteEgress(NORTH, createLookup({ currentPeopleCount: 30 }));
+    assert.deepEqual(crowded, { seconds: 24, freeFlowSeconds: 17, bottleneckEdge: "E2" });
+
+    // Twice as wide: 1 pers/m²
+    assert.equal(estimateRouteEgress(NORTH, createLookup({ currentPeopleCount: 30, widthMeters: 3 })).seconds, 18);
+
+    // Never slower than EGRESS_MIN_SPEED_FACTOR (10%) of the free speed
+    assert.equal(estimateRouteEgress(NORTH, createLookup({ currentPeopleCount: 300 })).seconds, 92);
+  });
+
+  it("walks stairs at the stairs speed", () => {
+    assert.equal(estimateRouteEgress(NORTH, createLookup({ traversalType: "stairs" })).seconds, 19);
+  });
+
+  it("sets estimates on every route and summarizes the floor by its slowest screen", () => {
+    const routes = [
+      { startNode: "LOBBY", edges: NORTH, stepFree: { edges: SOUTH } },
+      { startNode: "HALL_S", edges: ["E4"] }
+    ];
+    assert.equal(addEgressEstimates(routes, buildFloorGraph(createFixtureFloor({ mapImage: MAP_IMAGE }))), 2);
+    assert.equal(routes[0].stepFree.egressSeconds, 17);
+    assert.deepEqual(summarizeFloorEgress(routes), { seconds: 17, startNode: "LOBBY", averageSeconds: 13 });
+  });
+
+  it("gives no estimate on floors without a real-world size", () => {
+    const routes = [{ startNode: "LOBBY", edges: NORTH }];
+
+    assert.equal(estimateRouteEgress(NORTH, createLookup({}, null)), null);
+    assert.equal(addEgressEstimates(routes, buildFloorGraph(createFixtureFloor())), 0);
+    assert.equal(routes[0].egress, null);
+    assert.equal(summarizeFloorEgress(routes), null);
+  });
+});
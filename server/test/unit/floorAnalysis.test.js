@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Unit - Floor Integrity Analysis
+ * @description Analyses variants of the fixture floor and checks the issues
+ *              reported for missing exits, unreachable screens, chokepoints,
+ *              unwatched corridors, dead ends and long travel distances.
+ *
+ * @module test/unit/floorAnalysis
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureFloor } from "../fixtures/floors.js";
+import { analyzeFloor, getSaveWarnings } from "../../utils/floorAnalysis.js";
+
+/**
+ * Issues of a report as 'severity:type' strings.
+ * @param {Object} report - analyzeFloor result
+ * @returns {string[]} Issues
+ */
+const issueTypes = (report) => report.issues.map(i => `${i.severity}:${i.type}`);
+
+/**
+ * Fixture floor with a 200px wing corridor off the lobby, drawn on an image
+ * of the given real-world width (600px wide).
+ * @param {number} widthMeters - Real-world width of the floor image
+ * @returns {Object} Plain floor
+ */
+const createWingFloor = (widthMeters) => {
+  const fixture = createFixtureFloor();
+  return createFixtureFloor({
+    mapImage: { widthPixels: 600, heightPixels: 200, widthMeters, heightMeters: widthMeters / 3 },
+    nodes: [...fixture.nodes, { id: "WING", x: 300, y: 300, type: "hall" }],
+    edges: [...fixture.edges, { id: "E5", from: "LOBBY", to: "WING", staticWeight: 1 }]
+  });
+};
+
+describe("floor integrity analysis", () => {
+  it("reports only the corridors no camera watches on the fixture floor", () => {
+    const report = analyzeFloor(createFixtureFloor());
+
+    assert.equal(report.unit, "px");
+    assert.deepEqual(issueTypes(report), ["warning:uncovered"]);
+    assert.deepEqual(report.uncoveredEdges, ["E1", "E3"]);
+    assert.deepEqual(report.travel.screens, [{ screenId: "SCR_LOBBY", nodeId: "LOBBY", exitNode: "EXIT_N", distance: 200 }]);
+  });
+
+  it("flags the corridors every path from a screen crosses once an exit is gone", () => {
+    const report = analyzeFloor(createFixtureFloor({ exitPoints: ["EXIT_N"] }));
+
+    assert.deepEqual(report.chokepoints, [{ screenId: "SCR_LOBBY", nodeId: "LOBBY", edgeIds: ["E1", "E2"] }]);
+    assert.deepEqual(report.deadEnds.map(d => `${d.nodeId}:${d.length}`), ["EXIT_S:400"]);
+    assert.deepEqual(issueTypes(report), ["warning:chokepoint", "warning:uncovered", "info:dead-end"]);
+  });
+
+  it("reports stranded screens and floors without exits as critical save warnings", () => {
+    const fixture = createFixtureFloor();
+    const stranded = createFixtureFloor({
+      nodes: [...fixture.nodes, { id: "STORE", x: 0, y: 300, type: "room" }],
+      screens: [...fixture.screens, { id: "SCR_STORE", nodeId: "STORE", name: "Store Screen", status: "active" }]
+    });
+
+    const report = analyzeFloor(stranded);
+    assert.deepEqual(report.unreachableNodes, [{ nodeId: "STORE", label: null, type: "room", screenIds: ["SCR_STORE"] }]);
+    assert.deepEqual(getSaveWarnings(stranded), ["1 node(s) have no path to any exit: STORE (screens SCR_STORE)"]);
+
+    assert.deepEqual(getSaveWarnings(createFixtureFloor({ exitPoints: [] })), ["Floor has no exit points"]);
+  });
+
+  it("applies the meter limits once the floor image has a real-world size", () => {
+    // 0.1 m per pixel: a 20 m dead end, 40 m from the wing to an exit
+    const compact = analyzeFloor(createWingFloor(60));
+    assert.equal(compact.unit, "m");
+    assert.deepEqual(compact.deadEnds, [{ nodeId: "WING", edgeIds: ["E5"], length: 20 }]);
+    assert.deepEqual(issueTypes(compact), ["warning:uncovered", "warning:dead-end"]);
+
+    // 0.3 m per pixel: 120 m from the wing to an exit
+    const large = analyzeFloor(createWingFloor(180));
+    assert.deepEqual(large.travel.worstCase, { nodeId: "WING", exitNode: "EXIT_N", distance: 120 });
+    assert.ok(issueTypes(large).includes("warning:travel-distance"));
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Unit - Floor Bundles and Version Rollback
+ * @description Exports the fixture floor as a bundle and reads it back,
+ *              renames IDs that clash with other floors on import, and
+ *              diffs and applies snapshots the way a version restore does.
+ *
+ * @module test/unit/floorBundle
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureFloor, FLOOR_ID, CAMERA_IDS } from "../fixtures/floors.js";
+import { buildFloorBundle, parseFloorBundle, renameConflictingIds } from "../../utils/floorBundle.js";
+import { floorSnapshot, diffSnapshots, applySnapshot } from "../../utils/floorVersions.js";
+import { ValidationError } from "../../utils/AppError.js";
+
+/**
+ * Fixture floor with live state: a burning north corridor, a failed south
+ * camera and a closed north exit.
+ * @returns {Object} Plain floor
+ */
+const createLiveFloor = () => {
+  const fixture = createFixtureFloor();
+  return createFixtureFloor({
+    edges: fixture.edges.map(e => (e.id === "E2" ? { ...e, currentFireProb: 0.9, missedCycles: 1 } : e)),
+    cameras: fixture.cameras.map(c => (c.id === CAMERA_IDS.south ? { ...c, status: "error", failureCount: 3 } : c)),
+    exits: [
+      { nodeId: "EXIT_N", capacity: 20, status: "blocked" },
+      { nodeId: "EXIT_S", capacity: null, status: "open" }
+    ]
+  });
+};
+
+describe("floor bundles and versions", () => {
+  it("exports the configuration only and reads the bundle back", async () => {
+    const bundle = await buildFloorBundle(createLiveFloor(), 4);
+    const parsed = parseFloorBundle(Buffer.from(JSON.stringify(bundle)));
+
+    assert.deepEqual(parsed.source, { floorId: FLOOR_ID, version: 4 });
+    assert.equal(parsed.mapImage, null);
+    assert.deepEqual(parsed.floor.edges.find(e => e.id === "E2"), { id: "E2", from: "HALL_N", to: "EXIT_N", staticWeight: 1 });
+    assert.deepEqual(parsed.floor.cameras.map(c => c.status), [undefined, undefined]);
+    assert.deepEqual(parsed.floor.exits, [{ nodeId: "EXIT_N", capacity: 20 }, { nodeId: "EXIT_S", capacity: null }]);
+  });
+
+  it("rejects files that are not a readable floor bundle", async () => {
+    const bundle = await buildFloorBundle(createFixtureFloor());
+    const cases = [
+      ["{ not json", /not valid JSON/],
+      [JSON.stringify({ ...bundle, format: "floor" }), /Not a floor bundle/],
+      [JSON.stringify({ ...bundle, bundleVersion: 2 }), /Bundle version 2 is not supported/],
+      [JSON.stringify({ ...bundle, floor: { ...bundle.floor, edges: undefined, screens: null } }), /missing: edges, screens/]
+    ];
+    for (const [content, message] of cases) {
+      assert.throws(() => parseFloorBundle(content), (err) => err instanceof ValidationError && message.test(err.message));
+    }
+  });
+
+  it("renames IDs other floors or connectors use and updates every reference", () => {
+    const snapshot = floorSnapshot(createFixtureFloor());
+    const takenIds = {
+      nodes: new Set(["LOBBY"]),
+      edges: new Set(["E1"]),
+      cameras: new Set([CAMERA_IDS.north]),
+      screens: new Set(),
+      connectors: new Map([["E4", "STAIR_A"]])
+    };
+
+    const { snapshot: renamed, renamed: ids } = renameConflictingIds(snapshot, takenIds, "B_");
+
+    assert.deepEqual(ids, {
+      nodes: { LOBBY: "B_LOBBY" },
+      edges: { E1: "B_E1", E4: "B_E4" },
+      cameras: { [CAMERA_IDS.north]: `B_${CAMERA_IDS.north}` },
+      screens: {}
+    });
+    assert.deepEqual(renamed.edges.map(e => `${e.id}:${e.from}-${e.to}`), [
+      "B_E1:B_LOBBY-HALL_N", "E2:HALL_N-EXIT_N", "E3:B_LOBBY-HALL_S", "B_E4:HALL_S-EXIT_S"
+    ]);
+    assert.equal(renamed.screens[0].nodeId, "B_LOBBY");
+    assert.deepEqual(renamed.cameras.map(c => c.edgeId), ["E2", "B_E4"]);
+  });
+
+  it("diffs two versions element by element", () => {
+    const before = floorSnapshot(createFixtureFloor());
+    const fixture = createFixtureFloor();
+    const after = floorSnapshot(createFixtureFloor({
+      nodes: [...fixture.nodes, { id: "STORE", x: 300, y: 200, type: "room" }],
+      edges: fixture.edges.map(e => (e.id === "E3" ? { ...e, staticWeight: 1 } : e))
+    }));
+
+    const diff = diffSnapshots(before, after);
+    assert.deepEqual(diff.nodes.added.map(n => n.id), ["STORE"]);
+    assert.deepEqual(diff.edges.changed, [{ id: "E3", fields: { staticWeight: { from: 2, to: 1 } } }]);
+    assert.equal(diff.changeCount, 2);
+    assert.equal(diffSnapshots(before, before).changeCount, 0);
+  });
+
+  it("rolls the configuration back but keeps the live state of remaining elements", () => {
+    const version1 = floorSnapshot(createFixtureFloor());
+    const floor = createLiveFloor();
+    floor.edges = floor.edges.map(e => ({ ...e, staticWeight: 5 }));
+    floor.screens = [...floor.screens, { id: "SCR_HALL", nodeId: "HALL_S", name: "Hall Screen", status: "active" }];
+
+    applySnapshot(floor, version1);
+
+    assert.deepEqual(floor.edges.map(e => e.staticWeight), [1, 1, 2, 2]);
+    assert.equal(floor.edges.find(e => e.id === "E2").currentFireProb, 0.9, "rollback keeps the fire reading");
+    assert.equal(floor.cameras.find(c => c.id === CAMERA_IDS.south).status, "error", "rollback keeps the failed camera");
+    assert.deepEqual(floor.startPoints, ["LOBBY"]);
+    assert.deepEqual(floor.cameraToEdge, { [CAMERA_IDS.north]: "E2", [CAMERA_IDS.south]: "E4" });
+    assert.deepEqual(floor.exits.map(e => `${e.nodeId}:${e.status}`), ["EXIT_N:blocked", "EXIT_S:open"]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Unit - DXF/SVG Floor Plan Import
+ * @description Imports small hand-written DXF and SVG drawings and checks the
+ *              proposed corridor graph, exits, real-world size and the
+ *              warnings and errors an admin sees.
+ *
+ * @module test/unit/floorImport
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { importDrawing } from "../../utils/floorImport/importDrawing.js";
+import { ValidationError } from "../../utils/AppError.js";
+
+/**
+ * ASCII DXF with the given $INSUNITS code and entity group codes.
+ * @param {number|null} insunits - $INSUNITS (null = not set)
+ * @param {Array<string>} entities - Group codes and values of the entities
+ * @returns {string} DXF file content
+ */
+const dxf = (insunits, entities) => [
+  "0", "SECTION", "2", "HEADER",
+  ...(insunits ? ["9", "$INSUNITS", "70", String(insunits)] : []),
+  "0", "ENDSEC",
+  "0", "SECTION", "2", "ENTITIES", ...entities, "0", "ENDSEC",
+  "0", "EOF"
+].join("\n");
+
+/**
+ * Closed LWPOLYLINE group codes.
+ * @param {string} layer - Layer name
+ * @param {Array<Array<number>>} points - [x, y] vertices
+ * @returns {Array<string>} Group codes and values
+ */
+const polygon = (layer, points) => [
+  "0", "LWPOLYLINE", "8", layer, "90", String(points.length), "70", "1",
+  ...points.flatMap(([x, y]) => ["10", String(x), "20", String(y)])
+];
+
+/** @const {string} SVG_PLAN - 30 × 12 m plan with a T-shaped corridor and an exit at its east end */
+const SVG_PLAN = `<svg xmlns="http://www.w3.org/2000/svg" width="30m" height="12m" viewBox="0 0 30 12">
+  <g id="Walls"><rect x="0" y="0" width="30" height="12"/><text x="1" y="1">Lobby</text></g>
+  <g id="Corridors"><rect x="2" y="5" width="26" height="2"/><rect x="14" y="5" width="2" height="6"/></g>
+  <g id="Exits"><circle cx="28.5" cy="6" r="0.4"/></g>
+</svg>`;
+
+/** @const {string} DXF_PLAN - 20 × 8 m plan in mm with one corridor and an exit at its east end */
+const DXF_PLAN = dxf(4, [
+  ...polygon("A-WALL", [[0, 0], [20000, 0], [20000, 8000], [0, 8000]]),
+  ...polygon("Corridor", [[1000, 3000], [19000, 3000], [19000, 5000], [1000, 5000]]),
+  ...polygon("EXIT", [[18600, 3600], [19400, 3600], [19400, 4400], [18600, 4400]]),
+  "0", "TEXT", "8", "A-ANNO", "10", "0", "20", "0", "40", "100", "1", "Hall"
+]);
+
+describe("floor plan import", () => {
+  it("turns SVG corridor groups into a graph with a junction and an exit", () => {
+    const proposal = importDrawing(SVG_PLAN, { filename: "plan.svg", idPrefix: "F1_" });
+
+    assert.deepEqual(proposal.source.layers.map(l => `${l.name}:${l.hallway}:${l.exit}`), [
+      "Walls:false:false", "Corridors:true:false", "Exits:false:true"
+    ]);
+    assert.equal(proposal.source.units, "m");
+    assert.ok(proposal.widthMeters > 30 && proposal.widthMeters < 31, "drawing width plus the image margin");
+
+    assert.deepEqual(proposal.nodes.map(n => `${n.id}:${n.type}`), ["F1_N1:hall", "F1_N2:junction", "F1_N3:hall", "F1_N4:exit"]);
+    assert.deepEqual(proposal.edges.map(e => `${e.from}-${e.to}`), ["F1_N1-F1_N2", "F1_N2-F1_N3", "F1_N2-F1_N4"]);
+    assert.deepEqual(proposal.exitPoints, ["F1_N4"]);
+    assert.deepEqual(proposal.warnings, ["Not imported: text ×1"]);
+  });
+
+  it("reads DXF layers and $INSUNITS and renders a plan image", () => {
+    const proposal = importDrawing(DXF_PLAN, { filename: "PLAN.DXF" });
+
+    assert.equal(proposal.source.format, "dxf");
+    assert.equal(proposal.source.units, "mm");
+    assert.ok(proposal.heightMeters > 8 && proposal.heightMeters < 9);
+    assert.deepEqual(proposal.nodes.map(n => n.type), ["hall", "exit"]);
+    assert.deepEqual(proposal.exitPoints, ["N2"]);
+    assert.ok(proposal.nodes[1].x > proposal.nodes[0].x, "exit at the east end");
+    assert.match(proposal.image.svg, /^<svg/);
+    assert.deepEqual(proposal.warnings, ["Not imported: TEXT ×1"]);
+  });
+
+  it("leaves the size unset for unitless drawings unless units are given", () => {
+    const unitless = dxf(null, polygon("Corridor", [[0, 0], [100, 0], [100, 10], [0, 10]]));
+
+    const unknown = importDrawing(unitless, { filename: "plan.dxf" });
+    assert.equal(unknown.widthMeters, null);
+    assert.match(unknown.warnings[0], /Drawing units are unknown/);
+    assert.match(unknown.warnings[1], /No exit markers found/);
+
+    const inMeters = importDrawing(unitless, { filename: "plan.dxf", units: "m" });
+    assert.equal(inMeters.source.units, "m");
+    assert.ok(inMeters.widthMeters > 100 && inMeters.widthMeters < 103);
+  });
+
+  it("rejects other formats, unknown units and drawings without geometry", () => {
+    const cases = [
+      [dxf(4, []), { filename: "plan.dwg" }, /Unsupported drawing format '\.dwg'/],
+      [DXF_PLAN, { filename: "plan.dxf", units: "yd" }, /units must be one of/],
+      ["<svg xmlns=\"http://www.w3.org/2000/svg\"></svg>", { filename: "plan.svg" }, /contains no lines/],
+      ["not a drawing", { filename: "plan.dxf" }, /Could not read DXF drawing/]
+    ];
+    for (const [content, options, message] of cases) {
+      assert.throws(() => importDrawing(content, options), (err) => err instanceof ValidationError && message.test(err.message));
+    }
+  });
+});
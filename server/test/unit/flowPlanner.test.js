@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Unit - Capacity-Aware Flow Planner
+ * @description Plans routes for two screens on a floor with two exits and
+ *              checks that empty corridors give the shortest paths, that
+ *              crowds are spread over both exits and that a cut-off screen
+ *              shelters in place.
+ *
+ * @module test/unit/flowPlanner
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFixtureFloor } from "../fixtures/floors.js";
+import { buildFloorGraph } from "../../utils/buildingGraph.js";
+import { computeShortestPaths } from "../../utils/dijkstra.js";
+import { planEvacuationFlow } from "../../utils/flowPlanner.js";
+
+/** @const {Array<string>} EXITS - Exit points of the fixture floor */
+const EXITS = ["EXIT_N", "EXIT_S"];
+
+/**
+ * Fixture floor with a second screen behind the lobby:
+ *
+ *   EXIT_N ──E2── HALL_N ──E1── LOBBY ──E3── HALL_S ──E4── EXIT_S
+ *           (1)           (1)    │   (1.2)         (1.2)
+ *                                E5 (1)
+ *                                │
+ *                             ATRIUM
+ *
+ * The north exit is the shorter one (cost 200 vs 240 from the lobby). Every
+ * corridor carries `people` people (capacity 10), so each screen's demand is
+ * half the people on the corridors it touches.
+ *
+ * @param {number} people - currentPeopleCount of every corridor
+ * @param {Object} [overrides] - Fields replacing the defaults
+ * @returns {Object} Graph for the planner
+ */
+const createGraph = (people, overrides = {}) => {
+  const fixture = createFixtureFloor();
+  return buildFloorGraph(createFixtureFloor({
+    nodes: [...fixture.nodes, { id: "ATRIUM", x: 300, y: 200, type: "hall" }],
+    edges: [
+      ...fixture.edges.map(e => ({ ...e, staticWeight: ["E3", "E4"].includes(e.id) ? 1.2 : 1 })),
+      { id: "E5", from: "LOBBY", to: "ATRIUM", staticWeight: 1 }
+    ].map(e => ({ ...e, currentPeopleCount: people })),
+    ...overrides
+  }));
+};
+
+describe("capacity-aware flow planner", () => {
+  it("gives every screen its shortest path while the corridors are empty", () => {
+    const routes = planEvacuationFlow(createGraph(0), ["LOBBY", "ATRIUM"], EXITS);
+    const shortest = computeShortestPaths(createGraph(0), ["LOBBY", "ATRIUM"], EXITS);
+
+    assert.deepEqual(routes.map(r => r.path), shortest.map(r => r.path));
+    assert.deepEqual(routes.map(r => r.flow.demand), [1, 1], "minimum demand per screen");
+    assert.equal(routes._timing.algorithm, "capacity-aware");
+    assert.equal(routes._timing.flow.converged, true);
+  });
+
+  it("spreads crowded screens over both exits, in the caller's screen order", () => {
+    const shortest = computeShortestPaths(createGraph(8), ["ATRIUM", "LOBBY"], EXITS);
+    assert.deepEqual(shortest.map(r => r.exitNode), ["EXIT_N", "EXIT_N"]);
+
+    // The lobby (12 people) chooses first and fills the north exit
+    const routes = planEvacuationFlow(createGraph(8), ["ATRIUM", "LOBBY"], EXITS);
+    assert.deepEqual(routes.map(r => `${r.startNode}:${r.exitNode}`), ["ATRIUM:EXIT_S", "LOBBY:EXIT_N"]);
+    assert.deepEqual(routes.map(r => r.flow.demand), [4, 12]);
+    assert.deepEqual(routes._timing.flow.exits.map(e => `${e.exitNode}:${e.load}/${e.capacity}`), ["EXIT_N:12/10", "EXIT_S:4/10"]);
+  });
+
+  it("counts a configured exit capacity instead of its corridors' capacity", () => {
+    const uncapped = planEvacuationFlow(createGraph(4), ["ATRIUM", "LOBBY"], EXITS);
+    assert.deepEqual(uncapped.map(r => r.exitNode), ["EXIT_N", "EXIT_N"]);
+
+    const routes = planEvacuationFlow(
+      createGraph(4, { exits: [{ nodeId: "EXIT_N", capacity: 4 }] }),
+      ["ATRIUM", "LOBBY"],
+      EXITS
+    );
+    assert.deepEqual(routes.map(r => r.exitNode), ["EXIT_S", "EXIT_N"]);
+    assert.equal(routes[1].flow.exitUtilization, 1.5);
+  });
+
+  it("shelters a screen that can reach no exit and reports it as not found", () => {
+    const graph = createGraph(0);
+    graph.nodes = [...graph.nodes, { id: "ISLAND", x: 0, y: 300, type: "hall" }];
+
+    const routes = planEvacuationFlow(graph, ["LOBBY", "ISLAND"], EXITS);
+    assert.equal(routes[1].shelterInPlace, true);
+    assert.equal(routes[1].exitNode, null);
+    assert.equal(routes._timing.graphStats.shelterRoutes, 1);
+    assert.deepEqual(routes._timing.routeTimings.map(t => `${t.startNode}:${t.found}`), ["LOBBY:true", "ISLAND:false"]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Unit - AI Result Fusion
+ * @description Fuses fixed local and cloud AI results with each strategy and
+ *              checks the reading used for the edge update and the
+ *              disagreement flag stored with the image record.
+ *
+ * @module test/unit/fuseResults
+ * @author Marcelino Saad
+ * @version 1.0.0
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fuseResults } from "../../utils/ai/fuseResults.js";
+
+/** @const {Object} LOCAL - Less confident local result */
+const LOCAL = { peopleCount: 2, fireProb: 0.2, smokeProb: 0.1, confidence: 0.25, aiModel: "yolo-local" };
+
+/** @const {Object} CLOUD - More confident cloud result, 0.4 more fire */
+const CLOUD = { peopleCount: 6, fireProb: 0.6, smokeProb: 0.3, confidence: 0.75, aiModel: "cloud-vision" };
+
+/**
+ * Fusion config for a strategy.
+ * @param {string} strategy - One of FUSION_STRATEGIES
+ * @param {number} [disagreementThreshold=0.3] - Fire/smoke difference that counts as disagreement
+ * @returns {Object} Config for fuseResults
+ */
+const config = (strategy, disagreementThreshold = 0.3) => ({ strategy, disagreementThreshold });
+
+describe("AI result fusion", () => {
+  it("weights each source by its confidence, equally when none is reported", () => {
+    const { aiResult, fusion } = fuseResults(LOCAL, CLOUD, config("confidence-weighted"));
+    assert.deepEqual(aiResult, { peopleCount: 5, fireProb: 0.5, smokeProb: 0.25 });
+    assert.deepEqual(fusion.sources, ["local", "cloud"]);
+
+    const unrated = fuseResults({ ...LOCAL, confidence: undefined }, { ...CLOUD, confidence: undefined }, config("confidence-weighted"));
+    assert.deepEqual(unrated.aiResult, { peopleCount: 4, fireProb: 0.4, smokeProb: 0.2 });
+  });
+
+  it("takes the highest value of each field with max-hazard", () => {
+    const { aiResult } = fuseResults({ ...LOCAL, smokeProb: 0.5 }, CLOUD, config("max-hazard"));
+    assert.deepEqual(aiResult, { peopleCount: 6, fireProb: 0.6, smokeProb: 0.5 });
+  });
+
+  it("averages agreeing sources and takes the higher hazard once they disagree", () => {
+    const agreeing = fuseResults(LOCAL, CLOUD, config("disagreement", 0.5));
+    assert.equal(agreeing.fusion.disagreement, false);
+    assert.equal(agreeing.fusion.maxDelta, 0.4);
+    assert.deepEqual(agreeing.aiResult, { peopleCount: 5, fireProb: 0.5, smokeProb: 0.25 });
+
+    const disagreeing = fuseResults(LOCAL, CLOUD, config("disagreement"));
+    assert.equal(disagreeing.fusion.disagreement, true);
+    assert.deepEqual(disagreeing.aiResult, { peopleCount: 6, fireProb: 0.6, smokeProb: 0.3 });
+  });
+
+  it("flags a disagreement with every strategy", () => {
+    const { aiResult, fusion } = fuseResults(LOCAL, CLOUD, config("cloud-preferred"));
+    assert.deepEqual(aiResult, { peopleCount: 6, fireProb: 0.6, smokeProb: 0.3 });
+    assert.equal(fusion.disagreement, true);
+  });
+
+  it("returns the only source that answered, whatever the strategy", () => {
+    for (const strategy of ["confidence-weighted", "max-hazard", "disagreement"]) {
+      const { aiResult, aiSources, fusion } = fuseResults(LOCAL, null, config(strategy));
+      assert.deepEqual(aiResult, { peopleCount: 2, fireProb: 0.2, smokeProb: 0.1 });
+      assert.equal(aiSources.cloud, null);
+      assert.deepEqual(fusion.sources, ["local"]);
+    }
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Accessibility - Step-Free Routing Profiles
+ * @description Nodes and edges describe how they are traversed (level
+ *              corridor, ramp, stairs, door, evac-chair point) and whether
+ *              a wheelchair user can pass them. A routing profile decides
+ *              which of them a route may use and at what extra cost.
+ *
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/accessibility
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports TRAVERSAL_TYPES - Valid node/edge traversalType values
+ * @exports ROUTING_PROFILE_NAMES - Valid routing profile names
+ * @exports resolveRoutingProfile - Profile rules by name
+ * @exports isExcludedNode - Node a profile may not enter
+ * @exports isExcludedEdge - Edge a profile may not use
+ * @exports isRefugeNode - Fallback destination when no exit is reachable
+ * @exports traversalFactor - Weight multiplier of an edge under a profile
+ * @exports getStepFreeStartPoints - Screen locations that need a step-free route
+ * @exports attachStepFreeRoutes - Nest step-free routes in the standard ones
+ *
+ * @description
+ * Profiles:
+ * ┌───────────┬──────────────────────────────┬──────────────────┬──────────────────┐
+ * │ Profile   │ Excluded                     │ Penalised        │ Extra refuges    │
+ * ├───────────┼──────────────────────────────┼──────────────────┼──────────────────┤
+ * │ standard  │ -                            │ -                │ -                │
+ * │ step-free │ stairs, accessible === false │ ramps, doors     │ evac-chair nodes │
+ * └───────────┴──────────────────────────────┴──────────────────┴──────────────────┘
+ *
+ * An edge is also excluded when one of its nodes is. Stairwell connectors
+ * of a building count as stairs; elevator connectors as level (they are
+ * already left out while there is fire, see buildingGraph.js).
+ *
+ * Screens flagged `stepFree`, and screens at an accessible refuge node,
+ * get a step-free route next to their standard one. When no step-free
+ * exit is reachable, that route leads to the nearest accessible refuge
+ * or evac-chair point instead.
+ *
+ * Environment Variables:
+ * - ACCESSIBILITY_RAMP_FACTOR: Step-free weight factor of ramps (default: 1.5)
+ * - ACCESSIBILITY_DOOR_FACTOR: Step-free weight factor of doors (default: 1.2)
+ */
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} TRAVERSAL_TYPES - Valid values of node/edge traversalType */
+export const TRAVERSAL_TYPES = ['level', 'ramp', 'stairs', 'door', 'evac-chair'];
+
+/** @const {string[]} ROUTING_PROFILE_NAMES - Valid routing profile names */
+export const ROUTING_PROFILE_NAMES = ['standard', 'step-free'];
+
+/** @const {number} RAMP_FACTOR - Step-free weight multiplier of ramps */
+const RAMP_FACTOR = parseFloat(process.env.ACCESSIBILITY_RAMP_FACTOR || "1.5");
+
+/** @const {number} DOOR_FACTOR - Step-free weight multiplier of doors */
+const DOOR_FACTOR = parseFloat(process.env.ACCESSIBILITY_DOOR_FACTOR || "1.2");
+
+/**
+ * @const {Object} ROUTING_PROFILES - Rules per profile
+ * @property {string[]} excludedTraversal - traversalType values that may not be used
+ * @property {boolean} excludeInaccessible - Leave out elements with accessible === false
+ * @property {Object} traversalFactors - traversalType -> weight multiplier
+ * @property {string[]} refugeTraversal - traversalType values that also serve as refuges
+ * @property {string} unreachable - Shelter instruction cause when no exit is reachable
+ */
+const ROUTING_PROFILES = {
+  standard: {
+    name: 'standard',
+    excludedTraversal: [],
+    excludeInaccessible: false,
+    traversalFactors: {},
+    refugeTraversal: [],
+    unreachable: 'No exit can be reached'
+  },
+  'step-free': {
+    name: 'step-free',
+    excludedTraversal: ['stairs'],
+    excludeInaccessible: true,
+    traversalFactors: { ramp: RAMP_FACTOR, door: DOOR_FACTOR },
+    refugeTraversal: ['evac-chair'],
+    unreachable: 'No step-free exit can be reached'
+  }
+};
+
+/* ============================================================
+ * PROFILE RULES
+ * ============================================================ */
+
+/**
+ * Looks up a routing profile.
+ *
+ * @function resolveRoutingProfile
+ * @param {string|Object} [profile='standard'] - Profile name, or a resolved profile
+ * @returns {Object} Profile rules (unknown names fall back to 'standard')
+ */
+export const resolveRoutingProfile = (profile) => {
+  if (profile && typeof profile === 'object') return profile;
+  return ROUTING_PROFILES[profile] || ROUTING_PROFILES.standard;
+};
+
+/**
+ * Traversal type of a graph element; connectors derive it from their kind.
+ *
+ * @param {Object} element - Graph node or edge
+ * @returns {string} traversalType ('level' when not set)
+ */
+const traversalOf = (element) => {
+  if (element.connector) return element.connector.type === 'stairs' ? 'stairs' : 'level';
+  return element.traversalType || 'level';
+};
+
+/**
+ * Checks whether a profile may not use a node or edge at all.
+ *
+ * @param {Object} profile - Resolved profile
+ * @param {Object} element - Graph node or edge
+ * @returns {boolean} True if excluded
+ */
+const isExcluded = (profile, element) => {
+  if (!element) return false;
+  if (profile.excludeInaccessible && element.accessible === false) return true;
+  return profile.excludedTraversal.includes(traversalOf(element));
+};
+
+/**
+ * @function isExcludedNode
+ * @param {Object} profile - Resolved profile
+ * @param {Object} node - Graph node
+ * @returns {boolean} True if routes of this profile may not enter the node
+ */
+export const isExcludedNode = (profile, node) => isExcluded(profile, node);
+
+/**
+ * @function isExcludedEdge
+ * @param {Object} profile - Resolved profile
+ * @param {Object} edge - Graph edge (floor edge or building connector)
+ * @returns {boolean} True if routes of this profile may not use the edge
+ */
+export const isExcludedEdge = (profile, edge) => isExcluded(profile, edge);
+
+/**
+ * Checks whether a node is a fallback destination for screens that can
+ * reach no exit: 'refuge' nodes, plus evac-chair points on step-free routes.
+ *
+ * @function isRefugeNode
+ * @param {Object} profile - Resolved profile
+ * @param {Object} node - Graph node
+ * @returns {boolean} True if the node is a refuge under this profile
+ */
+export const isRefugeNode = (profile, node) => !!node &&
+  (node.type === 'refuge' || profile.refugeTraversal.includes(traversalOf(node)));
+
+/**
+ * @function traversalFactor
+ * @param {Object} profile - Resolved profile
+ * @param {Object} edge - Graph edge
+ * @returns {number} Weight multiplier (1 when the profile does not penalise the edge)
+ */
+export const traversalFactor = (profile, edge) => profile.traversalFactors[traversalOf(edge)] ?? 1;
+
+/* ============================================================
+ * STEP-FREE ROUTES
+ * ============================================================ */
+
+/**
+ * Lists the locations of active screens that need a step-free route.
+ *
+ * @function getStepFreeStartPoints
+ * @param {Object} floor - FloorMap document
+ * @returns {Array<string>} Node IDs (no duplicates) of screens flagged
+ *          stepFree or standing on an accessible refuge node
+ */
+export const getStepFreeStartPoints = (floor) => {
+  const nodeById = new Map((floor.nodes || []).map(n => [n.id, n]));
+  const isAccessibleRefuge = (node) => node?.type === 'refuge' && node.accessible !== false;
+
+  return [...new Set((floor.screens || [])
+    .filter(s => s.status === 'active' && (s.stepFree || isAccessibleRefuge(nodeById.get(s.nodeId))))
+    .map(s => s.nodeId))];
+};
+
+/**
+ * Stores each step-free route on the standard route of the same screen
+ * as `route.stepFree`, so screens keep finding their route by startNode.
+ *
+ * @function attachStepFreeRoutes
+ * @param {Array<Object>} routes - Standard routes (modified in place)
+ * @param {Array<Object>} stepFreeRoutes - Routes computed with the 'step-free' profile
+ * @returns {number} Number of routes that got a step-free route
+ *
+ * @description
+ * Per-edge hazard details and backup routes are left out to keep the
+ * broadcast/USRP payload small. `sameAsStandard` tells screens that the
+ * standard route is already step-free.
+ */
+export const attachStepFreeRoutes = (routes, stepFreeRoutes) => {
+  const byStart = new Map(stepFreeRoutes.map(r => [r.startNode, r]));
+  let attached = 0;
+
+  for (const route of routes) {
+    const stepFree = byStart.get(route.startNode);
+    if (!stepFree) continue;
+
+    route.stepFree = {
+      exitNode: stepFree.exitNode,
+      exitLabel: stepFree.exitLabel,
+      exitFloorId: stepFree.exitFloorId,
+      path: stepFree.path,
+      edges: stepFree.edges,
+      distance: stepFree.distance,
+      distanceMeters: stepFree.distanceMeters,
+      hazardLevel: stepFree.hazardLevel,
+      exceedsThresholds: stepFree.exceedsThresholds,
+      shelterInPlace: !!stepFree.shelterInPlace,
+      refugeNode: stepFree.refugeNode ?? null,
+      refugeLabel: stepFree.refugeLabel ?? null,
+      crossFloor: !!stepFree.crossFloor,
+      instructions: stepFree.instructions || [],
+      sameAsStandard: stepFree.edges.join() === (route.edges || []).join() &&
+        stepFree.exitNode === route.exitNode
+    };
+    attached++;
+  }
+
+  return attached;
+};
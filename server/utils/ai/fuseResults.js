@@ -0,0 +1,181 @@
+/**
+ * @fileoverview AI Result Fusion
+ * @description Combines the local and cloud AI results of one frame into the
+ *              reading used for the edge update, using a configurable strategy,
+ *              and describes how the reading was reached so it can be audited.
+ *
+ * @module utils/ai/fuseResults
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports FUSION_STRATEGIES - Supported fusion strategies
+ * @exports AI_FUSION_DEFAULTS - Defaults for Settings.aiFusion
+ * @exports resolveAIFusion - Settings document -> fusion config
+ * @exports toSourceResult - Normalise a raw AI response
+ * @exports fuseResults - Fuse local + cloud results
+ *
+ * @description
+ * Strategies (Settings.aiFusion.strategy):
+ * ┌─────────────────────┬───────────────────────────────────────────────┐
+ * │ cloud-preferred     │ Cloud value when present, else local (legacy) │
+ * │ confidence-weighted │ Average weighted by each source's confidence  │
+ * │ max-hazard          │ Highest fire/smoke/people of both (safest)    │
+ * │ disagreement        │ Confidence-weighted while the sources agree;  │
+ * │                     │ max-hazard once they disagree                 │
+ * └─────────────────────┴───────────────────────────────────────────────┘
+ *
+ * Sources disagree when their fire or smoke probabilities differ by more
+ * than `disagreementThreshold`. The flag is computed for every strategy.
+ * With only one source answering, every strategy returns that source.
+ */
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} FUSION_STRATEGIES - Values of Settings.aiFusion.strategy */
+export const FUSION_STRATEGIES = ['cloud-preferred', 'confidence-weighted', 'max-hazard', 'disagreement'];
+
+/**
+ * @const {Object} AI_FUSION_DEFAULTS
+ * @property {string} strategy - One of FUSION_STRATEGIES
+ * @property {number} disagreementThreshold - Fire/smoke difference that counts as disagreement
+ */
+export const AI_FUSION_DEFAULTS = Object.freeze({
+  strategy: 'cloud-preferred',
+  disagreementThreshold: 0.3
+});
+
+/** @const {number} DEFAULT_CONFIDENCE - Used when a service does not report confidence */
+const DEFAULT_CONFIDENCE = 0.5;
+
+/** @const {string[]} FIELDS - Reading fields fused per frame */
+const FIELDS = ['peopleCount', 'fireProb', 'smokeProb'];
+
+/** @const {string[]} HAZARDS - Fields compared for disagreement */
+const HAZARDS = ['fireProb', 'smokeProb'];
+
+/**
+ * Merges Settings.aiFusion over the defaults.
+ *
+ * @function resolveAIFusion
+ * @param {Object} [settings] - Settings document (or plain object)
+ * @returns {Object} Complete fusion configuration
+ */
+export const resolveAIFusion = (settings) => {
+  const stored = settings?.aiFusion || {};
+  return {
+    strategy: FUSION_STRATEGIES.includes(stored.strategy) ? stored.strategy : AI_FUSION_DEFAULTS.strategy,
+    disagreementThreshold: typeof stored.disagreementThreshold === 'number'
+      ? stored.disagreementThreshold
+      : AI_FUSION_DEFAULTS.disagreementThreshold
+  };
+};
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Keeps the fields of an AI response that are stored and fused.
+ *
+ * @function toSourceResult
+ * @param {Object|null} data - Raw AI service response
+ * @returns {Object|null} { peopleCount, fireProb, smokeProb, confidence, aiModel } or null
+ */
+export const toSourceResult = (data) => {
+  if (!data || typeof data !== 'object') return null;
+
+  return {
+    peopleCount: Number(data.peopleCount) || 0,
+    fireProb: Number(data.fireProb) || 0,
+    smokeProb: Number(data.smokeProb) || 0,
+    confidence: typeof data.confidence === 'number' ? data.confidence : null,
+    aiModel: data.aiModel || null
+  };
+};
+
+/**
+ * Rounds fused values; people are counted in whole persons.
+ * @param {string} field - Reading field
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+const round = (field, value) => (
+  field === 'peopleCount' ? Math.round(value) : parseFloat(value.toFixed(4))
+);
+
+/**
+ * Field-wise combination of two sources.
+ * @param {Object} local - Normalised local result
+ * @param {Object} cloud - Normalised cloud result
+ * @param {Function} pick - (localValue, cloudValue) -> value
+ * @returns {Object} { peopleCount, fireProb, smokeProb }
+ */
+const combine = (local, cloud, pick) => Object.fromEntries(
+  FIELDS.map(field => [field, round(field, pick(local[field], cloud[field]))])
+);
+
+/** Fusion per strategy, used only when both sources answered */
+const STRATEGIES = {
+  'cloud-preferred': (local, cloud) => combine(local, cloud, (l, c) => c),
+  'max-hazard': (local, cloud) => combine(local, cloud, Math.max),
+  'confidence-weighted': (local, cloud) => {
+    const wl = local.confidence ?? DEFAULT_CONFIDENCE;
+    const wc = cloud.confidence ?? DEFAULT_CONFIDENCE;
+    const total = wl + wc;
+    return combine(local, cloud, (l, c) => (total > 0 ? (l * wl + c * wc) / total : (l + c) / 2));
+  }
+};
+
+/* ============================================================
+ * PUBLIC API
+ * ============================================================ */
+
+/**
+ * Fuses the local and cloud AI results of one frame.
+ *
+ * @function fuseResults
+ * @param {Object|null} localData - Local AI response (null if it failed or was skipped)
+ * @param {Object|null} cloudData - Cloud AI response (null if it failed or was skipped)
+ * @param {Object} [config=AI_FUSION_DEFAULTS] - Result of resolveAIFusion
+ *
+ * @returns {Object} Fusion outcome
+ * @returns {Object} returns.aiResult - { peopleCount, fireProb, smokeProb } for the edge update
+ * @returns {Object} returns.aiSources - { local, cloud } normalised source results (null if absent)
+ * @returns {Object} returns.fusion - { strategy, sources, disagreement, maxDelta }
+ *
+ * @example
+ * const { aiResult, fusion } = fuseResults(
+ *   { peopleCount: 3, fireProb: 0.1, smokeProb: 0.2, confidence: 0.7 },
+ *   { peopleCount: 4, fireProb: 0.6, smokeProb: 0.2, confidence: 0.9 },
+ *   { strategy: 'disagreement', disagreementThreshold: 0.3 }
+ * );
+ * // aiResult: { peopleCount: 4, fireProb: 0.6, smokeProb: 0.2 }, fusion.disagreement: true
+ */
+export const fuseResults = (localData, cloudData, config = AI_FUSION_DEFAULTS) => {
+  const local = toSourceResult(localData);
+  const cloud = toSourceResult(cloudData);
+  const sources = [local && 'local', cloud && 'cloud'].filter(Boolean);
+
+  const fusion = { strategy: config.strategy, sources, disagreement: false, maxDelta: 0 };
+  const aiSources = { local, cloud };
+
+  // Zero or one source: nothing to fuse
+  if (!local || !cloud) {
+    const only = local || cloud;
+    const aiResult = Object.fromEntries(FIELDS.map(field => [field, only ? only[field] : 0]));
+    return { aiResult, aiSources, fusion };
+  }
+
+  fusion.maxDelta = parseFloat(Math.max(...HAZARDS.map(field => Math.abs(local[field] - cloud[field]))).toFixed(4));
+  fusion.disagreement = fusion.maxDelta > config.disagreementThreshold;
+
+  let strategy = config.strategy;
+  if (strategy === 'disagreement') {
+    strategy = fusion.disagreement ? 'max-hazard' : 'confidence-weighted';
+  }
+  const aiResult = (STRATEGIES[strategy] || STRATEGIES['cloud-preferred'])(local, cloud);
+
+  return { aiResult, aiSources, fusion };
+};
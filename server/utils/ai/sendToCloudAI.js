@@ -40,6 +40,7 @@ const CLOUD_AI_TIMEOUT = parseInt(process.env.CLOUD_AI_TIMEOUT_MS || "25000", 10
  * @param {string} params.cloudUrl - Public URL of the uploaded image (Cloudinary)
  * @param {string} params.cameraId - Camera identifier for tracking
  * @param {string} params.edgeId - Edge ID this camera monitors
+ * @param {AbortSignal} [params.signal] - Cancels the request (capture cycle timeout)
  * @returns {Promise<Object|null>} AI analysis result or null on failure
  * @returns {number} returns.peopleCount - Number of people detected
  * @returns {number} returns.fireProb - Fire detection probability (0-1)
@@ -58,10 +59,10 @@ const CLOUD_AI_TIMEOUT = parseInt(process.env.CLOUD_AI_TIMEOUT_MS || "25000", 10
  * - Request times out (longer timeout for cloud)
  * - AI service returns an error
  * 
- * @note Cloud AI results are prioritized over local AI in data fusion
+ * @note Combined with the local result by fuseResults.js (Settings.aiFusion)
  * @note Uses publicly accessible Cloudinary URL for image transfer
  */
-export const callCloudAI = async ({ cloudUrl, cameraId, edgeId }) => {
+export const callCloudAI = async ({ cloudUrl, cameraId, edgeId, signal }) => {
   const endpoint = process.env.CLOUD_AI_ENDPOINT;
   
   // Skip if endpoint not configured
@@ -73,6 +74,7 @@ export const callCloudAI = async ({ cloudUrl, cameraId, edgeId }) => {
       { imageUrl: cloudUrl, cameraId, edgeId },
       { 
         timeout: CLOUD_AI_TIMEOUT,
+        signal,
         headers: {
           "Authorization": `Bearer ${process.env.AI_API_KEY}`
         }
@@ -80,8 +82,9 @@ export const callCloudAI = async ({ cloudUrl, cameraId, edgeId }) => {
     );
     return resp.data;
   } catch (err) {
-    // Log error but don't throw (allows local AI fallback)
-    console.error("Cloud AI error:", err.message);
+    // Log error but don't throw (allows local AI fallback); a cancelled
+    // request was already reported as timed out by the caller
+    if (!signal?.aborted) console.error("Cloud AI error:", err.message);
     return null;
   }
 };
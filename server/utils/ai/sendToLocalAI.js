@@ -40,6 +40,7 @@ const LOCAL_AI_TIMEOUT = parseInt(process.env.LOCAL_AI_TIMEOUT_MS || "15000", 10
  * @param {string} params.localPath - Absolute path to the image file
  * @param {string} params.cameraId - Camera identifier for tracking
  * @param {string} params.edgeId - Edge ID this camera monitors
+ * @param {AbortSignal} [params.signal] - Cancels the request (capture cycle timeout)
  * @returns {Promise<Object|null>} AI analysis result or null on failure
  * @returns {number} returns.peopleCount - Number of people detected
  * @returns {number} returns.fireProb - Fire detection probability (0-1)
@@ -60,7 +61,7 @@ const LOCAL_AI_TIMEOUT = parseInt(process.env.LOCAL_AI_TIMEOUT_MS || "15000", 10
  * 
  * @note Errors are logged but not thrown (graceful degradation)
  */
-export const callLocalAI = async ({ localPath, cameraId, edgeId }) => {
+export const callLocalAI = async ({ localPath, cameraId, edgeId, signal }) => {
   const endpoint = process.env.LOCAL_AI_ENDPOINT;
   
   // Skip if endpoint not configured
@@ -72,6 +73,7 @@ export const callLocalAI = async ({ localPath, cameraId, edgeId }) => {
       { imageUrl: localPath, cameraId, edgeId },
       { 
         timeout: LOCAL_AI_TIMEOUT,
+        signal,
         headers: {
           "Authorization": `Bearer ${process.env.AI_API_KEY}`
         }
@@ -79,8 +81,9 @@ export const callLocalAI = async ({ localPath, cameraId, edgeId }) => {
     );
     return resp.data;
   } catch (err) {
-    // Log error but don't throw (allows cloud AI fallback)
-    console.error("Local AI error:", err.message);
+    // Log error but don't throw (allows cloud AI fallback); a cancelled
+    // request was already reported as timed out by the caller
+    if (!signal?.aborted) console.error("Local AI error:", err.message);
     return null;
   }
 };
@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Building Graph Builder - Multi-Floor Routing Support
+ * @description Builds the graph objects consumed by Dijkstra, either for a
+ *              single floor or for a whole building where stairwells and
+ *              elevators join the floor graphs together. Also splits
+ *              cross-floor routes into per-floor segments with instructions
+ *              such as "Take Stairwell B down to Ground Floor".
+ *
+ * @module utils/buildingGraph
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports buildFloorGraph - Graph for a single FloorMap document
+ * @exports buildBuildingGraph - Combined graph for every floor of a building
+ * @exports annotateCrossFloorRoutes - Add segments/instructions to routes
+ *
+ * @description
+ * Building graph rules:
+ * - Node/edge IDs are unique across floors (enforced by floorValidator),
+ *   so floor graphs can be merged without renaming
+ * - Each floor edge keeps its own floor's scale for distance calculation
+ * - Connectors become edges with a fixed lengthMeters
+ * - Closed connectors and connectors touching unloaded floors are skipped
+ * - Elevator connectors are skipped while fire is detected on any floor
+ * - Only exits on the ground level (or exteriorExits floors) are destinations
+ */
+
+/* ============================================================
+ * SINGLE FLOOR GRAPH
+ * ============================================================ */
+
+/**
+ * Builds the Dijkstra graph for one floor.
+ *
+ * @function buildFloorGraph
+ * @param {Object} floor - FloorMap document
+ * @returns {Object} Graph with nodes, edges, scale and exits (see getFloorExits)
+ */
+export const buildFloorGraph = (floor) => ({
+  nodes: floor.nodes,
+  edges: floor.edges.map(e => toGraphEdge(e)),
+  scale: getFloorScale(floor),
+  exits: getFloorExits(floor)
+});
+
+/**
+ * Lists a floor's exits with their configured capacity.
+ *
+ * @function getFloorExits
+ * @param {Object} floor - FloorMap document
+ * @returns {Array<Object>} [{ nodeId, floorId, capacity }] per exit point
+ *          (capacity null = derived, see utils/exitStatus.js)
+ */
+const getFloorExits = (floor) => (floor.exitPoints || []).map(nodeId => ({
+  nodeId,
+  floorId: floor.id,
+  capacity: floor.exits?.find(e => e.nodeId === nodeId)?.capacity ?? null
+}));
+
+/**
+ * Extracts the real-world scale of a floor's map image.
+ *
+ * @function getFloorScale
+ * @param {Object} floor - FloorMap document
+ * @returns {Object|null} Scale object for calculateRealWorldDistance
+ */
+const getFloorScale = (floor) => (floor.mapImage ? {
+  widthPixels: floor.mapImage.widthPixels,
+  heightPixels: floor.mapImage.heightPixels,
+  widthMeters: floor.mapImage.widthMeters,
+  heightMeters: floor.mapImage.heightMeters
+} : null);
+
+/**
+ * Copies the routing-relevant fields of a floor edge.
+ *
+ * @function toGraphEdge
+ * @param {Object} e - FloorMap edge subdocument
+ * @returns {Object} Plain edge object for Dijkstra
+ */
+const toGraphEdge = (e) => ({
+  id: e.id,
+  from: e.from,
+  to: e.to,
+  staticWeight: e.staticWeight,
+  peopleThreshold: e.peopleThreshold,
+  fireThreshold: e.fireThreshold,
+  smokeThreshold: e.smokeThreshold,
+  currentPeopleCount: e.currentPeopleCount,
+  currentFireProb: e.currentFireProb,
+  currentSmokeProb: e.currentSmokeProb,
+  predictedFireProb: e.predictedFireProb,
+  predictedSmokeProb: e.predictedSmokeProb,
+  accessible: e.accessible,
+  traversalType: e.traversalType,
+  direction: e.direction,
+  widthMeters: e.widthMeters,
+  evacuationDirection: e.evacuationDirection,
+  hazardTrend: e.hazardTrend ? { fire: e.hazardTrend.fire, smoke: e.hazardTrend.smoke } : undefined
+});
+
+/* ============================================================
+ * BUILDING GRAPH
+ * ============================================================ */
+
+/**
+ * Checks whether fire is currently detected on any of the given floors.
+ *
+ * @function isFireDetected
+ * @param {Array<Object>} floors - FloorMap documents
+ * @returns {boolean} True if any edge exceeds its fire threshold
+ */
+const isFireDetected = (floors) => floors.some(floor =>
+  floor.edges?.some(e => (e.currentFireProb || 0) > (e.fireThreshold ?? 0.7))
+);
+
+/**
+ * Builds the combined graph for every loaded floor of a building.
+ *
+ * @function buildBuildingGraph
+ * @param {Object} building - Building document
+ * @param {Map<string, Object>} floorsById - Loaded FloorMap documents by floor ID
+ * @returns {Object} Building graph
+ * @returns {Array<Object>} .nodes - Nodes of all floors (with floorId)
+ * @returns {Array<Object>} .edges - Floor edges (with scale) and connector edges
+ * @returns {null} .scale - Always null; edges carry their own scale
+ * @returns {Array<string>} .exitNodeIds - Exits that lead outside the building
+ * @returns {Array<Object>} .exits - Exits of every loaded floor (see getFloorExits)
+ * @returns {boolean} .elevatorsDisabled - True if elevators were excluded (fire)
+ * @returns {Object} .floors - floorId -> { name, level }
+ *
+ * @example
+ * const graph = buildBuildingGraph(building, new Map(floors.map(f => [f.id, f])));
+ * const routes = computeShortestPaths(graph, floor.activeStartPoints, graph.exitNodeIds);
+ */
+export const buildBuildingGraph = (building, floorsById) => {
+  const nodes = [];
+  const edges = [];
+  const exitNodeIds = [];
+  const exits = [];
+  const floors = {};
+
+  const buildingFloors = (building.floors || [])
+    .map(entry => ({ entry, floor: floorsById.get(entry.floorId) }))
+    .filter(({ floor }) => !!floor);
+
+  // ─────────────────────────────────────────────
+  // FLOOR GRAPHS: Merge nodes/edges of every loaded floor
+  // ─────────────────────────────────────────────
+  for (const { entry, floor } of buildingFloors) {
+    const scale = getFloorScale(floor);
+    floors[floor.id] = { name: floor.name, level: entry.level };
+
+    floor.nodes.forEach(n => nodes.push({
+      id: n.id,
+      x: n.x,
+      y: n.y,
+      label: n.label,
+      type: n.type,
+      accessible: n.accessible,
+      traversalType: n.traversalType,
+      floorId: floor.id
+    }));
+
+    floor.edges.forEach(e => edges.push({ ...toGraphEdge(e), scale, floorId: floor.id }));
+    exits.push(...getFloorExits(floor));
+
+    if (building.hasBuildingExits(floor.id)) {
+      exitNodeIds.push(...(floor.exitPoints || []));
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // CONNECTORS: Stairwells/elevators between floors
+  // Elevators must not be used while there is fire
+  // ─────────────────────────────────────────────
+  const elevatorsDisabled = isFireDetected(buildingFloors.map(({ floor }) => floor));
+
+  for (const connector of (building.connectors || [])) {
+    if (connector.status === 'closed') continue;
+    if (connector.type === 'elevator' && elevatorsDisabled) continue;
+    if (!floors[connector.fromFloorId] || !floors[connector.toFloorId]) continue;
+
+    edges.push({
+      id: connector.id,
+      from: connector.fromNodeId,
+      to: connector.toNodeId,
+      staticWeight: connector.staticWeight ?? 1,
+      lengthMeters: connector.lengthMeters ?? 6,
+      connector: { name: connector.name, type: connector.type }
+    });
+  }
+
+  if (elevatorsDisabled) {
+    console.log(`🛗 Building ${building.name}: fire detected - elevators excluded from routing`);
+  }
+
+  return {
+    nodes,
+    edges,
+    scale: null,
+    exitNodeIds,
+    exits,
+    elevatorsDisabled,
+    floors
+  };
+};
+
+/* ============================================================
+ * CROSS-FLOOR ROUTE ANNOTATION
+ * ============================================================ */
+
+/**
+ * Splits each route into per-floor segments and adds connector instructions.
+ * Routes are modified in place so the array keeps its `_timing` metadata.
+ *
+ * @function annotateCrossFloorRoutes
+ * @param {Array<Object>} routes - Routes from computeShortestPaths on a building graph
+ * @param {Object} buildingGraph - Graph returned by buildBuildingGraph
+ * @returns {Array<Object>} The same routes array
+ *
+ * @description
+ * Each route gains:
+ * - crossFloor: true if the route uses at least one connector
+ * - exitFloorId / exitLabel: floor and label of the destination exit
+ *   (screens only know their own floor's node labels)
+ * - segments: [{ floorId, floorName, level, path, pathLabels, edges,
+ *   distanceMeters, connector }]
+ * - instructions: e.g. ['Take Stairwell B down to Ground Floor'], followed
+ *   by the refuge instruction of shelter-in-place routes
+ *
+ * Consecutive connector hops through the same stairwell (floor 3 → 2 → 1)
+ * are merged into one segment and one instruction.
+ * 
+ * Alternate (backup) routes are annotated the same way.
+ */
+export const annotateCrossFloorRoutes = (routes, buildingGraph) => {
+  const nodeFloor = {};
+  const nodeLabel = {};
+  buildingGraph.nodes.forEach(n => {
+    nodeFloor[n.id] = n.floorId;
+    nodeLabel[n.id] = n.label || n.id;
+  });
+
+  const edgeMap = {};
+  buildingGraph.edges.forEach(e => (edgeMap[e.id] = e));
+
+  const lookups = { nodeFloor, nodeLabel, edgeMap };
+
+  for (const route of routes) {
+    annotateRoute(route, lookups, buildingGraph);
+    route.alternates?.forEach(alternate => annotateRoute(alternate, lookups, buildingGraph));
+  }
+
+  return routes;
+};
+
+/**
+ * Adds crossFloor, exit info, segments and instructions to one route.
+ *
+ * @function annotateRoute
+ * @param {Object} route - Primary or alternate route (path, edges, hazardDetails)
+ * @param {Object} lookups - { nodeFloor, nodeLabel, edgeMap } for the building graph
+ * @param {Object} buildingGraph - Graph returned by buildBuildingGraph
+ */
+const annotateRoute = (route, lookups, buildingGraph) => {
+  const { nodeFloor, nodeLabel, edgeMap } = lookups;
+  const edgeDistances = {};
+  (route.hazardDetails || []).forEach(d => (edgeDistances[d.edgeId] = d.distanceMeters || 0));
+
+  const segments = [];
+  let current = createSegment(route.path[0], nodeFloor, nodeLabel, buildingGraph);
+
+  // ─────────────────────────────────────────────
+  // Walk the path, closing a segment at each connector
+  // ─────────────────────────────────────────────
+  route.edges.forEach((edgeId, i) => {
+    const fromNodeId = route.path[i];
+    const toNodeId = route.path[i + 1];
+    const edge = edgeMap[edgeId];
+
+    if (edge?.connector) {
+      const fromLevel = buildingGraph.floors[nodeFloor[fromNodeId]]?.level ?? 0;
+      const toFloorId = nodeFloor[toNodeId];
+      const toFloor = buildingGraph.floors[toFloorId] || {};
+
+      // Same stairwell continued from an empty intermediate segment: extend it
+      const previous = segments[segments.length - 1];
+      if (current.edges.length === 0 && previous?.connector?.name === edge.connector.name) {
+        previous.connector.ids.push(edgeId);
+        previous.connector.toFloorId = toFloorId;
+        previous.connector.toFloorName = toFloor.name;
+        previous.connector.toLevel = toFloor.level;
+        previous.distanceMeters += edgeDistances[edgeId] || 0;
+      } else {
+        current.connector = {
+          ids: [edgeId],
+          name: edge.connector.name,
+          type: edge.connector.type,
+          direction: (toFloor.level ?? 0) < fromLevel ? 'down' : 'up',
+          toFloorId,
+          toFloorName: toFloor.name,
+          toLevel: toFloor.level
+        };
+        current.distanceMeters += edgeDistances[edgeId] || 0;
+        segments.push(current);
+      }
+
+      current = createSegment(toNodeId, nodeFloor, nodeLabel, buildingGraph);
+      return;
+    }
+
+    current.path.push(toNodeId);
+    current.pathLabels.push(nodeLabel[toNodeId]);
+    current.edges.push(edgeId);
+    current.distanceMeters += edgeDistances[edgeId] || 0;
+  });
+  segments.push(current);
+
+  segments.forEach(s => (s.distanceMeters = parseFloat(s.distanceMeters.toFixed(2))));
+
+  // Shelter-in-place routes already carry their refuge instruction
+  const shelterInstructions = route.shelterInPlace ? (route.instructions || []) : [];
+
+  route.crossFloor = segments.length > 1;
+  route.exitFloorId = nodeFloor[route.exitNode];
+  route.exitLabel = nodeLabel[route.exitNode];
+  route.segments = segments;
+  route.instructions = segments
+    .filter(s => s.connector)
+    .map(s => `Take ${s.connector.name} ${s.connector.direction} to ${s.connector.toFloorName || s.connector.toFloorId}`)
+    .concat(shelterInstructions);
+};
+
+/**
+ * Creates an empty route segment starting at a node.
+ *
+ * @function createSegment
+ * @param {string} nodeId - First node of the segment
+ * @param {Object} nodeFloor - nodeId -> floorId lookup
+ * @param {Object} nodeLabel - nodeId -> display label lookup
+ * @param {Object} buildingGraph - Graph returned by buildBuildingGraph
+ * @returns {Object} Segment with floor info, path, edges and distance
+ */
+const createSegment = (nodeId, nodeFloor, nodeLabel, buildingGraph) => {
+  const floorId = nodeFloor[nodeId];
+  const floor = buildingGraph.floors[floorId] || {};
+  return {
+    floorId,
+    floorName: floor.name,
+    level: floor.level,
+    path: [nodeId],
+    pathLabels: [nodeLabel[nodeId]],
+    edges: [],
+    distanceMeters: 0,
+    connector: null
+  };
+};
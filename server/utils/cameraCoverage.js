@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Camera Coverage - Many-to-Many Camera/Edge Readings
+ * @description Resolves which edges each camera watches and combines the
+ *              readings of every camera that saw an edge in one capture
+ *              cycle into a single observation per edge.
+ *
+ * @module utils/cameraCoverage
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports CAMERA_AGGREGATION_METHODS - Supported aggregation methods
+ * @exports getCameraCoverage - Covered edges of a camera
+ * @exports normalizeCoverage - Coverage list to store on a camera
+ * @exports aggregateReadings - Combine per-camera readings per edge
+ *
+ * @description
+ * A camera covers one or more edges, each with a coverage weight in (0, 1]
+ * (roughly the share of the corridor in its field of view). An edge may be
+ * covered by several cameras. Per floor, `cameraAggregation` selects how
+ * their readings are combined:
+ * ┌──────────┬──────────────────────────────────────────────────┐
+ * │ max      │ Highest reading wins (default, most cautious)    │
+ * │ mean     │ Plain average of the cameras that saw the edge   │
+ * │ weighted │ Average weighted by each camera's coverage       │
+ * └──────────┴──────────────────────────────────────────────────┘
+ *
+ * Cameras without a coverage list (older floors) cover their `edgeId`
+ * with weight 1.
+ */
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} CAMERA_AGGREGATION_METHODS - Values of FloorMap.cameraAggregation */
+export const CAMERA_AGGREGATION_METHODS = ['max', 'mean', 'weighted'];
+
+/** @const {string[]} FIELDS - Reading fields combined per edge */
+const FIELDS = ['peopleCount', 'fireProb', 'smokeProb'];
+
+/* ============================================================
+ * COVERAGE
+ * ============================================================ */
+
+/**
+ * Lists the edges a camera covers.
+ *
+ * @function getCameraCoverage
+ * @param {Object} camera - FloorMap camera ({ edgeId, coverage })
+ * @returns {Array<Object>} [{ edgeId, weight }], one entry per distinct edge
+ *
+ * @example
+ * getCameraCoverage({ edgeId: 'E1', coverage: [{ edgeId: 'E1', weight: 1 }, { edgeId: 'E2', weight: 0.4 }] });
+ * // [{ edgeId: 'E1', weight: 1 }, { edgeId: 'E2', weight: 0.4 }]
+ */
+export const getCameraCoverage = (camera) => {
+  const entries = camera?.coverage?.length
+    ? camera.coverage
+    : camera?.edgeId ? [{ edgeId: camera.edgeId, weight: 1 }] : [];
+
+  const seen = new Set();
+  return entries
+    .filter(c => c.edgeId && !seen.has(c.edgeId) && seen.add(c.edgeId))
+    .map(c => ({ edgeId: c.edgeId, weight: c.weight ?? 1 }));
+};
+
+/**
+ * Builds the coverage list stored on a camera: its primary edge first,
+ * one entry per edge, weights as numbers.
+ *
+ * @function normalizeCoverage
+ * @param {string} edgeId - Primary edge (cameraToEdge value)
+ * @param {Array<Object>} [coverage] - Requested { edgeId, weight } entries
+ * @returns {Array<Object>} [{ edgeId, weight }]
+ *
+ * @example
+ * normalizeCoverage('E1', [{ edgeId: 'E2', weight: '0.5' }]);
+ * // [{ edgeId: 'E1', weight: 1 }, { edgeId: 'E2', weight: 0.5 }]
+ */
+export const normalizeCoverage = (edgeId, coverage = []) => {
+  const entries = (coverage || []).map(c => ({
+    edgeId: c.edgeId,
+    weight: c.weight === undefined || c.weight === null || c.weight === '' ? 1 : Number(c.weight)
+  }));
+
+  const primary = entries.find(c => c.edgeId === edgeId) || { edgeId, weight: 1 };
+  return getCameraCoverage({
+    coverage: [primary, ...entries.filter(c => c.edgeId !== edgeId)]
+  });
+};
+
+/* ============================================================
+ * AGGREGATION
+ * ============================================================ */
+
+/**
+ * Combines the readings of one edge.
+ *
+ * @param {Array<Object>} readings - [{ reading, weight }]
+ * @param {string} method - One of CAMERA_AGGREGATION_METHODS
+ * @returns {Object} { peopleCount, fireProb, smokeProb }
+ */
+const combine = (readings, method) => {
+  const result = {};
+
+  for (const field of FIELDS) {
+    const values = readings.map(({ reading, weight }) => ({ value: reading[field] ?? 0, weight }));
+
+    if (method === 'mean' || method === 'weighted') {
+      const weightOf = (v) => (method === 'weighted' ? v.weight : 1);
+      const totalWeight = values.reduce((sum, v) => sum + weightOf(v), 0);
+      const value = totalWeight > 0
+        ? values.reduce((sum, v) => sum + v.value * weightOf(v), 0) / totalWeight
+        : 0;
+      result[field] = parseFloat(value.toFixed(4));
+    } else {
+      result[field] = Math.max(...values.map(v => v.value));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Reduces this cycle's per-camera readings to one observation per edge.
+ *
+ * @function aggregateReadings
+ * @param {Map<string, Array<Object>>} readingsByEdge - edgeId -> [{ cameraId, reading, weight }]
+ * @param {string} [method='max'] - One of CAMERA_AGGREGATION_METHODS
+ * @returns {Map<string, Object>} edgeId -> { peopleCount, fireProb, smokeProb }
+ *          (the observations expected by applyHazardObservations)
+ *
+ * @example
+ * const readings = new Map([['E1', [
+ *   { cameraId: 'CAM_A', reading: { peopleCount: 4, fireProb: 0.2, smokeProb: 0.1 }, weight: 1 },
+ *   { cameraId: 'CAM_B', reading: { peopleCount: 2, fireProb: 0.6, smokeProb: 0.3 }, weight: 0.5 }
+ * ]]]);
+ * aggregateReadings(readings, 'weighted').get('E1'); // { peopleCount: 3.3333, fireProb: 0.3333, smokeProb: 0.1667 }
+ */
+export const aggregateReadings = (readingsByEdge, method = 'max') => {
+  const resolved = CAMERA_AGGREGATION_METHODS.includes(method) ? method : 'max';
+  const observations = new Map();
+
+  for (const [edgeId, readings] of readingsByEdge) {
+    if (readings.length > 0) observations.set(edgeId, combine(readings, resolved));
+  }
+
+  return observations;
+};
@@ -5,6 +5,10 @@
  *              and crowd density with configurable penalty weights.
  * 
  * @requires ./distanceCalculator.js - Real-world distance calculation
+ * @requires ./minHeap.js - Binary heap priority queue
+ * @requires ./accessibility.js - Routing profiles (standard / step-free)
+ * @requires ./edgeDirection.js - One-way edges
+ * @requires ./routingWeights.js - Weight profiles (penalties and factors)
  * @requires dotenv - Environment variable loading
  * 
  * @module utils/dijkstra
@@ -12,64 +16,169 @@
  * @version 1.0.0
  * 
  * @exports computeShortestPaths - Main function to compute routes for all start points
+ * @exports buildWeightedGraph - Weighted adjacency built once per floor per cycle
+ * @exports resolveExitIndices - Usable exit indices (overrides applied)
+ * @exports searchFromExits - Reverse multi-source search rooted at all exits
+ * @exports searchFromRefuges - Reverse multi-source search rooted at all refuge nodes
+ * @exports buildShelterRoute - Refuge / shelter-in-place route for a cut-off start point
+ * @exports computeAlternateRoutes - Disjoint backup routes for one start point
+ * @exports addAlternateRoutes - Backup routes for every route (env defaults)
+ * @exports searchFromStart - Forward search from one node to the nearest target
+ * @exports applyRouteHysteresis - Keep a screen's previous route unless the new one is clearly better
+ * @exports describeRoute - Distance and hazard analysis for a path
  * 
  * @description
  * Algorithm Overview:
- * 1. For each start point (screen location), find shortest path to nearest exit
+ * 1. Build the weighted graph once, then run a single reverse Dijkstra
+ *    (binary heap) from all exits; each start point (screen location)
+ *    reads its shortest path to the nearest exit off that tree
  * 2. Edge weights are dynamically calculated based on:
  *    - Real-world distance (meters)
  *    - Fire probability (multiplied if exceeds threshold)
  *    - Smoke probability (multiplied if exceeds threshold)
  *    - People count (additive penalty for congestion)
+ *    - Predicted fire/smoke spread from neighbouring corridors
+ *      (see hazardPropagation.js)
  * 3. Weights increase dramatically when thresholds are exceeded
  * 4. Routes are selected based on lowest total weight (safest + shortest)
+ * 5. Each screen also gets up to N backup routes that share no edge (or no
+ *    intermediate node) with the primary route or with each other
+ * 6. Manual overrides (see edgeOverrides.js) win over camera data:
+ *    closed edges are left out, forced hazard levels replace the readings
+ *    and exits marked unavailable are not destinations
+ * 7. Exit status (see exitStatus.js): blocked exits are not destinations,
+ *    the corridor into a congested exit costs congestedExitFactor times
+ *    more. A screen that can reach no exit is sent to the nearest 'refuge'
+ *    node (or told to shelter in place) with an explicit instruction
+ * 8. Routing profile (see accessibility.js): the 'step-free' profile leaves
+ *    out stairs and inaccessible nodes/edges, penalises ramps and doors and
+ *    also treats evac-chair points as refuges
+ * 9. One-way edges (see edgeDirection.js) only yield an arc in their
+ *    direction; the reverse search from the exits follows arcs backwards
+ * 10. Route hysteresis: given the routes screens were last shown, a screen
+ *    keeps its route until the new best one is HYSTERESIS_MARGIN cheaper or
+ *    has been cheaper for HYSTERESIS_CYCLES capture cycles in a row. A previous
+ *    route that became unusable or less safe is dropped at once
+ * 11. Weights (see routingWeights.js): the penalties and factors below come
+ *    from the floor's weight profile, resolved by the caller every cycle;
+ *    building graphs weigh each floor's edges with that floor's weights
  * 
  * Weight Calculation Formula:
  * - Base weight = distance_meters × staticWeight
  * - If threshold exceeded: weight × (1 + threshold_ratio × 100) × hazard_penalties
  * - Normal operation: weight × people_factor × fire_factor × smoke_factor
+ * - Predicted risk: weight × (1 + predicted_increase_ratio × predicted_factor)
+ * 
+ * Weights:
+ * - firePenalty: Fire hazard penalty multiplier
+ * - smokePenalty: Smoke hazard penalty multiplier
+ * - peoplePenalty: People congestion additive penalty
+ * - peopleFactor: People weight scaling factor
+ * - fireFactor: Fire weight scaling factor
+ * - smokeFactor: Smoke weight scaling factor
+ * - thresholdMultiplier: Threshold violation multiplier
+ * - predictedFactor: Weight factor for predicted fire/smoke
+ * - congestedExitFactor: Weight factor into a congested exit
+ * Without weights from the caller, the 'default' profile (DIJKSTRA_*
+ * environment variables, see routingWeights.js) is used.
  * 
  * Environment Variables:
- * - DIJKSTRA_FIRE_PENALTY: Fire hazard penalty multiplier (default: 1000)
- * - DIJKSTRA_SMOKE_PENALTY: Smoke hazard penalty multiplier (default: 500)
- * - DIJKSTRA_PEOPLE_PENALTY: People congestion additive penalty (default: 2)
- * - DIJKSTRA_PEOPLE_FACTOR: People weight scaling factor (default: 0.5)
- * - DIJKSTRA_FIRE_FACTOR: Fire weight scaling factor (default: 2)
- * - DIJKSTRA_SMOKE_FACTOR: Smoke weight scaling factor (default: 1.5)
- * - DIJKSTRA_THRESHOLD_MULTIPLIER: Threshold violation multiplier (default: 100)
  * - DIJKSTRA_TIMING_LOGS: Enable performance logging (default: false)
+ * - DIJKSTRA_ALTERNATE_COUNT: Backup routes per screen, 0 disables (default: 2)
+ * - DIJKSTRA_ALTERNATE_MODE: 'edge' or 'node' disjoint backups (default: edge)
+ * - DIJKSTRA_HYSTERESIS_MARGIN: Share a new route must be cheaper to replace the previous one, 0 disables (default: 0.15)
+ * - DIJKSTRA_HYSTERESIS_CYCLES: Capture cycles a cheaper route must win before it replaces the previous one (default: 3)
  */
 
 import { calculateRealWorldDistance } from './distanceCalculator.js';
+import { MinHeap } from './minHeap.js';
+import {
+  resolveRoutingProfile,
+  isExcludedNode,
+  isExcludedEdge,
+  isRefugeNode,
+  traversalFactor
+} from './accessibility.js';
+import { allowsTravel } from './edgeDirection.js';
+import { DEFAULT_ROUTING_WEIGHTS } from './routingWeights.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 /* ============================================================
- * DIJKSTRA WEIGHT CONFIGURATION
- * Configurable penalties and factors for path calculation
+ * ALTERNATE ROUTE CONFIGURATION
  * ============================================================ */
 
-/** @const {number} FIRE_PENALTY - Multiplier for fire probability above threshold */
-const FIRE_PENALTY = parseFloat(process.env.DIJKSTRA_FIRE_PENALTY || "1000");
+/** @const {number} ALTERNATE_COUNT - Backup routes computed per screen (0 disables) */
+const ALTERNATE_COUNT = parseInt(process.env.DIJKSTRA_ALTERNATE_COUNT || "2", 10);
+
+/** @const {string} ALTERNATE_MODE - 'edge' (no shared corridors) or 'node' (no shared junctions) */
+const ALTERNATE_MODE = process.env.DIJKSTRA_ALTERNATE_MODE === 'node' ? 'node' : 'edge';
+
+/* ============================================================
+ * ROUTE HYSTERESIS CONFIGURATION
+ * ============================================================ */
 
-/** @const {number} SMOKE_PENALTY - Multiplier for smoke probability above threshold */
-const SMOKE_PENALTY = parseFloat(process.env.DIJKSTRA_SMOKE_PENALTY || "500");
+/** @const {number} HYSTERESIS_MARGIN - Share a new route must be cheaper to replace a screen's route (0 disables) */
+const HYSTERESIS_MARGIN = parseFloat(process.env.DIJKSTRA_HYSTERESIS_MARGIN || "0.15");
 
-/** @const {number} PEOPLE_PENALTY - Additive penalty per person above threshold */
-const PEOPLE_PENALTY = parseFloat(process.env.DIJKSTRA_PEOPLE_PENALTY || "2");
+/** @const {number} HYSTERESIS_CYCLES - Consecutive capture cycles a cheaper route must win to replace it anyway */
+const HYSTERESIS_CYCLES = parseInt(process.env.DIJKSTRA_HYSTERESIS_CYCLES || "3", 10);
 
-/** @const {number} PEOPLE_FACTOR - Weight factor for normal people count */
-const PEOPLE_FACTOR = parseFloat(process.env.DIJKSTRA_PEOPLE_FACTOR || "0.5");
+/* ============================================================
+ * EXIT STATUS & REFUGE FALLBACK
+ * ============================================================ */
+
+/**
+ * Instruction shown on screens that can reach no exit.
+ *
+ * @function shelterInstruction
+ * @param {boolean} allBlocked - True if no exit at all is usable
+ * @param {string|null} refugeLabel - Refuge area to go to, null to stay put
+ * @param {Object} profile - Routing profile of the route
+ * @returns {string} e.g. 'All exits are blocked - go to refuge area Stair B landing and wait for rescue'
+ */
+const shelterInstruction = (allBlocked, refugeLabel, profile) => {
+  const cause = allBlocked ? 'All exits are blocked' : profile.unreachable;
+  return refugeLabel
+    ? `${cause} - go to refuge area ${refugeLabel} and wait for rescue`
+    : `${cause} - shelter in place and wait for rescue`;
+};
+
+/* ============================================================
+ * MANUAL OVERRIDES
+ * ============================================================ */
+
+/**
+ * @const {Object} FORCED_HAZARD_RATIO - Fire reading (× fireThreshold) that
+ *        stands in for a forced hazard level. 'critical' is over threshold;
+ *        'high' is set explicitly in analyzeRouteHazards as no reading maps to it.
+ */
+const FORCED_HAZARD_RATIO = { safe: 0, moderate: 0.8, high: 0.95, critical: 1.25 };
 
-/** @const {number} FIRE_FACTOR - Weight factor for normal fire probability */
-const FIRE_FACTOR = parseFloat(process.env.DIJKSTRA_FIRE_FACTOR || "2");
+/** @const {string[]} HAZARD_ORDER - Hazard levels, least severe first */
+const HAZARD_ORDER = ['safe', 'moderate', 'high', 'critical'];
 
-/** @const {number} SMOKE_FACTOR - Weight factor for normal smoke probability */
-const SMOKE_FACTOR = parseFloat(process.env.DIJKSTRA_SMOKE_FACTOR || "1.5");
+/**
+ * Replaces an edge's camera data with its forced hazard level, if any.
+ *
+ * @function applyForcedHazard
+ * @param {Object} edge - Graph edge (override set by edgeOverrides.applyOverrides)
+ * @returns {Object} The edge itself, or a copy with readings, predictions and trend replaced
+ */
+const applyForcedHazard = (edge) => {
+  if (edge.override?.type !== 'hazard') return edge;
 
-/** @const {number} THRESHOLD_MULTIPLIER - Base multiplier when any threshold exceeded */
-const THRESHOLD_MULTIPLIER = parseFloat(process.env.DIJKSTRA_THRESHOLD_MULTIPLIER || "100");
+  const fireProb = (FORCED_HAZARD_RATIO[edge.override.hazardLevel] ?? 0) * (edge.fireThreshold ?? 0.7);
+  return {
+    ...edge,
+    currentFireProb: fireProb,
+    currentSmokeProb: 0,
+    predictedFireProb: fireProb,
+    predictedSmokeProb: 0,
+    hazardTrend: undefined
+  };
+};
 
 /* ============================================================
  * EDGE WEIGHT CALCULATION
@@ -87,23 +196,31 @@ const THRESHOLD_MULTIPLIER = parseFloat(process.env.DIJKSTRA_THRESHOLD_MULTIPLIE
  * @param {number} [edge.currentPeopleCount=0] - Current people count from AI
  * @param {number} [edge.currentFireProb=0] - Current fire probability from AI
  * @param {number} [edge.currentSmokeProb=0] - Current smoke probability from AI
+ * @param {number} [edge.predictedFireProb=0] - Fire probability expected within the prediction horizon
+ * @param {number} [edge.predictedSmokeProb=0] - Smoke probability expected within the prediction horizon
+ * @param {number} [edge.lengthMeters] - Fixed length, used instead of the node
+ *                                       coordinates (inter-floor connectors)
  * @param {Object} nodeFrom - Source node with x, y coordinates
  * @param {Object} nodeTo - Destination node with x, y coordinates
  * @param {Object} scale - Scale object for real-world distance calculation
+ * @param {Object} [weights=DEFAULT_ROUTING_WEIGHTS] - Penalties and factors (see routingWeights.js)
  * 
  * @returns {Object} Weight calculation result
  * @returns {number} .weight - Calculated edge weight
  * @returns {boolean} .exceedsThreshold - True if any threshold exceeded
  * @returns {number} .thresholdRatio - Max ratio of current/threshold values
  * @returns {number} .distanceMeters - Real-world distance in meters
+ * @returns {number} .predictedRatio - Predicted fire/smoke increase relative to threshold
  * 
  * @description
  * Weight increases dramatically when thresholds are exceeded:
  * - Fire/smoke thresholds trigger heavy multiplicative penalties
  * - People threshold triggers additive penalty per excess person
  * - Normal operation applies gradual factors as values approach thresholds
+ * - Fire/smoke predicted to arrive soon adds a further factor, so a
+ *   corridor next to a burning one is avoided before it gets worse
  */
-const calculateEdgeWeight = (edge, nodeFrom, nodeTo, scale) => {
+const calculateEdgeWeight = (edge, nodeFrom, nodeTo, scale, weights = DEFAULT_ROUTING_WEIGHTS) => {
   // ─────────────────────────────────────────────
   // Extract edge properties with defaults
   // ─────────────────────────────────────────────
@@ -114,13 +231,18 @@ const calculateEdgeWeight = (edge, nodeFrom, nodeTo, scale) => {
     smokeThreshold = 0.6,
     currentPeopleCount = 0,
     currentFireProb = 0,
-    currentSmokeProb = 0
+    currentSmokeProb = 0,
+    predictedFireProb = 0,
+    predictedSmokeProb = 0
   } = edge;
 
   // ─────────────────────────────────────────────
   // Calculate real-world distance between nodes
+  // Connector edges span floors, so pixel distance is meaningless
   // ─────────────────────────────────────────────
-  const distanceMeters = calculateRealWorldDistance(nodeFrom, nodeTo, scale);
+  const distanceMeters = typeof edge.lengthMeters === 'number'
+    ? edge.lengthMeters
+    : calculateRealWorldDistance(nodeFrom, nodeTo, scale);
 
   // ─────────────────────────────────────────────
   // Calculate threshold violations (excess amounts)
@@ -149,29 +271,42 @@ const calculateEdgeWeight = (edge, nodeFrom, nodeTo, scale) => {
   if (exceedsThreshold) {
     // THRESHOLD EXCEEDED: Apply heavy penalties
     // This makes the algorithm strongly avoid hazardous paths
-    weight *= (1 + thresholdRatio * THRESHOLD_MULTIPLIER);
+    weight *= (1 + thresholdRatio * weights.thresholdMultiplier);
     
     // Additional multiplicative penalties for fire/smoke
-    if (fireExcess > 0) weight *= (1 + fireExcess * FIRE_PENALTY);
-    if (smokeExcess > 0) weight *= (1 + smokeExcess * SMOKE_PENALTY);
+    if (fireExcess > 0) weight *= (1 + fireExcess * weights.firePenalty);
+    if (smokeExcess > 0) weight *= (1 + smokeExcess * weights.smokePenalty);
     
     // Additive penalty for people (congestion)
-    if (peopleExcess > 0) weight += peopleExcess * PEOPLE_PENALTY;
+    if (peopleExcess > 0) weight += peopleExcess * weights.peoplePenalty;
   } else {
     // NORMAL OPERATION: Gradual weight increase as approaching thresholds
     // This creates preference for less congested paths even when safe
-    const peopleFactor = 1 + (currentPeopleCount / peopleThreshold) * PEOPLE_FACTOR;
-    const fireFactor = 1 + (currentFireProb / fireThreshold) * FIRE_FACTOR;
-    const smokeFactor = 1 + (currentSmokeProb / smokeThreshold) * SMOKE_FACTOR;
+    const peopleFactor = 1 + (currentPeopleCount / peopleThreshold) * weights.peopleFactor;
+    const fireFactor = 1 + (currentFireProb / fireThreshold) * weights.fireFactor;
+    const smokeFactor = 1 + (currentSmokeProb / smokeThreshold) * weights.smokeFactor;
     
     weight *= peopleFactor * fireFactor * smokeFactor;
   }
 
+  // ─────────────────────────────────────────────
+  // Predicted risk: only the increase over the current reading
+  // counts, so observed hazards are not penalised twice
+  // ─────────────────────────────────────────────
+  const predictedRatio = Math.max(
+    Math.max(0, predictedFireProb - currentFireProb) / fireThreshold,
+    Math.max(0, predictedSmokeProb - currentSmokeProb) / smokeThreshold
+  );
+  if (predictedRatio > 0) {
+    weight *= 1 + predictedRatio * weights.predictedFactor;
+  }
+
   return { 
     weight, 
     exceedsThreshold, 
     thresholdRatio,
-    distanceMeters
+    distanceMeters,
+    predictedRatio
   };
 };
 
@@ -182,6 +317,327 @@ const calculateEdgeWeight = (edge, nodeFrom, nodeTo, scale) => {
 /** @const {boolean} ENABLE_TIMING_LOGS - Enable verbose timing logs */
 const ENABLE_TIMING_LOGS = process.env.DIJKSTRA_TIMING_LOGS === 'true';
 
+/**
+ * Rounds a millisecond duration for timing reports.
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Duration rounded to 2 decimals
+ */
+const roundMs = (ms) => parseFloat(ms.toFixed(2));
+
+/* ============================================================
+ * WEIGHTED GRAPH CONSTRUCTION
+ * Built once per floor per cycle and shared by every screen
+ * ============================================================ */
+
+/**
+ * Builds an index-based weighted graph with forward and reverse adjacency.
+ * 
+ * @function buildWeightedGraph
+ * @param {Object} graph - Graph data structure (nodes, edges, scale)
+ * @param {Object} [options] - Build options
+ * @param {string} [options.profile='standard'] - Routing profile (see accessibility.js)
+ * @param {Object} [options.weights] - Penalties and factors (default: 'default' weight profile)
+ * @param {Map<string, Object>} [options.floorWeights] - floorId -> weights, for the
+ *        edges of each floor of a building graph (connectors use options.weights)
+ * 
+ * @returns {Object} Weighted graph
+ * @returns {Map<string, number>} .nodeIndex - nodeId -> index
+ * @returns {Array<string>} .nodeIds - index -> nodeId
+ * @returns {Map<string, Object>} .edgeMap - edgeId -> edge
+ * @returns {Map<string, Object>} .edgeWeightInfo - edgeId -> calculateEdgeWeight result
+ * @returns {Map<string, Object>} .nodeById - nodeId -> graph node
+ * @returns {Array<Array<Object>>} .adjacency - Outgoing arcs { to, weight, edgeId, penalty } per node
+ * @returns {Array<Array<Object>>} .reverseAdjacency - Incoming arcs, reversed, per node
+ * @returns {number} .arcCount - Number of directed arcs
+ * @returns {Set<string>} .closedEdges - Edges left out by a 'closed' override
+ * @returns {Set<string>} .unavailableExits - Exit nodes withdrawn by an 'exit-unavailable'
+ *          override or blocked (graph.exits status)
+ * @returns {Set<string>} .congestedExits - Exit nodes with status 'congested'
+ * @returns {Map<string, number>} .exitCapacity - Configured capacity per exit node
+ * @returns {Array<number>} .refugeIndices - Indices of 'refuge' nodes (and evac-chair
+ *          points on step-free routes)
+ * @returns {Object} .profile - Resolved routing profile
+ * @returns {Set<string>} .excludedNodes - Nodes the profile may not enter
+ * @returns {Set<string>} .excludedEdges - Edges left out by the profile
+ * 
+ * @description
+ * A bidirectional edge yields one arc in each direction, a one-way edge
+ * ('forward' / 'reverse', see edgeDirection.js) only the arc it allows.
+ * The exit-rooted search walks the reverse adjacency (incoming arcs), so
+ * the routes read off it only use arcs in their allowed direction.
+ *
+ * Edges with a forced hazard level are stored (in edgeMap) with their
+ * readings replaced, so weights and route hazard analysis both use it.
+ *
+ * `graph.exits` (statuses from exitStatus.evaluateExits) is optional:
+ * without it every exit is open. Arcs into a congested exit carry their
+ * `penalty` factor so callers that re-weight arcs can keep it.
+ *
+ * The routing profile's traversal factor (ramps, doors on step-free routes)
+ * is folded into edgeWeightInfo's weight, so re-weighting callers keep it too.
+ *
+ * Arcs into a congested exit use the congestedExitFactor of the edge's
+ * floor, like every other weight of that edge.
+ */
+export const buildWeightedGraph = (graph, options = {}) => {
+  const profile = resolveRoutingProfile(options.profile);
+  const defaultWeights = options.weights || DEFAULT_ROUTING_WEIGHTS;
+  const weightsOf = (edge) => options.floorWeights?.get(edge.floorId) || defaultWeights;
+  const nodeIndex = new Map();
+  const nodeIds = [];
+
+  graph.nodes.forEach(n => {
+    if (nodeIndex.has(n.id)) return;
+    nodeIndex.set(n.id, nodeIds.length);
+    nodeIds.push(n.id);
+  });
+
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+  const adjacency = nodeIds.map(() => []);
+  const reverseAdjacency = nodeIds.map(() => []);
+  const edgeMap = new Map();
+  const edgeWeightInfo = new Map();
+  const closedEdges = new Set();
+  const unavailableExits = new Set();
+  const congestedExits = new Set();
+  const exitCapacity = new Map();
+  const excludedNodes = new Set(graph.nodes.filter(n => isExcludedNode(profile, n)).map(n => n.id));
+  const excludedEdges = new Set();
+  let arcCount = 0;
+
+  // Exit status: blocked exits are withdrawn, congested ones penalised
+  (graph.exits || []).forEach(exit => {
+    if (exit.status === 'blocked') unavailableExits.add(exit.nodeId);
+    if (exit.status === 'congested') congestedExits.add(exit.nodeId);
+    if (exit.capacity) exitCapacity.set(exit.nodeId, exit.capacity);
+  });
+  const congestedIndices = new Set([...congestedExits].map(id => nodeIndex.get(id)));
+
+  const refugeIndices = nodeIds
+    .filter(id => isRefugeNode(profile, nodeById.get(id)) && !excludedNodes.has(id))
+    .map(id => nodeIndex.get(id));
+
+  const addArc = (fromIdx, toIdx, weight, edgeId, weights) => {
+    const penalty = congestedIndices.has(toIdx) ? weights.congestedExitFactor : 1;
+    adjacency[fromIdx].push({ to: toIdx, weight: weight * penalty, edgeId, penalty });
+    reverseAdjacency[toIdx].push({ to: fromIdx, weight: weight * penalty, edgeId, penalty });
+    arcCount++;
+  };
+
+  graph.edges.forEach(graphEdge => {
+    const fromIdx = nodeIndex.get(graphEdge.from);
+    const toIdx = nodeIndex.get(graphEdge.to);
+
+    if (fromIdx === undefined || toIdx === undefined) {
+      console.warn(`Edge ${graphEdge.id} references non-existent nodes: ${graphEdge.from} or ${graphEdge.to}`);
+      return;
+    }
+
+    // Manual overrides: closed corridors are not traversable at all
+    if (graphEdge.override?.type === 'closed') {
+      closedEdges.add(graphEdge.id);
+      return;
+    }
+    if (graphEdge.override?.type === 'exit-unavailable') {
+      (graphEdge.override.exitNodeIds || []).forEach(id => unavailableExits.add(id));
+    }
+
+    // Routing profile: e.g. no stairs on step-free routes
+    if (excludedNodes.has(graphEdge.from) || excludedNodes.has(graphEdge.to) || isExcludedEdge(profile, graphEdge)) {
+      excludedEdges.add(graphEdge.id);
+      return;
+    }
+    const e = applyForcedHazard(graphEdge);
+
+    // Calculate weight for this edge (building graphs carry a per-floor scale)
+    const weights = weightsOf(e);
+    const weightInfo = calculateEdgeWeight(e, nodeById.get(e.from), nodeById.get(e.to), e.scale || graph.scale, weights);
+    const factor = traversalFactor(profile, e);
+    if (factor !== 1) {
+      weightInfo.weight *= factor;
+      weightInfo.traversalFactor = factor;
+    }
+    edgeMap.set(e.id, e);
+    edgeWeightInfo.set(e.id, weightInfo);
+
+    // One arc per walkable direction
+    if (allowsTravel(e.direction, true)) addArc(fromIdx, toIdx, weightInfo.weight, e.id, weights);
+    if (allowsTravel(e.direction, false)) addArc(toIdx, fromIdx, weightInfo.weight, e.id, weights);
+  });
+
+  return {
+    nodeIndex,
+    nodeIds,
+    nodeById,
+    edgeMap,
+    edgeWeightInfo,
+    adjacency,
+    reverseAdjacency,
+    arcCount,
+    closedEdges,
+    unavailableExits,
+    congestedExits,
+    exitCapacity,
+    refugeIndices,
+    profile,
+    excludedNodes,
+    excludedEdges
+  };
+};
+
+/**
+ * Resolves exit node IDs to indices, leaving out blocked exits, exits
+ * withdrawn by an 'exit-unavailable' override, exits the routing profile
+ * excludes and IDs that are not in the graph.
+ *
+ * @function resolveExitIndices
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Array<string>} exitNodeIds - Exit node IDs
+ * @returns {Array<number>} Usable exit node indices
+ */
+export const resolveExitIndices = (weighted, exitNodeIds) => exitNodeIds
+  .filter(id => !weighted.unavailableExits?.has(id) && !weighted.excludedNodes?.has(id))
+  .map(id => weighted.nodeIndex.get(id))
+  .filter(idx => idx !== undefined);
+
+/* ============================================================
+ * DIJKSTRA SEARCH
+ * ============================================================ */
+
+/**
+ * Runs Dijkstra's algorithm from one or more source nodes using a binary heap.
+ * 
+ * @function runDijkstra
+ * @param {Array<Array<Object>>} adjacency - Arcs per node index
+ * @param {Array<number>} sources - Source node indices (distance 0)
+ * @param {Object} [options] - Search restrictions
+ * @param {Set<string>} [options.blockedEdges] - Edge IDs that may not be used
+ * @param {Set<number>} [options.blockedNodes] - Node indices that may not be entered
+ * @param {Set<number>} [options.targets] - Stop as soon as one of these is settled
+ * 
+ * @returns {Object} Search result (typed arrays indexed by node index)
+ * @returns {Float64Array} .dist - Distance from the nearest source
+ * @returns {Int32Array} .prev - Previous node index (-1 for sources/unreached)
+ * @returns {Array<string>} .prevEdge - Edge used to reach each node
+ * @returns {Int32Array} .origin - Source index each node was reached from
+ * @returns {number} .settled - Number of settled nodes
+ * @returns {number} .reached - First target settled (-1 if none / no targets)
+ */
+const runDijkstra = (adjacency, sources, options = {}) => {
+  const { blockedEdges, blockedNodes, targets } = options;
+  const n = adjacency.length;
+  const dist = new Float64Array(n).fill(Infinity);
+  const prev = new Int32Array(n).fill(-1);
+  const prevEdge = new Array(n).fill(null);
+  const origin = new Int32Array(n).fill(-1);
+  const settledFlags = new Uint8Array(n);
+  const heap = new MinHeap();
+  let settled = 0;
+  let reached = -1;
+
+  for (const s of sources) {
+    dist[s] = 0;
+    origin[s] = s;
+    heap.push(s, 0);
+  }
+
+  // ─────────────────────────────────────────────
+  // Main loop: settle the closest node, relax its arcs
+  // Stale heap entries are skipped (lazy deletion)
+  // ─────────────────────────────────────────────
+  while (heap.size > 0) {
+    const { value: u, priority: d } = heap.pop();
+    if (settledFlags[u]) continue;
+    settledFlags[u] = 1;
+    settled++;
+
+    // Early exit: nearest target found
+    if (targets?.has(u)) {
+      reached = u;
+      break;
+    }
+
+    for (const arc of adjacency[u]) {
+      const v = arc.to;
+      if (settledFlags[v]) continue;
+      if (blockedEdges?.has(arc.edgeId) || blockedNodes?.has(v)) continue;
+
+      const newDist = d + arc.weight;
+      if (newDist < dist[v]) {
+        dist[v] = newDist;
+        prev[v] = u;
+        prevEdge[v] = arc.edgeId;
+        origin[v] = origin[u];
+        heap.push(v, newDist);
+      }
+    }
+  }
+
+  return { dist, prev, prevEdge, origin, settled, reached };
+};
+
+/**
+ * Computes, for every node, the cheapest way to reach any exit.
+ * 
+ * @function searchFromExits
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Array<string>} exitNodeIds - Exit node IDs
+ * 
+ * @returns {Object} Search result from runDijkstra plus validExits
+ * 
+ * @description
+ * One reverse search rooted at all exits at once (multi-source) replaces
+ * one forward search per screen. Following `prev` from any node walks
+ * towards its nearest exit, so every screen's route is read off the
+ * same shortest-path tree.
+ */
+export const searchFromExits = (weighted, exitNodeIds) => {
+  const validExits = resolveExitIndices(weighted, exitNodeIds);
+
+  const search = runDijkstra(weighted.reverseAdjacency, validExits);
+  return { ...search, validExits };
+};
+
+/**
+ * Computes, for every node, the cheapest way to reach any refuge area.
+ * 
+ * @function searchFromRefuges
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * 
+ * @returns {Object} Search result from runDijkstra (same use as searchFromExits)
+ * 
+ * @description
+ * Only run when some screen can reach no exit.
+ */
+export const searchFromRefuges = (weighted) => runDijkstra(weighted.reverseAdjacency, weighted.refugeIndices);
+
+/**
+ * Finds the cheapest path from one node to the nearest of a set of targets.
+ * 
+ * @function searchFromStart
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {number} startIdx - Start node index
+ * @param {Set<number>} targets - Target node indices (usually exits)
+ * @param {Object} [options] - blockedEdges / blockedNodes (see runDijkstra)
+ * 
+ * @returns {Object|null} { nodes, edges, distance } in travel order, or null if unreachable
+ * 
+ * @description
+ * Uses the current arc weights of `weighted.adjacency`, so callers that
+ * adjust weights between searches (flow planning) get the adjusted costs.
+ */
+export const searchFromStart = (weighted, startIdx, targets, options = {}) => {
+  const search = runDijkstra(weighted.adjacency, [startIdx], { ...options, targets });
+  if (search.reached === -1) return null;
+
+  // Walk back from the target reached, then flip into travel order
+  const pathData = reconstructPath(weighted, search, search.reached);
+  pathData.nodes.reverse();
+  pathData.edges.reverse();
+
+  return { ...pathData, distance: search.dist[search.reached] };
+};
+
 /* ============================================================
  * MAIN PATHFINDING FUNCTIONS
  * ============================================================ */
@@ -194,8 +650,17 @@ const ENABLE_TIMING_LOGS = process.env.DIJKSTRA_TIMING_LOGS === 'true';
  * @param {Array<Object>} graph.nodes - Array of node objects with id, x, y
  * @param {Array<Object>} graph.edges - Array of edge objects connecting nodes
  * @param {Object} graph.scale - Scale data for real-world distance calculation
+ *                               (an edge's own `scale` takes precedence)
  * @param {Array<string>} startNodeIds - Array of start node IDs (screen positions)
  * @param {Array<string>} exitNodeIds - Array of exit node IDs (evacuation exits)
+ * @param {Object} [options] - Optional overrides
+ * @param {number} [options.alternateCount] - Backup routes per screen (default: DIJKSTRA_ALTERNATE_COUNT)
+ * @param {string} [options.alternateMode] - 'edge' | 'node' (default: DIJKSTRA_ALTERNATE_MODE)
+ * @param {string} [options.profile='standard'] - Routing profile ('standard' | 'step-free')
+ * @param {Object} [options.weights] - Weights of the routed floor (see routingWeights.js)
+ * @param {Map<string, Object>} [options.floorWeights] - Building graphs: floorId -> weights
+ * @param {Map<string, Object>} [options.previousRoutes] - Routes screens were last shown,
+ *        by start node (see routeMemory.js); enables route hysteresis
  * 
  * @returns {Array<Object>} Array of route objects with timing metadata
  * @returns {string} [].startNode - Starting node ID
@@ -204,38 +669,62 @@ const ENABLE_TIMING_LOGS = process.env.DIJKSTRA_TIMING_LOGS === 'true';
  * @returns {Array<string>} [].edges - Array of edge IDs in path order
  * @returns {number} [].distance - Total weighted distance
  * @returns {number} [].distanceMeters - Total real-world distance in meters
- * @returns {string} [].hazardLevel - 'safe', 'moderate', or 'critical'
+ * @returns {string} [].hazardLevel - 'safe', 'moderate', 'high', or 'critical'
  * @returns {boolean} [].exceedsThresholds - True if route passes through hazards
  * @returns {Object} [].hazardDetails - Detailed hazard info for each edge
+ * @returns {Array<Object>} [].alternates - Disjoint backup routes (see computeAlternateRoutes)
+ * @returns {boolean} [].shelterInPlace - True if no exit is reachable (see buildShelterRoute)
+ * @returns {Object} [].stability - Hysteresis outcome (only with previousRoutes, see applyRouteHysteresis)
  * @returns {Object} []._timing - Performance timing metadata (attached to array)
  * 
  * @description
- * Processes each start point independently to find its optimal route.
- * Each route calculation uses Dijkstra's algorithm with dynamic weights.
- * Performance timing is collected for monitoring and optimization.
+ * 1. Build the weighted graph once (edge weights + adjacency)
+ * 2. Run one reverse multi-source Dijkstra from all exits
+ * 3. Read each screen's route off the shortest-path tree; screens that
+ *    reach no exit get a refuge / shelter-in-place route instead
+ * 4. Keep previous routes that are still nearly as good (hysteresis)
+ * 5. Compute disjoint backup routes per screen (forward searches)
+ * 
+ * `_timing` reports graphBuildMs, searchMs, reconstructMs and alternatesMs
+ * separately so the cost of the single search can be compared with
+ * per-route work.
  * 
  * @example
  * const routes = computeShortestPaths(floor.graph, floor.startPoints, floor.exitPoints);
  * // routes[0] = { startNode: 'screen_1', exitNode: 'exit_a', path: [...], ... }
  */
-export const computeShortestPaths = (graph, startNodeIds, exitNodeIds) => {
+export const computeShortestPaths = (graph, startNodeIds, exitNodeIds, options = {}) => {
+  const { alternateCount, alternateMode } = resolveAlternateOptions(options);
+
   // ─────────────────────────────────────────────
   // Initialize timing metrics
   // ─────────────────────────────────────────────
   const timingStart = performance.now();
   const timing = {
+    algorithm: 'reverse-multi-source',
+    profile: resolveRoutingProfile(options.profile).name,
     totalMs: 0,
+    graphBuildMs: 0,
+    searchMs: 0,
+    reconstructMs: 0,
+    alternatesMs: 0,
     routeTimings: [],
     graphStats: {
       nodes: graph.nodes?.length || 0,
       edges: graph.edges?.length || 0,
+      arcs: 0,
+      settledNodes: 0,
       startPoints: startNodeIds?.length || 0,
-      exitPoints: exitNodeIds?.length || 0
+      exitPoints: exitNodeIds?.length || 0,
+      alternates: 0,
+      shelterRoutes: 0,
+      heldRoutes: 0
     }
   };
 
   // ─────────────────────────────────────────────
   // Input validation
+  // No exits is not an error: screens shelter instead
   // ─────────────────────────────────────────────
   if (!startNodeIds || !startNodeIds.length) {
     console.warn('No start points provided');
@@ -244,28 +733,57 @@ export const computeShortestPaths = (graph, startNodeIds, exitNodeIds) => {
 
   if (!exitNodeIds || !exitNodeIds.length) {
     console.warn('No exit points provided');
-    return [];
   }
 
+  // ─────────────────────────────────────────────
+  // Build weighted graph once for all screens
+  // ─────────────────────────────────────────────
+  const buildStart = performance.now();
+  const weighted = buildWeightedGraph(graph, {
+    profile: options.profile,
+    weights: options.weights,
+    floorWeights: options.floorWeights
+  });
+  timing.graphBuildMs = roundMs(performance.now() - buildStart);
+  timing.graphStats.arcs = weighted.arcCount;
+
+  // ─────────────────────────────────────────────
+  // Single reverse search from every exit
+  // ─────────────────────────────────────────────
+  const searchStart = performance.now();
+  const search = searchFromExits(weighted, exitNodeIds || []);
+  timing.searchMs = roundMs(performance.now() - searchStart);
+  timing.graphStats.settledNodes = search.settled;
+
   const routes = [];
+  let refugeSearch = null;
+
+  if (search.validExits.length === 0) {
+    console.error(`No usable exit nodes found in graph - screens will shelter in place`);
+  }
 
   // ─────────────────────────────────────────────
-  // Calculate route for each start point
-  // Each start point gets its own optimal route
+  // Read each start point's route off the tree
   // ─────────────────────────────────────────────
+  const reconstructStart = performance.now();
+
   for (const startNodeId of startNodeIds) {
     const routeStart = performance.now();
-    const route = computeSingleRoute(graph, startNodeId, exitNodeIds);
-    const routeEnd = performance.now();
-    const routeMs = routeEnd - routeStart;
-    
-    // Record timing for this route
+    let route = buildRouteFromSearch(weighted, search, startNodeId);
+
+    // Cut off from every exit: nearest refuge area (searched once, on demand)
+    if (!route && weighted.nodeIndex.has(startNodeId)) {
+      refugeSearch = refugeSearch || searchFromRefuges(weighted);
+      route = buildShelterRoute(weighted, refugeSearch, startNodeId, search.validExits.length === 0);
+      timing.graphStats.shelterRoutes++;
+    }
+
     timing.routeTimings.push({
       startNode: startNodeId,
-      ms: parseFloat(routeMs.toFixed(2)),
+      ms: roundMs(performance.now() - routeStart),
       found: !!route
     });
-    
+
     if (route) {
       routes.push({
         startNode: startNodeId,
@@ -274,16 +792,37 @@ export const computeShortestPaths = (graph, startNodeIds, exitNodeIds) => {
     }
   }
 
+  timing.reconstructMs = roundMs(performance.now() - reconstructStart);
+
+  // ─────────────────────────────────────────────
+  // Hysteresis: no flip-flopping between near-equal routes
+  // ─────────────────────────────────────────────
+  if (options.previousRoutes) {
+    timing.graphStats.heldRoutes = applyRouteHysteresis(weighted, routes, options.previousRoutes, search.validExits);
+  }
+
+  // ─────────────────────────────────────────────
+  // Backup routes in case the primary gets blocked
+  // ─────────────────────────────────────────────
+  if (alternateCount > 0 && search.validExits.length > 0) {
+    const alternatesStart = performance.now();
+    timing.graphStats.alternates = addAlternateRoutes(weighted, routes, search.validExits, {
+      alternateCount,
+      alternateMode
+    });
+    timing.alternatesMs = roundMs(performance.now() - alternatesStart);
+  }
+
   // ─────────────────────────────────────────────
   // Finalize timing metrics
   // ─────────────────────────────────────────────
-  timing.totalMs = parseFloat((performance.now() - timingStart).toFixed(2));
+  timing.totalMs = roundMs(performance.now() - timingStart);
   timing.avgRouteMs = timing.routeTimings.length > 0 
-    ? parseFloat((timing.totalMs / timing.routeTimings.length).toFixed(2)) 
+    ? roundMs(timing.totalMs / timing.routeTimings.length) 
     : 0;
 
   if (ENABLE_TIMING_LOGS) {
-    console.log(`⏱️ Dijkstra: ${timing.totalMs}ms total | ${timing.routeTimings.length} routes | avg ${timing.avgRouteMs}ms/route`);
+    console.log(`⏱️ Dijkstra: ${timing.totalMs}ms total (build ${timing.graphBuildMs}ms, search ${timing.searchMs}ms, reconstruct ${timing.reconstructMs}ms, alternates ${timing.alternatesMs}ms) | ${timing.routeTimings.length} routes | avg ${timing.avgRouteMs}ms/route`);
   }
 
   // Attach timing metadata to routes array
@@ -293,17 +832,16 @@ export const computeShortestPaths = (graph, startNodeIds, exitNodeIds) => {
 };
 
 /* ============================================================
- * SINGLE ROUTE COMPUTATION
+ * SINGLE ROUTE EXTRACTION
  * ============================================================ */
 
 /**
- * Computes the shortest route from one start point to the nearest exit.
- * Uses Dijkstra's algorithm with a priority queue.
+ * Builds the route object for one start point from an exit-rooted search.
  * 
- * @function computeSingleRoute
- * @param {Object} graph - Graph data structure
+ * @function buildRouteFromSearch
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Object} search - Result of searchFromExits
  * @param {string} startNodeId - Starting node ID
- * @param {Array<string>} exitNodeIds - Array of possible exit node IDs
  * 
  * @returns {Object|null} Route object or null if no path exists
  * @returns {string} .exitNode - Destination exit node ID
@@ -314,147 +852,317 @@ export const computeShortestPaths = (graph, startNodeIds, exitNodeIds) => {
  * @returns {string} .hazardLevel - Hazard classification
  * @returns {boolean} .exceedsThresholds - Whether route passes through hazards
  * @returns {Object} .hazardDetails - Detailed hazard info for each edge
- * 
- * @description
- * Algorithm steps:
- * 1. Build node lookup map and adjacency list
- * 2. Calculate weights for all edges based on current conditions
- * 3. Run Dijkstra's algorithm from start node
- * 4. Early exit when any valid exit is reached
- * 5. Reconstruct path and analyze hazards
  */
-const computeSingleRoute = (graph, startNodeId, exitNodeIds) => {
-  // ─────────────────────────────────────────────
-  // Build node lookup map for O(1) access
-  // ─────────────────────────────────────────────
-  const nodeMap = {};
-  graph.nodes.forEach(n => (nodeMap[n.id] = n));
+const buildRouteFromSearch = (weighted, search, startNodeId) => {
+  const startIdx = weighted.nodeIndex.get(startNodeId);
 
   // Validate start node exists
-  if (!nodeMap[startNodeId]) {
+  if (startIdx === undefined) {
     console.error(`Start node ${startNodeId} not found in graph`);
     return null;
   }
 
-  // Filter to only valid exit nodes (exist in graph)
-  const validExits = exitNodeIds.filter(id => nodeMap[id]);
-  if (validExits.length === 0) {
-    console.error(`No valid exit nodes found in graph`);
+  // No route found to any exit
+  if (search.dist[startIdx] === Infinity) {
+    console.error(`No route possible from ${startNodeId} to any exit`);
     return null;
   }
 
   // ─────────────────────────────────────────────
-  // Build adjacency list with calculated weights
-  // Store weight info for later analysis
+  // Reconstruct path and analyze route
   // ─────────────────────────────────────────────
-  const adj = {};
-  const edgeWeightInfo = {}; // edgeId -> weight info for analysis
+  const pathData = reconstructPath(weighted, search, startIdx);
+
+  return describeRoute(weighted, pathData, search.dist[startIdx]);
+};
 
-  graph.nodes.forEach(n => (adj[n.id] = []));
+/**
+ * Builds the route of a start point that can reach no exit.
+ * 
+ * @function buildShelterRoute
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Object} search - Result of searchFromRefuges
+ * @param {string} startNodeId - Starting node ID (must be in the graph)
+ * @param {boolean} allBlocked - True if no exit at all is usable
+ * 
+ * @returns {Object} Route with the describeRoute fields, plus:
+ * @returns {boolean} .shelterInPlace - Always true
+ * @returns {string|null} .refugeNode - Refuge node to go to (null = stay put)
+ * @returns {string|null} .refugeLabel - Its label
+ * @returns {Array<string>} .instructions - The shelter instruction for screens
+ * 
+ * @description
+ * `exitNode` is null. The hazard level is always 'critical': people who
+ * cannot get out need rescue, whatever the corridors around them read.
+ * With no refuge reachable the path is just the start node.
+ */
+export const buildShelterRoute = (weighted, search, startNodeId, allBlocked) => {
+  const startIdx = weighted.nodeIndex.get(startNodeId);
+  const reachable = search.dist[startIdx] !== Infinity;
+
+  const pathData = reachable
+    ? reconstructPath(weighted, search, startIdx)
+    : { nodes: [startNodeId], edges: [] };
+  const refugeNode = reachable ? pathData.nodes[pathData.nodes.length - 1] : null;
+  const refugeLabel = refugeNode ? (weighted.nodeById.get(refugeNode)?.label || refugeNode) : null;
+
+  console.warn(refugeNode
+    ? `🛟 ${startNodeId}: no exit reachable - sent to refuge area ${refugeNode}`
+    : `🛟 ${startNodeId}: no exit or refuge area reachable - shelter in place`);
+
+  return {
+    ...describeRoute(weighted, pathData, reachable ? search.dist[startIdx] : 0),
+    exitNode: null,
+    hazardLevel: 'critical',
+    shelterInPlace: true,
+    refugeNode,
+    refugeLabel,
+    instructions: [shelterInstruction(allBlocked, refugeLabel, weighted.profile)],
+    alternates: []
+  };
+};
+
+/**
+ * Adds distance and hazard analysis to a reconstructed path.
+ * 
+ * @function describeRoute
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Object} pathData - { nodes, edges } in travel order
+ * @param {number} distance - Total weighted distance
+ * 
+ * @returns {Object} Route fields shared by primary and alternate routes
+ */
+export const describeRoute = (weighted, pathData, distance) => {
+  // Calculate total real-world distance (sum of edge distances)
+  const routeMetrics = calculateRouteMetrics(pathData.edges, weighted.edgeWeightInfo);
   
-  graph.edges.forEach(e => {
-    const nodeFrom = nodeMap[e.from];
-    const nodeTo = nodeMap[e.to];
-    
-    if (!nodeFrom || !nodeTo) {
-      console.warn(`Edge ${e.id} references non-existent nodes: ${e.from} or ${e.to}`);
+  // Analyze hazards along the route
+  const routeHazards = analyzeRouteHazards(pathData.edges, weighted.edgeMap, weighted.edgeWeightInfo);
+
+  return {
+    exitNode: pathData.nodes[pathData.nodes.length - 1],
+    path: pathData.nodes,
+    edges: pathData.edges,
+    distance,
+    distanceMeters: routeMetrics.totalDistanceMeters,
+    hazardLevel: routeHazards.level,
+    exceedsThresholds: routeHazards.exceedsThresholds,
+    hazardDetails: routeHazards.details
+  };
+};
+
+/* ============================================================
+ * ROUTE HYSTERESIS
+ * ============================================================ */
+
+/**
+ * Current weighted cost of a path, read off its arcs.
+ *
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Array<string>} nodes - Node IDs in travel order
+ * @param {Array<string>} edges - Edge IDs in travel order
+ * @returns {number|null} Cost, or null if an arc no longer exists (closed,
+ *          excluded, one-way against travel, or removed from the floor)
+ */
+const pathCost = (weighted, nodes, edges) => {
+  if (!nodes?.length || nodes.length !== edges.length + 1) return null;
+
+  let cost = 0;
+  for (let i = 0; i < edges.length; i++) {
+    const fromIdx = weighted.nodeIndex.get(nodes[i]);
+    const toIdx = weighted.nodeIndex.get(nodes[i + 1]);
+    if (fromIdx === undefined || toIdx === undefined) return null;
+
+    const arc = weighted.adjacency[fromIdx].find(a => a.edgeId === edges[i] && a.to === toIdx);
+    if (!arc) return null;
+    cost += arc.weight;
+  }
+  return cost;
+};
+
+/**
+ * Keeps each screen's previous route while the new best route is only
+ * marginally cheaper.
+ *
+ * @function applyRouteHysteresis
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Array<Object>} routes - Best routes of this computation (modified in place)
+ * @param {Map<string, Object>} previousRoutes - startNode -> { path, edges, exitNode, shelterInPlace, cycles }
+ * @param {Array<number>} validExits - Usable exit indices (see resolveExitIndices)
+ * @param {Object} [options] - { margin, cycles }, env defaults otherwise
+ *
+ * @returns {number} Number of routes held back
+ *
+ * @description
+ * Sets `stability` on every route: { held, reason, cycles, challenger, improvement }.
+ *
+ * | reason      | Outcome                                                        |
+ * |-------------|----------------------------------------------------------------|
+ * | new         | No previous route, or the screen shelters                      |
+ * | unchanged   | Best route is the previous one                                 |
+ * | unavailable | Previous route can no longer be walked, or its exit is unusable |
+ * | safety      | Previous route exceeds a threshold or is more hazardous         |
+ * | better      | New route is at least `margin` cheaper                          |
+ * | persistent  | New route was cheaper for `cycles` capture cycles in a row      |
+ * | hysteresis  | Previous route kept (held: true)                                |
+ *
+ * `cycles` counts consecutive computations in which a cheaper route lost to
+ * the held one - capture cycles, as the caller only remembers the routes of
+ * those (routeMemory.js); `challenger`/`improvement` describe that route.
+ */
+export const applyRouteHysteresis = (weighted, routes, previousRoutes, validExits, options = {}) => {
+  const margin = options.margin ?? HYSTERESIS_MARGIN;
+  const requiredCycles = options.cycles ?? HYSTERESIS_CYCLES;
+  const exitIds = new Set(validExits.map(idx => weighted.nodeIds[idx]));
+  const stability = (held, reason, extra = {}) => ({ held, reason, cycles: 0, challenger: null, improvement: null, ...extra });
+  let heldCount = 0;
+
+  routes.forEach((route, i) => {
+    const previous = previousRoutes.get(route.startNode);
+
+    if (margin <= 0 || !previous || previous.shelterInPlace || route.shelterInPlace) {
+      route.stability = stability(false, 'new');
+      return;
+    }
+    if (previous.edges.join() === route.edges.join()) {
+      route.stability = stability(false, 'unchanged');
       return;
     }
 
-    // Calculate weight for this edge
-    const weightInfo = calculateEdgeWeight(e, nodeFrom, nodeTo, graph.scale);
-    edgeWeightInfo[e.id] = weightInfo;
-    
-    // Add bidirectional edges (undirected graph)
-    adj[e.from].push({ to: e.to, weight: weightInfo.weight, edgeId: e.id });
-    adj[e.to].push({ to: e.from, weight: weightInfo.weight, edgeId: e.id });
-  });
+    const cost = exitIds.has(previous.exitNode) ? pathCost(weighted, previous.path, previous.edges) : null;
+    if (cost === null) {
+      route.stability = stability(false, 'unavailable');
+      return;
+    }
 
-  // ─────────────────────────────────────────────
-  // Dijkstra's Algorithm
-  // ─────────────────────────────────────────────
-  const dist = {};     // Shortest distance to each node
-  const prev = {};     // Previous node in shortest path
-  const visited = new Set();
+    const kept = describeRoute(weighted, { nodes: previous.path, edges: previous.edges }, cost);
+    if (kept.exceedsThresholds || HAZARD_ORDER.indexOf(kept.hazardLevel) > HAZARD_ORDER.indexOf(route.hazardLevel)) {
+      route.stability = stability(false, 'safety');
+      return;
+    }
 
-  // Initialize all distances to infinity
-  Object.keys(adj).forEach(k => (dist[k] = Infinity));
-  dist[startNodeId] = 0;
+    const improvement = cost > 0 ? 1 - route.distance / cost : 0;
+    if (improvement >= margin) {
+      route.stability = stability(false, 'better', { improvement: parseFloat(improvement.toFixed(3)) });
+      return;
+    }
 
-  // Priority queue (min-heap simulation using sorted array)
-  // Note: For large graphs, consider using a proper min-heap implementation
-  // Priority queue initialization
-  const pq = [{ id: startNodeId, d: 0 }];
+    const cycles = improvement > 0 ? (previous.cycles || 0) + 1 : 0;
+    if (improvement > 0 && cycles >= requiredCycles) {
+      route.stability = stability(false, 'persistent', { improvement: parseFloat(improvement.toFixed(3)) });
+      return;
+    }
 
-  // ─────────────────────────────────────────────
-  // Main Dijkstra loop
-  // Process nodes in order of shortest distance
-  // ─────────────────────────────────────────────
-  while (pq.length) {
-    // Extract node with minimum distance (sort-based min extraction)
-    pq.sort((a, b) => a.d - b.d);
-    const current = pq.shift();
+    routes[i] = {
+      startNode: route.startNode,
+      ...kept,
+      stability: stability(true, 'hysteresis', {
+        cycles,
+        challenger: improvement > 0 ? route.exitNode : null,
+        improvement: improvement > 0 ? parseFloat(improvement.toFixed(3)) : null
+      })
+    };
+    heldCount++;
+  });
 
-    // Skip if already visited (duplicate entry in queue)
-    if (visited.has(current.id)) continue;
-    visited.add(current.id);
+  return heldCount;
+};
 
-    // Early exit optimization: stop when we reach any exit
-    if (validExits.includes(current.id)) break;
+/* ============================================================
+ * ALTERNATE (BACKUP) ROUTES
+ * ============================================================ */
 
-    // Explore all neighbors
-    for (const neighbor of adj[current.id]) {
-      if (visited.has(neighbor.to)) continue;
+/**
+ * Applies the DIJKSTRA_ALTERNATE_* defaults to caller options.
+ * @param {Object} options - { alternateCount, alternateMode }
+ * @returns {Object} Resolved { alternateCount, alternateMode }
+ */
+const resolveAlternateOptions = (options = {}) => ({
+  alternateCount: options.alternateCount ?? ALTERNATE_COUNT,
+  alternateMode: options.alternateMode ?? ALTERNATE_MODE
+});
 
-      const newDist = current.d + neighbor.weight;
-      if (newDist < dist[neighbor.to]) {
-        dist[neighbor.to] = newDist;
-        prev[neighbor.to] = { nodeId: current.id, edgeId: neighbor.edgeId };
-        pq.push({ id: neighbor.to, d: newDist });
-      }
-    }
+/**
+ * Sets `alternates` on every route.
+ * 
+ * @function addAlternateRoutes
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Array<Object>} routes - Primary routes (modified in place)
+ * @param {Array<number>} exitIndices - Valid exit node indices
+ * @param {Object} [options] - { alternateCount, alternateMode }, env defaults otherwise
+ * 
+ * @returns {number} Total number of alternates found
+ */
+export const addAlternateRoutes = (weighted, routes, exitIndices, options = {}) => {
+  const { alternateCount, alternateMode } = resolveAlternateOptions(options);
+  let total = 0;
+
+  for (const route of routes) {
+    // Shelter routes exist because no exit is reachable from the screen
+    route.alternates = alternateCount > 0 && !route.shelterInPlace
+      ? computeAlternateRoutes(weighted, route, exitIndices, alternateCount, alternateMode)
+      : [];
+    total += route.alternates.length;
   }
 
-  // ─────────────────────────────────────────────
-  // Find nearest reachable exit
-  // ─────────────────────────────────────────────
-  let bestExit = null;
-  let bestDist = Infinity;
+  return total;
+};
 
-  for (const exitId of validExits) {
-    if (dist[exitId] < bestDist) {
-      bestExit = exitId;
-      bestDist = dist[exitId];
-    }
-  }
+/**
+ * Computes up to `count` backup routes that avoid the primary route.
+ * 
+ * @function computeAlternateRoutes
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Object} primary - Primary route (startNode, path, edges)
+ * @param {Array<number>} exitIndices - Valid exit node indices
+ * @param {number} count - Maximum number of alternates
+ * @param {string} [mode='edge'] - 'edge' or 'node' disjointness
+ * 
+ * @returns {Array<Object>} Alternates ordered by weighted distance, each with
+ *          the describeRoute fields plus `disjoint` (the mode used)
+ * 
+ * @description
+ * Successive shortest paths: after each route is found its edges (edge
+ * mode) or intermediate junctions (node mode) are removed and the search
+ * is repeated from the screen. Every alternate is therefore disjoint from
+ * the primary and from every earlier alternate, so a single blocked
+ * corridor can never take out more than one of them. Fewer than `count`
+ * alternates are returned when the floor layout does not allow more.
+ */
+export const computeAlternateRoutes = (weighted, primary, exitIndices, count, mode = 'edge') => {
+  const startIdx = weighted.nodeIndex.get(primary.startNode);
+  const alternates = [];
 
-  // No route found to any exit
-  if (!bestExit || bestDist === Infinity) {
-    console.error(`No route possible from ${startNodeId} to any exit`);
-    return null;
-  }
+  // Screen standing on an exit: nothing to route around
+  if (startIdx === undefined || !primary.edges?.length) return alternates;
 
-  // ─────────────────────────────────────────────
-  // Reconstruct path and analyze route
-  // ─────────────────────────────────────────────
-  const pathData = reconstructPath(prev, startNodeId, bestExit);
-  
-  // Calculate total real-world distance (sum of edge distances)
-  const routeMetrics = calculateRouteMetrics(pathData.edges, graph.edges, edgeWeightInfo);
-  
-  // Analyze hazards along the route
-  const routeHazards = analyzeRouteHazards(pathData.edges, graph.edges, edgeWeightInfo);
+  const targets = new Set(exitIndices);
+  const blockedEdges = new Set();
+  const blockedNodes = new Set();
 
-  return {
-    exitNode: bestExit,
-    path: pathData.nodes,
-    edges: pathData.edges,
-    distance: bestDist,
-    distanceMeters: routeMetrics.totalDistanceMeters,
-    hazardLevel: routeHazards.level,
-    exceedsThresholds: routeHazards.exceedsThresholds,
-    hazardDetails: routeHazards.details
+  const blockRoute = (route) => {
+    if (mode === 'node') {
+      route.path.slice(1, -1).forEach(nodeId => blockedNodes.add(weighted.nodeIndex.get(nodeId)));
+    }
+    // Node mode blocks edges too, otherwise a direct screen → exit edge could repeat
+    route.edges.forEach(edgeId => blockedEdges.add(edgeId));
   };
+
+  blockRoute(primary);
+
+  while (alternates.length < count) {
+    const found = searchFromStart(weighted, startIdx, targets, { blockedEdges, blockedNodes });
+    if (!found) break;
+
+    const alternate = {
+      ...describeRoute(weighted, found, found.distance),
+      disjoint: mode
+    };
+    alternates.push(alternate);
+    blockRoute(alternate);
+  }
+
+  return alternates;
 };
 
 /* ============================================================
@@ -462,36 +1170,31 @@ const computeSingleRoute = (graph, startNodeId, exitNodeIds) => {
  * ============================================================ */
 
 /**
- * Reconstructs the path from start to end using the prev map.
+ * Walks the `prev` chain of a search from a node back to its source.
  * 
  * @function reconstructPath
- * @param {Object} prev - Map of nodeId -> { nodeId, edgeId } for previous node
- * @param {string} startId - Starting node ID
- * @param {string} endId - Ending node ID
+ * @param {Object} weighted - Graph returned by buildWeightedGraph
+ * @param {Object} search - Result of runDijkstra / searchFromExits
+ * @param {number} startIdx - Node index to start walking from
  * 
  * @returns {Object} Path data
  * @returns {Array<string>} .nodes - Array of node IDs in path order
  * @returns {Array<string>} .edges - Array of edge IDs in path order
  * 
  * @description
- * Walks backwards from end to start using the prev map,
- * then reverses to get the correct order.
+ * In the exit-rooted tree `prev` points one step closer to the exit,
+ * so walking it from the start yields the path already in travel order.
+ * Forward searches (alternates) reverse the result.
  */
-const reconstructPath = (prev, startId, endId) => {
+const reconstructPath = (weighted, search, startIdx) => {
   const nodes = [];
   const edges = [];
-  let current = endId;
+  let current = startIdx;
 
-  // Walk backwards from end to start
-  while (current) {
-    nodes.unshift(current);
-    if (current === startId) break;
-    
-    const prevInfo = prev[current];
-    if (!prevInfo) break;
-    
-    if (prevInfo.edgeId) edges.unshift(prevInfo.edgeId);
-    current = prevInfo.nodeId;
+  while (current !== -1) {
+    nodes.push(weighted.nodeIds[current]);
+    if (search.prevEdge[current]) edges.push(search.prevEdge[current]);
+    current = search.prev[current];
   }
 
   return { nodes, edges };
@@ -506,17 +1209,16 @@ const reconstructPath = (prev, startId, endId) => {
  * 
  * @function calculateRouteMetrics
  * @param {Array<string>} edgeIds - Array of edge IDs in the route
- * @param {Array<Object>} allEdges - All edges in the graph
- * @param {Object} edgeWeightInfo - Map of edgeId -> weight calculation info
+ * @param {Map<string, Object>} edgeWeightInfo - edgeId -> weight calculation info
  * 
  * @returns {Object} Route metrics
  * @returns {number} .totalDistanceMeters - Total real-world distance in meters
  */
-const calculateRouteMetrics = (edgeIds, allEdges, edgeWeightInfo) => {
+const calculateRouteMetrics = (edgeIds, edgeWeightInfo) => {
   let totalDistanceMeters = 0;
 
   for (const edgeId of edgeIds) {
-    const weightInfo = edgeWeightInfo[edgeId];
+    const weightInfo = edgeWeightInfo.get(edgeId);
     if (weightInfo) {
       totalDistanceMeters += weightInfo.distanceMeters || 0;
     }
@@ -536,12 +1238,13 @@ const calculateRouteMetrics = (edgeIds, allEdges, edgeWeightInfo) => {
  * 
  * @function analyzeRouteHazards
  * @param {Array<string>} edgeIds - Array of edge IDs in the route
- * @param {Array<Object>} allEdges - All edges in the graph
- * @param {Object} edgeWeightInfo - Map of edgeId -> weight calculation info
+ * @param {Map<string, Object>} edgeMap - edgeId -> edge
+ * @param {Map<string, Object>} edgeWeightInfo - edgeId -> weight calculation info
  * 
  * @returns {Object} Hazard analysis result
- * @returns {string} .level - 'safe', 'moderate', or 'critical'
+ * @returns {string} .level - 'safe', 'moderate', 'high', or 'critical'
  * @returns {boolean} .exceedsThresholds - True if any edge exceeds fire/smoke threshold
+ * @returns {boolean} .rising - True if any edge has a rising fire/smoke trend
  * @returns {number} .maxFireRatio - Maximum fire probability ratio
  * @returns {number} .maxSmokeRatio - Maximum smoke probability ratio
  * @returns {Array<Object>} .details - Per-edge hazard details
@@ -555,16 +1258,26 @@ const calculateRouteMetrics = (edgeIds, allEdges, edgeWeightInfo) => {
  * - 'safe': All fire/smoke ratios < 0.7 (within safe margins)
  * - 'moderate': Max fire/smoke ratio >= 0.7 but < 1.0 (approaching danger)
  * - 'critical': Max fire/smoke ratio >= 1.0 (threshold exceeded)
+ * 
+ * A rising fire/smoke trend on any edge (see utils/hazardState.js) raises
+ * the level one step below critical: safe → moderate, moderate → high.
+ * Only a crossed threshold makes a route critical.
+ *
+ * A forced hazard level on an edge (manual override) is a floor for the
+ * route level; a forced 'critical' reading is over threshold, so it also
+ * sets exceedsThresholds.
  */
-const analyzeRouteHazards = (edgeIds, allEdges, edgeWeightInfo) => {
+const analyzeRouteHazards = (edgeIds, edgeMap, edgeWeightInfo) => {
   let maxFireRatio = 0;
   let maxSmokeRatio = 0;
   let exceedsThresholds = false;
+  let rising = false;
+  let forcedLevel = 'safe';
   const details = [];
 
   for (const edgeId of edgeIds) {
-    const edge = allEdges.find(e => e.id === edgeId);
-    const weightInfo = edgeWeightInfo[edgeId];
+    const edge = edgeMap.get(edgeId);
+    const weightInfo = edgeWeightInfo.get(edgeId);
 
     if (edge) {
       // Calculate ratios relative to each edge's threshold
@@ -582,6 +1295,18 @@ const analyzeRouteHazards = (edgeIds, allEdges, edgeWeightInfo) => {
         exceedsThresholds = true;
       }
 
+      const edgeRising = edge.hazardTrend?.fire === 'rising' || edge.hazardTrend?.smoke === 'rising';
+      if (edgeRising) {
+        rising = true;
+      }
+
+      const override = edge.override
+        ? { type: edge.override.type, hazardLevel: edge.override.hazardLevel, reason: edge.override.reason }
+        : null;
+      if (override?.type === 'hazard' && HAZARD_ORDER.indexOf(override.hazardLevel) > HAZARD_ORDER.indexOf(forcedLevel)) {
+        forcedLevel = override.hazardLevel;
+      }
+
       // Include edge details for transparency (debugging and display)
       details.push({
         edgeId,
@@ -589,7 +1314,11 @@ const analyzeRouteHazards = (edgeIds, allEdges, edgeWeightInfo) => {
         fire: edge.currentFireProb || 0,
         smoke: edge.currentSmokeProb || 0,
         exceeds: fireExceeds || smokeExceeds,
-        distanceMeters: weightInfo?.distanceMeters || 0
+        rising: edgeRising,
+        predictedFire: edge.predictedFireProb || 0,
+        predictedSmoke: edge.predictedSmokeProb || 0,
+        distanceMeters: weightInfo?.distanceMeters || 0,
+        override
       });
     }
   }
@@ -607,9 +1336,22 @@ const analyzeRouteHazards = (edgeIds, allEdges, edgeWeightInfo) => {
     level = 'moderate';  // Approaching threshold - caution
   }
 
+  // Worsening readings escalate early, before any threshold is crossed
+  if (rising && level === 'moderate') {
+    level = 'high';
+  } else if (rising && level === 'safe') {
+    level = 'moderate';
+  }
+
+  // Incident commander's assessment overrides milder camera data
+  if (HAZARD_ORDER.indexOf(forcedLevel) > HAZARD_ORDER.indexOf(level)) {
+    level = forcedLevel;
+  }
+
   return {
     level,
     exceedsThresholds,
+    rising,
     maxFireRatio: parseFloat(maxFireRatio.toFixed(2)),
     maxSmokeRatio: parseFloat(maxSmokeRatio.toFixed(2)),
     details
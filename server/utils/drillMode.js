@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Drill Mode - Scripted Hazards for Evacuation Drills
+ * @description Lets an evacuation be rehearsed without faking camera output.
+ *              While drill mode is on (Settings.drill), the capture cycle
+ *              skips RTSP capture and AI analysis and reads each camera's
+ *              edges from the drill's scripted hazard timeline instead.
+ *              Everything produced meanwhile is tagged with the DrillRun.
+ *
+ * @requires ../models/DrillRun.js - Drill scenarios and history
+ * @requires ../models/Settings.js - Drill mode toggle
+ * @requires ../models/FloorMap.js - Edge hazard state
+ * @requires mongoose - ObjectId validation
+ *
+ * @module utils/drillMode
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports startDrill - Create a DrillRun and switch drill mode on
+ * @exports stopDrill - Complete the running drill and switch drill mode off
+ * @exports resolveDrill - Drill state for one capture cycle (or null)
+ * @exports sampleKeyframes - Scripted values of one edge at a point in time
+ * @exports drillReadings - Scripted readings of the edges a camera covers
+ * @exports drillQuery - Query filter keeping drill and real data apart
+ * @exports buildReplay - Route changes of a drill for the admin replay
+ *
+ * @description
+ * Timeline semantics (per edge):
+ * - Values are interpolated linearly between keyframes
+ * - Before the first keyframe the edge is clear (all 0)
+ * - After the last keyframe its values are held
+ *
+ * Scripted edges are only read through the active cameras watching them,
+ * so a disabled camera behaves during a drill as it would in a real fire.
+ *
+ * Edge hazard state (smoothed values, history, trends) is cleared whenever
+ * drill mode switches, so scripted and real readings are never blended.
+ */
+
+import mongoose from "mongoose";
+import DrillRun from "../models/DrillRun.js";
+import Settings from "../models/Settings.js";
+import FloorMap from "../models/FloorMap.js";
+
+/* ============================================================
+ * DRILL LIFECYCLE
+ * ============================================================ */
+
+/**
+ * Clears the stored hazard state of every edge of every floor.
+ *
+ * @async
+ * @function clearStoredHazardState
+ * @returns {Promise<void>}
+ */
+const clearStoredHazardState = async () => {
+  await FloorMap.updateMany({}, {
+    $set: {
+      'edges.$[].currentPeopleCount': 0,
+      'edges.$[].currentFireProb': 0,
+      'edges.$[].currentSmokeProb': 0,
+      'edges.$[].predictedFireProb': 0,
+      'edges.$[].predictedSmokeProb': 0,
+      'edges.$[].lastObservedAt': null,
+      'edges.$[].missedCycles': 0,
+      'edges.$[].hazardHistory': [],
+      'edges.$[].hazardTrend': { fire: 'steady', smoke: 'steady' }
+    }
+  });
+};
+
+/**
+ * Starts a drill: stores the scenario as a running DrillRun and switches
+ * drill mode on. The next capture cycle reads the scripted timeline.
+ *
+ * @async
+ * @function startDrill
+ * @param {Object} scenario - { name, timeline } (see validators/drillValidator.js)
+ * @param {string} by - Admin starting the drill
+ * @returns {Promise<Object>} Created DrillRun document
+ */
+export const startDrill = async ({ name, timeline }, by) => {
+  const run = await DrillRun.create({ name: name.trim(), timeline, startedBy: by });
+
+  await Settings.updateSettings({
+    drill: { enabled: true, runId: run._id, name: run.name, startedAt: run.startedAt, startedBy: by }
+  }, by);
+
+  console.log(`🎭 Drill '${run.name}' started by ${by}: ${timeline.length} scripted edge(s)`);
+  return run;
+};
+
+/**
+ * Ends the running drill and switches drill mode off.
+ *
+ * @async
+ * @function stopDrill
+ * @param {string} by - Admin ending the drill
+ * @returns {Promise<Object|null>} Completed DrillRun, or null if none was running
+ *
+ * @description
+ * Edge hazard state is cleared right away so the drill's values are gone
+ * even if the server restarts before the next cycle; the capture cycle
+ * clears its own copies as well (see periodicJob.js).
+ */
+export const stopDrill = async (by) => {
+  const settings = await Settings.getSettings();
+  const runId = settings.drill?.runId;
+
+  const run = runId
+    ? await DrillRun.findOneAndUpdate(
+        { _id: runId, status: 'running' },
+        { $set: { status: 'completed', endedAt: new Date(), endedBy: by } },
+        { new: true }
+      )
+    : null;
+
+  await Settings.updateSettings({
+    drill: { enabled: false, runId: null, name: null, startedAt: null, startedBy: null }
+  }, by);
+  await clearStoredHazardState();
+
+  if (run) {
+    const minutes = ((run.endedAt - run.startedAt) / 60000).toFixed(1);
+    console.log(`🎭 Drill '${run.name}' ended by ${by} after ${minutes} min`);
+  }
+  return run;
+};
+
+/**
+ * Loads the running drill for one capture cycle.
+ *
+ * @async
+ * @function resolveDrill
+ * @param {Object} settings - Settings document
+ * @param {Date} [now=new Date()] - Cycle start
+ * @returns {Promise<Object|null>} { runId, name, startedAt, elapsedSec, timelines },
+ *          or null when drill mode is off. timelines: 'floorId/edgeId' -> keyframes
+ */
+export const resolveDrill = async (settings, now = new Date()) => {
+  if (!settings?.drill?.enabled || !settings.drill.runId) return null;
+
+  const run = await DrillRun.findOne({ _id: settings.drill.runId, status: 'running' }).lean();
+  if (!run) return null;
+
+  return {
+    runId: run._id,
+    name: run.name,
+    startedAt: run.startedAt,
+    elapsedSec: Math.max(0, Math.round((now - run.startedAt) / 1000)),
+    timelines: new Map(run.timeline.map(t => [`${t.floorId}/${t.edgeId}`, t.keyframes]))
+  };
+};
+
+/* ============================================================
+ * SCRIPTED READINGS
+ * ============================================================ */
+
+/**
+ * Scripted values of one edge at a point of the drill.
+ *
+ * @function sampleKeyframes
+ * @param {Array<Object>} keyframes - [{ atSec, peopleCount, fireProb, smokeProb }], by atSec
+ * @param {number} atSec - Seconds since the drill started
+ * @returns {Object} { peopleCount, fireProb, smokeProb }
+ *
+ * @example
+ * sampleKeyframes([{ atSec: 60, fireProb: 0.2 }, { atSec: 120, fireProb: 0.8 }], 90);
+ * // { peopleCount: 0, fireProb: 0.5, smokeProb: 0 }
+ */
+export const sampleKeyframes = (keyframes, atSec) => {
+  const values = (k) => ({
+    peopleCount: k?.peopleCount || 0,
+    fireProb: k?.fireProb || 0,
+    smokeProb: k?.smokeProb || 0
+  });
+
+  if (!keyframes?.length || atSec < keyframes[0].atSec) return values(null);
+
+  const next = keyframes.findIndex(k => k.atSec > atSec);
+  if (next === -1) return values(keyframes[keyframes.length - 1]);
+
+  const from = values(keyframes[next - 1]);
+  const to = values(keyframes[next]);
+  const t = (atSec - keyframes[next - 1].atSec) / (keyframes[next].atSec - keyframes[next - 1].atSec);
+  const lerp = (key) => parseFloat((from[key] + (to[key] - from[key]) * t).toFixed(4));
+
+  return {
+    peopleCount: Math.round(lerp('peopleCount')),
+    fireProb: lerp('fireProb'),
+    smokeProb: lerp('smokeProb')
+  };
+};
+
+/**
+ * Scripted readings of every edge a camera covers. Edges the drill does
+ * not script read as clear.
+ *
+ * @function drillReadings
+ * @param {Object} drill - Result of resolveDrill
+ * @param {string} floorId - Floor of the camera
+ * @param {Array<Object>} coverage - Camera coverage [{ edgeId, weight }]
+ * @returns {Map<string, Object>} edgeId -> { peopleCount, fireProb, smokeProb }
+ */
+export const drillReadings = (drill, floorId, coverage) => new Map(
+  coverage.map(({ edgeId }) => [
+    edgeId,
+    sampleKeyframes(drill.timelines.get(`${floorId}/${edgeId}`), drill.elapsedSec)
+  ])
+);
+
+/* ============================================================
+ * QUERIES & REPLAY
+ * ============================================================ */
+
+/**
+ * Query filter for route/record endpoints. Drill data is left out unless
+ * asked for, so it never mixes with real data.
+ *
+ * @function drillQuery
+ * @param {Object} query - Request query ({ drill?, drillRunId? })
+ * @returns {Object} Mongo filter on drill / drillRun
+ *
+ * @example
+ * Route.find({ floorId, ...drillQuery(req.query) });
+ * // ?drillRunId=<id> -> that drill only, ?drill=true -> all drills, else real data only
+ */
+export const drillQuery = ({ drill, drillRunId } = {}) => {
+  if (drillRunId && mongoose.isValidObjectId(drillRunId)) return { drillRun: drillRunId };
+  if (drill === 'true') return { drill: true };
+  return { drill: { $ne: true } };
+};
+
+/**
+ * Turns the route documents of a drill into replay frames: the scripted
+ * edge values at each update and, per screen, where its route changed.
+ *
+ * @function buildReplay
+ * @param {Object} run - DrillRun (lean)
+ * @param {Array<Object>} routeDocs - Route documents of the drill (lean), by computedAt
+ * @returns {Array<Object>} [{ routeId, floorId, computedAt, elapsedSec, updateType, trigger,
+ *          overallHazardLevel, emergency, shelterInPlace, routes, changes, scripted }]
+ *
+ * @description
+ * A change is recorded when a screen's destination (exit or refuge) or
+ * path differs from its previous route on the same floor:
+ * { startNode, type: 'destination'|'path', from, to }.
+ */
+export const buildReplay = (run, routeDocs) => {
+  const previousByFloor = new Map();
+  const destination = (r) => r.shelterInPlace ? (r.refugeNode || r.startNode) : r.exitNode;
+
+  return routeDocs.map(doc => {
+    const elapsedSec = Math.max(0, Math.round((new Date(doc.computedAt) - new Date(run.startedAt)) / 1000));
+    const previous = previousByFloor.get(doc.floorId) || new Map();
+
+    const routes = (doc.routes || []).map(r => ({
+      startNode: r.startNode,
+      exitNode: r.exitNode || null,
+      shelterInPlace: !!r.shelterInPlace,
+      refugeNode: r.refugeNode || null,
+      path: r.path || [],
+      hazardLevel: r.hazardLevel
+    }));
+
+    const changes = [];
+    for (const route of routes) {
+      const before = previous.get(route.startNode);
+      if (!before) continue;
+      if (destination(before) !== destination(route)) {
+        changes.push({ startNode: route.startNode, type: 'destination', from: destination(before), to: destination(route) });
+      } else if (before.path.join() !== route.path.join()) {
+        changes.push({ startNode: route.startNode, type: 'path', from: before.path.join(' → '), to: route.path.join(' → ') });
+      }
+    }
+    previousByFloor.set(doc.floorId, new Map(routes.map(r => [r.startNode, r])));
+
+    const scripted = run.timeline
+      .filter(t => t.floorId === doc.floorId)
+      .map(t => ({ edgeId: t.edgeId, ...sampleKeyframes(t.keyframes, elapsedSec) }));
+
+    return {
+      routeId: doc._id,
+      floorId: doc.floorId,
+      computedAt: doc.computedAt,
+      elapsedSec,
+      updateType: doc.updateType,
+      trigger: doc.trigger || null,
+      overallHazardLevel: doc.overallHazardLevel,
+      emergency: doc.emergency,
+      shelterInPlace: !!doc.shelterInPlace,
+      routes,
+      changes,
+      scripted
+    };
+  });
+};
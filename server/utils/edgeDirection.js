@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Edge Direction - One-Way Corridors and Contraflow Rules
+ * @description Edges are walkable in both directions unless configured
+ *              otherwise: one-way turnstiles and exit-only doors are
+ *              'forward' or 'reverse' at all times, and corridors fire
+ *              marshals keep one-way during an evacuation get an
+ *              `evacuationDirection` that only applies while their floor
+ *              is in emergency.
+ *
+ * @module utils/edgeDirection
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports EDGE_DIRECTIONS - Valid direction / evacuationDirection values
+ * @exports allowsTravel - Whether a direction lets people walk from→to / to→from
+ * @exports isFloorInEmergency - Whether a floor's edges report a hazard
+ * @exports applyEvacuationDirections - Switch emergency floors' edges to their evacuation direction
+ * @exports findCutOffStartPoints - Start points the direction settings cut off from every exit
+ *
+ * @description
+ * Directions (relative to the edge's from → to):
+ * ┌───────────────┬──────────────────────────────┐
+ * │ Direction     │ Walkable                     │
+ * ├───────────────┼──────────────────────────────┤
+ * │ bidirectional │ from → to and to → from      │
+ * │ forward       │ from → to only               │
+ * │ reverse       │ to → from only               │
+ * └───────────────┴──────────────────────────────┘
+ *
+ * A floor is in emergency while any of its edges is over its fire or smoke
+ * threshold, or carries a 'critical' hazard override - the same readings
+ * that make a route exceed its thresholds. Building connectors have no
+ * direction and stay bidirectional.
+ */
+
+/* ============================================================
+ * DIRECTIONS
+ * ============================================================ */
+
+/** @const {string[]} EDGE_DIRECTIONS - Valid values of edge direction / evacuationDirection */
+export const EDGE_DIRECTIONS = ['bidirectional', 'forward', 'reverse'];
+
+/**
+ * Checks whether a direction lets people walk an edge a given way.
+ *
+ * @function allowsTravel
+ * @param {string} [direction='bidirectional'] - Edge direction
+ * @param {boolean} forward - True for from → to, false for to → from
+ * @returns {boolean} True if walkable that way
+ */
+export const allowsTravel = (direction, forward) => {
+  if (direction === 'forward') return forward;
+  if (direction === 'reverse') return !forward;
+  return true;
+};
+
+/* ============================================================
+ * EVACUATION DIRECTIONS
+ * ============================================================ */
+
+/**
+ * Checks whether a floor's edges report a hazard.
+ *
+ * @function isFloorInEmergency
+ * @param {Array<Object>} edges - Edges of one floor (FloorMap or graph edges)
+ * @returns {boolean} True if any edge is over its fire/smoke threshold or
+ *          has a 'critical' hazard override
+ */
+export const isFloorInEmergency = (edges) => (edges || []).some(e =>
+  (e.currentFireProb || 0) > (e.fireThreshold ?? 0.7) ||
+  (e.currentSmokeProb || 0) > (e.smokeThreshold ?? 0.6) ||
+  (e.override?.type === 'hazard' && e.override.hazardLevel === 'critical')
+);
+
+/**
+ * Switches the edges of every floor in emergency to their evacuation
+ * direction. Call after applyOverrides, so forced hazard levels count.
+ *
+ * @function applyEvacuationDirections
+ * @param {Object} graph - Result of buildFloorGraph / buildBuildingGraph (modified in place)
+ * @returns {Array<Object>} Switched edges: [{ edgeId, floorId, direction }]
+ *
+ * @description
+ * Building graph edges are grouped by `floorId`; a single floor graph is
+ * one group. Edges without an evacuationDirection keep their direction.
+ */
+export const applyEvacuationDirections = (graph) => {
+  const edgesByFloor = new Map();
+  graph.edges.forEach(edge => {
+    if (edge.connector) return;
+    const floorId = edge.floorId ?? null;
+    if (!edgesByFloor.has(floorId)) edgesByFloor.set(floorId, []);
+    edgesByFloor.get(floorId).push(edge);
+  });
+
+  const switched = [];
+  edgesByFloor.forEach((edges, floorId) => {
+    if (!isFloorInEmergency(edges)) return;
+    edges.forEach(edge => {
+      if (!edge.evacuationDirection || edge.evacuationDirection === edge.direction) return;
+      edge.direction = edge.evacuationDirection;
+      switched.push({ edgeId: edge.id, floorId, direction: edge.direction });
+    });
+  });
+
+  return switched;
+};
+
+/* ============================================================
+ * REACHABILITY
+ * ============================================================ */
+
+/**
+ * Lists the nodes that can walk to an exit, following edge directions
+ * backwards from the exits.
+ *
+ * @param {Array<Object>} edges - Floor edges
+ * @param {Array<string>} exitPoints - Exit node IDs
+ * @param {Function} directionOf - edge -> direction ('bidirectional' ignores directions)
+ * @returns {Set<string>} Node IDs with a path to some exit
+ */
+const nodesReachingExit = (edges, exitPoints, directionOf) => {
+  // Incoming arcs per node: who can step onto it
+  const incoming = new Map();
+  const addArc = (from, to) => {
+    if (!incoming.has(to)) incoming.set(to, []);
+    incoming.get(to).push(from);
+  };
+  edges.forEach(edge => {
+    const direction = directionOf(edge);
+    if (allowsTravel(direction, true)) addArc(edge.from, edge.to);
+    if (allowsTravel(direction, false)) addArc(edge.to, edge.from);
+  });
+
+  const reached = new Set(exitPoints);
+  const queue = [...reached];
+  while (queue.length > 0) {
+    const nodeId = queue.pop();
+    for (const from of (incoming.get(nodeId) || [])) {
+      if (reached.has(from)) continue;
+      reached.add(from);
+      queue.push(from);
+    }
+  }
+  return reached;
+};
+
+/**
+ * Finds the start points that reach an exit over the corridors, but not
+ * once edge directions are respected.
+ *
+ * @function findCutOffStartPoints
+ * @param {Object} floorData - { edges, startPoints, exitPoints }
+ * @returns {Object} { normal, evacuation } - Cut-off start point node IDs with
+ *          the everyday directions and with the evacuation directions
+ *
+ * @description
+ * Start points that cannot reach any exit at all are a graph integrity
+ * issue (see floorAnalysis.js), not a direction one, and are left out.
+ */
+export const findCutOffStartPoints = ({ edges = [], startPoints = [], exitPoints = [] }) => {
+  const connected = nodesReachingExit(edges, exitPoints, () => 'bidirectional');
+  const normal = nodesReachingExit(edges, exitPoints, e => e.direction);
+  const evacuation = nodesReachingExit(edges, exitPoints, e => e.evacuationDirection || e.direction);
+  const candidates = [...new Set(startPoints)].filter(nodeId => connected.has(nodeId));
+
+  return {
+    normal: candidates.filter(nodeId => !normal.has(nodeId)),
+    evacuation: candidates.filter(nodeId => !evacuation.has(nodeId))
+  };
+};
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Edge Overrides - Manual Closures and Forced Hazard Levels
+ * @description Incident commanders often know a corridor is blocked or an
+ *              exit door is jammed before any camera sees it. Overrides set
+ *              through the admin API are stored on the FloorMap edge, applied
+ *              to every graph routed after that, and dropped once they expire.
+ *
+ * @requires ../models/FloorMap.js - Edge override storage
+ * @requires ../models/EdgeOverrideLog.js - Override audit trail
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/edgeOverrides
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports OVERRIDE_TYPES - Valid override types
+ * @exports HAZARD_LEVELS - Levels a 'hazard' override may force
+ * @exports OVERRIDE_DEFAULT_MINUTES - Duration when no expiry is given
+ * @exports OVERRIDE_MAX_HOURS - Longest allowed duration
+ * @exports isOverrideActive - Whether a stored override still applies
+ * @exports loadActiveOverrides - Current overrides of some floors (fresh from the DB)
+ * @exports applyOverrides - Set overrides on the edges of a floor/building graph
+ * @exports expireOverrides - Clear and log overrides past their expiry
+ * @exports logOverride - Write an EdgeOverrideLog entry
+ *
+ * @description
+ * Override types (see dijkstra.js for the routing effect):
+ * ┌──────────────────┬──────────────────────────────────────────┐
+ * │ closed           │ Edge removed from the graph              │
+ * │ hazard           │ Camera readings replaced by hazardLevel  │
+ * │ exit-unavailable │ Exits at the edge's ends not destinations│
+ * └──────────────────┴──────────────────────────────────────────┘
+ *
+ * Overrides are read from the database right before routing, so one set
+ * halfway through a capture cycle is honoured by that cycle's routes.
+ *
+ * Environment Variables:
+ * - EDGE_OVERRIDE_DEFAULT_MINUTES: Duration when none is given (default: 60)
+ * - EDGE_OVERRIDE_MAX_HOURS: Longest allowed duration (default: 24)
+ */
+
+import FloorMap from "../models/FloorMap.js";
+import EdgeOverrideLog from "../models/EdgeOverrideLog.js";
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} OVERRIDE_TYPES - Valid values of override.type */
+export const OVERRIDE_TYPES = ['closed', 'hazard', 'exit-unavailable'];
+
+/** @const {string[]} HAZARD_LEVELS - Levels a 'hazard' override may force */
+export const HAZARD_LEVELS = ['safe', 'moderate', 'high', 'critical'];
+
+/** @const {number} OVERRIDE_DEFAULT_MINUTES - Duration when neither expiresAt nor durationMinutes is given */
+export const OVERRIDE_DEFAULT_MINUTES = parseInt(process.env.EDGE_OVERRIDE_DEFAULT_MINUTES || "60", 10);
+
+/** @const {number} OVERRIDE_MAX_HOURS - Longest an override may last before it must be renewed */
+export const OVERRIDE_MAX_HOURS = parseFloat(process.env.EDGE_OVERRIDE_MAX_HOURS || "24");
+
+/* ============================================================
+ * LOOKUP
+ * ============================================================ */
+
+/**
+ * Checks whether a stored override still applies.
+ *
+ * @function isOverrideActive
+ * @param {Object|null} override - Edge override subdocument
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if set and not yet expired
+ */
+export const isOverrideActive = (override, now = new Date()) =>
+  !!override?.type && new Date(override.expiresAt) > now;
+
+/**
+ * Loads the active overrides of the given floors.
+ *
+ * @async
+ * @function loadActiveOverrides
+ * @param {Array<string>} floorIds - Floors to look up
+ * @returns {Promise<Map<string, Map<string, Object>>>} floorId -> (edgeId -> override)
+ *
+ * @description
+ * A lean query on purpose: the capture cycle keeps its own FloorMap
+ * documents, which were loaded before the override may have been set.
+ */
+export const loadActiveOverrides = async (floorIds) => {
+  const now = new Date();
+  const floors = await FloorMap.find(
+    { id: { $in: floorIds }, 'edges.override.expiresAt': { $gt: now } },
+    { id: 1, 'edges.id': 1, 'edges.override': 1 }
+  ).lean();
+
+  const overridesByFloor = new Map();
+  for (const floor of floors) {
+    const byEdge = new Map();
+    floor.edges
+      .filter(e => isOverrideActive(e.override, now))
+      .forEach(e => byEdge.set(e.id, e.override));
+    overridesByFloor.set(floor.id, byEdge);
+  }
+
+  return overridesByFloor;
+};
+
+/**
+ * Sets (or clears) `override` on every floor edge of a graph. Connector
+ * edges of building graphs are never overridden here.
+ *
+ * @function applyOverrides
+ * @param {Object} graph - Result of buildFloorGraph / buildBuildingGraph (modified in place)
+ * @param {Map<string, Map<string, Object>>} overridesByFloor - From loadActiveOverrides
+ * @param {string} defaultFloorId - Floor of edges without a floorId (single-floor graphs)
+ * @returns {Array<Object>} Overridden edges: [{ edgeId, floorId, type, hazardLevel }]
+ */
+export const applyOverrides = (graph, overridesByFloor, defaultFloorId) => {
+  const applied = [];
+
+  for (const edge of graph.edges) {
+    if (edge.connector) continue;
+
+    const floorId = edge.floorId || defaultFloorId;
+    edge.override = overridesByFloor.get(floorId)?.get(edge.id) || null;
+
+    if (edge.override) {
+      applied.push({ edgeId: edge.id, floorId, type: edge.override.type, hazardLevel: edge.override.hazardLevel });
+    }
+  }
+
+  return applied;
+};
+
+/* ============================================================
+ * EXPIRY & AUDIT
+ * ============================================================ */
+
+/**
+ * Clears every override past its expiry and logs it as 'expired'.
+ *
+ * @async
+ * @function expireOverrides
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of overrides cleared
+ *
+ * @description
+ * Called at the start of each capture cycle. Expired overrides are already
+ * ignored by routing; clearing them keeps the admin view and the log exact.
+ */
+export const expireOverrides = async (now = new Date()) => {
+  const floors = await FloorMap.find(
+    { 'edges.override.expiresAt': { $lte: now } },
+    { id: 1, name: 1, 'edges.id': 1, 'edges.override': 1 }
+  ).lean();
+
+  let cleared = 0;
+
+  for (const floor of floors) {
+    const expired = floor.edges.filter(e => e.override && new Date(e.override.expiresAt) <= now);
+
+    await FloorMap.updateOne(
+      { id: floor.id },
+      { $set: { 'edges.$[expired].override': null } },
+      { arrayFilters: [{ 'expired.override.expiresAt': { $lte: now } }] }
+    );
+
+    for (const edge of expired) {
+      await logOverride(floor.id, edge.id, 'expired', edge.override, 'system');
+      console.log(`🚧 Override expired on ${floor.name} edge ${edge.id} (${edge.override.type}: ${edge.override.reason})`);
+    }
+    cleared += expired.length;
+  }
+
+  return cleared;
+};
+
+/**
+ * Writes an EdgeOverrideLog entry. Failures are logged, never thrown, so a
+ * log write can not block a closure from taking effect.
+ *
+ * @async
+ * @function logOverride
+ * @param {string} floorId - Floor ID
+ * @param {string} edgeId - Edge ID
+ * @param {string} action - 'set' | 'cleared' | 'expired'
+ * @param {Object|null} override - Override snapshot
+ * @param {string} by - Admin ID or 'system'
+ * @returns {Promise<Object|null>} Created log entry, or null on failure
+ */
+export const logOverride = async (floorId, edgeId, action, override, by) => {
+  try {
+    return await EdgeOverrideLog.create({ floorId, edgeId, action, override, by });
+  } catch (err) {
+    console.error(`🚧 Failed to log override ${action} on ${floorId}/${edgeId}:`, err.message);
+    return null;
+  }
+};
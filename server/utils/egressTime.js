@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Egress Time - Estimated Evacuation Time per Route and Floor
+ * @description A route's `distance` is a weighted score and its
+ *              `distanceMeters` ignores crowding. This module turns a route
+ *              into an estimated walking time: each edge is walked at the
+ *              free speed of its traversal type, slowed down by the crowd
+ *              density on it (people per square meter of corridor).
+ *
+ * @requires ./distanceCalculator.js - Real-world edge lengths
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/egressTime
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports estimateRouteEgress - Egress estimate of one route
+ * @exports addEgressEstimates - Set `egress` on every route of a floor
+ * @exports summarizeFloorEgress - Floor-level estimate (slowest screen)
+ *
+ * @description
+ * Density-speed relationship (SFPE hydraulic model):
+ * ┌───────────────────────┬───────────────────────────────────────────┐
+ * │ Density D (pers/m²)   │ Speed                                     │
+ * ├───────────────────────┼───────────────────────────────────────────┤
+ * │ D ≤ 0.54              │ free speed of the edge's traversal type   │
+ * │ 0.54 < D              │ free × (1 - 0.266·D) / (1 - 0.266·0.54)   │
+ * │ any                   │ at least free × EGRESS_MIN_SPEED_FACTOR   │
+ * └───────────────────────┴───────────────────────────────────────────┘
+ *
+ * D = currentPeopleCount / (length × widthMeters). Edges without a width
+ * use EGRESS_DEFAULT_WIDTH_M. Stairwell connectors walk at stairs speed,
+ * elevator connectors at level speed over their lengthMeters.
+ *
+ * Floors without real-world dimensions have lengths in pixels only, so
+ * their routes get no estimate (`egress: null`).
+ *
+ * Environment Variables:
+ * - EGRESS_SPEED_LEVEL: Free speed on level corridors, m/s (default: 1.2)
+ * - EGRESS_SPEED_RAMP: Free speed on ramps, m/s (default: 1.0)
+ * - EGRESS_SPEED_STAIRS: Free speed along stairs, m/s (default: 0.9)
+ * - EGRESS_SPEED_DOOR: Free speed through doors, m/s (default: 1.0)
+ * - EGRESS_SPEED_EVAC_CHAIR: Free speed at evac-chair points, m/s (default: 0.5)
+ * - EGRESS_DEFAULT_WIDTH_M: Corridor width when an edge has none (default: 1.5)
+ * - EGRESS_MIN_SPEED_FACTOR: Lowest share of the free speed in a crowd (default: 0.1)
+ */
+
+import { calculateRealWorldDistance } from "./distanceCalculator.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {Object} FREE_SPEEDS - traversalType -> unimpeded walking speed (m/s) */
+const FREE_SPEEDS = {
+  level: parseFloat(process.env.EGRESS_SPEED_LEVEL || "1.2"),
+  ramp: parseFloat(process.env.EGRESS_SPEED_RAMP || "1.0"),
+  stairs: parseFloat(process.env.EGRESS_SPEED_STAIRS || "0.9"),
+  door: parseFloat(process.env.EGRESS_SPEED_DOOR || "1.0"),
+  'evac-chair': parseFloat(process.env.EGRESS_SPEED_EVAC_CHAIR || "0.5")
+};
+
+/** @const {number} DEFAULT_WIDTH - Corridor width (m) of edges without widthMeters */
+const DEFAULT_WIDTH = parseFloat(process.env.EGRESS_DEFAULT_WIDTH_M || "1.5");
+
+/** @const {number} MIN_SPEED_FACTOR - Speed never drops below this share of the free speed */
+const MIN_SPEED_FACTOR = parseFloat(process.env.EGRESS_MIN_SPEED_FACTOR || "0.1");
+
+/** @const {number} FREE_FLOW_DENSITY - Density (pers/m²) up to which people walk freely */
+const FREE_FLOW_DENSITY = 0.54;
+
+/** @const {number} DENSITY_COEFFICIENT - SFPE speed reduction per pers/m² */
+const DENSITY_COEFFICIENT = 0.266;
+
+/* ============================================================
+ * EDGE TIMES
+ * ============================================================ */
+
+/**
+ * Share of the free speed left at a crowd density.
+ *
+ * @param {number} density - People per square meter
+ * @returns {number} Factor in [MIN_SPEED_FACTOR, 1]
+ */
+const densityFactor = (density) => {
+  if (density <= FREE_FLOW_DENSITY) return 1;
+  const factor = (1 - DENSITY_COEFFICIENT * density) / (1 - DENSITY_COEFFICIENT * FREE_FLOW_DENSITY);
+  return Math.max(MIN_SPEED_FACTOR, factor);
+};
+
+/**
+ * Free walking speed of an edge.
+ *
+ * @param {Object} edge - Graph edge (floor edge or building connector)
+ * @returns {number} Speed in m/s
+ */
+const freeSpeedOf = (edge) => {
+  if (edge.connector) return edge.connector.type === 'stairs' ? FREE_SPEEDS.stairs : FREE_SPEEDS.level;
+  return FREE_SPEEDS[edge.traversalType] ?? FREE_SPEEDS.level;
+};
+
+/**
+ * Length of an edge in meters, or null when the floor has no real-world size.
+ *
+ * @param {Object} edge - Graph edge
+ * @param {Map<string, Object>} nodeById - nodeId -> graph node
+ * @param {Object|null} scale - Scale of single-floor graphs
+ * @returns {number|null} Length in meters
+ */
+const lengthOf = (edge, nodeById, scale) => {
+  if (typeof edge.lengthMeters === 'number') return edge.lengthMeters;
+  const edgeScale = edge.scale || scale;
+  if (!edgeScale?.widthPixels || !edgeScale?.widthMeters) return null;
+  return calculateRealWorldDistance(nodeById.get(edge.from), nodeById.get(edge.to), edgeScale);
+};
+
+/* ============================================================
+ * ROUTE ESTIMATES
+ * ============================================================ */
+
+/**
+ * Estimates the walking time along a list of edges.
+ *
+ * @function estimateRouteEgress
+ * @param {Array<string>} edgeIds - Route edges in travel order
+ * @param {Object} lookup - { edgeById, nodeById, scale } (see addEgressEstimates)
+ * @returns {Object|null} Estimate, or null when an edge has no length in meters
+ * @returns {number} .seconds - Estimated time with the current crowding
+ * @returns {number} .freeFlowSeconds - Time on empty corridors
+ * @returns {string|null} .bottleneckEdge - Edge losing the most time to crowding
+ */
+export const estimateRouteEgress = (edgeIds, { edgeById, nodeById, scale }) => {
+  let seconds = 0;
+  let freeFlowSeconds = 0;
+  let bottleneckEdge = null;
+  let worstDelay = 0;
+
+  for (const edgeId of edgeIds) {
+    const edge = edgeById.get(edgeId);
+    if (!edge) continue;
+
+    const length = lengthOf(edge, nodeById, scale);
+    if (length === null) return null;
+
+    const width = edge.widthMeters > 0 ? edge.widthMeters : DEFAULT_WIDTH;
+    const density = length > 0 ? (edge.currentPeopleCount || 0) / (length * width) : 0;
+    const freeTime = length / freeSpeedOf(edge);
+    const time = freeTime / densityFactor(density);
+
+    seconds += time;
+    freeFlowSeconds += freeTime;
+    if (time - freeTime > worstDelay) {
+      worstDelay = time - freeTime;
+      bottleneckEdge = edgeId;
+    }
+  }
+
+  return {
+    seconds: Math.round(seconds),
+    freeFlowSeconds: Math.round(freeFlowSeconds),
+    bottleneckEdge
+  };
+};
+
+/**
+ * Sets `egress` on every route (and `egressSeconds` on its step-free route).
+ *
+ * @function addEgressEstimates
+ * @param {Array<Object>} routes - Routes with `edges` (modified in place)
+ * @param {Object} graph - Graph the routes were computed on
+ * @returns {number} Number of routes with an estimate
+ *
+ * @description
+ * Readings are the graph's, so urgent re-routes estimate with the spike
+ * that triggered them. Call after attachStepFreeRoutes.
+ */
+export const addEgressEstimates = (routes, graph) => {
+  const lookup = {
+    edgeById: new Map(graph.edges.map(e => [e.id, e])),
+    nodeById: new Map(graph.nodes.map(n => [n.id, n])),
+    scale: graph.scale
+  };
+  let estimated = 0;
+
+  for (const route of routes) {
+    route.egress = estimateRouteEgress(route.edges || [], lookup);
+    if (route.egress) estimated++;
+    if (route.stepFree) {
+      route.stepFree.egressSeconds = estimateRouteEgress(route.stepFree.edges || [], lookup)?.seconds ?? null;
+    }
+  }
+
+  return estimated;
+};
+
+/**
+ * Floor-level egress estimate: the slowest screen sets the floor's time.
+ *
+ * @function summarizeFloorEgress
+ * @param {Array<Object>} routes - Routes with `egress` (see addEgressEstimates)
+ * @returns {Object|null} { seconds, startNode, averageSeconds }, or null when
+ *          no route has an estimate
+ */
+export const summarizeFloorEgress = (routes) => {
+  const estimated = routes.filter(r => r.egress);
+  if (estimated.length === 0) return null;
+
+  const slowest = estimated.reduce((max, r) => (r.egress.seconds > max.egress.seconds ? r : max));
+  const total = estimated.reduce((sum, r) => sum + r.egress.seconds, 0);
+
+  return {
+    seconds: slowest.egress.seconds,
+    startNode: slowest.startNode,
+    averageSeconds: Math.round(total / estimated.length)
+  };
+};
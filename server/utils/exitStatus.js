@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Exit Status - Per-Exit Capacity and Availability
+ * @description Every exit of a floor has its own capacity and a status
+ *              (open, congested, blocked) derived each time routes are
+ *              computed from the corridors leading into it: the cameras on
+ *              those corridors and any manual edge override on them.
+ *
+ * @requires ../models/FloorMap.js - Exit status storage
+ *
+ * @module utils/exitStatus
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports EXIT_STATUSES - Valid exit statuses
+ * @exports syncExits - Exit entries matching a floor's exitPoints
+ * @exports evaluateExits - Status of every exit of a floor/building graph
+ * @exports saveExitStatus - Persist and log status changes of one floor
+ *
+ * @description
+ * Status rules, first match wins (incoming corridors = floor edges touching
+ * the exit node):
+ * ┌───────────┬──────────┬─────────────────────────────────────────────┐
+ * │ blocked   │ override │ 'exit-unavailable' override names the exit, │
+ * │           │          │ or every incoming corridor is 'closed'      │
+ * │ blocked   │ camera   │ every open incoming corridor is over its    │
+ * │           │          │ fire/smoke threshold (or forced 'critical') │
+ * │ congested │ camera   │ people on incoming corridors ≥ capacity     │
+ * │ open      │ -        │ otherwise                                   │
+ * └───────────┴──────────┴─────────────────────────────────────────────┘
+ *
+ * Blocked exits are not Dijkstra destinations; congested exits remain
+ * destinations with a penalty (see dijkstra.js). When no exit is left,
+ * screens are sent to the nearest 'refuge' node instead.
+ *
+ * Capacity defaults to the sum of the incoming corridors' peopleThreshold.
+ */
+
+import FloorMap from "../models/FloorMap.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string[]} EXIT_STATUSES - Valid values of exit.status */
+export const EXIT_STATUSES = ['open', 'congested', 'blocked'];
+
+/* ============================================================
+ * CONFIGURATION SYNC
+ * ============================================================ */
+
+/**
+ * Builds the exits array of a floor from its exitPoints, keeping the
+ * capacity and status of exits that already existed.
+ *
+ * @function syncExits
+ * @param {Array<string>} exitPoints - Exit node IDs (authoritative list)
+ * @param {Array<Object>} [existingExits=[]] - Current floor.exits
+ * @param {Object} [capacities] - nodeId -> capacity (null resets to derived)
+ * @returns {Array<Object>} One exit entry per exit point, in exitPoints order
+ */
+export const syncExits = (exitPoints, existingExits = [], capacities = {}) => {
+  const existing = new Map((existingExits || []).map(e => [e.nodeId, e]));
+
+  return (exitPoints || []).map(nodeId => {
+    const current = existing.get(nodeId);
+    const plain = current
+      ? (typeof current.toObject === 'function' ? current.toObject() : { ...current })
+      : { nodeId, capacity: null, status: 'open' };
+
+    if (capacities && Object.prototype.hasOwnProperty.call(capacities, nodeId)) {
+      plain.capacity = capacities[nodeId] ?? null;
+    }
+    return plain;
+  });
+};
+
+/* ============================================================
+ * STATUS EVALUATION
+ * ============================================================ */
+
+/**
+ * Checks whether a corridor counts as impassable for its exit.
+ *
+ * @function isBurning
+ * @param {Object} edge - Graph edge (override set by edgeOverrides.applyOverrides)
+ * @returns {boolean} True if over a fire/smoke threshold or forced 'critical'
+ */
+const isBurning = (edge) => {
+  if (edge.override?.type === 'hazard') return edge.override.hazardLevel === 'critical';
+  return (edge.currentFireProb || 0) > (edge.fireThreshold ?? 0.7)
+    || (edge.currentSmokeProb || 0) > (edge.smokeThreshold ?? 0.6);
+};
+
+/**
+ * Derives the status of one exit from its incoming corridors.
+ *
+ * @function evaluateExit
+ * @param {Object} exit - { nodeId, floorId, capacity } from the graph builder
+ * @param {Array<Object>} incoming - Floor edges touching the exit
+ * @returns {Object} { nodeId, floorId, status, source, reason, capacity, people }
+ */
+const evaluateExit = (exit, incoming) => {
+  const capacity = exit.capacity || incoming.reduce((sum, e) => sum + (e.peopleThreshold ?? 10), 0) || null;
+  const result = { nodeId: exit.nodeId, floorId: exit.floorId, status: 'open', source: null, reason: null, capacity, people: 0 };
+
+  const withdrawn = incoming.find(e =>
+    e.override?.type === 'exit-unavailable' && (e.override.exitNodeIds || []).includes(exit.nodeId)
+  );
+  if (withdrawn) {
+    return { ...result, status: 'blocked', source: 'override', reason: withdrawn.override.reason };
+  }
+
+  const usable = incoming.filter(e => e.override?.type !== 'closed');
+  if (incoming.length > 0 && usable.length === 0) {
+    return { ...result, status: 'blocked', source: 'override', reason: 'All corridors to the exit are closed' };
+  }
+
+  if (usable.length > 0 && usable.every(isBurning)) {
+    const forced = usable.every(e => e.override?.type === 'hazard');
+    return {
+      ...result,
+      status: 'blocked',
+      source: forced ? 'override' : 'camera',
+      reason: `Fire/smoke over threshold on ${usable.map(e => e.id).join(', ')}`
+    };
+  }
+
+  const people = usable.reduce((sum, e) => sum + (e.currentPeopleCount || 0), 0);
+  if (capacity && people >= capacity) {
+    return { ...result, status: 'congested', source: 'camera', reason: `${people} people at an exit for ${capacity}`, people };
+  }
+
+  return { ...result, people };
+};
+
+/**
+ * Evaluates every exit configured in a floor or building graph.
+ *
+ * @function evaluateExits
+ * @param {Object} graph - Result of buildFloorGraph / buildBuildingGraph, with
+ *        overrides applied (edgeOverrides.applyOverrides)
+ * @returns {Array<Object>} Exit statuses: [{ nodeId, floorId, status, source, reason, capacity, people }]
+ *
+ * @example
+ * graph.exits = evaluateExits(graph);
+ * // [{ nodeId: 'EXIT_N', status: 'blocked', source: 'camera', reason: 'Fire/smoke over threshold on E7', ... }]
+ */
+export const evaluateExits = (graph) => {
+  const incomingByNode = new Map();
+  for (const edge of graph.edges) {
+    if (edge.connector) continue;
+    for (const nodeId of [edge.from, edge.to]) {
+      if (!incomingByNode.has(nodeId)) incomingByNode.set(nodeId, []);
+      incomingByNode.get(nodeId).push(edge);
+    }
+  }
+
+  return (graph.exits || []).map(exit => evaluateExit(exit, incomingByNode.get(exit.nodeId) || []));
+};
+
+/* ============================================================
+ * PERSISTENCE
+ * ============================================================ */
+
+/**
+ * Stores the exits of one floor whose status changed and logs each change.
+ *
+ * @async
+ * @function saveExitStatus
+ * @param {Object} floor - FloorMap document (its exits are updated in memory too)
+ * @param {Array<Object>} statuses - From evaluateExits (other floors' exits are ignored)
+ * @returns {Promise<number>} Number of exits whose status changed
+ *
+ * @description
+ * Only the status fields are written, with one positional update per
+ * changed exit, so a capacity edited by an admin meanwhile is kept.
+ */
+export const saveExitStatus = async (floor, statuses) => {
+  let changed = 0;
+
+  for (const exit of (floor.exits || [])) {
+    const next = statuses.find(s => s.nodeId === exit.nodeId && (!s.floorId || s.floorId === floor.id));
+    if (!next || next.status === exit.status) continue;
+
+    const update = {
+      status: next.status,
+      statusSource: next.source,
+      statusReason: next.reason,
+      statusUpdatedAt: new Date()
+    };
+
+    try {
+      await FloorMap.updateOne(
+        { id: floor.id },
+        {
+          $set: {
+            'exits.$[exit].status': update.status,
+            'exits.$[exit].statusSource': update.statusSource,
+            'exits.$[exit].statusReason': update.statusReason,
+            'exits.$[exit].statusUpdatedAt': update.statusUpdatedAt
+          }
+        },
+        { arrayFilters: [{ 'exit.nodeId': exit.nodeId }] }
+      );
+    } catch (err) {
+      console.error(`🚪 Failed to save status of exit ${exit.nodeId} on ${floor.name}:`, err.message);
+      continue;
+    }
+
+    console.log(`🚪 Exit ${exit.nodeId} on ${floor.name}: ${exit.status} → ${next.status}${next.reason ? ` (${next.source}: ${next.reason})` : ''}`);
+    Object.assign(exit, update);
+    changed++;
+  }
+
+  return changed;
+};
@@ -0,0 +1,448 @@
+/**
+ * @fileoverview Floor Analysis - Graph Integrity Report
+ * @description Checks whether a floor can actually be evacuated, beyond the
+ *              structural checks of floorValidator.js: nodes with no path to
+ *              an exit, screens that depend on a single corridor, corridors
+ *              no camera watches, dead-end corridors and the longest travel
+ *              distance to an exit.
+ *
+ * @requires ./distanceCalculator.js - Corridor lengths in meters
+ * @requires ./cameraCoverage.js - Edges covered by each camera
+ * @requires ./minHeap.js - Priority queue for travel distances
+ *
+ * @env FLOOR_ANALYSIS_DEAD_END_METERS - Longest acceptable dead-end corridor (default: 15)
+ * @env FLOOR_ANALYSIS_MAX_TRAVEL_METERS - Longest acceptable travel distance to an exit (default: 60)
+ *
+ * @module utils/floorAnalysis
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports analyzeFloor - Integrity report of one floor
+ * @exports getSaveWarnings - Critical issues of a floor, as warning messages
+ *
+ * @description
+ * The analysis is structural: it uses every configured node and edge and
+ * ignores live state (hazard readings, manual overrides, exit status), so
+ * it describes the floor as built, not the current incident.
+ *
+ * Issues and severity:
+ * ┌────────────────┬──────────┬───────────────────────────────────────────┐
+ * │ no-exits       │ critical │ Floor has no exit points                  │
+ * │ unreachable    │ critical │ Node with no path to any exit             │
+ * │ chokepoint     │ warning  │ Every path from a screen to any exit      │
+ * │                │          │ crosses this edge (a bridge)              │
+ * │ uncovered      │ warning  │ Edge no camera covers (hazards unseen)    │
+ * │ dead-end       │ warning  │ Corridor ending nowhere, longer than      │
+ * │                │ / info   │ FLOOR_ANALYSIS_DEAD_END_METERS            │
+ * │ travel-distance│ warning  │ Farthest node beyond                      │
+ * │                │          │ FLOOR_ANALYSIS_MAX_TRAVEL_METERS          │
+ * └────────────────┴──────────┴───────────────────────────────────────────┘
+ * Distances are in meters when the floor image has a real-world size,
+ * otherwise in pixels (and the meter limits are not applied).
+ */
+
+import dotenv from "dotenv";
+import { calculateRealWorldDistance } from "./distanceCalculator.js";
+import { getCameraCoverage } from "./cameraCoverage.js";
+import { MinHeap } from "./minHeap.js";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {number} DEAD_END_METERS - Longest acceptable dead-end corridor */
+const DEAD_END_METERS = parseFloat(process.env.FLOOR_ANALYSIS_DEAD_END_METERS || "15");
+
+/** @const {number} MAX_TRAVEL_METERS - Longest acceptable travel distance to an exit */
+const MAX_TRAVEL_METERS = parseFloat(process.env.FLOOR_ANALYSIS_MAX_TRAVEL_METERS || "60");
+
+/** @const {string[]} DEAD_END_EXEMPT_TYPES - Node types that naturally end a corridor */
+const DEAD_END_EXEMPT_TYPES = ['room', 'door', 'stairs', 'elevator', 'refuge'];
+
+/* ============================================================
+ * GRAPH
+ * ============================================================ */
+
+/**
+ * Undirected adjacency of a floor with physical edge lengths.
+ *
+ * @param {Object} floor - FloorMap document or plain floor
+ * @returns {Object} { nodeIds, index, adjacency: [[{ to, edgeIndex }]], edges, lengths, scaled }
+ */
+const buildGraph = (floor) => {
+  const nodes = floor.nodes || [];
+  const nodeIds = nodes.map(n => n.id);
+  const index = new Map(nodeIds.map((id, i) => [id, i]));
+  const adjacency = nodeIds.map(() => []);
+
+  const scale = floor.mapImage?.widthPixels && floor.mapImage?.widthMeters ? {
+    widthPixels: floor.mapImage.widthPixels,
+    heightPixels: floor.mapImage.heightPixels,
+    widthMeters: floor.mapImage.widthMeters,
+    heightMeters: floor.mapImage.heightMeters
+  } : null;
+
+  // Edges with unknown endpoints or loops play no part in evacuation
+  const edges = (floor.edges || []).filter(e =>
+    index.has(e.from) && index.has(e.to) && e.from !== e.to
+  );
+  const lengths = edges.map(e =>
+    calculateRealWorldDistance(nodes[index.get(e.from)], nodes[index.get(e.to)], scale)
+  );
+
+  edges.forEach((edge, edgeIndex) => {
+    const a = index.get(edge.from);
+    const b = index.get(edge.to);
+    adjacency[a].push({ to: b, edgeIndex });
+    adjacency[b].push({ to: a, edgeIndex });
+  });
+
+  return { nodes, nodeIds, index, adjacency, edges, lengths, scaled: !!scale };
+};
+
+/**
+ * Screens of a floor as { id, nodeId } (legacy startPoints as fallback).
+ */
+const floorScreens = (floor) => (floor.screens?.length
+  ? floor.screens.map(s => ({ id: s.id, nodeId: s.nodeId }))
+  : (floor.startPoints || []).map((nodeId, i) => ({ id: `SCREEN_${i + 1}`, nodeId })));
+
+/* ============================================================
+ * TRAVEL DISTANCE
+ * ============================================================ */
+
+/**
+ * Shortest travel distance from every node to its nearest exit
+ * (multi-source Dijkstra from all exits).
+ *
+ * @returns {Object} { dist: number[], exitOf: number[] } (Infinity / -1 when unreachable)
+ */
+const travelDistances = (graph, exitIndices) => {
+  const dist = graph.nodeIds.map(() => Infinity);
+  const exitOf = graph.nodeIds.map(() => -1);
+  const heap = new MinHeap();
+
+  exitIndices.forEach(i => {
+    dist[i] = 0;
+    exitOf[i] = i;
+    heap.push(i, 0);
+  });
+
+  for (let entry = heap.pop(); entry; entry = heap.pop()) {
+    const { value: u, priority } = entry;
+    if (priority > dist[u]) continue;
+
+    for (const { to, edgeIndex } of graph.adjacency[u]) {
+      const candidate = dist[u] + graph.lengths[edgeIndex];
+      if (candidate < dist[to]) {
+        dist[to] = candidate;
+        exitOf[to] = exitOf[u];
+        heap.push(to, candidate);
+      }
+    }
+  }
+
+  return { dist, exitOf };
+};
+
+/* ============================================================
+ * CHOKEPOINTS
+ * ============================================================ */
+
+/**
+ * Bridges that separate nodes from every exit.
+ *
+ * All exits are joined to a virtual sink and a DFS runs from it (iterative
+ * Tarjan low-link). A bridge (parent → child) cuts the child's DFS subtree
+ * off from all exits, so a node depends on exactly the bridges whose child
+ * subtree contains it.
+ *
+ * @returns {Function} nodeIndex -> edge indices every exit path of the node crosses
+ */
+const findChokepoints = (graph, exitIndices) => {
+  const n = graph.nodeIds.length;
+  const sink = n;
+  const adjacency = [...graph.adjacency, exitIndices.map(i => ({ to: i, edgeIndex: -1 }))];
+  exitIndices.forEach(i => { adjacency[i] = [...adjacency[i], { to: sink, edgeIndex: -1 }]; });
+
+  const tin = new Array(n + 1).fill(-1);
+  const tout = new Array(n + 1).fill(-1);
+  const low = new Array(n + 1).fill(0);
+  const bridges = [];                 // { edgeIndex, child }
+  let timer = 0;
+
+  // Stack frames: [node, { edgeIndex, from } of the edge we came through, next neighbour position]
+  const stack = [[sink, null, 0]];
+  tin[sink] = low[sink] = timer++;
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    const [u, parentEntry] = frame;
+
+    if (frame[2] < adjacency[u].length) {
+      const entry = adjacency[u][frame[2]++];
+      // Skip only the edge we came through (parallel edges still count)
+      if (parentEntry && entry.edgeIndex === parentEntry.edgeIndex &&
+          (entry.edgeIndex !== -1 || entry.to === parentEntry.from)) continue;
+
+      if (tin[entry.to] === -1) {
+        tin[entry.to] = low[entry.to] = timer++;
+        stack.push([entry.to, { edgeIndex: entry.edgeIndex, from: u }, 0]);
+      } else {
+        low[u] = Math.min(low[u], tin[entry.to]);
+      }
+      continue;
+    }
+
+    stack.pop();
+    tout[u] = timer;
+    if (parentEntry) {
+      const parent = parentEntry.from;
+      low[parent] = Math.min(low[parent], low[u]);
+      if (low[u] > tin[parent] && parentEntry.edgeIndex !== -1) {
+        bridges.push({ edgeIndex: parentEntry.edgeIndex, child: u });
+      }
+    }
+  }
+
+  return (nodeIndex) => (tin[nodeIndex] === -1 ? [] : bridges
+    .filter(({ child }) => tin[child] <= tin[nodeIndex] && tin[nodeIndex] < tout[child])
+    .map(({ edgeIndex }) => edgeIndex));
+};
+
+/* ============================================================
+ * DEAD ENDS
+ * ============================================================ */
+
+/**
+ * Corridors ending at a node with a single neighbour that is not an exit
+ * or a natural end point (room, door, stairs...). The corridor runs back to
+ * the first junction (3+ neighbours) or exit.
+ *
+ * @returns {Array<Object>} [{ nodeId, edgeIds, length }]
+ */
+const findDeadEnds = (graph, exitSet) => {
+  const neighbours = graph.adjacency.map(list => new Set(list.map(a => a.to)));
+  const deadEnds = [];
+
+  graph.nodes.forEach((node, start) => {
+    if (neighbours[start].size !== 1 || exitSet.has(start) || DEAD_END_EXEMPT_TYPES.includes(node.type)) {
+      return;
+    }
+
+    const edgeIds = [];
+    let length = 0;
+    let previous = -1;
+    let current = start;
+
+    // Walk along the corridor while it does not branch
+    while (true) {
+      const next = graph.adjacency[current].find(a => a.to !== previous);
+      if (!next) break;
+      edgeIds.push(graph.edges[next.edgeIndex].id);
+      length += graph.lengths[next.edgeIndex];
+      previous = current;
+      current = next.to;
+      if (neighbours[current].size !== 2 || exitSet.has(current) || current === start) break;
+    }
+
+    deadEnds.push({ nodeId: node.id, edgeIds, length });
+  });
+
+  return deadEnds;
+};
+
+/* ============================================================
+ * ANALYSIS
+ * ============================================================ */
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Integrity report of a floor.
+ *
+ * @function analyzeFloor
+ * @param {Object} floor - FloorMap document or plain floor (nodes, edges,
+ *        cameras, screens/startPoints, exitPoints, mapImage)
+ * @returns {Object} Report:
+ *   - unit: 'm' or 'px'
+ *   - summary: { nodes, edges, exits, screens, critical, warning, info }
+ *   - unreachableNodes: [{ nodeId, label, type, screenIds }]
+ *   - chokepoints: [{ screenId, nodeId, edgeIds }]
+ *   - uncoveredEdges: [edgeId]
+ *   - deadEnds: [{ nodeId, edgeIds, length }]
+ *   - travel: { worstCase: { nodeId, exitNode, distance } | null,
+ *               screens: [{ screenId, nodeId, exitNode, distance }] }
+ *   - issues: [{ severity, type, message, nodeIds, edgeIds }]
+ *
+ * @example
+ * const report = analyzeFloor(floor);
+ * report.issues.filter(i => i.severity === 'critical');
+ */
+export const analyzeFloor = (floor) => {
+  const graph = buildGraph(floor);
+  const unit = graph.scaled ? 'm' : 'px';
+  const screens = floorScreens(floor).filter(s => graph.index.has(s.nodeId));
+  const exitIndices = [...new Set(floor.exitPoints || [])]
+    .filter(id => graph.index.has(id))
+    .map(id => graph.index.get(id));
+  const exitSet = new Set(exitIndices);
+  const issues = [];
+
+  const screensAt = (nodeId) => screens.filter(s => s.nodeId === nodeId).map(s => s.id);
+
+  if (exitIndices.length === 0) {
+    issues.push({
+      severity: 'critical',
+      type: 'no-exits',
+      message: 'Floor has no exit points',
+      nodeIds: [],
+      edgeIds: []
+    });
+  }
+
+  // ─────────────────────────────────────────
+  // REACHABILITY & TRAVEL DISTANCE
+  // ─────────────────────────────────────────
+  const { dist, exitOf } = travelDistances(graph, exitIndices);
+
+  const unreachableNodes = exitIndices.length === 0 ? [] : graph.nodes
+    .map((node, i) => ({ node, i }))
+    .filter(({ i }) => dist[i] === Infinity)
+    .map(({ node }) => ({ nodeId: node.id, label: node.label || null, type: node.type || null, screenIds: screensAt(node.id) }));
+
+  if (unreachableNodes.length > 0) {
+    const stranded = unreachableNodes.flatMap(n => n.screenIds);
+    issues.push({
+      severity: 'critical',
+      type: 'unreachable',
+      message: `${unreachableNodes.length} node(s) have no path to any exit: ${unreachableNodes.map(n => n.nodeId).join(', ')}` +
+        (stranded.length > 0 ? ` (screens ${stranded.join(', ')})` : ''),
+      nodeIds: unreachableNodes.map(n => n.nodeId),
+      edgeIds: []
+    });
+  }
+
+  const travelFor = (i) => (dist[i] === Infinity ? null : {
+    exitNode: graph.nodeIds[exitOf[i]],
+    distance: round(dist[i])
+  });
+
+  let worstCase = null;
+  dist.forEach((d, i) => {
+    if (d !== Infinity && (!worstCase || d > worstCase.distance)) {
+      worstCase = { nodeId: graph.nodeIds[i], ...travelFor(i) };
+    }
+  });
+
+  if (worstCase && graph.scaled && worstCase.distance > MAX_TRAVEL_METERS) {
+    issues.push({
+      severity: 'warning',
+      type: 'travel-distance',
+      message: `Longest travel distance is ${worstCase.distance} m (from ${worstCase.nodeId} to ${worstCase.exitNode}), over ${MAX_TRAVEL_METERS} m`,
+      nodeIds: [worstCase.nodeId],
+      edgeIds: []
+    });
+  }
+
+  // ─────────────────────────────────────────
+  // CHOKEPOINTS
+  // ─────────────────────────────────────────
+  const bridgesOf = findChokepoints(graph, exitIndices);
+  const chokepoints = screens
+    .filter(screen => dist[graph.index.get(screen.nodeId)] !== Infinity)
+    .map(screen => ({
+      screenId: screen.id,
+      nodeId: screen.nodeId,
+      edgeIds: bridgesOf(graph.index.get(screen.nodeId)).map(e => graph.edges[e].id)
+    }))
+    .filter(c => c.edgeIds.length > 0);
+
+  chokepoints.forEach(c => issues.push({
+    severity: 'warning',
+    type: 'chokepoint',
+    message: `Every path from screen ${c.screenId} to an exit crosses ${c.edgeIds.join(', ')}`,
+    nodeIds: [c.nodeId],
+    edgeIds: c.edgeIds
+  }));
+
+  // ─────────────────────────────────────────
+  // CAMERA COVERAGE
+  // ─────────────────────────────────────────
+  const coveredEdges = new Set((floor.cameras || []).flatMap(c => getCameraCoverage(c).map(e => e.edgeId)));
+  if (coveredEdges.size === 0 && floor.cameraToEdge) {
+    // Legacy floors without a cameras array
+    const mapping = floor.cameraToEdge instanceof Map ? [...floor.cameraToEdge.values()] : Object.values(floor.cameraToEdge);
+    mapping.forEach(edgeId => coveredEdges.add(edgeId));
+  }
+  const uncoveredEdges = (floor.edges || []).map(e => e.id).filter(id => !coveredEdges.has(id));
+
+  if (uncoveredEdges.length > 0) {
+    issues.push({
+      severity: 'warning',
+      type: 'uncovered',
+      message: `${uncoveredEdges.length} edge(s) have no camera coverage: ${uncoveredEdges.join(', ')}`,
+      nodeIds: [],
+      edgeIds: uncoveredEdges
+    });
+  }
+
+  // ─────────────────────────────────────────
+  // DEAD ENDS
+  // ─────────────────────────────────────────
+  // Unreachable parts are already reported as critical
+  const deadEnds = findDeadEnds(graph, exitSet)
+    .filter(d => exitIndices.length === 0 || dist[graph.index.get(d.nodeId)] !== Infinity)
+    .map(d => ({ ...d, length: round(d.length) }));
+
+  deadEnds.forEach(d => {
+    const tooLong = graph.scaled && d.length > DEAD_END_METERS;
+    issues.push({
+      severity: tooLong ? 'warning' : 'info',
+      type: 'dead-end',
+      message: `Dead-end corridor at ${d.nodeId} (${d.length} ${unit}${tooLong ? `, over ${DEAD_END_METERS} m` : ''})`,
+      nodeIds: [d.nodeId],
+      edgeIds: d.edgeIds
+    });
+  });
+
+  const count = (severity) => issues.filter(i => i.severity === severity).length;
+
+  return {
+    floorId: floor.id,
+    floorName: floor.name,
+    unit,
+    summary: {
+      nodes: graph.nodes.length,
+      edges: (floor.edges || []).length,
+      exits: exitIndices.length,
+      screens: screens.length,
+      critical: count('critical'),
+      warning: count('warning'),
+      info: count('info')
+    },
+    unreachableNodes,
+    chokepoints,
+    uncoveredEdges,
+    deadEnds,
+    travel: {
+      worstCase,
+      screens: screens.map(s => ({ screenId: s.id, nodeId: s.nodeId, ...(travelFor(graph.index.get(s.nodeId)) || { exitNode: null, distance: null }) }))
+    },
+    issues
+  };
+};
+
+/**
+ * Critical issues of a floor as warning messages, returned when the floor
+ * is saved (the save itself is not rejected).
+ *
+ * @function getSaveWarnings
+ * @param {Object} floor - Saved floor
+ * @returns {string[]} Messages of the critical issues
+ */
+export const getSaveWarnings = (floor) => analyzeFloor(floor).issues
+  .filter(issue => issue.severity === 'critical')
+  .map(issue => issue.message);
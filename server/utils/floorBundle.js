@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Floor Bundle - Portable Floor Configuration
+ * @description Builds and reads self-contained floor bundles (floor JSON,
+ *              map image, camera/screen configuration) used to move a floor
+ *              between servers, e.g. from staging to production.
+ *
+ * @requires axios - Map image download when no local copy exists
+ * @requires ./floorVersions.js - Configuration snapshot
+ *
+ * @env FLOOR_MAPS_DIR - Directory for floor map images (default: './temp_frames/floor_maps')
+ *
+ * @module utils/floorBundle
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports BUNDLE_FORMAT - Format marker of bundle files
+ * @exports buildFloorBundle - Floor -> bundle
+ * @exports parseFloorBundle - Bundle file content -> checked bundle
+ * @exports renameConflictingIds - Prefix element IDs already used by other floors
+ * @exports saveBundleImage - Write the bundle's map image to FLOOR_MAPS_DIR
+ *
+ * @description
+ * Bundle layout (JSON):
+ * {
+ *   format: 'evac-floor-bundle',
+ *   bundleVersion: 1,
+ *   exportedAt: ISO date,
+ *   source: { floorId, version },        // floor version exported (null if unversioned)
+ *   floor: { id, ...snapshot },          // see floorSnapshot in utils/floorVersions.js
+ *   mapImage: { filename, mimeType, data (base64) } | null
+ * }
+ * Only configuration travels: live readings, overrides and device status
+ * stay on the source server.
+ */
+
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import dotenv from "dotenv";
+import { floorSnapshot } from "./floorVersions.js";
+import { ValidationError } from "./AppError.js";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {string} BUNDLE_FORMAT - Format marker of bundle files */
+export const BUNDLE_FORMAT = "evac-floor-bundle";
+
+/** @const {number} BUNDLE_VERSION - Layout version written by this server */
+const BUNDLE_VERSION = 1;
+
+/** @const {string} FLOOR_MAPS_DIR - Directory for floor map images */
+const FLOOR_MAPS_DIR = process.env.FLOOR_MAPS_DIR || "./temp_frames/floor_maps";
+
+/** @const {number} IMAGE_DOWNLOAD_TIMEOUT_MS - Timeout of the map image download */
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 15000;
+
+/** @const {Object} IMAGE_TYPES - Extension -> MIME type */
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp"
+};
+
+/** @const {string[]} ELEMENT_LISTS - Snapshot arrays a bundle must contain */
+const ELEMENT_LISTS = ["nodes", "edges", "cameras", "screens", "exitPoints", "exits"];
+
+/* ============================================================
+ * EXPORT
+ * ============================================================ */
+
+/**
+ * Reads a floor's map image: the local copy if present, otherwise the
+ * cloud URL.
+ *
+ * @async
+ * @param {Object} mapImage - floor.mapImage
+ * @returns {Promise<Object|null>} { filename, mimeType, data (base64) }, or null
+ */
+const readMapImage = async (mapImage) => {
+  if (mapImage?.localUrl && fs.existsSync(mapImage.localUrl)) {
+    const extension = path.extname(mapImage.localUrl).toLowerCase();
+    return {
+      filename: path.basename(mapImage.localUrl),
+      mimeType: IMAGE_TYPES[extension] || "application/octet-stream",
+      data: (await fs.promises.readFile(mapImage.localUrl)).toString("base64")
+    };
+  }
+
+  if (mapImage?.url) {
+    try {
+      const resp = await axios.get(mapImage.url, {
+        responseType: "arraybuffer",
+        timeout: IMAGE_DOWNLOAD_TIMEOUT_MS
+      });
+      const extension = path.extname(new URL(mapImage.url).pathname).toLowerCase();
+      return {
+        filename: `map${extension}`,
+        mimeType: resp.headers["content-type"] || IMAGE_TYPES[extension] || "application/octet-stream",
+        data: Buffer.from(resp.data).toString("base64")
+      };
+    } catch (err) {
+      console.error("Floor map image download failed:", err?.message || err);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Builds the export bundle of a floor.
+ *
+ * @async
+ * @function buildFloorBundle
+ * @param {Object} floor - FloorMap document
+ * @param {number|null} [version=null] - Current version number of the floor
+ * @returns {Promise<Object>} Bundle (see module description)
+ */
+export const buildFloorBundle = async (floor, version = null) => {
+  const snapshot = floorSnapshot(floor);
+
+  // Server-specific image fields are replaced on import
+  const { url, widthPixels, heightPixels, widthMeters, heightMeters } = snapshot.mapImage || {};
+
+  return {
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { floorId: floor.id, version },
+    floor: {
+      id: floor.id,
+      ...snapshot,
+      mapImage: snapshot.mapImage ? { url, widthPixels, heightPixels, widthMeters, heightMeters } : null
+    },
+    mapImage: await readMapImage(floor.mapImage)
+  };
+};
+
+/* ============================================================
+ * IMPORT
+ * ============================================================ */
+
+/**
+ * Parses and checks a bundle file.
+ *
+ * @function parseFloorBundle
+ * @param {Buffer|string} content - Bundle file content
+ * @returns {Object} Bundle
+ * @throws {ValidationError} Not JSON, not a floor bundle, newer layout or missing fields
+ */
+export const parseFloorBundle = (content) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(content.toString("utf8"));
+  } catch (err) {
+    throw new ValidationError(`Bundle is not valid JSON: ${err.message}`);
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new ValidationError(`Not a floor bundle (format must be '${BUNDLE_FORMAT}')`);
+  }
+  if (!(bundle.bundleVersion <= BUNDLE_VERSION)) {
+    throw new ValidationError(`Bundle version ${bundle.bundleVersion} is not supported (max ${BUNDLE_VERSION})`);
+  }
+
+  const floor = bundle.floor || {};
+  const missing = ["id", "name"].filter(field => !floor[field])
+    .concat(ELEMENT_LISTS.filter(field => !Array.isArray(floor[field])));
+  if (missing.length > 0) {
+    throw new ValidationError(`Bundle floor is missing: ${missing.join(", ")}`);
+  }
+  if (bundle.mapImage && (!bundle.mapImage.data || !bundle.mapImage.filename)) {
+    throw new ValidationError("Bundle mapImage must have filename and data");
+  }
+
+  return bundle;
+};
+
+/**
+ * Renames element IDs of a snapshot that other floors already use, to
+ * '<prefix><id>' (plus '_2', '_3' ... if that is taken too), and updates
+ * every reference to them.
+ *
+ * @function renameConflictingIds
+ * @param {Object} snapshot - Floor snapshot from a bundle
+ * @param {Object} takenIds - { nodes, edges, cameras, screens } Sets and connectors Map (see collectFloorIds)
+ * @param {string} prefix - Prefix of renamed IDs (e.g. '<floorId>_')
+ * @returns {Object} { snapshot, renamed: { nodes|edges|cameras|screens: { oldId: newId } } }
+ */
+export const renameConflictingIds = (snapshot, takenIds, prefix) => {
+  const renamed = {};
+  // Connector IDs are edge IDs of the building graph
+  const isTaken = (type, id) => takenIds[type].has(id) || (type === "edges" && !!takenIds.connectors?.has(id));
+
+  for (const type of ["nodes", "edges", "cameras", "screens"]) {
+    const ownIds = new Set(snapshot[type].map(element => element.id));
+    renamed[type] = {};
+
+    for (const id of [...ownIds]) {
+      if (!isTaken(type, id)) continue;
+
+      let candidate = `${prefix}${id}`;
+      for (let n = 2; isTaken(type, candidate) || ownIds.has(candidate); n++) {
+        candidate = `${prefix}${id}_${n}`;
+      }
+      renamed[type][id] = candidate;
+      ownIds.add(candidate);
+    }
+  }
+
+  const node = (id) => renamed.nodes[id] || id;
+  const edge = (id) => renamed.edges[id] || id;
+
+  return {
+    renamed,
+    snapshot: {
+      ...snapshot,
+      nodes: snapshot.nodes.map(n => ({ ...n, id: node(n.id) })),
+      edges: snapshot.edges.map(e => ({ ...e, id: edge(e.id), from: node(e.from), to: node(e.to) })),
+      cameras: snapshot.cameras.map(c => ({
+        ...c,
+        id: renamed.cameras[c.id] || c.id,
+        edgeId: edge(c.edgeId),
+        coverage: (c.coverage || []).map(entry => ({ ...entry, edgeId: edge(entry.edgeId) }))
+      })),
+      screens: snapshot.screens.map(s => ({ ...s, id: renamed.screens[s.id] || s.id, nodeId: node(s.nodeId) })),
+      exitPoints: snapshot.exitPoints.map(node),
+      exits: snapshot.exits.map(exit => ({ ...exit, nodeId: node(exit.nodeId) }))
+    }
+  };
+};
+
+/**
+ * Writes the bundle's map image next to uploaded floor maps.
+ *
+ * @async
+ * @function saveBundleImage
+ * @param {Object} mapImage - bundle.mapImage
+ * @param {string} floorId - Floor the image belongs to (file name)
+ * @returns {Promise<string>} Local path of the image
+ */
+export const saveBundleImage = async (mapImage, floorId) => {
+  await fs.promises.mkdir(FLOOR_MAPS_DIR, { recursive: true });
+  const filename = `${path.basename(floorId)}${path.extname(mapImage.filename).toLowerCase()}`;
+  const localPath = path.join(FLOOR_MAPS_DIR, filename);
+  await fs.promises.writeFile(localPath, Buffer.from(mapImage.data, "base64"));
+  return localPath;
+};
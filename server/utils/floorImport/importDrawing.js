@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Floor Plan Import - CAD Drawing to Floor Proposal
+ * @description Turns a DXF or SVG drawing into a proposed floor: a plan
+ *              image, its real-world size and a corridor graph derived from
+ *              the hallway polygons. Nothing is saved; admins review the
+ *              proposal in the floor editor and save it as a FloorMap.
+ *
+ * @requires ./parseDxf.js - DXF reader
+ * @requires ./parseSvg.js - SVG reader
+ * @requires ./skeleton.js - Hallway polygons -> corridor graph
+ *
+ * @env FLOOR_IMPORT_IMAGE_SIZE - Long side of the plan image in pixels (default: 2000)
+ * @env FLOOR_IMPORT_GRID_CELLS - Grid cells along the long side for skeletonising (default: 400)
+ * @env FLOOR_IMPORT_HALLWAY_PATTERN - Layer name regex of hallway polygons
+ *                                     (default: 'corridor|hall|circulation|egress')
+ * @env FLOOR_IMPORT_EXIT_PATTERN - Layer name regex of exit markers (default: 'exit')
+ *
+ * @module utils/floorImport/importDrawing
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports DRAWING_UNITS - Units accepted as an override of the drawing's own
+ * @exports importDrawing - Drawing file -> floor proposal
+ *
+ * @description
+ * Steps:
+ * 1. Parse the drawing into polylines per layer (DXF layers, SVG groups)
+ * 2. Scale the drawing extent to FLOOR_IMPORT_IMAGE_SIZE pixels (+ margin);
+ *    widthMeters/heightMeters follow from the drawing units
+ * 3. Render the polylines as an SVG plan image (hallways shaded)
+ * 4. Skeletonise closed shapes on hallway layers into nodes and edges
+ * 5. Snap exit markers (shapes on exit layers) to the nearest node, or add
+ *    an exit node linked to it
+ *
+ * Coordinates of the proposed nodes are pixels of the plan image, like
+ * hand-entered floors.
+ */
+
+import path from "path";
+import dotenv from "dotenv";
+import { parseDxf } from "./parseDxf.js";
+import { parseSvg } from "./parseSvg.js";
+import { skeletonize } from "./skeleton.js";
+import { ValidationError } from "../AppError.js";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {number} IMAGE_SIZE - Long side of the plan image (px) */
+const IMAGE_SIZE = parseInt(process.env.FLOOR_IMPORT_IMAGE_SIZE || "2000", 10);
+
+/** @const {number} GRID_CELLS - Skeleton grid cells along the long side */
+const GRID_CELLS = parseInt(process.env.FLOOR_IMPORT_GRID_CELLS || "400", 10);
+
+/** @const {string} HALLWAY_PATTERN - Default hallway layer regex */
+const HALLWAY_PATTERN = process.env.FLOOR_IMPORT_HALLWAY_PATTERN || "corridor|hall|circulation|egress";
+
+/** @const {string} EXIT_PATTERN - Default exit layer regex */
+const EXIT_PATTERN = process.env.FLOOR_IMPORT_EXIT_PATTERN || "exit";
+
+/** @const {number} MARGIN - Plan image margin around the drawing (px) */
+const MARGIN = 20;
+
+/** @const {number} SPUR_METERS - Dead-end branches shorter than this are dropped */
+const SPUR_METERS = 1.5;
+
+/** @const {number} MAX_SPUR_RATIO - Spur limit as a share of the image, for small-scale drawings */
+const MAX_SPUR_RATIO = 0.05;
+
+/** @const {number} EXIT_SNAP_METERS - Exit markers this close reuse a corridor node */
+const EXIT_SNAP_METERS = 3;
+
+/** @const {Object} DRAWING_UNITS - Unit -> meters, for overriding unknown units */
+export const DRAWING_UNITS = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: 0.0254,
+  ft: 0.3048
+};
+
+/** @const {Object} PARSERS - File extension -> parser */
+const PARSERS = {
+  ".dxf": parseDxf,
+  ".svg": parseSvg
+};
+
+/* ============================================================
+ * HELPERS
+ * ============================================================ */
+
+/**
+ * Builds a layer matcher: explicit layer names, or the default regex.
+ * A layer like 'Plan/Corridors/c-12' matches when any part matches.
+ * @param {string[]} names - Layer names chosen by the admin (case-insensitive)
+ * @param {string} pattern - Regex used when no names are given
+ * @returns {Function} (layer) => boolean
+ */
+const layerMatcher = (names, pattern) => {
+  const wanted = new Set(names.map(n => n.toLowerCase()));
+  const regex = new RegExp(pattern, "i");
+  return (layer) => {
+    const parts = [layer, ...layer.split("/")].map(p => p.toLowerCase());
+    return wanted.size > 0 ? parts.some(p => wanted.has(p)) : parts.some(p => regex.test(p));
+  };
+};
+
+/**
+ * Splits a comma-separated option into names.
+ */
+const nameList = (value) => (Array.isArray(value) ? value : String(value || "").split(","))
+  .map(s => s.trim())
+  .filter(Boolean);
+
+/**
+ * Renders shapes (already in pixels) as the plan image.
+ * @returns {string} SVG document
+ */
+const renderPlan = (shapes, isHallway, width, height) => {
+  const toPoints = (points) => points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+  const elements = shapes.map(shape => (shape.closed
+    ? `<polygon points="${toPoints(shape.points)}" fill="${isHallway(shape.layer) ? "#e5e7eb" : "none"}"/>`
+    : `<polyline points="${toPoints(shape.points)}" fill="none"/>`));
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<g stroke="#374151" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round">`,
+    ...elements,
+    "</g>",
+    "</svg>"
+  ].join("\n");
+};
+
+/* ============================================================
+ * IMPORT
+ * ============================================================ */
+
+/**
+ * Builds a floor proposal from a DXF or SVG drawing.
+ *
+ * @function importDrawing
+ * @param {Buffer|string} content - File content
+ * @param {Object} options
+ * @param {string} options.filename - Original file name (extension picks the parser)
+ * @param {string} [options.units] - Drawing units override (see DRAWING_UNITS)
+ * @param {string|string[]} [options.hallwayLayers] - Hallway layer names (default: FLOOR_IMPORT_HALLWAY_PATTERN)
+ * @param {string|string[]} [options.exitLayers] - Exit layer names (default: FLOOR_IMPORT_EXIT_PATTERN)
+ * @param {string} [options.idPrefix=''] - Prefix of node and edge IDs (IDs are unique across floors)
+ * @returns {Object} Proposal:
+ *   - source: { format, filename, units, metersPerUnit, layers: [{ name, shapes, hallway, exit }] }
+ *   - image: { svg, widthPixels, heightPixels }
+ *   - widthMeters, heightMeters: real-world size of the image (null if units unknown)
+ *   - nodes: [{ id, x, y, type }], edges: [{ id, from, to, staticWeight }]
+ *   - exitPoints: exit node IDs
+ *   - warnings: things the admin should check
+ * @throws {ValidationError} Unsupported file, unreadable drawing or no geometry
+ */
+export const importDrawing = (content, { filename, units, hallwayLayers, exitLayers, idPrefix = "" }) => {
+  const extension = path.extname(filename || "").toLowerCase();
+  const parse = PARSERS[extension];
+  if (!parse) {
+    throw new ValidationError(`Unsupported drawing format '${extension || filename}' (use .dxf or .svg)`);
+  }
+  if (units && !DRAWING_UNITS[units]) {
+    throw new ValidationError(`units must be one of: ${Object.keys(DRAWING_UNITS).join(", ")}`);
+  }
+
+  const drawing = parse(content.toString("utf8"));
+  if (drawing.shapes.length === 0) {
+    throw new ValidationError("The drawing contains no lines, polylines or shapes");
+  }
+
+  const warnings = [];
+  const metersPerUnit = units ? DRAWING_UNITS[units] : drawing.metersPerUnit;
+
+  // ─────────────────────────────────────────────
+  // SCALE TO IMAGE PIXELS
+  // ─────────────────────────────────────────────
+  const points = drawing.shapes.flatMap(s => s.points);
+  const minX = Math.min(...points.map(p => p.x));
+  const maxX = Math.max(...points.map(p => p.x));
+  const minY = Math.min(...points.map(p => p.y));
+  const maxY = Math.max(...points.map(p => p.y));
+  const extent = Math.max(maxX - minX, maxY - minY) || 1;
+  const scale = (IMAGE_SIZE - 2 * MARGIN) / extent; // pixels per drawing unit
+
+  const widthPixels = Math.round((maxX - minX) * scale) + 2 * MARGIN;
+  const heightPixels = Math.round((maxY - minY) * scale) + 2 * MARGIN;
+  const toPixels = (p) => ({
+    x: (p.x - minX) * scale + MARGIN,
+    y: (drawing.yUp ? maxY - p.y : p.y - minY) * scale + MARGIN
+  });
+  const shapes = drawing.shapes.map(s => ({ ...s, points: s.points.map(toPixels) }));
+
+  const metersPerPixel = metersPerUnit ? metersPerUnit / scale : null;
+  if (!metersPerPixel) {
+    warnings.push("Drawing units are unknown, so widthMeters/heightMeters are not set. Import again with the drawing units, or enter the real-world size.");
+  }
+
+  // ─────────────────────────────────────────────
+  // LAYERS
+  // ─────────────────────────────────────────────
+  const isHallway = layerMatcher(nameList(hallwayLayers), HALLWAY_PATTERN);
+  const isExit = layerMatcher(nameList(exitLayers), EXIT_PATTERN);
+
+  const layerCounts = {};
+  shapes.forEach(s => { layerCounts[s.layer] = (layerCounts[s.layer] || 0) + 1; });
+  const layers = Object.entries(layerCounts).map(([name, count]) => ({
+    name,
+    shapes: count,
+    hallway: isHallway(name),
+    exit: isExit(name)
+  }));
+
+  const skipped = Object.entries(drawing.skipped);
+  if (skipped.length > 0) {
+    warnings.push(`Not imported: ${skipped.map(([type, count]) => `${type} ×${count}`).join(", ")}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // CORRIDOR GRAPH
+  // ─────────────────────────────────────────────
+  const hallways = shapes.filter(s => s.closed && s.points.length >= 3 && isHallway(s.layer));
+  const longSide = Math.max(widthPixels, heightPixels);
+  const cellSize = longSide / GRID_CELLS;
+  const pixelsPerMeter = metersPerPixel ? 1 / metersPerPixel : null;
+
+  const skeleton = skeletonize(hallways.map(s => s.points), {
+    cellSize,
+    spurLength: pixelsPerMeter
+      ? Math.min(SPUR_METERS * pixelsPerMeter, MAX_SPUR_RATIO * longSide)
+      : 4 * cellSize,
+    tolerance: 1.5 * cellSize
+  });
+
+  if (hallways.length === 0) {
+    warnings.push(`No closed hallway shapes found (layers: ${layers.map(l => l.name).join(", ")}). Choose the hallway layers and import again, or draw the graph in the editor.`);
+  }
+
+  const nodes = skeleton.nodes.map((node, i) => ({
+    id: `${idPrefix}N${i + 1}`,
+    x: Math.round(node.x),
+    y: Math.round(node.y),
+    type: node.kind === "junction" ? "junction" : "hall"
+  }));
+  const edges = skeleton.edges.map((edge, i) => ({
+    id: `${idPrefix}E${i + 1}`,
+    from: nodes[edge.from].id,
+    to: nodes[edge.to].id,
+    staticWeight: 1
+  }));
+
+  // ─────────────────────────────────────────────
+  // EXITS
+  // ─────────────────────────────────────────────
+  const exitPoints = [];
+  const snapDistance = pixelsPerMeter ? EXIT_SNAP_METERS * pixelsPerMeter : 8 * cellSize;
+
+  for (const shape of shapes.filter(s => isExit(s.layer))) {
+    const center = {
+      x: shape.points.reduce((sum, p) => sum + p.x, 0) / shape.points.length,
+      y: shape.points.reduce((sum, p) => sum + p.y, 0) / shape.points.length
+    };
+    const nearest = nodes
+      .map(node => ({ node, distance: Math.hypot(node.x - center.x, node.y - center.y) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    let exitNode = nearest && nearest.distance <= snapDistance ? nearest.node : null;
+    if (!exitNode) {
+      exitNode = { id: `${idPrefix}N${nodes.length + 1}`, x: Math.round(center.x), y: Math.round(center.y), type: "exit" };
+      nodes.push(exitNode);
+      if (nearest) {
+        edges.push({ id: `${idPrefix}E${edges.length + 1}`, from: nearest.node.id, to: exitNode.id, staticWeight: 1 });
+      }
+    }
+    exitNode.type = "exit";
+    if (!exitPoints.includes(exitNode.id)) exitPoints.push(exitNode.id);
+  }
+
+  if (exitPoints.length === 0) {
+    warnings.push("No exit markers found. Mark the exits in the editor.");
+  }
+
+  return {
+    source: {
+      format: drawing.format,
+      filename,
+      units: units || drawing.units,
+      metersPerUnit,
+      layers
+    },
+    image: {
+      svg: renderPlan(shapes, isHallway, widthPixels, heightPixels),
+      widthPixels,
+      heightPixels
+    },
+    widthMeters: metersPerPixel ? Number((widthPixels * metersPerPixel).toFixed(2)) : null,
+    heightMeters: metersPerPixel ? Number((heightPixels * metersPerPixel).toFixed(2)) : null,
+    nodes,
+    edges,
+    exitPoints,
+    warnings
+  };
+};
+
+export default importDrawing;
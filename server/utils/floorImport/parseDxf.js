@@ -0,0 +1,214 @@
+/**
+ * @fileoverview DXF Drawing Parser
+ * @description Reads an ASCII DXF drawing into flat shapes (polylines per
+ *              layer) and its drawing units, for the floor plan import.
+ *
+ * @requires dxf-parser - DXF group code parser
+ *
+ * @module utils/floorImport/parseDxf
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports parseDxf - DXF text -> { format, units, metersPerUnit, yUp, shapes, skipped }
+ *
+ * @description
+ * Supported entities: LINE, LWPOLYLINE, POLYLINE, CIRCLE, ARC, ELLIPSE and
+ * INSERT (block references, expanded with their position, scale and
+ * rotation). Text, hatches and dimensions are skipped and counted. DWG and
+ * binary DXF have to be saved as ASCII DXF first.
+ */
+
+import DxfParser from "dxf-parser";
+import { ValidationError } from "../AppError.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {Object} INSUNITS - $INSUNITS code -> [unit, meters per unit] */
+const INSUNITS = {
+  1: ["in", 0.0254],
+  2: ["ft", 0.3048],
+  4: ["mm", 0.001],
+  5: ["cm", 0.01],
+  6: ["m", 1],
+  10: ["yd", 0.9144],
+  14: ["dm", 0.1]
+};
+
+/** @const {number} CURVE_SEGMENTS - Segments per full circle when flattening */
+const CURVE_SEGMENTS = 32;
+
+/** @const {number} MAX_BLOCK_DEPTH - Nesting limit for block references */
+const MAX_BLOCK_DEPTH = 4;
+
+/* ============================================================
+ * GEOMETRY HELPERS
+ * ============================================================ */
+
+/**
+ * Points of an elliptical/circular arc.
+ * @param {Object} center - { x, y }
+ * @param {number} rx - X radius
+ * @param {number} ry - Y radius
+ * @param {number} rotation - Rotation of the x radius (radians)
+ * @param {number} start - Start angle (radians)
+ * @param {number} end - End angle (radians), > start
+ * @returns {Array<Object>} Points
+ */
+const arcPoints = (center, rx, ry, rotation, start, end) => {
+  const steps = Math.max(2, Math.ceil(((end - start) / (2 * Math.PI)) * CURVE_SEGMENTS));
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = start + ((end - start) * i) / steps;
+    const x = rx * Math.cos(angle);
+    const y = ry * Math.sin(angle);
+    points.push({ x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos });
+  }
+  return points;
+};
+
+/**
+ * Applies a block reference transform to a point.
+ * @param {Object} point - { x, y }
+ * @param {Object} insert - { x, y, sx, sy, rotation (radians) }
+ * @returns {Object} Transformed point
+ */
+const applyInsert = (point, insert) => {
+  const x = point.x * insert.sx;
+  const y = point.y * insert.sy;
+  const cos = Math.cos(insert.rotation);
+  const sin = Math.sin(insert.rotation);
+  return { x: insert.x + x * cos - y * sin, y: insert.y + x * sin + y * cos };
+};
+
+/* ============================================================
+ * ENTITY CONVERSION
+ * ============================================================ */
+
+/**
+ * Converts one entity to shapes ({ points, closed }).
+ * @param {Object} entity - dxf-parser entity
+ * @returns {Array<Object>|null} Shapes, or null when the type is not supported
+ */
+const entityShapes = (entity) => {
+  switch (entity.type) {
+    case "LINE":
+      return [{ points: entity.vertices.map(v => ({ x: v.x, y: v.y })), closed: false }];
+
+    case "LWPOLYLINE":
+    case "POLYLINE":
+      return [{
+        points: (entity.vertices || []).map(v => ({ x: v.x, y: v.y })),
+        closed: !!entity.shape
+      }];
+
+    case "CIRCLE":
+      return [{
+        points: arcPoints(entity.center, entity.radius, entity.radius, 0, 0, 2 * Math.PI).slice(0, -1),
+        closed: true
+      }];
+
+    case "ARC": {
+      const end = entity.endAngle > entity.startAngle ? entity.endAngle : entity.endAngle + 2 * Math.PI;
+      return [{
+        points: arcPoints(entity.center, entity.radius, entity.radius, 0, entity.startAngle, end),
+        closed: false
+      }];
+    }
+
+    case "ELLIPSE": {
+      const major = entity.majorAxisEndPoint;
+      const rx = Math.hypot(major.x, major.y);
+      const start = entity.startAngle ?? 0;
+      const end = entity.endAngle ?? 2 * Math.PI;
+      const full = Math.abs(end - start - 2 * Math.PI) < 1e-6;
+      const points = arcPoints(entity.center, rx, rx * entity.axisRatio, Math.atan2(major.y, major.x),
+        start, end > start ? end : end + 2 * Math.PI);
+      return [{ points: full ? points.slice(0, -1) : points, closed: full }];
+    }
+
+    default:
+      return null;
+  }
+};
+
+/* ============================================================
+ * PARSER
+ * ============================================================ */
+
+/**
+ * Parses an ASCII DXF drawing.
+ *
+ * @function parseDxf
+ * @param {string} text - DXF file content
+ * @returns {Object} Drawing:
+ *   - format: 'dxf'
+ *   - units: 'mm', 'm', 'in', ... or null when $INSUNITS is unset/unitless
+ *   - metersPerUnit: number or null
+ *   - yUp: true (DXF y axis points up)
+ *   - shapes: [{ layer, points: [{ x, y }], closed }]
+ *   - skipped: { entityType: count } of unsupported entities
+ * @throws {ValidationError} When the file is not a readable DXF
+ */
+export const parseDxf = (text) => {
+  let dxf;
+  try {
+    dxf = new DxfParser().parseSync(text);
+  } catch (err) {
+    throw new ValidationError(`Could not read DXF drawing: ${err.message}`);
+  }
+  if (!dxf) {
+    throw new ValidationError("Could not read DXF drawing (binary DXF and DWG must be saved as ASCII DXF)");
+  }
+
+  const shapes = [];
+  const skipped = {};
+
+  /**
+   * Adds the shapes of a list of entities, expanding block references.
+   * Entities on layer '0' inside a block take the layer of the reference.
+   */
+  const addEntities = (entities, transforms, parentLayer, depth) => {
+    for (const entity of entities || []) {
+      const layer = parentLayer && (!entity.layer || entity.layer === "0") ? parentLayer : entity.layer || "0";
+
+      if (entity.type === "INSERT") {
+        const block = dxf.blocks?.[entity.name];
+        if (!block || depth >= MAX_BLOCK_DEPTH) {
+          skipped.INSERT = (skipped.INSERT || 0) + 1;
+          continue;
+        }
+        const insert = {
+          x: entity.position.x,
+          y: entity.position.y,
+          sx: entity.xScale ?? 1,
+          sy: entity.yScale ?? 1,
+          rotation: ((entity.rotation || 0) * Math.PI) / 180
+        };
+        addEntities(block.entities, [insert, ...transforms], layer, depth + 1);
+        continue;
+      }
+
+      const converted = entityShapes(entity);
+      if (!converted) {
+        skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+        continue;
+      }
+      for (const shape of converted) {
+        if (shape.points.length < 2) continue;
+        const points = shape.points.map(p => transforms.reduce(applyInsert, p));
+        shapes.push({ layer, points, closed: shape.closed });
+      }
+    }
+  };
+
+  addEntities(dxf.entities, [], null, 0);
+
+  const [units, metersPerUnit] = INSUNITS[dxf.header?.$INSUNITS] || [null, null];
+  return { format: "dxf", units, metersPerUnit, yUp: true, shapes, skipped };
+};
+
+export default parseDxf;
@@ -0,0 +1,453 @@
+/**
+ * @fileoverview SVG Drawing Parser
+ * @description Reads an SVG drawing into flat shapes (polylines per layer)
+ *              and its drawing units, for the floor plan import.
+ *
+ * @requires fast-xml-parser - XML parser
+ *
+ * @module utils/floorImport/parseSvg
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports parseSvg - SVG text -> { format, units, metersPerUnit, yUp, shapes, skipped }
+ *
+ * @description
+ * Supported elements: line, polyline, polygon, rect, circle, ellipse and
+ * path (all commands; curves and arcs are flattened), with nested
+ * transforms. A shape's layer is the chain of names (inkscape:label, id or
+ * class) of its groups and itself, e.g. 'Plan/Corridors/c-12'.
+ *
+ * Units come from the root width/height (mm, cm, m, in, pt, pc) and the
+ * viewBox. Unitless or px sizes leave the units unknown.
+ */
+
+import { XMLParser } from "fast-xml-parser";
+import { ValidationError } from "../AppError.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {Object} LENGTH_UNITS - SVG length unit -> meters */
+const LENGTH_UNITS = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  in: 0.0254,
+  pt: 0.0254 / 72,
+  pc: 0.0254 / 6
+};
+
+/** @const {number} CURVE_SEGMENTS - Segments per curve or full arc */
+const CURVE_SEGMENTS = 16;
+
+/** @const {Set<string>} SKIPPED_CONTAINERS - Elements whose content is not drawn */
+const SKIPPED_CONTAINERS = new Set(["defs", "clipPath", "mask", "symbol", "marker", "pattern", "metadata", "title", "desc", "style"]);
+
+/** @const {Array<number>} IDENTITY - Affine matrix [a, b, c, d, e, f] */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/* ============================================================
+ * TRANSFORMS
+ * ============================================================ */
+
+/**
+ * Multiplies two affine matrices (m1 · m2).
+ */
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+/**
+ * Applies an affine matrix to a point.
+ */
+const apply = (m, p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] });
+
+/**
+ * Parses a transform attribute.
+ * @param {string} [value] - e.g. 'translate(10 20) rotate(45)'
+ * @returns {Array<number>} Affine matrix
+ */
+const parseTransform = (value) => {
+  let matrix = IDENTITY;
+  for (const [, name, args] of (value || "").matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const n = args.split(/[\s,]+/).filter(Boolean).map(Number);
+    let m = IDENTITY;
+    switch (name) {
+      case "matrix":
+        m = n.length === 6 ? n : IDENTITY;
+        break;
+      case "translate":
+        m = [1, 0, 0, 1, n[0] || 0, n[1] || 0];
+        break;
+      case "scale":
+        m = [n[0] ?? 1, 0, 0, n[1] ?? n[0] ?? 1, 0, 0];
+        break;
+      case "rotate": {
+        const a = ((n[0] || 0) * Math.PI) / 180;
+        const [cx = 0, cy = 0] = n.slice(1);
+        m = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy]
+        );
+        break;
+      }
+      case "skewX":
+        m = [1, 0, Math.tan(((n[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case "skewY":
+        m = [1, Math.tan(((n[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    matrix = multiply(matrix, m);
+  }
+  return matrix;
+};
+
+/* ============================================================
+ * PATH DATA
+ * ============================================================ */
+
+/**
+ * Samples a cubic Bézier curve (excluding its start point).
+ */
+const cubic = (p0, p1, p2, p3) => {
+  const points = [];
+  for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+    const t = i / CURVE_SEGMENTS;
+    const u = 1 - t;
+    points.push({
+      x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+      y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+    });
+  }
+  return points;
+};
+
+/**
+ * Samples an SVG elliptical arc (excluding its start point), converting the
+ * endpoint parameterisation to a center one (SVG spec, appendix B.2.4).
+ */
+const arc = (p0, rx, ry, rotationDeg, largeArc, sweep, p1) => {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return [p1];
+
+  const phi = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (p0.x - p1.x) / 2;
+  const dy = (p0.y - p1.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (factor * rx * y1) / ry;
+  const cy1 = (-factor * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (p0.x + p1.x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (p0.y + p1.y) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const steps = Math.max(2, Math.ceil((Math.abs(delta) / (2 * Math.PI)) * CURVE_SEGMENTS * 2));
+  const points = [];
+  for (let i = 1; i <= steps; i++) {
+    const a = start + (delta * i) / steps;
+    const x = rx * Math.cos(a);
+    const y = ry * Math.sin(a);
+    points.push({ x: cos * x - sin * y + cx, y: sin * x + cos * y + cy });
+  }
+  return points;
+};
+
+/**
+ * Flattens path data into subpaths.
+ * @param {string} d - Path data
+ * @returns {Array<Object>} [{ points, closed }]
+ */
+const parsePathData = (d) => {
+  const tokens = (d || "").match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+  const subpaths = [];
+  let current = null;
+  let pos = { x: 0, y: 0 };
+  let start = pos;
+  let lastControl = null;
+  let lastCommand = "";
+  let command = "";
+  let i = 0;
+
+  const number = () => Number(tokens[i++]);
+  const point = (relative) => {
+    const x = number();
+    const y = number();
+    return relative ? { x: pos.x + x, y: pos.y + y } : { x, y };
+  };
+  const lineTo = (p) => {
+    if (!current) {
+      current = { points: [pos], closed: false };
+      subpaths.push(current);
+    }
+    current.points.push(p);
+    pos = p;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command) {
+      break;
+    }
+    const relative = command === command.toLowerCase();
+
+    switch (command.toUpperCase()) {
+      case "M":
+        pos = point(relative);
+        start = pos;
+        current = { points: [pos], closed: false };
+        subpaths.push(current);
+        // Further coordinate pairs are implicit line-tos
+        command = relative ? "l" : "L";
+        break;
+      case "L":
+        lineTo(point(relative));
+        break;
+      case "H": {
+        const x = number();
+        lineTo({ x: relative ? pos.x + x : x, y: pos.y });
+        break;
+      }
+      case "V": {
+        const y = number();
+        lineTo({ x: pos.x, y: relative ? pos.y + y : y });
+        break;
+      }
+      case "C": {
+        const c1 = point(relative);
+        const c2 = point(relative);
+        const end = point(relative);
+        cubic(pos, c1, c2, end).forEach(lineTo);
+        lastControl = c2;
+        break;
+      }
+      case "S": {
+        const c1 = /[CS]/i.test(lastCommand) && lastControl
+          ? { x: 2 * pos.x - lastControl.x, y: 2 * pos.y - lastControl.y }
+          : pos;
+        const c2 = point(relative);
+        const end = point(relative);
+        cubic(pos, c1, c2, end).forEach(lineTo);
+        lastControl = c2;
+        break;
+      }
+      case "Q":
+      case "T": {
+        const q = command.toUpperCase() === "Q"
+          ? point(relative)
+          : /[QT]/i.test(lastCommand) && lastControl
+            ? { x: 2 * pos.x - lastControl.x, y: 2 * pos.y - lastControl.y }
+            : pos;
+        const end = point(relative);
+        // Quadratic as cubic
+        const c1 = { x: pos.x + (2 / 3) * (q.x - pos.x), y: pos.y + (2 / 3) * (q.y - pos.y) };
+        const c2 = { x: end.x + (2 / 3) * (q.x - end.x), y: end.y + (2 / 3) * (q.y - end.y) };
+        cubic(pos, c1, c2, end).forEach(lineTo);
+        lastControl = q;
+        break;
+      }
+      case "A": {
+        const rx = number();
+        const ry = number();
+        const rotation = number();
+        const largeArc = number() !== 0;
+        const sweep = number() !== 0;
+        const end = point(relative);
+        arc(pos, rx, ry, rotation, largeArc, sweep, end).forEach(lineTo);
+        break;
+      }
+      case "Z":
+        if (current) current.closed = true;
+        pos = start;
+        current = null;
+        break;
+      default:
+        // Unknown command: stop rather than misread the rest
+        i = tokens.length;
+    }
+    lastCommand = command;
+    if (Number.isNaN(pos.x) || Number.isNaN(pos.y)) break;
+  }
+
+  return subpaths.filter(s => s.points.length >= 2 && s.points.every(p => !Number.isNaN(p.x) && !Number.isNaN(p.y)));
+};
+
+/* ============================================================
+ * ELEMENTS
+ * ============================================================ */
+
+/**
+ * Converts one drawing element to shapes in its own coordinates.
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes
+ * @returns {Array<Object>|null} [{ points, closed }], or null for non-drawing elements
+ */
+const elementShapes = (tag, attrs) => {
+  const num = (name, fallback = 0) => {
+    const value = parseFloat(attrs[name]);
+    return isNaN(value) ? fallback : value;
+  };
+  const pointList = (value) => {
+    const n = (value || "").split(/[\s,]+/).filter(Boolean).map(Number);
+    const points = [];
+    for (let i = 0; i + 1 < n.length; i += 2) points.push({ x: n[i], y: n[i + 1] });
+    return points;
+  };
+  const ellipse = (cx, cy, rx, ry) => Array.from({ length: CURVE_SEGMENTS * 2 }, (_, i) => {
+    const a = (i / (CURVE_SEGMENTS * 2)) * 2 * Math.PI;
+    return { x: cx + rx * Math.cos(a), y: cy + ry * Math.sin(a) };
+  });
+
+  switch (tag) {
+    case "line":
+      return [{ points: [{ x: num("x1"), y: num("y1") }, { x: num("x2"), y: num("y2") }], closed: false }];
+    case "polyline":
+      return [{ points: pointList(attrs.points), closed: false }];
+    case "polygon":
+      return [{ points: pointList(attrs.points), closed: true }];
+    case "rect": {
+      const x = num("x");
+      const y = num("y");
+      const w = num("width");
+      const h = num("height");
+      return [{ points: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], closed: true }];
+    }
+    case "circle":
+      return [{ points: ellipse(num("cx"), num("cy"), num("r"), num("r")), closed: true }];
+    case "ellipse":
+      return [{ points: ellipse(num("cx"), num("cy"), num("rx"), num("ry")), closed: true }];
+    case "path":
+      return parsePathData(attrs.d);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Name of an element for layer matching.
+ */
+const elementName = (attrs) => attrs["inkscape:label"] || attrs.id || attrs.class || null;
+
+/**
+ * Splits a length like '210mm' into [value, meters per unit or null].
+ */
+const parseLength = (value) => {
+  const match = /^\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value || "");
+  if (!match) return [null, null];
+  return [parseFloat(match[1]), LENGTH_UNITS[match[2].toLowerCase()] ?? null];
+};
+
+/* ============================================================
+ * PARSER
+ * ============================================================ */
+
+/**
+ * Parses an SVG drawing.
+ *
+ * @function parseSvg
+ * @param {string} text - SVG file content
+ * @returns {Object} Drawing:
+ *   - format: 'svg'
+ *   - units: 'mm', 'm', 'in', ... or null when the size has no real-world unit
+ *   - metersPerUnit: meters per user unit, or null
+ *   - yUp: false
+ *   - shapes: [{ layer, points: [{ x, y }], closed }]
+ *   - skipped: { elementName: count } of elements that were not drawn
+ * @throws {ValidationError} When the file is not an SVG document
+ */
+export const parseSvg = (text) => {
+  let document;
+  try {
+    document = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: "",
+      preserveOrder: true,
+      parseAttributeValue: false
+    }).parse(text);
+  } catch (err) {
+    throw new ValidationError(`Could not read SVG drawing: ${err.message}`);
+  }
+
+  const root = document.find(node => node.svg);
+  if (!root) {
+    throw new ValidationError("Could not read SVG drawing: no <svg> root element");
+  }
+
+  const shapes = [];
+  const skipped = {};
+
+  const walk = (children, matrix, names) => {
+    for (const node of children) {
+      const tag = Object.keys(node).find(key => key !== ":@");
+      if (!tag || tag.startsWith("#") || tag.startsWith("?")) continue;
+      if (SKIPPED_CONTAINERS.has(tag)) continue;
+
+      const attrs = node[":@"] || {};
+      if (attrs.display === "none") continue;
+
+      const m = multiply(matrix, parseTransform(attrs.transform));
+      const name = elementName(attrs);
+      const layerNames = name ? [...names, name] : names;
+
+      if (tag === "g" || tag === "a" || tag === "svg") {
+        walk(node[tag], m, layerNames);
+        continue;
+      }
+
+      const converted = elementShapes(tag, attrs);
+      if (!converted) {
+        skipped[tag] = (skipped[tag] || 0) + 1;
+        continue;
+      }
+      for (const shape of converted) {
+        if (shape.points.length < 2) continue;
+        shapes.push({
+          layer: layerNames.join("/") || "0",
+          points: shape.points.map(p => apply(m, p)),
+          closed: shape.closed
+        });
+      }
+    }
+  };
+
+  // Root attributes belong to the document, not to a layer name
+  const rootAttrs = root[":@"] || {};
+  walk(root.svg, parseTransform(rootAttrs.transform), []);
+
+  // Real-world size of one user unit
+  const [width, unitMeters] = parseLength(rootAttrs.width);
+  const viewBox = (rootAttrs.viewBox || "").split(/[\s,]+/).map(Number);
+  const viewBoxWidth = viewBox.length === 4 && viewBox[2] > 0 ? viewBox[2] : width;
+  const metersPerUnit = width && unitMeters && viewBoxWidth ? (width * unitMeters) / viewBoxWidth : null;
+  const units = metersPerUnit ? /[a-z]+\s*$/i.exec(rootAttrs.width)[0].trim().toLowerCase() : null;
+
+  return { format: "svg", units, metersPerUnit, yUp: false, shapes, skipped };
+};
+
+export default parseSvg;
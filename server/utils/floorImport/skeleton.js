@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Corridor Skeleton - Hallway Polygons to a Graph
+ * @description Proposes a corridor graph from hallway polygons: the
+ *              polygons are rasterised onto a grid, thinned to a one-cell
+ *              wide centreline (Zhang-Suen) and the centreline is traced into
+ *              junctions, dead ends and the corridors between them.
+ *
+ * @module utils/floorImport/skeleton
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports skeletonize - Polygons -> { nodes, edges } in the polygons' coordinates
+ *
+ * @description
+ * Pipeline:
+ * ┌─────────────────────────────────────────────────────────────┐
+ * │  1. Rasterise   polygons → grid (cell = options.cellSize)   │
+ * │  2. Thin        Zhang-Suen, then drop staircase cells       │
+ * │  3. Trace       cells with 1 or ≥3 neighbours are nodes     │
+ * │                 (adjacent junction cells merge into one),   │
+ * │                 runs of 2-neighbour cells become corridors  │
+ * │  4. Prune       dead-end spurs and corner loops shorter     │
+ * │                 than spurLength                             │
+ * │  5. Simplify    Douglas-Peucker; kept bends become nodes    │
+ * └─────────────────────────────────────────────────────────────┘
+ */
+
+/* ============================================================
+ * GRID
+ * ============================================================ */
+
+/** @const {Array<Array<number>>} NEIGHBOURS - P2..P9 clockwise from north */
+const NEIGHBOURS = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]];
+
+/**
+ * Fills polygons onto a grid (even-odd rule per polygon, union of polygons).
+ * @param {Array<Array<Object>>} polygons - Point lists
+ * @param {Object} grid - { width, height, cellSize, originX, originY, cells }
+ */
+const rasterise = (polygons, grid) => {
+  const { width, height, cellSize, originX, originY, cells } = grid;
+
+  for (const polygon of polygons) {
+    for (let row = 0; row < height; row++) {
+      const y = originY + (row + 0.5) * cellSize;
+      const crossings = [];
+      for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+          crossings.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+        }
+      }
+      crossings.sort((p, q) => p - q);
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const from = Math.max(0, Math.ceil((crossings[k] - originX) / cellSize - 0.5));
+        const to = Math.min(width - 1, Math.floor((crossings[k + 1] - originX) / cellSize - 0.5));
+        for (let col = from; col <= to; col++) cells[row * width + col] = 1;
+      }
+    }
+  }
+};
+
+/**
+ * Values of the 8 neighbours (P2..P9) of a cell, 0 outside the grid.
+ */
+const neighbourValues = (grid, col, row) => NEIGHBOURS.map(([dx, dy]) => {
+  const x = col + dx;
+  const y = row + dy;
+  return x >= 0 && y >= 0 && x < grid.width && y < grid.height ? grid.cells[y * grid.width + x] : 0;
+});
+
+/**
+ * Number of 0 → 1 transitions around a cell (P2, P3, ..., P9, P2).
+ */
+const transitions = (p) => {
+  let count = 0;
+  for (let i = 0; i < 8; i++) {
+    if (!p[i] && p[(i + 1) % 8]) count++;
+  }
+  return count;
+};
+
+/**
+ * Zhang-Suen thinning, in place.
+ * @param {Object} grid - Grid
+ */
+const thin = (grid) => {
+  const { width, height, cells } = grid;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const pass of [0, 1]) {
+      const remove = [];
+      for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+          if (!cells[row * width + col]) continue;
+          const p = neighbourValues(grid, col, row);
+          const count = p.reduce((sum, v) => sum + v, 0);
+          if (count < 2 || count > 6 || transitions(p) !== 1) continue;
+
+          // p[0]=N, p[2]=E, p[4]=S, p[6]=W
+          const ok = pass === 0
+            ? !(p[0] && p[2] && p[4]) && !(p[2] && p[4] && p[6])
+            : !(p[0] && p[2] && p[6]) && !(p[0] && p[4] && p[6]);
+          if (ok) remove.push(row * width + col);
+        }
+      }
+      for (const index of remove) cells[index] = 0;
+      if (remove.length) changed = true;
+    }
+  }
+
+  // Staircase cells: two orthogonal neighbours that touch each other
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (!cells[row * width + col]) continue;
+      const p = neighbourValues(grid, col, row);
+      const corner = (p[0] && p[2]) || (p[2] && p[4]) || (p[4] && p[6]) || (p[6] && p[0]);
+      if (corner && transitions(p) === 1) cells[row * width + col] = 0;
+    }
+  }
+};
+
+/* ============================================================
+ * TRACING
+ * ============================================================ */
+
+/**
+ * Perpendicular distance of a point to the line through a and b.
+ */
+const lineDistance = (p, a, b) => {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!length) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+};
+
+/**
+ * Douglas-Peucker simplification.
+ * @param {Array<Object>} points - Polyline
+ * @param {number} tolerance - Maximum deviation
+ * @returns {Array<Object>} Kept points (first and last always kept)
+ */
+const simplify = (points, tolerance) => {
+  if (points.length <= 2) return points;
+
+  let index = 0;
+  let maxDistance = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = lineDistance(points[i], points[0], points[points.length - 1]);
+    if (distance > maxDistance) {
+      index = i;
+      maxDistance = distance;
+    }
+  }
+  if (maxDistance <= tolerance) return [points[0], points[points.length - 1]];
+  return [
+    ...simplify(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplify(points.slice(index), tolerance)
+  ];
+};
+
+/**
+ * Length of a polyline.
+ */
+const polylineLength = (points) => points.slice(1)
+  .reduce((sum, p, i) => sum + Math.hypot(p.x - points[i].x, p.y - points[i].y), 0);
+
+/**
+ * Traces the thinned grid into nodes and cell paths between them.
+ * @param {Object} grid - Thinned grid
+ * @returns {Object} { nodes: [{ x, y, kind }], paths: [{ from, to, cells }] }
+ */
+const trace = (grid) => {
+  const { width, height, cells } = grid;
+  const on = (col, row) => col >= 0 && row >= 0 && col < width && row < height && cells[row * width + col] === 1;
+  const neighboursOf = (index) => {
+    const col = index % width;
+    const row = Math.floor(index / width);
+    return NEIGHBOURS
+      .filter(([dx, dy]) => on(col + dx, row + dy))
+      .map(([dx, dy]) => (row + dy) * width + col + dx);
+  };
+
+  // Node cells: dead ends (1 neighbour) and junctions (≥3), junction clusters merged
+  const nodeOf = new Map();
+  const nodes = [];
+  for (let index = 0; index < cells.length; index++) {
+    if (!cells[index] || nodeOf.has(index)) continue;
+    const degree = neighboursOf(index).length;
+    if (degree === 2) continue;
+
+    if (degree <= 1) {
+      nodeOf.set(index, nodes.length);
+      nodes.push({ cells: [index], kind: degree === 0 ? "isolated" : "end" });
+      continue;
+    }
+
+    const cluster = [index];
+    nodeOf.set(index, nodes.length);
+    for (let k = 0; k < cluster.length; k++) {
+      for (const next of neighboursOf(cluster[k])) {
+        if (!nodeOf.has(next) && neighboursOf(next).length >= 3) {
+          nodeOf.set(next, nodes.length);
+          cluster.push(next);
+        }
+      }
+    }
+    nodes.push({ cells: cluster, kind: "junction" });
+  }
+
+  const paths = [];
+  const visited = new Set();
+  const seenLinks = new Set();
+
+  const walkFrom = (nodeIndex, startCell, firstCell) => {
+    const path = [startCell, firstCell];
+    let previous = startCell;
+    let current = firstCell;
+
+    while (!nodeOf.has(current)) {
+      visited.add(current);
+      const next = neighboursOf(current).find(n => n !== previous);
+      if (next === undefined || (visited.has(next) && !nodeOf.has(next))) break;
+      path.push(next);
+      previous = current;
+      current = next;
+    }
+
+    const endNode = nodeOf.get(current);
+    if (endNode === undefined) return;
+    if (path.length === 2) {
+      // Two node cells side by side: link once
+      const key = [nodeIndex, endNode].sort((a, b) => a - b).join("-");
+      if (endNode === nodeIndex || seenLinks.has(key)) return;
+      seenLinks.add(key);
+    }
+    paths.push({ from: nodeIndex, to: endNode, cells: path });
+  };
+
+  const traceNode = (nodeIndex) => {
+    for (const cell of nodes[nodeIndex].cells) {
+      for (const next of neighboursOf(cell)) {
+        if (visited.has(next) || nodeOf.get(next) === nodeIndex) continue;
+        walkFrom(nodeIndex, cell, next);
+      }
+    }
+  };
+
+  nodes.forEach((_, nodeIndex) => traceNode(nodeIndex));
+
+  // Closed loops without any junction or dead end: start a node on the loop
+  for (let index = 0; index < cells.length; index++) {
+    if (!cells[index] || visited.has(index) || nodeOf.has(index)) continue;
+    nodeOf.set(index, nodes.length);
+    nodes.push({ cells: [index], kind: "loop" });
+    traceNode(nodes.length - 1);
+  }
+
+  // Node position: centre of its cells
+  for (const node of nodes) {
+    node.col = node.cells.reduce((sum, c) => sum + (c % width), 0) / node.cells.length;
+    node.row = node.cells.reduce((sum, c) => sum + Math.floor(c / width), 0) / node.cells.length;
+  }
+
+  return { nodes, paths };
+};
+
+/* ============================================================
+ * SKELETONIZE
+ * ============================================================ */
+
+/**
+ * Proposes a corridor graph from hallway polygons.
+ *
+ * @function skeletonize
+ * @param {Array<Array<Object>>} polygons - Hallway outlines ([{ x, y }] each)
+ * @param {Object} options
+ * @param {number} options.cellSize - Grid cell size (polygon units)
+ * @param {number} options.spurLength - Dead-end branches shorter than this are dropped
+ * @param {number} options.tolerance - Maximum deviation of a corridor from its centreline
+ * @returns {Object} { nodes: [{ x, y, kind: 'junction'|'end'|'bend' }], edges: [{ from, to }] }
+ *          with edge endpoints as indices into nodes
+ */
+export const skeletonize = (polygons, { cellSize, spurLength, tolerance }) => {
+  const points = polygons.flat();
+  if (points.length === 0) return { nodes: [], edges: [] };
+
+  const originX = Math.min(...points.map(p => p.x)) - cellSize;
+  const originY = Math.min(...points.map(p => p.y)) - cellSize;
+  const width = Math.ceil((Math.max(...points.map(p => p.x)) - originX) / cellSize) + 2;
+  const height = Math.ceil((Math.max(...points.map(p => p.y)) - originY) / cellSize) + 2;
+  const grid = { width, height, cellSize, originX, originY, cells: new Uint8Array(width * height) };
+
+  rasterise(polygons, grid);
+  thin(grid);
+  const traced = trace(grid);
+
+  const toPoint = (col, row) => ({ x: originX + (col + 0.5) * cellSize, y: originY + (row + 0.5) * cellSize });
+  const cellPoint = (index) => toPoint(index % width, Math.floor(index / width));
+
+  // Prune short dead-end spurs hanging off junctions
+  const degree = new Map();
+  traced.paths.forEach(p => {
+    degree.set(p.from, (degree.get(p.from) || 0) + 1);
+    degree.set(p.to, (degree.get(p.to) || 0) + 1);
+  });
+  const isSpur = (path) => {
+    const [end, other] = traced.nodes[path.from].kind === "end" ? [path.from, path.to] : [path.to, path.from];
+    return traced.nodes[end].kind === "end" &&
+      traced.nodes[other].kind === "junction" &&
+      degree.get(other) > 2 &&
+      polylineLength(path.cells.map(cellPoint)) < spurLength;
+  };
+  // Small loops at corridor corners are thinning artefacts as well
+  const isCornerLoop = (path) => path.from === path.to && polylineLength(path.cells.map(cellPoint)) < spurLength;
+  const kept = traced.paths.filter(path => !isSpur(path) && !isCornerLoop(path));
+
+  // Keep nodes that still have a corridor
+  const nodes = [];
+  const nodeIndex = new Map();
+  const addNode = (point, kind) => {
+    nodes.push({ x: point.x, y: point.y, kind });
+    return nodes.length - 1;
+  };
+  const graphNode = (index) => {
+    if (!nodeIndex.has(index)) {
+      const node = traced.nodes[index];
+      nodeIndex.set(index, addNode(toPoint(node.col, node.row), node.kind === "junction" ? "junction" : "end"));
+    }
+    return nodeIndex.get(index);
+  };
+
+  const edges = [];
+  for (const path of kept) {
+    const from = graphNode(path.from);
+    const to = graphNode(path.to);
+    const line = [nodes[from], ...path.cells.slice(1, -1).map(cellPoint), nodes[to]];
+
+    // A corridor leaving and re-entering the same node is split at its middle
+    const simplified = from === to
+      ? [...simplify(line.slice(0, Math.ceil(line.length / 2)), tolerance).slice(0, -1),
+         ...simplify(line.slice(Math.ceil(line.length / 2) - 1), tolerance)]
+      : simplify(line, tolerance);
+    if (from === to && simplified.length < 3) continue;
+
+    let previous = from;
+    for (const bend of simplified.slice(1, -1)) {
+      const index = addNode(bend, "bend");
+      edges.push({ from: previous, to: index });
+      previous = index;
+    }
+    edges.push({ from: previous, to });
+  }
+
+  return { nodes, edges };
+};
+
+export default skeletonize;
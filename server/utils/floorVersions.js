@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Floor Versions - Configuration Snapshots, Diff and Restore
+ * @description Saves a numbered snapshot of a floor's configuration after
+ *              each change, compares two snapshots and applies a snapshot
+ *              back to a floor. Shared by floor updates, export bundles and
+ *              version rollback.
+ *
+ * @requires ../models/FloorVersion.js - Version storage
+ * @requires ../models/FloorMap.js - configVersion of the floor
+ * @requires ./exitStatus.js - Exit entries from exitPoints
+ * @requires ./validators/floorValidator.js - Floor data validation
+ *
+ * @module utils/floorVersions
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports floorSnapshot - Configuration of a floor, without live state
+ * @exports recordFloorVersion - Save a new version if the configuration changed
+ * @exports ensureBaselineVersion - Save the current state of an unversioned floor
+ * @exports backfillFloorVersions - Baseline versions for all unversioned floors
+ * @exports diffSnapshots - Added/removed/changed elements between two snapshots
+ * @exports validateSnapshot - validateFloorData for a snapshot
+ * @exports applySnapshot - Set a floor's configuration from a snapshot
+ *
+ * @description
+ * A snapshot holds what an admin configures:
+ * ┌─────────────┬──────────────────────────────────────────────────────┐
+ * │ Versioned   │ name, mapImage, nodes, edges (IDs, weights,          │
+ * │             │ thresholds), cameras (edge, coverage, RTSP URL),     │
+ * │             │ cameraAggregation, screens, exitPoints, exit capacity│
+ * │ Not         │ camera readings, hazard history/trend/predictions,   │
+ * │ versioned   │ manual overrides, camera/screen/exit status          │
+ * └─────────────┴──────────────────────────────────────────────────────┘
+ * Applying a snapshot keeps the live state of the elements that still
+ * exist, so a rollback never reopens a closed corridor or re-enables a
+ * failed camera.
+ *
+ * floor.configVersion always holds the latest version number; computed
+ * routes store it as Route.floorVersion.
+ */
+
+import { isDeepStrictEqual } from "util";
+import FloorVersion from "../models/FloorVersion.js";
+import FloorMap from "../models/FloorMap.js";
+import { syncExits } from "./exitStatus.js";
+import { validateFloorData } from "./validators/floorValidator.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {Object} RUNTIME_FIELDS - Live state per element type, left out of snapshots */
+const RUNTIME_FIELDS = {
+  nodes: [],
+  edges: [
+    'currentPeopleCount', 'currentFireProb', 'currentSmokeProb',
+    'predictedFireProb', 'predictedSmokeProb',
+    'lastObservedAt', 'missedCycles', 'hazardHistory', 'hazardTrend', 'override'
+  ],
+  cameras: ['status', 'failureCount', 'lastFailure', 'lastSuccess', 'disabledReason', 'disabledAt', 'disabledBy'],
+  screens: ['status', 'disabledReason', 'disabledAt', 'disabledBy'],
+  exits: ['status', 'statusSource', 'statusReason', 'statusUpdatedAt']
+};
+
+/** @const {Object} ELEMENT_KEYS - Element type -> identifying field */
+const ELEMENT_KEYS = {
+  nodes: 'id',
+  edges: 'id',
+  cameras: 'id',
+  screens: 'id',
+  exits: 'nodeId'
+};
+
+/** @const {string[]} FLOOR_FIELDS - Top-level snapshot fields compared as a whole */
+const FLOOR_FIELDS = ['name', 'mapImage', 'cameraAggregation', 'exitPoints'];
+
+/* ============================================================
+ * SNAPSHOTS
+ * ============================================================ */
+
+/**
+ * Plain copies of a list of (sub)documents without _id and the given fields.
+ */
+const stripFields = (items, fields) => (items || []).map(item => {
+  const copy = { ...item };
+  delete copy._id;
+  fields.forEach(field => delete copy[field]);
+  return copy;
+});
+
+/**
+ * Configuration of a floor, without live state.
+ *
+ * @function floorSnapshot
+ * @param {Object} floor - FloorMap document or plain floor
+ * @returns {Object} { name, mapImage, nodes, edges, cameras, cameraAggregation,
+ *          screens, exitPoints, exits } - JSON-safe
+ */
+export const floorSnapshot = (floor) => {
+  const plain = JSON.parse(JSON.stringify(
+    typeof floor.toObject === 'function' ? floor.toObject({ virtuals: false }) : floor
+  ));
+
+  return {
+    name: plain.name,
+    mapImage: plain.mapImage || null,
+    nodes: stripFields(plain.nodes, RUNTIME_FIELDS.nodes),
+    edges: stripFields(plain.edges, RUNTIME_FIELDS.edges),
+    cameras: stripFields(plain.cameras, RUNTIME_FIELDS.cameras),
+    cameraAggregation: plain.cameraAggregation || 'max',
+    screens: stripFields(plain.screens, RUNTIME_FIELDS.screens),
+    exitPoints: plain.exitPoints || [],
+    exits: stripFields(plain.exits, RUNTIME_FIELDS.exits)
+  };
+};
+
+/**
+ * Element counts of a snapshot.
+ */
+const summarize = (snapshot) => Object.fromEntries(
+  Object.keys(ELEMENT_KEYS).map(type => [type, snapshot[type]?.length || 0])
+);
+
+/* ============================================================
+ * RECORDING
+ * ============================================================ */
+
+/**
+ * Points floor.configVersion at a version (in memory and stored).
+ */
+const setConfigVersion = async (floor, version) => {
+  if (floor.configVersion === version) return;
+  floor.configVersion = version;
+  await FloorMap.updateOne({ id: floor.id }, { $set: { configVersion: version } });
+};
+
+/**
+ * Saves the floor's current configuration as its next version, unless it
+ * equals the latest version. Either way floor.configVersion ends up at the
+ * latest version.
+ *
+ * @async
+ * @function recordFloorVersion
+ * @param {Object} floor - Saved FloorMap document
+ * @param {Object} options
+ * @param {string} options.source - 'baseline', 'create', 'update', 'import' or 'rollback'
+ * @param {string} [options.author] - Admin ID
+ * @param {string} [options.note] - Description shown in the history
+ * @param {number} [options.restoredFrom] - Version restored (rollback)
+ * @returns {Promise<Object|null>} New FloorVersion, or null if nothing changed
+ */
+export const recordFloorVersion = async (floor, { source, author, note, restoredFrom } = {}) => {
+  const snapshot = floorSnapshot(floor);
+  const latest = await FloorVersion.findOne({ floorId: floor.id }).sort({ version: -1 }).lean();
+
+  if (latest && isDeepStrictEqual(latest.snapshot, snapshot)) {
+    await setConfigVersion(floor, latest.version);
+    return null;
+  }
+
+  const floorVersion = await FloorVersion.create({
+    floorId: floor.id,
+    version: (latest?.version || 0) + 1,
+    source,
+    author,
+    note,
+    restoredFrom,
+    snapshot,
+    summary: summarize(snapshot)
+  });
+  await setConfigVersion(floor, floorVersion.version);
+
+  return floorVersion;
+};
+
+/**
+ * Saves the current configuration of a floor that has no versions yet
+ * (created before versioning), so its first change can be undone.
+ * Call before modifying the floor.
+ *
+ * @async
+ * @function ensureBaselineVersion
+ * @param {Object} floor - FloorMap document, not yet modified
+ * @returns {Promise<Object|null>} Baseline FloorVersion, or null if versions exist
+ */
+export const ensureBaselineVersion = async (floor) => {
+  if (await FloorVersion.exists({ floorId: floor.id })) {
+    return null;
+  }
+  return recordFloorVersion(floor, { source: 'baseline', author: 'system' });
+};
+
+/**
+ * Records a baseline version for every floor without one, so routes of
+ * floors created before versioning reference a version too. Run at startup.
+ *
+ * @async
+ * @function backfillFloorVersions
+ * @returns {Promise<number>} Number of baseline versions created
+ */
+export const backfillFloorVersions = async () => {
+  const versioned = new Set(await FloorVersion.distinct('floorId'));
+  const floors = await FloorMap.find({ id: { $nin: [...versioned] } });
+
+  for (const floor of floors) {
+    await recordFloorVersion(floor, { source: 'baseline', author: 'system' });
+  }
+  return floors.length;
+};
+
+/* ============================================================
+ * DIFF
+ * ============================================================ */
+
+/**
+ * Compares two values of a snapshot (missing and null are equal).
+ */
+const sameValue = (a, b) => isDeepStrictEqual(a ?? null, b ?? null);
+
+/**
+ * Differences between two snapshots.
+ *
+ * @function diffSnapshots
+ * @param {Object|null} from - Older snapshot (null = empty floor)
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} Diff:
+ *   - fields: { name|mapImage|cameraAggregation|exitPoints: { from, to } } (changed only)
+ *   - nodes|edges|cameras|screens|exits: { added: [element], removed: [element],
+ *     changed: [{ id, fields: { field: { from, to } } }] }
+ *   - changeCount: total number of changed fields and elements
+ */
+export const diffSnapshots = (from, to) => {
+  const base = from || {};
+  const diff = { fields: {}, changeCount: 0 };
+
+  for (const field of FLOOR_FIELDS) {
+    if (!sameValue(base[field], to[field])) {
+      diff.fields[field] = { from: base[field] ?? null, to: to[field] ?? null };
+      diff.changeCount++;
+    }
+  }
+
+  for (const [type, key] of Object.entries(ELEMENT_KEYS)) {
+    const before = new Map((base[type] || []).map(element => [element[key], element]));
+    const after = new Map((to[type] || []).map(element => [element[key], element]));
+
+    const added = [...after.values()].filter(element => !before.has(element[key]));
+    const removed = [...before.values()].filter(element => !after.has(element[key]));
+    const changed = [];
+
+    for (const [id, element] of after) {
+      const previous = before.get(id);
+      if (!previous) continue;
+
+      const fields = {};
+      for (const field of new Set([...Object.keys(previous), ...Object.keys(element)])) {
+        if (!sameValue(previous[field], element[field])) {
+          fields[field] = { from: previous[field] ?? null, to: element[field] ?? null };
+        }
+      }
+      if (Object.keys(fields).length > 0) {
+        changed.push({ id, fields });
+      }
+    }
+
+    diff[type] = { added, removed, changed };
+    diff.changeCount += added.length + removed.length + changed.length;
+  }
+
+  return diff;
+};
+
+/* ============================================================
+ * RESTORE
+ * ============================================================ */
+
+/**
+ * Validates a snapshot before it is applied (restore, bundle import).
+ *
+ * @async
+ * @function validateSnapshot
+ * @param {Object} snapshot - Snapshot (see floorSnapshot)
+ * @param {string|null} [excludeFloorId=null] - Floor the snapshot replaces
+ * @returns {Promise<Object>} { valid, errors } from validateFloorData
+ */
+export const validateSnapshot = (snapshot, excludeFloorId = null) => validateFloorData({
+  nodes: snapshot.nodes,
+  edges: snapshot.edges,
+  cameras: snapshot.cameras,
+  screens: snapshot.screens,
+  cameraAggregation: snapshot.cameraAggregation,
+  exitPoints: snapshot.exitPoints,
+  exitCapacities: Object.fromEntries(snapshot.exits.map(exit => [exit.nodeId, exit.capacity ?? null]))
+}, excludeFloorId);
+
+/**
+ * Live state of a floor's elements of one type, by ID.
+ */
+const liveState = (elements, type) => new Map((elements || []).map(element => {
+  const plain = typeof element.toObject === 'function' ? element.toObject() : element;
+  const state = {};
+  RUNTIME_FIELDS[type].forEach(field => {
+    if (plain[field] !== undefined) state[field] = plain[field];
+  });
+  return [plain[ELEMENT_KEYS[type]], state];
+}));
+
+/**
+ * Sets a floor's configuration from a snapshot. Elements that still exist
+ * keep their live state (readings, overrides, device status); the legacy
+ * cameraToEdge/startPoints fields and the exits array are rebuilt.
+ * The floor is not saved.
+ *
+ * @function applySnapshot
+ * @param {Object} floor - FloorMap document (existing or new)
+ * @param {Object} snapshot - Snapshot (see floorSnapshot)
+ * @returns {Object} The floor
+ */
+export const applySnapshot = (floor, snapshot) => {
+  const edgeState = liveState(floor.edges, 'edges');
+  const cameraState = liveState(floor.cameras, 'cameras');
+  const screenState = liveState(floor.screens, 'screens');
+
+  floor.name = snapshot.name;
+  floor.nodes = snapshot.nodes;
+  floor.edges = snapshot.edges.map(edge => ({ ...edgeState.get(edge.id), ...edge }));
+
+  floor.cameras = snapshot.cameras.map(camera => ({ ...cameraState.get(camera.id), ...camera }));
+  floor.cameraToEdge = Object.fromEntries(snapshot.cameras.map(camera => [camera.id, camera.edgeId]));
+  floor.cameraAggregation = snapshot.cameraAggregation;
+
+  floor.screens = snapshot.screens.map(screen => ({ ...screenState.get(screen.id), ...screen }));
+  floor.startPoints = snapshot.screens.map(screen => screen.nodeId);
+
+  floor.exitPoints = snapshot.exitPoints;
+  floor.exits = syncExits(
+    snapshot.exitPoints,
+    floor.exits,
+    Object.fromEntries(snapshot.exits.map(exit => [exit.nodeId, exit.capacity ?? null]))
+  );
+
+  if (snapshot.mapImage) {
+    floor.mapImage = snapshot.mapImage;
+  }
+
+  return floor;
+};
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Capacity-Aware Evacuation Flow Planner
+ * @description Assigns every screen a route while spreading occupants across
+ *              corridors and exits according to their capacity, instead of
+ *              giving each screen its own independent shortest path.
+ *
+ * @requires ./dijkstra.js - Weighted graph, forward search, route analysis
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/flowPlanner
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports planEvacuationFlow - Capacity-aware routes for all start points
+ *
+ * @description
+ * Iterative load-balancing assignment:
+ * 1. Demand: each screen evacuates the people counted on the corridors
+ *    touching it (edges shared by two nodes are split between them),
+ *    at least MIN_SCREEN_DEMAND
+ * 2. Capacity: an edge carries `peopleThreshold` people; an exit carries
+ *    its configured capacity, or else the sum of its corridors' thresholds
+ * 3. Cost: hazard-weighted Dijkstra weight × BPR congestion factor
+ *    1 + α·(load / capacity)^β for the edge and for the exit it leads into
+ * 4. Screens are routed one by one (largest demand first), loading the
+ *    graph as they go, then re-routed against everyone else's load until
+ *    no screen can improve or maxIterations is reached
+ *
+ * Returned routes have the same shape as computeShortestPaths results, plus
+ * a `flow` object per route and `_timing.flow` for the whole plan. Screens
+ * that can reach no exit get the same refuge / shelter-in-place route.
+ *
+ * Environment Variables:
+ * - FLOW_BPR_ALPHA: Congestion cost scale (default: 0.15)
+ * - FLOW_BPR_BETA: Congestion cost exponent (default: 4)
+ */
+
+import {
+  buildWeightedGraph,
+  resolveExitIndices,
+  searchFromStart,
+  searchFromRefuges,
+  buildShelterRoute,
+  describeRoute,
+  addAlternateRoutes
+} from './dijkstra.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/* ============================================================
+ * FLOW PLANNING CONFIGURATION
+ * ============================================================ */
+
+/** @const {number} BPR_ALPHA - Cost increase at 100% utilization */
+const BPR_ALPHA = parseFloat(process.env.FLOW_BPR_ALPHA || "0.15");
+
+/** @const {number} BPR_BETA - How sharply cost rises past capacity */
+const BPR_BETA = parseFloat(process.env.FLOW_BPR_BETA || "4");
+
+/** @const {number} DEFAULT_MAX_ITERATIONS - Re-routing passes after the initial loading */
+const DEFAULT_MAX_ITERATIONS = 5;
+
+/** @const {number} MIN_SCREEN_DEMAND - People assumed at a screen with no readings */
+const MIN_SCREEN_DEMAND = 1;
+
+/** @const {number} DEFAULT_EDGE_CAPACITY - Used when an edge has no peopleThreshold */
+const DEFAULT_EDGE_CAPACITY = 10;
+
+/**
+ * Rounds a value for reports.
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 2 decimals
+ */
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * BPR (Bureau of Public Roads) congestion factor.
+ * @param {number} load - Assigned people
+ * @param {number} capacity - People the element carries comfortably
+ * @returns {number} Cost multiplier (1 when empty)
+ */
+const congestionFactor = (load, capacity) => 1 + BPR_ALPHA * Math.pow(load / capacity, BPR_BETA);
+
+/* ============================================================
+ * MAIN PLANNING FUNCTION
+ * ============================================================ */
+
+/**
+ * Computes capacity-aware evacuation routes for all start points.
+ *
+ * @function planEvacuationFlow
+ * @param {Object} graph - Graph data structure (nodes, edges, scale)
+ * @param {Array<string>} startNodeIds - Start node IDs (screen positions)
+ * @param {Array<string>} exitNodeIds - Exit node IDs
+ * @param {Object} [options] - Planning options
+ * @param {number} [options.maxIterations=5] - Re-routing passes
+ * @param {number} [options.alternateCount] - Backup routes per screen (env default)
+ * @param {string} [options.alternateMode] - 'edge' | 'node' (env default)
+ * @param {Object} [options.weights] - Weights of the routed floor (see routingWeights.js)
+ * @param {Map<string, Object>} [options.floorWeights] - Building graphs: floorId -> weights
+ *
+ * @returns {Array<Object>} Routes (computeShortestPaths shape) with timing metadata
+ * @returns {Object} [].flow - { demand, congestedCost, maxEdgeUtilization, exitUtilization }
+ * @returns {Object} []._timing - Timing metadata, including `flow` plan summary
+ *
+ * @example
+ * const routes = planEvacuationFlow(graph, floor.activeStartPoints, floor.exitPoints, { maxIterations: 5 });
+ * // routes._timing.flow = { iterations: 2, converged: true, reassignments: [3, 0], exits: [...] }
+ */
+export const planEvacuationFlow = (graph, startNodeIds, exitNodeIds, options = {}) => {
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+
+  // ─────────────────────────────────────────────
+  // Initialize timing metrics (same keys as computeShortestPaths)
+  // ─────────────────────────────────────────────
+  const timingStart = performance.now();
+  const timing = {
+    algorithm: 'capacity-aware',
+    totalMs: 0,
+    graphBuildMs: 0,
+    searchMs: 0,
+    reconstructMs: 0,
+    alternatesMs: 0,
+    routeTimings: [],
+    graphStats: {
+      nodes: graph.nodes?.length || 0,
+      edges: graph.edges?.length || 0,
+      arcs: 0,
+      settledNodes: 0,
+      startPoints: startNodeIds?.length || 0,
+      exitPoints: exitNodeIds?.length || 0,
+      alternates: 0,
+      shelterRoutes: 0
+    },
+    flow: null
+  };
+
+  if (!startNodeIds || !startNodeIds.length) {
+    console.warn('No start points provided');
+    return [];
+  }
+
+  if (!exitNodeIds || !exitNodeIds.length) {
+    console.warn('No exit points provided');
+  }
+
+  // ─────────────────────────────────────────────
+  // Build weighted graph and capacity lookups
+  // ─────────────────────────────────────────────
+  const buildStart = performance.now();
+  const weighted = buildWeightedGraph(graph, { weights: options.weights, floorWeights: options.floorWeights });
+  const { nodeIndex, nodeIds, edgeMap, edgeWeightInfo, adjacency, reverseAdjacency } = weighted;
+  timing.graphStats.arcs = weighted.arcCount;
+
+  const exitIndices = resolveExitIndices(weighted, exitNodeIds || []);
+  const targets = new Set(exitIndices);
+
+  // Forward arcs per edge, so weights can be updated as load changes
+  const arcsByEdge = new Map();
+  adjacency.forEach(arcs => arcs.forEach(arc => {
+    if (!arcsByEdge.has(arc.edgeId)) arcsByEdge.set(arc.edgeId, []);
+    arcsByEdge.get(arc.edgeId).push(arc);
+  }));
+
+  const edgeCapacity = (edgeId) => edgeMap.get(edgeId)?.peopleThreshold || DEFAULT_EDGE_CAPACITY;
+
+  // Exit capacity = configured, else sum of its corridors' capacities
+  // (corridors leading in, so exit-only doors count)
+  const exitCapacity = new Map();
+  const exitsByEdge = new Map();
+  for (const exitIdx of exitIndices) {
+    let capacity = 0;
+    for (const arc of reverseAdjacency[exitIdx]) {
+      capacity += edgeCapacity(arc.edgeId);
+      if (!exitsByEdge.has(arc.edgeId)) exitsByEdge.set(arc.edgeId, []);
+      exitsByEdge.get(arc.edgeId).push(exitIdx);
+    }
+    exitCapacity.set(exitIdx, weighted.exitCapacity.get(nodeIds[exitIdx]) || capacity || DEFAULT_EDGE_CAPACITY);
+  }
+
+  timing.graphBuildMs = round2(performance.now() - buildStart);
+
+  if (exitIndices.length === 0) {
+    console.error(`No usable exit nodes found in graph - screens will shelter in place`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Screen demand from people on adjacent corridors
+  // ─────────────────────────────────────────────
+  const screens = [];
+  for (const startNodeId of startNodeIds) {
+    const startIdx = nodeIndex.get(startNodeId);
+    if (startIdx === undefined) {
+      console.error(`Start node ${startNodeId} not found in graph`);
+      timing.routeTimings.push({ startNode: startNodeId, ms: 0, found: false });
+      continue;
+    }
+
+    const touching = new Set([...adjacency[startIdx], ...reverseAdjacency[startIdx]].map(arc => arc.edgeId));
+    const people = [...touching].reduce(
+      (sum, edgeId) => sum + (edgeMap.get(edgeId)?.currentPeopleCount || 0) / 2,
+      0
+    );
+    screens.push({
+      startNodeId,
+      startIdx,
+      demand: Math.max(MIN_SCREEN_DEMAND, people),
+      assignment: null,
+      ms: 0
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Load bookkeeping
+  // ─────────────────────────────────────────────
+  const edgeLoad = new Map();
+  const exitLoad = new Map(exitIndices.map(idx => [idx, 0]));
+
+  const edgeCost = (edgeId) => {
+    let factor = congestionFactor(edgeLoad.get(edgeId) || 0, edgeCapacity(edgeId));
+    for (const exitIdx of (exitsByEdge.get(edgeId) || [])) {
+      factor *= congestionFactor(exitLoad.get(exitIdx), exitCapacity.get(exitIdx));
+    }
+    return edgeWeightInfo.get(edgeId).weight * factor;
+  };
+
+  // Arcs into a congested exit keep their penalty (see buildWeightedGraph)
+  const refreshEdge = (edgeId) => {
+    const cost = edgeCost(edgeId);
+    arcsByEdge.get(edgeId)?.forEach(arc => (arc.weight = cost * arc.penalty));
+  };
+
+  /**
+   * Adds (sign = 1) or removes (sign = -1) a screen's people from the graph.
+   */
+  const applyLoad = (screen, sign) => {
+    const { edges, exitIdx } = screen.assignment;
+    const touched = new Set(edges);
+
+    edges.forEach(edgeId => edgeLoad.set(edgeId, (edgeLoad.get(edgeId) || 0) + sign * screen.demand));
+    exitLoad.set(exitIdx, exitLoad.get(exitIdx) + sign * screen.demand);
+    reverseAdjacency[exitIdx].forEach(arc => touched.add(arc.edgeId));
+
+    touched.forEach(refreshEdge);
+  };
+
+  // Current cost of a path, read off its arcs (includes congested exit penalties)
+  const pathCost = ({ nodes, edges }) => edges.reduce((sum, edgeId, i) => {
+    const arc = adjacency[nodeIndex.get(nodes[i])].find(a => a.edgeId === edgeId && nodeIds[a.to] === nodes[i + 1]);
+    return sum + edgeCost(edgeId) * (arc?.penalty ?? 1);
+  }, 0);
+
+  const route = (screen) => {
+    const routeStart = performance.now();
+    const found = searchFromStart(weighted, screen.startIdx, targets);
+    screen.ms += performance.now() - routeStart;
+    if (!found) return null;
+    return { ...found, exitIdx: nodeIndex.get(found.nodes[found.nodes.length - 1]) };
+  };
+
+  const searchStart = performance.now();
+
+  // Largest groups choose first
+  const order = [...screens].sort((a, b) => b.demand - a.demand);
+
+  // ─────────────────────────────────────────────
+  // Initial incremental loading
+  // ─────────────────────────────────────────────
+  for (const screen of order) {
+    screen.assignment = exitIndices.length > 0 ? route(screen) : null;
+    if (screen.assignment) {
+      applyLoad(screen, 1);
+    } else {
+      console.error(`No route possible from ${screen.startNodeId} to any exit`);
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Re-route each screen against everyone else's load
+  // ─────────────────────────────────────────────
+  const reassignments = [];
+  let converged = false;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changes = 0;
+
+    for (const screen of order) {
+      if (!screen.assignment) continue;
+
+      applyLoad(screen, -1);
+      const currentCost = pathCost(screen.assignment);
+      const candidate = route(screen);
+
+      // Switch only for a real improvement, so equal-cost paths don't flip-flop
+      if (candidate && candidate.distance < currentCost * (1 - 1e-6)) {
+        screen.assignment = candidate;
+        changes++;
+      }
+      applyLoad(screen, 1);
+    }
+
+    reassignments.push(changes);
+    if (changes === 0) {
+      converged = true;
+      break;
+    }
+  }
+
+  timing.searchMs = round2(performance.now() - searchStart);
+
+  // ─────────────────────────────────────────────
+  // Build route objects (congested costs first,
+  // then restore hazard-only weights)
+  // ─────────────────────────────────────────────
+  const reconstructStart = performance.now();
+  const routesByStart = new Map();
+  let refugeSearch = null;
+
+  for (const screen of screens) {
+    timing.routeTimings.push({ startNode: screen.startNodeId, ms: round2(screen.ms), found: !!screen.assignment });
+
+    // Cut off from every exit: nearest refuge area, no load planned
+    if (!screen.assignment) {
+      refugeSearch = refugeSearch || searchFromRefuges(weighted);
+      routesByStart.set(screen.startNodeId, {
+        startNode: screen.startNodeId,
+        ...buildShelterRoute(weighted, refugeSearch, screen.startNodeId, exitIndices.length === 0)
+      });
+      timing.graphStats.shelterRoutes++;
+      continue;
+    }
+
+    const { nodes, edges, exitIdx } = screen.assignment;
+    const baseDistance = edges.reduce((sum, edgeId) => sum + edgeWeightInfo.get(edgeId).weight, 0);
+    const maxEdgeUtilization = edges.reduce(
+      (max, edgeId) => Math.max(max, (edgeLoad.get(edgeId) || 0) / edgeCapacity(edgeId)),
+      0
+    );
+
+    routesByStart.set(screen.startNodeId, {
+      startNode: screen.startNodeId,
+      ...describeRoute(weighted, { nodes, edges }, baseDistance),
+      flow: {
+        demand: round2(screen.demand),
+        congestedCost: round2(pathCost({ nodes, edges })),
+        maxEdgeUtilization: round2(maxEdgeUtilization),
+        exitUtilization: round2(exitLoad.get(exitIdx) / exitCapacity.get(exitIdx))
+      }
+    });
+  }
+
+  arcsByEdge.forEach((arcs, edgeId) => arcs.forEach(arc => (arc.weight = edgeWeightInfo.get(edgeId).weight * arc.penalty)));
+
+  // Keep the caller's screen order
+  const routes = startNodeIds.map(id => routesByStart.get(id)).filter(Boolean);
+  timing.reconstructMs = round2(performance.now() - reconstructStart);
+
+  // ─────────────────────────────────────────────
+  // Backup routes on the uncongested graph
+  // ─────────────────────────────────────────────
+  const alternatesStart = performance.now();
+  timing.graphStats.alternates = addAlternateRoutes(weighted, routes, exitIndices, options);
+  timing.alternatesMs = round2(performance.now() - alternatesStart);
+
+  // ─────────────────────────────────────────────
+  // Finalize timing and plan summary
+  // ─────────────────────────────────────────────
+  timing.flow = {
+    iterations: reassignments.length,
+    converged,
+    reassignments,
+    totalDemand: round2(screens.reduce((sum, s) => sum + s.demand, 0)),
+    exits: exitIndices.map(idx => ({
+      exitNode: nodeIds[idx],
+      load: round2(exitLoad.get(idx)),
+      capacity: exitCapacity.get(idx),
+      utilization: round2(exitLoad.get(idx) / exitCapacity.get(idx))
+    }))
+  };
+
+  timing.totalMs = round2(performance.now() - timingStart);
+  timing.avgRouteMs = timing.routeTimings.length > 0
+    ? round2(timing.totalMs / timing.routeTimings.length)
+    : 0;
+
+  console.log(`🚦 Flow plan: ${routes.length} screens, ${timing.flow.totalDemand} people over ${exitIndices.length} exits | ${converged ? 'converged' : 'stopped'} after ${reassignments.length} pass(es) [${reassignments.join(', ')} reassigned]`);
+
+  routes._timing = timing;
+
+  return routes;
+};
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Hazard Propagation - Short-Term Fire/Smoke Spread Prediction
+ * @description Estimates where fire and smoke will be within the next few
+ *              minutes from the corridors that report them now, so routing
+ *              can avoid corridors that are about to become dangerous.
+ *
+ * @requires ./distanceCalculator.js - Real-world distance calculation
+ * @requires ./minHeap.js - Binary heap priority queue
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/hazardPropagation
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports predictHazardSpread - Predicted fire/smoke per edge of a graph
+ * @exports applyHazardPredictions - Store predictions on FloorMap edges
+ *
+ * @description
+ * Spread model (run separately for fire and smoke):
+ * - Sources: edges whose current probability is at least MIN_SOURCE_PROB
+ * - Hazard travels along corridors; its strength falls off with walking
+ *   distance d (meters) as p × e^(-d / λ), where λ = spread speed × horizon
+ *   is how far the hazard gets within the prediction horizon
+ * - A max-strength multi-source Dijkstra over the nodes (cost = -ln p + d/λ)
+ *   gives the strongest arrival at every node; an edge's predicted value is
+ *   that arrival carried to its midpoint, never lower than its own reading
+ *
+ * Edge lengths use calculateRealWorldDistance with the floor scale (or the
+ * fixed lengthMeters of stairwell/elevator connectors).
+ *
+ * Environment Variables:
+ * - HAZARD_PREDICTION_HORIZON_SEC: How far ahead to predict (default: 180)
+ * - HAZARD_FIRE_SPREAD_MPS: Fire spread speed along corridors (default: 0.1)
+ * - HAZARD_SMOKE_SPREAD_MPS: Smoke spread speed along corridors (default: 0.5)
+ * - HAZARD_PREDICTION_MIN_PROB: Minimum reading that spreads (default: 0.1)
+ */
+
+import { calculateRealWorldDistance } from './distanceCalculator.js';
+import { MinHeap } from './minHeap.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/* ============================================================
+ * PREDICTION CONFIGURATION
+ * ============================================================ */
+
+/** @const {number} HORIZON_SEC - Prediction horizon in seconds */
+const HORIZON_SEC = parseFloat(process.env.HAZARD_PREDICTION_HORIZON_SEC || "180");
+
+/** @const {number} FIRE_SPREAD_MPS - Fire spread speed (m/s) */
+const FIRE_SPREAD_MPS = parseFloat(process.env.HAZARD_FIRE_SPREAD_MPS || "0.1");
+
+/** @const {number} SMOKE_SPREAD_MPS - Smoke spread speed (m/s) */
+const SMOKE_SPREAD_MPS = parseFloat(process.env.HAZARD_SMOKE_SPREAD_MPS || "0.5");
+
+/** @const {number} MIN_SOURCE_PROB - Readings below this do not spread */
+const MIN_SOURCE_PROB = parseFloat(process.env.HAZARD_PREDICTION_MIN_PROB || "0.1");
+
+/** @const {number} MIN_PREDICTED_PROB - Predictions below this are dropped */
+const MIN_PREDICTED_PROB = 0.01;
+
+/* ============================================================
+ * SPREAD SEARCH
+ * ============================================================ */
+
+/**
+ * Max-strength multi-source search for one hazard type.
+ *
+ * @param {Array<Array<Object>>} adjacency - { to, length } per node index
+ * @param {Array<Object>} edgeList - { edge, fromIdx, toIdx, length } per graph edge
+ * @param {string} field - Edge field holding the current reading
+ * @param {number} spreadLength - λ in meters (speed × horizon)
+ * @returns {Map<string, number>} edgeId -> predicted probability (only > MIN_PREDICTED_PROB)
+ */
+const spread = (adjacency, edgeList, field, spreadLength) => {
+  const cost = new Float64Array(adjacency.length).fill(Infinity);
+  const heap = new MinHeap();
+  const predicted = new Map();
+
+  // Seed both ends of every burning/smoky corridor
+  for (const { edge, fromIdx, toIdx } of edgeList) {
+    const p = edge[field] || 0;
+    if (p < MIN_SOURCE_PROB) continue;
+    const c = -Math.log(p);
+    for (const idx of [fromIdx, toIdx]) {
+      if (c < cost[idx]) {
+        cost[idx] = c;
+        heap.push(idx, c);
+      }
+    }
+  }
+
+  if (heap.size === 0) return predicted;
+
+  // Cost beyond which the hazard is weaker than MIN_PREDICTED_PROB
+  const maxCost = -Math.log(MIN_PREDICTED_PROB);
+
+  while (heap.size > 0) {
+    const { value: idx, priority } = heap.pop();
+    if (priority > cost[idx] || priority > maxCost) continue;
+
+    for (const { to, length } of adjacency[idx]) {
+      const next = priority + length / spreadLength;
+      if (next < cost[to]) {
+        cost[to] = next;
+        heap.push(to, next);
+      }
+    }
+  }
+
+  // Edge value: strongest arrival at either end, carried to the midpoint
+  for (const { edge, fromIdx, toIdx, length } of edgeList) {
+    const arrival = Math.min(cost[fromIdx], cost[toIdx]) + (length / 2) / spreadLength;
+    const value = Math.max(edge[field] || 0, Math.exp(-arrival));
+    if (value >= MIN_PREDICTED_PROB) {
+      predicted.set(edge.id, parseFloat(value.toFixed(4)));
+    }
+  }
+
+  return predicted;
+};
+
+/* ============================================================
+ * PUBLIC API
+ * ============================================================ */
+
+/**
+ * Predicts fire and smoke probabilities per edge HORIZON_SEC from now.
+ *
+ * @function predictHazardSpread
+ * @param {Object} graph - Graph data structure (nodes, edges, scale), e.g. from buildFloorGraph
+ * @param {Object} [options] - Overrides for the environment defaults
+ * @param {number} [options.horizonSec] - Prediction horizon in seconds
+ * @param {number} [options.fireSpreadMps] - Fire spread speed (m/s)
+ * @param {number} [options.smokeSpreadMps] - Smoke spread speed (m/s)
+ *
+ * @returns {Map<string, Object>} edgeId -> { fire, smoke } for every edge
+ *
+ * @example
+ * const predictions = predictHazardSpread(buildFloorGraph(floor));
+ * predictions.get('E3'); // { fire: 0.42, smoke: 0.61 }
+ */
+export const predictHazardSpread = (graph, options = {}) => {
+  const horizonSec = options.horizonSec ?? HORIZON_SEC;
+  const fireSpreadMps = options.fireSpreadMps ?? FIRE_SPREAD_MPS;
+  const smokeSpreadMps = options.smokeSpreadMps ?? SMOKE_SPREAD_MPS;
+
+  const nodeIndex = new Map();
+  graph.nodes.forEach(n => {
+    if (!nodeIndex.has(n.id)) nodeIndex.set(n.id, nodeIndex.size);
+  });
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+
+  const adjacency = Array.from({ length: nodeIndex.size }, () => []);
+  const edgeList = [];
+
+  graph.edges.forEach(edge => {
+    const fromIdx = nodeIndex.get(edge.from);
+    const toIdx = nodeIndex.get(edge.to);
+    if (fromIdx === undefined || toIdx === undefined) return;
+
+    const length = typeof edge.lengthMeters === 'number'
+      ? edge.lengthMeters
+      : calculateRealWorldDistance(nodeById.get(edge.from), nodeById.get(edge.to), edge.scale || graph.scale);
+
+    // Hazards spread both ways regardless of walking direction
+    adjacency[fromIdx].push({ to: toIdx, length });
+    adjacency[toIdx].push({ to: fromIdx, length });
+    edgeList.push({ edge, fromIdx, toIdx, length });
+  });
+
+  const fire = spread(adjacency, edgeList, 'currentFireProb', Math.max(fireSpreadMps * horizonSec, 1e-6));
+  const smoke = spread(adjacency, edgeList, 'currentSmokeProb', Math.max(smokeSpreadMps * horizonSec, 1e-6));
+
+  return new Map(edgeList.map(({ edge }) => [
+    edge.id,
+    { fire: fire.get(edge.id) || 0, smoke: smoke.get(edge.id) || 0 }
+  ]));
+};
+
+/**
+ * Stores predictions on FloorMap edges (predictedFireProb / predictedSmokeProb).
+ *
+ * @function applyHazardPredictions
+ * @param {Array<Object>} edges - FloorMap edges (modified in place)
+ * @param {Map<string, Object>} predictions - Result of predictHazardSpread
+ *
+ * @returns {Object} { atRisk: edgeIds predicted to cross a fire/smoke threshold
+ *          that are below it now }
+ */
+export const applyHazardPredictions = (edges, predictions) => {
+  const atRisk = [];
+
+  for (const edge of edges) {
+    const predicted = predictions.get(edge.id) || { fire: 0, smoke: 0 };
+    edge.predictedFireProb = predicted.fire;
+    edge.predictedSmokeProb = predicted.smoke;
+
+    const fireThreshold = edge.fireThreshold || 0.7;
+    const smokeThreshold = edge.smokeThreshold || 0.6;
+    const safeNow = (edge.currentFireProb || 0) <= fireThreshold && (edge.currentSmokeProb || 0) <= smokeThreshold;
+    const dangerSoon = predicted.fire > fireThreshold || predicted.smoke > smokeThreshold;
+
+    if (safeNow && dangerSoon) atRisk.push(edge.id);
+  }
+
+  return { atRisk };
+};
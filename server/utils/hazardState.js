@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Temporal Hazard State - Smoothing, Hold/Decay and Trends
+ * @description Carries each edge's hazard readings across capture cycles
+ *              instead of resetting them every cycle, so a single noisy
+ *              frame cannot flip a route and a camera that misses a cycle
+ *              does not make its corridor look perfectly safe.
+ *
+ * @module utils/hazardState
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports HAZARD_SMOOTHING_DEFAULTS - Defaults for Settings.hazardSmoothing
+ * @exports resolveHazardSmoothing - Settings document -> smoothing config
+ * @exports detectTrend - Trend of a sample series
+ * @exports applyHazardObservations - Updates all edges of a floor for one cycle
+ * @exports clearHazardState - Forgets all readings of a floor's edges
+ *
+ * @description
+ * Per edge, once per capture cycle:
+ * ┌─────────────────────────────────────────────────────────────┐
+ * │ Observed  → current = α·reading + (1-α)·current (EMA)       │
+ * │             fastAttack: fire/smoke over threshold → raw     │
+ * │ Missed    → current held for `holdCycles` cycles            │
+ * │             then × (1 - decayRate) every further cycle      │
+ * │ Never seen→ untouched (no camera has covered this edge)     │
+ * └─────────────────────────────────────────────────────────────┘
+ *
+ * Fast attack, slow decay (`fastAttack`, off by default): a fire/smoke
+ * reading above the edge's threshold is taken as is instead of being
+ * averaged in. Urgent re-routes (urgentReroute.js) are computed from that
+ * raw reading, so the end-of-cycle update then agrees with them instead of
+ * routing back through a corridor whose average is still below the
+ * threshold. The price is that a single noisy frame over the threshold
+ * moves the route again, which is why it is opt-in. Falling readings are
+ * always averaged.
+ *
+ * Trend detection: the last `trendCycles` smoothed fire/smoke samples are
+ * kept on the edge. A series that increases at every step and by at least
+ * `trendMinRise` overall is 'rising'; dijkstra.js escalates the hazard
+ * level of routes crossing a rising edge (safe → moderate, moderate → high)
+ * before any threshold is crossed.
+ *
+ * With smoothing disabled the previous behaviour applies: observed edges
+ * take the raw reading, every other edge is reset to 0.
+ */
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/**
+ * @const {Object} HAZARD_SMOOTHING_DEFAULTS
+ * @property {boolean} enabled - Carry state across cycles
+ * @property {number} alpha - EMA weight of the newest reading (1 = no smoothing)
+ * @property {number} holdCycles - Missed cycles the last value is held for
+ * @property {number} decayRate - Fraction removed per missed cycle after the hold
+ * @property {number} trendCycles - Samples a trend is judged over
+ * @property {number} trendMinRise - Minimum fire/smoke increase across the window
+ * @property {boolean} fastAttack - Take fire/smoke readings over the threshold unsmoothed
+ */
+export const HAZARD_SMOOTHING_DEFAULTS = Object.freeze({
+  enabled: true,
+  alpha: 0.5,
+  holdCycles: 2,
+  decayRate: 0.5,
+  trendCycles: 3,
+  trendMinRise: 0.1,
+  fastAttack: false
+});
+
+/** @const {number} DECAY_FLOOR - Decayed values below this are cleared to 0 */
+const DECAY_FLOOR = 0.01;
+
+/** @const {string[]} TRACKED - Hazards with trend detection (people excluded, as in hazard levels) */
+const TRACKED = ['fire', 'smoke'];
+
+/** @const {Object} DEFAULT_THRESHOLDS - FloorMap edge threshold defaults */
+const DEFAULT_THRESHOLDS = { fire: 0.7, smoke: 0.6 };
+
+/**
+ * Merges Settings.hazardSmoothing over the defaults.
+ *
+ * @function resolveHazardSmoothing
+ * @param {Object} [settings] - Settings document (or plain object)
+ * @returns {Object} Complete smoothing configuration
+ */
+export const resolveHazardSmoothing = (settings) => {
+  const stored = settings?.hazardSmoothing || {};
+  const config = { ...HAZARD_SMOOTHING_DEFAULTS };
+
+  Object.keys(config).forEach(key => {
+    if (stored[key] !== undefined && stored[key] !== null) config[key] = stored[key];
+  });
+
+  return config;
+};
+
+/* ============================================================
+ * TREND DETECTION
+ * ============================================================ */
+
+/**
+ * Classifies a series of samples (oldest first).
+ *
+ * @function detectTrend
+ * @param {Array<number>} samples - Smoothed readings, newest last
+ * @param {number} minRise - Minimum total change to count as a trend
+ * @returns {string} 'rising', 'falling' or 'steady'
+ *
+ * @example
+ * detectTrend([0.1, 0.2, 0.35], 0.1); // 'rising'
+ * detectTrend([0.1, 0.3, 0.25], 0.1); // 'steady' (not monotonic)
+ */
+export const detectTrend = (samples, minRise) => {
+  if (samples.length < 2) return 'steady';
+
+  let increasing = true;
+  let decreasing = true;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i] <= samples[i - 1]) increasing = false;
+    if (samples[i] >= samples[i - 1]) decreasing = false;
+  }
+
+  const change = samples[samples.length - 1] - samples[0];
+  if (increasing && change >= minRise) return 'rising';
+  if (decreasing && -change >= minRise) return 'falling';
+  return 'steady';
+};
+
+/* ============================================================
+ * PER-EDGE UPDATE
+ * ============================================================ */
+
+/**
+ * Rounds a state value so stored readings stay readable.
+ * @param {number} value - Raw value
+ * @returns {number} Value rounded to 4 decimals
+ */
+const round = (value) => parseFloat(value.toFixed(4));
+
+/**
+ * Applies one observed reading to an edge.
+ *
+ * @param {Object} edge - FloorMap edge subdocument
+ * @param {Object} reading - { peopleCount, fireProb, smokeProb }
+ * @param {Object} config - Resolved smoothing configuration
+ * @param {Date} now - Cycle timestamp
+ */
+const observeEdge = (edge, reading, config, now) => {
+  // First reading for this edge seeds the average directly
+  const alpha = edge.lastObservedAt ? config.alpha : 1;
+  const blend = (previous, value) => round(alpha * (value ?? 0) + (1 - alpha) * (previous || 0));
+
+  // Fast attack: a reading over the threshold is not averaged down below it
+  const attack = (previous, value, threshold) => {
+    const blended = blend(previous, value);
+    return config.fastAttack && (value ?? 0) > threshold ? Math.max(blended, value) : blended;
+  };
+
+  edge.currentPeopleCount = blend(edge.currentPeopleCount, reading.peopleCount);
+  edge.currentFireProb = attack(edge.currentFireProb, reading.fireProb, edge.fireThreshold ?? DEFAULT_THRESHOLDS.fire);
+  edge.currentSmokeProb = attack(edge.currentSmokeProb, reading.smokeProb, edge.smokeThreshold ?? DEFAULT_THRESHOLDS.smoke);
+  edge.lastObservedAt = now;
+  edge.missedCycles = 0;
+
+  const history = [
+    ...(edge.hazardHistory || []).map(h => ({ fire: h.fire, smoke: h.smoke })),
+    { fire: edge.currentFireProb, smoke: edge.currentSmokeProb }
+  ].slice(-config.trendCycles);
+  edge.hazardHistory = history;
+
+  // A trend needs a full window, so one spike after a quiet cycle is not one
+  edge.hazardTrend = Object.fromEntries(TRACKED.map(key => [
+    key,
+    history.length < config.trendCycles ? 'steady' : detectTrend(history.map(h => h[key]), config.trendMinRise)
+  ]));
+};
+
+/**
+ * Applies a missed cycle to an edge that has been observed before.
+ *
+ * @param {Object} edge - FloorMap edge subdocument
+ * @param {Object} config - Resolved smoothing configuration
+ * @returns {string} 'held' or 'decayed'
+ */
+const missEdge = (edge, config) => {
+  edge.missedCycles = (edge.missedCycles || 0) + 1;
+  if (edge.missedCycles <= config.holdCycles) return 'held';
+
+  const decay = (value) => {
+    const next = (value || 0) * (1 - config.decayRate);
+    return next < DECAY_FLOOR ? 0 : round(next);
+  };
+
+  edge.currentPeopleCount = decay(edge.currentPeopleCount);
+  edge.currentFireProb = decay(edge.currentFireProb);
+  edge.currentSmokeProb = decay(edge.currentSmokeProb);
+
+  // A decaying value says nothing about the corridor any more
+  edge.hazardHistory = [];
+  edge.hazardTrend = { fire: 'steady', smoke: 'steady' };
+  return 'decayed';
+};
+
+/**
+ * Restores the per-cycle reset used when smoothing is disabled.
+ *
+ * @param {Object} edge - FloorMap edge subdocument
+ * @param {Object} [reading] - This cycle's reading, if any
+ * @param {Date} now - Cycle timestamp
+ */
+const resetEdge = (edge, reading, now) => {
+  edge.currentPeopleCount = reading?.peopleCount ?? 0;
+  edge.currentFireProb = reading?.fireProb ?? 0;
+  edge.currentSmokeProb = reading?.smokeProb ?? 0;
+  edge.hazardHistory = [];
+  edge.hazardTrend = { fire: 'steady', smoke: 'steady' };
+  edge.missedCycles = 0;
+  if (reading) edge.lastObservedAt = now;
+};
+
+/* ============================================================
+ * FLOOR UPDATE
+ * ============================================================ */
+
+/**
+ * Updates every edge of a floor with this cycle's camera readings.
+ *
+ * @function applyHazardObservations
+ * @param {Array<Object>} edges - FloorMap edges (modified in place)
+ * @param {Map<string, Object>} observations - edgeId -> { peopleCount, fireProb, smokeProb }
+ *        for every edge a camera reported on successfully this cycle
+ * @param {Object} config - Result of resolveHazardSmoothing
+ * @param {Date} [now=new Date()] - Cycle timestamp
+ *
+ * @returns {Object} { observed, held, decayed, rising: edgeIds with a rising trend }
+ *
+ * @example
+ * const observations = new Map([['E1', { peopleCount: 3, fireProb: 0.1, smokeProb: 0.4 }]]);
+ * applyHazardObservations(floor.edges, observations, resolveHazardSmoothing(settings));
+ */
+export const applyHazardObservations = (edges, observations, config, now = new Date()) => {
+  const summary = { observed: 0, held: 0, decayed: 0, rising: [] };
+
+  for (const edge of edges) {
+    const reading = observations.get(edge.id);
+
+    if (!config.enabled) {
+      resetEdge(edge, reading, now);
+      if (reading) summary.observed++;
+      continue;
+    }
+
+    if (reading) {
+      observeEdge(edge, reading, config, now);
+      summary.observed++;
+    } else if (edge.lastObservedAt) {
+      summary[missEdge(edge, config)]++;
+    }
+
+    if (TRACKED.some(key => edge.hazardTrend?.[key] === 'rising')) {
+      summary.rising.push(edge.id);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Forgets everything a floor's edges have been observed with, as if no
+ * camera had ever reported. Used when drill mode switches on or off so
+ * scripted and real readings are never blended.
+ *
+ * @function clearHazardState
+ * @param {Array<Object>} edges - FloorMap edges (modified in place)
+ * @returns {void}
+ */
+export const clearHazardState = (edges) => {
+  for (const edge of edges) {
+    resetEdge(edge, null, null);
+    edge.predictedFireProb = 0;
+    edge.predictedSmokeProb = 0;
+    edge.lastObservedAt = null;
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Binary Min-Heap Priority Queue
+ * @description Array-backed binary heap used by Dijkstra. Push and pop are
+ *              O(log n), replacing the previous sort-on-every-pop array queue.
+ *
+ * @module utils/minHeap
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports MinHeap - Priority queue keyed by a numeric priority
+ *
+ * @example
+ * const heap = new MinHeap();
+ * heap.push('N2', 4.5);
+ * heap.push('N1', 1.2);
+ * heap.pop(); // { value: 'N1', priority: 1.2 }
+ */
+
+/* ============================================================
+ * MIN-HEAP CLASS
+ * ============================================================ */
+
+export class MinHeap {
+  constructor() {
+    /** @type {Array<*>} Stored values, heap-ordered by priority */
+    this.values = [];
+    /** @type {Array<number>} Priorities, parallel to values */
+    this.priorities = [];
+  }
+
+  /**
+   * Number of entries in the heap
+   * @returns {number}
+   */
+  get size() {
+    return this.values.length;
+  }
+
+  /**
+   * Inserts a value with the given priority.
+   * Duplicate values are allowed (lazy deletion in Dijkstra).
+   *
+   * @param {*} value - Value to store
+   * @param {number} priority - Lower values are popped first
+   */
+  push(value, priority) {
+    this.values.push(value);
+    this.priorities.push(priority);
+    this.siftUp(this.values.length - 1);
+  }
+
+  /**
+   * Removes and returns the entry with the lowest priority.
+   * @returns {{value: *, priority: number}|undefined} Entry or undefined if empty
+   */
+  pop() {
+    if (this.values.length === 0) return undefined;
+
+    const top = { value: this.values[0], priority: this.priorities[0] };
+    const lastValue = this.values.pop();
+    const lastPriority = this.priorities.pop();
+
+    if (this.values.length > 0) {
+      this.values[0] = lastValue;
+      this.priorities[0] = lastPriority;
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  /**
+   * Moves an entry up until its parent has a lower or equal priority.
+   * @param {number} index - Index of the entry to move
+   */
+  siftUp(index) {
+    const { values, priorities } = this;
+    const value = values[index];
+    const priority = priorities[index];
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      values[index] = values[parent];
+      priorities[index] = priorities[parent];
+      index = parent;
+    }
+
+    values[index] = value;
+    priorities[index] = priority;
+  }
+
+  /**
+   * Moves an entry down until both children have a higher or equal priority.
+   * @param {number} index - Index of the entry to move
+   */
+  siftDown(index) {
+    const { values, priorities } = this;
+    const length = values.length;
+    const value = values[index];
+    const priority = priorities[index];
+
+    while (true) {
+      const left = 2 * index + 1;
+      if (left >= length) break;
+
+      const right = left + 1;
+      const child = right < length && priorities[right] < priorities[left] ? right : left;
+      if (priorities[child] >= priority) break;
+
+      values[index] = values[child];
+      priorities[index] = priorities[child];
+      index = child;
+    }
+
+    values[index] = value;
+    priorities[index] = priority;
+  }
+}
+
+export default MinHeap;
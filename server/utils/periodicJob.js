@@ -6,13 +6,28 @@
  * @requires ../models/ImageRecord.js - Camera frame storage model
  * @requires ../models/FloorMap.js - Floor configuration model
  * @requires ../models/Route.js - Computed route storage model
+ * @requires ../models/Building.js - Multi-floor building model
  * @requires ./rtspCapture.js - RTSP frame capture
  * @requires ./storage/saveLocalImage.js - Local storage utility
  * @requires ./storage/uploadCloudImage.js - Cloud storage utility
  * @requires ./ai/sendToLocalAI.js - Local AI inference
  * @requires ./ai/sendToCloudAI.js - Cloud AI inference
  * @requires ./dijkstra.js - Pathfinding algorithm
+ * @requires ./flowPlanner.js - Capacity-aware route planning
+ * @requires ./buildingGraph.js - Floor/building graph construction
+ * @requires ./hazardState.js - Hazard smoothing, hold/decay and trends
+ * @requires ./hazardPropagation.js - Fire/smoke spread prediction
  * @requires ./usrpSender.js - USRP SDR transmission
+ * @requires ./workerPool.js - Bounded stage concurrency and timeouts
+ * @requires ./urgentReroute.js - Mid-cycle threshold crossing detection
+ * @requires ./edgeOverrides.js - Manual edge closures and forced hazard levels
+ * @requires ./exitStatus.js - Exit capacity and open/congested/blocked status
+ * @requires ./drillMode.js - Scripted hazard timelines for evacuation drills
+ * @requires ./accessibility.js - Step-free routing profile
+ * @requires ./edgeDirection.js - One-way edges and evacuation directions
+ * @requires ./egressTime.js - Estimated evacuation time per route and floor
+ * @requires ./routeMemory.js - Last route per screen (route hysteresis)
+ * @requires ./routingWeights.js - Weight profiles and per-floor weight overrides
  * @requires ../sockets/routeSocket.js - Socket.IO broadcasting
  * 
  * @module utils/periodicJob
@@ -21,6 +36,8 @@
  * 
  * @exports initScheduler - Starts the periodic capture cycle
  * @exports stopScheduler - Stops the periodic capture cycle
+ * @exports rerouteNow - Routes a floor (or its building) outside the cycle
+ * @exports captureCycle - Runs one capture cycle (scheduler and e2e tests)
  * 
  * @description
  * Status-Aware Processing:
@@ -33,6 +50,84 @@
  * - Auto-disables cameras after threshold failures
  * - Requires manual admin re-enable after fixing
  * 
+ * Multi-Floor Buildings:
+ * - Floors listed in a Building are routed over the combined building graph
+ * - Stairwells/elevators are inter-floor edges; elevators excluded during fire
+ * - Routes carry per-floor segments and connector instructions
+ * 
+ * Temporal Hazard State:
+ * - Edge readings are smoothed across cycles instead of reset to 0
+ * - Edges whose camera misses a cycle hold their last value, then decay
+ * - Rising fire/smoke trends escalate route hazard levels early
+ * - Fire/smoke spread is predicted a few minutes ahead and corridors
+ *   about to be reached are penalised before their own camera sees it
+ * 
+ * Parallel Processing:
+ * - All floors and cameras run concurrently; RTSP capture, cloud upload and
+ *   AI analysis each share a bounded pool across the whole cycle
+ * - Every camera stage is limited to CAMERA_TIMEOUT_MS; a stuck stream or
+ *   request fails that camera only, and its FFmpeg process or request is ended
+ * - A floor is routed and broadcast as soon as its own cameras finish
+ *   (building floors also wait for their sibling floors' edge updates)
+ * - The cycle summary compares summed camera time with wall time
+ *
+ * Urgent Re-routing:
+ * - A camera reading (local AI first, then fused) that pushes a safe edge
+ *   over its fire/smoke threshold re-routes that floor immediately
+ * - Sent as a 'floor-routes' update with updateType 'urgent' and the
+ *   triggering camera/edges; the end-of-cycle update follows as usual
+ *
+ * Manual Overrides:
+ * - Edge overrides (closed, forced hazard level, exit unavailable) are read
+ *   from the database right before every route computation
+ * - Setting or clearing one re-routes the floor (whole building for building
+ *   floors) at once via rerouteNow, with updateType 'override'
+ * - Expired overrides are cleared and logged at the start of each cycle
+ *
+ * Exit Status:
+ * - Every exit is re-evaluated before routing from its incoming corridors
+ *   (cameras and overrides): open, congested or blocked; changes are saved
+ * - Blocked exits are not destinations, congested ones are penalised
+ * - Screens cut off from every exit are sent to the nearest refuge area
+ *   (shelterInPlace routes), which always counts as an emergency
+ *
+ * One-Way Edges:
+ * - Edges walkable in one direction only yield one arc (both searches and
+ *   backup routes respect it)
+ * - While a floor's edges report fire/smoke over threshold (or a critical
+ *   override), its edges switch to their evacuationDirection, if set
+ *
+ * Step-Free Routes:
+ * - Screens flagged stepFree, and screens at accessible refuge nodes, also
+ *   get a route without stairs (route.stepFree), computed per screen over
+ *   the same graph with the 'step-free' profile
+ * - A step-free route that shelters does not make the floor an emergency:
+ *   waiting at a refuge for an evac chair is the planned procedure
+ *
+ * Egress Time:
+ * - Every route (and step-free route) gets an estimated walking time from
+ *   per-type walking speeds slowed by the crowd density on each corridor;
+ *   the slowest screen's time is the floor's estimate (Route.egress)
+ *
+ * Routing Weights:
+ * - Dijkstra's penalties and factors come from the active weight profile
+ *   (Settings.routingWeights) or the floor's own profile/overrides, read
+ *   with the settings and floors at the start of every cycle - changes
+ *   apply on the next cycle without a restart (Route.routingWeights)
+ *
+ * Route Stability:
+ * - In per-screen mode each screen keeps its last route while a new best
+ *   route is only marginally cheaper (route.stability), so screens do not
+ *   flip-flop between near-equal exits; unsafe or unusable routes still
+ *   switch at once. Capacity-aware plans are not held
+ *
+ * Drill Mode:
+ * - While a drill runs (Settings.drill), cameras skip capture and AI and
+ *   read their edges from the drill's scripted hazard timeline
+ * - Routes and image records are tagged with the DrillRun, and every
+ *   'floor-routes' update carries a drill field so screens show a banner
+ * - Edge hazard state and remembered routes are cleared when a drill starts or ends
+ *
  * USRP Fallback:
  * - Detects when no socket connections exist for a floor
  * - Transmits routes via SDR/USRP for offline screens
@@ -41,16 +136,22 @@
  * - CAPTURE_INTERVAL_SEC: Interval between capture cycles (default: 30)
  * - CAMERA_FAILURE_THRESHOLD: Failures before auto-disable (default: 3)
  * - CAMERA_FAILURE_RESET_HOURS: Hours to reset failure count (default: 24)
+ * - CAPTURE_CONCURRENCY: Simultaneous RTSP captures (default: 8)
+ * - UPLOAD_CONCURRENCY: Simultaneous cloud uploads (default: 4)
+ * - AI_CONCURRENCY: Cameras in AI analysis at once (default: 8)
+ * - CAMERA_TIMEOUT_MS: Time limit per camera stage (default: 30000)
+ * - URGENT_REROUTE_ENABLED: Mid-cycle urgent re-routing (default: true)
  * - RTSP_TEMPLATE: Template URL for camera RTSP streams
  * 
- * Pipeline Stages (per floor):
+ * Pipeline Stages (per floor, cameras in parallel):
  * ┌─────────────────────────────────────────────────────────────┐
  * │ 1. RTSP Capture     → Capture frames from active cameras   │
  * │ 2. Local Storage    → Save frames to disk                  │
  * │ 3. Cloud Upload     → Upload to Cloudinary                 │
- * │ 4. AI Analysis      → Local + Cloud AI (parallel)          │
- * │ 5. Edge Update      → Update graph edge hazard data        │
+ * │ 4. AI Analysis      → Local + Cloud AI (parallel), fused   │
+ * │ 5. Edge Update      → Combine cameras, smooth/hold/decay   │
  * │ 6. Dijkstra         → Compute routes for active screens    │
+ * │                       (per-screen or capacity-aware mode)  │
  * │ 7. Broadcast        → Socket.IO + USRP fallback            │
  * └─────────────────────────────────────────────────────────────┘
  */
@@ -59,13 +160,30 @@ import ImageRecord from "../models/ImageRecord.js";
 import FloorMap from "../models/FloorMap.js";
 import RouteModel from "../models/Route.js";
 import Settings from "../models/Settings.js";
+import Building from "../models/Building.js";
 import { captureFrameFromRtsp } from "./rtspCapture.js";
 import { saveToLocalStorage } from "./storage/saveLocalImage.js";
 import { uploadRecordToCloud } from "./storage/uploadCloudImage.js";
 import { callLocalAI } from "./ai/sendToLocalAI.js";
 import { callCloudAI } from "./ai/sendToCloudAI.js";
+import { resolveAIFusion, fuseResults, toSourceResult } from "./ai/fuseResults.js";
 import { computeShortestPaths } from "./dijkstra.js";
+import { getStepFreeStartPoints, attachStepFreeRoutes } from "./accessibility.js";
+import { applyEvacuationDirections } from "./edgeDirection.js";
+import { addEgressEstimates, summarizeFloorEgress } from "./egressTime.js";
+import { getPreviousRoutes, rememberRoutes, forgetRoutes } from "./routeMemory.js";
+import { resolveRoutingWeights, resolveFloorRoutingWeights } from "./routingWeights.js";
+import { planEvacuationFlow } from "./flowPlanner.js";
+import { buildFloorGraph, buildBuildingGraph, annotateCrossFloorRoutes } from "./buildingGraph.js";
+import { resolveHazardSmoothing, applyHazardObservations, clearHazardState } from "./hazardState.js";
+import { getCameraCoverage, aggregateReadings } from "./cameraCoverage.js";
+import { predictHazardSpread, applyHazardPredictions } from "./hazardPropagation.js";
 import { sendViaUSRP } from "./usrpSender.js";
+import { createLimiter, withTimeout } from "./workerPool.js";
+import { URGENT_REROUTE_ENABLED, findThresholdCrossings, applySpikes } from "./urgentReroute.js";
+import { loadActiveOverrides, applyOverrides, expireOverrides } from "./edgeOverrides.js";
+import { evaluateExits, saveExitStatus } from "./exitStatus.js";
+import { resolveDrill, drillReadings } from "./drillMode.js";
 import { ioEmit, ioEmitToFloor, getActiveSocketCount, getActiveFloorIds } from "../sockets/routeSocket.js";
 
 /* ============================================================
@@ -79,6 +197,23 @@ const CAMERA_FAILURE_THRESHOLD = parseInt(process.env.CAMERA_FAILURE_THRESHOLD |
 /** @const {number} CAMERA_FAILURE_RESET_HOURS - Hours until failure count resets */
 const CAMERA_FAILURE_RESET_HOURS = parseInt(process.env.CAMERA_FAILURE_RESET_HOURS || "24", 10);
 
+/* ============================================================
+ * CONCURRENCY CONFIGURATION
+ * Per-stage pool sizes shared by all floors of a cycle
+ * ============================================================ */
+
+/** @const {number} CAPTURE_CONCURRENCY - RTSP captures in flight */
+const CAPTURE_CONCURRENCY = parseInt(process.env.CAPTURE_CONCURRENCY || "8", 10);
+
+/** @const {number} UPLOAD_CONCURRENCY - Cloud uploads in flight */
+const UPLOAD_CONCURRENCY = parseInt(process.env.UPLOAD_CONCURRENCY || "4", 10);
+
+/** @const {number} AI_CONCURRENCY - Cameras in AI analysis (local + cloud) at once */
+const AI_CONCURRENCY = parseInt(process.env.AI_CONCURRENCY || "8", 10);
+
+/** @const {number} CAMERA_TIMEOUT_MS - Time limit per camera stage once it starts */
+const CAMERA_TIMEOUT_MS = parseInt(process.env.CAMERA_TIMEOUT_MS || "30000", 10);
+
 /* ============================================================
  * CYCLE STATE MANAGEMENT
  * Prevents overlapping cycles and tracks modifications
@@ -90,6 +225,9 @@ let cycleInProgress = false;
 /** @type {boolean} camerasModified - Track if camera data needs saving */
 let camerasModified = false;
 
+/** @type {string|null} lastDrillRunId - Drill of the previous cycle (null = real data) */
+let lastDrillRunId = null;
+
 /* ============================================================
  * CAMERA FAILURE HANDLING
  * Auto-disable cameras after repeated failures
@@ -178,25 +316,28 @@ const handleCameraSuccess = (floor, camera) => {
  * 
  * @function getCamerasToProcess
  * @param {Object} floor - FloorMap document
- * @returns {Array<Object>} Array of camera objects with cameraId, edgeId, camera
+ * @returns {Array<Object>} Array of camera objects with cameraId, edgeId, coverage, camera
  * 
  * @description
  * Supports two floor formats:
  * - New format: floor.cameras array with status field
  * - Legacy format: floor.cameraToEdge Map (all considered active)
+ *
+ * `coverage` lists every edge the camera watches ({ edgeId, weight });
+ * legacy cameras cover their single edge with weight 1.
  */
 const getCamerasToProcess = (floor) => {
   // New cameras array with status
   if (floor.cameras && floor.cameras.length > 0) {
     return floor.cameras
       .filter(c => c.status === 'active')
-      .map(c => ({ cameraId: c.id, edgeId: c.edgeId, camera: c }));
+      .map(c => ({ cameraId: c.id, edgeId: c.edgeId, coverage: getCameraCoverage(c), camera: c }));
   }
   
   // Legacy fallback: cameraToEdge map (all considered active)
   if (floor.cameraToEdge) {
     return Object.entries(Object.fromEntries(floor.cameraToEdge))
-      .map(([cameraId, edgeId]) => ({ cameraId, edgeId, camera: null }));
+      .map(([cameraId, edgeId]) => ({ cameraId, edgeId, coverage: getCameraCoverage({ edgeId }), camera: null }));
   }
   
   return [];
@@ -226,6 +367,788 @@ const getActiveStartPoints = (floor) => {
   return floor.startPoints || [];
 };
 
+/* ============================================================
+ * CAMERA PIPELINE
+ * Capture → Local Storage → Upload → Record → AI for one camera
+ * ============================================================ */
+
+/**
+ * Runs the per-camera stages for one camera. Each stage waits for a slot in
+ * its pool and is bounded by CAMERA_TIMEOUT_MS once it starts.
+ *
+ * @async
+ * @function processCamera
+ * @param {Object} floor - FloorMap document
+ * @param {Object} target - Entry from getCamerasToProcess
+ * @param {Object} ctx - Cycle context (settings, pools)
+ *
+ * @returns {Promise<Object|null>} { cameraId, coverage, aiResult, timing },
+ *          or null when the camera has no RTSP URL; aiResult is null when
+ *          neither AI answered
+ * @throws {Error} Capture/upload/storage failures (counted towards auto-disable)
+ *
+ * @description
+ * An AI call that times out counts as that source not answering; the other
+ * source is fused as usual. The local result and the fused result are both
+ * passed to reportReading for urgent re-routing. When neither source
+ * answers there is no reading at all: the covered edges hold their last
+ * value, then decay (hazardState.js), instead of reading as safe. An AI
+ * outage is not the camera's fault, so it does not count towards
+ * auto-disable either.
+ */
+const processCamera = async (floor, target, ctx) => {
+  const { cameraId, edgeId, coverage, camera } = target;
+  const { pools, cloudProcessingEnabled, aiFusion } = ctx;
+  const cameraStartTime = performance.now();
+  const timing = { cameraId, phases: {} };
+
+  // Get RTSP URL (camera-specific or from template)
+  const rtspUrl = camera?.rtspUrl || process.env.RTSP_TEMPLATE?.replace("{cameraId}", cameraId);
+  if (!rtspUrl) {
+    console.warn(`No RTSP URL configured for camera ${cameraId}`);
+    return null;
+  }
+
+  // STAGE 1: Capture frame from RTSP stream
+  const { localPath } = await pools.capture.run(async () => {
+    const rtspStart = performance.now();
+    const frame = await withTimeout(
+      (signal) => captureFrameFromRtsp(rtspUrl, floor.id, cameraId, { signal }),
+      CAMERA_TIMEOUT_MS,
+      `RTSP capture of ${cameraId}`
+    );
+    timing.phases.rtsp = performance.now() - rtspStart;
+    return frame;
+  });
+
+  // Reset failure count on success
+  if (camera) {
+    handleCameraSuccess(floor, camera);
+  }
+
+  // STAGE 2: Save to structured local storage
+  const { relativePath, absolutePath } = saveToLocalStorage(localPath, floor.id, cameraId);
+
+  // STAGE 3: Upload to cloud storage (if cloud processing enabled)
+  let cloudUrl = null;
+  timing.phases.cloudUpload = 0;
+  if (cloudProcessingEnabled) {
+    cloudUrl = await pools.upload.run(async () => {
+      const cloudStart = performance.now();
+      const url = await withTimeout(
+        uploadRecordToCloud(absolutePath, floor.id, cameraId, { timeoutMs: CAMERA_TIMEOUT_MS }),
+        CAMERA_TIMEOUT_MS,
+        `Cloud upload of ${cameraId}`
+      );
+      timing.phases.cloudUpload = performance.now() - cloudStart;
+      return url;
+    });
+  }
+
+  // STAGE 4: Create image record in database
+  const dbStart = performance.now();
+  const rec = await ImageRecord.create({
+    cameraId,
+    edgeId,
+    edgeIds: coverage.map(c => c.edgeId),
+    floorId: floor.id,
+    localPath: relativePath,
+    cloudUrl // Will be null if cloud processing is disabled
+  });
+  timing.phases.dbWrite = performance.now() - dbStart;
+
+  // STAGE 5: Run AI analysis (local + cloud in parallel if enabled)
+  const [localRes, cloudRes] = await pools.ai.run(async () => {
+    const aiStartTime = performance.now();
+    const results = await Promise.allSettled([
+      // The (faster) local result is checked for threshold crossings right away
+      withTimeout((signal) => callLocalAI({ localPath: absolutePath, cameraId, edgeId, signal }), CAMERA_TIMEOUT_MS, `Local AI for ${cameraId}`)
+        .then(data => {
+          reportReading(floor, target, toSourceResult(data), 'local', ctx);
+          return data;
+        }),
+      (cloudProcessingEnabled && cloudUrl)
+        ? withTimeout((signal) => callCloudAI({ cloudUrl, cameraId, edgeId, signal }), CAMERA_TIMEOUT_MS, `Cloud AI for ${cameraId}`)
+        : Promise.resolve(null)
+    ]);
+    timing.phases.ai = performance.now() - aiStartTime;
+    return results;
+  });
+
+  for (const res of [localRes, cloudRes]) {
+    if (res.status === 'rejected' && res.reason?.code === 'ETIMEDOUT') {
+      console.warn(`⏳ ${res.reason.message}`);
+    }
+  }
+
+  // Extract results
+  const localData = localRes.status === 'fulfilled' ? localRes.value : null;
+  const cloudData = cloudRes.status === 'fulfilled' ? cloudRes.value : null;
+
+  // Fuse AI results with the configured strategy
+  const { aiResult, aiSources, fusion } = fuseResults(localData, cloudData, aiFusion);
+  if (fusion.sources.length === 0) {
+    console.warn(`🤖 Camera ${cameraId}: no AI result - ${coverage.map(c => c.edgeId).join(', ')} keep their last reading`);
+    rec.aiSources = aiSources;
+    rec.fusion = fusion;
+    await rec.save();
+
+    timing.totalMs = parseFloat((performance.now() - cameraStartTime).toFixed(2));
+    return { cameraId, coverage, aiResult: null, timing };
+  }
+  if (fusion.disagreement) {
+    console.warn(`⚖️ Camera ${cameraId}: local/cloud AI disagree (Δ${fusion.maxDelta}), fused with ${fusion.strategy}`);
+  }
+  reportReading(floor, target, aiResult, 'fused', ctx);
+
+  // STAGE 6: Update image record with AI results and their sources
+  rec.aiResult = aiResult;
+  rec.aiSources = aiSources;
+  rec.fusion = fusion;
+  rec.processed = true;
+  await rec.save();
+
+  timing.totalMs = parseFloat((performance.now() - cameraStartTime).toFixed(2));
+  return { cameraId, coverage, aiResult, timing };
+};
+
+/**
+ * Drill-mode counterpart of processCamera: no frame is captured and no AI
+ * is called; every covered edge reads the drill's scripted values.
+ *
+ * @async
+ * @function processDrillCamera
+ * @param {Object} floor - FloorMap document
+ * @param {Object} target - Entry from getCamerasToProcess
+ * @param {Object} ctx - Cycle context (drill from resolveDrill)
+ *
+ * @returns {Promise<Object>} { cameraId, coverage, aiResult, edgeReadings, timing }
+ *
+ * @description
+ * Unlike a real frame, the script can differ between the edges a camera
+ * covers, so each edge keeps its own reading (edgeReadings) and is checked
+ * for threshold crossings on its own. The image record stores the highest
+ * values and is tagged with the DrillRun.
+ */
+const processDrillCamera = async (floor, target, ctx) => {
+  const { cameraId, edgeId, coverage } = target;
+  const cameraStartTime = performance.now();
+  const timing = { cameraId, phases: {} };
+
+  const edgeReadings = drillReadings(ctx.drill, floor.id, coverage);
+  for (const [coveredEdgeId, reading] of edgeReadings) {
+    reportReading(floor, { ...target, coverage: [{ edgeId: coveredEdgeId, weight: 1 }] }, reading, 'drill', ctx);
+  }
+
+  const readings = [...edgeReadings.values()];
+  const highest = (key) => Math.max(0, ...readings.map(r => r[key]));
+  const aiResult = {
+    peopleCount: highest('peopleCount'),
+    fireProb: highest('fireProb'),
+    smokeProb: highest('smokeProb')
+  };
+
+  const dbStart = performance.now();
+  await ImageRecord.create({
+    cameraId,
+    edgeId,
+    edgeIds: coverage.map(c => c.edgeId),
+    floorId: floor.id,
+    drill: true,
+    drillRun: ctx.drill.runId,
+    aiResult,
+    fusion: { strategy: 'drill', sources: [] },
+    processed: true
+  });
+  timing.phases.dbWrite = performance.now() - dbStart;
+
+  timing.totalMs = parseFloat((performance.now() - cameraStartTime).toFixed(2));
+  return { cameraId, coverage, aiResult, edgeReadings, timing };
+};
+
+/* ============================================================
+ * FLOOR PIPELINE
+ * Edge update once all cameras of a floor finished, then routing
+ * ============================================================ */
+
+/**
+ * Processes every active camera of a floor concurrently, then updates and
+ * saves the floor's edges.
+ *
+ * @async
+ * @function updateFloorHazards
+ * @param {Object} floor - FloorMap document (edges modified in place)
+ * @param {Object} ctx - Cycle context
+ *
+ * @returns {Promise<Object>} Floor timing with capture phases filled in
+ *
+ * @description
+ * Stage times (rtspCapture, cloudUpload, aiAnalysis, dbWrite) are summed over
+ * cameras, so with parallel cameras they exceed the capture wall time
+ * (`phases.capture`); their ratio is reported as `parallelism`.
+ */
+const updateFloorHazards = async (floor, ctx) => {
+  const floorTiming = {
+    floorId: floor.id,
+    floorName: floor.name,
+    phases: {},
+    startedAt: performance.now()
+  };
+
+  // ─────────────────────────────────────────────
+  // CAMERA SELECTION: Get active cameras only
+  // ─────────────────────────────────────────────
+  const camerasToProcess = getCamerasToProcess(floor);
+  const totalCameras = floor.cameras?.length || floor.cameraToEdge?.size || 0;
+  const skippedCameras = totalCameras - camerasToProcess.length;
+
+  if (skippedCameras > 0) {
+    console.log(`📷 Floor ${floor.name}: Processing ${camerasToProcess.length}/${totalCameras} cameras (${skippedCameras} disabled/error)`);
+  }
+
+  // ─────────────────────────────────────────────
+  // CAMERA PROCESSING: Capture → Upload → AI, all cameras at once
+  // (bounded by the capture/upload/AI pools); scripted during a drill
+  // ─────────────────────────────────────────────
+  const captureStartTime = performance.now();
+  const runCamera = ctx.drill ? processDrillCamera : processCamera;
+  const results = await Promise.allSettled(
+    camerasToProcess.map(target => runCamera(floor, target, ctx))
+  );
+
+  // Readings of this cycle per edge (several cameras may share an edge)
+  const readingsByEdge = new Map();
+  const cameraTimings = [];
+
+  results.forEach((result, i) => {
+    const { cameraId } = camerasToProcess[i];
+
+    if (result.status === 'rejected') {
+      console.error(`Error processing camera ${cameraId}:`, result.reason?.message);
+      // Track failure for auto-disable feature
+      handleCameraFailure(floor, cameraId, result.reason?.message);
+      return;
+    }
+    if (!result.value) return;
+
+    // STAGE 7: Record reading for every covered edge (none if no AI answered)
+    const { aiResult, edgeReadings, coverage, timing } = result.value;
+    cameraTimings.push(timing);
+    if (!aiResult && !edgeReadings) return;
+    for (const { edgeId: coveredEdgeId, weight } of coverage) {
+      if (!readingsByEdge.has(coveredEdgeId)) readingsByEdge.set(coveredEdgeId, []);
+      const reading = edgeReadings?.get(coveredEdgeId) || aiResult;
+      readingsByEdge.get(coveredEdgeId).push({ cameraId, reading, weight });
+    }
+  });
+  const captureWallMs = performance.now() - captureStartTime;
+
+  // ─────────────────────────────────────────────
+  // EDGE UPDATE: Combine cameras per edge, then smooth;
+  // edges no camera saw hold their value, then decay
+  // ─────────────────────────────────────────────
+  const observations = aggregateReadings(readingsByEdge, floor.cameraAggregation);
+  floorTiming.hazardState = applyHazardObservations(floor.edges, observations, ctx.hazardSmoothing);
+
+  // PREDICTION: Where fire/smoke will be within the horizon
+  const { atRisk } = applyHazardPredictions(floor.edges, predictHazardSpread(buildFloorGraph(floor)));
+  floorTiming.predictedAtRisk = atRisk;
+
+  // ─────────────────────────────────────────────
+  // SAVE: Persist updated floor data
+  // ─────────────────────────────────────────────
+  const dbSaveStart = performance.now();
+  await floor.save();
+
+  // Record capture phase timings (stage times summed over cameras)
+  const sumPhase = (phase) => parseFloat(cameraTimings.reduce((sum, t) => sum + (t.phases[phase] || 0), 0).toFixed(2));
+  floorTiming.phases.capture = parseFloat(captureWallMs.toFixed(2));
+  floorTiming.phases.rtspCapture = sumPhase('rtsp');
+  floorTiming.phases.cloudUpload = sumPhase('cloudUpload');
+  floorTiming.phases.aiAnalysis = sumPhase('ai');
+  floorTiming.phases.dbWrite = sumPhase('dbWrite');
+  floorTiming.phases.dbSave = parseFloat((performance.now() - dbSaveStart).toFixed(2));
+  floorTiming.cameraStageMs = parseFloat(cameraTimings.reduce((sum, t) => sum + (t.totalMs || 0), 0).toFixed(2));
+  floorTiming.parallelism = captureWallMs > 0 ? parseFloat((floorTiming.cameraStageMs / captureWallMs).toFixed(2)) : 0;
+  floorTiming.captureCount = cameraTimings.length;
+  floorTiming.totalCameras = totalCameras;
+  floorTiming.cameraTimings = cameraTimings;
+
+  return floorTiming;
+};
+
+/* ============================================================
+ * ROUTING & BROADCAST
+ * Shared by the end-of-cycle and urgent updates
+ * ============================================================ */
+
+/**
+ * Computes the routes of a floor's active screens.
+ *
+ * @async
+ * @function computeFloorRoutes
+ * @param {Object} floor - FloorMap document (screens, exits)
+ * @param {Object} ctx - Cycle context
+ * @param {Map<string, Object>} [graphFloors=ctx.floorsById] - Floor data the
+ *        graph is built from (urgent updates pass copies with spikes applied)
+ *
+ * @returns {Promise<Object|null>} { routeResults, stepFreeResults, building, overrides, exits, routingWeights,
+ *          graphBuildMs, dijkstraMs }, or null when the floor has no active screens
+ *
+ * @description
+ * Manual overrides are loaded from the database here rather than taken from
+ * the floor documents, which may predate an override set mid-cycle.
+ *
+ * Exit statuses are evaluated after the overrides and saved for this floor
+ * even when it has no active screen. `exits` lists the statuses of the
+ * exits the routes were planned against.
+ *
+ * Routes are held against the ones remembered at the end of the last
+ * capture cycle; only routeFloor remembers new ones (see routeMemory.js).
+ */
+const computeFloorRoutes = async (floor, ctx, graphFloors = ctx.floorsById) => {
+  const { routingMode, routingIterations, buildingByFloorId, routingWeights } = ctx;
+
+  // ─────────────────────────────────────────────
+  // GRAPH BUILD: Prepare data for Dijkstra
+  // Floors in a building are routed over the combined
+  // graph so screens can be sent down stairwells
+  // ─────────────────────────────────────────────
+  const graphBuildStart = performance.now();
+  const building = buildingByFloorId.get(floor.id) || null;
+  const graph = building
+    ? buildBuildingGraph(building, graphFloors)
+    : buildFloorGraph(graphFloors.get(floor.id) || floor);
+  const exitNodeIds = building ? graph.exitNodeIds : floor.exitPoints;
+
+  // ─────────────────────────────────────────────
+  // OVERRIDES: Incident commander closures/levels
+  // ─────────────────────────────────────────────
+  const graphFloorIds = building ? Object.keys(graph.floors) : [floor.id];
+  const overrides = applyOverrides(graph, await loadActiveOverrides(graphFloorIds), floor.id);
+
+  // ─────────────────────────────────────────────
+  // WEIGHTS: Profile of each floor in the graph
+  // ─────────────────────────────────────────────
+  const weighting = routingWeights?.get(floor.id) || resolveRoutingWeights(null, floor);
+  const weightOptions = {
+    weights: weighting.weights,
+    floorWeights: building
+      ? new Map(graphFloorIds.map(id => [id, routingWeights?.get(id)?.weights || weighting.weights]))
+      : undefined
+  };
+  if (overrides.length > 0) {
+    const overrideList = overrides
+      .map(o => `${o.edgeId} ${o.type === 'hazard' ? `hazard=${o.hazardLevel}` : o.type}`)
+      .join(', ');
+    console.log(`🚧 Floor ${floor.name}: ${overrides.length} manual override(s) - ${overrideList}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // EVACUATION DIRECTIONS: Contraflow rules
+  // ─────────────────────────────────────────────
+  const contraflow = applyEvacuationDirections(graph);
+  if (contraflow.length > 0) {
+    console.log(`↪️ Floor ${floor.name}: ${contraflow.length} edge(s) switched to evacuation direction - ${contraflow.map(c => `${c.edgeId} ${c.direction}`).join(', ')}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // EXIT STATUS: Open / congested / blocked
+  // ─────────────────────────────────────────────
+  graph.exits = evaluateExits(graph);
+  await saveExitStatus(floor, graph.exits);
+  const exits = graph.exits.filter(e => (exitNodeIds || []).includes(e.nodeId));
+  const unavailable = exits.filter(e => e.status !== 'open');
+  if (unavailable.length > 0) {
+    console.log(`🚪 Floor ${floor.name}: ${unavailable.map(e => `${e.nodeId} ${e.status}`).join(', ')} (${exits.length - unavailable.length}/${exits.length} open)`);
+  }
+
+  // ─────────────────────────────────────────────
+  // SCREEN SELECTION: Get active screens only
+  // ─────────────────────────────────────────────
+  const activeStartPoints = getActiveStartPoints(floor);
+  const totalScreens = floor.screens?.length || floor.startPoints?.length || 0;
+  const skippedScreens = totalScreens - activeStartPoints.length;
+
+  if (skippedScreens > 0) {
+    console.log(`🖥️ Floor ${floor.name}: Computing routes for ${activeStartPoints.length}/${totalScreens} screens (${skippedScreens} disabled)`);
+  }
+
+  const graphBuildMs = parseFloat((performance.now() - graphBuildStart).toFixed(2));
+
+  // Skip routing if no active screens
+  if (!activeStartPoints || activeStartPoints.length === 0) {
+    console.warn(`Floor ${floor.name} has no active screens/start points`);
+    return null;
+  }
+
+  // ─────────────────────────────────────────────
+  // DIJKSTRA: Compute optimal evacuation routes
+  // Capacity-aware mode spreads screens across exits, per-screen
+  // mode holds each screen's previous route (hysteresis)
+  // ─────────────────────────────────────────────
+  const dijkstraStart = performance.now();
+  const routeResults = routingMode === 'capacity-aware'
+    ? planEvacuationFlow(graph, activeStartPoints, exitNodeIds, { maxIterations: routingIterations, ...weightOptions })
+    : computeShortestPaths(graph, activeStartPoints, exitNodeIds, { ...weightOptions, previousRoutes: getPreviousRoutes(floor.id) });
+  if (building) {
+    annotateCrossFloorRoutes(routeResults, graph);
+  }
+
+  // ─────────────────────────────────────────────
+  // STEP-FREE: Second route for step-free screens
+  // ─────────────────────────────────────────────
+  const stepFreeStartPoints = getStepFreeStartPoints(floor);
+  let stepFreeResults = null;
+  if (stepFreeStartPoints.length > 0) {
+    stepFreeResults = computeShortestPaths(graph, stepFreeStartPoints, exitNodeIds, {
+      ...weightOptions,
+      profile: 'step-free',
+      alternateCount: 0,
+      previousRoutes: getPreviousRoutes(floor.id, 'step-free')
+    });
+    if (building) {
+      annotateCrossFloorRoutes(stepFreeResults, graph);
+    }
+    attachStepFreeRoutes(routeResults, stepFreeResults);
+  }
+
+  // ─────────────────────────────────────────────
+  // EGRESS TIME: Walking time with current crowding
+  // ─────────────────────────────────────────────
+  addEgressEstimates(routeResults, graph);
+  const dijkstraMs = parseFloat((performance.now() - dijkstraStart).toFixed(2));
+
+  const routingWeightsUsed = { profile: weighting.profile, floorOverrides: weighting.floorOverrides };
+
+  return { routeResults, stepFreeResults, building, overrides, exits, routingWeights: routingWeightsUsed, graphBuildMs, dijkstraMs };
+};
+
+/**
+ * Stores a floor's routes and broadcasts them via Socket.IO, falling back to
+ * USRP when no screen of the floor is connected.
+ *
+ * @async
+ * @function publishRoutes
+ * @param {Object} floor - FloorMap document
+ * @param {Object} routing - Result of computeFloorRoutes
+ * @param {Object} ctx - Cycle context
+ * @param {Object} [update] - { updateType: 'cycle'|'urgent'|'override', trigger }
+ *
+ * @returns {Promise<Object>} { routeDoc, emergency, overallHazardLevel, usrpStatus, usrpMs }
+ */
+const publishRoutes = async (floor, { routeResults, building, exits = [], routingWeights = null }, ctx, update = { updateType: 'cycle' }) => {
+  const { routingMode } = ctx;
+  const { updateType, trigger = null } = update;
+  const drill = ctx.drill ? { runId: ctx.drill.runId, name: ctx.drill.name, elapsedSec: ctx.drill.elapsedSec } : null;
+
+  // Determine overall hazard level (worst of all routes)
+  const overallHazardLevel = routeResults.reduce((max, route) => {
+    const levels = ['safe', 'moderate', 'high', 'critical'];
+    const maxIdx = levels.indexOf(max);
+    const routeIdx = levels.indexOf(route.hazardLevel);
+    return routeIdx > maxIdx ? route.hazardLevel : max;
+  }, 'safe');
+
+  // Screens cut off from every exit (refuge / shelter in place)
+  const shelterInPlace = routeResults.some(r => r.shelterInPlace);
+
+  // Check if emergency (any route exceeds safety thresholds or no exit is reachable)
+  const emergency = shelterInPlace || routeResults.some(r => r.exceedsThresholds);
+
+  // Floor egress estimate (slowest screen)
+  const egress = summarizeFloorEgress(routeResults);
+
+  // ─────────────────────────────────────────────
+  // SAVE ROUTE: Persist computed routes
+  // ─────────────────────────────────────────────
+  const routeDoc = await RouteModel.create({
+    floorId: floor.id,
+    buildingId: building?.id,
+    floorVersion: floor.configVersion ?? null,
+    planningMode: routingMode,
+    routingWeights,
+    updateType,
+    trigger,
+    routes: routeResults,
+    exits,
+    egress,
+    shelterInPlace,
+    emergency,
+    overallHazardLevel,
+    drill: !!drill,
+    drillRun: drill?.runId || null
+  });
+  routeDoc.save();
+
+  // ─────────────────────────────────────────────
+  // BROADCAST: Socket.IO + USRP fallback
+  // ─────────────────────────────────────────────
+  const activeCount = getActiveSocketCount();
+  const activeFloorIds = getActiveFloorIds();
+
+  console.log(`📊 Active floors: ${activeCount} | Floor IDs: ${activeFloorIds.join(', ') || 'none'}`);
+
+  // Build the route data payload
+  const routePayload = {
+    floorId: floor.id,
+    floorName: floor.name,
+    buildingId: building?.id || null,
+    planningMode: routingMode,
+    updateType,
+    incremental: updateType !== 'cycle',
+    trigger,
+    routes: routeDoc.routes,
+    exits: routeDoc.exits,
+    egress,
+    shelterInPlace,
+    emergency,
+    overallHazardLevel,
+    drill,
+    timestamp: new Date().toISOString(),
+    totalRoutes: routeDoc.routes.length
+  };
+
+  // Emit to specific floor room (targeted broadcast)
+  ioEmitToFloor(floor.id, "floor-routes", routePayload);
+
+  // Also broadcast globally for backward compatibility
+  ioEmit("route_update", routePayload);
+
+  // ─────────────────────────────────────────────
+  // USRP FALLBACK: SDR transmission for offline screens
+  // Architecture: Backend always has internet (DevTunnels)
+  // USRP triggers ONLY when NO screens are connected for this floor
+  // ─────────────────────────────────────────────
+  const floorHasActiveConnections = activeFloorIds.includes(floor.id);
+  const shouldUseUSRP = !floorHasActiveConnections;
+  let usrpStatus = 'skipped';
+  let usrpMs = 0;
+
+  if (shouldUseUSRP) {
+    const usrpStartTime = performance.now();
+    try {
+      console.log(`📡 No active sockets for floor ${floor.id} - transmitting via USRP`);
+
+      // Send ALL routes in one transmission
+      const combinedData = {
+        routes: routeDoc.routes,
+        floorId: floor.id,
+        buildingId: building?.id || null,
+        floorName: floor.name,
+        updateType,
+        egress,
+        shelterInPlace,
+        emergency,
+        overallHazardLevel,
+        drill,
+        timestamp: new Date().toISOString(),
+        totalRoutes: routeDoc.routes.length
+      };
+
+      const usrpResult = await sendViaUSRP(combinedData);
+      usrpMs = parseFloat((performance.now() - usrpStartTime).toFixed(2));
+      usrpStatus = usrpResult.ok ? 'success' : 'failed';
+
+      console.log(`📡 USRP: ${usrpResult.ok ? '✅ SUCCESS' : '❌ FAILED'} (${usrpMs}ms)`);
+    } catch (err) {
+      usrpMs = parseFloat((performance.now() - usrpStartTime).toFixed(2));
+      usrpStatus = 'error';
+      console.error(`📡 USRP: ❌ ERROR - ${err.message}`);
+    }
+  } else {
+    console.log(`📡 USRP: ⏭️ Skipped (${activeCount} active socket(s))`);
+  }
+
+  return { routeDoc, emergency, overallHazardLevel, usrpStatus, usrpMs };
+};
+
+/* ============================================================
+ * URGENT RE-ROUTING
+ * Immediate update when one camera pushes an edge over threshold
+ * ============================================================ */
+
+/**
+ * Checks a camera reading as soon as it arrives and queues an urgent
+ * re-route of the floor for edges it pushes over a fire/smoke threshold.
+ *
+ * @function reportReading
+ * @param {Object} floor - FloorMap document
+ * @param {Object} target - Entry from getCamerasToProcess
+ * @param {Object|null} reading - { peopleCount, fireProb, smokeProb }
+ * @param {string} source - 'local' (before cloud answers), 'fused' or 'drill'
+ * @param {Object} ctx - Cycle context (includes urgent: floorId -> state)
+ *
+ * @description
+ * Each edge triggers at most one urgent update per cycle. Updates of a floor
+ * run one after another, and stop once the floor's end-of-cycle routing
+ * has started.
+ */
+const reportReading = (floor, target, reading, source, ctx) => {
+  if (!URGENT_REROUTE_ENABLED) return;
+
+  const state = ctx.urgent.get(floor.id);
+  if (!state || state.closed) return;
+
+  const crossings = findThresholdCrossings(floor.edges, target.coverage, reading)
+    .filter(c => !state.spikes.has(c.edgeId));
+  if (crossings.length === 0) return;
+
+  crossings.forEach(c => state.spikes.set(c.edgeId, c));
+  const trigger = {
+    cameraId: target.cameraId,
+    source,
+    edges: crossings.map(({ edgeId, fireProb, smokeProb, exceeded }) => ({ edgeId, fireProb, smokeProb, exceeded }))
+  };
+
+  state.chain = state.chain
+    .then(() => rerouteUrgently(floor, trigger, ctx))
+    .catch(err => console.error(`🚨 Urgent re-route of floor ${floor.name} failed:`, err.message));
+};
+
+/**
+ * Re-runs routing for one floor with this cycle's threshold crossings applied
+ * and broadcasts the result as an urgent incremental update.
+ *
+ * @async
+ * @function rerouteUrgently
+ * @param {Object} floor - FloorMap document
+ * @param {Object} trigger - { cameraId, source, edges }
+ * @param {Object} ctx - Cycle context
+ * @returns {Promise<void>}
+ */
+const rerouteUrgently = async (floor, trigger, ctx) => {
+  const state = ctx.urgent.get(floor.id);
+  if (state.closed) return;
+
+  const startTime = performance.now();
+  const graphFloors = new Map(ctx.floorsById).set(floor.id, applySpikes(floor, state.spikes));
+  const routing = await computeFloorRoutes(floor, ctx, graphFloors);
+  if (!routing) return;
+
+  const edgeList = trigger.edges.map(e => `${e.edgeId} (${e.exceeded.join('+')})`).join(', ');
+  console.warn(`🚨 URGENT re-route of floor ${floor.name}: ${edgeList} over threshold (camera ${trigger.cameraId}, ${trigger.source === 'drill' ? 'drill script' : `${trigger.source} AI`})`);
+
+  const { overallHazardLevel } = await publishRoutes(floor, routing, ctx, { updateType: 'urgent', trigger });
+  state.count++;
+
+  console.warn(`🚨 Urgent update sent: ${routing.routeResults.length} route(s), hazard ${overallHazardLevel}, ${(performance.now() - startTime).toFixed(2)}ms`);
+};
+
+/* ============================================================
+ * FLOOR ROUTING
+ * ============================================================ */
+
+/**
+ * Computes, stores and broadcasts a floor's routes as soon as its edges are
+ * up to date.
+ *
+ * @async
+ * @function routeFloor
+ * @param {Object} floor - FloorMap document
+ * @param {Object} ctx - Cycle context (includes edgeUpdates: floorId -> Promise)
+ *
+ * @returns {Promise<Object|null>} Completed floor timing, or null when the
+ *          floor has no active screens
+ *
+ * @description
+ * A floor in a building is routed over the combined building graph, so it
+ * also waits for the edge updates of its sibling floors (a failed sibling
+ * is routed with its previous values). Pending urgent updates of the floor
+ * are sent first so screens never receive them after the full update.
+ */
+const routeFloor = async (floor, ctx) => {
+  const { routingMode, buildingByFloorId, edgeUpdates } = ctx;
+  const floorTiming = await edgeUpdates.get(floor.id);
+
+  // Smoothed state now includes every reading: no more urgent updates
+  const urgentState = ctx.urgent.get(floor.id);
+  urgentState.closed = true;
+  await urgentState.chain;
+  floorTiming.urgentUpdates = urgentState.count;
+
+  const building = buildingByFloorId.get(floor.id) || null;
+  if (building) {
+    const siblingsStart = performance.now();
+    await Promise.allSettled(
+      building.floors
+        .map(f => edgeUpdates.get(f.floorId))
+        .filter(Boolean)
+    );
+    floorTiming.phases.buildingWait = parseFloat((performance.now() - siblingsStart).toFixed(2));
+  }
+
+  const routing = await computeFloorRoutes(floor, ctx);
+  if (!routing) return null;
+
+  // Only capture cycles advance the route memory, so hysteresis counts cycles
+  // rather than the urgent and override updates computed in between
+  const { routeResults, stepFreeResults } = routing;
+  rememberRoutes(floor.id, routeResults);
+  if (stepFreeResults) rememberRoutes(floor.id, stepFreeResults, 'step-free');
+  floorTiming.phases.graphBuild = routing.graphBuildMs;
+  floorTiming.phases.dijkstra = routing.dijkstraMs;
+  floorTiming.dijkstraTiming = routeResults._timing || null;
+
+  const { emergency, overallHazardLevel, usrpStatus, usrpMs } = await publishRoutes(floor, routing, ctx);
+  floorTiming.usrpStatus = usrpStatus;
+  if (usrpMs) floorTiming.phases.usrp = usrpMs;
+
+  // ─────────────────────────────────────────────
+  // FLOOR TIMING: Record and display metrics
+  // ─────────────────────────────────────────────
+  floorTiming.totalMs = parseFloat((performance.now() - floorTiming.startedAt).toFixed(2));
+  const hazardSummary = floorTiming.hazardState;
+
+  // Detailed floor timing output
+  console.log(`\n┌─── 🏢 Floor: ${floor.name} ───`);
+  console.log(`│ 📊 Routes: ${routeResults.length} (${routingMode}) | Hazard: ${overallHazardLevel} | Emergency: ${emergency}`);
+  console.log(`│ 📷 Cameras: ${floorTiming.captureCount}/${floorTiming.totalCameras} processed`);
+  if (ctx.drill) {
+    console.log(`│ 🎭 Drill: ${ctx.drill.name} (t+${ctx.drill.elapsedSec}s, scripted readings)`);
+  }
+  console.log(`│ 🌫️  Edges: ${hazardSummary.observed} observed | ${hazardSummary.held} held | ${hazardSummary.decayed} decayed${hazardSummary.rising.length ? ` | ⚠️ rising: ${hazardSummary.rising.join(', ')}` : ''}`);
+  if (floorTiming.predictedAtRisk.length > 0) {
+    console.log(`│ 🔥 Predicted spread: ${floorTiming.predictedAtRisk.join(', ')} expected over threshold`);
+  }
+  if (floorTiming.urgentUpdates > 0) {
+    console.log(`│ 🚨 Urgent updates: ${floorTiming.urgentUpdates} sent mid-cycle`);
+  }
+  if (routing.overrides.length > 0) {
+    console.log(`│ 🚧 Manual overrides: ${routing.overrides.map(o => o.edgeId).join(', ')}`);
+  }
+  if (routing.exits.some(e => e.status !== 'open')) {
+    console.log(`│ 🚪 Exits: ${routing.exits.map(e => `${e.nodeId} ${e.status}`).join(', ')}`);
+  }
+  const sheltering = routeResults.filter(r => r.shelterInPlace);
+  if (sheltering.length > 0) {
+    console.log(`│ 🛟 Shelter in place: ${sheltering.map(r => `${r.startNode} → ${r.refugeNode || 'stay put'}`).join(', ')}`);
+  }
+  console.log(`│ ⏱️  Total: ${floorTiming.totalMs}ms`);
+  console.log(`│    ├─ Cameras (wall): ${floorTiming.phases.capture}ms for ${floorTiming.cameraStageMs}ms of camera work (×${floorTiming.parallelism})`);
+  console.log(`│    │    ├─ RTSP Capture: ${floorTiming.phases.rtspCapture || 0}ms`);
+  console.log(`│    │    ├─ Cloud Upload: ${floorTiming.phases.cloudUpload || 0}ms`);
+  console.log(`│    │    ├─ AI Analysis:  ${floorTiming.phases.aiAnalysis || 0}ms`);
+  console.log(`│    │    └─ DB Write:     ${floorTiming.phases.dbWrite || 0}ms`);
+  if (floorTiming.phases.buildingWait !== undefined) {
+    console.log(`│    ├─ Building Wait: ${floorTiming.phases.buildingWait}ms (sibling floors)`);
+  }
+  console.log(`│    ├─ Graph Build:  ${floorTiming.phases.graphBuild || 0}ms`);
+  console.log(`│    ├─ Dijkstra:     ${floorTiming.phases.dijkstra || 0}ms`);
+  if (floorTiming.dijkstraTiming) {
+    const dt = floorTiming.dijkstraTiming;
+    console.log(`│    │    ├─ Weights/Adjacency: ${dt.graphBuildMs}ms (${dt.graphStats.nodes} nodes, ${dt.graphStats.arcs} arcs)`);
+    console.log(`│    │    ├─ Exit Search:       ${dt.searchMs}ms (${dt.graphStats.settledNodes} settled)`);
+    console.log(`│    │    └─ Route Extraction:  ${dt.reconstructMs}ms (${dt.routeTimings.length} routes)`);
+  }
+  if (floorTiming.phases.usrp) {
+    console.log(`│    └─ USRP TX:      ${floorTiming.phases.usrp}ms (${floorTiming.usrpStatus})`);
+  }
+  console.log(`└────────────────────────────────\n`);
+
+  return floorTiming;
+};
+
 /* ============================================================
  * MAIN CAPTURE CYCLE
  * Orchestrates the entire pipeline
@@ -233,24 +1156,36 @@ const getActiveStartPoints = (floor) => {
 
 /**
  * Executes one complete capture cycle for all active floors.
- * 
+ *
  * @async
  * @function captureCycle
  * @returns {Promise<void>}
- * 
+ *
  * @description
- * Cycle stages for each floor:
- * 1. Reset edge hazard data
- * 2. Process active cameras (capture, upload, AI)
- * 3. Update edge data with AI results
- * 4. Build graph for Dijkstra
- * 5. Compute routes for active screens
- * 6. Save route document
- * 7. Broadcast via Socket.IO and/or USRP
- * 
- * Includes comprehensive timing analysis for performance monitoring.
+ * All floors and their cameras run concurrently; the capture, upload and AI
+ * stages share one bounded pool each (CAPTURE_CONCURRENCY, UPLOAD_CONCURRENCY,
+ * AI_CONCURRENCY) and each stage of a camera is limited to CAMERA_TIMEOUT_MS.
+ *
+ * Per floor, as soon as its own cameras finish:
+ * 1. Collect AI results per edge and smooth edge data
+ *    (held/decayed for edges without a reading)
+ * 2. Build graph for Dijkstra (building floors wait for their siblings)
+ * 3. Compute routes for active screens
+ * 4. Save route document
+ * 5. Broadcast via Socket.IO and/or USRP
+ *
+ * Readings that push an edge over a fire/smoke threshold while the floor's
+ * cameras are still running trigger an urgent re-route (reportReading).
+ *
+ * During a drill the cameras are replaced by the drill's scripted timeline
+ * (processDrillCamera); the first cycle after a drill starts or ends clears
+ * the edges' hazard state.
+ *
+ * A failing floor is logged and does not stop the other floors. Includes
+ * timing analysis comparing wall time with summed stage time. Resolves once
+ * every floor is routed, broadcast and saved (test/e2e awaits it).
  */
-const captureCycle = async () => {
+export const captureCycle = async () => {
   // ─────────────────────────────────────────────
   // MUTEX: Prevent overlapping cycles
   // ─────────────────────────────────────────────
@@ -258,10 +1193,10 @@ const captureCycle = async () => {
     console.warn("⚠️ Previous cycle still in progress - skipping this cycle");
     return;
   }
-  
+
   cycleInProgress = true;
   camerasModified = false; // Reset for this cycle
-  
+
   // ─────────────────────────────────────────────
   // TIMING: Initialize performance tracking
   // ─────────────────────────────────────────────
@@ -271,367 +1206,115 @@ const captureCycle = async () => {
     phases: {},
     floors: []
   };
-  
+
   try {
     console.log("Starting capture cycle...");
-    
+
     // ─────────────────────────────────────────────
     // SETTINGS: Fetch cloud processing setting once per cycle
     // ─────────────────────────────────────────────
     const settings = await Settings.getSettings();
     const cloudProcessingEnabled = settings.cloudProcessing?.enabled ?? true;
-    
+
     if (!cloudProcessingEnabled) {
       console.log("☁️ Cloud processing DISABLED - using local AI only");
     }
-    
+
+    // ─────────────────────────────────────────────
+    // DRILL: Scripted hazard timeline instead of cameras
+    // ─────────────────────────────────────────────
+    const drill = await resolveDrill(settings);
+    const drillRunId = drill ? String(drill.runId) : null;
+    const drillSwitched = drillRunId !== lastDrillRunId;
+    lastDrillRunId = drillRunId;
+
+    if (drill) {
+      console.log(`🎭 DRILL MODE - '${drill.name}' at t+${drill.elapsedSec}s, cameras read the scripted timeline`);
+    }
+
+    // ─────────────────────────────────────────────
+    // OVERRIDES: Drop (and log) expired manual overrides
+    // ─────────────────────────────────────────────
+    const expiredOverrides = await expireOverrides();
+    if (expiredOverrides > 0) {
+      console.log(`🚧 ${expiredOverrides} manual override(s) expired`);
+    }
+
     // ─────────────────────────────────────────────
     // FLOOR QUERY: Only fetch active floors
     // ─────────────────────────────────────────────
-    const floors = await FloorMap.find({ 
+    const floors = (await FloorMap.find({
       status: { $in: ['active', undefined, null] } // Include floors without status field (legacy)
+    })).filter(floor => floor.status !== 'disabled' && floor.status !== 'maintenance');
+
+    const skippedFloors = await FloorMap.countDocuments({
+      status: { $in: ['disabled', 'maintenance'] }
     });
-    
-    const skippedFloors = await FloorMap.countDocuments({ 
-      status: { $in: ['disabled', 'maintenance'] } 
-    });
-    
+
     if (skippedFloors > 0) {
       console.log(`⏭️ Skipping ${skippedFloors} disabled/maintenance floor(s)`);
     }
 
-    cycleTiming.phases.dbQuery = parseFloat((performance.now() - cycleStartTime).toFixed(2));
-    
-    // ─────────────────────────────────────────────
-    // FLOOR PROCESSING LOOP
-    // ─────────────────────────────────────────────
-    for (const floor of floors) {
-      const floorStartTime = performance.now();
-      const floorTiming = {
-        floorId: floor.id,
-        floorName: floor.name,
-        phases: {}
-      };
-      
-      // Double-check floor status (in case of race condition)
-      if (floor.status === 'disabled' || floor.status === 'maintenance') {
-        console.log(`⏭️ Skipping floor ${floor.name} (status: ${floor.status})`);
-        continue;
-      }
-      
-      // ─────────────────────────────────────────────
-      // RESET: Clear edge hazard data for fresh cycle
-      // ─────────────────────────────────────────────
-      floor.edges.forEach(edge => {
-        edge.currentPeopleCount = 0;
-        edge.currentFireProb = 0;
-        edge.currentSmokeProb = 0;
-      });
-
-      // ─────────────────────────────────────────────
-      // CAMERA SELECTION: Get active cameras only
-      // ─────────────────────────────────────────────
-      const camerasToProcess = getCamerasToProcess(floor);
-      const totalCameras = floor.cameras?.length || floor.cameraToEdge?.size || 0;
-      const skippedCameras = totalCameras - camerasToProcess.length;
-      
-      if (skippedCameras > 0) {
-        console.log(`📷 Floor ${floor.name}: Processing ${camerasToProcess.length}/${totalCameras} cameras (${skippedCameras} disabled/error)`);
-      }
+    // Drill started or ended: never smooth scripted and real readings together
+    if (drillSwitched) {
+      floors.forEach(floor => clearHazardState(floor.edges));
+      forgetRoutes();
+      console.log(`🎭 ${drill ? 'Drill started' : 'Drill ended'} - hazard state and routes of ${floors.length} floor(s) cleared`);
+    }
 
-      // ─────────────────────────────────────────────
-      // CAMERA PROCESSING: Capture → Upload → AI
-      // ─────────────────────────────────────────────
-      const captureStartTime = performance.now();
-      let captureCount = 0;
-      let aiAnalysisTimeMs = 0;
-      let cloudUploadTimeMs = 0;
-      let rtspCaptureTimeMs = 0;
-      let dbWriteTimeMs = 0;
-      const cameraTimings = [];
-      
-      for (const { cameraId, edgeId, camera } of camerasToProcess) {
-        const cameraStartTime = performance.now();
-        const cameraTiming = { cameraId, phases: {} };
-        
-        try {
-          // Get RTSP URL (camera-specific or from template)
-          const rtspUrl = camera?.rtspUrl || process.env.RTSP_TEMPLATE?.replace("{cameraId}", cameraId);
-          if (!rtspUrl) {
-            console.warn(`No RTSP URL configured for camera ${cameraId}`);
-            continue;
-          }
-
-          // STAGE 1: Capture frame from RTSP stream
-          const rtspStart = performance.now();
-          const { localPath } = await captureFrameFromRtsp(rtspUrl, floor.id, cameraId);
-          cameraTiming.phases.rtsp = performance.now() - rtspStart;
-          rtspCaptureTimeMs += cameraTiming.phases.rtsp;
-          
-          // Reset failure count on success
-          if (camera) {
-            handleCameraSuccess(floor, camera);
-          }
-          
-          // STAGE 2: Save to structured local storage
-          const { relativePath, absolutePath } = saveToLocalStorage(localPath, floor.id, cameraId);
-          
-          // STAGE 3: Upload to cloud storage (if cloud processing enabled)
-          let cloudUrl = null;
-          if (cloudProcessingEnabled) {
-            const cloudStart = performance.now();
-            cloudUrl = await uploadRecordToCloud(absolutePath, floor.id, cameraId);
-            cameraTiming.phases.cloudUpload = performance.now() - cloudStart;
-            cloudUploadTimeMs += cameraTiming.phases.cloudUpload;
-          } else {
-            cameraTiming.phases.cloudUpload = 0;
-          }
-          
-          // STAGE 4: Create image record in database
-          const dbStart = performance.now();
-          const rec = await ImageRecord.create({ 
-            cameraId, 
-            edgeId, 
-            floorId: floor.id,
-            localPath: relativePath, 
-            cloudUrl // Will be null if cloud processing is disabled
-          });
-          cameraTiming.phases.dbWrite = performance.now() - dbStart;
-          dbWriteTimeMs += cameraTiming.phases.dbWrite;
-
-          // STAGE 5: Run AI analysis (local + cloud in parallel if enabled)
-          const aiStartTime = performance.now();
-          const [localRes, cloudRes] = await Promise.allSettled([
-            callLocalAI({ localPath: absolutePath, cameraId, edgeId }),
-            (cloudProcessingEnabled && cloudUrl) 
-              ? callCloudAI({ cloudUrl, cameraId, edgeId }) 
-              : Promise.resolve(null)
-          ]);
-          cameraTiming.phases.ai = performance.now() - aiStartTime;
-          aiAnalysisTimeMs += cameraTiming.phases.ai;
-
-          // Extract results (prefer cloud over local when available)
-          const localData = localRes.status === 'fulfilled' ? localRes.value : null;
-          const cloudData = cloudRes.status === 'fulfilled' ? cloudRes.value : null;
-
-          // Fuse AI results (cloud takes precedence if available)
-          const aiResult = {
-            peopleCount: cloudData?.peopleCount ?? localData?.peopleCount ?? 0,
-            fireProb: cloudData?.fireProb ?? localData?.fireProb ?? 0,
-            smokeProb: cloudData?.smokeProb ?? localData?.smokeProb ?? 0
-          };
-
-          // STAGE 6: Update image record with AI results
-          rec.aiResult = aiResult;
-          rec.processed = true;
-          await rec.save();
-
-          // STAGE 7: Update edge with current AI data
-          const edge = floor.edges.find(e => e.id === edgeId);
-          if (edge) {
-            edge.currentPeopleCount = aiResult.peopleCount;
-            edge.currentFireProb = aiResult.fireProb;
-            edge.currentSmokeProb = aiResult.smokeProb;
-          }
-          
-          // Record camera timing
-          cameraTiming.totalMs = parseFloat((performance.now() - cameraStartTime).toFixed(2));
-          cameraTimings.push(cameraTiming);
-          captureCount++;
-        } catch (err) {
-          console.error(`Error processing camera ${cameraId}:`, err.message);
-          
-          // Track failure for auto-disable feature
-          handleCameraFailure(floor, cameraId, err.message);
-        }
-      }
+    // Buildings join floors into one routing graph (stairwells/elevators)
+    const buildings = await Building.find();
+    const buildingByFloorId = new Map();
+    buildings.forEach(b => b.floors.forEach(f => buildingByFloorId.set(f.floorId, b)));
 
-      // ─────────────────────────────────────────────
-      // SAVE: Persist updated floor data
-      // ─────────────────────────────────────────────
-      const dbSaveStart = performance.now();
-      await floor.save();
-      const dbSaveMs = performance.now() - dbSaveStart;
-      
-      // Record capture phase timings
-      floorTiming.phases.capture = parseFloat((performance.now() - captureStartTime).toFixed(2));
-      floorTiming.phases.rtspCapture = parseFloat(rtspCaptureTimeMs.toFixed(2));
-      floorTiming.phases.cloudUpload = parseFloat(cloudUploadTimeMs.toFixed(2));
-      floorTiming.phases.aiAnalysis = parseFloat(aiAnalysisTimeMs.toFixed(2));
-      floorTiming.phases.dbWrite = parseFloat(dbWriteTimeMs.toFixed(2));
-      floorTiming.phases.dbSave = parseFloat(dbSaveMs.toFixed(2));
-      floorTiming.captureCount = captureCount;
-      floorTiming.cameraTimings = cameraTimings;
-
-      // ─────────────────────────────────────────────
-      // GRAPH BUILD: Prepare data for Dijkstra
-      // ─────────────────────────────────────────────
-      const graphBuildStart = performance.now();
-      const graph = {
-        nodes: floor.nodes,
-        edges: floor.edges.map(e => ({
-          id: e.id,
-          from: e.from,
-          to: e.to,
-          staticWeight: e.staticWeight,
-          peopleThreshold: e.peopleThreshold,
-          fireThreshold: e.fireThreshold,
-          smokeThreshold: e.smokeThreshold,
-          currentPeopleCount: e.currentPeopleCount,
-          currentFireProb: e.currentFireProb,
-          currentSmokeProb: e.currentSmokeProb
-        })),
-        scale: floor.mapImage ? {
-          widthPixels: floor.mapImage.widthPixels,
-          heightPixels: floor.mapImage.heightPixels,
-          widthMeters: floor.mapImage.widthMeters,
-          heightMeters: floor.mapImage.heightMeters
-        } : null
-      };
+    cycleTiming.phases.dbQuery = parseFloat((performance.now() - cycleStartTime).toFixed(2));
 
-      // ─────────────────────────────────────────────
-      // SCREEN SELECTION: Get active screens only
-      // ─────────────────────────────────────────────
-      const activeStartPoints = getActiveStartPoints(floor);
-      const totalScreens = floor.screens?.length || floor.startPoints?.length || 0;
-      const skippedScreens = totalScreens - activeStartPoints.length;
-      
-      if (skippedScreens > 0) {
-        console.log(`🖥️ Floor ${floor.name}: Computing routes for ${activeStartPoints.length}/${totalScreens} screens (${skippedScreens} disabled)`);
-      }
-      
-      floorTiming.phases.graphBuild = parseFloat((performance.now() - graphBuildStart).toFixed(2));
-      
-      // Skip routing if no active screens
-      if (!activeStartPoints || activeStartPoints.length === 0) {
-        console.warn(`Floor ${floor.name} has no active screens/start points`);
-        continue;
-      }
+    const ctx = {
+      cloudProcessingEnabled,
+      routingMode: settings.routing?.mode || 'per-screen',
+      routingIterations: settings.routing?.maxIterations ?? 5,
+      routingWeights: resolveFloorRoutingWeights(settings, floors),
+      hazardSmoothing: resolveHazardSmoothing(settings),
+      aiFusion: resolveAIFusion(settings),
+      drill,
+      buildingByFloorId,
+      floorsById: new Map(floors.map(f => [f.id, f])),
+      pools: {
+        capture: createLimiter(CAPTURE_CONCURRENCY, 'capture'),
+        upload: createLimiter(UPLOAD_CONCURRENCY, 'upload'),
+        ai: createLimiter(AI_CONCURRENCY, 'ai')
+      },
+      edgeUpdates: new Map(),
+      urgent: new Map(floors.map(f => [f.id, { spikes: new Map(), chain: Promise.resolve(), closed: false, count: 0 }]))
+    };
 
-      // ─────────────────────────────────────────────
-      // DIJKSTRA: Compute optimal evacuation routes
-      // ─────────────────────────────────────────────
-      const dijkstraStart = performance.now();
-      const routeResults = computeShortestPaths(graph, activeStartPoints, floor.exitPoints);
-      floorTiming.phases.dijkstra = parseFloat((performance.now() - dijkstraStart).toFixed(2));
-      floorTiming.dijkstraTiming = routeResults._timing || null;
-
-      // Determine overall hazard level (worst of all routes)
-      const overallHazardLevel = routeResults.reduce((max, route) => {
-        const levels = ['safe', 'moderate', 'high', 'critical'];
-        const maxIdx = levels.indexOf(max);
-        const routeIdx = levels.indexOf(route.hazardLevel);
-        return routeIdx > maxIdx ? route.hazardLevel : max;
-      }, 'safe');
-
-      // Check if emergency (any route exceeds safety thresholds)
-      const emergency = routeResults.some(r => r.exceedsThresholds);
-
-      // ─────────────────────────────────────────────
-      // SAVE ROUTE: Persist computed routes
-      // ─────────────────────────────────────────────
-      const routeDoc = await RouteModel.create({ 
-        floorId: floor.id, 
-        routes: routeResults,
-        emergency,
-        overallHazardLevel
-      });
-      routeDoc.save();
-
-      // ─────────────────────────────────────────────
-      // BROADCAST: Socket.IO + USRP fallback
-      // ─────────────────────────────────────────────
-      const activeCount = getActiveSocketCount();
-      const activeFloorIds = getActiveFloorIds();
-      
-      console.log(`📊 Active floors: ${activeCount} | Floor IDs: ${activeFloorIds.join(', ') || 'none'}`);
-
-      // Build the route data payload
-      const routePayload = { 
-        floorId: floor.id, 
-        floorName: floor.name,
-        routes: routeDoc.routes,
-        emergency,
-        overallHazardLevel,
-        timestamp: new Date().toISOString(),
-        totalRoutes: routeDoc.routes.length
-      };
+    // ─────────────────────────────────────────────
+    // FLOOR PROCESSING: All floors at once, each routed
+    // as soon as its own edge update is done
+    // ─────────────────────────────────────────────
+    floors.forEach(floor => {
+      const update = updateFloorHazards(floor, ctx);
+      update.catch(() => {}); // Reported by routeFloor
+      ctx.edgeUpdates.set(floor.id, update);
+    });
 
-      // Emit to specific floor room (targeted broadcast)
-      ioEmitToFloor(floor.id, "floor-routes", routePayload);
-      
-      // Also broadcast globally for backward compatibility
-      ioEmit("route_update", routePayload);
-
-      // ─────────────────────────────────────────────
-      // USRP FALLBACK: SDR transmission for offline screens
-      // Architecture: Backend always has internet (DevTunnels)
-      // USRP triggers ONLY when NO screens are connected for this floor
-      // ─────────────────────────────────────────────
-      const floorHasActiveConnections = activeFloorIds.includes(floor.id);
-      const shouldUseUSRP = !floorHasActiveConnections;
-      
-      if (shouldUseUSRP) {
-        const usrpStartTime = performance.now();
-        try {
-          console.log(`📡 No active sockets for floor ${floor.id} - transmitting via USRP`);
-          
-          // Send ALL routes in one transmission
-          const combinedData = {
-            routes: routeDoc.routes,
-            floorId: floor.id,
-            floorName: floor.name,
-            emergency,
-            overallHazardLevel,
-            timestamp: new Date().toISOString(),
-            totalRoutes: routeDoc.routes.length
-          };
-          
-          const usrpResult = await sendViaUSRP(combinedData);
-          floorTiming.phases.usrp = parseFloat((performance.now() - usrpStartTime).toFixed(2));
-          floorTiming.usrpStatus = usrpResult.ok ? 'success' : 'failed';
-          
-          console.log(`📡 USRP: ${usrpResult.ok ? '✅ SUCCESS' : '❌ FAILED'} (${floorTiming.phases.usrp}ms)`);
-        } catch (err) {
-          floorTiming.phases.usrp = parseFloat((performance.now() - usrpStartTime).toFixed(2));
-          floorTiming.usrpStatus = 'error';
-          console.error(`📡 USRP: ❌ ERROR - ${err.message}`);
-        }
-      } else {
-        floorTiming.usrpStatus = 'skipped';
-        console.log(`📡 USRP: ⏭️ Skipped (${activeCount} active socket(s))`);
-      }
+    const floorResults = await Promise.allSettled(floors.map(floor => routeFloor(floor, ctx)));
 
-      // ─────────────────────────────────────────────
-      // FLOOR TIMING: Record and display metrics
-      // ─────────────────────────────────────────────
-      floorTiming.totalMs = parseFloat((performance.now() - floorStartTime).toFixed(2));
-      cycleTiming.floors.push(floorTiming);
-      
-      // Detailed floor timing output
-      console.log(`\n┌─── 🏢 Floor: ${floor.name} ───`);
-      console.log(`│ 📊 Routes: ${routeResults.length} | Hazard: ${overallHazardLevel} | Emergency: ${emergency}`);
-      console.log(`│ 📷 Cameras: ${captureCount}/${totalCameras} processed`);
-      console.log(`│ ⏱️  Total: ${floorTiming.totalMs}ms`);
-      console.log(`│    ├─ RTSP Capture: ${floorTiming.phases.rtspCapture || 0}ms`);
-      console.log(`│    ├─ Cloud Upload: ${floorTiming.phases.cloudUpload || 0}ms`);
-      console.log(`│    ├─ AI Analysis:  ${floorTiming.phases.aiAnalysis || 0}ms`);
-      console.log(`│    ├─ DB Write:     ${floorTiming.phases.dbWrite || 0}ms`);
-      console.log(`│    ├─ Graph Build:  ${floorTiming.phases.graphBuild || 0}ms`);
-      console.log(`│    ├─ Dijkstra:     ${floorTiming.phases.dijkstra || 0}ms`);
-      if (floorTiming.phases.usrp) {
-        console.log(`│    └─ USRP TX:      ${floorTiming.phases.usrp}ms (${floorTiming.usrpStatus})`);
+    floorResults.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`Error processing floor ${floors[i].name}:`, result.reason?.message);
+      } else if (result.value) {
+        cycleTiming.floors.push(result.value);
       }
-      console.log(`└────────────────────────────────\n`);
-    }
-    
+    });
+
     // ─────────────────────────────────────────────
     // CYCLE SUMMARY: Aggregate statistics
     // ─────────────────────────────────────────────
     cycleTiming.totalMs = parseFloat((performance.now() - cycleStartTime).toFixed(2));
     cycleTiming.floorsProcessed = cycleTiming.floors.length;
-    
-    // Calculate aggregated stats
+
+    // Calculate aggregated stats (stage times are summed over cameras)
     const totalCameras = cycleTiming.floors.reduce((sum, f) => sum + (f.captureCount || 0), 0);
     const totalRoutes = cycleTiming.floors.reduce((sum, f) => sum + (f.dijkstraTiming?.graphStats?.startPoints || 0), 0);
     const totalRtspMs = cycleTiming.floors.reduce((sum, f) => sum + (f.phases.rtspCapture || 0), 0);
@@ -639,7 +1322,14 @@ const captureCycle = async () => {
     const totalAiMs = cycleTiming.floors.reduce((sum, f) => sum + (f.phases.aiAnalysis || 0), 0);
     const totalDijkstraMs = cycleTiming.floors.reduce((sum, f) => sum + (f.phases.dijkstra || 0), 0);
     const totalUsrpMs = cycleTiming.floors.reduce((sum, f) => sum + (f.phases.usrp || 0), 0);
-    
+    const totalUrgent = cycleTiming.floors.reduce((sum, f) => sum + (f.urgentUpdates || 0), 0);
+    const totalCameraMs = cycleTiming.floors.reduce((sum, f) => sum + (f.cameraStageMs || 0), 0);
+    const pipelineMs = cycleTiming.totalMs - cycleTiming.phases.dbQuery;
+    const parallelism = pipelineMs > 0 ? (totalCameraMs / pipelineMs).toFixed(2) : '0.00';
+    const firstRoutesMs = cycleTiming.floors.length > 0
+      ? Math.min(...cycleTiming.floors.map(f => f.totalMs)).toFixed(2)
+      : '0.00';
+
     // Display detailed cycle summary
     console.log(`\n╔══════════════════════════════════════════════════╗`);
     console.log(`║         📊 CAPTURE CYCLE SUMMARY                 ║`);
@@ -648,8 +1338,21 @@ const captureCycle = async () => {
     console.log(`║ 🏢 Floors Processed:     ${String(cycleTiming.floorsProcessed).padStart(10)}              ║`);
     console.log(`║ 📷 Cameras Processed:    ${String(totalCameras).padStart(10)}              ║`);
     console.log(`║ 🛤️  Routes Computed:      ${String(totalRoutes).padStart(10)}              ║`);
+    if (totalUrgent > 0) {
+      console.log(`║ 🚨 Urgent Updates:       ${String(totalUrgent).padStart(10)}              ║`);
+    }
+    console.log(`╠══════════════════════════════════════════════════╣`);
+    console.log(`║ ⚡ PARALLELISM                                   ║`);
+    console.log(`║    Camera Work (sum):   ${String(totalCameraMs.toFixed(2)).padStart(10)}ms           ║`);
+    console.log(`║    Pipeline (wall):     ${String(pipelineMs.toFixed(2)).padStart(10)}ms           ║`);
+    console.log(`║    Speed-up:            ${String(`×${parallelism}`).padStart(10)}             ║`);
+    console.log(`║    First Routes After:  ${String(firstRoutesMs).padStart(10)}ms           ║`);
+    for (const pool of Object.values(ctx.pools)) {
+      const { name, concurrency, peak, waitMs } = pool.stats();
+      console.log(`║    ${`Pool ${name}:`.padEnd(20)} ${String(`${peak}/${concurrency}`).padStart(10)} peak (${waitMs}ms queued)`);
+    }
     console.log(`╠══════════════════════════════════════════════════╣`);
-    console.log(`║ ⏱️  TIME BREAKDOWN                               ║`);
+    console.log(`║ ⏱️  TIME BREAKDOWN (summed over cameras/floors)  ║`);
     console.log(`║    DB Query:            ${String(cycleTiming.phases.dbQuery).padStart(10)}ms           ║`);
     console.log(`║    RTSP Capture:        ${String(totalRtspMs.toFixed(2)).padStart(10)}ms           ║`);
     console.log(`║    Cloud Upload:        ${String(totalCloudMs.toFixed(2)).padStart(10)}ms           ║`);
@@ -669,7 +1372,7 @@ const captureCycle = async () => {
       console.log(`║    Per Camera (RTSP):   ${String(avgCameraMs).padStart(10)}ms           ║`);
     }
     console.log(`╚══════════════════════════════════════════════════╝\n`);
-    
+
   } catch (err) {
     console.error("Capture cycle error:", err.message);
   } finally {
@@ -678,6 +1381,68 @@ const captureCycle = async () => {
   }
 };
 
+/* ============================================================
+ * OUT-OF-CYCLE ROUTING
+ * Immediate update after a manual override
+ * ============================================================ */
+
+/**
+ * Recomputes and broadcasts the routes of a floor right away, outside the
+ * capture cycle. For a floor in a building every active floor of the
+ * building is re-routed, as their routes may pass through it.
+ *
+ * @async
+ * @function rerouteNow
+ * @param {string} floorId - Floor whose graph changed
+ * @param {Object} trigger - Stored with the routes, e.g.
+ *        { source: 'override', action: 'set', floorId, overrideType, reason, by, edges: [{ edgeId }] }
+ *
+ * @returns {Promise<Array<Object>>} Per floor re-routed:
+ *          [{ floorId, floorName, routes, overallHazardLevel, emergency, usrpStatus }]
+ *
+ * @description
+ * Uses the edge state stored by the last cycle (no new camera readings).
+ * Floors without active screens are skipped; a disabled floor yields [].
+ * Routes computed while a drill runs are tagged with it.
+ */
+export const rerouteNow = async (floorId, trigger) => {
+  const settings = await Settings.getSettings();
+  const building = await Building.findOne({ 'floors.floorId': floorId });
+  const floorIds = building ? building.floors.map(f => f.floorId) : [floorId];
+
+  const floors = (await FloorMap.find({ id: { $in: floorIds } }))
+    .filter(floor => floor.status !== 'disabled' && floor.status !== 'maintenance');
+  if (!floors.some(floor => floor.id === floorId)) return [];
+
+  const ctx = {
+    routingMode: settings.routing?.mode || 'per-screen',
+    routingIterations: settings.routing?.maxIterations ?? 5,
+    routingWeights: resolveFloorRoutingWeights(settings, floors),
+    drill: await resolveDrill(settings),
+    buildingByFloorId: new Map(building ? floorIds.map(id => [id, building]) : []),
+    floorsById: new Map(floors.map(f => [f.id, f]))
+  };
+
+  const summary = [];
+  for (const floor of floors) {
+    const routing = await computeFloorRoutes(floor, ctx);
+    if (!routing) continue;
+
+    const { emergency, overallHazardLevel, usrpStatus } = await publishRoutes(floor, routing, ctx, { updateType: 'override', trigger });
+    summary.push({
+      floorId: floor.id,
+      floorName: floor.name,
+      routes: routing.routeResults.length,
+      overallHazardLevel,
+      emergency,
+      usrpStatus
+    });
+  }
+
+  console.log(`🚧 Override re-route: ${summary.map(s => `${s.floorName} (${s.routes} routes, ${s.overallHazardLevel})`).join(', ') || 'no active screens'}`);
+  return summary;
+};
+
 /* ============================================================
  * SCHEDULER INITIALIZATION
  * ============================================================ */
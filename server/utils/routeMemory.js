@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Route Memory - Last Route per Screen
+ * @description Remembers the route each screen was last shown, so the next
+ *              computation can hold on to it while a competing route is
+ *              only marginally better (route hysteresis, see dijkstra.js).
+ *
+ * @module utils/routeMemory
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports getPreviousRoutes - Last routes of a floor, by start node
+ * @exports rememberRoutes - Store the routes just published
+ * @exports forgetRoutes - Drop a floor's memory
+ *
+ * @description
+ * Kept in process memory per floor and routing profile: after a restart
+ * the first computation simply takes the best route. Routes are remembered
+ * once per capture cycle only; urgent and override updates are held against
+ * the memory without changing it, so `cycles` counts capture cycles. Only
+ * the fields the hysteresis needs are stored (path, edges, exitNode, cycles).
+ */
+
+/* ============================================================
+ * STATE
+ * ============================================================ */
+
+/** @type {Map<string, Map<string, Object>>} `${floorId}:${profile}` -> startNode -> route */
+const lastRoutes = new Map();
+
+/**
+ * @param {string} floorId - Floor ID
+ * @param {string} profile - Routing profile
+ * @returns {string} Memory key
+ */
+const keyOf = (floorId, profile) => `${floorId}:${profile}`;
+
+/* ============================================================
+ * ACCESS
+ * ============================================================ */
+
+/**
+ * Returns the routes last remembered for a floor.
+ *
+ * @function getPreviousRoutes
+ * @param {string} floorId - Floor ID
+ * @param {string} [profile='standard'] - Routing profile
+ * @returns {Map<string, Object>} startNode -> { path, edges, exitNode, shelterInPlace, cycles }
+ *          (empty when nothing is remembered)
+ */
+export const getPreviousRoutes = (floorId, profile = 'standard') =>
+  lastRoutes.get(keyOf(floorId, profile)) || new Map();
+
+/**
+ * Remembers the routes of a floor, replacing what was stored.
+ *
+ * @function rememberRoutes
+ * @param {string} floorId - Floor ID
+ * @param {Array<Object>} routes - Routes from computeShortestPaths
+ * @param {string} [profile='standard'] - Routing profile
+ */
+export const rememberRoutes = (floorId, routes, profile = 'standard') => {
+  lastRoutes.set(keyOf(floorId, profile), new Map(routes.map(route => [route.startNode, {
+    path: route.path,
+    edges: route.edges,
+    exitNode: route.exitNode,
+    shelterInPlace: !!route.shelterInPlace,
+    cycles: route.stability?.cycles || 0
+  }])));
+};
+
+/**
+ * Forgets a floor's routes (every profile), e.g. when a drill starts or ends.
+ *
+ * @function forgetRoutes
+ * @param {string} [floorId] - Floor ID (all floors when omitted)
+ */
+export const forgetRoutes = (floorId) => {
+  if (!floorId) {
+    lastRoutes.clear();
+    return;
+  }
+  for (const key of [...lastRoutes.keys()]) {
+    if (key.startsWith(`${floorId}:`)) lastRoutes.delete(key);
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Routing Weights - Weight Profiles and Per-Floor Overrides
+ * @description The penalties and factors Dijkstra weighs hazards with.
+ *              Admins keep named weight profiles in Settings and pick the
+ *              active one; a floor may use another profile and override
+ *              single factors (FloorMap.routingWeights). The weights are
+ *              resolved every capture cycle, so changes apply on the next
+ *              cycle without a restart.
+ *
+ * @requires ../models/RoutingWeightsLog.js - Change history
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/routingWeights
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports ROUTING_WEIGHT_LIMITS - Weight keys with their valid range
+ * @exports DEFAULT_PROFILE_NAME - Name of the built-in profile
+ * @exports DEFAULT_ROUTING_WEIGHTS - Built-in weights (DIJKSTRA_* environment variables)
+ * @exports resolveRoutingWeights - Weights of one floor
+ * @exports resolveFloorRoutingWeights - Weights of every floor of a cycle
+ * @exports describeRoutingWeights - Settings.routingWeights for API responses
+ * @exports logRoutingWeights - Write a RoutingWeightsLog entry
+ *
+ * @description
+ * Resolution (later wins):
+ * ┌───┬────────────────────────────────────────┬──────────────────────────────┐
+ * │ # │ Source                                 │ Applies to                   │
+ * ├───┼────────────────────────────────────────┼──────────────────────────────┤
+ * │ 1 │ DIJKSTRA_* environment variables       │ 'default' profile            │
+ * │ 2 │ Settings.routingWeights.activeProfile  │ every floor                  │
+ * │ 3 │ FloorMap.routingWeights.profile        │ that floor (whole profile)   │
+ * │ 4 │ FloorMap.routingWeights.weights        │ that floor (single factors)  │
+ * └───┴────────────────────────────────────────┴──────────────────────────────┘
+ *
+ * A profile name that no longer exists falls back to 'default', so deleting
+ * a profile never leaves a floor without weights.
+ *
+ * Environment Variables (defaults of the 'default' profile):
+ * - DIJKSTRA_FIRE_PENALTY: Fire hazard penalty multiplier (default: 1000)
+ * - DIJKSTRA_SMOKE_PENALTY: Smoke hazard penalty multiplier (default: 500)
+ * - DIJKSTRA_PEOPLE_PENALTY: People congestion additive penalty (default: 2)
+ * - DIJKSTRA_PEOPLE_FACTOR: People weight scaling factor (default: 0.5)
+ * - DIJKSTRA_FIRE_FACTOR: Fire weight scaling factor (default: 2)
+ * - DIJKSTRA_SMOKE_FACTOR: Smoke weight scaling factor (default: 1.5)
+ * - DIJKSTRA_THRESHOLD_MULTIPLIER: Threshold violation multiplier (default: 100)
+ * - DIJKSTRA_PREDICTED_FACTOR: Weight factor for predicted fire/smoke (default: 3)
+ * - DIJKSTRA_CONGESTED_EXIT_FACTOR: Weight factor into a congested exit (default: 5)
+ */
+
+import RoutingWeightsLog from "../models/RoutingWeightsLog.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/**
+ * @const {Object} ROUTING_WEIGHT_LIMITS - Weight key -> { min, max, env, fallback }
+ *        (the same keys make up a profile's weights)
+ */
+export const ROUTING_WEIGHT_LIMITS = Object.freeze({
+  firePenalty: { min: 0, max: 100000, env: 'DIJKSTRA_FIRE_PENALTY', fallback: 1000 },
+  smokePenalty: { min: 0, max: 100000, env: 'DIJKSTRA_SMOKE_PENALTY', fallback: 500 },
+  peoplePenalty: { min: 0, max: 1000, env: 'DIJKSTRA_PEOPLE_PENALTY', fallback: 2 },
+  peopleFactor: { min: 0, max: 100, env: 'DIJKSTRA_PEOPLE_FACTOR', fallback: 0.5 },
+  fireFactor: { min: 0, max: 100, env: 'DIJKSTRA_FIRE_FACTOR', fallback: 2 },
+  smokeFactor: { min: 0, max: 100, env: 'DIJKSTRA_SMOKE_FACTOR', fallback: 1.5 },
+  thresholdMultiplier: { min: 0, max: 10000, env: 'DIJKSTRA_THRESHOLD_MULTIPLIER', fallback: 100 },
+  predictedFactor: { min: 0, max: 100, env: 'DIJKSTRA_PREDICTED_FACTOR', fallback: 3 },
+  congestedExitFactor: { min: 1, max: 100, env: 'DIJKSTRA_CONGESTED_EXIT_FACTOR', fallback: 5 }
+});
+
+/** @const {string} DEFAULT_PROFILE_NAME - Built-in profile, taken from the environment */
+export const DEFAULT_PROFILE_NAME = 'default';
+
+/** @const {Object} DEFAULT_ROUTING_WEIGHTS - Weights of the 'default' profile */
+export const DEFAULT_ROUTING_WEIGHTS = Object.freeze(Object.fromEntries(
+  Object.entries(ROUTING_WEIGHT_LIMITS).map(([key, { env, fallback }]) => {
+    const value = parseFloat(process.env[env]);
+    return [key, Number.isFinite(value) ? value : fallback];
+  })
+));
+
+/* ============================================================
+ * RESOLUTION
+ * ============================================================ */
+
+/**
+ * Copies the set weight keys of a stored object (null/undefined are skipped).
+ *
+ * @param {Object} [stored] - Profile weights or floor overrides
+ * @returns {Object} Plain object with the numeric keys only
+ */
+const pickWeights = (stored) => Object.fromEntries(
+  Object.keys(ROUTING_WEIGHT_LIMITS)
+    .filter(key => typeof stored?.[key] === 'number')
+    .map(key => [key, stored[key]])
+);
+
+/**
+ * Resolves the weights a floor is routed with.
+ *
+ * @function resolveRoutingWeights
+ * @param {Object} [settings] - Settings document (or plain object)
+ * @param {Object} [floor] - FloorMap document (or plain object)
+ * @returns {Object} { profile, weights, floorOverrides }
+ * @returns {string} .profile - Name of the profile used
+ * @returns {Object} .weights - Complete weights (see ROUTING_WEIGHT_LIMITS)
+ * @returns {Array<string>} .floorOverrides - Keys set by the floor itself
+ */
+export const resolveRoutingWeights = (settings, floor) => {
+  const stored = settings?.routingWeights || {};
+  const profiles = stored.profiles || [];
+  const requested = floor?.routingWeights?.profile || stored.activeProfile || DEFAULT_PROFILE_NAME;
+  const profile = profiles.find(p => p.name === requested);
+
+  const floorWeights = pickWeights(floor?.routingWeights?.weights);
+
+  return {
+    profile: profile ? profile.name : DEFAULT_PROFILE_NAME,
+    weights: { ...DEFAULT_ROUTING_WEIGHTS, ...pickWeights(profile?.weights), ...floorWeights },
+    floorOverrides: Object.keys(floorWeights)
+  };
+};
+
+/**
+ * Resolves the weights of every floor of a capture cycle.
+ *
+ * @function resolveFloorRoutingWeights
+ * @param {Object} settings - Settings document
+ * @param {Array<Object>} floors - FloorMap documents
+ * @returns {Map<string, Object>} floorId -> resolveRoutingWeights result
+ */
+export const resolveFloorRoutingWeights = (settings, floors) =>
+  new Map(floors.map(floor => [floor.id, resolveRoutingWeights(settings, floor)]));
+
+/**
+ * Profiles as returned by the settings API, with the built-in weights and
+ * the valid ranges so the admin dashboard can offer them.
+ *
+ * @function describeRoutingWeights
+ * @param {Object} settings - Settings document
+ * @returns {Object} { activeProfile, profiles, defaultProfile, defaults, limits }
+ */
+export const describeRoutingWeights = (settings) => ({
+  activeProfile: settings?.routingWeights?.activeProfile || DEFAULT_PROFILE_NAME,
+  profiles: (settings?.routingWeights?.profiles || []).map(p => ({
+    name: p.name,
+    description: p.description || '',
+    weights: pickWeights(p.weights)
+  })),
+  defaultProfile: DEFAULT_PROFILE_NAME,
+  defaults: DEFAULT_ROUTING_WEIGHTS,
+  limits: Object.fromEntries(
+    Object.entries(ROUTING_WEIGHT_LIMITS).map(([key, { min, max }]) => [key, { min, max }])
+  )
+});
+
+/* ============================================================
+ * HISTORY
+ * ============================================================ */
+
+/**
+ * Writes a RoutingWeightsLog entry. Failures are logged, never thrown, so a
+ * log write can not undo a change that was already saved.
+ *
+ * @async
+ * @function logRoutingWeights
+ * @param {Object} entry - { scope: 'settings'|'floor', floorId?, action, before, after, by }
+ * @returns {Promise<Object|null>} Created log entry, or null on failure
+ */
+export const logRoutingWeights = async (entry) => {
+  try {
+    return await RoutingWeightsLog.create(entry);
+  } catch (err) {
+    console.error(`⚖️ Failed to log routing weights ${entry.action} (${entry.scope}${entry.floorId ? ` ${entry.floorId}` : ''}):`, err.message);
+    return null;
+  }
+};
@@ -42,7 +42,9 @@ const DEFAULT_TEMP_FRAMES_DIR = process.env.TEMP_FRAMES_DIR || "./temp_frames";
  * @param {string} rtspUrl - Full RTSP URL of the camera stream
  * @param {string} floorId - Floor identifier for filename
  * @param {string} cameraId - Camera identifier for filename
- * @param {string} [outDir=DEFAULT_TEMP_FRAMES_DIR] - Output directory
+ * @param {Object} [options] - Capture options
+ * @param {string} [options.outDir=DEFAULT_TEMP_FRAMES_DIR] - Output directory
+ * @param {AbortSignal} [options.signal] - Kills FFmpeg and rejects when aborted
  * @returns {Promise<Object>} Capture result
  * @returns {string} returns.localPath - Absolute path to captured image
  * @returns {string} returns.cameraId - Camera ID for reference
@@ -53,6 +55,9 @@ const DEFAULT_TEMP_FRAMES_DIR = process.env.TEMP_FRAMES_DIR || "./temp_frames";
  * 2. Capture exactly 1 frame
  * 3. Save as JPEG with timestamp-based filename
  * 
+ * FFmpeg has no time limit of its own on a stream that never sends a frame,
+ * so callers pass a signal (see workerPool.withTimeout) to end it.
+ * 
  * Filename format: {timestamp}-{floorId}-{cameraId}.jpg
  * 
  * @example
@@ -65,8 +70,13 @@ const DEFAULT_TEMP_FRAMES_DIR = process.env.TEMP_FRAMES_DIR || "./temp_frames";
  * 
  * @throws {Error} FFmpeg errors (connection timeout, invalid stream, etc.)
  */
-export const captureFrameFromRtsp = (rtspUrl, floorId, cameraId, outDir = DEFAULT_TEMP_FRAMES_DIR) => {
+export const captureFrameFromRtsp = (rtspUrl, floorId, cameraId, { outDir = DEFAULT_TEMP_FRAMES_DIR, signal } = {}) => {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
     // Ensure output directory exists
     if (!fs.existsSync(outDir)) {
       fs.mkdirSync(outDir, { recursive: true });
@@ -76,13 +86,35 @@ export const captureFrameFromRtsp = (rtspUrl, floorId, cameraId, outDir = DEFAUL
     const filename = `${Date.now()}-${floorId}-${cameraId}.jpg`;
     const outPath = path.join(outDir, filename);
 
+    let aborted = false;
+
     // Use FFmpeg to capture single frame
-    ffmpeg(rtspUrl)
+    const command = ffmpeg(rtspUrl)
       .frames(1)              // Capture exactly 1 frame
       .outputOptions("-y")    // Overwrite existing file
       .output(outPath)
-      .on("end", () => resolve({ localPath: outPath, cameraId }))
-      .on("error", (err) => reject(err))
-      .run();
+      .on("start", () => {
+        // Aborted while FFmpeg was being spawned
+        if (aborted) command.kill("SIGKILL");
+      })
+      .on("end", () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve({ localPath: outPath, cameraId });
+      })
+      .on("error", (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        if (aborted) fs.rmSync(outPath, { force: true });
+        reject(err);
+      });
+
+    // Kill the process on abort; the 'error' it causes is ignored (already rejected)
+    function onAbort() {
+      aborted = true;
+      command.kill("SIGKILL");
+      reject(signal.reason);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    command.run();
   });
 };
@@ -44,6 +44,8 @@ const FLOOR_MAPS_FOLDER = process.env.CLOUDINARY_FLOOR_MAPS_FOLDER || "floor_map
  * @param {string} localPath - Absolute path to the image file
  * @param {string} floorId - Floor identifier for folder structure
  * @param {string} cameraId - Camera identifier for folder structure
+ * @param {Object} [options] - Upload options
+ * @param {number} [options.timeoutMs] - Request time limit (Cloudinary default: 60s)
  * @returns {Promise<string|null>} Cloudinary secure URL or null on failure
  * 
  * @description
@@ -57,7 +59,7 @@ const FLOOR_MAPS_FOLDER = process.env.CLOUDINARY_FLOOR_MAPS_FOLDER || "floor_map
  * 
  * @note Returns null on failure (graceful degradation)
  */
-const uploadRecordToCloud = async (localPath, floorId, cameraId) => {
+const uploadRecordToCloud = async (localPath, floorId, cameraId, { timeoutMs } = {}) => {
   try {
     const now = new Date();
     
@@ -71,6 +73,8 @@ const uploadRecordToCloud = async (localPath, floorId, cameraId) => {
         .padStart(2, "0")}/${floorId}/${cameraId}`,
       public_id: `${path.basename(localPath)}`,
       allowed_formats: ["jpg", "png"],
+      // The SDK can not be aborted; its own timeout ends the request instead
+      ...(timeoutMs > 0 && { timeout: timeoutMs }),
     });
     
     return res.secure_url;
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Urgent Re-routing - Mid-Cycle Threshold Crossings
+ * @description Detects a single camera reading that pushes a corridor over
+ *              its fire/smoke threshold while the rest of the floor is still
+ *              being captured, and prepares the floor data an immediate
+ *              re-route is computed from.
+ *
+ * @requires dotenv - Environment variable loading
+ *
+ * @module utils/urgentReroute
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports URGENT_REROUTE_ENABLED - Feature switch (URGENT_REROUTE_ENABLED)
+ * @exports findThresholdCrossings - Covered edges a reading pushes over threshold
+ * @exports applySpikes - Floor copy with the crossing readings applied
+ *
+ * @description
+ * A crossing is an edge that is within its thresholds now (smoothed state of
+ * the previous cycle) and whose new raw reading exceeds fireThreshold or
+ * smokeThreshold. People counts never trigger an urgent update, as they never
+ * make a route exceed its thresholds.
+ *
+ * The urgent route is computed from the raw reading (no smoothing); the
+ * end-of-cycle update then replaces it with the smoothed state of all cameras.
+ * With hazardSmoothing.fastAttack on, smoothing takes a reading over a
+ * threshold as is (see hazardState.js), so that update keeps avoiding the
+ * corridor and the next cycle does not trigger again while the reading stays
+ * high. With it off, the average may stay below the threshold and the
+ * end-of-cycle update route back through the corridor until it catches up.
+ *
+ * Environment Variables:
+ * - URGENT_REROUTE_ENABLED: Set to 'false' to only route at the end of a cycle
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {boolean} URGENT_REROUTE_ENABLED - Recompute routes on mid-cycle crossings */
+export const URGENT_REROUTE_ENABLED = process.env.URGENT_REROUTE_ENABLED !== 'false';
+
+/* ============================================================
+ * DETECTION
+ * ============================================================ */
+
+/**
+ * Lists the covered edges a camera reading pushes over a fire/smoke threshold.
+ *
+ * @function findThresholdCrossings
+ * @param {Array<Object>} edges - FloorMap edges (current smoothed state)
+ * @param {Array<Object>} coverage - Camera coverage [{ edgeId, weight }]
+ * @param {Object|null} reading - { peopleCount, fireProb, smokeProb }
+ *
+ * @returns {Array<Object>} [{ edgeId, fireProb, smokeProb, peopleCount, exceeded: ['fire'|'smoke'] }]
+ *
+ * @example
+ * findThresholdCrossings(floor.edges, [{ edgeId: 'E3', weight: 1 }], { fireProb: 0.82, smokeProb: 0.4 });
+ * // [{ edgeId: 'E3', fireProb: 0.82, smokeProb: 0.4, peopleCount: 0, exceeded: ['fire'] }]
+ */
+export const findThresholdCrossings = (edges, coverage, reading) => {
+  if (!reading) return [];
+
+  const fireProb = reading.fireProb || 0;
+  const smokeProb = reading.smokeProb || 0;
+  const crossings = [];
+
+  for (const { edgeId } of coverage) {
+    const edge = edges.find(e => e.id === edgeId);
+    if (!edge) continue;
+
+    const fireThreshold = edge.fireThreshold ?? 0.7;
+    const smokeThreshold = edge.smokeThreshold ?? 0.6;
+    const dangerousNow = (edge.currentFireProb || 0) > fireThreshold || (edge.currentSmokeProb || 0) > smokeThreshold;
+    if (dangerousNow) continue; // Routes already avoid it
+
+    const exceeded = [
+      fireProb > fireThreshold && 'fire',
+      smokeProb > smokeThreshold && 'smoke'
+    ].filter(Boolean);
+
+    if (exceeded.length > 0) {
+      crossings.push({ edgeId, fireProb, smokeProb, peopleCount: reading.peopleCount || 0, exceeded });
+    }
+  }
+
+  return crossings;
+};
+
+/* ============================================================
+ * FLOOR OVERLAY
+ * ============================================================ */
+
+/**
+ * Builds a plain copy of a floor whose crossing edges carry the new reading
+ * (never lower than their current values). The FloorMap document itself is
+ * left untouched for the end-of-cycle smoothing.
+ *
+ * @function applySpikes
+ * @param {Object} floor - FloorMap document
+ * @param {Map<string, Object>} spikes - edgeId -> crossing from findThresholdCrossings
+ *
+ * @returns {Object} { id, name, nodes, edges, mapImage, exitPoints, exits }, usable
+ *          with buildFloorGraph / buildBuildingGraph
+ */
+export const applySpikes = (floor, spikes) => ({
+  id: floor.id,
+  name: floor.name,
+  nodes: floor.nodes,
+  mapImage: floor.mapImage,
+  exitPoints: floor.exitPoints,
+  exits: floor.exits,
+  edges: floor.edges.map(edge => {
+    const spike = spikes.get(edge.id);
+    if (!spike) return edge;
+
+    const plain = typeof edge.toObject === 'function' ? edge.toObject() : { ...edge };
+    return {
+      ...plain,
+      currentFireProb: Math.max(plain.currentFireProb || 0, spike.fireProb),
+      currentSmokeProb: Math.max(plain.currentSmokeProb || 0, spike.smokeProb),
+      currentPeopleCount: Math.max(plain.currentPeopleCount || 0, spike.peopleCount)
+    };
+  })
+});
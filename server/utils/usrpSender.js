@@ -7,6 +7,7 @@
  * @requires path - Path utilities
  * @requires fs - File system operations
  * @requires dotenv - Environment variable loading
+ * @requires ./workerPool.js - Queues transmissions (one radio)
  * 
  * @module utils/usrpSender
  * @author Marcelino Saad
@@ -42,6 +43,7 @@
  * - USRP_UHD_IMAGES_DIR: UHD images directory (default: /usr/share/uhd/images)
  * - USRP_LD_PRELOAD: Library preload for pthread fix
  * - USRP_TX_DATA_FILE: Output file path (default: ./utils/results.json)
+ * - USRP_TX_SCRIPT: Transmission script (default: ./utils/tx_ofdm.py)
  */
 
 import { spawn } from "child_process";
@@ -49,6 +51,7 @@ import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { createLimiter } from "./workerPool.js";
 
 dotenv.config();
 
@@ -84,6 +87,9 @@ const USRP_LD_PRELOAD = process.env.USRP_LD_PRELOAD || "/usr/lib/x86_64-linux-gn
 /** @const {string} USRP_TX_DATA_FILE - Path to results.json output file */
 const USRP_TX_DATA_FILE = process.env.USRP_TX_DATA_FILE || "./utils/results.json";
 
+/** @const {string|null} USRP_TX_SCRIPT - Transmission script (tests use a fake one) */
+const USRP_TX_SCRIPT = process.env.USRP_TX_SCRIPT || null;
+
 /* ============================================================
  * PLATFORM DETECTION
  * ============================================================ */
@@ -94,6 +100,9 @@ const isWindows = process.platform === 'win32';
 /** @const {string} PYTHON_CMD - Python command for current platform */
 const PYTHON_CMD = isWindows ? 'python' : 'python3';
 
+/** @const {Object} radio - One transmission at a time (shared radio and results.json) */
+const radio = createLimiter(1, 'usrp');
+
 /* ============================================================
  * HELPER FUNCTIONS
  * ============================================================ */
@@ -141,55 +150,17 @@ const createPaddedResultsFile = (routeData) => {
  * ============================================================ */
 
 /**
- * Sends route data via USRP/SDR using a Python script.
- * 
- * @async
- * @function sendViaUSRP
+ * Writes results.json and runs the transmission script once.
+ * Callers go through sendViaUSRP, which runs one transmission at a time.
+ *
  * @param {Object} routeData - Route data to transmit
- * @param {string} routeData.floorId - Floor identifier
- * @param {string} routeData.floorName - Human-readable floor name
- * @param {Array} routeData.routes - Array of computed routes
- * @param {boolean} routeData.emergency - Emergency flag
- * @param {string} routeData.overallHazardLevel - Overall hazard assessment
- * @param {string} [pythonScript=null] - Custom Python script path (optional)
- * 
- * @returns {Promise<Object>} Transmission result
- * @returns {boolean} .ok - True if transmission succeeded
- * @returns {string} .output - Script stdout output
- * 
- * @throws {Error} If Python script fails or times out
- * 
- * @description
- * Process flow:
- * 1. Create padded results.json file
- * 2. Prepare clean environment (remove conflicting libs on Linux)
- * 3. Spawn Python script (tx_ofdm.py)
- * 4. Monitor stdout/stderr for logging
- * 5. Handle timeout (kill process after USRP_TRANSMISSION_TIMEOUT_MS)
- * 6. Return success/failure with cleanup
- * 
- * Environment preparation (Linux):
- * - Removes LD_LIBRARY_PATH (avoids snap library conflicts)
- * - Removes PYTHONPATH (avoids Python path conflicts)
- * - Sets UHD_IMAGES_DIR for USRP firmware
- * - Sets LD_PRELOAD for pthread fix
- * 
- * @example
- * try {
- *   const result = await sendViaUSRP({
- *     floorId: 'floor_1',
- *     routes: [...],
- *     emergency: false
- *   });
- *   console.log(result.ok ? 'Sent!' : 'Failed');
- * } catch (err) {
- *   console.error('USRP error:', err.message);
- * }
+ * @param {string|null} pythonScript - Custom Python script path
+ * @returns {Promise<Object>} { ok, output }
  */
-export const sendViaUSRP = async (routeData, pythonScript = null) => {
+const transmit = (routeData, pythonScript) => {
   return new Promise((resolve, reject) => {
-    // Default to tx_ofdm.py in same directory
-    const scriptPath = pythonScript || path.join(__dirname, "tx_ofdm.py");
+    // Default to USRP_TX_SCRIPT, then tx_ofdm.py in same directory
+    const scriptPath = pythonScript || USRP_TX_SCRIPT || path.join(__dirname, "tx_ofdm.py");
     
     // Create padded results.json file
     const resultsPath = createPaddedResultsFile(routeData);
@@ -299,4 +270,57 @@ export const sendViaUSRP = async (routeData, pythonScript = null) => {
       reject(new Error(errorMsg));
     });
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Sends route data via USRP/SDR using a Python script.
+ * 
+ * @async
+ * @function sendViaUSRP
+ * @param {Object} routeData - Route data to transmit
+ * @param {string} routeData.floorId - Floor identifier
+ * @param {string} routeData.floorName - Human-readable floor name
+ * @param {Array} routeData.routes - Array of computed routes
+ * @param {boolean} routeData.emergency - Emergency flag
+ * @param {string} routeData.overallHazardLevel - Overall hazard assessment
+ * @param {string} [pythonScript=null] - Custom Python script path (optional)
+ * 
+ * @returns {Promise<Object>} Transmission result
+ * @returns {boolean} .ok - True if transmission succeeded
+ * @returns {string} .output - Script stdout output
+ * 
+ * @throws {Error} If Python script fails or times out
+ * 
+ * @description
+ * Process flow:
+ * 1. Create padded results.json file
+ * 2. Prepare clean environment (remove conflicting libs on Linux)
+ * 3. Spawn Python script (tx_ofdm.py)
+ * 4. Monitor stdout/stderr for logging
+ * 5. Handle timeout (kill process after USRP_TRANSMISSION_TIMEOUT_MS)
+ * 6. Return success/failure with cleanup
+ *
+ * There is one radio and one results.json, so transmissions are queued and
+ * sent one at a time (floors are routed concurrently by periodicJob).
+ * 
+ * Environment preparation (Linux):
+ * - Removes LD_LIBRARY_PATH (avoids snap library conflicts)
+ * - Removes PYTHONPATH (avoids Python path conflicts)
+ * - Sets UHD_IMAGES_DIR for USRP firmware
+ * - Sets LD_PRELOAD for pthread fix
+ * 
+ * @example
+ * try {
+ *   const result = await sendViaUSRP({
+ *     floorId: 'floor_1',
+ *     routes: [...],
+ *     emergency: false
+ *   });
+ *   console.log(result.ok ? 'Sent!' : 'Failed');
+ * } catch (err) {
+ *   console.error('USRP error:', err.message);
+ * }
+ */
+export const sendViaUSRP = (routeData, pythonScript = null) => (
+  radio.run(() => transmit(routeData, pythonScript))
+);
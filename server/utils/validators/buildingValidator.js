@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Building Validation Utilities
+ * @description Validation for multi-floor building data ensuring:
+ *              - Referenced floors exist and belong to only one building
+ *              - Connectors join stairs/elevator nodes on two different floors
+ *              - Connector IDs do not clash with edge IDs (they share the graph)
+ *
+ * @requires Building - MongoDB model for building data
+ * @requires FloorMap - MongoDB model for floor data
+ *
+ * @module utils/validators/buildingValidator
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports validateBuildingData - Validate building for create/update operations
+ */
+
+import Building from "../../models/Building.js";
+import FloorMap from "../../models/FloorMap.js";
+
+/* ============================================================
+ * BUILDING DATA VALIDATION
+ * ============================================================ */
+
+/**
+ * Validates building data against existing floors and buildings.
+ *
+ * @async
+ * @function validateBuildingData
+ * @param {Object} buildingData - Building data to validate
+ * @param {Array} buildingData.floors - [{ floorId, level, exteriorExits }]
+ * @param {Array} [buildingData.connectors] - Stairwell/elevator connectors
+ * @param {number} [buildingData.groundLevel=0] - Level whose exits lead outside
+ * @param {string|null} excludeBuildingId - Building ID to exclude (for updates)
+ * @returns {Promise<Object>} Validation result
+ * @returns {boolean} returns.valid - Whether validation passed
+ * @returns {string[]} returns.errors - Array of error messages
+ *
+ * @description
+ * Validation checks:
+ * 1. At least one floor, no duplicate floor IDs
+ * 2. Every floor exists and is not part of another building
+ * 3. At least one floor has building exits (ground level or exteriorExits)
+ * 4. No duplicate connector IDs, none equal to an existing edge ID
+ * 5. Connector endpoints are on two different floors of this building
+ * 6. Connector nodes exist and have the matching 'stairs'/'elevator' type
+ */
+export const validateBuildingData = async (buildingData, excludeBuildingId = null) => {
+  const errors = [];
+  const floorEntries = buildingData.floors || [];
+  const groundLevel = buildingData.groundLevel ?? 0;
+
+  // ─────────────────────────────────────────────
+  // VALIDATE FLOOR LIST
+  // ─────────────────────────────────────────────
+  if (floorEntries.length === 0) {
+    errors.push("Building must contain at least one floor");
+  }
+
+  const floorIdSet = new Set();
+  for (const entry of floorEntries) {
+    if (!entry.floorId) {
+      errors.push("Every building floor requires a floorId");
+      continue;
+    }
+    if (typeof entry.level !== "number" || Number.isNaN(entry.level)) {
+      errors.push(`Floor '${entry.floorId}' requires a numeric level`);
+    }
+    if (floorIdSet.has(entry.floorId)) {
+      errors.push(`Duplicate floor '${entry.floorId}' within building`);
+    }
+    floorIdSet.add(entry.floorId);
+  }
+
+  if (floorEntries.length > 0 && !floorEntries.some(f => f.level === groundLevel || f.exteriorExits)) {
+    errors.push(`No floor at ground level ${groundLevel} or with exteriorExits - routes could never leave the building`);
+  }
+
+  // ─────────────────────────────────────────────
+  // LOAD REFERENCED FLOORS AND OTHER BUILDINGS
+  // ─────────────────────────────────────────────
+  const floors = await FloorMap.find({ id: { $in: [...floorIdSet] } });
+  const floorMap = new Map(floors.map(f => [f.id, f]));
+
+  for (const floorId of floorIdSet) {
+    if (!floorMap.has(floorId)) {
+      errors.push(`Floor '${floorId}' does not exist`);
+    }
+  }
+
+  const query = excludeBuildingId ? { id: { $ne: excludeBuildingId } } : {};
+  const otherBuildings = await Building.find(query);
+  const otherConnectorIds = new Set();
+
+  for (const other of otherBuildings) {
+    other.floors?.forEach(f => {
+      if (floorIdSet.has(f.floorId)) {
+        errors.push(`Floor '${f.floorId}' already belongs to building '${other.id}'`);
+      }
+    });
+    other.connectors?.forEach(c => otherConnectorIds.add(c.id));
+  }
+
+  // Connector IDs become edge IDs in the building graph
+  const allFloors = await FloorMap.find({}, { "edges.id": 1 });
+  const existingEdgeIds = new Set();
+  allFloors.forEach(f => f.edges?.forEach(e => existingEdgeIds.add(e.id)));
+
+  // ─────────────────────────────────────────────
+  // VALIDATE CONNECTORS
+  // ─────────────────────────────────────────────
+  const connectorIdSet = new Set();
+
+  for (const connector of (buildingData.connectors || [])) {
+    if (!connector.id) {
+      errors.push("Every connector requires an id");
+      continue;
+    }
+
+    if (connectorIdSet.has(connector.id)) {
+      errors.push(`Duplicate connector ID '${connector.id}' within building`);
+    }
+    connectorIdSet.add(connector.id);
+
+    if (otherConnectorIds.has(connector.id)) {
+      errors.push(`Connector ID '${connector.id}' already exists in another building`);
+    }
+    if (existingEdgeIds.has(connector.id)) {
+      errors.push(`Connector ID '${connector.id}' clashes with an existing edge ID`);
+    }
+
+    if (!['stairs', 'elevator'].includes(connector.type)) {
+      errors.push(`Connector '${connector.id}' type must be 'stairs' or 'elevator'`);
+    }
+
+    if (connector.fromFloorId === connector.toFloorId) {
+      errors.push(`Connector '${connector.id}' must join two different floors`);
+    }
+
+    // Validate both endpoints
+    for (const [floorId, nodeId] of [
+      [connector.fromFloorId, connector.fromNodeId],
+      [connector.toFloorId, connector.toNodeId]
+    ]) {
+      if (!floorIdSet.has(floorId)) {
+        errors.push(`Connector '${connector.id}' references floor '${floorId}' which is not in this building`);
+        continue;
+      }
+
+      const floor = floorMap.get(floorId);
+      if (!floor) continue; // Already reported as missing
+
+      const node = floor.nodes?.find(n => n.id === nodeId);
+      if (!node) {
+        errors.push(`Connector '${connector.id}' references non-existent node '${nodeId}' on floor '${floorId}'`);
+      } else if (node.type !== connector.type) {
+        errors.push(`Connector '${connector.id}' node '${nodeId}' must have type '${connector.type}' (found '${node.type}')`);
+      }
+    }
+
+    if (connector.lengthMeters !== undefined && !(connector.lengthMeters > 0)) {
+      errors.push(`Connector '${connector.id}' lengthMeters must be a positive number`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Drill Validation Utilities
+ * @description Validation for evacuation drill scenarios ensuring:
+ *              - The scenario is named and scripts at least one edge
+ *              - Every scripted edge exists on its floor
+ *              - Keyframes are ordered in time and values are in range
+ *
+ * @requires FloorMap - MongoDB model for floor data
+ *
+ * @module utils/validators/drillValidator
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports validateDrillScenario - Validate a scenario before a drill starts
+ */
+
+import FloorMap from "../../models/FloorMap.js";
+
+/* ============================================================
+ * DRILL SCENARIO VALIDATION
+ * ============================================================ */
+
+/**
+ * Validates a drill scenario against the existing floors.
+ *
+ * @async
+ * @function validateDrillScenario
+ * @param {Object} scenario - Drill scenario to validate
+ * @param {string} scenario.name - Scenario name
+ * @param {Array} scenario.timeline - [{ floorId, edgeId, keyframes: [{ atSec, peopleCount, fireProb, smokeProb }] }]
+ * @returns {Promise<Object>} Validation result
+ * @returns {boolean} returns.valid - Whether validation passed
+ * @returns {string[]} returns.errors - Array of error messages
+ *
+ * @description
+ * Validation checks:
+ * 1. Name is a non-empty string
+ * 2. Timeline is a non-empty array, each edge scripted only once
+ * 3. Every floor exists and has the scripted edge
+ * 4. Each edge has at least one keyframe, atSec >= 0 and strictly increasing
+ * 5. fireProb/smokeProb within 0-1, peopleCount >= 0
+ */
+export const validateDrillScenario = async (scenario) => {
+  const errors = [];
+  const { name, timeline } = scenario || {};
+
+  // ─────────────────────────────────────────────
+  // VALIDATE NAME AND TIMELINE SHAPE
+  // ─────────────────────────────────────────────
+  if (typeof name !== "string" || name.trim() === "") {
+    errors.push("Drill requires a name");
+  }
+
+  if (!Array.isArray(timeline) || timeline.length === 0) {
+    errors.push("Drill timeline must script at least one edge");
+    return { valid: false, errors };
+  }
+
+  // ─────────────────────────────────────────────
+  // LOAD REFERENCED FLOORS
+  // ─────────────────────────────────────────────
+  const floorIds = [...new Set(timeline.map(t => t?.floorId).filter(Boolean))];
+  const floors = await FloorMap.find({ id: { $in: floorIds } }, { id: 1, 'edges.id': 1 }).lean();
+  const edgesByFloor = new Map(floors.map(f => [f.id, new Set(f.edges.map(e => e.id))]));
+
+  // ─────────────────────────────────────────────
+  // VALIDATE EACH EDGE TIMELINE
+  // ─────────────────────────────────────────────
+  const scripted = new Set();
+  for (const entry of timeline) {
+    if (!entry?.floorId || !entry?.edgeId) {
+      errors.push("Every timeline entry requires a floorId and an edgeId");
+      continue;
+    }
+
+    const label = `${entry.floorId}/${entry.edgeId}`;
+    if (scripted.has(label)) {
+      errors.push(`Edge '${label}' is scripted more than once`);
+    }
+    scripted.add(label);
+
+    const floorEdges = edgesByFloor.get(entry.floorId);
+    if (!floorEdges) {
+      errors.push(`Floor '${entry.floorId}' not found`);
+    } else if (!floorEdges.has(entry.edgeId)) {
+      errors.push(`Edge '${entry.edgeId}' not found on floor '${entry.floorId}'`);
+    }
+
+    if (!Array.isArray(entry.keyframes) || entry.keyframes.length === 0) {
+      errors.push(`Edge '${label}' requires at least one keyframe`);
+      continue;
+    }
+
+    let previousSec = -1;
+    for (const keyframe of entry.keyframes) {
+      const atSec = Number(keyframe?.atSec);
+      if (!Number.isFinite(atSec) || atSec < 0) {
+        errors.push(`Edge '${label}': keyframe atSec must be a number >= 0`);
+        continue;
+      }
+      if (atSec <= previousSec) {
+        errors.push(`Edge '${label}': keyframes must be in increasing atSec order (${atSec}s after ${previousSec}s)`);
+      }
+      previousSec = atSec;
+
+      for (const key of ["fireProb", "smokeProb"]) {
+        if (keyframe[key] === undefined) continue;
+        const value = Number(keyframe[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+          errors.push(`Edge '${label}' at ${atSec}s: ${key} must be between 0 and 1`);
+        }
+      }
+      if (keyframe.peopleCount !== undefined) {
+        const people = Number(keyframe.peopleCount);
+        if (!Number.isFinite(people) || people < 0) {
+          errors.push(`Edge '${label}' at ${atSec}s: peopleCount must be >= 0`);
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
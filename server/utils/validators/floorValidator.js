@@ -6,20 +6,115 @@
  *              - Data integrity for graph operations
  * 
  * @requires FloorMap - MongoDB model for floor data
+ * @requires Building - MongoDB model for buildings (connector IDs)
+ * @requires cameraCoverage - Camera aggregation methods
+ * @requires accessibility - Node/edge traversal types
+ * @requires edgeDirection - One-way edges and screen reachability
  * 
  * @module utils/validators/floorValidator
  * @author Marcelino Saad
  * @version 1.0.0
  * 
+ * @exports collectFloorIds - IDs already used by other floors and connectors
  * @exports validateFloorData - Validate floor for create/update operations
  */
 
 import FloorMap from "../../models/FloorMap.js";
+import Building from "../../models/Building.js";
+import { CAMERA_AGGREGATION_METHODS } from "../cameraCoverage.js";
+import { TRAVERSAL_TYPES } from "../accessibility.js";
+import { EDGE_DIRECTIONS, findCutOffStartPoints } from "../edgeDirection.js";
 
 /* ============================================================
  * FLOOR DATA VALIDATION
  * ============================================================ */
 
+/**
+ * Validates the coverage list of one camera.
+ *
+ * @param {string} cameraId - Camera the coverage belongs to
+ * @param {Array} coverage - { edgeId, weight } entries
+ * @param {Set<string>} edgeIdSet - Edge IDs of the floor
+ * @param {string[]} errors - Collected error messages (appended to)
+ */
+const validateCoverage = (cameraId, coverage, edgeIdSet, errors) => {
+  if (!Array.isArray(coverage)) {
+    errors.push(`Camera '${cameraId}' coverage must be an array of { edgeId, weight }`);
+    return;
+  }
+
+  const coveredEdges = new Set();
+  for (const entry of coverage) {
+    if (!edgeIdSet.has(entry?.edgeId)) {
+      errors.push(`Camera '${cameraId}' covers non-existent edge '${entry?.edgeId}'`);
+      continue;
+    }
+    if (coveredEdges.has(entry.edgeId)) {
+      errors.push(`Camera '${cameraId}' covers edge '${entry.edgeId}' more than once`);
+    }
+    coveredEdges.add(entry.edgeId);
+
+    if (entry.weight !== undefined && entry.weight !== null && entry.weight !== '') {
+      const weight = Number(entry.weight);
+      if (isNaN(weight) || weight <= 0 || weight > 1) {
+        errors.push(`Camera '${cameraId}' coverage weight for edge '${entry.edgeId}' must be greater than 0 and at most 1`);
+      }
+    }
+  }
+};
+
+/**
+ * Collects the node, edge, camera and screen IDs used by floors, which must
+ * be unique across the whole system, and the building connector IDs, which
+ * become edge IDs in the building graph.
+ *
+ * @async
+ * @function collectFloorIds
+ * @param {string|null} [excludeFloorId=null] - Floor to leave out (the one being updated)
+ * @returns {Promise<Object>} { nodes, edges, cameras, screens } - Sets of IDs,
+ *          and connectors - Map of connector ID -> building ID
+ */
+export const collectFloorIds = async (excludeFloorId = null) => {
+  // Get all existing floors (excluding current one for updates)
+  const query = excludeFloorId ? { id: { $ne: excludeFloorId } } : {};
+  const existingFloors = await FloorMap.find(query);
+
+  const ids = {
+    nodes: new Set(),
+    edges: new Set(),
+    cameras: new Set(),
+    screens: new Set(),
+    connectors: new Map()
+  };
+
+  for (const floor of existingFloors) {
+    // Collect node IDs
+    floor.nodes?.forEach(n => ids.nodes.add(n.id));
+    // Collect edge IDs
+    floor.edges?.forEach(e => ids.edges.add(e.id));
+    
+    // Collect camera IDs (new format)
+    floor.cameras?.forEach(c => ids.cameras.add(c.id));
+    // Collect camera IDs (legacy cameraToEdge map)
+    if (floor.cameraToEdge) {
+      for (const camId of floor.cameraToEdge.keys()) {
+        ids.cameras.add(camId);
+      }
+    }
+    
+    // Collect screen IDs (new format)
+    floor.screens?.forEach(s => ids.screens.add(s.id));
+  }
+
+  // Collect connector IDs (stairwells/elevators of every building)
+  const buildings = await Building.find({}, { id: 1, "connectors.id": 1 });
+  for (const building of buildings) {
+    building.connectors?.forEach(c => ids.connectors.set(c.id, building.id));
+  }
+
+  return ids;
+};
+
 /**
  * Validates floor data for uniqueness constraints across all floors.
  * Used during floor creation and updates to ensure data integrity.
@@ -32,8 +127,12 @@ import FloorMap from "../../models/FloorMap.js";
  * @param {Array} [floorData.cameras] - Camera configurations
  * @param {Array} [floorData.screens] - Screen configurations
  * @param {Object} [floorData.cameraToEdge] - Legacy camera mapping
+ * @param {Object} [floorData.cameraCoverage] - cameraId -> [{ edgeId, weight }]
+ * @param {string} [floorData.cameraAggregation] - 'max', 'mean' or 'weighted'
  * @param {Array} [floorData.startPoints] - Legacy screen locations
  * @param {Array} [floorData.exitPoints] - Exit node IDs
+ * @param {Object} [floorData.exitCapacities] - exitNodeId -> capacity (or null)
+ * @param {Array} [floorData.stepFreeScreens] - Start points whose screen shows a step-free route
  * @param {string|null} excludeFloorId - Floor ID to exclude (for updates)
  * @returns {Promise<Object>} Validation result
  * @returns {boolean} returns.valid - Whether validation passed
@@ -42,48 +141,37 @@ import FloorMap from "../../models/FloorMap.js";
  * @description
  * Validation checks:
  * 1. No duplicate node IDs within floor or across floors
- * 2. No duplicate edge IDs within floor or across floors
+ * 2. No duplicate edge IDs within floor, across floors or with building connectors
  * 3. No duplicate camera IDs within floor or across floors
  * 4. No duplicate screen IDs within floor or across floors
  * 5. Edge from/to references valid nodes
- * 6. Camera edgeId references valid edge
+ * 6. Camera edgeId and coverage reference valid edges (weights in (0, 1])
  * 7. Screen nodeId references valid node
  * 8. startPoints reference valid nodes
  * 9. exitPoints reference valid nodes
+ * 10. cameraCoverage references known cameras
+ * 11. cameraAggregation is a supported method
+ * 12. exitCapacities reference exitPoints and are positive (or null)
+ * 13. Node/edge traversalType is supported, accessible is a boolean
+ * 14. stepFreeScreens reference startPoints
+ * 15. Edge direction / evacuationDirection are supported values
+ * 16. One-way edges do not cut a screen off from every exit, with the
+ *     everyday directions or with the evacuation directions
+ * 17. Edge widthMeters is a positive number (or null)
  */
 export const validateFloorData = async (floorData, excludeFloorId = null) => {
   const errors = [];
-  
-  // Get all existing floors (excluding current one for updates)
-  const query = excludeFloorId ? { id: { $ne: excludeFloorId } } : {};
-  const existingFloors = await FloorMap.find(query);
 
   // ─────────────────────────────────────────────
   // COLLECT EXISTING IDS FROM OTHER FLOORS
   // ─────────────────────────────────────────────
-  const existingNodeIds = new Set();
-  const existingEdgeIds = new Set();
-  const existingCameraIds = new Set();
-  const existingScreenIds = new Set();
-
-  for (const floor of existingFloors) {
-    // Collect node IDs
-    floor.nodes?.forEach(n => existingNodeIds.add(n.id));
-    // Collect edge IDs
-    floor.edges?.forEach(e => existingEdgeIds.add(e.id));
-    
-    // Collect camera IDs (new format)
-    floor.cameras?.forEach(c => existingCameraIds.add(c.id));
-    // Collect camera IDs (legacy cameraToEdge map)
-    if (floor.cameraToEdge) {
-      for (const camId of floor.cameraToEdge.keys()) {
-        existingCameraIds.add(camId);
-      }
-    }
-    
-    // Collect screen IDs (new format)
-    floor.screens?.forEach(s => existingScreenIds.add(s.id));
-  }
+  const {
+    nodes: existingNodeIds,
+    edges: existingEdgeIds,
+    connectors: existingConnectorIds,
+    cameras: existingCameraIds,
+    screens: existingScreenIds
+  } = await collectFloorIds(excludeFloorId);
 
   // ─────────────────────────────────────────────
   // VALIDATE NODE IDS
@@ -121,6 +209,11 @@ export const validateFloorData = async (floorData, excludeFloorId = null) => {
     if (existingEdgeIds.has(edgeId)) {
       errors.push(`Edge ID '${edgeId}' already exists in another floor`);
     }
+
+    // Connectors are edges of the building graph too
+    if (existingConnectorIds.has(edgeId)) {
+      errors.push(`Edge ID '${edgeId}' clashes with a connector of building '${existingConnectorIds.get(edgeId)}'`);
+    }
   }
 
   // ─────────────────────────────────────────────
@@ -144,6 +237,11 @@ export const validateFloorData = async (floorData, excludeFloorId = null) => {
     if (camera.edgeId && !edgeIdSet.has(camera.edgeId)) {
       errors.push(`Camera '${camera.id}' references non-existent edge '${camera.edgeId}'`);
     }
+
+    // Validate additional covered edges
+    if (camera.coverage) {
+      validateCoverage(camera.id, camera.coverage, edgeIdSet, errors);
+    }
   }
 
   // ─────────────────────────────────────────────
@@ -234,6 +332,113 @@ export const validateFloorData = async (floorData, excludeFloorId = null) => {
     }
   }
 
+  // ─────────────────────────────────────────────
+  // VALIDATE CAMERA COVERAGE & AGGREGATION
+  // ─────────────────────────────────────────────
+  const cameraCoverage = floorData.cameraCoverage instanceof Map
+    ? Object.fromEntries(floorData.cameraCoverage)
+    : floorData.cameraCoverage;
+
+  if (cameraCoverage && (typeof cameraCoverage !== 'object' || Array.isArray(cameraCoverage))) {
+    errors.push("cameraCoverage must be an object mapping camera IDs to coverage lists");
+  } else {
+    for (const [camId, coverage] of Object.entries(cameraCoverage || {})) {
+      if (!cameraIdSet.has(camId)) {
+        errors.push(`cameraCoverage references unknown camera '${camId}'`);
+        continue;
+      }
+      validateCoverage(camId, coverage, edgeIdSet, errors);
+    }
+  }
+
+  if (floorData.cameraAggregation !== undefined && !CAMERA_AGGREGATION_METHODS.includes(floorData.cameraAggregation)) {
+    errors.push(`cameraAggregation must be one of: ${CAMERA_AGGREGATION_METHODS.join(", ")}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // VALIDATE EXIT CAPACITIES
+  // ─────────────────────────────────────────────
+  const exitCapacities = floorData.exitCapacities;
+  if (exitCapacities && (typeof exitCapacities !== 'object' || Array.isArray(exitCapacities))) {
+    errors.push("exitCapacities must be an object mapping exit node IDs to capacities");
+  } else {
+    const exitPointSet = new Set(floorData.exitPoints || []);
+    for (const [nodeId, capacity] of Object.entries(exitCapacities || {})) {
+      if (!exitPointSet.has(nodeId)) {
+        errors.push(`exitCapacities references '${nodeId}', which is not an exitPoint`);
+      } else if (capacity !== null && !(typeof capacity === 'number' && capacity >= 1)) {
+        errors.push(`Capacity of exit '${nodeId}' must be a number of at least 1, or null`);
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // VALIDATE ACCESSIBILITY ATTRIBUTES
+  // ─────────────────────────────────────────────
+  const checkAccessibility = (kind, element) => {
+    if (element.traversalType !== undefined && element.traversalType !== null &&
+        !TRAVERSAL_TYPES.includes(element.traversalType)) {
+      errors.push(`${kind} '${element.id}' traversalType must be one of: ${TRAVERSAL_TYPES.join(", ")}`);
+    }
+    if (element.accessible !== undefined && element.accessible !== null && typeof element.accessible !== 'boolean') {
+      errors.push(`${kind} '${element.id}' accessible must be true or false`);
+    }
+  };
+  (floorData.nodes || []).forEach(node => checkAccessibility('Node', node));
+  (floorData.edges || []).forEach(edge => checkAccessibility('Edge', edge));
+
+  if (floorData.stepFreeScreens !== undefined) {
+    if (!Array.isArray(floorData.stepFreeScreens)) {
+      errors.push("stepFreeScreens must be an array of start point node IDs");
+    } else {
+      const startPointSet = new Set(floorData.startPoints || []);
+      for (const nodeId of floorData.stepFreeScreens) {
+        if (!startPointSet.has(nodeId)) {
+          errors.push(`stepFreeScreens references '${nodeId}', which is not a startPoint`);
+        }
+      }
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // VALIDATE EDGE DIRECTIONS
+  // ─────────────────────────────────────────────
+  let directionsValid = true;
+  for (const edge of (floorData.edges || [])) {
+    for (const field of ['direction', 'evacuationDirection']) {
+      if (edge[field] !== undefined && edge[field] !== null && !EDGE_DIRECTIONS.includes(edge[field])) {
+        errors.push(`Edge '${edge.id}' ${field} must be one of: ${EDGE_DIRECTIONS.join(", ")}`);
+        directionsValid = false;
+      }
+    }
+  }
+
+  if (directionsValid) {
+    const cutOff = findCutOffStartPoints({
+      edges: floorData.edges || [],
+      startPoints: [...(floorData.startPoints || []), ...(floorData.screens || []).map(s => s.nodeId)],
+      exitPoints: floorData.exitPoints || []
+    });
+    cutOff.normal.forEach(nodeId => {
+      errors.push(`Screen at '${nodeId}' cannot reach any exit because of one-way edges`);
+    });
+    cutOff.evacuation
+      .filter(nodeId => !cutOff.normal.includes(nodeId))
+      .forEach(nodeId => {
+        errors.push(`Screen at '${nodeId}' cannot reach any exit with the evacuation directions`);
+      });
+  }
+
+  // ─────────────────────────────────────────────
+  // VALIDATE CORRIDOR WIDTHS
+  // ─────────────────────────────────────────────
+  for (const edge of (floorData.edges || [])) {
+    if (edge.widthMeters === undefined || edge.widthMeters === null) continue;
+    if (typeof edge.widthMeters !== 'number' || !(edge.widthMeters > 0)) {
+      errors.push(`Edge '${edge.id}' widthMeters must be a positive number, or null`);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Routing Weights Validation Utilities
+ * @description Validation for routing weight profiles and per-floor weight
+ *              overrides ensuring:
+ *              - Profiles are named uniquely and set every weight
+ *              - Every weight is a number within its range
+ *              - Active and floor profiles refer to existing profiles
+ *
+ * @requires routingWeights - Weight keys, ranges and the built-in profile name
+ *
+ * @module utils/validators/routingWeightsValidator
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports validateRoutingWeightProfiles - Validate Settings.routingWeights
+ * @exports validateFloorRoutingWeights - Validate a floor's weight override
+ */
+
+import { ROUTING_WEIGHT_LIMITS, DEFAULT_PROFILE_NAME } from "../routingWeights.js";
+
+/* ============================================================
+ * CONFIGURATION
+ * ============================================================ */
+
+/** @const {number} MAX_PROFILES - Profiles kept besides 'default' */
+const MAX_PROFILES = 20;
+
+/** @const {number} MAX_NAME_LENGTH - Characters in a profile name */
+const MAX_NAME_LENGTH = 40;
+
+/* ============================================================
+ * WEIGHT VALUES
+ * ============================================================ */
+
+/**
+ * Checks weight values against ROUTING_WEIGHT_LIMITS.
+ *
+ * @param {Object} weights - Weight key -> value
+ * @param {string} label - Prefix of error messages
+ * @param {boolean} partial - Allow missing/null keys (floor overrides)
+ * @returns {string[]} Error messages
+ */
+const validateWeightValues = (weights, label, partial) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return [`${label} weights must be an object`];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(weights).filter(key => !ROUTING_WEIGHT_LIMITS[key]);
+  if (unknown.length > 0) {
+    errors.push(`${label} has unknown weights: ${unknown.join(', ')}`);
+  }
+
+  for (const [key, { min, max }] of Object.entries(ROUTING_WEIGHT_LIMITS)) {
+    const value = weights[key];
+    if (value === undefined || value === null) {
+      if (!partial) errors.push(`${label} is missing ${key}`);
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${label} ${key} must be a number between ${min} and ${max}`);
+    }
+  }
+
+  return errors;
+};
+
+/* ============================================================
+ * PROFILES
+ * ============================================================ */
+
+/**
+ * Validates the weight profiles and the active profile.
+ *
+ * @function validateRoutingWeightProfiles
+ * @param {Object} routingWeights - { activeProfile, profiles: [{ name, description, weights }] }
+ * @returns {Object} { valid, errors }
+ *
+ * @description
+ * Validation checks:
+ * 1. profiles is an array of at most MAX_PROFILES entries
+ * 2. Names are non-empty, at most MAX_NAME_LENGTH characters, unique
+ *    (ignoring case) and not the built-in 'default'
+ * 3. Each profile sets every weight within its range
+ * 4. activeProfile is 'default' or one of the profiles
+ */
+export const validateRoutingWeightProfiles = ({ activeProfile, profiles } = {}) => {
+  const errors = [];
+
+  if (!Array.isArray(profiles)) {
+    return { valid: false, errors: ['routingWeights.profiles must be an array'] };
+  }
+  if (profiles.length > MAX_PROFILES) {
+    errors.push(`At most ${MAX_PROFILES} routing weight profiles can be kept`);
+  }
+
+  const seen = new Set();
+  profiles.forEach((profile, i) => {
+    const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+    const label = name ? `Profile '${name}'` : `Profile ${i + 1}`;
+
+    if (!name) {
+      errors.push(`${label} requires a name`);
+    } else if (name.length > MAX_NAME_LENGTH) {
+      errors.push(`${label} name may be at most ${MAX_NAME_LENGTH} characters`);
+    } else if (name.toLowerCase() === DEFAULT_PROFILE_NAME) {
+      errors.push(`'${DEFAULT_PROFILE_NAME}' is the built-in profile and can not be redefined`);
+    } else if (seen.has(name.toLowerCase())) {
+      errors.push(`${label} is defined more than once`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (profile?.description !== undefined && profile.description !== null && typeof profile.description !== 'string') {
+      errors.push(`${label} description must be a string`);
+    }
+
+    errors.push(...validateWeightValues(profile?.weights, label, false));
+  });
+
+  const names = profiles.map(p => (typeof p?.name === 'string' ? p.name.trim() : ''));
+  if (activeProfile !== DEFAULT_PROFILE_NAME && !names.includes(activeProfile)) {
+    errors.push(`Active profile '${activeProfile}' does not exist`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/* ============================================================
+ * FLOOR OVERRIDES
+ * ============================================================ */
+
+/**
+ * Validates a floor's weight override.
+ *
+ * @function validateFloorRoutingWeights
+ * @param {Object} override - { profile, weights } (profile null = active profile,
+ *        weights: weight key -> number, null/missing = from the profile)
+ * @param {Array<Object>} profiles - Settings.routingWeights.profiles
+ * @returns {Object} { valid, errors }
+ */
+export const validateFloorRoutingWeights = ({ profile = null, weights = {} } = {}, profiles = []) => {
+  const errors = [];
+
+  if (profile !== null && profile !== DEFAULT_PROFILE_NAME && !profiles.some(p => p.name === profile)) {
+    errors.push(`Profile '${profile}' does not exist`);
+  }
+
+  errors.push(...validateWeightValues(weights ?? {}, 'Floor override', true));
+
+  return { valid: errors.length === 0, errors };
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Worker Pool - Bounded Concurrency and Timeouts
+ * @description Small promise limiter used by the capture cycle to run camera
+ *              stages (RTSP capture, cloud upload, AI analysis) concurrently
+ *              without opening more streams or requests than configured.
+ *
+ * @module utils/workerPool
+ * @author Marcelino Saad
+ * @version 1.0.0
+ *
+ * @exports createLimiter - Bounded-concurrency task runner
+ * @exports withTimeout - Reject (and abort) work that does not settle in time
+ *
+ * @example
+ * const capture = createLimiter(4, 'capture');
+ * const frames = await Promise.all(cameras.map(cam =>
+ *   capture.run(() => withTimeout((signal) => grab(cam, { signal }), 15000, `capture ${cam.id}`))
+ * ));
+ * capture.stats(); // { name: 'capture', concurrency: 4, peak: 4, completed: 12, waitMs: 830.5 }
+ */
+
+/* ============================================================
+ * LIMITER
+ * ============================================================ */
+
+/**
+ * Creates a runner that executes at most `concurrency` tasks at once.
+ * Extra tasks wait in FIFO order.
+ *
+ * @function createLimiter
+ * @param {number} concurrency - Maximum tasks in flight (at least 1)
+ * @param {string} [name='pool'] - Label reported in stats
+ *
+ * @returns {Object} Limiter
+ * @returns {Function} returns.run - run(task) -> Promise of the task's result
+ * @returns {Function} returns.stats - () -> { name, concurrency, active, pending, peak, completed, waitMs }
+ */
+export const createLimiter = (concurrency, name = 'pool') => {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const queue = [];
+  let active = 0;
+  let peak = 0;
+  let completed = 0;
+  let waitMs = 0; // Total time tasks spent queued
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+
+    const { task, resolve, reject, queuedAt } = queue.shift();
+    active++;
+    peak = Math.max(peak, active);
+    waitMs += performance.now() - queuedAt;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        completed++;
+        next();
+      });
+  };
+
+  const run = (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject, queuedAt: performance.now() });
+    next();
+  });
+
+  const stats = () => ({
+    name,
+    concurrency: limit,
+    active,
+    pending: queue.length,
+    peak,
+    completed,
+    waitMs: parseFloat(waitMs.toFixed(2))
+  });
+
+  return { run, stats };
+};
+
+/* ============================================================
+ * TIMEOUT
+ * ============================================================ */
+
+/**
+ * Rejects when the work has not settled within `ms`.
+ *
+ * @function withTimeout
+ * @param {Function|Promise} work - (signal) => Promise, or a Promise
+ * @param {number} ms - Time limit in milliseconds (0 or less disables it)
+ * @param {string} [label='Operation'] - Used in the error message
+ *
+ * @returns {Promise} Settles like the work, or rejects with an Error
+ *          whose code is 'ETIMEDOUT'
+ *
+ * @description
+ * Work passed as a function receives an AbortSignal that is aborted with the
+ * timeout error, so it can kill its process or cancel its request: a pool
+ * slot is freed when the timer fires, and work left running would let the
+ * pool start more of it than its concurrency allows. A plain promise can
+ * not be cancelled; its late result is ignored.
+ */
+export const withTimeout = (work, ms, label = 'Operation') => {
+  const controller = new AbortController();
+  const promise = typeof work === 'function'
+    ? Promise.resolve().then(() => work(controller.signal))
+    : Promise.resolve(work);
+  if (!(ms > 0)) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};